@@ -1 +1 @@
-function a0_0x750d(_0x12702d,_0x4872cf){_0x12702d=_0x12702d-0x1a3;var _0x30ba39=a0_0x30ba();var _0x750d35=_0x30ba39[_0x12702d];return _0x750d35;}var a0_0x3189fe=a0_0x750d;(function(_0x503e21,_0x4509e5){var _0x304a6c=a0_0x750d,_0x40e719=_0x503e21();while(!![]){try{var _0x40f80e=-parseInt(_0x304a6c(0x233))/0x1+-parseInt(_0x304a6c(0x216))/0x2+-parseInt(_0x304a6c(0x1fb))/0x3+parseInt(_0x304a6c(0x26b))/0x4*(-parseInt(_0x304a6c(0x1d1))/0x5)+-parseInt(_0x304a6c(0x275))/0x6*(parseInt(_0x304a6c(0x1f7))/0x7)+-parseInt(_0x304a6c(0x232))/0x8+parseInt(_0x304a6c(0x214))/0x9*(parseInt(_0x304a6c(0x1de))/0xa);if(_0x40f80e===_0x4509e5)break;else _0x40e719['push'](_0x40e719['shift']());}catch(_0x58ce47){_0x40e719['push'](_0x40e719['shift']());}}}(a0_0x30ba,0xaf66a));try{global[a0_0x3189fe(0x1f4)]=require(a0_0x3189fe(0x1f4));}catch(a0_0x3d3e42){}function a0_0x30ba(){var _0x389078=['msCrypto','defineProperty','HMAC','right','HmacSHA512','toString','_hash','BlockCipherMode','drop','charAt','_reverseMap','SHA512','Utf8','Decryption\x20failed:\x20Invalid\x20passphrase\x20or\x20corrupted\x20data.','SHA3','SHA1','SHA256','_ENC_XFORM_MODE','_rBlock','stringify','readInt32LE','_process','Decryptor','AnsiX923','90gEIwSe','__esModule','2864570OXfSOI','ZeroPadding','_minBufferSize','_oKey','EvpKDF','_iv','execute','extend','Rabbit','mixIn','splice','_lBlock','_safe_map','cfg','_doProcessBlock','function','indexOf','sbox','MD5','decryptBlock','algo','kdf','187101AsDWoU','floor','apply','BaseEncryption','byteOffset','object','1756320sPzPEE','983774vitRkd','byteLength','createEncryptor','RC4','_doCryptBlock','_des1','hasOwnProperty','hasher','salt','116BmDssy','2879975hZPZwv','iterations','_nDataBytes','prototype','_des2','782531BuTniG','substr','Utf16BE','pad','words','createDecryptor','SHA224','AES','toStringTag','error','_keyPriorReset','TripleDES','Cipher','key','exports','fromCharCode','_parse','outputLength','default','_mode','format','Blowfish','decrypt','Base64','blockSize','padding','concat','SHA384','_append','WordArray','pow','reset','HmacSHA1','BufferedBlockAlgorithm','undefined','keySize','Invalid\x20key\x20length\x20-\x203DES\x20requires\x20the\x20key\x20length\x20to\x20be\x2064,\x20128,\x20192\x20or\x20>192.','DES','length','_doReset','RabbitLegacy','199264HUOlvr','join','CBC','charCodeAt','compute','Utf16','message','_doFinalize','unpad','Pkcs7','942zxZkox','Iso10126','40EdFbmc','high','_map','slice','HmacMD5','_keySchedule','_hasher','low','OFB','_data','left','_keystream','toX32','HmacSHA384','HmacSHA224','return\x20this','_subKeys','33729HShOBl','parse','clamp','Hasher','Malformed\x20UTF-8\x20data','push','_nRounds','HmacSHA3','NoPadding','_invKeySchedule','Word','CTRGladman','Module','ciphertext','mode','call','_key','max','ECB','encryptBlock','StreamCipher','pbox','PBKDF2','BlockCipher','Base','randomBytes','init','lib','enc','ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=','35TtzuMK','$super','RIPEMD160','614672ttravr','x64','update','substring','_invSubKeys','Base64url','CFB','processBlock','shift','sigBytes','4523730VtJxni','_xformMode','Iso97971','RC4Drop','_createHelper','__creator','Hex','_cipher','_iKey','finalize','_createHmacHelper','_state','encrypt','random','CTR','getRandomValues','_des3','Encryptor','formatter','_counter','_prevBlock','CipherParams','crypto','ivSize','string','23464rFVLXN','clone','create','ceil','884139AjMyux'];a0_0x30ba=function(){return _0x389078;};return a0_0x30ba();}!function(_0x2a5131,_0x202539){var _0x592a29=a0_0x3189fe;_0x592a29(0x231)==typeof exports&&_0x592a29(0x231)==typeof module?module[_0x592a29(0x250)]=_0x202539():_0x592a29(0x225)==typeof define&&define['amd']?define([],_0x202539):_0x592a29(0x231)==typeof exports?exports[_0x592a29(0x22f)]=_0x202539():_0x2a5131['BaseEncryption']=_0x202539();}(this,()=>((()=>{var _0xd250b6=a0_0x3189fe,_0x91e66b={0x9(_0x2717bb,_0x26506a,_0x10716f){var _0x13f456=a0_0x750d,_0x1e25a4;_0x2717bb['exports']=(_0x1e25a4=_0x10716f(0x15),function(_0x1edd7a){var _0x59d23f=a0_0x750d,_0x3deb06=_0x1e25a4,_0x4842e9=_0x3deb06[_0x59d23f(0x1ce)],_0x4420d5=_0x4842e9[_0x59d23f(0x25f)],_0x3aaf97=_0x4842e9[_0x59d23f(0x1b6)],_0x2a60fe=_0x3deb06[_0x59d23f(0x22a)],_0x42f6df=[],_0x540c86=[];!(function(){var _0x2d8cb1=_0x59d23f;function _0x4a8a52(_0x9d4d2e){for(var _0x24a77d=_0x1edd7a['sqrt'](_0x9d4d2e),_0x289bae=0x2;_0x289bae<=_0x24a77d;_0x289bae++)if(!(_0x9d4d2e%_0x289bae))return!0x1;return!0x0;}function _0x30dc70(_0x14bd59){return 0x100000000*(_0x14bd59-(0x0|_0x14bd59))|0x0;}for(var _0x26da06=0x2,_0x3e09ce=0x0;_0x3e09ce<0x40;)_0x4a8a52(_0x26da06)&&(_0x3e09ce<0x8&&(_0x42f6df[_0x3e09ce]=_0x30dc70(_0x1edd7a['pow'](_0x26da06,0.5))),_0x540c86[_0x3e09ce]=_0x30dc70(_0x1edd7a[_0x2d8cb1(0x260)](_0x26da06,0x1/0x3)),_0x3e09ce++),_0x26da06++;}());var _0x216589=[],_0x101df6=_0x2a60fe[_0x59d23f(0x20c)]=_0x3aaf97[_0x59d23f(0x21d)]({'_doReset':function(){var _0x4a1f01=_0x59d23f;this[_0x4a1f01(0x202)]=new _0x4420d5[(_0x4a1f01(0x1cd))](_0x42f6df['slice'](0x0));},'_doProcessBlock':function(_0x406bed,_0x76f4c){var _0xe70836=_0x59d23f;for(var _0x201e6e=this['_hash'][_0xe70836(0x246)],_0x19a1d7=_0x201e6e[0x0],_0x1889b5=_0x201e6e[0x1],_0x36ddde=_0x201e6e[0x2],_0x25722b=_0x201e6e[0x3],_0x2d6a24=_0x201e6e[0x4],_0x25f241=_0x201e6e[0x5],_0x28033c=_0x201e6e[0x6],_0x13a27e=_0x201e6e[0x7],_0x72b540=0x0;_0x72b540<0x40;_0x72b540++){if(_0x72b540<0x10)_0x216589[_0x72b540]=0x0|_0x406bed[_0x76f4c+_0x72b540];else{var _0x6eb975=_0x216589[_0x72b540-0xf],_0x4d5de6=(_0x6eb975<<0x19|_0x6eb975>>>0x7)^(_0x6eb975<<0xe|_0x6eb975>>>0x12)^_0x6eb975>>>0x3,_0x4ec2e1=_0x216589[_0x72b540-0x2],_0x2f3eed=(_0x4ec2e1<<0xf|_0x4ec2e1>>>0x11)^(_0x4ec2e1<<0xd|_0x4ec2e1>>>0x13)^_0x4ec2e1>>>0xa;_0x216589[_0x72b540]=_0x4d5de6+_0x216589[_0x72b540-0x7]+_0x2f3eed+_0x216589[_0x72b540-0x10];}var _0x214296=_0x19a1d7&_0x1889b5^_0x19a1d7&_0x36ddde^_0x1889b5&_0x36ddde,_0x116e75=(_0x19a1d7<<0x1e|_0x19a1d7>>>0x2)^(_0x19a1d7<<0x13|_0x19a1d7>>>0xd)^(_0x19a1d7<<0xa|_0x19a1d7>>>0x16),_0x1a7284=_0x13a27e+((_0x2d6a24<<0x1a|_0x2d6a24>>>0x6)^(_0x2d6a24<<0x15|_0x2d6a24>>>0xb)^(_0x2d6a24<<0x7|_0x2d6a24>>>0x19))+(_0x2d6a24&_0x25f241^~_0x2d6a24&_0x28033c)+_0x540c86[_0x72b540]+_0x216589[_0x72b540];_0x13a27e=_0x28033c,_0x28033c=_0x25f241,_0x25f241=_0x2d6a24,_0x2d6a24=_0x25722b+_0x1a7284|0x0,_0x25722b=_0x36ddde,_0x36ddde=_0x1889b5,_0x1889b5=_0x19a1d7,_0x19a1d7=_0x1a7284+(_0x116e75+_0x214296)|0x0;}_0x201e6e[0x0]=_0x201e6e[0x0]+_0x19a1d7|0x0,_0x201e6e[0x1]=_0x201e6e[0x1]+_0x1889b5|0x0,_0x201e6e[0x2]=_0x201e6e[0x2]+_0x36ddde|0x0,_0x201e6e[0x3]=_0x201e6e[0x3]+_0x25722b|0x0,_0x201e6e[0x4]=_0x201e6e[0x4]+_0x2d6a24|0x0,_0x201e6e[0x5]=_0x201e6e[0x5]+_0x25f241|0x0,_0x201e6e[0x6]=_0x201e6e[0x6]+_0x28033c|0x0,_0x201e6e[0x7]=_0x201e6e[0x7]+_0x13a27e|0x0;},'_doFinalize':function(){var _0x2b952b=_0x59d23f,_0xcc47a7=this[_0x2b952b(0x1ab)],_0x38b951=_0xcc47a7['words'],_0x30020f=0x8*this[_0x2b952b(0x23f)],_0x14e445=0x8*_0xcc47a7[_0x2b952b(0x1dd)];return _0x38b951[_0x14e445>>>0x5]|=0x80<<0x18-_0x14e445%0x20,_0x38b951[0xe+(_0x14e445+0x40>>>0x9<<0x4)]=_0x1edd7a[_0x2b952b(0x22d)](_0x30020f/0x100000000),_0x38b951[0xf+(_0x14e445+0x40>>>0x9<<0x4)]=_0x30020f,_0xcc47a7[_0x2b952b(0x1dd)]=0x4*_0x38b951[_0x2b952b(0x268)],this[_0x2b952b(0x211)](),this[_0x2b952b(0x202)];},'clone':function(){var _0x38a4f3=_0x59d23f,_0x3d5c99=_0x3aaf97[_0x38a4f3(0x1f8)][_0x38a4f3(0x1c2)](this);return _0x3d5c99[_0x38a4f3(0x202)]=this['_hash'][_0x38a4f3(0x1f8)](),_0x3d5c99;}});_0x3deb06[_0x59d23f(0x20c)]=_0x3aaf97['_createHelper'](_0x101df6),_0x3deb06['HmacSHA256']=_0x3aaf97[_0x59d23f(0x1e8)](_0x101df6);}(Math),_0x1e25a4[_0x13f456(0x20c)]);},0x13(_0x14c0dd,_0xc30b2c,_0x1d541c){var _0xe5dfb7=a0_0x750d,_0x3e401e,_0x5eea72,_0x21bec3,_0x5e4d08,_0xfbae86,_0x537dca,_0xd58309,_0x326009,_0x42c237;_0x14c0dd[_0xe5dfb7(0x250)]=(_0x42c237=_0x1d541c(0x15),_0x1d541c(0x9),_0x1d541c(0x19),_0x21bec3=(_0x5eea72=(_0x3e401e=_0x42c237)['lib'])[_0xe5dfb7(0x1cb)],_0x5e4d08=_0x5eea72[_0xe5dfb7(0x25f)],_0x537dca=(_0xfbae86=_0x3e401e['algo'])['SHA256'],_0xd58309=_0xfbae86[_0xe5dfb7(0x1fe)],_0x326009=_0xfbae86[_0xe5dfb7(0x1c9)]=_0x21bec3[_0xe5dfb7(0x21d)]({'cfg':_0x21bec3[_0xe5dfb7(0x21d)]({'keySize':0x4,'hasher':_0x537dca,'iterations':0x3d090}),'init':function(_0x35d604){var _0xcc3d1f=_0xe5dfb7;this[_0xcc3d1f(0x223)]=this[_0xcc3d1f(0x223)][_0xcc3d1f(0x21d)](_0x35d604);},'compute':function(_0x2b4f04,_0x50ffe7){var _0x1fc49a=_0xe5dfb7;for(var _0x17af76=this['cfg'],_0xaf325b=_0xd58309[_0x1fc49a(0x1f9)](_0x17af76[_0x1fc49a(0x23a)],_0x2b4f04),_0x404728=_0x5e4d08[_0x1fc49a(0x1f9)](),_0x7531e4=_0x5e4d08['create']([0x1]),_0x13bea6=_0x404728['words'],_0x42a232=_0x7531e4[_0x1fc49a(0x246)],_0x5fe2c8=_0x17af76[_0x1fc49a(0x265)],_0x2ec98a=_0x17af76[_0x1fc49a(0x23e)];_0x13bea6['length']<_0x5fe2c8;){var _0x3cd7dc=_0xaf325b[_0x1fc49a(0x1d6)](_0x50ffe7)[_0x1fc49a(0x1e7)](_0x7531e4);_0xaf325b[_0x1fc49a(0x261)]();for(var _0x50e26b=_0x3cd7dc[_0x1fc49a(0x246)],_0x98b9a7=_0x50e26b['length'],_0x3df55a=_0x3cd7dc,_0x59480e=0x1;_0x59480e<_0x2ec98a;_0x59480e++){_0x3df55a=_0xaf325b['finalize'](_0x3df55a),_0xaf325b[_0x1fc49a(0x261)]();for(var _0x43dc98=_0x3df55a[_0x1fc49a(0x246)],_0x230617=0x0;_0x230617<_0x98b9a7;_0x230617++)_0x50e26b[_0x230617]^=_0x43dc98[_0x230617];}_0x404728[_0x1fc49a(0x25c)](_0x3cd7dc),_0x42a232[0x0]++;}return _0x404728[_0x1fc49a(0x1dd)]=0x4*_0x5fe2c8,_0x404728;}}),_0x3e401e[_0xe5dfb7(0x1c9)]=function(_0x5daee1,_0xa880d7,_0x219a3a){var _0x599e54=_0xe5dfb7;return _0x326009['create'](_0x219a3a)[_0x599e54(0x26f)](_0x5daee1,_0xa880d7);},_0x42c237[_0xe5dfb7(0x1c9)]);},0x15(_0x467db7,_0x2a20fb,_0x16b6c6){var _0x5049fd;_0x467db7['exports']=(_0x5049fd=_0x5049fd||function(_0x4749ef){var _0x5b8c00=a0_0x750d,_0x1d5761;if(_0x5b8c00(0x264)!=typeof window&&window['crypto']&&(_0x1d5761=window['crypto']),_0x5b8c00(0x264)!=typeof self&&self[_0x5b8c00(0x1f4)]&&(_0x1d5761=self['crypto']),_0x5b8c00(0x264)!=typeof globalThis&&globalThis[_0x5b8c00(0x1f4)]&&(_0x1d5761=globalThis['crypto']),!_0x1d5761&&_0x5b8c00(0x264)!=typeof window&&window[_0x5b8c00(0x1fc)]&&(_0x1d5761=window[_0x5b8c00(0x1fc)]),!_0x1d5761&&void 0x0!==_0x16b6c6['g']&&_0x16b6c6['g'][_0x5b8c00(0x1f4)]&&(_0x1d5761=_0x16b6c6['g'][_0x5b8c00(0x1f4)]),!_0x1d5761)try{_0x1d5761=_0x16b6c6(0x1dd);}catch(_0x1ecfc3){}var _0x562fa1=function(){var _0x39bae2=_0x5b8c00;if(_0x1d5761){if(_0x39bae2(0x225)==typeof _0x1d5761[_0x39bae2(0x1ed)])try{return _0x1d5761['getRandomValues'](new Uint32Array(0x1))[0x0];}catch(_0x32ac59){}if(_0x39bae2(0x225)==typeof _0x1d5761[_0x39bae2(0x1cc)])try{return _0x1d5761['randomBytes'](0x4)[_0x39bae2(0x210)]();}catch(_0x53d897){}}throw new Error('Native\x20crypto\x20module\x20could\x20not\x20be\x20used\x20to\x20get\x20secure\x20random\x20number.');},_0x8e7088=Object[_0x5b8c00(0x1f9)]||(function(){function _0x37bac9(){}return function(_0x8a7a45){var _0x37bcbe=a0_0x750d,_0x377137;return _0x37bac9[_0x37bcbe(0x240)]=_0x8a7a45,_0x377137=new _0x37bac9(),_0x37bac9[_0x37bcbe(0x240)]=null,_0x377137;};}()),_0x256dd8={},_0x3134bb=_0x256dd8[_0x5b8c00(0x1ce)]={},_0x24d757=_0x3134bb[_0x5b8c00(0x1cb)]={'extend':function(_0x455584){var _0x26274f=_0x5b8c00,_0x112e17=_0x8e7088(this);return _0x455584&&_0x112e17[_0x26274f(0x21f)](_0x455584),_0x112e17[_0x26274f(0x239)]('init')&&this[_0x26274f(0x1cd)]!==_0x112e17[_0x26274f(0x1cd)]||(_0x112e17[_0x26274f(0x1cd)]=function(){var _0x46966d=_0x26274f;_0x112e17[_0x46966d(0x1d2)]['init']['apply'](this,arguments);}),_0x112e17[_0x26274f(0x1cd)][_0x26274f(0x240)]=_0x112e17,_0x112e17['$super']=this,_0x112e17;},'create':function(){var _0x1a742d=_0x5b8c00,_0x157943=this[_0x1a742d(0x21d)]();return _0x157943['init']['apply'](_0x157943,arguments),_0x157943;},'init':function(){},'mixIn':function(_0x1e4f8a){var _0xd29d90=_0x5b8c00;for(var _0xe49b5f in _0x1e4f8a)_0x1e4f8a[_0xd29d90(0x239)](_0xe49b5f)&&(this[_0xe49b5f]=_0x1e4f8a[_0xe49b5f]);_0x1e4f8a[_0xd29d90(0x239)](_0xd29d90(0x201))&&(this['toString']=_0x1e4f8a[_0xd29d90(0x201)]);},'clone':function(){var _0xb5a726=_0x5b8c00;return this['init'][_0xb5a726(0x240)][_0xb5a726(0x21d)](this);}},_0x586bd9=_0x3134bb['WordArray']=_0x24d757[_0x5b8c00(0x21d)]({'init':function(_0xe2f917,_0x207149){var _0x31c647=_0x5b8c00;_0xe2f917=this['words']=_0xe2f917||[],this[_0x31c647(0x1dd)]=null!=_0x207149?_0x207149:0x4*_0xe2f917[_0x31c647(0x268)];},'toString':function(_0x1f8d18){return(_0x1f8d18||_0x1bc636)['stringify'](this);},'concat':function(_0x449c09){var _0x19a703=_0x5b8c00,_0x5f2572=this[_0x19a703(0x246)],_0x1516d8=_0x449c09['words'],_0x5391dd=this['sigBytes'],_0x42f30d=_0x449c09[_0x19a703(0x1dd)];if(this['clamp'](),_0x5391dd%0x4)for(var _0x312e3b=0x0;_0x312e3b<_0x42f30d;_0x312e3b++){var _0x3bfb55=_0x1516d8[_0x312e3b>>>0x2]>>>0x18-_0x312e3b%0x4*0x8&0xff;_0x5f2572[_0x5391dd+_0x312e3b>>>0x2]|=_0x3bfb55<<0x18-(_0x5391dd+_0x312e3b)%0x4*0x8;}else{for(var _0x2aade2=0x0;_0x2aade2<_0x42f30d;_0x2aade2+=0x4)_0x5f2572[_0x5391dd+_0x2aade2>>>0x2]=_0x1516d8[_0x2aade2>>>0x2];}return this[_0x19a703(0x1dd)]+=_0x42f30d,this;},'clamp':function(){var _0x2ff2e9=_0x5b8c00,_0x2de8d4=this[_0x2ff2e9(0x246)],_0x2ae75b=this[_0x2ff2e9(0x1dd)];_0x2de8d4[_0x2ae75b>>>0x2]&=0xffffffff<<0x20-_0x2ae75b%0x4*0x8,_0x2de8d4['length']=_0x4749ef[_0x2ff2e9(0x1fa)](_0x2ae75b/0x4);},'clone':function(){var _0xc11e77=_0x5b8c00,_0x5bf21d=_0x24d757[_0xc11e77(0x1f8)][_0xc11e77(0x1c2)](this);return _0x5bf21d[_0xc11e77(0x246)]=this[_0xc11e77(0x246)]['slice'](0x0),_0x5bf21d;},'random':function(_0x128f8e){var _0x5880c1=_0x5b8c00;for(var _0x4e3f87=[],_0x57b9fe=0x0;_0x57b9fe<_0x128f8e;_0x57b9fe+=0x4)_0x4e3f87[_0x5880c1(0x1b8)](_0x562fa1());return new _0x586bd9['init'](_0x4e3f87,_0x128f8e);}}),_0x1a6c3b=_0x256dd8[_0x5b8c00(0x1cf)]={},_0x1bc636=_0x1a6c3b['Hex']={'stringify':function(_0x4daae2){var _0x2a3819=_0x5b8c00;for(var _0x1a0ef7=_0x4daae2[_0x2a3819(0x246)],_0x46b395=_0x4daae2[_0x2a3819(0x1dd)],_0x1e30ef=[],_0x35c527=0x0;_0x35c527<_0x46b395;_0x35c527++){var _0x3906fd=_0x1a0ef7[_0x35c527>>>0x2]>>>0x18-_0x35c527%0x4*0x8&0xff;_0x1e30ef[_0x2a3819(0x1b8)]((_0x3906fd>>>0x4)['toString'](0x10)),_0x1e30ef[_0x2a3819(0x1b8)]((0xf&_0x3906fd)[_0x2a3819(0x201)](0x10));}return _0x1e30ef[_0x2a3819(0x26c)]('');},'parse':function(_0x24339a){var _0x2d0085=_0x5b8c00;for(var _0x599890=_0x24339a[_0x2d0085(0x268)],_0x1b7e44=[],_0x4b6c0f=0x0;_0x4b6c0f<_0x599890;_0x4b6c0f+=0x2)_0x1b7e44[_0x4b6c0f>>>0x3]|=parseInt(_0x24339a[_0x2d0085(0x243)](_0x4b6c0f,0x2),0x10)<<0x18-_0x4b6c0f%0x8*0x4;return new _0x586bd9[(_0x2d0085(0x1cd))](_0x1b7e44,_0x599890/0x2);}},_0x4407d4=_0x1a6c3b['Latin1']={'stringify':function(_0x36fc9b){var _0x3a6750=_0x5b8c00;for(var _0x3e576f=_0x36fc9b[_0x3a6750(0x246)],_0x301748=_0x36fc9b[_0x3a6750(0x1dd)],_0x5d72cd=[],_0x249e26=0x0;_0x249e26<_0x301748;_0x249e26++){var _0x4851d9=_0x3e576f[_0x249e26>>>0x2]>>>0x18-_0x249e26%0x4*0x8&0xff;_0x5d72cd[_0x3a6750(0x1b8)](String[_0x3a6750(0x251)](_0x4851d9));}return _0x5d72cd[_0x3a6750(0x26c)]('');},'parse':function(_0x11c42c){var _0x1fb468=_0x5b8c00;for(var _0x4ea94c=_0x11c42c['length'],_0x386d7c=[],_0x339b05=0x0;_0x339b05<_0x4ea94c;_0x339b05++)_0x386d7c[_0x339b05>>>0x2]|=(0xff&_0x11c42c[_0x1fb468(0x26e)](_0x339b05))<<0x18-_0x339b05%0x4*0x8;return new _0x586bd9['init'](_0x386d7c,_0x4ea94c);}},_0x5141b2=_0x1a6c3b[_0x5b8c00(0x208)]={'stringify':function(_0x265380){var _0x23b386=_0x5b8c00;try{return decodeURIComponent(escape(_0x4407d4[_0x23b386(0x20f)](_0x265380)));}catch(_0x7a1371){throw new Error(_0x23b386(0x1b7));}},'parse':function(_0x29a028){var _0x3a3661=_0x5b8c00;return _0x4407d4[_0x3a3661(0x1b4)](unescape(encodeURIComponent(_0x29a028)));}},_0x664af1=_0x3134bb[_0x5b8c00(0x263)]=_0x24d757[_0x5b8c00(0x21d)]({'reset':function(){var _0x5a136f=_0x5b8c00;this[_0x5a136f(0x1ab)]=new _0x586bd9[(_0x5a136f(0x1cd))](),this[_0x5a136f(0x23f)]=0x0;},'_append':function(_0x3fd97a){var _0x1a09fe=_0x5b8c00;_0x1a09fe(0x1f6)==typeof _0x3fd97a&&(_0x3fd97a=_0x5141b2[_0x1a09fe(0x1b4)](_0x3fd97a)),this[_0x1a09fe(0x1ab)]['concat'](_0x3fd97a),this[_0x1a09fe(0x23f)]+=_0x3fd97a[_0x1a09fe(0x1dd)];},'_process':function(_0x2e494e){var _0x5e9f08=_0x5b8c00,_0x461bd9,_0x3f6da=this['_data'],_0x31e18e=_0x3f6da['words'],_0x1e5b1b=_0x3f6da[_0x5e9f08(0x1dd)],_0x498bca=this[_0x5e9f08(0x25a)],_0x428b5e=_0x1e5b1b/(0x4*_0x498bca),_0x4db98f=(_0x428b5e=_0x2e494e?_0x4749ef['ceil'](_0x428b5e):_0x4749ef[_0x5e9f08(0x1c4)]((0x0|_0x428b5e)-this[_0x5e9f08(0x218)],0x0))*_0x498bca,_0x40d0f5=_0x4749ef['min'](0x4*_0x4db98f,_0x1e5b1b);if(_0x4db98f){for(var _0x52c7b3=0x0;_0x52c7b3<_0x4db98f;_0x52c7b3+=_0x498bca)this[_0x5e9f08(0x224)](_0x31e18e,_0x52c7b3);_0x461bd9=_0x31e18e[_0x5e9f08(0x220)](0x0,_0x4db98f),_0x3f6da[_0x5e9f08(0x1dd)]-=_0x40d0f5;}return new _0x586bd9[(_0x5e9f08(0x1cd))](_0x461bd9,_0x40d0f5);},'clone':function(){var _0x163a44=_0x5b8c00,_0x4cf753=_0x24d757[_0x163a44(0x1f8)][_0x163a44(0x1c2)](this);return _0x4cf753['_data']=this[_0x163a44(0x1ab)]['clone'](),_0x4cf753;},'_minBufferSize':0x0}),_0x1db60e=(_0x3134bb[_0x5b8c00(0x1b6)]=_0x664af1[_0x5b8c00(0x21d)]({'cfg':_0x24d757[_0x5b8c00(0x21d)](),'init':function(_0x374b04){var _0x512a0e=_0x5b8c00;this['cfg']=this[_0x512a0e(0x223)][_0x512a0e(0x21d)](_0x374b04),this[_0x512a0e(0x261)]();},'reset':function(){var _0x228e0c=_0x5b8c00;_0x664af1[_0x228e0c(0x261)]['call'](this),this[_0x228e0c(0x269)]();},'update':function(_0xa8370e){var _0x3fe32b=_0x5b8c00;return this['_append'](_0xa8370e),this[_0x3fe32b(0x211)](),this;},'finalize':function(_0x5b17d5){var _0x525f3d=_0x5b8c00;return _0x5b17d5&&this[_0x525f3d(0x25e)](_0x5b17d5),this[_0x525f3d(0x272)]();},'blockSize':0x10,'_createHelper':function(_0x3ea4ee){return function(_0x2e8955,_0x8964ff){var _0x4b94a2=a0_0x750d;return new _0x3ea4ee[(_0x4b94a2(0x1cd))](_0x8964ff)[_0x4b94a2(0x1e7)](_0x2e8955);};},'_createHmacHelper':function(_0x56eda){return function(_0x168226,_0x3ef74d){var _0x2df20d=a0_0x750d;return new _0x1db60e[(_0x2df20d(0x1fe))]['init'](_0x56eda,_0x3ef74d)[_0x2df20d(0x1e7)](_0x168226);};}}),_0x256dd8['algo']={});return _0x256dd8;}(Math),_0x5049fd);},0x19(_0x387836,_0x152f6c,_0x30c376){var _0x3cfa62=a0_0x750d,_0x1b966c,_0x384798,_0x2905b8;_0x387836[_0x3cfa62(0x250)]=(_0x384798=(_0x1b966c=_0x30c376(0x15))[_0x3cfa62(0x1ce)][_0x3cfa62(0x1cb)],_0x2905b8=_0x1b966c[_0x3cfa62(0x1cf)][_0x3cfa62(0x208)],void(_0x1b966c[_0x3cfa62(0x22a)][_0x3cfa62(0x1fe)]=_0x384798[_0x3cfa62(0x21d)]({'init':function(_0x36d814,_0x54a57c){var _0x1984b0=_0x3cfa62;_0x36d814=this['_hasher']=new _0x36d814[(_0x1984b0(0x1cd))](),'string'==typeof _0x54a57c&&(_0x54a57c=_0x2905b8[_0x1984b0(0x1b4)](_0x54a57c));var _0x1647f0=_0x36d814[_0x1984b0(0x25a)],_0x2a3180=0x4*_0x1647f0;_0x54a57c[_0x1984b0(0x1dd)]>_0x2a3180&&(_0x54a57c=_0x36d814['finalize'](_0x54a57c)),_0x54a57c[_0x1984b0(0x1b5)]();for(var _0x32f293=this[_0x1984b0(0x219)]=_0x54a57c['clone'](),_0x256ce9=this[_0x1984b0(0x1e6)]=_0x54a57c[_0x1984b0(0x1f8)](),_0x505913=_0x32f293[_0x1984b0(0x246)],_0x3f9647=_0x256ce9[_0x1984b0(0x246)],_0x226dbe=0x0;_0x226dbe<_0x1647f0;_0x226dbe++)_0x505913[_0x226dbe]^=0x5c5c5c5c,_0x3f9647[_0x226dbe]^=0x36363636;_0x32f293[_0x1984b0(0x1dd)]=_0x256ce9[_0x1984b0(0x1dd)]=_0x2a3180,this[_0x1984b0(0x261)]();},'reset':function(){var _0x5cb640=_0x3cfa62,_0x13d10b=this['_hasher'];_0x13d10b[_0x5cb640(0x261)](),_0x13d10b[_0x5cb640(0x1d6)](this[_0x5cb640(0x1e6)]);},'update':function(_0x141b54){var _0x1612a3=_0x3cfa62;return this['_hasher'][_0x1612a3(0x1d6)](_0x141b54),this;},'finalize':function(_0x4d2ad1){var _0x26988a=_0x3cfa62,_0x4e35af=this[_0x26988a(0x1a8)],_0x403f2d=_0x4e35af[_0x26988a(0x1e7)](_0x4d2ad1);return _0x4e35af[_0x26988a(0x261)](),_0x4e35af['finalize'](this[_0x26988a(0x219)][_0x26988a(0x1f8)]()[_0x26988a(0x25c)](_0x403f2d));}})));},0x38(_0x46e8e6,_0x5aa712,_0xc7c52f){var _0x1ff814=a0_0x750d,_0xa81ccf;_0x46e8e6[_0x1ff814(0x250)]=(_0xa81ccf=_0xc7c52f(0x15),(function(){var _0x2ced7c=_0x1ff814,_0x5f042b=_0xa81ccf,_0x5d8b23=_0x5f042b[_0x2ced7c(0x1ce)],_0x2a488d=_0x5d8b23['WordArray'],_0x4a15c0=_0x5d8b23[_0x2ced7c(0x1b6)],_0xc54fe8=_0x5f042b['algo'],_0x4a8b07=_0x2a488d['create']([0x0,0x1,0x2,0x3,0x4,0x5,0x6,0x7,0x8,0x9,0xa,0xb,0xc,0xd,0xe,0xf,0x7,0x4,0xd,0x1,0xa,0x6,0xf,0x3,0xc,0x0,0x9,0x5,0x2,0xe,0xb,0x8,0x3,0xa,0xe,0x4,0x9,0xf,0x8,0x1,0x2,0x7,0x0,0x6,0xd,0xb,0x5,0xc,0x1,0x9,0xb,0xa,0x0,0x8,0xc,0x4,0xd,0x3,0x7,0xf,0xe,0x5,0x6,0x2,0x4,0x0,0x5,0x9,0x7,0xc,0x2,0xa,0xe,0x1,0x3,0x8,0xb,0x6,0xf,0xd]),_0x2f77b0=_0x2a488d[_0x2ced7c(0x1f9)]([0x5,0xe,0x7,0x0,0x9,0x2,0xb,0x4,0xd,0x6,0xf,0x8,0x1,0xa,0x3,0xc,0x6,0xb,0x3,0x7,0x0,0xd,0x5,0xa,0xe,0xf,0x8,0xc,0x4,0x9,0x1,0x2,0xf,0x5,0x1,0x3,0x7,0xe,0x6,0x9,0xb,0x8,0xc,0x2,0xa,0x0,0x4,0xd,0x8,0x6,0x4,0x1,0x3,0xb,0xf,0x0,0x5,0xc,0x2,0xd,0x9,0x7,0xa,0xe,0xc,0xf,0xa,0x4,0x1,0x5,0x8,0x7,0x6,0x2,0xd,0xe,0x0,0x3,0x9,0xb]),_0x310177=_0x2a488d[_0x2ced7c(0x1f9)]([0xb,0xe,0xf,0xc,0x5,0x8,0x7,0x9,0xb,0xd,0xe,0xf,0x6,0x7,0x9,0x8,0x7,0x6,0x8,0xd,0xb,0x9,0x7,0xf,0x7,0xc,0xf,0x9,0xb,0x7,0xd,0xc,0xb,0xd,0x6,0x7,0xe,0x9,0xd,0xf,0xe,0x8,0xd,0x6,0x5,0xc,0x7,0x5,0xb,0xc,0xe,0xf,0xe,0xf,0x9,0x8,0x9,0xe,0x5,0x6,0x8,0x6,0x5,0xc,0x9,0xf,0x5,0xb,0x6,0x8,0xd,0xc,0x5,0xc,0xd,0xe,0xb,0x8,0x5,0x6]),_0x280b43=_0x2a488d[_0x2ced7c(0x1f9)]([0x8,0x9,0x9,0xb,0xd,0xf,0xf,0x5,0x7,0x7,0x8,0xb,0xe,0xe,0xc,0x6,0x9,0xd,0xf,0x7,0xc,0x8,0x9,0xb,0x7,0x7,0xc,0x7,0x6,0xf,0xd,0xb,0x9,0x7,0xf,0xb,0x8,0x6,0x6,0xe,0xc,0xd,0x5,0xe,0xd,0xd,0x7,0x5,0xf,0x5,0x8,0xb,0xe,0xe,0x6,0xe,0x6,0x9,0xc,0x9,0xc,0x5,0xf,0x8,0x8,0x5,0xc,0x9,0xc,0x5,0xe,0x6,0x8,0xd,0x6,0x5,0xf,0xd,0xb,0xb]),_0x3d9711=_0x2a488d[_0x2ced7c(0x1f9)]([0x0,0x5a827999,0x6ed9eba1,0x8f1bbcdc,0xa953fd4e]),_0xacba87=_0x2a488d[_0x2ced7c(0x1f9)]([0x50a28be6,0x5c4dd124,0x6d703ef3,0x7a6d76e9,0x0]),_0x19c1f0=_0xc54fe8[_0x2ced7c(0x1d3)]=_0x4a15c0[_0x2ced7c(0x21d)]({'_doReset':function(){var _0x5defec=_0x2ced7c;this[_0x5defec(0x202)]=_0x2a488d[_0x5defec(0x1f9)]([0x67452301,0xefcdab89,0x98badcfe,0x10325476,0xc3d2e1f0]);},'_doProcessBlock':function(_0x138aed,_0x11203b){var _0x409a9e=_0x2ced7c;for(var _0x2855a8=0x0;_0x2855a8<0x10;_0x2855a8++){var _0x33ee45=_0x11203b+_0x2855a8,_0x1e7741=_0x138aed[_0x33ee45];_0x138aed[_0x33ee45]=0xff00ff&(_0x1e7741<<0x8|_0x1e7741>>>0x18)|0xff00ff00&(_0x1e7741<<0x18|_0x1e7741>>>0x8);}var _0x8aac5f,_0x226dd2,_0xa16e5f,_0x25977d,_0x2c39cd,_0x1c851e,_0x1279d2,_0x10d728,_0x22fed3,_0x49c433,_0x9fc099,_0x18200e=this[_0x409a9e(0x202)][_0x409a9e(0x246)],_0x334558=_0x3d9711['words'],_0x43bc14=_0xacba87['words'],_0x1966c5=_0x4a8b07[_0x409a9e(0x246)],_0x1d0c5c=_0x2f77b0[_0x409a9e(0x246)],_0x2197b5=_0x310177['words'],_0x4ab601=_0x280b43['words'];for(_0x1c851e=_0x8aac5f=_0x18200e[0x0],_0x1279d2=_0x226dd2=_0x18200e[0x1],_0x10d728=_0xa16e5f=_0x18200e[0x2],_0x22fed3=_0x25977d=_0x18200e[0x3],_0x49c433=_0x2c39cd=_0x18200e[0x4],_0x2855a8=0x0;_0x2855a8<0x50;_0x2855a8+=0x1)_0x9fc099=_0x8aac5f+_0x138aed[_0x11203b+_0x1966c5[_0x2855a8]]|0x0,_0x9fc099+=_0x2855a8<0x10?_0x5a7424(_0x226dd2,_0xa16e5f,_0x25977d)+_0x334558[0x0]:_0x2855a8<0x20?_0x3bbaea(_0x226dd2,_0xa16e5f,_0x25977d)+_0x334558[0x1]:_0x2855a8<0x30?_0x50a316(_0x226dd2,_0xa16e5f,_0x25977d)+_0x334558[0x2]:_0x2855a8<0x40?_0x2495c0(_0x226dd2,_0xa16e5f,_0x25977d)+_0x334558[0x3]:_0x58569d(_0x226dd2,_0xa16e5f,_0x25977d)+_0x334558[0x4],_0x9fc099=(_0x9fc099=_0x8014e3(_0x9fc099|=0x0,_0x2197b5[_0x2855a8]))+_0x2c39cd|0x0,_0x8aac5f=_0x2c39cd,_0x2c39cd=_0x25977d,_0x25977d=_0x8014e3(_0xa16e5f,0xa),_0xa16e5f=_0x226dd2,_0x226dd2=_0x9fc099,_0x9fc099=_0x1c851e+_0x138aed[_0x11203b+_0x1d0c5c[_0x2855a8]]|0x0,_0x9fc099+=_0x2855a8<0x10?_0x58569d(_0x1279d2,_0x10d728,_0x22fed3)+_0x43bc14[0x0]:_0x2855a8<0x20?_0x2495c0(_0x1279d2,_0x10d728,_0x22fed3)+_0x43bc14[0x1]:_0x2855a8<0x30?_0x50a316(_0x1279d2,_0x10d728,_0x22fed3)+_0x43bc14[0x2]:_0x2855a8<0x40?_0x3bbaea(_0x1279d2,_0x10d728,_0x22fed3)+_0x43bc14[0x3]:_0x5a7424(_0x1279d2,_0x10d728,_0x22fed3)+_0x43bc14[0x4],_0x9fc099=(_0x9fc099=_0x8014e3(_0x9fc099|=0x0,_0x4ab601[_0x2855a8]))+_0x49c433|0x0,_0x1c851e=_0x49c433,_0x49c433=_0x22fed3,_0x22fed3=_0x8014e3(_0x10d728,0xa),_0x10d728=_0x1279d2,_0x1279d2=_0x9fc099;_0x9fc099=_0x18200e[0x1]+_0xa16e5f+_0x22fed3|0x0,_0x18200e[0x1]=_0x18200e[0x2]+_0x25977d+_0x49c433|0x0,_0x18200e[0x2]=_0x18200e[0x3]+_0x2c39cd+_0x1c851e|0x0,_0x18200e[0x3]=_0x18200e[0x4]+_0x8aac5f+_0x1279d2|0x0,_0x18200e[0x4]=_0x18200e[0x0]+_0x226dd2+_0x10d728|0x0,_0x18200e[0x0]=_0x9fc099;},'_doFinalize':function(){var _0x4920f1=_0x2ced7c,_0x2864de=this[_0x4920f1(0x1ab)],_0x4d0fe3=_0x2864de[_0x4920f1(0x246)],_0x5b3169=0x8*this['_nDataBytes'],_0x47593b=0x8*_0x2864de[_0x4920f1(0x1dd)];_0x4d0fe3[_0x47593b>>>0x5]|=0x80<<0x18-_0x47593b%0x20,_0x4d0fe3[0xe+(_0x47593b+0x40>>>0x9<<0x4)]=0xff00ff&(_0x5b3169<<0x8|_0x5b3169>>>0x18)|0xff00ff00&(_0x5b3169<<0x18|_0x5b3169>>>0x8),_0x2864de[_0x4920f1(0x1dd)]=0x4*(_0x4d0fe3[_0x4920f1(0x268)]+0x1),this[_0x4920f1(0x211)]();for(var _0x4b9ebc=this[_0x4920f1(0x202)],_0x469f68=_0x4b9ebc[_0x4920f1(0x246)],_0x14e294=0x0;_0x14e294<0x5;_0x14e294++){var _0x731914=_0x469f68[_0x14e294];_0x469f68[_0x14e294]=0xff00ff&(_0x731914<<0x8|_0x731914>>>0x18)|0xff00ff00&(_0x731914<<0x18|_0x731914>>>0x8);}return _0x4b9ebc;},'clone':function(){var _0x393014=_0x2ced7c,_0x54a1b4=_0x4a15c0[_0x393014(0x1f8)]['call'](this);return _0x54a1b4[_0x393014(0x202)]=this[_0x393014(0x202)][_0x393014(0x1f8)](),_0x54a1b4;}});function _0x5a7424(_0x305512,_0x583a59,_0x3e8aa9){return _0x305512^_0x583a59^_0x3e8aa9;}function _0x3bbaea(_0x728921,_0x81734c,_0x41b780){return _0x728921&_0x81734c|~_0x728921&_0x41b780;}function _0x50a316(_0x3e7ccd,_0xf17468,_0x5856aa){return(_0x3e7ccd|~_0xf17468)^_0x5856aa;}function _0x2495c0(_0x356152,_0x162fc4,_0x49ee40){return _0x356152&_0x49ee40|_0x162fc4&~_0x49ee40;}function _0x58569d(_0x1fb340,_0x5096dd,_0x2887e2){return _0x1fb340^(_0x5096dd|~_0x2887e2);}function _0x8014e3(_0x7cd974,_0x541489){return _0x7cd974<<_0x541489|_0x7cd974>>>0x20-_0x541489;}_0x5f042b['RIPEMD160']=_0x4a15c0[_0x2ced7c(0x1e2)](_0x19c1f0),_0x5f042b['HmacRIPEMD160']=_0x4a15c0['_createHmacHelper'](_0x19c1f0);}(Math)),_0xa81ccf[_0x1ff814(0x1d3)]);},0x49(_0x386a31,_0x2691c3,_0x4229d1){var _0x55ed47=a0_0x750d,_0x2aec3d;_0x386a31[_0x55ed47(0x250)]=(_0x2aec3d=_0x4229d1(0x15),_0x4229d1(0xa5),_0x2aec3d[_0x55ed47(0x245)][_0x55ed47(0x213)]={'pad':function(_0x3c9512,_0xef1a23){var _0x1c993a=_0x55ed47,_0x5dc80d=_0x3c9512[_0x1c993a(0x1dd)],_0x4f2715=0x4*_0xef1a23,_0x20868a=_0x4f2715-_0x5dc80d%_0x4f2715,_0x3a9e84=_0x5dc80d+_0x20868a-0x1;_0x3c9512[_0x1c993a(0x1b5)](),_0x3c9512[_0x1c993a(0x246)][_0x3a9e84>>>0x2]|=_0x20868a<<0x18-_0x3a9e84%0x4*0x8,_0x3c9512['sigBytes']+=_0x20868a;},'unpad':function(_0x165999){var _0x2fa6f6=_0x55ed47,_0x5678dc=0xff&_0x165999[_0x2fa6f6(0x246)][_0x165999['sigBytes']-0x1>>>0x2];_0x165999['sigBytes']-=_0x5678dc;}},_0x2aec3d['pad']['Ansix923']);},0x7c(_0x343312,_0x274eb7,_0x33669f){var _0x3b38ce=a0_0x750d,_0xc253c7;_0x343312[_0x3b38ce(0x250)]=(_0xc253c7=_0x33669f(0x15),_0x33669f(0xa5),_0xc253c7[_0x3b38ce(0x245)][_0x3b38ce(0x1bb)]={'pad':function(){},'unpad':function(){}},_0xc253c7[_0x3b38ce(0x245)]['NoPadding']);},0x80(_0x8cb7d7,_0x546b8f,_0x309a2b){var _0x2ec216=a0_0x750d,_0x35338b;_0x8cb7d7[_0x2ec216(0x250)]=(_0x35338b=_0x309a2b(0x15),_0x309a2b(0x2f2),_0x309a2b(0x27c),_0x309a2b(0x1fa),_0x309a2b(0xa5),(function(){var _0x187bda=_0x2ec216,_0x2a1502=_0x35338b,_0x4c9f4a=_0x2a1502[_0x187bda(0x1ce)][_0x187bda(0x1ca)],_0x53308e=_0x2a1502['algo'];const _0xc652f8=0x10,_0x362cf0=[0x243f6a88,0x85a308d3,0x13198a2e,0x3707344,0xa4093822,0x299f31d0,0x82efa98,0xec4e6c89,0x452821e6,0x38d01377,0xbe5466cf,0x34e90c6c,0xc0ac29b7,0xc97c50dd,0x3f84d5b5,0xb5470917,0x9216d5d9,0x8979fb1b],_0x51ec9d=[[0xd1310ba6,0x98dfb5ac,0x2ffd72db,0xd01adfb7,0xb8e1afed,0x6a267e96,0xba7c9045,0xf12c7f99,0x24a19947,0xb3916cf7,0x801f2e2,0x858efc16,0x636920d8,0x71574e69,0xa458fea3,0xf4933d7e,0xd95748f,0x728eb658,0x718bcd58,0x82154aee,0x7b54a41d,0xc25a59b5,0x9c30d539,0x2af26013,0xc5d1b023,0x286085f0,0xca417918,0xb8db38ef,0x8e79dcb0,0x603a180e,0x6c9e0e8b,0xb01e8a3e,0xd71577c1,0xbd314b27,0x78af2fda,0x55605c60,0xe65525f3,0xaa55ab94,0x57489862,0x63e81440,0x55ca396a,0x2aab10b6,0xb4cc5c34,0x1141e8ce,0xa15486af,0x7c72e993,0xb3ee1411,0x636fbc2a,0x2ba9c55d,0x741831f6,0xce5c3e16,0x9b87931e,0xafd6ba33,0x6c24cf5c,0x7a325381,0x28958677,0x3b8f4898,0x6b4bb9af,0xc4bfe81b,0x66282193,0x61d809cc,0xfb21a991,0x487cac60,0x5dec8032,0xef845d5d,0xe98575b1,0xdc262302,0xeb651b88,0x23893e81,0xd396acc5,0xf6d6ff3,0x83f44239,0x2e0b4482,0xa4842004,0x69c8f04a,0x9e1f9b5e,0x21c66842,0xf6e96c9a,0x670c9c61,0xabd388f0,0x6a51a0d2,0xd8542f68,0x960fa728,0xab5133a3,0x6eef0b6c,0x137a3be4,0xba3bf050,0x7efb2a98,0xa1f1651d,0x39af0176,0x66ca593e,0x82430e88,0x8cee8619,0x456f9fb4,0x7d84a5c3,0x3b8b5ebe,0xe06f75d8,0x85c12073,0x401a449f,0x56c16aa6,0x4ed3aa62,0x363f7706,0x1bfedf72,0x429b023d,0x37d0d724,0xd00a1248,0xdb0fead3,0x49f1c09b,0x75372c9,0x80991b7b,0x25d479d8,0xf6e8def7,0xe3fe501a,0xb6794c3b,0x976ce0bd,0x4c006ba,0xc1a94fb6,0x409f60c4,0x5e5c9ec2,0x196a2463,0x68fb6faf,0x3e6c53b5,0x1339b2eb,0x3b52ec6f,0x6dfc511f,0x9b30952c,0xcc814544,0xaf5ebd09,0xbee3d004,0xde334afd,0x660f2807,0x192e4bb3,0xc0cba857,0x45c8740f,0xd20b5f39,0xb9d3fbdb,0x5579c0bd,0x1a60320a,0xd6a100c6,0x402c7279,0x679f25fe,0xfb1fa3cc,0x8ea5e9f8,0xdb3222f8,0x3c7516df,0xfd616b15,0x2f501ec8,0xad0552ab,0x323db5fa,0xfd238760,0x53317b48,0x3e00df82,0x9e5c57bb,0xca6f8ca0,0x1a87562e,0xdf1769db,0xd542a8f6,0x287effc3,0xac6732c6,0x8c4f5573,0x695b27b0,0xbbca58c8,0xe1ffa35d,0xb8f011a0,0x10fa3d98,0xfd2183b8,0x4afcb56c,0x2dd1d35b,0x9a53e479,0xb6f84565,0xd28e49bc,0x4bfb9790,0xe1ddf2da,0xa4cb7e33,0x62fb1341,0xcee4c6e8,0xef20cada,0x36774c01,0xd07e9efe,0x2bf11fb4,0x95dbda4d,0xae909198,0xeaad8e71,0x6b93d5a0,0xd08ed1d0,0xafc725e0,0x8e3c5b2f,0x8e7594b7,0x8ff6e2fb,0xf2122b64,0x8888b812,0x900df01c,0x4fad5ea0,0x688fc31c,0xd1cff191,0xb3a8c1ad,0x2f2f2218,0xbe0e1777,0xea752dfe,0x8b021fa1,0xe5a0cc0f,0xb56f74e8,0x18acf3d6,0xce89e299,0xb4a84fe0,0xfd13e0b7,0x7cc43b81,0xd2ada8d9,0x165fa266,0x80957705,0x93cc7314,0x211a1477,0xe6ad2065,0x77b5fa86,0xc75442f5,0xfb9d35cf,0xebcdaf0c,0x7b3e89a0,0xd6411bd3,0xae1e7e49,0x250e2d,0x2071b35e,0x226800bb,0x57b8e0af,0x2464369b,0xf009b91e,0x5563911d,0x59dfa6aa,0x78c14389,0xd95a537f,0x207d5ba2,0x2e5b9c5,0x83260376,0x6295cfa9,0x11c81968,0x4e734a41,0xb3472dca,0x7b14a94a,0x1b510052,0x9a532915,0xd60f573f,0xbc9bc6e4,0x2b60a476,0x81e67400,0x8ba6fb5,0x571be91f,0xf296ec6b,0x2a0dd915,0xb6636521,0xe7b9f9b6,0xff34052e,0xc5855664,0x53b02d5d,0xa99f8fa1,0x8ba4799,0x6e85076a],[0x4b7a70e9,0xb5b32944,0xdb75092e,0xc4192623,0xad6ea6b0,0x49a7df7d,0x9cee60b8,0x8fedb266,0xecaa8c71,0x699a17ff,0x5664526c,0xc2b19ee1,0x193602a5,0x75094c29,0xa0591340,0xe4183a3e,0x3f54989a,0x5b429d65,0x6b8fe4d6,0x99f73fd6,0xa1d29c07,0xefe830f5,0x4d2d38e6,0xf0255dc1,0x4cdd2086,0x8470eb26,0x6382e9c6,0x21ecc5e,0x9686b3f,0x3ebaefc9,0x3c971814,0x6b6a70a1,0x687f3584,0x52a0e286,0xb79c5305,0xaa500737,0x3e07841c,0x7fdeae5c,0x8e7d44ec,0x5716f2b8,0xb03ada37,0xf0500c0d,0xf01c1f04,0x200b3ff,0xae0cf51a,0x3cb574b2,0x25837a58,0xdc0921bd,0xd19113f9,0x7ca92ff6,0x94324773,0x22f54701,0x3ae5e581,0x37c2dadc,0xc8b57634,0x9af3dda7,0xa9446146,0xfd0030e,0xecc8c73e,0xa4751e41,0xe238cd99,0x3bea0e2f,0x3280bba1,0x183eb331,0x4e548b38,0x4f6db908,0x6f420d03,0xf60a04bf,0x2cb81290,0x24977c79,0x5679b072,0xbcaf89af,0xde9a771f,0xd9930810,0xb38bae12,0xdccf3f2e,0x5512721f,0x2e6b7124,0x501adde6,0x9f84cd87,0x7a584718,0x7408da17,0xbc9f9abc,0xe94b7d8c,0xec7aec3a,0xdb851dfa,0x63094366,0xc464c3d2,0xef1c1847,0x3215d908,0xdd433b37,0x24c2ba16,0x12a14d43,0x2a65c451,0x50940002,0x133ae4dd,0x71dff89e,0x10314e55,0x81ac77d6,0x5f11199b,0x43556f1,0xd7a3c76b,0x3c11183b,0x5924a509,0xf28fe6ed,0x97f1fbfa,0x9ebabf2c,0x1e153c6e,0x86e34570,0xeae96fb1,0x860e5e0a,0x5a3e2ab3,0x771fe71c,0x4e3d06fa,0x2965dcb9,0x99e71d0f,0x803e89d6,0x5266c825,0x2e4cc978,0x9c10b36a,0xc6150eba,0x94e2ea78,0xa5fc3c53,0x1e0a2df4,0xf2f74ea7,0x361d2b3d,0x1939260f,0x19c27960,0x5223a708,0xf71312b6,0xebadfe6e,0xeac31f66,0xe3bc4595,0xa67bc883,0xb17f37d1,0x18cff28,0xc332ddef,0xbe6c5aa5,0x65582185,0x68ab9802,0xeecea50f,0xdb2f953b,0x2aef7dad,0x5b6e2f84,0x1521b628,0x29076170,0xecdd4775,0x619f1510,0x13cca830,0xeb61bd96,0x334fe1e,0xaa0363cf,0xb5735c90,0x4c70a239,0xd59e9e0b,0xcbaade14,0xeecc86bc,0x60622ca7,0x9cab5cab,0xb2f3846e,0x648b1eaf,0x19bdf0ca,0xa02369b9,0x655abb50,0x40685a32,0x3c2ab4b3,0x319ee9d5,0xc021b8f7,0x9b540b19,0x875fa099,0x95f7997e,0x623d7da8,0xf837889a,0x97e32d77,0x11ed935f,0x16681281,0xe358829,0xc7e61fd6,0x96dedfa1,0x7858ba99,0x57f584a5,0x1b227263,0x9b83c3ff,0x1ac24696,0xcdb30aeb,0x532e3054,0x8fd948e4,0x6dbc3128,0x58ebf2ef,0x34c6ffea,0xfe28ed61,0xee7c3c73,0x5d4a14d9,0xe864b7e3,0x42105d14,0x203e13e0,0x45eee2b6,0xa3aaabea,0xdb6c4f15,0xfacb4fd0,0xc742f442,0xef6abbb5,0x654f3b1d,0x41cd2105,0xd81e799e,0x86854dc7,0xe44b476a,0x3d816250,0xcf62a1f2,0x5b8d2646,0xfc8883a0,0xc1c7b6a3,0x7f1524c3,0x69cb7492,0x47848a0b,0x5692b285,0x95bbf00,0xad19489d,0x1462b174,0x23820e00,0x58428d2a,0xc55f5ea,0x1dadf43e,0x233f7061,0x3372f092,0x8d937e41,0xd65fecf1,0x6c223bdb,0x7cde3759,0xcbee7460,0x4085f2a7,0xce77326e,0xa6078084,0x19f8509e,0xe8efd855,0x61d99735,0xa969a7aa,0xc50c06c2,0x5a04abfc,0x800bcadc,0x9e447a2e,0xc3453484,0xfdd56705,0xe1e9ec9,0xdb73dbd3,0x105588cd,0x675fda79,0xe3674340,0xc5c43465,0x713e38d8,0x3d28f89e,0xf16dff20,0x153e21e7,0x8fb03d4a,0xe6e39f2b,0xdb83adf7],[0xe93d5a68,0x948140f7,0xf64c261c,0x94692934,0x411520f7,0x7602d4f7,0xbcf46b2e,0xd4a20068,0xd4082471,0x3320f46a,0x43b7d4b7,0x500061af,0x1e39f62e,0x97244546,0x14214f74,0xbf8b8840,0x4d95fc1d,0x96b591af,0x70f4ddd3,0x66a02f45,0xbfbc09ec,0x3bd9785,0x7fac6dd0,0x31cb8504,0x96eb27b3,0x55fd3941,0xda2547e6,0xabca0a9a,0x28507825,0x530429f4,0xa2c86da,0xe9b66dfb,0x68dc1462,0xd7486900,0x680ec0a4,0x27a18dee,0x4f3ffea2,0xe887ad8c,0xb58ce006,0x7af4d6b6,0xaace1e7c,0xd3375fec,0xce78a399,0x406b2a42,0x20fe9e35,0xd9f385b9,0xee39d7ab,0x3b124e8b,0x1dc9faf7,0x4b6d1856,0x26a36631,0xeae397b2,0x3a6efa74,0xdd5b4332,0x6841e7f7,0xca7820fb,0xfb0af54e,0xd8feb397,0x454056ac,0xba489527,0x55533a3a,0x20838d87,0xfe6ba9b7,0xd096954b,0x55a867bc,0xa1159a58,0xcca92963,0x99e1db33,0xa62a4a56,0x3f3125f9,0x5ef47e1c,0x9029317c,0xfdf8e802,0x4272f70,0x80bb155c,0x5282ce3,0x95c11548,0xe4c66d22,0x48c1133f,0xc70f86dc,0x7f9c9ee,0x41041f0f,0x404779a4,0x5d886e17,0x325f51eb,0xd59bc0d1,0xf2bcc18f,0x41113564,0x257b7834,0x602a9c60,0xdff8e8a3,0x1f636c1b,0xe12b4c2,0x2e1329e,0xaf664fd1,0xcad18115,0x6b2395e0,0x333e92e1,0x3b240b62,0xeebeb922,0x85b2a20e,0xe6ba0d99,0xde720c8c,0x2da2f728,0xd0127845,0x95b794fd,0x647d0862,0xe7ccf5f0,0x5449a36f,0x877d48fa,0xc39dfd27,0xf33e8d1e,0xa476341,0x992eff74,0x3a6f6eab,0xf4f8fd37,0xa812dc60,0xa1ebddf8,0x991be14c,0xdb6e6b0d,0xc67b5510,0x6d672c37,0x2765d43b,0xdcd0e804,0xf1290dc7,0xcc00ffa3,0xb5390f92,0x690fed0b,0x667b9ffb,0xcedb7d9c,0xa091cf0b,0xd9155ea3,0xbb132f88,0x515bad24,0x7b9479bf,0x763bd6eb,0x37392eb3,0xcc115979,0x8026e297,0xf42e312d,0x6842ada7,0xc66a2b3b,0x12754ccc,0x782ef11c,0x6a124237,0xb79251e7,0x6a1bbe6,0x4bfb6350,0x1a6b1018,0x11caedfa,0x3d25bdd8,0xe2e1c3c9,0x44421659,0xa121386,0xd90cec6e,0xd5abea2a,0x64af674e,0xda86a85f,0xbebfe988,0x64e4c3fe,0x9dbc8057,0xf0f7c086,0x60787bf8,0x6003604d,0xd1fd8346,0xf6381fb0,0x7745ae04,0xd736fccc,0x83426b33,0xf01eab71,0xb0804187,0x3c005e5f,0x77a057be,0xbde8ae24,0x55464299,0xbf582e61,0x4e58f48f,0xf2ddfda2,0xf474ef38,0x8789bdc2,0x5366f9c3,0xc8b38e74,0xb475f255,0x46fcd9b9,0x7aeb2661,0x8b1ddf84,0x846a0e79,0x915f95e2,0x466e598e,0x20b45770,0x8cd55591,0xc902de4c,0xb90bace1,0xbb8205d0,0x11a86248,0x7574a99e,0xb77f19b6,0xe0a9dc09,0x662d09a1,0xc4324633,0xe85a1f02,0x9f0be8c,0x4a99a025,0x1d6efe10,0x1ab93d1d,0xba5a4df,0xa186f20f,0x2868f169,0xdcb7da83,0x573906fe,0xa1e2ce9b,0x4fcd7f52,0x50115e01,0xa70683fa,0xa002b5c4,0xde6d027,0x9af88c27,0x773f8641,0xc3604c06,0x61a806b5,0xf0177a28,0xc0f586e0,0x6058aa,0x30dc7d62,0x11e69ed7,0x2338ea63,0x53c2dd94,0xc2c21634,0xbbcbee56,0x90bcb6de,0xebfc7da1,0xce591d76,0x6f05e409,0x4b7c0188,0x39720a3d,0x7c927c24,0x86e3725f,0x724d9db9,0x1ac15bb4,0xd39eb8fc,0xed545578,0x8fca5b5,0xd83d7cd3,0x4dad0fc4,0x1e50ef5e,0xb161e6f8,0xa28514d9,0x6c51133c,0x6fd5c7e7,0x56e14ec4,0x362abfce,0xddc6c837,0xd79a3234,0x92638212,0x670efa8e,0x406000e0],[0x3a39ce37,0xd3faf5cf,0xabc27737,0x5ac52d1b,0x5cb0679e,0x4fa33742,0xd3822740,0x99bc9bbe,0xd5118e9d,0xbf0f7315,0xd62d1c7e,0xc700c47b,0xb78c1b6b,0x21a19045,0xb26eb1be,0x6a366eb4,0x5748ab2f,0xbc946e79,0xc6a376d2,0x6549c2c8,0x530ff8ee,0x468dde7d,0xd5730a1d,0x4cd04dc6,0x2939bbdb,0xa9ba4650,0xac9526e8,0xbe5ee304,0xa1fad5f0,0x6a2d519a,0x63ef8ce2,0x9a86ee22,0xc089c2b8,0x43242ef6,0xa51e03aa,0x9cf2d0a4,0x83c061ba,0x9be96a4d,0x8fe51550,0xba645bd6,0x2826a2f9,0xa73a3ae1,0x4ba99586,0xef5562e9,0xc72fefd3,0xf752f7da,0x3f046f69,0x77fa0a59,0x80e4a915,0x87b08601,0x9b09e6ad,0x3b3ee593,0xe990fd5a,0x9e34d797,0x2cf0b7d9,0x22b8b51,0x96d5ac3a,0x17da67d,0xd1cf3ed6,0x7c7d2d28,0x1f9f25cf,0xadf2b89b,0x5ad6b472,0x5a88f54c,0xe029ac71,0xe019a5e6,0x47b0acfd,0xed93fa9b,0xe8d3c48d,0x283b57cc,0xf8d56629,0x79132e28,0x785f0191,0xed756055,0xf7960e44,0xe3d35e8c,0x15056dd4,0x88f46dba,0x3a16125,0x564f0bd,0xc3eb9e15,0x3c9057a2,0x97271aec,0xa93a072a,0x1b3f6d9b,0x1e6321f5,0xf59c66fb,0x26dcf319,0x7533d928,0xb155fdf5,0x3563482,0x8aba3cbb,0x28517711,0xc20ad9f8,0xabcc5167,0xccad925f,0x4de81751,0x3830dc8e,0x379d5862,0x9320f991,0xea7a90c2,0xfb3e7bce,0x5121ce64,0x774fbe32,0xa8b6e37e,0xc3293d46,0x48de5369,0x6413e680,0xa2ae0810,0xdd6db224,0x69852dfd,0x9072166,0xb39a460a,0x6445c0dd,0x586cdecf,0x1c20c8ae,0x5bbef7dd,0x1b588d40,0xccd2017f,0x6bb4e3bb,0xdda26a7e,0x3a59ff45,0x3e350a44,0xbcb4cdd5,0x72eacea8,0xfa6484bb,0x8d6612ae,0xbf3c6f47,0xd29be463,0x542f5d9e,0xaec2771b,0xf64e6370,0x740e0d8d,0xe75b1357,0xf8721671,0xaf537d5d,0x4040cb08,0x4eb4e2cc,0x34d2466a,0x115af84,0xe1b00428,0x95983a1d,0x6b89fb4,0xce6ea048,0x6f3f3b82,0x3520ab82,0x11a1d4b,0x277227f8,0x611560b1,0xe7933fdc,0xbb3a792b,0x344525bd,0xa08839e1,0x51ce794b,0x2f32c9b7,0xa01fbac9,0xe01cc87e,0xbcc7d1f6,0xcf0111c3,0xa1e8aac7,0x1a908749,0xd44fbd9a,0xd0dadecb,0xd50ada38,0x339c32a,0xc6913667,0x8df9317c,0xe0b12b4f,0xf79e59b7,0x43f5bb3a,0xf2d519ff,0x27d9459c,0xbf97222c,0x15e6fc2a,0xf91fc71,0x9b941525,0xfae59361,0xceb69ceb,0xc2a86459,0x12baa8d1,0xb6c1075e,0xe3056a0c,0x10d25065,0xcb03a442,0xe0ec6e0e,0x1698db3b,0x4c98a0be,0x3278e964,0x9f1f9532,0xe0d392df,0xd3a0342b,0x8971f21e,0x1b0a7441,0x4ba3348c,0xc5be7120,0xc37632d8,0xdf359f8d,0x9b992f2e,0xe60b6f47,0xfe3f11d,0xe54cda54,0x1edad891,0xce6279cf,0xcd3e7e6f,0x1618b166,0xfd2c1d05,0x848fd2c5,0xf6fb2299,0xf523f357,0xa6327623,0x93a83531,0x56cccd02,0xacf08162,0x5a75ebb5,0x6e163697,0x88d273cc,0xde966292,0x81b949d0,0x4c50901b,0x71c65614,0xe6c6c7bd,0x327a140a,0x45e1d006,0xc3f27b9a,0xc9aa53fd,0x62a80f00,0xbb25bfe2,0x35bdd2f6,0x71126905,0xb2040222,0xb6cbcf7c,0xcd769c2b,0x53113ec0,0x1640e3d3,0x38abbd60,0x2547adf0,0xba38209c,0xf746ce76,0x77afa1c5,0x20756060,0x85cbfe4e,0x8ae88dd8,0x7aaaf9b0,0x4cf9aa7e,0x1948c25c,0x2fb8a8c,0x1c36ae4,0xd6ebe1f9,0x90d4f869,0xa65cdea0,0x3f09252d,0xc208e69f,0xb74e6132,0xce77e25b,0x578fdfe3,0x3ac372e6]];var _0x177649={'pbox':[],'sbox':[]};function _0x273e65(_0x148095,_0xea5fa0){var _0xbc548d=_0x187bda;let _0x170a3b=_0xea5fa0>>0x18&0xff,_0x1bdba5=_0xea5fa0>>0x10&0xff,_0xe5d084=_0xea5fa0>>0x8&0xff,_0x2aa3a9=0xff&_0xea5fa0,_0x30978d=_0x148095[_0xbc548d(0x227)][0x0][_0x170a3b]+_0x148095[_0xbc548d(0x227)][0x1][_0x1bdba5];return _0x30978d^=_0x148095['sbox'][0x2][_0xe5d084],_0x30978d+=_0x148095[_0xbc548d(0x227)][0x3][_0x2aa3a9],_0x30978d;}function _0x4abe30(_0x748437,_0xe5b023,_0x264612){var _0x22f5c8=_0x187bda;let _0x385ae0,_0x2f326b=_0xe5b023,_0x2b65f7=_0x264612;for(let _0x5b82e3=0x0;_0x5b82e3<_0xc652f8;++_0x5b82e3)_0x2f326b^=_0x748437['pbox'][_0x5b82e3],_0x2b65f7=_0x273e65(_0x748437,_0x2f326b)^_0x2b65f7,_0x385ae0=_0x2f326b,_0x2f326b=_0x2b65f7,_0x2b65f7=_0x385ae0;return _0x385ae0=_0x2f326b,_0x2f326b=_0x2b65f7,_0x2b65f7=_0x385ae0,_0x2b65f7^=_0x748437[_0x22f5c8(0x1c8)][_0xc652f8],_0x2f326b^=_0x748437[_0x22f5c8(0x1c8)][0x11],{'left':_0x2f326b,'right':_0x2b65f7};}var _0x52b9d8=_0x53308e[_0x187bda(0x257)]=_0x4c9f4a[_0x187bda(0x21d)]({'_doReset':function(){var _0x2f9f1b=_0x187bda;if(this[_0x2f9f1b(0x24c)]!==this['_key']){var _0x380004=this[_0x2f9f1b(0x24c)]=this[_0x2f9f1b(0x1c3)],_0x52430d=_0x380004[_0x2f9f1b(0x246)],_0x57f446=_0x380004['sigBytes']/0x4;!function(_0x24c3e3,_0x3fa7ee,_0x117426){var _0x4a7c1d=_0x2f9f1b;for(let _0x3e7845=0x0;_0x3e7845<0x4;_0x3e7845++){_0x24c3e3[_0x4a7c1d(0x227)][_0x3e7845]=[];for(let _0x53d42d=0x0;_0x53d42d<0x100;_0x53d42d++)_0x24c3e3['sbox'][_0x3e7845][_0x53d42d]=_0x51ec9d[_0x3e7845][_0x53d42d];}let _0x21377f=0x0;for(let _0x8044b8=0x0;_0x8044b8<0x12;_0x8044b8++)_0x24c3e3[_0x4a7c1d(0x1c8)][_0x8044b8]=_0x362cf0[_0x8044b8]^_0x3fa7ee[_0x21377f],_0x21377f++,_0x21377f>=_0x117426&&(_0x21377f=0x0);let _0x61e5de=0x0,_0x451b4d=0x0,_0x432fa6=0x0;for(let _0x13089e=0x0;_0x13089e<0x12;_0x13089e+=0x2)_0x432fa6=_0x4abe30(_0x24c3e3,_0x61e5de,_0x451b4d),_0x61e5de=_0x432fa6[_0x4a7c1d(0x1ac)],_0x451b4d=_0x432fa6[_0x4a7c1d(0x1ff)],_0x24c3e3['pbox'][_0x13089e]=_0x61e5de,_0x24c3e3[_0x4a7c1d(0x1c8)][_0x13089e+0x1]=_0x451b4d;for(let _0x459189=0x0;_0x459189<0x4;_0x459189++)for(let _0x13e33f=0x0;_0x13e33f<0x100;_0x13e33f+=0x2)_0x432fa6=_0x4abe30(_0x24c3e3,_0x61e5de,_0x451b4d),_0x61e5de=_0x432fa6[_0x4a7c1d(0x1ac)],_0x451b4d=_0x432fa6[_0x4a7c1d(0x1ff)],_0x24c3e3[_0x4a7c1d(0x227)][_0x459189][_0x13e33f]=_0x61e5de,_0x24c3e3[_0x4a7c1d(0x227)][_0x459189][_0x13e33f+0x1]=_0x451b4d;}(_0x177649,_0x52430d,_0x57f446);}},'encryptBlock':function(_0x1dbfeb,_0x5c45bb){var _0x135446=_0x187bda,_0x2fc589=_0x4abe30(_0x177649,_0x1dbfeb[_0x5c45bb],_0x1dbfeb[_0x5c45bb+0x1]);_0x1dbfeb[_0x5c45bb]=_0x2fc589[_0x135446(0x1ac)],_0x1dbfeb[_0x5c45bb+0x1]=_0x2fc589[_0x135446(0x1ff)];},'decryptBlock':function(_0x3a0fba,_0x26ca74){var _0xce43c6=_0x187bda,_0x391609=function(_0x324182,_0xd00864,_0x4e6890){var _0x735c00=a0_0x750d;let _0x3c8560,_0x2f5e39=_0xd00864,_0x24ad93=_0x4e6890;for(let _0x525fcc=0x11;_0x525fcc>0x1;--_0x525fcc)_0x2f5e39^=_0x324182[_0x735c00(0x1c8)][_0x525fcc],_0x24ad93=_0x273e65(_0x324182,_0x2f5e39)^_0x24ad93,_0x3c8560=_0x2f5e39,_0x2f5e39=_0x24ad93,_0x24ad93=_0x3c8560;return _0x3c8560=_0x2f5e39,_0x2f5e39=_0x24ad93,_0x24ad93=_0x3c8560,_0x24ad93^=_0x324182[_0x735c00(0x1c8)][0x1],_0x2f5e39^=_0x324182[_0x735c00(0x1c8)][0x0],{'left':_0x2f5e39,'right':_0x24ad93};}(_0x177649,_0x3a0fba[_0x26ca74],_0x3a0fba[_0x26ca74+0x1]);_0x3a0fba[_0x26ca74]=_0x391609[_0xce43c6(0x1ac)],_0x3a0fba[_0x26ca74+0x1]=_0x391609[_0xce43c6(0x1ff)];},'blockSize':0x2,'keySize':0x4,'ivSize':0x2});_0x2a1502[_0x187bda(0x257)]=_0x4c9f4a['_createHelper'](_0x52b9d8);}()),_0x35338b[_0x2ec216(0x257)]);},0x9b(_0x1cef47,_0x3ab35c,_0x938397){var _0x33570e=a0_0x750d,_0xffc7d6;_0x1cef47[_0x33570e(0x250)]=(_0xffc7d6=_0x938397(0x15),_0x938397(0xa5),_0xffc7d6[_0x33570e(0x245)][_0x33570e(0x217)]={'pad':function(_0x37b090,_0x2d9c35){var _0x194e7f=_0x33570e,_0x416166=0x4*_0x2d9c35;_0x37b090['clamp'](),_0x37b090[_0x194e7f(0x1dd)]+=_0x416166-(_0x37b090[_0x194e7f(0x1dd)]%_0x416166||_0x416166);},'unpad':function(_0x7000d4){var _0x577928=_0x33570e,_0x2d9429=_0x7000d4[_0x577928(0x246)],_0x201eb2=_0x7000d4[_0x577928(0x1dd)]-0x1;for(_0x201eb2=_0x7000d4[_0x577928(0x1dd)]-0x1;_0x201eb2>=0x0;_0x201eb2--)if(_0x2d9429[_0x201eb2>>>0x2]>>>0x18-_0x201eb2%0x4*0x8&0xff){_0x7000d4[_0x577928(0x1dd)]=_0x201eb2+0x1;break;}}},_0xffc7d6[_0x33570e(0x245)][_0x33570e(0x217)]);},0xa5(_0x554aea,_0x3beaa4,_0x434421){var _0x227e47=a0_0x750d,_0x552340,_0x4aa54b,_0x5568f0,_0x3238cd,_0x32bfd8,_0x33f241,_0x42d607,_0x3bb0d0,_0x28112e,_0x55907e,_0x4d5f75,_0x57ef98,_0x30da84,_0xba4af9,_0xbdfc05,_0x256dcf,_0xa763d2,_0x2d174a,_0x99ba97;_0x554aea[_0x227e47(0x250)]=(_0x552340=_0x434421(0x15),_0x434421(0x1fa),void(_0x552340[_0x227e47(0x1ce)][_0x227e47(0x24e)]||(_0x4aa54b=_0x552340,_0x5568f0=_0x4aa54b[_0x227e47(0x1ce)],_0x3238cd=_0x5568f0[_0x227e47(0x1cb)],_0x32bfd8=_0x5568f0[_0x227e47(0x25f)],_0x33f241=_0x5568f0[_0x227e47(0x263)],_0x42d607=_0x4aa54b['enc'],_0x42d607[_0x227e47(0x208)],_0x3bb0d0=_0x42d607[_0x227e47(0x259)],_0x28112e=_0x4aa54b['algo'][_0x227e47(0x21a)],_0x55907e=_0x5568f0[_0x227e47(0x24e)]=_0x33f241[_0x227e47(0x21d)]({'cfg':_0x3238cd['extend'](),'createEncryptor':function(_0x41ad22,_0x482841){var _0x349885=_0x227e47;return this[_0x349885(0x1f9)](this[_0x349885(0x20d)],_0x41ad22,_0x482841);},'createDecryptor':function(_0xc453ae,_0x59b9b1){var _0x4539db=_0x227e47;return this[_0x4539db(0x1f9)](this['_DEC_XFORM_MODE'],_0xc453ae,_0x59b9b1);},'init':function(_0x4e1075,_0x9d4f8c,_0x29b887){var _0x12f442=_0x227e47;this[_0x12f442(0x223)]=this[_0x12f442(0x223)][_0x12f442(0x21d)](_0x29b887),this[_0x12f442(0x1df)]=_0x4e1075,this[_0x12f442(0x1c3)]=_0x9d4f8c,this[_0x12f442(0x261)]();},'reset':function(){var _0x34f7f1=_0x227e47;_0x33f241[_0x34f7f1(0x261)]['call'](this),this[_0x34f7f1(0x269)]();},'process':function(_0x4faaee){var _0x406081=_0x227e47;return this[_0x406081(0x25e)](_0x4faaee),this[_0x406081(0x211)]();},'finalize':function(_0x5a21a5){var _0x1bf8e2=_0x227e47;return _0x5a21a5&&this[_0x1bf8e2(0x25e)](_0x5a21a5),this[_0x1bf8e2(0x272)]();},'keySize':0x4,'ivSize':0x4,'_ENC_XFORM_MODE':0x1,'_DEC_XFORM_MODE':0x2,'_createHelper':(function(){function _0x4c1ae3(_0xde728b){var _0x36ea02=a0_0x750d;return _0x36ea02(0x1f6)==typeof _0xde728b?_0x99ba97:_0xa763d2;}return function(_0x18f355){return{'encrypt':function(_0x213142,_0x462dba,_0x20f1ca){var _0xe36475=a0_0x750d;return _0x4c1ae3(_0x462dba)[_0xe36475(0x1ea)](_0x18f355,_0x213142,_0x462dba,_0x20f1ca);},'decrypt':function(_0x46d3e3,_0x454a8a,_0xf8b171){var _0xf7c85e=a0_0x750d;return _0x4c1ae3(_0x454a8a)[_0xf7c85e(0x258)](_0x18f355,_0x46d3e3,_0x454a8a,_0xf8b171);}};};}())}),_0x5568f0[_0x227e47(0x1c7)]=_0x55907e[_0x227e47(0x21d)]({'_doFinalize':function(){var _0x145057=_0x227e47;return this[_0x145057(0x211)](!0x0);},'blockSize':0x1}),_0x4d5f75=_0x4aa54b[_0x227e47(0x1c1)]={},_0x57ef98=_0x5568f0[_0x227e47(0x203)]=_0x3238cd[_0x227e47(0x21d)]({'createEncryptor':function(_0x50a411,_0x156af9){var _0x2d557a=_0x227e47;return this[_0x2d557a(0x1ef)]['create'](_0x50a411,_0x156af9);},'createDecryptor':function(_0x5aa1c7,_0x355d4d){var _0x46ec9c=_0x227e47;return this['Decryptor'][_0x46ec9c(0x1f9)](_0x5aa1c7,_0x355d4d);},'init':function(_0x50533d,_0x41db28){var _0x8a9f17=_0x227e47;this[_0x8a9f17(0x1e5)]=_0x50533d,this['_iv']=_0x41db28;}}),_0x30da84=_0x4d5f75[_0x227e47(0x26d)]=(function(){var _0x2312b1=_0x227e47,_0x297d21=_0x57ef98['extend']();function _0x4f023f(_0xe88b68,_0x1b29a7,_0x46dce8){var _0x366ab0=a0_0x750d,_0x36d5c2,_0x4b268f=this[_0x366ab0(0x21b)];_0x4b268f?(_0x36d5c2=_0x4b268f,this[_0x366ab0(0x21b)]=void 0x0):_0x36d5c2=this[_0x366ab0(0x1f2)];for(var _0x23ed6f=0x0;_0x23ed6f<_0x46dce8;_0x23ed6f++)_0xe88b68[_0x1b29a7+_0x23ed6f]^=_0x36d5c2[_0x23ed6f];}return _0x297d21[_0x2312b1(0x1ef)]=_0x297d21[_0x2312b1(0x21d)]({'processBlock':function(_0x476c04,_0x6b31f5){var _0x50a70c=_0x2312b1,_0xcc5eb9=this[_0x50a70c(0x1e5)],_0x4c3ff5=_0xcc5eb9[_0x50a70c(0x25a)];_0x4f023f[_0x50a70c(0x1c2)](this,_0x476c04,_0x6b31f5,_0x4c3ff5),_0xcc5eb9[_0x50a70c(0x1c6)](_0x476c04,_0x6b31f5),this[_0x50a70c(0x1f2)]=_0x476c04[_0x50a70c(0x1a5)](_0x6b31f5,_0x6b31f5+_0x4c3ff5);}}),_0x297d21['Decryptor']=_0x297d21[_0x2312b1(0x21d)]({'processBlock':function(_0x314087,_0x43a537){var _0x14648a=_0x2312b1,_0x2d1cbe=this[_0x14648a(0x1e5)],_0xb9d60a=_0x2d1cbe[_0x14648a(0x25a)],_0x961f0d=_0x314087[_0x14648a(0x1a5)](_0x43a537,_0x43a537+_0xb9d60a);_0x2d1cbe['decryptBlock'](_0x314087,_0x43a537),_0x4f023f['call'](this,_0x314087,_0x43a537,_0xb9d60a),this[_0x14648a(0x1f2)]=_0x961f0d;}}),_0x297d21;}()),_0xba4af9=(_0x4aa54b[_0x227e47(0x245)]={})[_0x227e47(0x274)]={'pad':function(_0x41dd67,_0x2aa7f8){var _0x4d9508=_0x227e47;for(var _0x50d867=0x4*_0x2aa7f8,_0x416c1b=_0x50d867-_0x41dd67[_0x4d9508(0x1dd)]%_0x50d867,_0x1db200=_0x416c1b<<0x18|_0x416c1b<<0x10|_0x416c1b<<0x8|_0x416c1b,_0x40e65a=[],_0x39d0d4=0x0;_0x39d0d4<_0x416c1b;_0x39d0d4+=0x4)_0x40e65a['push'](_0x1db200);var _0x321416=_0x32bfd8['create'](_0x40e65a,_0x416c1b);_0x41dd67[_0x4d9508(0x25c)](_0x321416);},'unpad':function(_0x16e6bc){var _0x1647c7=_0x227e47,_0x322822=0xff&_0x16e6bc[_0x1647c7(0x246)][_0x16e6bc[_0x1647c7(0x1dd)]-0x1>>>0x2];_0x16e6bc[_0x1647c7(0x1dd)]-=_0x322822;}},_0x5568f0[_0x227e47(0x1ca)]=_0x55907e['extend']({'cfg':_0x55907e[_0x227e47(0x223)][_0x227e47(0x21d)]({'mode':_0x30da84,'padding':_0xba4af9}),'reset':function(){var _0x5148c9=_0x227e47,_0x1cc248;_0x55907e['reset'][_0x5148c9(0x1c2)](this);var _0x45fa42=this[_0x5148c9(0x223)],_0x347a70=_0x45fa42['iv'],_0x32ac56=_0x45fa42['mode'];this['_xformMode']==this[_0x5148c9(0x20d)]?_0x1cc248=_0x32ac56[_0x5148c9(0x235)]:(_0x1cc248=_0x32ac56[_0x5148c9(0x247)],this[_0x5148c9(0x218)]=0x1),this[_0x5148c9(0x255)]&&this[_0x5148c9(0x255)][_0x5148c9(0x1e3)]==_0x1cc248?this['_mode']['init'](this,_0x347a70&&_0x347a70[_0x5148c9(0x246)]):(this[_0x5148c9(0x255)]=_0x1cc248[_0x5148c9(0x1c2)](_0x32ac56,this,_0x347a70&&_0x347a70['words']),this[_0x5148c9(0x255)][_0x5148c9(0x1e3)]=_0x1cc248);},'_doProcessBlock':function(_0x5d8ab7,_0x28fe83){var _0x1fc18f=_0x227e47;this[_0x1fc18f(0x255)][_0x1fc18f(0x1db)](_0x5d8ab7,_0x28fe83);},'_doFinalize':function(){var _0x50a588=_0x227e47,_0x492687,_0x28c892=this['cfg'][_0x50a588(0x25b)];return this[_0x50a588(0x1df)]==this[_0x50a588(0x20d)]?(_0x28c892[_0x50a588(0x245)](this[_0x50a588(0x1ab)],this[_0x50a588(0x25a)]),_0x492687=this['_process'](!0x0)):(_0x492687=this[_0x50a588(0x211)](!0x0),_0x28c892[_0x50a588(0x273)](_0x492687)),_0x492687;},'blockSize':0x4}),_0xbdfc05=_0x5568f0[_0x227e47(0x1f3)]=_0x3238cd[_0x227e47(0x21d)]({'init':function(_0x4821b6){var _0x5c96d0=_0x227e47;this[_0x5c96d0(0x21f)](_0x4821b6);},'toString':function(_0x339e03){var _0xc4da0=_0x227e47;return(_0x339e03||this[_0xc4da0(0x1f0)])[_0xc4da0(0x20f)](this);}}),_0x256dcf=(_0x4aa54b[_0x227e47(0x256)]={})['OpenSSL']={'stringify':function(_0x37ece7){var _0x12b1d8=_0x227e47,_0x7d9c55=_0x37ece7['ciphertext'],_0x2a9c7b=_0x37ece7['salt'];return(_0x2a9c7b?_0x32bfd8[_0x12b1d8(0x1f9)]([0x53616c74,0x65645f5f])['concat'](_0x2a9c7b)['concat'](_0x7d9c55):_0x7d9c55)[_0x12b1d8(0x201)](_0x3bb0d0);},'parse':function(_0x316bb8){var _0x364288=_0x227e47,_0x53f6e5,_0xfe17bb=_0x3bb0d0[_0x364288(0x1b4)](_0x316bb8),_0xa3e732=_0xfe17bb[_0x364288(0x246)];return 0x53616c74==_0xa3e732[0x0]&&0x65645f5f==_0xa3e732[0x1]&&(_0x53f6e5=_0x32bfd8[_0x364288(0x1f9)](_0xa3e732[_0x364288(0x1a5)](0x2,0x4)),_0xa3e732['splice'](0x0,0x4),_0xfe17bb[_0x364288(0x1dd)]-=0x10),_0xbdfc05['create']({'ciphertext':_0xfe17bb,'salt':_0x53f6e5});}},_0xa763d2=_0x5568f0['SerializableCipher']=_0x3238cd['extend']({'cfg':_0x3238cd[_0x227e47(0x21d)]({'format':_0x256dcf}),'encrypt':function(_0x5f2d99,_0x532548,_0x3cc57b,_0x24f314){var _0x2eab68=_0x227e47;_0x24f314=this[_0x2eab68(0x223)]['extend'](_0x24f314);var _0x160213=_0x5f2d99[_0x2eab68(0x235)](_0x3cc57b,_0x24f314),_0x524649=_0x160213[_0x2eab68(0x1e7)](_0x532548),_0x1936e8=_0x160213[_0x2eab68(0x223)];return _0xbdfc05[_0x2eab68(0x1f9)]({'ciphertext':_0x524649,'key':_0x3cc57b,'iv':_0x1936e8['iv'],'algorithm':_0x5f2d99,'mode':_0x1936e8[_0x2eab68(0x1c1)],'padding':_0x1936e8['padding'],'blockSize':_0x5f2d99[_0x2eab68(0x25a)],'formatter':_0x24f314['format']});},'decrypt':function(_0x448a28,_0x49d242,_0x249e38,_0x128af9){var _0x1e3727=_0x227e47;return _0x128af9=this[_0x1e3727(0x223)][_0x1e3727(0x21d)](_0x128af9),_0x49d242=this[_0x1e3727(0x252)](_0x49d242,_0x128af9[_0x1e3727(0x256)]),_0x448a28['createDecryptor'](_0x249e38,_0x128af9)[_0x1e3727(0x1e7)](_0x49d242[_0x1e3727(0x1c0)]);},'_parse':function(_0x28ebc2,_0x586cd2){var _0x33e552=_0x227e47;return _0x33e552(0x1f6)==typeof _0x28ebc2?_0x586cd2[_0x33e552(0x1b4)](_0x28ebc2,this):_0x28ebc2;}}),_0x2d174a=(_0x4aa54b[_0x227e47(0x22b)]={})['OpenSSL']={'execute':function(_0x1ad63f,_0x5bb9bb,_0xaaebe9,_0x32294b,_0x46c3d4){var _0x2dbdb2=_0x227e47;if(_0x32294b||(_0x32294b=_0x32bfd8[_0x2dbdb2(0x1eb)](0x8)),_0x46c3d4)_0x41e5b5=_0x28112e[_0x2dbdb2(0x1f9)]({'keySize':_0x5bb9bb+_0xaaebe9,'hasher':_0x46c3d4})[_0x2dbdb2(0x26f)](_0x1ad63f,_0x32294b);else var _0x41e5b5=_0x28112e['create']({'keySize':_0x5bb9bb+_0xaaebe9})['compute'](_0x1ad63f,_0x32294b);var _0x1e4cd6=_0x32bfd8[_0x2dbdb2(0x1f9)](_0x41e5b5['words'][_0x2dbdb2(0x1a5)](_0x5bb9bb),0x4*_0xaaebe9);return _0x41e5b5[_0x2dbdb2(0x1dd)]=0x4*_0x5bb9bb,_0xbdfc05['create']({'key':_0x41e5b5,'iv':_0x1e4cd6,'salt':_0x32294b});}},_0x99ba97=_0x5568f0['PasswordBasedCipher']=_0xa763d2[_0x227e47(0x21d)]({'cfg':_0xa763d2[_0x227e47(0x223)][_0x227e47(0x21d)]({'kdf':_0x2d174a}),'encrypt':function(_0xd84a81,_0x24d2db,_0x16410b,_0x22982e){var _0x84bbd1=_0x227e47,_0x294b5e=(_0x22982e=this[_0x84bbd1(0x223)]['extend'](_0x22982e))[_0x84bbd1(0x22b)][_0x84bbd1(0x21c)](_0x16410b,_0xd84a81[_0x84bbd1(0x265)],_0xd84a81[_0x84bbd1(0x1f5)],_0x22982e[_0x84bbd1(0x23b)],_0x22982e[_0x84bbd1(0x23a)]);_0x22982e['iv']=_0x294b5e['iv'];var _0x24ab3d=_0xa763d2['encrypt']['call'](this,_0xd84a81,_0x24d2db,_0x294b5e[_0x84bbd1(0x24f)],_0x22982e);return _0x24ab3d[_0x84bbd1(0x21f)](_0x294b5e),_0x24ab3d;},'decrypt':function(_0x1b2747,_0x2996eb,_0x3caa25,_0x251861){var _0x4d3d52=_0x227e47;_0x251861=this[_0x4d3d52(0x223)][_0x4d3d52(0x21d)](_0x251861),_0x2996eb=this['_parse'](_0x2996eb,_0x251861[_0x4d3d52(0x256)]);var _0x5e7473=_0x251861[_0x4d3d52(0x22b)][_0x4d3d52(0x21c)](_0x3caa25,_0x1b2747[_0x4d3d52(0x265)],_0x1b2747[_0x4d3d52(0x1f5)],_0x2996eb[_0x4d3d52(0x23b)],_0x251861[_0x4d3d52(0x23a)]);return _0x251861['iv']=_0x5e7473['iv'],_0xa763d2[_0x4d3d52(0x258)][_0x4d3d52(0x1c2)](this,_0x1b2747,_0x2996eb,_0x5e7473['key'],_0x251861);}}))));},0xa9(_0x600f01,_0x393b16,_0x13508c){var _0x9addde=a0_0x750d,_0x4fb516;_0x600f01[_0x9addde(0x250)]=(_0x4fb516=_0x13508c(0x15),_0x13508c(0xa5),_0x4fb516[_0x9addde(0x1c1)][_0x9addde(0x1da)]=(function(){var _0x4a7be2=_0x9addde,_0x29e586=_0x4fb516[_0x4a7be2(0x1ce)][_0x4a7be2(0x203)][_0x4a7be2(0x21d)]();function _0x4be99(_0x50b801,_0x3bbd3c,_0xc563b,_0xa4a66d){var _0x420086=_0x4a7be2,_0x4dfa41,_0x410ee2=this[_0x420086(0x21b)];_0x410ee2?(_0x4dfa41=_0x410ee2[_0x420086(0x1a5)](0x0),this['_iv']=void 0x0):_0x4dfa41=this['_prevBlock'],_0xa4a66d[_0x420086(0x1c6)](_0x4dfa41,0x0);for(var _0x58110a=0x0;_0x58110a<_0xc563b;_0x58110a++)_0x50b801[_0x3bbd3c+_0x58110a]^=_0x4dfa41[_0x58110a];}return _0x29e586['Encryptor']=_0x29e586[_0x4a7be2(0x21d)]({'processBlock':function(_0x26a9d0,_0x26fa80){var _0x3c7719=_0x4a7be2,_0x4f4e97=this['_cipher'],_0x195ce8=_0x4f4e97[_0x3c7719(0x25a)];_0x4be99[_0x3c7719(0x1c2)](this,_0x26a9d0,_0x26fa80,_0x195ce8,_0x4f4e97),this[_0x3c7719(0x1f2)]=_0x26a9d0[_0x3c7719(0x1a5)](_0x26fa80,_0x26fa80+_0x195ce8);}}),_0x29e586[_0x4a7be2(0x212)]=_0x29e586[_0x4a7be2(0x21d)]({'processBlock':function(_0x125876,_0x4e8198){var _0x5275ad=_0x4a7be2,_0x1c452c=this[_0x5275ad(0x1e5)],_0x2a1b32=_0x1c452c[_0x5275ad(0x25a)],_0x3a23ac=_0x125876[_0x5275ad(0x1a5)](_0x4e8198,_0x4e8198+_0x2a1b32);_0x4be99[_0x5275ad(0x1c2)](this,_0x125876,_0x4e8198,_0x2a1b32,_0x1c452c),this['_prevBlock']=_0x3a23ac;}}),_0x29e586;}()),_0x4fb516[_0x9addde(0x1c1)][_0x9addde(0x1da)]);},0xc1(_0x116ac4,_0x3a2706,_0x19e10){var _0x675101=a0_0x750d,_0xeccef5;_0x116ac4[_0x675101(0x250)]=(_0xeccef5=_0x19e10(0x15),_0x19e10(0x2f2),_0x19e10(0x27c),_0x19e10(0x1fa),_0x19e10(0xa5),(function(){var _0x9870b9=_0x675101,_0x29bc75=_0xeccef5,_0x5ad599=_0x29bc75[_0x9870b9(0x1ce)][_0x9870b9(0x1c7)],_0x47f86c=_0x29bc75['algo'],_0xecc20c=_0x47f86c['RC4']=_0x5ad599[_0x9870b9(0x21d)]({'_doReset':function(){var _0x4fcd1c=_0x9870b9;for(var _0x2f2a9a=this[_0x4fcd1c(0x1c3)],_0x50b1a7=_0x2f2a9a[_0x4fcd1c(0x246)],_0x1fae00=_0x2f2a9a[_0x4fcd1c(0x1dd)],_0xf729c3=this['_S']=[],_0x46521a=0x0;_0x46521a<0x100;_0x46521a++)_0xf729c3[_0x46521a]=_0x46521a;_0x46521a=0x0;for(var _0x4c5270=0x0;_0x46521a<0x100;_0x46521a++){var _0x128229=_0x46521a%_0x1fae00,_0x4e5956=_0x50b1a7[_0x128229>>>0x2]>>>0x18-_0x128229%0x4*0x8&0xff;_0x4c5270=(_0x4c5270+_0xf729c3[_0x46521a]+_0x4e5956)%0x100;var _0x4916ea=_0xf729c3[_0x46521a];_0xf729c3[_0x46521a]=_0xf729c3[_0x4c5270],_0xf729c3[_0x4c5270]=_0x4916ea;}this['_i']=this['_j']=0x0;},'_doProcessBlock':function(_0x56e469,_0x22c33b){_0x56e469[_0x22c33b]^=_0x3219fe['call'](this);},'keySize':0x8,'ivSize':0x0});function _0x3219fe(){for(var _0x20a71c=this['_S'],_0x51f01e=this['_i'],_0x5363de=this['_j'],_0xa9ad2d=0x0,_0x41b48d=0x0;_0x41b48d<0x4;_0x41b48d++){_0x5363de=(_0x5363de+_0x20a71c[_0x51f01e=(_0x51f01e+0x1)%0x100])%0x100;var _0x14f48a=_0x20a71c[_0x51f01e];_0x20a71c[_0x51f01e]=_0x20a71c[_0x5363de],_0x20a71c[_0x5363de]=_0x14f48a,_0xa9ad2d|=_0x20a71c[(_0x20a71c[_0x51f01e]+_0x20a71c[_0x5363de])%0x100]<<0x18-0x8*_0x41b48d;}return this['_i']=_0x51f01e,this['_j']=_0x5363de,_0xa9ad2d;}_0x29bc75[_0x9870b9(0x236)]=_0x5ad599['_createHelper'](_0xecc20c);var _0xde620a=_0x47f86c[_0x9870b9(0x1e1)]=_0xecc20c['extend']({'cfg':_0xecc20c['cfg']['extend']({'drop':0xc0}),'_doReset':function(){var _0x3e361b=_0x9870b9;_0xecc20c[_0x3e361b(0x269)][_0x3e361b(0x1c2)](this);for(var _0x16a900=this[_0x3e361b(0x223)][_0x3e361b(0x204)];_0x16a900>0x0;_0x16a900--)_0x3219fe[_0x3e361b(0x1c2)](this);}});_0x29bc75['RC4Drop']=_0x5ad599['_createHelper'](_0xde620a);}()),_0xeccef5[_0x675101(0x236)]);},0xf0(_0x51f686,_0x5212e8,_0x1b43a8){var _0x1ca716=a0_0x750d,_0x1a5388,_0x3db46d,_0x3cd148,_0x673410,_0x2333a6,_0x439760;_0x51f686[_0x1ca716(0x250)]=(_0x1a5388=_0x1b43a8(0x15),_0x3cd148=(_0x3db46d=_0x1a5388)[_0x1ca716(0x1ce)],_0x673410=_0x3cd148[_0x1ca716(0x1cb)],_0x2333a6=_0x3cd148[_0x1ca716(0x25f)],(_0x439760=_0x3db46d[_0x1ca716(0x1d5)]={})[_0x1ca716(0x1bd)]=_0x673410[_0x1ca716(0x21d)]({'init':function(_0x4aa13c,_0x524db4){var _0x1a7b26=_0x1ca716;this[_0x1a7b26(0x1a3)]=_0x4aa13c,this[_0x1a7b26(0x1a9)]=_0x524db4;}}),_0x439760[_0x1ca716(0x25f)]=_0x673410[_0x1ca716(0x21d)]({'init':function(_0x177d6f,_0x5cb7b0){var _0x317ebf=_0x1ca716;_0x177d6f=this['words']=_0x177d6f||[],this['sigBytes']=null!=_0x5cb7b0?_0x5cb7b0:0x8*_0x177d6f[_0x317ebf(0x268)];},'toX32':function(){var _0x11e6a2=_0x1ca716;for(var _0x242775=this[_0x11e6a2(0x246)],_0x89262f=_0x242775[_0x11e6a2(0x268)],_0x4ed09b=[],_0x20599f=0x0;_0x20599f<_0x89262f;_0x20599f++){var _0x16ca4d=_0x242775[_0x20599f];_0x4ed09b[_0x11e6a2(0x1b8)](_0x16ca4d[_0x11e6a2(0x1a3)]),_0x4ed09b['push'](_0x16ca4d['low']);}return _0x2333a6['create'](_0x4ed09b,this[_0x11e6a2(0x1dd)]);},'clone':function(){var _0x38f3ae=_0x1ca716;for(var _0x469b9c=_0x673410[_0x38f3ae(0x1f8)][_0x38f3ae(0x1c2)](this),_0x7ebbfb=_0x469b9c[_0x38f3ae(0x246)]=this[_0x38f3ae(0x246)]['slice'](0x0),_0x3d8a57=_0x7ebbfb['length'],_0x35e97e=0x0;_0x35e97e<_0x3d8a57;_0x35e97e++)_0x7ebbfb[_0x35e97e]=_0x7ebbfb[_0x35e97e][_0x38f3ae(0x1f8)]();return _0x469b9c;}}),_0x1a5388);},0x12a(_0x568cbc,_0x5520e7,_0x26157a){var _0x2e0f14=a0_0x750d,_0x1dd26e;_0x568cbc['exports']=(_0x1dd26e=_0x26157a(0x15),_0x26157a(0x2f2),_0x26157a(0x27c),_0x26157a(0x1fa),_0x26157a(0xa5),(function(){var _0x69d3b0=a0_0x750d,_0x134133=_0x1dd26e,_0x5716da=_0x134133[_0x69d3b0(0x1ce)][_0x69d3b0(0x1c7)],_0x203f30=_0x134133[_0x69d3b0(0x22a)],_0x2d31e5=[],_0x2d2276=[],_0x2e03ce=[],_0x395424=_0x203f30[_0x69d3b0(0x21e)]=_0x5716da[_0x69d3b0(0x21d)]({'_doReset':function(){var _0x145f5b=_0x69d3b0;for(var _0x490328=this[_0x145f5b(0x1c3)][_0x145f5b(0x246)],_0x13186b=this[_0x145f5b(0x223)]['iv'],_0xb881e4=0x0;_0xb881e4<0x4;_0xb881e4++)_0x490328[_0xb881e4]=0xff00ff&(_0x490328[_0xb881e4]<<0x8|_0x490328[_0xb881e4]>>>0x18)|0xff00ff00&(_0x490328[_0xb881e4]<<0x18|_0x490328[_0xb881e4]>>>0x8);var _0x580e2c=this['_X']=[_0x490328[0x0],_0x490328[0x3]<<0x10|_0x490328[0x2]>>>0x10,_0x490328[0x1],_0x490328[0x0]<<0x10|_0x490328[0x3]>>>0x10,_0x490328[0x2],_0x490328[0x1]<<0x10|_0x490328[0x0]>>>0x10,_0x490328[0x3],_0x490328[0x2]<<0x10|_0x490328[0x1]>>>0x10],_0xb08d61=this['_C']=[_0x490328[0x2]<<0x10|_0x490328[0x2]>>>0x10,0xffff0000&_0x490328[0x0]|0xffff&_0x490328[0x1],_0x490328[0x3]<<0x10|_0x490328[0x3]>>>0x10,0xffff0000&_0x490328[0x1]|0xffff&_0x490328[0x2],_0x490328[0x0]<<0x10|_0x490328[0x0]>>>0x10,0xffff0000&_0x490328[0x2]|0xffff&_0x490328[0x3],_0x490328[0x1]<<0x10|_0x490328[0x1]>>>0x10,0xffff0000&_0x490328[0x3]|0xffff&_0x490328[0x0]];for(this['_b']=0x0,_0xb881e4=0x0;_0xb881e4<0x4;_0xb881e4++)_0x435c8e['call'](this);for(_0xb881e4=0x0;_0xb881e4<0x8;_0xb881e4++)_0xb08d61[_0xb881e4]^=_0x580e2c[_0xb881e4+0x4&0x7];if(_0x13186b){var _0x563b09=_0x13186b[_0x145f5b(0x246)],_0x12a824=_0x563b09[0x0],_0x55cd8e=_0x563b09[0x1],_0x54bd6b=0xff00ff&(_0x12a824<<0x8|_0x12a824>>>0x18)|0xff00ff00&(_0x12a824<<0x18|_0x12a824>>>0x8),_0x5ef44=0xff00ff&(_0x55cd8e<<0x8|_0x55cd8e>>>0x18)|0xff00ff00&(_0x55cd8e<<0x18|_0x55cd8e>>>0x8),_0x2a6fa3=_0x54bd6b>>>0x10|0xffff0000&_0x5ef44,_0x1b44e5=_0x5ef44<<0x10|0xffff&_0x54bd6b;for(_0xb08d61[0x0]^=_0x54bd6b,_0xb08d61[0x1]^=_0x2a6fa3,_0xb08d61[0x2]^=_0x5ef44,_0xb08d61[0x3]^=_0x1b44e5,_0xb08d61[0x4]^=_0x54bd6b,_0xb08d61[0x5]^=_0x2a6fa3,_0xb08d61[0x6]^=_0x5ef44,_0xb08d61[0x7]^=_0x1b44e5,_0xb881e4=0x0;_0xb881e4<0x4;_0xb881e4++)_0x435c8e['call'](this);}},'_doProcessBlock':function(_0x37ae11,_0x3556de){var _0x149d65=this['_X'];_0x435c8e['call'](this),_0x2d31e5[0x0]=_0x149d65[0x0]^_0x149d65[0x5]>>>0x10^_0x149d65[0x3]<<0x10,_0x2d31e5[0x1]=_0x149d65[0x2]^_0x149d65[0x7]>>>0x10^_0x149d65[0x5]<<0x10,_0x2d31e5[0x2]=_0x149d65[0x4]^_0x149d65[0x1]>>>0x10^_0x149d65[0x7]<<0x10,_0x2d31e5[0x3]=_0x149d65[0x6]^_0x149d65[0x3]>>>0x10^_0x149d65[0x1]<<0x10;for(var _0x4e1dc2=0x0;_0x4e1dc2<0x4;_0x4e1dc2++)_0x2d31e5[_0x4e1dc2]=0xff00ff&(_0x2d31e5[_0x4e1dc2]<<0x8|_0x2d31e5[_0x4e1dc2]>>>0x18)|0xff00ff00&(_0x2d31e5[_0x4e1dc2]<<0x18|_0x2d31e5[_0x4e1dc2]>>>0x8),_0x37ae11[_0x3556de+_0x4e1dc2]^=_0x2d31e5[_0x4e1dc2];},'blockSize':0x4,'ivSize':0x2});function _0x435c8e(){for(var _0x5c0f10=this['_X'],_0x5af1b5=this['_C'],_0x5c02df=0x0;_0x5c02df<0x8;_0x5c02df++)_0x2d2276[_0x5c02df]=_0x5af1b5[_0x5c02df];for(_0x5af1b5[0x0]=_0x5af1b5[0x0]+0x4d34d34d+this['_b']|0x0,_0x5af1b5[0x1]=_0x5af1b5[0x1]+0xd34d34d3+(_0x5af1b5[0x0]>>>0x0<_0x2d2276[0x0]>>>0x0?0x1:0x0)|0x0,_0x5af1b5[0x2]=_0x5af1b5[0x2]+0x34d34d34+(_0x5af1b5[0x1]>>>0x0<_0x2d2276[0x1]>>>0x0?0x1:0x0)|0x0,_0x5af1b5[0x3]=_0x5af1b5[0x3]+0x4d34d34d+(_0x5af1b5[0x2]>>>0x0<_0x2d2276[0x2]>>>0x0?0x1:0x0)|0x0,_0x5af1b5[0x4]=_0x5af1b5[0x4]+0xd34d34d3+(_0x5af1b5[0x3]>>>0x0<_0x2d2276[0x3]>>>0x0?0x1:0x0)|0x0,_0x5af1b5[0x5]=_0x5af1b5[0x5]+0x34d34d34+(_0x5af1b5[0x4]>>>0x0<_0x2d2276[0x4]>>>0x0?0x1:0x0)|0x0,_0x5af1b5[0x6]=_0x5af1b5[0x6]+0x4d34d34d+(_0x5af1b5[0x5]>>>0x0<_0x2d2276[0x5]>>>0x0?0x1:0x0)|0x0,_0x5af1b5[0x7]=_0x5af1b5[0x7]+0xd34d34d3+(_0x5af1b5[0x6]>>>0x0<_0x2d2276[0x6]>>>0x0?0x1:0x0)|0x0,this['_b']=_0x5af1b5[0x7]>>>0x0<_0x2d2276[0x7]>>>0x0?0x1:0x0,_0x5c02df=0x0;_0x5c02df<0x8;_0x5c02df++){var _0x42195c=_0x5c0f10[_0x5c02df]+_0x5af1b5[_0x5c02df],_0x2601d4=0xffff&_0x42195c,_0x54ef97=_0x42195c>>>0x10,_0x3ed18e=((_0x2601d4*_0x2601d4>>>0x11)+_0x2601d4*_0x54ef97>>>0xf)+_0x54ef97*_0x54ef97,_0x540a0d=((0xffff0000&_0x42195c)*_0x42195c|0x0)+((0xffff&_0x42195c)*_0x42195c|0x0);_0x2e03ce[_0x5c02df]=_0x3ed18e^_0x540a0d;}_0x5c0f10[0x0]=_0x2e03ce[0x0]+(_0x2e03ce[0x7]<<0x10|_0x2e03ce[0x7]>>>0x10)+(_0x2e03ce[0x6]<<0x10|_0x2e03ce[0x6]>>>0x10)|0x0,_0x5c0f10[0x1]=_0x2e03ce[0x1]+(_0x2e03ce[0x0]<<0x8|_0x2e03ce[0x0]>>>0x18)+_0x2e03ce[0x7]|0x0,_0x5c0f10[0x2]=_0x2e03ce[0x2]+(_0x2e03ce[0x1]<<0x10|_0x2e03ce[0x1]>>>0x10)+(_0x2e03ce[0x0]<<0x10|_0x2e03ce[0x0]>>>0x10)|0x0,_0x5c0f10[0x3]=_0x2e03ce[0x3]+(_0x2e03ce[0x2]<<0x8|_0x2e03ce[0x2]>>>0x18)+_0x2e03ce[0x1]|0x0,_0x5c0f10[0x4]=_0x2e03ce[0x4]+(_0x2e03ce[0x3]<<0x10|_0x2e03ce[0x3]>>>0x10)+(_0x2e03ce[0x2]<<0x10|_0x2e03ce[0x2]>>>0x10)|0x0,_0x5c0f10[0x5]=_0x2e03ce[0x5]+(_0x2e03ce[0x4]<<0x8|_0x2e03ce[0x4]>>>0x18)+_0x2e03ce[0x3]|0x0,_0x5c0f10[0x6]=_0x2e03ce[0x6]+(_0x2e03ce[0x5]<<0x10|_0x2e03ce[0x5]>>>0x10)+(_0x2e03ce[0x4]<<0x10|_0x2e03ce[0x4]>>>0x10)|0x0,_0x5c0f10[0x7]=_0x2e03ce[0x7]+(_0x2e03ce[0x6]<<0x8|_0x2e03ce[0x6]>>>0x18)+_0x2e03ce[0x5]|0x0;}_0x134133[_0x69d3b0(0x21e)]=_0x5716da[_0x69d3b0(0x1e2)](_0x395424);}()),_0x1dd26e[_0x2e0f14(0x21e)]);},0x134(_0x551fed,_0x7b3047,_0x13216f){var _0x55caba=a0_0x750d,_0x238ad8,_0x5e4d0c,_0x49ceb0,_0x324067,_0x564638,_0x1b656a;_0x551fed[_0x55caba(0x250)]=(_0x1b656a=_0x13216f(0x15),_0x13216f(0x9),_0x5e4d0c=(_0x238ad8=_0x1b656a)[_0x55caba(0x1ce)][_0x55caba(0x25f)],_0x49ceb0=_0x238ad8[_0x55caba(0x22a)],_0x324067=_0x49ceb0[_0x55caba(0x20c)],_0x564638=_0x49ceb0['SHA224']=_0x324067[_0x55caba(0x21d)]({'_doReset':function(){var _0x1b9a33=_0x55caba;this[_0x1b9a33(0x202)]=new _0x5e4d0c[(_0x1b9a33(0x1cd))]([0xc1059ed8,0x367cd507,0x3070dd17,0xf70e5939,0xffc00b31,0x68581511,0x64f98fa7,0xbefa4fa4]);},'_doFinalize':function(){var _0xbfdc00=_0x55caba,_0x11471f=_0x324067[_0xbfdc00(0x272)]['call'](this);return _0x11471f['sigBytes']-=0x4,_0x11471f;}}),_0x238ad8[_0x55caba(0x248)]=_0x324067[_0x55caba(0x1e2)](_0x564638),_0x238ad8[_0x55caba(0x1b0)]=_0x324067['_createHmacHelper'](_0x564638),_0x1b656a['SHA224']);},0x174(_0x4e4a02,_0x37d5b3,_0x18cb60){var _0x5d8ab3=a0_0x750d,_0x266a09;_0x4e4a02['exports']=(_0x266a09=_0x18cb60(0x15),_0x18cb60(0xa5),_0x266a09['mode'][_0x5d8ab3(0x1be)]=(function(){var _0xdbd043=_0x5d8ab3,_0x557052=_0x266a09[_0xdbd043(0x1ce)][_0xdbd043(0x203)][_0xdbd043(0x21d)]();function _0x28fe62(_0x11f804){if(0xff&~(_0x11f804>>0x18))_0x11f804+=0x1<<0x18;else{var _0xa405f1=_0x11f804>>0x10&0xff,_0x2fa82f=_0x11f804>>0x8&0xff,_0x2c8a6b=0xff&_0x11f804;0xff===_0xa405f1?(_0xa405f1=0x0,0xff===_0x2fa82f?(_0x2fa82f=0x0,0xff===_0x2c8a6b?_0x2c8a6b=0x0:++_0x2c8a6b):++_0x2fa82f):++_0xa405f1,_0x11f804=0x0,_0x11f804+=_0xa405f1<<0x10,_0x11f804+=_0x2fa82f<<0x8,_0x11f804+=_0x2c8a6b;}return _0x11f804;}var _0x51a0ca=_0x557052[_0xdbd043(0x1ef)]=_0x557052[_0xdbd043(0x21d)]({'processBlock':function(_0x43feb5,_0x10f994){var _0x10e8a6=_0xdbd043,_0x825577=this['_cipher'],_0x1f01b4=_0x825577[_0x10e8a6(0x25a)],_0x3c6a5e=this[_0x10e8a6(0x21b)],_0x466bb4=this[_0x10e8a6(0x1f1)];_0x3c6a5e&&(_0x466bb4=this[_0x10e8a6(0x1f1)]=_0x3c6a5e[_0x10e8a6(0x1a5)](0x0),this[_0x10e8a6(0x21b)]=void 0x0),function(_0x1e1d2b){0x0===(_0x1e1d2b[0x0]=_0x28fe62(_0x1e1d2b[0x0]))&&(_0x1e1d2b[0x1]=_0x28fe62(_0x1e1d2b[0x1]));}(_0x466bb4);var _0x3168a4=_0x466bb4['slice'](0x0);_0x825577[_0x10e8a6(0x1c6)](_0x3168a4,0x0);for(var _0x267a1a=0x0;_0x267a1a<_0x1f01b4;_0x267a1a++)_0x43feb5[_0x10f994+_0x267a1a]^=_0x3168a4[_0x267a1a];}});return _0x557052[_0xdbd043(0x212)]=_0x51a0ca,_0x557052;}()),_0x266a09[_0x5d8ab3(0x1c1)]['CTRGladman']);},0x17c(_0x102132,_0x2d92a7,_0x1ec479){var _0x389bf8=a0_0x750d,_0x4acfb1;_0x102132['exports']=(_0x4acfb1=_0x1ec479(0x15),_0x1ec479(0xf0),(function(){var _0x5d08a8=a0_0x750d,_0x15dd4b=_0x4acfb1,_0x1708ca=_0x15dd4b[_0x5d08a8(0x1ce)]['Hasher'],_0xb6a367=_0x15dd4b[_0x5d08a8(0x1d5)],_0x5d5601=_0xb6a367[_0x5d08a8(0x1bd)],_0x79ad7d=_0xb6a367[_0x5d08a8(0x25f)],_0x4b2671=_0x15dd4b[_0x5d08a8(0x22a)];function _0x15f5a2(){var _0x3091c7=_0x5d08a8;return _0x5d5601[_0x3091c7(0x1f9)][_0x3091c7(0x22e)](_0x5d5601,arguments);}var _0x5324a0=[_0x15f5a2(0x428a2f98,0xd728ae22),_0x15f5a2(0x71374491,0x23ef65cd),_0x15f5a2(0xb5c0fbcf,0xec4d3b2f),_0x15f5a2(0xe9b5dba5,0x8189dbbc),_0x15f5a2(0x3956c25b,0xf348b538),_0x15f5a2(0x59f111f1,0xb605d019),_0x15f5a2(0x923f82a4,0xaf194f9b),_0x15f5a2(0xab1c5ed5,0xda6d8118),_0x15f5a2(0xd807aa98,0xa3030242),_0x15f5a2(0x12835b01,0x45706fbe),_0x15f5a2(0x243185be,0x4ee4b28c),_0x15f5a2(0x550c7dc3,0xd5ffb4e2),_0x15f5a2(0x72be5d74,0xf27b896f),_0x15f5a2(0x80deb1fe,0x3b1696b1),_0x15f5a2(0x9bdc06a7,0x25c71235),_0x15f5a2(0xc19bf174,0xcf692694),_0x15f5a2(0xe49b69c1,0x9ef14ad2),_0x15f5a2(0xefbe4786,0x384f25e3),_0x15f5a2(0xfc19dc6,0x8b8cd5b5),_0x15f5a2(0x240ca1cc,0x77ac9c65),_0x15f5a2(0x2de92c6f,0x592b0275),_0x15f5a2(0x4a7484aa,0x6ea6e483),_0x15f5a2(0x5cb0a9dc,0xbd41fbd4),_0x15f5a2(0x76f988da,0x831153b5),_0x15f5a2(0x983e5152,0xee66dfab),_0x15f5a2(0xa831c66d,0x2db43210),_0x15f5a2(0xb00327c8,0x98fb213f),_0x15f5a2(0xbf597fc7,0xbeef0ee4),_0x15f5a2(0xc6e00bf3,0x3da88fc2),_0x15f5a2(0xd5a79147,0x930aa725),_0x15f5a2(0x6ca6351,0xe003826f),_0x15f5a2(0x14292967,0xa0e6e70),_0x15f5a2(0x27b70a85,0x46d22ffc),_0x15f5a2(0x2e1b2138,0x5c26c926),_0x15f5a2(0x4d2c6dfc,0x5ac42aed),_0x15f5a2(0x53380d13,0x9d95b3df),_0x15f5a2(0x650a7354,0x8baf63de),_0x15f5a2(0x766a0abb,0x3c77b2a8),_0x15f5a2(0x81c2c92e,0x47edaee6),_0x15f5a2(0x92722c85,0x1482353b),_0x15f5a2(0xa2bfe8a1,0x4cf10364),_0x15f5a2(0xa81a664b,0xbc423001),_0x15f5a2(0xc24b8b70,0xd0f89791),_0x15f5a2(0xc76c51a3,0x654be30),_0x15f5a2(0xd192e819,0xd6ef5218),_0x15f5a2(0xd6990624,0x5565a910),_0x15f5a2(0xf40e3585,0x5771202a),_0x15f5a2(0x106aa070,0x32bbd1b8),_0x15f5a2(0x19a4c116,0xb8d2d0c8),_0x15f5a2(0x1e376c08,0x5141ab53),_0x15f5a2(0x2748774c,0xdf8eeb99),_0x15f5a2(0x34b0bcb5,0xe19b48a8),_0x15f5a2(0x391c0cb3,0xc5c95a63),_0x15f5a2(0x4ed8aa4a,0xe3418acb),_0x15f5a2(0x5b9cca4f,0x7763e373),_0x15f5a2(0x682e6ff3,0xd6b2b8a3),_0x15f5a2(0x748f82ee,0x5defb2fc),_0x15f5a2(0x78a5636f,0x43172f60),_0x15f5a2(0x84c87814,0xa1f0ab72),_0x15f5a2(0x8cc70208,0x1a6439ec),_0x15f5a2(0x90befffa,0x23631e28),_0x15f5a2(0xa4506ceb,0xde82bde9),_0x15f5a2(0xbef9a3f7,0xb2c67915),_0x15f5a2(0xc67178f2,0xe372532b),_0x15f5a2(0xca273ece,0xea26619c),_0x15f5a2(0xd186b8c7,0x21c0c207),_0x15f5a2(0xeada7dd6,0xcde0eb1e),_0x15f5a2(0xf57d4f7f,0xee6ed178),_0x15f5a2(0x6f067aa,0x72176fba),_0x15f5a2(0xa637dc5,0xa2c898a6),_0x15f5a2(0x113f9804,0xbef90dae),_0x15f5a2(0x1b710b35,0x131c471b),_0x15f5a2(0x28db77f5,0x23047d84),_0x15f5a2(0x32caab7b,0x40c72493),_0x15f5a2(0x3c9ebe0a,0x15c9bebc),_0x15f5a2(0x431d67c4,0x9c100d4c),_0x15f5a2(0x4cc5d4be,0xcb3e42b6),_0x15f5a2(0x597f299c,0xfc657e2a),_0x15f5a2(0x5fcb6fab,0x3ad6faec),_0x15f5a2(0x6c44198c,0x4a475817)],_0x4bde57=[];!(function(){for(var _0x4125c5=0x0;_0x4125c5<0x50;_0x4125c5++)_0x4bde57[_0x4125c5]=_0x15f5a2();}());var _0x400fc3=_0x4b2671['SHA512']=_0x1708ca[_0x5d08a8(0x21d)]({'_doReset':function(){var _0x46ae76=_0x5d08a8;this['_hash']=new _0x79ad7d[(_0x46ae76(0x1cd))]([new _0x5d5601['init'](0x6a09e667,0xf3bcc908),new _0x5d5601[(_0x46ae76(0x1cd))](0xbb67ae85,0x84caa73b),new _0x5d5601[(_0x46ae76(0x1cd))](0x3c6ef372,0xfe94f82b),new _0x5d5601[(_0x46ae76(0x1cd))](0xa54ff53a,0x5f1d36f1),new _0x5d5601[(_0x46ae76(0x1cd))](0x510e527f,0xade682d1),new _0x5d5601['init'](0x9b05688c,0x2b3e6c1f),new _0x5d5601[(_0x46ae76(0x1cd))](0x1f83d9ab,0xfb41bd6b),new _0x5d5601[(_0x46ae76(0x1cd))](0x5be0cd19,0x137e2179)]);},'_doProcessBlock':function(_0xa811eb,_0x239005){var _0x196ea9=_0x5d08a8;for(var _0x4fb040=this[_0x196ea9(0x202)]['words'],_0x550cee=_0x4fb040[0x0],_0x4e7870=_0x4fb040[0x1],_0x397824=_0x4fb040[0x2],_0x3c46a5=_0x4fb040[0x3],_0x535eed=_0x4fb040[0x4],_0x57d84a=_0x4fb040[0x5],_0x286585=_0x4fb040[0x6],_0x78d1cc=_0x4fb040[0x7],_0x23330a=_0x550cee[_0x196ea9(0x1a3)],_0x448437=_0x550cee[_0x196ea9(0x1a9)],_0x2391dd=_0x4e7870[_0x196ea9(0x1a3)],_0x35ba65=_0x4e7870[_0x196ea9(0x1a9)],_0x2ef286=_0x397824[_0x196ea9(0x1a3)],_0xb43a9f=_0x397824[_0x196ea9(0x1a9)],_0x3445b9=_0x3c46a5[_0x196ea9(0x1a3)],_0x5a9f13=_0x3c46a5[_0x196ea9(0x1a9)],_0x3cbf28=_0x535eed['high'],_0x4ec7da=_0x535eed[_0x196ea9(0x1a9)],_0x4aec6c=_0x57d84a[_0x196ea9(0x1a3)],_0x304d23=_0x57d84a[_0x196ea9(0x1a9)],_0x4ccc63=_0x286585[_0x196ea9(0x1a3)],_0x279400=_0x286585[_0x196ea9(0x1a9)],_0x1f84e8=_0x78d1cc['high'],_0x104e04=_0x78d1cc[_0x196ea9(0x1a9)],_0x56de7a=_0x23330a,_0x4c2113=_0x448437,_0x2175c7=_0x2391dd,_0x1f05c4=_0x35ba65,_0x7dc463=_0x2ef286,_0x423d7c=_0xb43a9f,_0x592cd5=_0x3445b9,_0x358e6b=_0x5a9f13,_0x367159=_0x3cbf28,_0xfe354b=_0x4ec7da,_0x1d72da=_0x4aec6c,_0x20a5dd=_0x304d23,_0x3a2ddf=_0x4ccc63,_0x48829e=_0x279400,_0x1833a8=_0x1f84e8,_0x2eb6c5=_0x104e04,_0x209bcd=0x0;_0x209bcd<0x50;_0x209bcd++){var _0x18ee95,_0x1a3561,_0x1abbf8=_0x4bde57[_0x209bcd];if(_0x209bcd<0x10)_0x1a3561=_0x1abbf8[_0x196ea9(0x1a3)]=0x0|_0xa811eb[_0x239005+0x2*_0x209bcd],_0x18ee95=_0x1abbf8[_0x196ea9(0x1a9)]=0x0|_0xa811eb[_0x239005+0x2*_0x209bcd+0x1];else{var _0x36e98e=_0x4bde57[_0x209bcd-0xf],_0x31fb45=_0x36e98e['high'],_0x5b911b=_0x36e98e[_0x196ea9(0x1a9)],_0x134ff2=(_0x31fb45>>>0x1|_0x5b911b<<0x1f)^(_0x31fb45>>>0x8|_0x5b911b<<0x18)^_0x31fb45>>>0x7,_0x14b96a=(_0x5b911b>>>0x1|_0x31fb45<<0x1f)^(_0x5b911b>>>0x8|_0x31fb45<<0x18)^(_0x5b911b>>>0x7|_0x31fb45<<0x19),_0x17e6e9=_0x4bde57[_0x209bcd-0x2],_0x1cf9a5=_0x17e6e9['high'],_0x3c9153=_0x17e6e9[_0x196ea9(0x1a9)],_0x53ba5b=(_0x1cf9a5>>>0x13|_0x3c9153<<0xd)^(_0x1cf9a5<<0x3|_0x3c9153>>>0x1d)^_0x1cf9a5>>>0x6,_0x5ed91a=(_0x3c9153>>>0x13|_0x1cf9a5<<0xd)^(_0x3c9153<<0x3|_0x1cf9a5>>>0x1d)^(_0x3c9153>>>0x6|_0x1cf9a5<<0x1a),_0xb4c168=_0x4bde57[_0x209bcd-0x7],_0x21397b=_0xb4c168[_0x196ea9(0x1a3)],_0x4f3c64=_0xb4c168[_0x196ea9(0x1a9)],_0x11cf4c=_0x4bde57[_0x209bcd-0x10],_0x4b7e89=_0x11cf4c[_0x196ea9(0x1a3)],_0x7ec44b=_0x11cf4c[_0x196ea9(0x1a9)];_0x1a3561=(_0x1a3561=(_0x1a3561=_0x134ff2+_0x21397b+((_0x18ee95=_0x14b96a+_0x4f3c64)>>>0x0<_0x14b96a>>>0x0?0x1:0x0))+_0x53ba5b+((_0x18ee95+=_0x5ed91a)>>>0x0<_0x5ed91a>>>0x0?0x1:0x0))+_0x4b7e89+((_0x18ee95+=_0x7ec44b)>>>0x0<_0x7ec44b>>>0x0?0x1:0x0),_0x1abbf8[_0x196ea9(0x1a3)]=_0x1a3561,_0x1abbf8[_0x196ea9(0x1a9)]=_0x18ee95;}var _0x9378b9,_0x33dd28=_0x367159&_0x1d72da^~_0x367159&_0x3a2ddf,_0x443aa8=_0xfe354b&_0x20a5dd^~_0xfe354b&_0x48829e,_0x102398=_0x56de7a&_0x2175c7^_0x56de7a&_0x7dc463^_0x2175c7&_0x7dc463,_0x39decb=_0x4c2113&_0x1f05c4^_0x4c2113&_0x423d7c^_0x1f05c4&_0x423d7c,_0x3b5940=(_0x56de7a>>>0x1c|_0x4c2113<<0x4)^(_0x56de7a<<0x1e|_0x4c2113>>>0x2)^(_0x56de7a<<0x19|_0x4c2113>>>0x7),_0x394262=(_0x4c2113>>>0x1c|_0x56de7a<<0x4)^(_0x4c2113<<0x1e|_0x56de7a>>>0x2)^(_0x4c2113<<0x19|_0x56de7a>>>0x7),_0x202965=(_0x367159>>>0xe|_0xfe354b<<0x12)^(_0x367159>>>0x12|_0xfe354b<<0xe)^(_0x367159<<0x17|_0xfe354b>>>0x9),_0x118acd=(_0xfe354b>>>0xe|_0x367159<<0x12)^(_0xfe354b>>>0x12|_0x367159<<0xe)^(_0xfe354b<<0x17|_0x367159>>>0x9),_0x44aa7f=_0x5324a0[_0x209bcd],_0x5b71f5=_0x44aa7f[_0x196ea9(0x1a3)],_0x152b90=_0x44aa7f[_0x196ea9(0x1a9)],_0x459858=_0x1833a8+_0x202965+((_0x9378b9=_0x2eb6c5+_0x118acd)>>>0x0<_0x2eb6c5>>>0x0?0x1:0x0),_0xcbde7c=_0x394262+_0x39decb;_0x1833a8=_0x3a2ddf,_0x2eb6c5=_0x48829e,_0x3a2ddf=_0x1d72da,_0x48829e=_0x20a5dd,_0x1d72da=_0x367159,_0x20a5dd=_0xfe354b,_0x367159=_0x592cd5+(_0x459858=(_0x459858=(_0x459858=_0x459858+_0x33dd28+((_0x9378b9+=_0x443aa8)>>>0x0<_0x443aa8>>>0x0?0x1:0x0))+_0x5b71f5+((_0x9378b9+=_0x152b90)>>>0x0<_0x152b90>>>0x0?0x1:0x0))+_0x1a3561+((_0x9378b9+=_0x18ee95)>>>0x0<_0x18ee95>>>0x0?0x1:0x0))+((_0xfe354b=_0x358e6b+_0x9378b9|0x0)>>>0x0<_0x358e6b>>>0x0?0x1:0x0)|0x0,_0x592cd5=_0x7dc463,_0x358e6b=_0x423d7c,_0x7dc463=_0x2175c7,_0x423d7c=_0x1f05c4,_0x2175c7=_0x56de7a,_0x1f05c4=_0x4c2113,_0x56de7a=_0x459858+(_0x3b5940+_0x102398+(_0xcbde7c>>>0x0<_0x394262>>>0x0?0x1:0x0))+((_0x4c2113=_0x9378b9+_0xcbde7c|0x0)>>>0x0<_0x9378b9>>>0x0?0x1:0x0)|0x0;}_0x448437=_0x550cee[_0x196ea9(0x1a9)]=_0x448437+_0x4c2113,_0x550cee[_0x196ea9(0x1a3)]=_0x23330a+_0x56de7a+(_0x448437>>>0x0<_0x4c2113>>>0x0?0x1:0x0),_0x35ba65=_0x4e7870[_0x196ea9(0x1a9)]=_0x35ba65+_0x1f05c4,_0x4e7870['high']=_0x2391dd+_0x2175c7+(_0x35ba65>>>0x0<_0x1f05c4>>>0x0?0x1:0x0),_0xb43a9f=_0x397824['low']=_0xb43a9f+_0x423d7c,_0x397824[_0x196ea9(0x1a3)]=_0x2ef286+_0x7dc463+(_0xb43a9f>>>0x0<_0x423d7c>>>0x0?0x1:0x0),_0x5a9f13=_0x3c46a5[_0x196ea9(0x1a9)]=_0x5a9f13+_0x358e6b,_0x3c46a5[_0x196ea9(0x1a3)]=_0x3445b9+_0x592cd5+(_0x5a9f13>>>0x0<_0x358e6b>>>0x0?0x1:0x0),_0x4ec7da=_0x535eed['low']=_0x4ec7da+_0xfe354b,_0x535eed[_0x196ea9(0x1a3)]=_0x3cbf28+_0x367159+(_0x4ec7da>>>0x0<_0xfe354b>>>0x0?0x1:0x0),_0x304d23=_0x57d84a['low']=_0x304d23+_0x20a5dd,_0x57d84a[_0x196ea9(0x1a3)]=_0x4aec6c+_0x1d72da+(_0x304d23>>>0x0<_0x20a5dd>>>0x0?0x1:0x0),_0x279400=_0x286585[_0x196ea9(0x1a9)]=_0x279400+_0x48829e,_0x286585['high']=_0x4ccc63+_0x3a2ddf+(_0x279400>>>0x0<_0x48829e>>>0x0?0x1:0x0),_0x104e04=_0x78d1cc[_0x196ea9(0x1a9)]=_0x104e04+_0x2eb6c5,_0x78d1cc[_0x196ea9(0x1a3)]=_0x1f84e8+_0x1833a8+(_0x104e04>>>0x0<_0x2eb6c5>>>0x0?0x1:0x0);},'_doFinalize':function(){var _0x1aac45=_0x5d08a8,_0x38f8d6=this[_0x1aac45(0x1ab)],_0x2b71a8=_0x38f8d6[_0x1aac45(0x246)],_0x197063=0x8*this['_nDataBytes'],_0xd5aeb1=0x8*_0x38f8d6[_0x1aac45(0x1dd)];return _0x2b71a8[_0xd5aeb1>>>0x5]|=0x80<<0x18-_0xd5aeb1%0x20,_0x2b71a8[0x1e+(_0xd5aeb1+0x80>>>0xa<<0x5)]=Math[_0x1aac45(0x22d)](_0x197063/0x100000000),_0x2b71a8[0x1f+(_0xd5aeb1+0x80>>>0xa<<0x5)]=_0x197063,_0x38f8d6['sigBytes']=0x4*_0x2b71a8[_0x1aac45(0x268)],this['_process'](),this[_0x1aac45(0x202)][_0x1aac45(0x1ae)]();},'clone':function(){var _0x2b83b2=_0x5d08a8,_0x3b2e12=_0x1708ca[_0x2b83b2(0x1f8)][_0x2b83b2(0x1c2)](this);return _0x3b2e12['_hash']=this[_0x2b83b2(0x202)][_0x2b83b2(0x1f8)](),_0x3b2e12;},'blockSize':0x20});_0x15dd4b['SHA512']=_0x1708ca[_0x5d08a8(0x1e2)](_0x400fc3),_0x15dd4b[_0x5d08a8(0x200)]=_0x1708ca[_0x5d08a8(0x1e8)](_0x400fc3);}()),_0x4acfb1[_0x389bf8(0x207)]);},0x18c(_0x41db85,_0x421b4b,_0x2fb395){var _0x486d85=a0_0x750d,_0x943ac9;_0x41db85[_0x486d85(0x250)]=(_0x943ac9=_0x2fb395(0x15),_0x2fb395(0xf0),_0x2fb395(0x1b8),_0x2fb395(0x1f7),_0x2fb395(0x2f2),_0x2fb395(0x2d5),_0x2fb395(0x27c),_0x2fb395(0x1d7),_0x2fb395(0x9),_0x2fb395(0x134),_0x2fb395(0x17c),_0x2fb395(0x22d),_0x2fb395(0x3b9),_0x2fb395(0x38),_0x2fb395(0x19),_0x2fb395(0x13),_0x2fb395(0x1fa),_0x2fb395(0xa5),_0x2fb395(0xa9),_0x2fb395(0x3ab),_0x2fb395(0x174),_0x2fb395(0x31d),_0x2fb395(0x1c6),_0x2fb395(0x49),_0x2fb395(0x389),_0x2fb395(0x1e2),_0x2fb395(0x9b),_0x2fb395(0x7c),_0x2fb395(0x196),_0x2fb395(0x3bb),_0x2fb395(0x274),_0x2fb395(0xc1),_0x2fb395(0x12a),_0x2fb395(0x2b8),_0x2fb395(0x80),_0x943ac9);},0x196(_0x2b46ad,_0x1c2c32,_0x185581){var _0x234f90=a0_0x750d,_0x507087,_0x765531,_0x4ae8cd,_0x3c8282;_0x2b46ad['exports']=(_0x3c8282=_0x185581(0x15),_0x185581(0xa5),_0x765531=(_0x507087=_0x3c8282)['lib'][_0x234f90(0x1f3)],_0x4ae8cd=_0x507087[_0x234f90(0x1cf)][_0x234f90(0x1e4)],_0x507087[_0x234f90(0x256)][_0x234f90(0x1e4)]={'stringify':function(_0x1c2f19){var _0x507282=_0x234f90;return _0x1c2f19['ciphertext'][_0x507282(0x201)](_0x4ae8cd);},'parse':function(_0x53754f){var _0x184a4f=_0x234f90,_0x4f0912=_0x4ae8cd[_0x184a4f(0x1b4)](_0x53754f);return _0x765531[_0x184a4f(0x1f9)]({'ciphertext':_0x4f0912});}},_0x3c8282[_0x234f90(0x256)][_0x234f90(0x1e4)]);},0x1b8(_0x26abe0,_0x3ec22f,_0x336733){var _0x121384=a0_0x750d,_0x3b6b7b;_0x26abe0[_0x121384(0x250)]=(_0x3b6b7b=_0x336733(0x15),(function(){var _0x14f1df=_0x121384;if(_0x14f1df(0x225)==typeof ArrayBuffer){var _0x3bcef6=_0x3b6b7b[_0x14f1df(0x1ce)]['WordArray'],_0x5e621d=_0x3bcef6[_0x14f1df(0x1cd)],_0x5ec95c=_0x3bcef6[_0x14f1df(0x1cd)]=function(_0x415116){var _0x1e9b9d=_0x14f1df;if(_0x415116 instanceof ArrayBuffer&&(_0x415116=new Uint8Array(_0x415116)),(_0x415116 instanceof Int8Array||'undefined'!=typeof Uint8ClampedArray&&_0x415116 instanceof Uint8ClampedArray||_0x415116 instanceof Int16Array||_0x415116 instanceof Uint16Array||_0x415116 instanceof Int32Array||_0x415116 instanceof Uint32Array||_0x415116 instanceof Float32Array||_0x415116 instanceof Float64Array)&&(_0x415116=new Uint8Array(_0x415116['buffer'],_0x415116[_0x1e9b9d(0x230)],_0x415116[_0x1e9b9d(0x234)])),_0x415116 instanceof Uint8Array){for(var _0xf80f65=_0x415116[_0x1e9b9d(0x234)],_0x59b8e0=[],_0x4269ab=0x0;_0x4269ab<_0xf80f65;_0x4269ab++)_0x59b8e0[_0x4269ab>>>0x2]|=_0x415116[_0x4269ab]<<0x18-_0x4269ab%0x4*0x8;_0x5e621d['call'](this,_0x59b8e0,_0xf80f65);}else _0x5e621d[_0x1e9b9d(0x22e)](this,arguments);};_0x5ec95c[_0x14f1df(0x240)]=_0x3bcef6;}}()),_0x3b6b7b[_0x121384(0x1ce)]['WordArray']);},0x1c6(_0x7e950a,_0x17704f,_0x5a4b92){var _0x285165=a0_0x750d,_0x4d3884,_0x43e5b9;_0x7e950a[_0x285165(0x250)]=(_0x43e5b9=_0x5a4b92(0x15),_0x5a4b92(0xa5),_0x43e5b9[_0x285165(0x1c1)][_0x285165(0x1c5)]=((_0x4d3884=_0x43e5b9[_0x285165(0x1ce)][_0x285165(0x203)][_0x285165(0x21d)]())[_0x285165(0x1ef)]=_0x4d3884[_0x285165(0x21d)]({'processBlock':function(_0x14b17a,_0x2f25df){var _0x249355=_0x285165;this[_0x249355(0x1e5)][_0x249355(0x1c6)](_0x14b17a,_0x2f25df);}}),_0x4d3884[_0x285165(0x212)]=_0x4d3884[_0x285165(0x21d)]({'processBlock':function(_0x1a404e,_0x1ce9ec){var _0x361cc0=_0x285165;this[_0x361cc0(0x1e5)][_0x361cc0(0x229)](_0x1a404e,_0x1ce9ec);}}),_0x4d3884),_0x43e5b9[_0x285165(0x1c1)][_0x285165(0x1c5)]);},0x1d7(_0x48f5a3,_0xe6dfa2,_0x3493e3){var _0x2503d5=a0_0x750d,_0x44097f,_0x28fad8,_0x2c4241,_0x523488,_0x411da8,_0xbe7220,_0x345fe9,_0x431fec;_0x48f5a3[_0x2503d5(0x250)]=(_0x28fad8=(_0x44097f=_0x431fec=_0x3493e3(0x15))[_0x2503d5(0x1ce)],_0x2c4241=_0x28fad8[_0x2503d5(0x25f)],_0x523488=_0x28fad8['Hasher'],_0x411da8=_0x44097f['algo'],_0xbe7220=[],_0x345fe9=_0x411da8[_0x2503d5(0x20b)]=_0x523488[_0x2503d5(0x21d)]({'_doReset':function(){var _0x46bf1e=_0x2503d5;this[_0x46bf1e(0x202)]=new _0x2c4241[(_0x46bf1e(0x1cd))]([0x67452301,0xefcdab89,0x98badcfe,0x10325476,0xc3d2e1f0]);},'_doProcessBlock':function(_0x378f2a,_0x1073fb){var _0x44fdfa=_0x2503d5;for(var _0x1da15a=this[_0x44fdfa(0x202)][_0x44fdfa(0x246)],_0x5b7ffc=_0x1da15a[0x0],_0x170c15=_0x1da15a[0x1],_0x399cfa=_0x1da15a[0x2],_0xca8c50=_0x1da15a[0x3],_0x3653eb=_0x1da15a[0x4],_0x4efd2c=0x0;_0x4efd2c<0x50;_0x4efd2c++){if(_0x4efd2c<0x10)_0xbe7220[_0x4efd2c]=0x0|_0x378f2a[_0x1073fb+_0x4efd2c];else{var _0x5f2231=_0xbe7220[_0x4efd2c-0x3]^_0xbe7220[_0x4efd2c-0x8]^_0xbe7220[_0x4efd2c-0xe]^_0xbe7220[_0x4efd2c-0x10];_0xbe7220[_0x4efd2c]=_0x5f2231<<0x1|_0x5f2231>>>0x1f;}var _0x372e24=(_0x5b7ffc<<0x5|_0x5b7ffc>>>0x1b)+_0x3653eb+_0xbe7220[_0x4efd2c];_0x372e24+=_0x4efd2c<0x14?0x5a827999+(_0x170c15&_0x399cfa|~_0x170c15&_0xca8c50):_0x4efd2c<0x28?0x6ed9eba1+(_0x170c15^_0x399cfa^_0xca8c50):_0x4efd2c<0x3c?(_0x170c15&_0x399cfa|_0x170c15&_0xca8c50|_0x399cfa&_0xca8c50)-0x70e44324:(_0x170c15^_0x399cfa^_0xca8c50)-0x359d3e2a,_0x3653eb=_0xca8c50,_0xca8c50=_0x399cfa,_0x399cfa=_0x170c15<<0x1e|_0x170c15>>>0x2,_0x170c15=_0x5b7ffc,_0x5b7ffc=_0x372e24;}_0x1da15a[0x0]=_0x1da15a[0x0]+_0x5b7ffc|0x0,_0x1da15a[0x1]=_0x1da15a[0x1]+_0x170c15|0x0,_0x1da15a[0x2]=_0x1da15a[0x2]+_0x399cfa|0x0,_0x1da15a[0x3]=_0x1da15a[0x3]+_0xca8c50|0x0,_0x1da15a[0x4]=_0x1da15a[0x4]+_0x3653eb|0x0;},'_doFinalize':function(){var _0x598dff=_0x2503d5,_0x19a04e=this['_data'],_0x4e7de2=_0x19a04e[_0x598dff(0x246)],_0x42f54e=0x8*this[_0x598dff(0x23f)],_0x12194b=0x8*_0x19a04e[_0x598dff(0x1dd)];return _0x4e7de2[_0x12194b>>>0x5]|=0x80<<0x18-_0x12194b%0x20,_0x4e7de2[0xe+(_0x12194b+0x40>>>0x9<<0x4)]=Math[_0x598dff(0x22d)](_0x42f54e/0x100000000),_0x4e7de2[0xf+(_0x12194b+0x40>>>0x9<<0x4)]=_0x42f54e,_0x19a04e[_0x598dff(0x1dd)]=0x4*_0x4e7de2[_0x598dff(0x268)],this[_0x598dff(0x211)](),this[_0x598dff(0x202)];},'clone':function(){var _0x2b7345=_0x2503d5,_0x4bd805=_0x523488['clone'][_0x2b7345(0x1c2)](this);return _0x4bd805[_0x2b7345(0x202)]=this['_hash'][_0x2b7345(0x1f8)](),_0x4bd805;}}),_0x44097f[_0x2503d5(0x20b)]=_0x523488[_0x2503d5(0x1e2)](_0x345fe9),_0x44097f[_0x2503d5(0x262)]=_0x523488['_createHmacHelper'](_0x345fe9),_0x431fec[_0x2503d5(0x20b)]);},0x1dd(){},0x1e2(_0x29aefa,_0x3cb476,_0x539329){var _0x3563e0=a0_0x750d,_0x5347df;_0x29aefa['exports']=(_0x5347df=_0x539329(0x15),_0x539329(0xa5),_0x5347df[_0x3563e0(0x245)][_0x3563e0(0x1e0)]={'pad':function(_0x14d34c,_0x18fc5c){var _0x151beb=_0x3563e0;_0x14d34c[_0x151beb(0x25c)](_0x5347df[_0x151beb(0x1ce)]['WordArray']['create']([0x80000000],0x1)),_0x5347df[_0x151beb(0x245)]['ZeroPadding'][_0x151beb(0x245)](_0x14d34c,_0x18fc5c);},'unpad':function(_0x2c12cb){var _0x360f6=_0x3563e0;_0x5347df[_0x360f6(0x245)]['ZeroPadding'][_0x360f6(0x273)](_0x2c12cb),_0x2c12cb['sigBytes']--;}},_0x5347df[_0x3563e0(0x245)]['Iso97971']);},0x1f7(_0x130c7a,_0x2d1503,_0x1cbff5){var _0x17c69b=a0_0x750d,_0x348940;_0x130c7a[_0x17c69b(0x250)]=(_0x348940=_0x1cbff5(0x15),(function(){var _0x52a8cf=_0x17c69b,_0xd323be=_0x348940,_0xb9a46a=_0xd323be[_0x52a8cf(0x1ce)][_0x52a8cf(0x25f)],_0x45bd25=_0xd323be[_0x52a8cf(0x1cf)];function _0x308cb3(_0x41a64e){return _0x41a64e<<0x8&0xff00ff00|_0x41a64e>>>0x8&0xff00ff;}_0x45bd25[_0x52a8cf(0x270)]=_0x45bd25[_0x52a8cf(0x244)]={'stringify':function(_0x2698be){var _0x33554b=_0x52a8cf;for(var _0x2b67f6=_0x2698be[_0x33554b(0x246)],_0x462c18=_0x2698be[_0x33554b(0x1dd)],_0x9b24ca=[],_0x3b56d1=0x0;_0x3b56d1<_0x462c18;_0x3b56d1+=0x2){var _0x331ab1=_0x2b67f6[_0x3b56d1>>>0x2]>>>0x10-_0x3b56d1%0x4*0x8&0xffff;_0x9b24ca['push'](String[_0x33554b(0x251)](_0x331ab1));}return _0x9b24ca[_0x33554b(0x26c)]('');},'parse':function(_0x40bae5){var _0x193908=_0x52a8cf;for(var _0x238823=_0x40bae5[_0x193908(0x268)],_0xfb25fa=[],_0x5e197d=0x0;_0x5e197d<_0x238823;_0x5e197d++)_0xfb25fa[_0x5e197d>>>0x1]|=_0x40bae5[_0x193908(0x26e)](_0x5e197d)<<0x10-_0x5e197d%0x2*0x10;return _0xb9a46a['create'](_0xfb25fa,0x2*_0x238823);}},_0x45bd25['Utf16LE']={'stringify':function(_0x5cf060){var _0x21c526=_0x52a8cf;for(var _0x31bf36=_0x5cf060[_0x21c526(0x246)],_0x3674a2=_0x5cf060[_0x21c526(0x1dd)],_0x423ec0=[],_0x10ff8d=0x0;_0x10ff8d<_0x3674a2;_0x10ff8d+=0x2){var _0x2ae9e7=_0x308cb3(_0x31bf36[_0x10ff8d>>>0x2]>>>0x10-_0x10ff8d%0x4*0x8&0xffff);_0x423ec0[_0x21c526(0x1b8)](String[_0x21c526(0x251)](_0x2ae9e7));}return _0x423ec0[_0x21c526(0x26c)]('');},'parse':function(_0x46c6c5){var _0x48e93f=_0x52a8cf;for(var _0x55a01f=_0x46c6c5[_0x48e93f(0x268)],_0x288c15=[],_0xd379dc=0x0;_0xd379dc<_0x55a01f;_0xd379dc++)_0x288c15[_0xd379dc>>>0x1]|=_0x308cb3(_0x46c6c5[_0x48e93f(0x26e)](_0xd379dc)<<0x10-_0xd379dc%0x2*0x10);return _0xb9a46a[_0x48e93f(0x1f9)](_0x288c15,0x2*_0x55a01f);}};}()),_0x348940[_0x17c69b(0x1cf)][_0x17c69b(0x270)]);},0x1fa(_0x5f134d,_0x3acdec,_0x11299e){var _0x47cc2=a0_0x750d,_0x4425b4,_0x4b58fc,_0x22e889,_0x1de676,_0x451721,_0x40bfdb,_0x35051c,_0x4ba04d;_0x5f134d[_0x47cc2(0x250)]=(_0x4ba04d=_0x11299e(0x15),_0x11299e(0x1d7),_0x11299e(0x19),_0x22e889=(_0x4b58fc=(_0x4425b4=_0x4ba04d)['lib'])['Base'],_0x1de676=_0x4b58fc['WordArray'],_0x40bfdb=(_0x451721=_0x4425b4[_0x47cc2(0x22a)])[_0x47cc2(0x228)],_0x35051c=_0x451721['EvpKDF']=_0x22e889[_0x47cc2(0x21d)]({'cfg':_0x22e889['extend']({'keySize':0x4,'hasher':_0x40bfdb,'iterations':0x1}),'init':function(_0x202a65){var _0x353141=_0x47cc2;this['cfg']=this[_0x353141(0x223)][_0x353141(0x21d)](_0x202a65);},'compute':function(_0x2cb8e1,_0x511809){var _0x40981b=_0x47cc2;for(var _0x50d21b,_0x4df027=this[_0x40981b(0x223)],_0x1cd210=_0x4df027['hasher'][_0x40981b(0x1f9)](),_0x3618e8=_0x1de676[_0x40981b(0x1f9)](),_0x4318e2=_0x3618e8['words'],_0x1e087f=_0x4df027[_0x40981b(0x265)],_0x425107=_0x4df027[_0x40981b(0x23e)];_0x4318e2[_0x40981b(0x268)]<_0x1e087f;){_0x50d21b&&_0x1cd210['update'](_0x50d21b),_0x50d21b=_0x1cd210[_0x40981b(0x1d6)](_0x2cb8e1)[_0x40981b(0x1e7)](_0x511809),_0x1cd210[_0x40981b(0x261)]();for(var _0x1fe5c7=0x1;_0x1fe5c7<_0x425107;_0x1fe5c7++)_0x50d21b=_0x1cd210[_0x40981b(0x1e7)](_0x50d21b),_0x1cd210[_0x40981b(0x261)]();_0x3618e8['concat'](_0x50d21b);}return _0x3618e8[_0x40981b(0x1dd)]=0x4*_0x1e087f,_0x3618e8;}}),_0x4425b4[_0x47cc2(0x21a)]=function(_0x4818d2,_0x391442,_0xd8f8fe){var _0x38b6df=_0x47cc2;return _0x35051c[_0x38b6df(0x1f9)](_0xd8f8fe)[_0x38b6df(0x26f)](_0x4818d2,_0x391442);},_0x4ba04d['EvpKDF']);},0x22d(_0x4c7a47,_0x181e24,_0x3555e1){var _0x5e2dbc=a0_0x750d,_0x334a80,_0x321f76,_0x49725b,_0x5cf66e,_0xadc117,_0x33fecb,_0xa51768,_0x315602;_0x4c7a47['exports']=(_0x315602=_0x3555e1(0x15),_0x3555e1(0xf0),_0x3555e1(0x17c),_0x321f76=(_0x334a80=_0x315602)['x64'],_0x49725b=_0x321f76[_0x5e2dbc(0x1bd)],_0x5cf66e=_0x321f76[_0x5e2dbc(0x25f)],_0xadc117=_0x334a80['algo'],_0x33fecb=_0xadc117['SHA512'],_0xa51768=_0xadc117[_0x5e2dbc(0x25d)]=_0x33fecb[_0x5e2dbc(0x21d)]({'_doReset':function(){var _0x588cc6=_0x5e2dbc;this[_0x588cc6(0x202)]=new _0x5cf66e[(_0x588cc6(0x1cd))]([new _0x49725b[(_0x588cc6(0x1cd))](0xcbbb9d5d,0xc1059ed8),new _0x49725b[(_0x588cc6(0x1cd))](0x629a292a,0x367cd507),new _0x49725b[(_0x588cc6(0x1cd))](0x9159015a,0x3070dd17),new _0x49725b[(_0x588cc6(0x1cd))](0x152fecd8,0xf70e5939),new _0x49725b[(_0x588cc6(0x1cd))](0x67332667,0xffc00b31),new _0x49725b[(_0x588cc6(0x1cd))](0x8eb44a87,0x68581511),new _0x49725b[(_0x588cc6(0x1cd))](0xdb0c2e0d,0x64f98fa7),new _0x49725b[(_0x588cc6(0x1cd))](0x47b5481d,0xbefa4fa4)]);},'_doFinalize':function(){var _0x3a7fd9=_0x5e2dbc,_0xf7f6f0=_0x33fecb['_doFinalize'][_0x3a7fd9(0x1c2)](this);return _0xf7f6f0[_0x3a7fd9(0x1dd)]-=0x10,_0xf7f6f0;}}),_0x334a80[_0x5e2dbc(0x25d)]=_0x33fecb['_createHelper'](_0xa51768),_0x334a80[_0x5e2dbc(0x1af)]=_0x33fecb[_0x5e2dbc(0x1e8)](_0xa51768),_0x315602[_0x5e2dbc(0x25d)]);},0x274(_0x4261df,_0x11a2e0,_0x56fc79){var _0x569664=a0_0x750d,_0x3907a8;_0x4261df[_0x569664(0x250)]=(_0x3907a8=_0x56fc79(0x15),_0x56fc79(0x2f2),_0x56fc79(0x27c),_0x56fc79(0x1fa),_0x56fc79(0xa5),(function(){var _0x501641=_0x569664,_0x109973=_0x3907a8,_0x35983a=_0x109973[_0x501641(0x1ce)],_0x52f959=_0x35983a[_0x501641(0x25f)],_0xce8087=_0x35983a[_0x501641(0x1ca)],_0x2e74a8=_0x109973['algo'],_0x3b8a10=[0x39,0x31,0x29,0x21,0x19,0x11,0x9,0x1,0x3a,0x32,0x2a,0x22,0x1a,0x12,0xa,0x2,0x3b,0x33,0x2b,0x23,0x1b,0x13,0xb,0x3,0x3c,0x34,0x2c,0x24,0x3f,0x37,0x2f,0x27,0x1f,0x17,0xf,0x7,0x3e,0x36,0x2e,0x26,0x1e,0x16,0xe,0x6,0x3d,0x35,0x2d,0x25,0x1d,0x15,0xd,0x5,0x1c,0x14,0xc,0x4],_0x379be1=[0xe,0x11,0xb,0x18,0x1,0x5,0x3,0x1c,0xf,0x6,0x15,0xa,0x17,0x13,0xc,0x4,0x1a,0x8,0x10,0x7,0x1b,0x14,0xd,0x2,0x29,0x34,0x1f,0x25,0x2f,0x37,0x1e,0x28,0x33,0x2d,0x21,0x30,0x2c,0x31,0x27,0x38,0x22,0x35,0x2e,0x2a,0x32,0x24,0x1d,0x20],_0x515ae8=[0x1,0x2,0x4,0x6,0x8,0xa,0xc,0xe,0xf,0x11,0x13,0x15,0x17,0x19,0x1b,0x1c],_0x2b9e16=[{0x0:0x808200,0x10000000:0x8000,0x20000000:0x808002,0x30000000:0x2,0x40000000:0x200,0x50000000:0x808202,0x60000000:0x800202,0x70000000:0x800000,0x80000000:0x202,0x90000000:0x800200,0xa0000000:0x8200,0xb0000000:0x808000,0xc0000000:0x8002,0xd0000000:0x800002,0xe0000000:0x0,0xf0000000:0x8202,0x8000000:0x0,0x18000000:0x808202,0x28000000:0x8202,0x38000000:0x8000,0x48000000:0x808200,0x58000000:0x200,0x68000000:0x808002,0x78000000:0x2,0x88000000:0x800200,0x98000000:0x8200,0xa8000000:0x808000,0xb8000000:0x800202,0xc8000000:0x800002,0xd8000000:0x8002,0xe8000000:0x202,0xf8000000:0x800000,0x1:0x8000,0x10000001:0x2,0x20000001:0x808200,0x30000001:0x800000,0x40000001:0x808002,0x50000001:0x8200,0x60000001:0x200,0x70000001:0x800202,0x80000001:0x808202,0x90000001:0x808000,0xa0000001:0x800002,0xb0000001:0x8202,0xc0000001:0x202,0xd0000001:0x800200,0xe0000001:0x8002,0xf0000001:0x0,0x8000001:0x808202,0x18000001:0x808000,0x28000001:0x800000,0x38000001:0x200,0x48000001:0x8000,0x58000001:0x800002,0x68000001:0x2,0x78000001:0x8202,0x88000001:0x8002,0x98000001:0x800202,0xa8000001:0x202,0xb8000001:0x808200,0xc8000001:0x800200,0xd8000001:0x0,0xe8000001:0x8200,0xf8000001:0x808002},{0x0:0x40084010,0x1000000:0x4000,0x2000000:0x80000,0x3000000:0x40080010,0x4000000:0x40000010,0x5000000:0x40084000,0x6000000:0x40004000,0x7000000:0x10,0x8000000:0x84000,0x9000000:0x40004010,0xa000000:0x40000000,0xb000000:0x84010,0xc000000:0x80010,0xd000000:0x0,0xe000000:0x4010,0xf000000:0x40080000,0x800000:0x40004000,0x1800000:0x84010,0x2800000:0x10,0x3800000:0x40004010,0x4800000:0x40084010,0x5800000:0x40000000,0x6800000:0x80000,0x7800000:0x40080010,0x8800000:0x80010,0x9800000:0x0,0xa800000:0x4000,0xb800000:0x40080000,0xc800000:0x40000010,0xd800000:0x84000,0xe800000:0x40084000,0xf800000:0x4010,0x10000000:0x0,0x11000000:0x40080010,0x12000000:0x40004010,0x13000000:0x40084000,0x14000000:0x40080000,0x15000000:0x10,0x16000000:0x84010,0x17000000:0x4000,0x18000000:0x4010,0x19000000:0x80000,0x1a000000:0x80010,0x1b000000:0x40000010,0x1c000000:0x84000,0x1d000000:0x40004000,0x1e000000:0x40000000,0x1f000000:0x40084010,0x10800000:0x84010,0x11800000:0x80000,0x12800000:0x40080000,0x13800000:0x4000,0x14800000:0x40004000,0x15800000:0x40084010,0x16800000:0x10,0x17800000:0x40000000,0x18800000:0x40084000,0x19800000:0x40000010,0x1a800000:0x40004010,0x1b800000:0x80010,0x1c800000:0x0,0x1d800000:0x4010,0x1e800000:0x40080010,0x1f800000:0x84000},{0x0:0x104,0x100000:0x0,0x200000:0x4000100,0x300000:0x10104,0x400000:0x10004,0x500000:0x4000004,0x600000:0x4010104,0x700000:0x4010000,0x800000:0x4000000,0x900000:0x4010100,0xa00000:0x10100,0xb00000:0x4010004,0xc00000:0x4000104,0xd00000:0x10000,0xe00000:0x4,0xf00000:0x100,0x80000:0x4010100,0x180000:0x4010004,0x280000:0x0,0x380000:0x4000100,0x480000:0x4000004,0x580000:0x10000,0x680000:0x10004,0x780000:0x104,0x880000:0x4,0x980000:0x100,0xa80000:0x4010000,0xb80000:0x10104,0xc80000:0x10100,0xd80000:0x4000104,0xe80000:0x4010104,0xf80000:0x4000000,0x1000000:0x4010100,0x1100000:0x10004,0x1200000:0x10000,0x1300000:0x4000100,0x1400000:0x100,0x1500000:0x4010104,0x1600000:0x4000004,0x1700000:0x0,0x1800000:0x4000104,0x1900000:0x4000000,0x1a00000:0x4,0x1b00000:0x10100,0x1c00000:0x4010000,0x1d00000:0x104,0x1e00000:0x10104,0x1f00000:0x4010004,0x1080000:0x4000000,0x1180000:0x104,0x1280000:0x4010100,0x1380000:0x0,0x1480000:0x10004,0x1580000:0x4000100,0x1680000:0x100,0x1780000:0x4010004,0x1880000:0x10000,0x1980000:0x4010104,0x1a80000:0x10104,0x1b80000:0x4000004,0x1c80000:0x4000104,0x1d80000:0x4010000,0x1e80000:0x4,0x1f80000:0x10100},{0x0:0x80401000,0x10000:0x80001040,0x20000:0x401040,0x30000:0x80400000,0x40000:0x0,0x50000:0x401000,0x60000:0x80000040,0x70000:0x400040,0x80000:0x80000000,0x90000:0x400000,0xa0000:0x40,0xb0000:0x80001000,0xc0000:0x80400040,0xd0000:0x1040,0xe0000:0x1000,0xf0000:0x80401040,0x8000:0x80001040,0x18000:0x40,0x28000:0x80400040,0x38000:0x80001000,0x48000:0x401000,0x58000:0x80401040,0x68000:0x0,0x78000:0x80400000,0x88000:0x1000,0x98000:0x80401000,0xa8000:0x400000,0xb8000:0x1040,0xc8000:0x80000000,0xd8000:0x400040,0xe8000:0x401040,0xf8000:0x80000040,0x100000:0x400040,0x110000:0x401000,0x120000:0x80000040,0x130000:0x0,0x140000:0x1040,0x150000:0x80400040,0x160000:0x80401000,0x170000:0x80001040,0x180000:0x80401040,0x190000:0x80000000,0x1a0000:0x80400000,0x1b0000:0x401040,0x1c0000:0x80001000,0x1d0000:0x400000,0x1e0000:0x40,0x1f0000:0x1000,0x108000:0x80400000,0x118000:0x80401040,0x128000:0x0,0x138000:0x401000,0x148000:0x400040,0x158000:0x80000000,0x168000:0x80001040,0x178000:0x40,0x188000:0x80000040,0x198000:0x1000,0x1a8000:0x80001000,0x1b8000:0x80400040,0x1c8000:0x1040,0x1d8000:0x80401000,0x1e8000:0x400000,0x1f8000:0x401040},{0x0:0x80,0x1000:0x1040000,0x2000:0x40000,0x3000:0x20000000,0x4000:0x20040080,0x5000:0x1000080,0x6000:0x21000080,0x7000:0x40080,0x8000:0x1000000,0x9000:0x20040000,0xa000:0x20000080,0xb000:0x21040080,0xc000:0x21040000,0xd000:0x0,0xe000:0x1040080,0xf000:0x21000000,0x800:0x1040080,0x1800:0x21000080,0x2800:0x80,0x3800:0x1040000,0x4800:0x40000,0x5800:0x20040080,0x6800:0x21040000,0x7800:0x20000000,0x8800:0x20040000,0x9800:0x0,0xa800:0x21040080,0xb800:0x1000080,0xc800:0x20000080,0xd800:0x21000000,0xe800:0x1000000,0xf800:0x40080,0x10000:0x40000,0x11000:0x80,0x12000:0x20000000,0x13000:0x21000080,0x14000:0x1000080,0x15000:0x21040000,0x16000:0x20040080,0x17000:0x1000000,0x18000:0x21040080,0x19000:0x21000000,0x1a000:0x1040000,0x1b000:0x20040000,0x1c000:0x40080,0x1d000:0x20000080,0x1e000:0x0,0x1f000:0x1040080,0x10800:0x21000080,0x11800:0x1000000,0x12800:0x1040000,0x13800:0x20040080,0x14800:0x20000000,0x15800:0x1040080,0x16800:0x80,0x17800:0x21040000,0x18800:0x40080,0x19800:0x21040080,0x1a800:0x0,0x1b800:0x21000000,0x1c800:0x1000080,0x1d800:0x40000,0x1e800:0x20040000,0x1f800:0x20000080},{0x0:0x10000008,0x100:0x2000,0x200:0x10200000,0x300:0x10202008,0x400:0x10002000,0x500:0x200000,0x600:0x200008,0x700:0x10000000,0x800:0x0,0x900:0x10002008,0xa00:0x202000,0xb00:0x8,0xc00:0x10200008,0xd00:0x202008,0xe00:0x2008,0xf00:0x10202000,0x80:0x10200000,0x180:0x10202008,0x280:0x8,0x380:0x200000,0x480:0x202008,0x580:0x10000008,0x680:0x10002000,0x780:0x2008,0x880:0x200008,0x980:0x2000,0xa80:0x10002008,0xb80:0x10200008,0xc80:0x0,0xd80:0x10202000,0xe80:0x202000,0xf80:0x10000000,0x1000:0x10002000,0x1100:0x10200008,0x1200:0x10202008,0x1300:0x2008,0x1400:0x200000,0x1500:0x10000000,0x1600:0x10000008,0x1700:0x202000,0x1800:0x202008,0x1900:0x0,0x1a00:0x8,0x1b00:0x10200000,0x1c00:0x2000,0x1d00:0x10002008,0x1e00:0x10202000,0x1f00:0x200008,0x1080:0x8,0x1180:0x202000,0x1280:0x200000,0x1380:0x10000008,0x1480:0x10002000,0x1580:0x2008,0x1680:0x10202008,0x1780:0x10200000,0x1880:0x10202000,0x1980:0x10200008,0x1a80:0x2000,0x1b80:0x202008,0x1c80:0x200008,0x1d80:0x0,0x1e80:0x10000000,0x1f80:0x10002008},{0x0:0x100000,0x10:0x2000401,0x20:0x400,0x30:0x100401,0x40:0x2100401,0x50:0x0,0x60:0x1,0x70:0x2100001,0x80:0x2000400,0x90:0x100001,0xa0:0x2000001,0xb0:0x2100400,0xc0:0x2100000,0xd0:0x401,0xe0:0x100400,0xf0:0x2000000,0x8:0x2100001,0x18:0x0,0x28:0x2000401,0x38:0x2100400,0x48:0x100000,0x58:0x2000001,0x68:0x2000000,0x78:0x401,0x88:0x100401,0x98:0x2000400,0xa8:0x2100000,0xb8:0x100001,0xc8:0x400,0xd8:0x2100401,0xe8:0x1,0xf8:0x100400,0x100:0x2000000,0x110:0x100000,0x120:0x2000401,0x130:0x2100001,0x140:0x100001,0x150:0x2000400,0x160:0x2100400,0x170:0x100401,0x180:0x401,0x190:0x2100401,0x1a0:0x100400,0x1b0:0x1,0x1c0:0x0,0x1d0:0x2100000,0x1e0:0x2000001,0x1f0:0x400,0x108:0x100400,0x118:0x2000401,0x128:0x2100001,0x138:0x1,0x148:0x2000000,0x158:0x100000,0x168:0x401,0x178:0x2100400,0x188:0x2000001,0x198:0x2100000,0x1a8:0x0,0x1b8:0x2100401,0x1c8:0x100401,0x1d8:0x400,0x1e8:0x2000400,0x1f8:0x100001},{0x0:0x8000820,0x1:0x20000,0x2:0x8000000,0x3:0x20,0x4:0x20020,0x5:0x8020820,0x6:0x8020800,0x7:0x800,0x8:0x8020000,0x9:0x8000800,0xa:0x20800,0xb:0x8020020,0xc:0x820,0xd:0x0,0xe:0x8000020,0xf:0x20820,0x80000000:0x800,0x80000001:0x8020820,0x80000002:0x8000820,0x80000003:0x8000000,0x80000004:0x8020000,0x80000005:0x20800,0x80000006:0x20820,0x80000007:0x20,0x80000008:0x8000020,0x80000009:0x820,0x8000000a:0x20020,0x8000000b:0x8020800,0x8000000c:0x0,0x8000000d:0x8020020,0x8000000e:0x8000800,0x8000000f:0x20000,0x10:0x20820,0x11:0x8020800,0x12:0x20,0x13:0x800,0x14:0x8000800,0x15:0x8000020,0x16:0x8020020,0x17:0x20000,0x18:0x0,0x19:0x20020,0x1a:0x8020000,0x1b:0x8000820,0x1c:0x8020820,0x1d:0x20800,0x1e:0x820,0x1f:0x8000000,0x80000010:0x20000,0x80000011:0x800,0x80000012:0x8020020,0x80000013:0x20820,0x80000014:0x20,0x80000015:0x8020000,0x80000016:0x8000000,0x80000017:0x8000820,0x80000018:0x8020820,0x80000019:0x8000020,0x8000001a:0x8000800,0x8000001b:0x0,0x8000001c:0x20800,0x8000001d:0x820,0x8000001e:0x20020,0x8000001f:0x8020800}],_0x13b1d4=[0xf8000001,0x1f800000,0x1f80000,0x1f8000,0x1f800,0x1f80,0x1f8,0x8000001f],_0x52afff=_0x2e74a8[_0x501641(0x267)]=_0xce8087[_0x501641(0x21d)]({'_doReset':function(){var _0x18cffa=_0x501641;for(var _0x5ba925=this[_0x18cffa(0x1c3)][_0x18cffa(0x246)],_0x21fa68=[],_0x5b5524=0x0;_0x5b5524<0x38;_0x5b5524++){var _0x2448ed=_0x3b8a10[_0x5b5524]-0x1;_0x21fa68[_0x5b5524]=_0x5ba925[_0x2448ed>>>0x5]>>>0x1f-_0x2448ed%0x20&0x1;}for(var _0x7158ea=this[_0x18cffa(0x1b2)]=[],_0x4c7e11=0x0;_0x4c7e11<0x10;_0x4c7e11++){var _0x86c43c=_0x7158ea[_0x4c7e11]=[],_0x11b88f=_0x515ae8[_0x4c7e11];for(_0x5b5524=0x0;_0x5b5524<0x18;_0x5b5524++)_0x86c43c[_0x5b5524/0x6|0x0]|=_0x21fa68[(_0x379be1[_0x5b5524]-0x1+_0x11b88f)%0x1c]<<0x1f-_0x5b5524%0x6,_0x86c43c[0x4+(_0x5b5524/0x6|0x0)]|=_0x21fa68[0x1c+(_0x379be1[_0x5b5524+0x18]-0x1+_0x11b88f)%0x1c]<<0x1f-_0x5b5524%0x6;for(_0x86c43c[0x0]=_0x86c43c[0x0]<<0x1|_0x86c43c[0x0]>>>0x1f,_0x5b5524=0x1;_0x5b5524<0x7;_0x5b5524++)_0x86c43c[_0x5b5524]=_0x86c43c[_0x5b5524]>>>0x4*(_0x5b5524-0x1)+0x3;_0x86c43c[0x7]=_0x86c43c[0x7]<<0x5|_0x86c43c[0x7]>>>0x1b;}var _0x3c4827=this[_0x18cffa(0x1d8)]=[];for(_0x5b5524=0x0;_0x5b5524<0x10;_0x5b5524++)_0x3c4827[_0x5b5524]=_0x7158ea[0xf-_0x5b5524];},'encryptBlock':function(_0xe7362e,_0x5c910a){var _0x425fbd=_0x501641;this['_doCryptBlock'](_0xe7362e,_0x5c910a,this[_0x425fbd(0x1b2)]);},'decryptBlock':function(_0x4baade,_0x46d50d){var _0x173dec=_0x501641;this[_0x173dec(0x237)](_0x4baade,_0x46d50d,this['_invSubKeys']);},'_doCryptBlock':function(_0x3d6833,_0x1be12a,_0x294779){var _0x158485=_0x501641;this['_lBlock']=_0x3d6833[_0x1be12a],this[_0x158485(0x20e)]=_0x3d6833[_0x1be12a+0x1],_0x513bbf[_0x158485(0x1c2)](this,0x4,0xf0f0f0f),_0x513bbf[_0x158485(0x1c2)](this,0x10,0xffff),_0x753621['call'](this,0x2,0x33333333),_0x753621[_0x158485(0x1c2)](this,0x8,0xff00ff),_0x513bbf[_0x158485(0x1c2)](this,0x1,0x55555555);for(var _0x1fced4=0x0;_0x1fced4<0x10;_0x1fced4++){for(var _0x8af961=_0x294779[_0x1fced4],_0x355325=this[_0x158485(0x221)],_0x1a8b6c=this[_0x158485(0x20e)],_0x325fb3=0x0,_0x2a1fc5=0x0;_0x2a1fc5<0x8;_0x2a1fc5++)_0x325fb3|=_0x2b9e16[_0x2a1fc5][((_0x1a8b6c^_0x8af961[_0x2a1fc5])&_0x13b1d4[_0x2a1fc5])>>>0x0];this[_0x158485(0x221)]=_0x1a8b6c,this[_0x158485(0x20e)]=_0x355325^_0x325fb3;}var _0x259b87=this[_0x158485(0x221)];this[_0x158485(0x221)]=this['_rBlock'],this[_0x158485(0x20e)]=_0x259b87,_0x513bbf[_0x158485(0x1c2)](this,0x1,0x55555555),_0x753621[_0x158485(0x1c2)](this,0x8,0xff00ff),_0x753621[_0x158485(0x1c2)](this,0x2,0x33333333),_0x513bbf[_0x158485(0x1c2)](this,0x10,0xffff),_0x513bbf[_0x158485(0x1c2)](this,0x4,0xf0f0f0f),_0x3d6833[_0x1be12a]=this[_0x158485(0x221)],_0x3d6833[_0x1be12a+0x1]=this[_0x158485(0x20e)];},'keySize':0x2,'ivSize':0x2,'blockSize':0x2});function _0x513bbf(_0x118ce6,_0xa1b95e){var _0x3173b7=_0x501641,_0x1ee736=(this[_0x3173b7(0x221)]>>>_0x118ce6^this[_0x3173b7(0x20e)])&_0xa1b95e;this[_0x3173b7(0x20e)]^=_0x1ee736,this['_lBlock']^=_0x1ee736<<_0x118ce6;}function _0x753621(_0x349f52,_0x1fe142){var _0x11e961=_0x501641,_0x4abd34=(this[_0x11e961(0x20e)]>>>_0x349f52^this['_lBlock'])&_0x1fe142;this['_lBlock']^=_0x4abd34,this[_0x11e961(0x20e)]^=_0x4abd34<<_0x349f52;}_0x109973[_0x501641(0x267)]=_0xce8087[_0x501641(0x1e2)](_0x52afff);var _0x2d6b=_0x2e74a8['TripleDES']=_0xce8087[_0x501641(0x21d)]({'_doReset':function(){var _0x3551fc=_0x501641,_0x100232=this[_0x3551fc(0x1c3)][_0x3551fc(0x246)];if(0x2!==_0x100232[_0x3551fc(0x268)]&&0x4!==_0x100232[_0x3551fc(0x268)]&&_0x100232[_0x3551fc(0x268)]<0x6)throw new Error(_0x3551fc(0x266));var _0x47e3fa=_0x100232[_0x3551fc(0x1a5)](0x0,0x2),_0x5af30f=_0x100232['length']<0x4?_0x100232[_0x3551fc(0x1a5)](0x0,0x2):_0x100232[_0x3551fc(0x1a5)](0x2,0x4),_0x5dcafe=_0x100232[_0x3551fc(0x268)]<0x6?_0x100232[_0x3551fc(0x1a5)](0x0,0x2):_0x100232[_0x3551fc(0x1a5)](0x4,0x6);this[_0x3551fc(0x238)]=_0x52afff['createEncryptor'](_0x52f959['create'](_0x47e3fa)),this[_0x3551fc(0x241)]=_0x52afff[_0x3551fc(0x235)](_0x52f959[_0x3551fc(0x1f9)](_0x5af30f)),this[_0x3551fc(0x1ee)]=_0x52afff[_0x3551fc(0x235)](_0x52f959[_0x3551fc(0x1f9)](_0x5dcafe));},'encryptBlock':function(_0x29e717,_0x4f1b15){var _0x374ff1=_0x501641;this[_0x374ff1(0x238)][_0x374ff1(0x1c6)](_0x29e717,_0x4f1b15),this[_0x374ff1(0x241)][_0x374ff1(0x229)](_0x29e717,_0x4f1b15),this[_0x374ff1(0x1ee)][_0x374ff1(0x1c6)](_0x29e717,_0x4f1b15);},'decryptBlock':function(_0x48e5dc,_0x4c1c07){var _0x1bffb1=_0x501641;this[_0x1bffb1(0x1ee)][_0x1bffb1(0x229)](_0x48e5dc,_0x4c1c07),this[_0x1bffb1(0x241)]['encryptBlock'](_0x48e5dc,_0x4c1c07),this[_0x1bffb1(0x238)]['decryptBlock'](_0x48e5dc,_0x4c1c07);},'keySize':0x6,'ivSize':0x2,'blockSize':0x2});_0x109973[_0x501641(0x24d)]=_0xce8087[_0x501641(0x1e2)](_0x2d6b);}()),_0x3907a8[_0x569664(0x24d)]);},0x27c(_0x51b869,_0x1c53e5,_0x217cad){var _0x7007c=a0_0x750d,_0x4c1538;_0x51b869[_0x7007c(0x250)]=(_0x4c1538=_0x217cad(0x15),function(_0x400942){var _0x197a15=_0x7007c,_0xbfaa43=_0x4c1538,_0x351c98=_0xbfaa43[_0x197a15(0x1ce)],_0x3e0130=_0x351c98[_0x197a15(0x25f)],_0x44bbb9=_0x351c98[_0x197a15(0x1b6)],_0x5466a3=_0xbfaa43[_0x197a15(0x22a)],_0x39ab0a=[];!(function(){for(var _0x561aca=0x0;_0x561aca<0x40;_0x561aca++)_0x39ab0a[_0x561aca]=0x100000000*_0x400942['abs'](_0x400942['sin'](_0x561aca+0x1))|0x0;}());var _0xeced60=_0x5466a3[_0x197a15(0x228)]=_0x44bbb9[_0x197a15(0x21d)]({'_doReset':function(){var _0x5cacfa=_0x197a15;this[_0x5cacfa(0x202)]=new _0x3e0130[(_0x5cacfa(0x1cd))]([0x67452301,0xefcdab89,0x98badcfe,0x10325476]);},'_doProcessBlock':function(_0x204a09,_0x2b84f3){var _0x120270=_0x197a15;for(var _0x7c3350=0x0;_0x7c3350<0x10;_0x7c3350++){var _0x35eed9=_0x2b84f3+_0x7c3350,_0x3c2a05=_0x204a09[_0x35eed9];_0x204a09[_0x35eed9]=0xff00ff&(_0x3c2a05<<0x8|_0x3c2a05>>>0x18)|0xff00ff00&(_0x3c2a05<<0x18|_0x3c2a05>>>0x8);}var _0x4da22d=this['_hash'][_0x120270(0x246)],_0x485f13=_0x204a09[_0x2b84f3+0x0],_0x45bc1e=_0x204a09[_0x2b84f3+0x1],_0x3aa513=_0x204a09[_0x2b84f3+0x2],_0x3feeaf=_0x204a09[_0x2b84f3+0x3],_0x5c18e0=_0x204a09[_0x2b84f3+0x4],_0x2d1255=_0x204a09[_0x2b84f3+0x5],_0x495107=_0x204a09[_0x2b84f3+0x6],_0x14bdfe=_0x204a09[_0x2b84f3+0x7],_0x28fe39=_0x204a09[_0x2b84f3+0x8],_0x1b943c=_0x204a09[_0x2b84f3+0x9],_0x3f4f7a=_0x204a09[_0x2b84f3+0xa],_0x321579=_0x204a09[_0x2b84f3+0xb],_0x175e20=_0x204a09[_0x2b84f3+0xc],_0x175993=_0x204a09[_0x2b84f3+0xd],_0x7fc276=_0x204a09[_0x2b84f3+0xe],_0x135318=_0x204a09[_0x2b84f3+0xf],_0x4dafc4=_0x4da22d[0x0],_0x9f393b=_0x4da22d[0x1],_0x5c6097=_0x4da22d[0x2],_0x4bffd9=_0x4da22d[0x3];_0x4dafc4=_0x2679da(_0x4dafc4,_0x9f393b,_0x5c6097,_0x4bffd9,_0x485f13,0x7,_0x39ab0a[0x0]),_0x4bffd9=_0x2679da(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x45bc1e,0xc,_0x39ab0a[0x1]),_0x5c6097=_0x2679da(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x3aa513,0x11,_0x39ab0a[0x2]),_0x9f393b=_0x2679da(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x3feeaf,0x16,_0x39ab0a[0x3]),_0x4dafc4=_0x2679da(_0x4dafc4,_0x9f393b,_0x5c6097,_0x4bffd9,_0x5c18e0,0x7,_0x39ab0a[0x4]),_0x4bffd9=_0x2679da(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x2d1255,0xc,_0x39ab0a[0x5]),_0x5c6097=_0x2679da(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x495107,0x11,_0x39ab0a[0x6]),_0x9f393b=_0x2679da(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x14bdfe,0x16,_0x39ab0a[0x7]),_0x4dafc4=_0x2679da(_0x4dafc4,_0x9f393b,_0x5c6097,_0x4bffd9,_0x28fe39,0x7,_0x39ab0a[0x8]),_0x4bffd9=_0x2679da(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x1b943c,0xc,_0x39ab0a[0x9]),_0x5c6097=_0x2679da(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x3f4f7a,0x11,_0x39ab0a[0xa]),_0x9f393b=_0x2679da(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x321579,0x16,_0x39ab0a[0xb]),_0x4dafc4=_0x2679da(_0x4dafc4,_0x9f393b,_0x5c6097,_0x4bffd9,_0x175e20,0x7,_0x39ab0a[0xc]),_0x4bffd9=_0x2679da(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x175993,0xc,_0x39ab0a[0xd]),_0x5c6097=_0x2679da(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x7fc276,0x11,_0x39ab0a[0xe]),_0x4dafc4=_0xfc91a3(_0x4dafc4,_0x9f393b=_0x2679da(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x135318,0x16,_0x39ab0a[0xf]),_0x5c6097,_0x4bffd9,_0x45bc1e,0x5,_0x39ab0a[0x10]),_0x4bffd9=_0xfc91a3(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x495107,0x9,_0x39ab0a[0x11]),_0x5c6097=_0xfc91a3(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x321579,0xe,_0x39ab0a[0x12]),_0x9f393b=_0xfc91a3(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x485f13,0x14,_0x39ab0a[0x13]),_0x4dafc4=_0xfc91a3(_0x4dafc4,_0x9f393b,_0x5c6097,_0x4bffd9,_0x2d1255,0x5,_0x39ab0a[0x14]),_0x4bffd9=_0xfc91a3(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x3f4f7a,0x9,_0x39ab0a[0x15]),_0x5c6097=_0xfc91a3(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x135318,0xe,_0x39ab0a[0x16]),_0x9f393b=_0xfc91a3(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x5c18e0,0x14,_0x39ab0a[0x17]),_0x4dafc4=_0xfc91a3(_0x4dafc4,_0x9f393b,_0x5c6097,_0x4bffd9,_0x1b943c,0x5,_0x39ab0a[0x18]),_0x4bffd9=_0xfc91a3(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x7fc276,0x9,_0x39ab0a[0x19]),_0x5c6097=_0xfc91a3(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x3feeaf,0xe,_0x39ab0a[0x1a]),_0x9f393b=_0xfc91a3(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x28fe39,0x14,_0x39ab0a[0x1b]),_0x4dafc4=_0xfc91a3(_0x4dafc4,_0x9f393b,_0x5c6097,_0x4bffd9,_0x175993,0x5,_0x39ab0a[0x1c]),_0x4bffd9=_0xfc91a3(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x3aa513,0x9,_0x39ab0a[0x1d]),_0x5c6097=_0xfc91a3(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x14bdfe,0xe,_0x39ab0a[0x1e]),_0x4dafc4=_0x17b877(_0x4dafc4,_0x9f393b=_0xfc91a3(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x175e20,0x14,_0x39ab0a[0x1f]),_0x5c6097,_0x4bffd9,_0x2d1255,0x4,_0x39ab0a[0x20]),_0x4bffd9=_0x17b877(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x28fe39,0xb,_0x39ab0a[0x21]),_0x5c6097=_0x17b877(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x321579,0x10,_0x39ab0a[0x22]),_0x9f393b=_0x17b877(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x7fc276,0x17,_0x39ab0a[0x23]),_0x4dafc4=_0x17b877(_0x4dafc4,_0x9f393b,_0x5c6097,_0x4bffd9,_0x45bc1e,0x4,_0x39ab0a[0x24]),_0x4bffd9=_0x17b877(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x5c18e0,0xb,_0x39ab0a[0x25]),_0x5c6097=_0x17b877(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x14bdfe,0x10,_0x39ab0a[0x26]),_0x9f393b=_0x17b877(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x3f4f7a,0x17,_0x39ab0a[0x27]),_0x4dafc4=_0x17b877(_0x4dafc4,_0x9f393b,_0x5c6097,_0x4bffd9,_0x175993,0x4,_0x39ab0a[0x28]),_0x4bffd9=_0x17b877(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x485f13,0xb,_0x39ab0a[0x29]),_0x5c6097=_0x17b877(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x3feeaf,0x10,_0x39ab0a[0x2a]),_0x9f393b=_0x17b877(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x495107,0x17,_0x39ab0a[0x2b]),_0x4dafc4=_0x17b877(_0x4dafc4,_0x9f393b,_0x5c6097,_0x4bffd9,_0x1b943c,0x4,_0x39ab0a[0x2c]),_0x4bffd9=_0x17b877(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x175e20,0xb,_0x39ab0a[0x2d]),_0x5c6097=_0x17b877(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x135318,0x10,_0x39ab0a[0x2e]),_0x4dafc4=_0x29e2fa(_0x4dafc4,_0x9f393b=_0x17b877(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x3aa513,0x17,_0x39ab0a[0x2f]),_0x5c6097,_0x4bffd9,_0x485f13,0x6,_0x39ab0a[0x30]),_0x4bffd9=_0x29e2fa(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x14bdfe,0xa,_0x39ab0a[0x31]),_0x5c6097=_0x29e2fa(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x7fc276,0xf,_0x39ab0a[0x32]),_0x9f393b=_0x29e2fa(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x2d1255,0x15,_0x39ab0a[0x33]),_0x4dafc4=_0x29e2fa(_0x4dafc4,_0x9f393b,_0x5c6097,_0x4bffd9,_0x175e20,0x6,_0x39ab0a[0x34]),_0x4bffd9=_0x29e2fa(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x3feeaf,0xa,_0x39ab0a[0x35]),_0x5c6097=_0x29e2fa(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x3f4f7a,0xf,_0x39ab0a[0x36]),_0x9f393b=_0x29e2fa(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x45bc1e,0x15,_0x39ab0a[0x37]),_0x4dafc4=_0x29e2fa(_0x4dafc4,_0x9f393b,_0x5c6097,_0x4bffd9,_0x28fe39,0x6,_0x39ab0a[0x38]),_0x4bffd9=_0x29e2fa(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x135318,0xa,_0x39ab0a[0x39]),_0x5c6097=_0x29e2fa(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x495107,0xf,_0x39ab0a[0x3a]),_0x9f393b=_0x29e2fa(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x175993,0x15,_0x39ab0a[0x3b]),_0x4dafc4=_0x29e2fa(_0x4dafc4,_0x9f393b,_0x5c6097,_0x4bffd9,_0x5c18e0,0x6,_0x39ab0a[0x3c]),_0x4bffd9=_0x29e2fa(_0x4bffd9,_0x4dafc4,_0x9f393b,_0x5c6097,_0x321579,0xa,_0x39ab0a[0x3d]),_0x5c6097=_0x29e2fa(_0x5c6097,_0x4bffd9,_0x4dafc4,_0x9f393b,_0x3aa513,0xf,_0x39ab0a[0x3e]),_0x9f393b=_0x29e2fa(_0x9f393b,_0x5c6097,_0x4bffd9,_0x4dafc4,_0x1b943c,0x15,_0x39ab0a[0x3f]),_0x4da22d[0x0]=_0x4da22d[0x0]+_0x4dafc4|0x0,_0x4da22d[0x1]=_0x4da22d[0x1]+_0x9f393b|0x0,_0x4da22d[0x2]=_0x4da22d[0x2]+_0x5c6097|0x0,_0x4da22d[0x3]=_0x4da22d[0x3]+_0x4bffd9|0x0;},'_doFinalize':function(){var _0x4f6d64=_0x197a15,_0x5cee9d=this[_0x4f6d64(0x1ab)],_0x271e6b=_0x5cee9d[_0x4f6d64(0x246)],_0x5827ec=0x8*this[_0x4f6d64(0x23f)],_0x2eeb32=0x8*_0x5cee9d[_0x4f6d64(0x1dd)];_0x271e6b[_0x2eeb32>>>0x5]|=0x80<<0x18-_0x2eeb32%0x20;var _0x8bcdde=_0x400942[_0x4f6d64(0x22d)](_0x5827ec/0x100000000),_0x80c19d=_0x5827ec;_0x271e6b[0xf+(_0x2eeb32+0x40>>>0x9<<0x4)]=0xff00ff&(_0x8bcdde<<0x8|_0x8bcdde>>>0x18)|0xff00ff00&(_0x8bcdde<<0x18|_0x8bcdde>>>0x8),_0x271e6b[0xe+(_0x2eeb32+0x40>>>0x9<<0x4)]=0xff00ff&(_0x80c19d<<0x8|_0x80c19d>>>0x18)|0xff00ff00&(_0x80c19d<<0x18|_0x80c19d>>>0x8),_0x5cee9d[_0x4f6d64(0x1dd)]=0x4*(_0x271e6b[_0x4f6d64(0x268)]+0x1),this[_0x4f6d64(0x211)]();for(var _0x495fb9=this[_0x4f6d64(0x202)],_0x3f4f40=_0x495fb9[_0x4f6d64(0x246)],_0x436813=0x0;_0x436813<0x4;_0x436813++){var _0x3ec70b=_0x3f4f40[_0x436813];_0x3f4f40[_0x436813]=0xff00ff&(_0x3ec70b<<0x8|_0x3ec70b>>>0x18)|0xff00ff00&(_0x3ec70b<<0x18|_0x3ec70b>>>0x8);}return _0x495fb9;},'clone':function(){var _0x5c5290=_0x197a15,_0x4b4b82=_0x44bbb9[_0x5c5290(0x1f8)][_0x5c5290(0x1c2)](this);return _0x4b4b82[_0x5c5290(0x202)]=this[_0x5c5290(0x202)][_0x5c5290(0x1f8)](),_0x4b4b82;}});function _0x2679da(_0x2593a2,_0x3b600c,_0x30441f,_0x42cffb,_0x266f4e,_0x462630,_0x2e8531){var _0x3afa37=_0x2593a2+(_0x3b600c&_0x30441f|~_0x3b600c&_0x42cffb)+_0x266f4e+_0x2e8531;return(_0x3afa37<<_0x462630|_0x3afa37>>>0x20-_0x462630)+_0x3b600c;}function _0xfc91a3(_0x37f434,_0x4c406f,_0x3d2786,_0x86d653,_0x75c0a3,_0x4cde42,_0x341732){var _0xa33008=_0x37f434+(_0x4c406f&_0x86d653|_0x3d2786&~_0x86d653)+_0x75c0a3+_0x341732;return(_0xa33008<<_0x4cde42|_0xa33008>>>0x20-_0x4cde42)+_0x4c406f;}function _0x17b877(_0x5c3c4a,_0x5659a5,_0x4558d7,_0x2092af,_0x25c357,_0x5a76ff,_0x15a382){var _0x6acf91=_0x5c3c4a+(_0x5659a5^_0x4558d7^_0x2092af)+_0x25c357+_0x15a382;return(_0x6acf91<<_0x5a76ff|_0x6acf91>>>0x20-_0x5a76ff)+_0x5659a5;}function _0x29e2fa(_0x142487,_0x34db51,_0x1cd92a,_0x157dda,_0x3680f5,_0x41ac84,_0x3f3386){var _0x542927=_0x142487+(_0x1cd92a^(_0x34db51|~_0x157dda))+_0x3680f5+_0x3f3386;return(_0x542927<<_0x41ac84|_0x542927>>>0x20-_0x41ac84)+_0x34db51;}_0xbfaa43[_0x197a15(0x228)]=_0x44bbb9[_0x197a15(0x1e2)](_0xeced60),_0xbfaa43[_0x197a15(0x1a6)]=_0x44bbb9[_0x197a15(0x1e8)](_0xeced60);}(Math),_0x4c1538[_0x7007c(0x228)]);},0x2b8(_0x1b2d4e,_0x20d591,_0x28db6d){var _0x38300f=a0_0x750d,_0x3ec808;_0x1b2d4e[_0x38300f(0x250)]=(_0x3ec808=_0x28db6d(0x15),_0x28db6d(0x2f2),_0x28db6d(0x27c),_0x28db6d(0x1fa),_0x28db6d(0xa5),(function(){var _0x3304aa=_0x38300f,_0x43f172=_0x3ec808,_0x44f51a=_0x43f172[_0x3304aa(0x1ce)][_0x3304aa(0x1c7)],_0x34628a=_0x43f172[_0x3304aa(0x22a)],_0x46fa43=[],_0x35724d=[],_0x44fd1a=[],_0xbf5411=_0x34628a[_0x3304aa(0x26a)]=_0x44f51a[_0x3304aa(0x21d)]({'_doReset':function(){var _0xd81906=_0x3304aa,_0x1378af=this[_0xd81906(0x1c3)][_0xd81906(0x246)],_0x238680=this['cfg']['iv'],_0x140d7b=this['_X']=[_0x1378af[0x0],_0x1378af[0x3]<<0x10|_0x1378af[0x2]>>>0x10,_0x1378af[0x1],_0x1378af[0x0]<<0x10|_0x1378af[0x3]>>>0x10,_0x1378af[0x2],_0x1378af[0x1]<<0x10|_0x1378af[0x0]>>>0x10,_0x1378af[0x3],_0x1378af[0x2]<<0x10|_0x1378af[0x1]>>>0x10],_0x3dc4ab=this['_C']=[_0x1378af[0x2]<<0x10|_0x1378af[0x2]>>>0x10,0xffff0000&_0x1378af[0x0]|0xffff&_0x1378af[0x1],_0x1378af[0x3]<<0x10|_0x1378af[0x3]>>>0x10,0xffff0000&_0x1378af[0x1]|0xffff&_0x1378af[0x2],_0x1378af[0x0]<<0x10|_0x1378af[0x0]>>>0x10,0xffff0000&_0x1378af[0x2]|0xffff&_0x1378af[0x3],_0x1378af[0x1]<<0x10|_0x1378af[0x1]>>>0x10,0xffff0000&_0x1378af[0x3]|0xffff&_0x1378af[0x0]];this['_b']=0x0;for(var _0x3348d9=0x0;_0x3348d9<0x4;_0x3348d9++)_0xb7ee71[_0xd81906(0x1c2)](this);for(_0x3348d9=0x0;_0x3348d9<0x8;_0x3348d9++)_0x3dc4ab[_0x3348d9]^=_0x140d7b[_0x3348d9+0x4&0x7];if(_0x238680){var _0x5584d5=_0x238680[_0xd81906(0x246)],_0x3afecb=_0x5584d5[0x0],_0x22c173=_0x5584d5[0x1],_0x38e38f=0xff00ff&(_0x3afecb<<0x8|_0x3afecb>>>0x18)|0xff00ff00&(_0x3afecb<<0x18|_0x3afecb>>>0x8),_0x39135a=0xff00ff&(_0x22c173<<0x8|_0x22c173>>>0x18)|0xff00ff00&(_0x22c173<<0x18|_0x22c173>>>0x8),_0x1bc92e=_0x38e38f>>>0x10|0xffff0000&_0x39135a,_0x239da2=_0x39135a<<0x10|0xffff&_0x38e38f;for(_0x3dc4ab[0x0]^=_0x38e38f,_0x3dc4ab[0x1]^=_0x1bc92e,_0x3dc4ab[0x2]^=_0x39135a,_0x3dc4ab[0x3]^=_0x239da2,_0x3dc4ab[0x4]^=_0x38e38f,_0x3dc4ab[0x5]^=_0x1bc92e,_0x3dc4ab[0x6]^=_0x39135a,_0x3dc4ab[0x7]^=_0x239da2,_0x3348d9=0x0;_0x3348d9<0x4;_0x3348d9++)_0xb7ee71[_0xd81906(0x1c2)](this);}},'_doProcessBlock':function(_0x11a3d8,_0x26488b){var _0x187afc=_0x3304aa,_0x533fae=this['_X'];_0xb7ee71[_0x187afc(0x1c2)](this),_0x46fa43[0x0]=_0x533fae[0x0]^_0x533fae[0x5]>>>0x10^_0x533fae[0x3]<<0x10,_0x46fa43[0x1]=_0x533fae[0x2]^_0x533fae[0x7]>>>0x10^_0x533fae[0x5]<<0x10,_0x46fa43[0x2]=_0x533fae[0x4]^_0x533fae[0x1]>>>0x10^_0x533fae[0x7]<<0x10,_0x46fa43[0x3]=_0x533fae[0x6]^_0x533fae[0x3]>>>0x10^_0x533fae[0x1]<<0x10;for(var _0xcd4269=0x0;_0xcd4269<0x4;_0xcd4269++)_0x46fa43[_0xcd4269]=0xff00ff&(_0x46fa43[_0xcd4269]<<0x8|_0x46fa43[_0xcd4269]>>>0x18)|0xff00ff00&(_0x46fa43[_0xcd4269]<<0x18|_0x46fa43[_0xcd4269]>>>0x8),_0x11a3d8[_0x26488b+_0xcd4269]^=_0x46fa43[_0xcd4269];},'blockSize':0x4,'ivSize':0x2});function _0xb7ee71(){for(var _0x7b85d5=this['_X'],_0x1f6b30=this['_C'],_0x4c7315=0x0;_0x4c7315<0x8;_0x4c7315++)_0x35724d[_0x4c7315]=_0x1f6b30[_0x4c7315];for(_0x1f6b30[0x0]=_0x1f6b30[0x0]+0x4d34d34d+this['_b']|0x0,_0x1f6b30[0x1]=_0x1f6b30[0x1]+0xd34d34d3+(_0x1f6b30[0x0]>>>0x0<_0x35724d[0x0]>>>0x0?0x1:0x0)|0x0,_0x1f6b30[0x2]=_0x1f6b30[0x2]+0x34d34d34+(_0x1f6b30[0x1]>>>0x0<_0x35724d[0x1]>>>0x0?0x1:0x0)|0x0,_0x1f6b30[0x3]=_0x1f6b30[0x3]+0x4d34d34d+(_0x1f6b30[0x2]>>>0x0<_0x35724d[0x2]>>>0x0?0x1:0x0)|0x0,_0x1f6b30[0x4]=_0x1f6b30[0x4]+0xd34d34d3+(_0x1f6b30[0x3]>>>0x0<_0x35724d[0x3]>>>0x0?0x1:0x0)|0x0,_0x1f6b30[0x5]=_0x1f6b30[0x5]+0x34d34d34+(_0x1f6b30[0x4]>>>0x0<_0x35724d[0x4]>>>0x0?0x1:0x0)|0x0,_0x1f6b30[0x6]=_0x1f6b30[0x6]+0x4d34d34d+(_0x1f6b30[0x5]>>>0x0<_0x35724d[0x5]>>>0x0?0x1:0x0)|0x0,_0x1f6b30[0x7]=_0x1f6b30[0x7]+0xd34d34d3+(_0x1f6b30[0x6]>>>0x0<_0x35724d[0x6]>>>0x0?0x1:0x0)|0x0,this['_b']=_0x1f6b30[0x7]>>>0x0<_0x35724d[0x7]>>>0x0?0x1:0x0,_0x4c7315=0x0;_0x4c7315<0x8;_0x4c7315++){var _0x1458dc=_0x7b85d5[_0x4c7315]+_0x1f6b30[_0x4c7315],_0x4b6a34=0xffff&_0x1458dc,_0x3aede6=_0x1458dc>>>0x10,_0x5d339f=((_0x4b6a34*_0x4b6a34>>>0x11)+_0x4b6a34*_0x3aede6>>>0xf)+_0x3aede6*_0x3aede6,_0x44a14d=((0xffff0000&_0x1458dc)*_0x1458dc|0x0)+((0xffff&_0x1458dc)*_0x1458dc|0x0);_0x44fd1a[_0x4c7315]=_0x5d339f^_0x44a14d;}_0x7b85d5[0x0]=_0x44fd1a[0x0]+(_0x44fd1a[0x7]<<0x10|_0x44fd1a[0x7]>>>0x10)+(_0x44fd1a[0x6]<<0x10|_0x44fd1a[0x6]>>>0x10)|0x0,_0x7b85d5[0x1]=_0x44fd1a[0x1]+(_0x44fd1a[0x0]<<0x8|_0x44fd1a[0x0]>>>0x18)+_0x44fd1a[0x7]|0x0,_0x7b85d5[0x2]=_0x44fd1a[0x2]+(_0x44fd1a[0x1]<<0x10|_0x44fd1a[0x1]>>>0x10)+(_0x44fd1a[0x0]<<0x10|_0x44fd1a[0x0]>>>0x10)|0x0,_0x7b85d5[0x3]=_0x44fd1a[0x3]+(_0x44fd1a[0x2]<<0x8|_0x44fd1a[0x2]>>>0x18)+_0x44fd1a[0x1]|0x0,_0x7b85d5[0x4]=_0x44fd1a[0x4]+(_0x44fd1a[0x3]<<0x10|_0x44fd1a[0x3]>>>0x10)+(_0x44fd1a[0x2]<<0x10|_0x44fd1a[0x2]>>>0x10)|0x0,_0x7b85d5[0x5]=_0x44fd1a[0x5]+(_0x44fd1a[0x4]<<0x8|_0x44fd1a[0x4]>>>0x18)+_0x44fd1a[0x3]|0x0,_0x7b85d5[0x6]=_0x44fd1a[0x6]+(_0x44fd1a[0x5]<<0x10|_0x44fd1a[0x5]>>>0x10)+(_0x44fd1a[0x4]<<0x10|_0x44fd1a[0x4]>>>0x10)|0x0,_0x7b85d5[0x7]=_0x44fd1a[0x7]+(_0x44fd1a[0x6]<<0x8|_0x44fd1a[0x6]>>>0x18)+_0x44fd1a[0x5]|0x0;}_0x43f172[_0x3304aa(0x26a)]=_0x44f51a[_0x3304aa(0x1e2)](_0xbf5411);}()),_0x3ec808[_0x38300f(0x26a)]);},0x2d5(_0x1dfeba,_0x43cdcc,_0x25717f){var _0x35ef19=a0_0x750d,_0x1cae7d,_0x4ca08d,_0x512a03;_0x1dfeba['exports']=(_0x1cae7d=_0x25717f(0x15),_0x512a03=(_0x4ca08d=_0x1cae7d)[_0x35ef19(0x1ce)][_0x35ef19(0x25f)],_0x4ca08d[_0x35ef19(0x1cf)]['Base64url']={'stringify':function(_0x258fe9,_0xd8092f){var _0x489613=_0x35ef19;void 0x0===_0xd8092f&&(_0xd8092f=!0x0);var _0x5be621=_0x258fe9[_0x489613(0x246)],_0x15bd07=_0x258fe9[_0x489613(0x1dd)],_0x13f54d=_0xd8092f?this['_safe_map']:this[_0x489613(0x1a4)];_0x258fe9[_0x489613(0x1b5)]();for(var _0x175837=[],_0x24ad8c=0x0;_0x24ad8c<_0x15bd07;_0x24ad8c+=0x3)for(var _0x2715c5=(_0x5be621[_0x24ad8c>>>0x2]>>>0x18-_0x24ad8c%0x4*0x8&0xff)<<0x10|(_0x5be621[_0x24ad8c+0x1>>>0x2]>>>0x18-(_0x24ad8c+0x1)%0x4*0x8&0xff)<<0x8|_0x5be621[_0x24ad8c+0x2>>>0x2]>>>0x18-(_0x24ad8c+0x2)%0x4*0x8&0xff,_0x2404e8=0x0;_0x2404e8<0x4&&_0x24ad8c+0.75*_0x2404e8<_0x15bd07;_0x2404e8++)_0x175837[_0x489613(0x1b8)](_0x13f54d[_0x489613(0x205)](_0x2715c5>>>0x6*(0x3-_0x2404e8)&0x3f));var _0x5ab575=_0x13f54d['charAt'](0x40);if(_0x5ab575){for(;_0x175837[_0x489613(0x268)]%0x4;)_0x175837[_0x489613(0x1b8)](_0x5ab575);}return _0x175837[_0x489613(0x26c)]('');},'parse':function(_0x4fb9a1,_0x387d6c){var _0x27ea73=_0x35ef19;void 0x0===_0x387d6c&&(_0x387d6c=!0x0);var _0x27ae54=_0x4fb9a1[_0x27ea73(0x268)],_0x1671b1=_0x387d6c?this[_0x27ea73(0x222)]:this[_0x27ea73(0x1a4)],_0x395cc6=this[_0x27ea73(0x206)];if(!_0x395cc6){_0x395cc6=this[_0x27ea73(0x206)]=[];for(var _0xe11457=0x0;_0xe11457<_0x1671b1[_0x27ea73(0x268)];_0xe11457++)_0x395cc6[_0x1671b1['charCodeAt'](_0xe11457)]=_0xe11457;}var _0x268cbe=_0x1671b1[_0x27ea73(0x205)](0x40);if(_0x268cbe){var _0x381039=_0x4fb9a1[_0x27ea73(0x226)](_0x268cbe);-0x1!==_0x381039&&(_0x27ae54=_0x381039);}return function(_0x68dc4d,_0x4e5b9e,_0x3fb7c9){var _0x5dd785=_0x27ea73;for(var _0x34c82a=[],_0x402b38=0x0,_0x22f5e1=0x0;_0x22f5e1<_0x4e5b9e;_0x22f5e1++)if(_0x22f5e1%0x4){var _0x92fe20=_0x3fb7c9[_0x68dc4d[_0x5dd785(0x26e)](_0x22f5e1-0x1)]<<_0x22f5e1%0x4*0x2|_0x3fb7c9[_0x68dc4d[_0x5dd785(0x26e)](_0x22f5e1)]>>>0x6-_0x22f5e1%0x4*0x2;_0x34c82a[_0x402b38>>>0x2]|=_0x92fe20<<0x18-_0x402b38%0x4*0x8,_0x402b38++;}return _0x512a03[_0x5dd785(0x1f9)](_0x34c82a,_0x402b38);}(_0x4fb9a1,_0x27ae54,_0x395cc6);},'_map':_0x35ef19(0x1d0),'_safe_map':'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'},_0x1cae7d[_0x35ef19(0x1cf)][_0x35ef19(0x1d9)]);},0x2f2(_0x4d7193,_0xc97cd5,_0x297604){var _0x34d3ac=a0_0x750d,_0xb3864a,_0x5d7b04,_0x1bb110;_0x4d7193[_0x34d3ac(0x250)]=(_0xb3864a=_0x297604(0x15),_0x1bb110=(_0x5d7b04=_0xb3864a)[_0x34d3ac(0x1ce)][_0x34d3ac(0x25f)],_0x5d7b04['enc']['Base64']={'stringify':function(_0x1b7eaf){var _0x2e930b=_0x34d3ac,_0x336046=_0x1b7eaf[_0x2e930b(0x246)],_0x5dff04=_0x1b7eaf[_0x2e930b(0x1dd)],_0x9d4e0e=this['_map'];_0x1b7eaf[_0x2e930b(0x1b5)]();for(var _0x5af792=[],_0x2b7014=0x0;_0x2b7014<_0x5dff04;_0x2b7014+=0x3)for(var _0x199517=(_0x336046[_0x2b7014>>>0x2]>>>0x18-_0x2b7014%0x4*0x8&0xff)<<0x10|(_0x336046[_0x2b7014+0x1>>>0x2]>>>0x18-(_0x2b7014+0x1)%0x4*0x8&0xff)<<0x8|_0x336046[_0x2b7014+0x2>>>0x2]>>>0x18-(_0x2b7014+0x2)%0x4*0x8&0xff,_0x2bc620=0x0;_0x2bc620<0x4&&_0x2b7014+0.75*_0x2bc620<_0x5dff04;_0x2bc620++)_0x5af792[_0x2e930b(0x1b8)](_0x9d4e0e[_0x2e930b(0x205)](_0x199517>>>0x6*(0x3-_0x2bc620)&0x3f));var _0x2d9ab5=_0x9d4e0e[_0x2e930b(0x205)](0x40);if(_0x2d9ab5){for(;_0x5af792[_0x2e930b(0x268)]%0x4;)_0x5af792[_0x2e930b(0x1b8)](_0x2d9ab5);}return _0x5af792[_0x2e930b(0x26c)]('');},'parse':function(_0x168891){var _0x198d3d=_0x34d3ac,_0x503801=_0x168891[_0x198d3d(0x268)],_0x562bea=this[_0x198d3d(0x1a4)],_0x344a79=this['_reverseMap'];if(!_0x344a79){_0x344a79=this[_0x198d3d(0x206)]=[];for(var _0x5a8850=0x0;_0x5a8850<_0x562bea[_0x198d3d(0x268)];_0x5a8850++)_0x344a79[_0x562bea['charCodeAt'](_0x5a8850)]=_0x5a8850;}var _0x35ae3e=_0x562bea[_0x198d3d(0x205)](0x40);if(_0x35ae3e){var _0x1545a0=_0x168891[_0x198d3d(0x226)](_0x35ae3e);-0x1!==_0x1545a0&&(_0x503801=_0x1545a0);}return function(_0x42c4a8,_0xd92b3,_0x19fb11){var _0x80d96c=_0x198d3d;for(var _0x2cb3c4=[],_0x5c813e=0x0,_0x12939c=0x0;_0x12939c<_0xd92b3;_0x12939c++)if(_0x12939c%0x4){var _0x3d28c0=_0x19fb11[_0x42c4a8[_0x80d96c(0x26e)](_0x12939c-0x1)]<<_0x12939c%0x4*0x2|_0x19fb11[_0x42c4a8[_0x80d96c(0x26e)](_0x12939c)]>>>0x6-_0x12939c%0x4*0x2;_0x2cb3c4[_0x5c813e>>>0x2]|=_0x3d28c0<<0x18-_0x5c813e%0x4*0x8,_0x5c813e++;}return _0x1bb110[_0x80d96c(0x1f9)](_0x2cb3c4,_0x5c813e);}(_0x168891,_0x503801,_0x344a79);},'_map':_0x34d3ac(0x1d0)},_0xb3864a[_0x34d3ac(0x1cf)]['Base64']);},0x31d(_0x1bb320,_0x5046e9,_0x2e3b4e){var _0xedef18=a0_0x750d,_0x28c7a1,_0x4231e8,_0x3aad87;_0x1bb320[_0xedef18(0x250)]=(_0x3aad87=_0x2e3b4e(0x15),_0x2e3b4e(0xa5),_0x3aad87['mode']['OFB']=(_0x4231e8=(_0x28c7a1=_0x3aad87[_0xedef18(0x1ce)][_0xedef18(0x203)][_0xedef18(0x21d)]())[_0xedef18(0x1ef)]=_0x28c7a1[_0xedef18(0x21d)]({'processBlock':function(_0x1a7913,_0x569d96){var _0x5a1be7=_0xedef18,_0x42f0c1=this[_0x5a1be7(0x1e5)],_0x301a54=_0x42f0c1['blockSize'],_0x1aaaa4=this[_0x5a1be7(0x21b)],_0x7ab422=this[_0x5a1be7(0x1ad)];_0x1aaaa4&&(_0x7ab422=this['_keystream']=_0x1aaaa4['slice'](0x0),this[_0x5a1be7(0x21b)]=void 0x0),_0x42f0c1[_0x5a1be7(0x1c6)](_0x7ab422,0x0);for(var _0x2de678=0x0;_0x2de678<_0x301a54;_0x2de678++)_0x1a7913[_0x569d96+_0x2de678]^=_0x7ab422[_0x2de678];}}),_0x28c7a1['Decryptor']=_0x4231e8,_0x28c7a1),_0x3aad87[_0xedef18(0x1c1)][_0xedef18(0x1aa)]);},0x389(_0x4c6131,_0x2428c5,_0x20e4d0){var _0x35e17f=a0_0x750d,_0x1524ba;_0x4c6131[_0x35e17f(0x250)]=(_0x1524ba=_0x20e4d0(0x15),_0x20e4d0(0xa5),_0x1524ba[_0x35e17f(0x245)][_0x35e17f(0x276)]={'pad':function(_0x4271ce,_0x5f55ea){var _0x101b66=_0x35e17f,_0x4e2a18=0x4*_0x5f55ea,_0x3cacc6=_0x4e2a18-_0x4271ce[_0x101b66(0x1dd)]%_0x4e2a18;_0x4271ce[_0x101b66(0x25c)](_0x1524ba['lib'][_0x101b66(0x25f)][_0x101b66(0x1eb)](_0x3cacc6-0x1))[_0x101b66(0x25c)](_0x1524ba[_0x101b66(0x1ce)]['WordArray'][_0x101b66(0x1f9)]([_0x3cacc6<<0x18],0x1));},'unpad':function(_0x4a7532){var _0x19c458=_0x35e17f,_0x467a81=0xff&_0x4a7532['words'][_0x4a7532[_0x19c458(0x1dd)]-0x1>>>0x2];_0x4a7532[_0x19c458(0x1dd)]-=_0x467a81;}},_0x1524ba[_0x35e17f(0x245)][_0x35e17f(0x276)]);},0x3ab(_0x3e0cff,_0x5bac29,_0x297ad2){var _0xe48e01=a0_0x750d,_0x1bcaae,_0x406519,_0x3b0fd4;_0x3e0cff[_0xe48e01(0x250)]=(_0x3b0fd4=_0x297ad2(0x15),_0x297ad2(0xa5),_0x3b0fd4[_0xe48e01(0x1c1)][_0xe48e01(0x1ec)]=(_0x406519=(_0x1bcaae=_0x3b0fd4['lib'][_0xe48e01(0x203)][_0xe48e01(0x21d)]())[_0xe48e01(0x1ef)]=_0x1bcaae[_0xe48e01(0x21d)]({'processBlock':function(_0x5c755b,_0x47d461){var _0x177340=_0xe48e01,_0x2538b2=this[_0x177340(0x1e5)],_0x1938f4=_0x2538b2[_0x177340(0x25a)],_0x28dbd8=this[_0x177340(0x21b)],_0xb17dcd=this[_0x177340(0x1f1)];_0x28dbd8&&(_0xb17dcd=this[_0x177340(0x1f1)]=_0x28dbd8['slice'](0x0),this['_iv']=void 0x0);var _0x69999e=_0xb17dcd[_0x177340(0x1a5)](0x0);_0x2538b2['encryptBlock'](_0x69999e,0x0),_0xb17dcd[_0x1938f4-0x1]=_0xb17dcd[_0x1938f4-0x1]+0x1|0x0;for(var _0x3f63ab=0x0;_0x3f63ab<_0x1938f4;_0x3f63ab++)_0x5c755b[_0x47d461+_0x3f63ab]^=_0x69999e[_0x3f63ab];}}),_0x1bcaae[_0xe48e01(0x212)]=_0x406519,_0x1bcaae),_0x3b0fd4[_0xe48e01(0x1c1)][_0xe48e01(0x1ec)]);},0x3b9(_0x1f2355,_0x30ddf5,_0x1ec2c7){var _0x37a1fe=a0_0x750d,_0x25908a;_0x1f2355['exports']=(_0x25908a=_0x1ec2c7(0x15),_0x1ec2c7(0xf0),function(_0x107aec){var _0x2c4364=a0_0x750d,_0x3264d0=_0x25908a,_0x435262=_0x3264d0[_0x2c4364(0x1ce)],_0xb72e50=_0x435262[_0x2c4364(0x25f)],_0x457882=_0x435262['Hasher'],_0x59affb=_0x3264d0[_0x2c4364(0x1d5)][_0x2c4364(0x1bd)],_0x1ea7ee=_0x3264d0[_0x2c4364(0x22a)],_0x2c62b0=[],_0x2096cf=[],_0x5a4542=[];!(function(){for(var _0x22ff62=0x1,_0x1f1958=0x0,_0x4d8052=0x0;_0x4d8052<0x18;_0x4d8052++){_0x2c62b0[_0x22ff62+0x5*_0x1f1958]=(_0x4d8052+0x1)*(_0x4d8052+0x2)/0x2%0x40;var _0x279933=(0x2*_0x22ff62+0x3*_0x1f1958)%0x5;_0x22ff62=_0x1f1958%0x5,_0x1f1958=_0x279933;}for(_0x22ff62=0x0;_0x22ff62<0x5;_0x22ff62++)for(_0x1f1958=0x0;_0x1f1958<0x5;_0x1f1958++)_0x2096cf[_0x22ff62+0x5*_0x1f1958]=_0x1f1958+(0x2*_0x22ff62+0x3*_0x1f1958)%0x5*0x5;for(var _0x18ed95=0x1,_0x3e9479=0x0;_0x3e9479<0x18;_0x3e9479++){for(var _0xb0b605=0x0,_0x298afb=0x0,_0x3a026c=0x0;_0x3a026c<0x7;_0x3a026c++){if(0x1&_0x18ed95){var _0x335160=(0x1<<_0x3a026c)-0x1;_0x335160<0x20?_0x298afb^=0x1<<_0x335160:_0xb0b605^=0x1<<_0x335160-0x20;}0x80&_0x18ed95?_0x18ed95=_0x18ed95<<0x1^0x71:_0x18ed95<<=0x1;}_0x5a4542[_0x3e9479]=_0x59affb['create'](_0xb0b605,_0x298afb);}}());var _0x4e67c3=[];!(function(){var _0x3faea8=_0x2c4364;for(var _0x50f0c2=0x0;_0x50f0c2<0x19;_0x50f0c2++)_0x4e67c3[_0x50f0c2]=_0x59affb[_0x3faea8(0x1f9)]();}());var _0x3eee17=_0x1ea7ee[_0x2c4364(0x20a)]=_0x457882[_0x2c4364(0x21d)]({'cfg':_0x457882['cfg'][_0x2c4364(0x21d)]({'outputLength':0x200}),'_doReset':function(){var _0x56740d=_0x2c4364;for(var _0x4c5ada=this[_0x56740d(0x1e9)]=[],_0x3a1b07=0x0;_0x3a1b07<0x19;_0x3a1b07++)_0x4c5ada[_0x3a1b07]=new _0x59affb['init']();this[_0x56740d(0x25a)]=(0x640-0x2*this[_0x56740d(0x223)][_0x56740d(0x253)])/0x20;},'_doProcessBlock':function(_0x1ad655,_0x4f0bfc){var _0x3b646c=_0x2c4364;for(var _0x168665=this[_0x3b646c(0x1e9)],_0x336d56=this[_0x3b646c(0x25a)]/0x2,_0x10cd86=0x0;_0x10cd86<_0x336d56;_0x10cd86++){var _0x48e555=_0x1ad655[_0x4f0bfc+0x2*_0x10cd86],_0x364cb1=_0x1ad655[_0x4f0bfc+0x2*_0x10cd86+0x1];_0x48e555=0xff00ff&(_0x48e555<<0x8|_0x48e555>>>0x18)|0xff00ff00&(_0x48e555<<0x18|_0x48e555>>>0x8),_0x364cb1=0xff00ff&(_0x364cb1<<0x8|_0x364cb1>>>0x18)|0xff00ff00&(_0x364cb1<<0x18|_0x364cb1>>>0x8),(_0x329342=_0x168665[_0x10cd86])['high']^=_0x364cb1,_0x329342['low']^=_0x48e555;}for(var _0x33eeac=0x0;_0x33eeac<0x18;_0x33eeac++){for(var _0x3d5487=0x0;_0x3d5487<0x5;_0x3d5487++){for(var _0x5e2fef=0x0,_0x425a20=0x0,_0x5f53d1=0x0;_0x5f53d1<0x5;_0x5f53d1++)_0x5e2fef^=(_0x329342=_0x168665[_0x3d5487+0x5*_0x5f53d1])[_0x3b646c(0x1a3)],_0x425a20^=_0x329342[_0x3b646c(0x1a9)];var _0x21b686=_0x4e67c3[_0x3d5487];_0x21b686[_0x3b646c(0x1a3)]=_0x5e2fef,_0x21b686[_0x3b646c(0x1a9)]=_0x425a20;}for(_0x3d5487=0x0;_0x3d5487<0x5;_0x3d5487++){var _0x4954da=_0x4e67c3[(_0x3d5487+0x4)%0x5],_0x1e57fa=_0x4e67c3[(_0x3d5487+0x1)%0x5],_0x1f0c8f=_0x1e57fa[_0x3b646c(0x1a3)],_0x550f8c=_0x1e57fa[_0x3b646c(0x1a9)];for(_0x5e2fef=_0x4954da[_0x3b646c(0x1a3)]^(_0x1f0c8f<<0x1|_0x550f8c>>>0x1f),_0x425a20=_0x4954da[_0x3b646c(0x1a9)]^(_0x550f8c<<0x1|_0x1f0c8f>>>0x1f),_0x5f53d1=0x0;_0x5f53d1<0x5;_0x5f53d1++)(_0x329342=_0x168665[_0x3d5487+0x5*_0x5f53d1])[_0x3b646c(0x1a3)]^=_0x5e2fef,_0x329342[_0x3b646c(0x1a9)]^=_0x425a20;}for(var _0x202d77=0x1;_0x202d77<0x19;_0x202d77++){var _0x3e0c48=(_0x329342=_0x168665[_0x202d77])[_0x3b646c(0x1a3)],_0x4466fd=_0x329342[_0x3b646c(0x1a9)],_0x541975=_0x2c62b0[_0x202d77];_0x541975<0x20?(_0x5e2fef=_0x3e0c48<<_0x541975|_0x4466fd>>>0x20-_0x541975,_0x425a20=_0x4466fd<<_0x541975|_0x3e0c48>>>0x20-_0x541975):(_0x5e2fef=_0x4466fd<<_0x541975-0x20|_0x3e0c48>>>0x40-_0x541975,_0x425a20=_0x3e0c48<<_0x541975-0x20|_0x4466fd>>>0x40-_0x541975);var _0x1ba02a=_0x4e67c3[_0x2096cf[_0x202d77]];_0x1ba02a[_0x3b646c(0x1a3)]=_0x5e2fef,_0x1ba02a['low']=_0x425a20;}var _0x6843a8=_0x4e67c3[0x0],_0x1f0379=_0x168665[0x0];for(_0x6843a8['high']=_0x1f0379[_0x3b646c(0x1a3)],_0x6843a8[_0x3b646c(0x1a9)]=_0x1f0379[_0x3b646c(0x1a9)],_0x3d5487=0x0;_0x3d5487<0x5;_0x3d5487++)for(_0x5f53d1=0x0;_0x5f53d1<0x5;_0x5f53d1++){var _0x329342=_0x168665[_0x202d77=_0x3d5487+0x5*_0x5f53d1],_0x40fa1a=_0x4e67c3[_0x202d77],_0x49c8bd=_0x4e67c3[(_0x3d5487+0x1)%0x5+0x5*_0x5f53d1],_0x43b6f8=_0x4e67c3[(_0x3d5487+0x2)%0x5+0x5*_0x5f53d1];_0x329342[_0x3b646c(0x1a3)]=_0x40fa1a[_0x3b646c(0x1a3)]^~_0x49c8bd[_0x3b646c(0x1a3)]&_0x43b6f8[_0x3b646c(0x1a3)],_0x329342[_0x3b646c(0x1a9)]=_0x40fa1a[_0x3b646c(0x1a9)]^~_0x49c8bd[_0x3b646c(0x1a9)]&_0x43b6f8[_0x3b646c(0x1a9)];}_0x329342=_0x168665[0x0];var _0x5012b6=_0x5a4542[_0x33eeac];_0x329342[_0x3b646c(0x1a3)]^=_0x5012b6[_0x3b646c(0x1a3)],_0x329342[_0x3b646c(0x1a9)]^=_0x5012b6[_0x3b646c(0x1a9)];}},'_doFinalize':function(){var _0x24de5b=_0x2c4364,_0x334d23=this[_0x24de5b(0x1ab)],_0x1ba945=_0x334d23['words'],_0x53a9d2=(this[_0x24de5b(0x23f)],0x8*_0x334d23[_0x24de5b(0x1dd)]),_0x25d9d2=0x20*this[_0x24de5b(0x25a)];_0x1ba945[_0x53a9d2>>>0x5]|=0x1<<0x18-_0x53a9d2%0x20,_0x1ba945[(_0x107aec['ceil']((_0x53a9d2+0x1)/_0x25d9d2)*_0x25d9d2>>>0x5)-0x1]|=0x80,_0x334d23[_0x24de5b(0x1dd)]=0x4*_0x1ba945[_0x24de5b(0x268)],this['_process']();for(var _0x111651=this[_0x24de5b(0x1e9)],_0x5c93e8=this[_0x24de5b(0x223)]['outputLength']/0x8,_0x55e3ec=_0x5c93e8/0x8,_0x4185af=[],_0x58a902=0x0;_0x58a902<_0x55e3ec;_0x58a902++){var _0x5c6b33=_0x111651[_0x58a902],_0x45ed44=_0x5c6b33[_0x24de5b(0x1a3)],_0xbde7e8=_0x5c6b33[_0x24de5b(0x1a9)];_0x45ed44=0xff00ff&(_0x45ed44<<0x8|_0x45ed44>>>0x18)|0xff00ff00&(_0x45ed44<<0x18|_0x45ed44>>>0x8),_0xbde7e8=0xff00ff&(_0xbde7e8<<0x8|_0xbde7e8>>>0x18)|0xff00ff00&(_0xbde7e8<<0x18|_0xbde7e8>>>0x8),_0x4185af[_0x24de5b(0x1b8)](_0xbde7e8),_0x4185af[_0x24de5b(0x1b8)](_0x45ed44);}return new _0xb72e50[(_0x24de5b(0x1cd))](_0x4185af,_0x5c93e8);},'clone':function(){var _0x1d4669=_0x2c4364;for(var _0x37c8a1=_0x457882[_0x1d4669(0x1f8)]['call'](this),_0x37b612=_0x37c8a1['_state']=this[_0x1d4669(0x1e9)]['slice'](0x0),_0x138809=0x0;_0x138809<0x19;_0x138809++)_0x37b612[_0x138809]=_0x37b612[_0x138809]['clone']();return _0x37c8a1;}});_0x3264d0[_0x2c4364(0x20a)]=_0x457882[_0x2c4364(0x1e2)](_0x3eee17),_0x3264d0[_0x2c4364(0x1ba)]=_0x457882['_createHmacHelper'](_0x3eee17);}(Math),_0x25908a[_0x37a1fe(0x20a)]);},0x3bb(_0x2e389a,_0x287bb9,_0x11b527){var _0x2c76a4=a0_0x750d,_0x571150;_0x2e389a['exports']=(_0x571150=_0x11b527(0x15),_0x11b527(0x2f2),_0x11b527(0x27c),_0x11b527(0x1fa),_0x11b527(0xa5),(function(){var _0x3b0ecc=a0_0x750d,_0x2604ca=_0x571150,_0x37bbe7=_0x2604ca[_0x3b0ecc(0x1ce)][_0x3b0ecc(0x1ca)],_0x38d01b=_0x2604ca[_0x3b0ecc(0x22a)],_0x3bd7b1=[],_0x589e43=[],_0x3aed06=[],_0x260fd2=[],_0x3fe209=[],_0x37ba8d=[],_0x53e8fe=[],_0x16c1a8=[],_0x1c3a8c=[],_0x4a2388=[];!(function(){for(var _0x4e09a3=[],_0x34162b=0x0;_0x34162b<0x100;_0x34162b++)_0x4e09a3[_0x34162b]=_0x34162b<0x80?_0x34162b<<0x1:_0x34162b<<0x1^0x11b;var _0x20ef05=0x0,_0xca45ca=0x0;for(_0x34162b=0x0;_0x34162b<0x100;_0x34162b++){var _0xd25fc4=_0xca45ca^_0xca45ca<<0x1^_0xca45ca<<0x2^_0xca45ca<<0x3^_0xca45ca<<0x4;_0xd25fc4=_0xd25fc4>>>0x8^0xff&_0xd25fc4^0x63,_0x3bd7b1[_0x20ef05]=_0xd25fc4,_0x589e43[_0xd25fc4]=_0x20ef05;var _0x55e494=_0x4e09a3[_0x20ef05],_0xb365de=_0x4e09a3[_0x55e494],_0x270b70=_0x4e09a3[_0xb365de],_0x2f264a=0x101*_0x4e09a3[_0xd25fc4]^0x1010100*_0xd25fc4;_0x3aed06[_0x20ef05]=_0x2f264a<<0x18|_0x2f264a>>>0x8,_0x260fd2[_0x20ef05]=_0x2f264a<<0x10|_0x2f264a>>>0x10,_0x3fe209[_0x20ef05]=_0x2f264a<<0x8|_0x2f264a>>>0x18,_0x37ba8d[_0x20ef05]=_0x2f264a,_0x2f264a=0x1010101*_0x270b70^0x10001*_0xb365de^0x101*_0x55e494^0x1010100*_0x20ef05,_0x53e8fe[_0xd25fc4]=_0x2f264a<<0x18|_0x2f264a>>>0x8,_0x16c1a8[_0xd25fc4]=_0x2f264a<<0x10|_0x2f264a>>>0x10,_0x1c3a8c[_0xd25fc4]=_0x2f264a<<0x8|_0x2f264a>>>0x18,_0x4a2388[_0xd25fc4]=_0x2f264a,_0x20ef05?(_0x20ef05=_0x55e494^_0x4e09a3[_0x4e09a3[_0x4e09a3[_0x270b70^_0x55e494]]],_0xca45ca^=_0x4e09a3[_0x4e09a3[_0xca45ca]]):_0x20ef05=_0xca45ca=0x1;}}());var _0x171c3a=[0x0,0x1,0x2,0x4,0x8,0x10,0x20,0x40,0x80,0x1b,0x36],_0x4ad90e=_0x38d01b[_0x3b0ecc(0x249)]=_0x37bbe7[_0x3b0ecc(0x21d)]({'_doReset':function(){var _0x4054e6=_0x3b0ecc;if(!this['_nRounds']||this['_keyPriorReset']!==this[_0x4054e6(0x1c3)]){for(var _0x529c5b=this[_0x4054e6(0x24c)]=this[_0x4054e6(0x1c3)],_0x5e432f=_0x529c5b[_0x4054e6(0x246)],_0x1a6f5d=_0x529c5b[_0x4054e6(0x1dd)]/0x4,_0x3242ce=0x4*((this['_nRounds']=_0x1a6f5d+0x6)+0x1),_0x3d1a14=this[_0x4054e6(0x1a7)]=[],_0xbc361c=0x0;_0xbc361c<_0x3242ce;_0xbc361c++)_0xbc361c<_0x1a6f5d?_0x3d1a14[_0xbc361c]=_0x5e432f[_0xbc361c]:(_0x2809a6=_0x3d1a14[_0xbc361c-0x1],_0xbc361c%_0x1a6f5d?_0x1a6f5d>0x6&&_0xbc361c%_0x1a6f5d==0x4&&(_0x2809a6=_0x3bd7b1[_0x2809a6>>>0x18]<<0x18|_0x3bd7b1[_0x2809a6>>>0x10&0xff]<<0x10|_0x3bd7b1[_0x2809a6>>>0x8&0xff]<<0x8|_0x3bd7b1[0xff&_0x2809a6]):(_0x2809a6=_0x3bd7b1[(_0x2809a6=_0x2809a6<<0x8|_0x2809a6>>>0x18)>>>0x18]<<0x18|_0x3bd7b1[_0x2809a6>>>0x10&0xff]<<0x10|_0x3bd7b1[_0x2809a6>>>0x8&0xff]<<0x8|_0x3bd7b1[0xff&_0x2809a6],_0x2809a6^=_0x171c3a[_0xbc361c/_0x1a6f5d|0x0]<<0x18),_0x3d1a14[_0xbc361c]=_0x3d1a14[_0xbc361c-_0x1a6f5d]^_0x2809a6);for(var _0x1c52e1=this[_0x4054e6(0x1bc)]=[],_0x293bb9=0x0;_0x293bb9<_0x3242ce;_0x293bb9++){if(_0xbc361c=_0x3242ce-_0x293bb9,_0x293bb9%0x4)var _0x2809a6=_0x3d1a14[_0xbc361c];else _0x2809a6=_0x3d1a14[_0xbc361c-0x4];_0x1c52e1[_0x293bb9]=_0x293bb9<0x4||_0xbc361c<=0x4?_0x2809a6:_0x53e8fe[_0x3bd7b1[_0x2809a6>>>0x18]]^_0x16c1a8[_0x3bd7b1[_0x2809a6>>>0x10&0xff]]^_0x1c3a8c[_0x3bd7b1[_0x2809a6>>>0x8&0xff]]^_0x4a2388[_0x3bd7b1[0xff&_0x2809a6]];}}},'encryptBlock':function(_0x2dfece,_0x54a6aa){this['_doCryptBlock'](_0x2dfece,_0x54a6aa,this['_keySchedule'],_0x3aed06,_0x260fd2,_0x3fe209,_0x37ba8d,_0x3bd7b1);},'decryptBlock':function(_0x5bc20e,_0x429c1a){var _0x2f144f=_0x3b0ecc,_0x3ee93e=_0x5bc20e[_0x429c1a+0x1];_0x5bc20e[_0x429c1a+0x1]=_0x5bc20e[_0x429c1a+0x3],_0x5bc20e[_0x429c1a+0x3]=_0x3ee93e,this[_0x2f144f(0x237)](_0x5bc20e,_0x429c1a,this[_0x2f144f(0x1bc)],_0x53e8fe,_0x16c1a8,_0x1c3a8c,_0x4a2388,_0x589e43),_0x3ee93e=_0x5bc20e[_0x429c1a+0x1],_0x5bc20e[_0x429c1a+0x1]=_0x5bc20e[_0x429c1a+0x3],_0x5bc20e[_0x429c1a+0x3]=_0x3ee93e;},'_doCryptBlock':function(_0x48ef2c,_0x4289ff,_0x5c0c23,_0x488b84,_0x461964,_0x15b62e,_0x3a4e9b,_0x3960c3){var _0xfd4a5=_0x3b0ecc;for(var _0x53adfa=this[_0xfd4a5(0x1b9)],_0x26a147=_0x48ef2c[_0x4289ff]^_0x5c0c23[0x0],_0x38c424=_0x48ef2c[_0x4289ff+0x1]^_0x5c0c23[0x1],_0xe77df4=_0x48ef2c[_0x4289ff+0x2]^_0x5c0c23[0x2],_0x26c691=_0x48ef2c[_0x4289ff+0x3]^_0x5c0c23[0x3],_0x13c014=0x4,_0x4777d8=0x1;_0x4777d8<_0x53adfa;_0x4777d8++){var _0x2ab76a=_0x488b84[_0x26a147>>>0x18]^_0x461964[_0x38c424>>>0x10&0xff]^_0x15b62e[_0xe77df4>>>0x8&0xff]^_0x3a4e9b[0xff&_0x26c691]^_0x5c0c23[_0x13c014++],_0x17739e=_0x488b84[_0x38c424>>>0x18]^_0x461964[_0xe77df4>>>0x10&0xff]^_0x15b62e[_0x26c691>>>0x8&0xff]^_0x3a4e9b[0xff&_0x26a147]^_0x5c0c23[_0x13c014++],_0x479136=_0x488b84[_0xe77df4>>>0x18]^_0x461964[_0x26c691>>>0x10&0xff]^_0x15b62e[_0x26a147>>>0x8&0xff]^_0x3a4e9b[0xff&_0x38c424]^_0x5c0c23[_0x13c014++],_0x3058b3=_0x488b84[_0x26c691>>>0x18]^_0x461964[_0x26a147>>>0x10&0xff]^_0x15b62e[_0x38c424>>>0x8&0xff]^_0x3a4e9b[0xff&_0xe77df4]^_0x5c0c23[_0x13c014++];_0x26a147=_0x2ab76a,_0x38c424=_0x17739e,_0xe77df4=_0x479136,_0x26c691=_0x3058b3;}_0x2ab76a=(_0x3960c3[_0x26a147>>>0x18]<<0x18|_0x3960c3[_0x38c424>>>0x10&0xff]<<0x10|_0x3960c3[_0xe77df4>>>0x8&0xff]<<0x8|_0x3960c3[0xff&_0x26c691])^_0x5c0c23[_0x13c014++],_0x17739e=(_0x3960c3[_0x38c424>>>0x18]<<0x18|_0x3960c3[_0xe77df4>>>0x10&0xff]<<0x10|_0x3960c3[_0x26c691>>>0x8&0xff]<<0x8|_0x3960c3[0xff&_0x26a147])^_0x5c0c23[_0x13c014++],_0x479136=(_0x3960c3[_0xe77df4>>>0x18]<<0x18|_0x3960c3[_0x26c691>>>0x10&0xff]<<0x10|_0x3960c3[_0x26a147>>>0x8&0xff]<<0x8|_0x3960c3[0xff&_0x38c424])^_0x5c0c23[_0x13c014++],_0x3058b3=(_0x3960c3[_0x26c691>>>0x18]<<0x18|_0x3960c3[_0x26a147>>>0x10&0xff]<<0x10|_0x3960c3[_0x38c424>>>0x8&0xff]<<0x8|_0x3960c3[0xff&_0xe77df4])^_0x5c0c23[_0x13c014++],_0x48ef2c[_0x4289ff]=_0x2ab76a,_0x48ef2c[_0x4289ff+0x1]=_0x17739e,_0x48ef2c[_0x4289ff+0x2]=_0x479136,_0x48ef2c[_0x4289ff+0x3]=_0x3058b3;},'keySize':0x8});_0x2604ca[_0x3b0ecc(0x249)]=_0x37bbe7[_0x3b0ecc(0x1e2)](_0x4ad90e);}()),_0x571150[_0x2c76a4(0x249)]);}},_0x45de08={};function _0x548c4d(_0x53019f){var _0x207bd5=a0_0x750d,_0x528924=_0x45de08[_0x53019f];if(void 0x0!==_0x528924)return _0x528924[_0x207bd5(0x250)];var _0x398060=_0x45de08[_0x53019f]={'exports':{}};return _0x91e66b[_0x53019f]['call'](_0x398060[_0x207bd5(0x250)],_0x398060,_0x398060[_0x207bd5(0x250)],_0x548c4d),_0x398060['exports'];}_0x548c4d['n']=_0x5c2a14=>{var _0x460b43=a0_0x750d,_0x37ad70=_0x5c2a14&&_0x5c2a14['__esModule']?()=>_0x5c2a14[_0x460b43(0x254)]:()=>_0x5c2a14;return _0x548c4d['d'](_0x37ad70,{'a':_0x37ad70}),_0x37ad70;},_0x548c4d['d']=(_0x4b7f46,_0x23ac87)=>{var _0x39b369=a0_0x750d;for(var _0x351d5c in _0x23ac87)_0x548c4d['o'](_0x23ac87,_0x351d5c)&&!_0x548c4d['o'](_0x4b7f46,_0x351d5c)&&Object[_0x39b369(0x1fd)](_0x4b7f46,_0x351d5c,{'enumerable':!0x0,'get':_0x23ac87[_0x351d5c]});},_0x548c4d['g']=(function(){var _0x9c884e=a0_0x750d;if('object'==typeof globalThis)return globalThis;try{return this||new Function(_0x9c884e(0x1b1))();}catch(_0x1a9514){if('object'==typeof window)return window;}}()),_0x548c4d['o']=(_0x52b436,_0x1af4fb)=>Object[_0xd250b6(0x240)][_0xd250b6(0x239)][_0xd250b6(0x1c2)](_0x52b436,_0x1af4fb),_0x548c4d['r']=_0x53aff2=>{var _0x2eaa6f=_0xd250b6;_0x2eaa6f(0x264)!=typeof Symbol&&Symbol[_0x2eaa6f(0x24a)]&&Object[_0x2eaa6f(0x1fd)](_0x53aff2,Symbol[_0x2eaa6f(0x24a)],{'value':_0x2eaa6f(0x1bf)}),Object[_0x2eaa6f(0x1fd)](_0x53aff2,_0x2eaa6f(0x215),{'value':!0x0});};var _0x1be1d7={};return((()=>{'use strict';_0x548c4d['r'](_0x1be1d7),_0x548c4d['d'](_0x1be1d7,{'oneWayCompare':()=>_0x391493,'oneWayEncrypt':()=>_0x387ae8,'twoWayDecrypt':()=>_0x297cbf,'twoWayEncrypt':()=>_0x14a40f});var _0xc658dc=_0x548c4d(0x18c);function _0x4d7a70(_0x45de3b,_0xbd402d){return _0x45de3b-=0x152,_0x113a13()[_0x45de3b];}_0x548c4d(0x3bb),function(_0x402539){var _0x385eca=a0_0x750d;const _0x5a9ac1=_0x4d7a70,_0x162eb1=_0x402539();for(;;)try{if(0x660aa==-parseInt(_0x5a9ac1(0x169))/0x1+parseInt(_0x5a9ac1(0x15e))/0x2+parseInt(_0x5a9ac1(0x153))/0x3*(parseInt(_0x5a9ac1(0x16d))/0x4)+parseInt(_0x5a9ac1(0x15b))/0x5+parseInt(_0x5a9ac1(0x16f))/0x6+parseInt(_0x5a9ac1(0x159))/0x7*(-parseInt(_0x5a9ac1(0x157))/0x8)+-parseInt(_0x5a9ac1(0x168))/0x9*(parseInt(_0x5a9ac1(0x161))/0xa))break;_0x162eb1[_0x385eca(0x1b8)](_0x162eb1[_0x385eca(0x1dc)]());}catch(_0x7fbee7){_0x162eb1['push'](_0x162eb1[_0x385eca(0x1dc)]());}}(_0x113a13);const _0x387ae8=function(_0x708b08,_0x25eaf2){const _0x227a64=_0x4d7a70;return _0x708b08?_0x25eaf2?_0xc658dc[_0x227a64(0x160)](_0x708b08)[_0x227a64(0x163)]():_0xc658dc[_0x227a64(0x152)](_0x708b08)[_0x227a64(0x163)]():_0x708b08;},_0x391493=function(_0x11a852,_0x65c312,_0x3a8204){var _0x320a0b=a0_0x750d;const _0x29e04a=_0x4d7a70;return _0x11a852&&_0x65c312?_0x11a852===(_0x3a8204?_0xc658dc[_0x29e04a(0x160)](_0x65c312)[_0x320a0b(0x201)]():_0xc658dc[_0x29e04a(0x152)](_0x65c312)[_0x29e04a(0x163)]()):_0x11a852;},_0x14a40f=function(_0x3e4cf8,_0x2afb70){var _0x5b9cb8=a0_0x750d;const _0x5bb4cf=_0x4d7a70;if(!_0x3e4cf8||!_0x2afb70)return null;var _0x4509fb,_0x24b647;_0x3e4cf8=(_0x24b647=_0x4509fb=_0x3e4cf8)&&_0x5b9cb8(0x231)==typeof _0x24b647?JSON[_0x4d7a70(0x16e)](_0x4509fb):_0x4509fb;const _0x398fe4=_0xc658dc[_0x5bb4cf(0x154)][_0x5bb4cf(0x167)][_0x5bb4cf(0x164)](0x10),_0x5b8469=_0xc658dc[_0x5bb4cf(0x15f)](_0x2afb70,_0x398fe4,{'keySize':0x8,'iterations':0x64}),_0x1575ad=_0xc658dc[_0x5b9cb8(0x1ce)][_0x5bb4cf(0x167)][_0x5bb4cf(0x164)](0x10),_0x87a081=_0xc658dc[_0x5bb4cf(0x166)][_0x5bb4cf(0x16c)](_0x3e4cf8,_0x5b8469,{'iv':_0x1575ad,'padding':_0xc658dc[_0x5bb4cf(0x165)][_0x5bb4cf(0x162)],'mode':_0xc658dc[_0x5b9cb8(0x1c1)][_0x5bb4cf(0x156)]});return _0x398fe4[_0x5bb4cf(0x163)]()+_0x1575ad[_0x5bb4cf(0x163)]()+_0x87a081[_0x5bb4cf(0x163)]();},_0x297cbf=function(_0x48cba5,_0x3093ca){var _0x118ef2=a0_0x750d;const _0x40da96=_0x4d7a70;if(!_0x48cba5||!_0x3093ca)return null;try{const _0x1c06ad=_0xc658dc[_0x118ef2(0x1cf)][_0x40da96(0x16b)][_0x40da96(0x15c)](_0x48cba5[_0x40da96(0x155)](0x0,0x20)),_0x22b7cd=_0xc658dc[_0x40da96(0x16a)][_0x40da96(0x16b)][_0x40da96(0x15c)](_0x48cba5[_0x40da96(0x155)](0x20,0x20)),_0x4baa32=_0x48cba5[_0x118ef2(0x1d7)](0x40),_0x27408b=_0xc658dc[_0x40da96(0x15f)](_0x3093ca,_0x1c06ad,{'keySize':0x8,'iterations':0x64}),_0x55d096=_0xc658dc[_0x118ef2(0x249)][_0x118ef2(0x258)](_0x4baa32,_0x27408b,{'iv':_0x22b7cd,'padding':_0xc658dc[_0x118ef2(0x245)][_0x40da96(0x162)],'mode':_0xc658dc[_0x118ef2(0x1c1)][_0x40da96(0x156)]})[_0x40da96(0x163)](_0xc658dc[_0x40da96(0x16a)][_0x118ef2(0x208)]);if(!_0x55d096)throw new Error(_0x40da96(0x15a));return'\x22'===_0x55d096[_0x40da96(0x15d)](0x0)&&'\x22'===_0x55d096[_0x40da96(0x15d)](_0x55d096[_0x118ef2(0x268)]-0x1)&&(_0x55d096=_0x55d096[_0x40da96(0x155)](0x1,_0x55d096[_0x118ef2(0x268)]-0x2)),_0x55d096;}catch(_0x3796cb){return console[_0x40da96(0x158)](_0x3796cb[_0x118ef2(0x271)]),null;}};function _0x113a13(){var _0xaae7fa=a0_0x750d;const _0x39c9ba=[_0xaae7fa(0x243),_0xaae7fa(0x26d),'4346728SzKPPX',_0xaae7fa(0x24b),'7MpHEXX',_0xaae7fa(0x209),_0xaae7fa(0x23d),_0xaae7fa(0x1b4),'charAt',_0xaae7fa(0x1d4),'PBKDF2',_0xaae7fa(0x20c),_0xaae7fa(0x277),_0xaae7fa(0x274),_0xaae7fa(0x201),_0xaae7fa(0x1eb),_0xaae7fa(0x245),_0xaae7fa(0x249),_0xaae7fa(0x25f),_0xaae7fa(0x22c),_0xaae7fa(0x242),_0xaae7fa(0x1cf),'Hex','encrypt',_0xaae7fa(0x23c),_0xaae7fa(0x20f),'3705672CnlyGa','MD5',_0xaae7fa(0x1b3),'lib'];return(_0x113a13=function(){return _0x39c9ba;})();}})()),_0x1be1d7;})()));
\ No newline at end of file
+function a0_0x17f2(){var _0x31d0c1=['lib','writeUint32BE','<Buffer\x20','HKDF','params','equals','charCodeAt','_rBlock','number','need\x20readable','_write()','writeUInt8','wrapKey','0123456789abcdef','length','type','isView','writeUintBE','ECDSA','SHA-256','531ojYwOo','InvalidInputError','A\x20field\x20schema\x20needs\x20at\x20least\x20one\x20path.','444475xpKFlq','getOwnPropertyNames','N\x20too\x20large','>=\x20','request','clear','SHA384','common-encryption\x20key\x20check','697434XghWYd','listener','90qJbRMV','_transform','listeners','DES','false\x20write\x20response,\x20pause','4257606BLaYQE','done','MaxListenersExceededWarning','exportKey','104GOYOss','transforming','private','_append','errorEmitted','symbol','push','LN2','4384872cqeMaV','enumerable','HmacRIPEMD160','of\x20','13116hhaOrl','ERR_STREAM_PUSH_AFTER_EOF','execute','0x8000000000000000','4666265YBbIAq','chunkSize','argv','342905rImHQy','publicKey','ln=','endReadableNT','Malformed\x20keyring\x20ciphertext:\x20invalid\x20key\x20id.','lastResolve','error','BaseEncryption','password\x20must\x20be\x20an\x20array\x20or\x20buffer','_write','bufferedRequestCount',')\x20and\x20<\x202\x20**\x20','8810242ENuOLc','unpipe','SHA1','binding','CBC','env','_getString','autoDestroy','finalize','778290rmVNWB','42eLNBfz','keyId','140WSyuAJ','Latin1','substring','Argument\x20must\x20be\x20a\x20number','nonce','_writableState','valueOf','9pLNkJg','pipesCount','pause','Unsupported\x20scrypt\x20parameters:\x20N=','31086704DGHSrh','Encryptor','_fromList','sourceEnd\x20out\x20of\x20bounds','Buffer\x20size\x20must\x20be\x20a\x20multiple\x20of\x2016-bits','errorOrDestroy','macKey','4789386opncDs','ended','56UmqGLd','105CDIZto','Unsupported\x20iteration\x20count:\x20','isNaN','stream.push()\x20after\x20EOF','9612848WhUNGr','isBuf','49632OUCBbz','ownKeys','ERR_BUFFER_OUT_OF_BOUNDS','wrapped\x20data','_maxListeners','ERR_STREAM_DESTROYED','writeencoding','Malformed\x20password\x20hash.','string','451315SnZBCK','ERR_MISSING_ARGS','corked','rawListeners','TYPED_ARRAY_SUPPORT','1424015WtUngM','Base64url','_subKeys','boolean','SHA512','includes','writableBuffer','Unsupported\x20cipher:\x20','4695318PuSKNs','base64','needsRotation','\x22\x20is\x20out\x20of\x20range.','Argument\x20must\x20not\x20be\x20a\x20number','\x20or\x20','_doCryptBlock','_keystream','StreamCipher','low','_key','prependListener','writableHighWaterMark','1EvUUpx','1055642IrfqTF','12826iuUGSl','noDeprecation','unshift','12yFopns','_doProcessBlock','SlowBuffer','Attempt\x20to\x20allocate\x20Buffer\x20larger\x20than\x20maximum\x20size:\x200x','pop','call\x20pause\x20flowing=%j','.\x20Received\x20type\x20','Invalid\x20field\x20schema\x20entry\x20for\x20','Readable','ERR_STREAM_PREMATURE_CLOSE','AES-GCM','encKey','464558wEPunF','Duplex','AES_256_CBC_HMAC_SHA256','Public-key\x20operations\x20need\x20WebCrypto\x20(crypto.subtle).','STRING','2334338qTREtp','getMaxListeners','byteLength','isEncoding','ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=','214420JceJhk','$super','30894hjTHNP','count','Index\x20out\x20of\x20range','return','writeIntBE','Cannot\x20call\x20','sync','pipes',',\x20p=','hash','padding','AES-CBC','4dNhwAS','setHeader','buffer','resume','setDefaultEncoding','setPrototypeOf','raw','2880779rHWPfu','979704jHWSFV','Utf16LE','syncScrypt','_writev','2894168jiHTPM','set','8701iQiVWM','key','decoder','ceil','callback','ERR_METHOD_NOT_IMPLEMENTED','.\x20Received\x20','kMaxLength','readUint32LE','argument','$1\x20','random','readUInt32LE','ERR_STREAM_NULL_VALUES','\x20listeners\x20added.\x20Use\x20emitter.setMaxListeners()\x20to\x20increase\x20limit','1592248rzxMcE','versions','BigInt\x20not\x20supported','33ZLfnVS','CFB','corkedRequestsFree','end','Unsupported\x20chunk\x20size:\x20','prependOnceListener','HmacSHA512','writeUInt16BE','Malformed\x20keyring\x20ciphertext:\x20missing\x20key\x20id.','_keyPriorReset','property','hex','49190WxUXsx','Malformed\x20envelope:\x20invalid\x20encoding.','subarray','\x20argument','At\x20most\x20','finalCalled','CTRGladman','554478NhMOcf','InvalidPassphraseError','eventNames','712947FQjAzh','604483MzgPIO','generateKey','329804fGvVpC','Data\x20and\x20a\x20private\x20key\x20are\x20required.','10328283RLOPQG','throwDeprecation','streams','pbkdf2-sha256','Utf8','Malformed\x20','deterministic','wrap','readUint16BE','_process','namedCurve','Unsupported\x20key\x20algorithm:\x20','wrapFn','find','head','consume','\x20after\x20a\x20stream\x20was\x20destroyed','drop','emit','apply','\x20...\x20','onunpipe','_state','val\x20must\x20be\x20string,\x20number\x20or\x20Buffer','readUInt8','CTR','readUInt16LE','from','15442zcceyY','_readableState','Data\x20and\x20a\x20passphrase\x20are\x20required.','14xrJYBL','Possible\x20EventEmitter\x20memory\x20leak\x20detected.\x20','The\x20native\x20backend\x20is\x20not\x20available\x20here.','return\x20this','Unknown\x20encoding:\x20','dkLen','769552ICkoYy','readInt8','1183610UsoaPn','isInteger','cancelled','Unsupported\x20key\x20format:\x20','Transform','1479245YfKmlR','deriveBits','A\x20passphrase\x20is\x20required.','objectMode','substr','ECDSA-P256','handlePromise','kdf','536LWXJmS','paramsSize','Rabbit','The\x20first\x20argument\x20must\x20be\x20one\x20of\x20type\x20string,\x20Buffer,\x20ArrayBuffer,\x20Array,\x20or\x20Array-like\x20Object.\x20Received\x20type\x20','toByteArray','Malformed\x20stream:\x20missing\x20stream\x20header.','newListener','needTransform','off','_createHelper','Unsupported\x20stream\x20chunk:\x20expected\x20binary\x20data,\x20got\x20','nodejs.util.inspect.custom','_flush','7dWTSWi','_undestroy','3767520PNcJEY','destroyed','32326RKOcvl','log2','native','unpad','readIntLE','readBigUInt64LE','array','readDoubleBE','3448119FCHRcg','object','getUint32','DEP0003','\x22offset\x22\x20is\x20outside\x20of\x20buffer\x20bounds','readUIntLE','hasOwnProperty','must\x20be','warned','validate','16826SkVtoC','Unknown\x20backend:\x20','allocUnsafe','_read()','4122099xMIUkO','_final','NUMBER','900402fxIViF','\x22\x20is\x20invalid\x20for\x20option\x20\x22size\x22','fill','toJSON','getOwnPropertySymbols','crypto','Hex','X25519','_transformState','writechunk','SHA3','608230LCPhjT','enqueue','EventEmitter','formatter','decryptBlock','56fWhILz','AnsiX923','call','utf16le','Module','writecb','869716EVRvbc','allowHalfOpen','Unsupported\x20data\x20type:\x20','493750nmIpNw','cipher','readUInt16BE','1817956SkaweP','fromByteArray','isBuffer','deprecate','message','fillLast','abort','bind','39588285dUwrkj','20rRdjMM','hasher','20649JBIRzE','5978400CaSaQO','readingMore','9664857zRkSPN','Iso10126','readable\x20nexttick\x20read\x200','clone','decodeStrings','req','ERR_STREAM_WRITE_AFTER_END','SHA224','decrypt','pow',']:\x20','\x22list\x22\x20argument\x20must\x20be\x20an\x20Array\x20of\x20Buffers','code','listenerCount','1863KctAsD','__creator','_xformMode','Malformed\x20scrypt\x20parameters:\x20','readableAddChunk','Unknown\x20key\x20id:\x20','ivKey','Trying\x20to\x20access\x20beyond\x20buffer\x20length','4004532eoLmWU','INVALID_PASSPHRASE','JSON','complete','read','errors','Decryption\x20failed:\x20The\x20private\x20key\x20is\x20not\x20a\x20recipient\x20of\x20this\x20ciphertext.','EvpKDF','Base','5plbFaG','throw','lastTotal','sin','extend','writeUInt16LE','The\x20value\x20of\x20\x22','common-encryption\x20deterministic\x20iv','The\x20value\x20\x22','webcrypto','prefinished','Decryptor','PBKDF2','2273379CgcLgm','one\x20of\x20','stringify','removeListener','14018160JvbOel','Decryption\x20failed:\x20Stream\x20is\x20truncated.','pad','HmacSHA256','341934cyGNQq','algorithm','@@toPrimitive\x20must\x20return\x20a\x20primitive\x20value.','4801600FtIdbG','Stream','Invalid\x20field\x20path:\x20','1381602eXUTpi','1452398YbiKDD','highWaterMark','an\x20integer','emitReadable','108GnlfCR','Pkcs7','SHA256','_prevBlock','A\x20keyring\x20needs\x20at\x20least\x20one\x20key.','endEmitted','flowing','2092230OJHlPi','encode','cost','_invKeySchedule','INVALID_INPUT','5bXRMLJ','cfg','writeInt16LE','24QTCTiX','writeBigInt64BE','6616EOaYUA','-----\x0a','outputLength','create','fromCharCode','TripleDES','right','1038770zjVqRW','Unsupported\x20public-key\x20ciphertext\x20version:\x20','4AAbrrz','1369404bpZlCi','WordArray','7040qhUsua','lastReject','476rTdHvs','writeUint16LE','\x20bytes','utf-8','78eeuJIW','The\x20value\x20of\x20\x22n\x22\x20is\x20out\x20of\x20range.\x20It\x20must\x20be\x20a\x20non-negative\x20number.\x20Received\x20','10737jsudoh','4304951rOMCKo','emittedReadable','5sqmqzy','NoPadding','compare','fun','ECB','getOwnPropertyDescriptor','defineProperty','The\x20\x22emitter\x22\x20argument\x20must\x20be\x20of\x20type\x20EventEmitter.\x20Received\x20type\x20','title','Decryption\x20failed:\x20Data\x20has\x20been\x20tampered\x20with.','swap16','The\x20','fired','Malformed\x20envelope:\x20truncated\x20header.','UnsupportedFormatError','writableLength','_hash','isPaused','deriveKey','writeUInt32LE','privateUsages','Data\x20and\x20at\x20least\x20one\x20public\x20key\x20are\x20required.','defaultEncoding','1968JgqPpW','378753etHVNC','\x22\x20is\x20invalid\x20for\x20option\x20\x22','shift','_isStdio','setEncoding','4506968sXtrAq','filter','The\x20\x22value\x22\x20argument\x20must\x20not\x20be\x20of\x20type\x20number.\x20Received\x20type\x20number','readUInt32BE','_iKey','_keySchedule','defineProperties','6wqMxsO','blockSize','targetStart\x20out\x20of\x20bounds','Unsupported\x20input:\x20expected\x20a\x20stream,\x20Blob,\x20Buffer\x20or\x20Uint8Array.','for','defaultMaxListeners','5450ffjVGV','clamp','writeDoubleLE','swap64','toLowerCase','26936HVEsdE','browser','name','indexOf','Writable','Invalid\x20secret\x20for\x20key\x20id:\x20','Word','4663099MThvxp','chunk','readUint8','Unsupported\x20key\x20derivation:\x20','paused','pipeline','_transform()','drain','139006MhKVUd','HmacMD5','HmacSHA1','wrappedKeys','lastNeed','The\x20\x22target\x22\x20argument\x20must\x20be\x20one\x20of\x20type\x20Buffer\x20or\x20Uint8Array.\x20Received\x20type\x20','_arr','6918MOeWiy','162MlmwCT','99114UlyMJD','TAMPERED_DATA','PasswordBasedCipher','destroy','sbox','BufferedBlockAlgorithm','alloc','hasUnpiped','_counter','readInt16BE','transform','utf8','next','Callback\x20called\x20multiple\x20times','getBuffer','2508fQMoGO','290757AKPhJA','\x20and\x20<=\x20','enc','pbox','BlockCipher','Buffer\x20size\x20must\x20be\x20a\x20multiple\x20of\x2032-bits','pipe\x20count=%d\x20opts=%j','rotate','Native\x20crypto\x20module\x20could\x20not\x20be\x20used\x20to\x20get\x20secure\x20random\x20number.','_des2','spki','HmacSHA384','derive','RabbitLegacy','entry','ucs2','Cannot\x20call\x20a\x20class\x20as\x20a\x20function','then','assign','PRIVATE','The\x20\x22string\x22\x20argument\x20must\x20be\x20of\x20type\x20string.\x20Received\x20type\x20number','resumeScheduled','BlockCipherMode','emitClose','writeFloatBE','readableHighWaterMark',',p=','\x20**\x20','unwrapKey','Buffer\x20size\x20must\x20be\x20a\x20multiple\x20of\x2064-bits','ucs-2','finished','emitter','2583960quYrLv','reduce','Ansix923','334552yzsFiN','Malformed\x20PEM\x20key.','3982165iZBgJX','$cg$','A\x20password\x20is\x20required.','A\x20ciphertext\x20and\x20a\x20private\x20key\x20are\x20required.',',\x20or\x20','text','pipe','hasInstance','prefinish','processBlock','writeInt32LE','_isBuffer','pendingcb','algo','Utf16','5iZJIKG','_destroy','writing','flush','split','ERR_STREAM_CANNOT_PIPE','ERR_OUT_OF_RANGE','_minBufferSize','402728WRXCiN','478320wIzBPn','Unsupported\x20error\x20mode:\x20','salt','_reverseMap','OFB','A\x20ciphertext\x20and\x20both\x20passphrases\x20are\x20required.','39318IyQwqw','configurable','once','SerializableCipher','toX32','randomBytes','getHighWaterMark','mode','tail','encryptBlock','readable','Field\x20encryption\x20needs\x20a\x20plain\x20object\x20or\x20array.','writeUint32LE','readableBuffer','latin1','_nDataBytes','backend','super_','cork','HmacSHA224','nextTick','Iso97971','readInt16LE','match','AES','join','CipherParams','function','custom','Decryption\x20failed:\x20Invalid\x20passphrase.','ERR_UNKNOWN_ENCODING','isArray','asyncIterator','byteOffset','DATE','privateKey','setUint32','getOwnPropertyDescriptors','onend','replace','poolSize','createDecryptor','getRandomValues','readFloatLE','MD5','BOOLEAN','Decryption\x20failed:\x20Data\x20found\x20after\x20the\x20final\x20chunk.','lastChar','69374yDCeYw','348669utStPR','_map','lastPromise','_events','lastIndexOf','write\x20after\x20end','writeUInt32BE','write','PUBLIC\x20KEY','The\x20\x22string\x22\x20argument\x20must\x20be\x20one\x20of\x20type\x20string,\x20Buffer,\x20or\x20ArrayBuffer.\x20Received\x20type\x20','Base64','left','1362186tKqNLC','value','getTime','format','parallelization','some','defaults','jwk','isWeaker','writeBigUInt64BE','trace','debuglog','pem','2534jHfwhq','_eventsCount','ERR_TRANSFORM_ALREADY_TRANSFORMING','5081310heAjBs','onEofChunk','inspect','_parse','data','ondata','ZeroPadding','first','pbkdf2-sha512','subtle','The\x20logger\x20must\x20be\x20a\x20function\x20or\x20null.','ivSize','7UOIFVf','readableObjectMode','true','Hasher','_lBlock','charAt','Decryption\x20failed:\x20Invalid\x20passphrase\x20or\x20corrupted\x20data.','2812BgNtNl','compute','map','toPrimitive','min','RIPEMD160','writeBigUInt64LE','738tLfWks','slice','init','writeUint16BE','P-256','writelen','readFloatBE','hmac','Scrypt\x20parameters\x20too\x20expensive:\x20N=','_oKey','bufferedRequest','_safe_map','writable','readUintLE','iterations','undestroy','readUint16LE','wrapped\x20_read','onwrite','cwd','max','_data','\x22buffer\x22\x20argument\x20must\x20be\x20a\x20Buffer\x20instance','stream','getPrototypeOf','ciphertext','verify','Expected\x20a\x20JWK\x20object\x20or\x20a\x20PEM\x20string.','ERR_INVALID_OPT_VALUE','onfinish','toLocaleString','>=\x20-(2','must\x20not\x20be','_cipher','\x20is\x20outside\x20of\x20buffer\x20bounds','high','Cipher','cleanup','Buffer','Unhandled\x20error.','NULL','keys','1094xBZmAQ','1xdZooF','decode','version','splice','scrypt','reading','x64','PassThrough','0x7fffffffffffffff','forEach','addListener','signParams','encoding','utf-16le','827181CnShmX','finish','afterTransform','run','RC4','context','The\x20private\x20key\x20does\x20not\x20match\x20the\x20ciphertext\x20algorithm.','\x22size\x22\x20argument\x20must\x20be\x20of\x20type\x20number','stack','binary','ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_','words','parse','lastBufferedRequest','writeInt32BE','_read','188CPqBGi','1683668bSIjhS','msCrypto','_getBuffer','_mode','writeIntLE','7907502OpfEYv','ECDH','May\x20not\x20write\x20null\x20values\x20to\x20stream','chdir','10gnPCNZ','awaitDrain','needDrain','1791730eskZPj','Uint8Array','concat','createEncryptor','copy','11976660LweGKg','ending','\x0a-----END\x20','allBuffers','133vDihzN','writeUIntLE','abs','BYTES','_doReset','encrypt','close','exports','__esModule','Blowfish','The\x20\x22buf1\x22,\x20\x22buf2\x22\x20arguments\x20must\x20be\x20one\x20of\x20type\x20Buffer\x20or\x20Uint8Array','ascii','2RLzDDO','localStorage','823645PgGRiK','floor','prototype','test','offset','ERR_INVALID_ARG_TYPE','process.binding\x20is\x20not\x20supported','Attempt\x20to\x20write\x20outside\x20buffer\x20bounds','PRIVATE\x20KEY','_doFinalize','164000evccCw','toStringTag','Readable.from\x20is\x20not\x20available\x20in\x20the\x20browser','A\x20ciphertext\x20and\x20a\x20passphrase\x20are\x20required.','The\x20\x22','length\x20less\x20than\x20watermark','readableListening','5541832TxJxTM','ERR_STREAM_UNSHIFT_AFTER_END_EVENT','The\x20\x22listener\x22\x20argument\x20must\x20be\x20of\x20type\x20Function.\x20Received\x20type\x20','umask','_iv','stream.unshift()\x20after\x20end\x20event','0xffffffffffffffff','.$1','_des3','readInt32BE','writeFloatLE','stdout','\x22\x20argument\x20must\x20be\x20of\x20type\x20number.\x20Received\x20type\x20','exec','_createHmacHelper','__proto__','sigBytes','_des1','3163517rwVVde','108342tpBfcy','Argument\x20must\x20be\x20a\x20Buffer','check','EncryptionError','header','_invSubKeys','Utf16BE','UNSUPPORTED_FORMAT','addEventListener','3uyoPtb','161585wngRBH','removeAllListeners','_hasher','mixIn','717491EMgNRb',',r=','target','RC4Drop','ERR_MULTIPLE_CALLBACK','HMAC','3669504ibgQNf','needReadable','10zeGqkA','importKey','constructor','readBigUInt64BE','bigint','Unsupported\x20envelope\x20version:\x20','read:\x20emitReadable','update','flow','wrapped\x20end','common-encryption\x20hybrid\x20key','reset','toString','keySize','2104064pRgFqX','warn','bufferProcessing','4PnRArx','undefined','_ENC_XFORM_MODE','pipeOnDrain'];a0_0x17f2=function(){return _0x31d0c1;};return a0_0x17f2();}var a0_0x12c8cc=a0_0x4968;(function(_0x7bbb21,_0x41d53d){var _0x17497d=a0_0x4968,_0x2d61ad=_0x7bbb21();while(!![]){try{var _0x34cc09=parseInt(_0x17497d(0x304))/0x1*(parseInt(_0x17497d(0x151))/0x2)+parseInt(_0x17497d(0x1aa))/0x3+parseInt(_0x17497d(0x156))/0x4*(-parseInt(_0x17497d(0x374))/0x5)+parseInt(_0x17497d(0x3bb))/0x6+parseInt(_0x17497d(0x1d5))/0x7+-parseInt(_0x17497d(0x206))/0x8*(-parseInt(_0x17497d(0x2d9))/0x9)+-parseInt(_0x17497d(0x1a0))/0xa;if(_0x34cc09===_0x41d53d)break;else _0x2d61ad['push'](_0x2d61ad['shift']());}catch(_0x8f5e2f){_0x2d61ad['push'](_0x2d61ad['shift']());}}}(a0_0x17f2,0x7cc6b));function a0_0x4968(_0x23a035,_0x3c511b){_0x23a035=_0x23a035-0x7d;var _0x17f2c1=a0_0x17f2();var _0x496826=_0x17f2c1[_0x23a035];return _0x496826;}try{global['crypto']=require(a0_0x12c8cc(0x14b));}catch(a0_0x10f67c){}!function(_0x207b0c,_0x22a417){var _0x3de1f9=a0_0x12c8cc;_0x3de1f9(0x136)==typeof exports&&_0x3de1f9(0x136)==typeof module?module[_0x3de1f9(0x33f)]=_0x22a417():_0x3de1f9(0x28d)==typeof define&&define['amd']?define([],_0x22a417):_0x3de1f9(0x136)==typeof exports?exports[_0x3de1f9(0x3d9)]=_0x22a417():_0x207b0c[_0x3de1f9(0x3d9)]=_0x22a417();}(this,()=>((()=>{var _0x4793f0=a0_0x12c8cc,_0x4f17ae={0x13(_0x50ebe9,_0x13f83d,_0x1a2937){var _0x1b002d=a0_0x4968,_0x4b7aaf,_0x2bff30,_0x30ad3e,_0x5d751d,_0x1239e6,_0xc46906,_0x20a30b,_0x5bfa4a,_0x23efb5;_0x50ebe9[_0x1b002d(0x33f)]=(_0x23efb5=_0x1a2937(0x233d),_0x1a2937(0xbc1),_0x1a2937(0x401),_0x30ad3e=(_0x2bff30=(_0x4b7aaf=_0x23efb5)[_0x1b002d(0x395)])[_0x1b002d(0x18e)],_0x5d751d=_0x2bff30['WordArray'],_0xc46906=(_0x1239e6=_0x4b7aaf[_0x1b002d(0x261)])['SHA256'],_0x20a30b=_0x1239e6[_0x1b002d(0x37d)],_0x5bfa4a=_0x1239e6[_0x1b002d(0x19b)]=_0x30ad3e[_0x1b002d(0x193)]({'cfg':_0x30ad3e[_0x1b002d(0x193)]({'keySize':0x4,'hasher':_0xc46906,'iterations':0x3d090}),'init':function(_0x2aac92){var _0x9630ff=_0x1b002d;this['cfg']=this['cfg'][_0x9630ff(0x193)](_0x2aac92);},'compute':function(_0x1e159c,_0x1ae41b){var _0x285c85=_0x1b002d;for(var _0x1be429=this['cfg'],_0x309a4c=_0x20a30b[_0x285c85(0x1c3)](_0x1be429[_0x285c85(0x16c)],_0x1e159c),_0x416de5=_0x5d751d[_0x285c85(0x1c3)](),_0x32ad35=_0x5d751d[_0x285c85(0x1c3)]([0x1]),_0x211c8b=_0x416de5[_0x285c85(0x31d)],_0x30ae3f=_0x32ad35[_0x285c85(0x31d)],_0x2f37dc=_0x1be429[_0x285c85(0x38d)],_0x26a57b=_0x1be429[_0x285c85(0x2e7)];_0x211c8b['length']<_0x2f37dc;){var _0x22f0bb=_0x309a4c['update'](_0x1ae41b)[_0x285c85(0x3e6)](_0x32ad35);_0x309a4c['reset']();for(var _0x2a2c7e=_0x22f0bb[_0x285c85(0x31d)],_0x402989=_0x2a2c7e[_0x285c85(0x3a3)],_0x477679=_0x22f0bb,_0x1b7579=0x1;_0x1b7579<_0x26a57b;_0x1b7579++){_0x477679=_0x309a4c[_0x285c85(0x3e6)](_0x477679),_0x309a4c[_0x285c85(0x38b)]();for(var _0x4c50d3=_0x477679[_0x285c85(0x31d)],_0x34b2d5=0x0;_0x34b2d5<_0x402989;_0x34b2d5++)_0x2a2c7e[_0x34b2d5]^=_0x4c50d3[_0x34b2d5];}_0x416de5['concat'](_0x22f0bb),_0x30ae3f[0x0]++;}return _0x416de5[_0x285c85(0x367)]=0x4*_0x2f37dc,_0x416de5;}}),_0x4b7aaf[_0x1b002d(0x19b)]=function(_0x78ccab,_0x20afd5,_0xd90205){var _0x486324=_0x1b002d;return _0x5bfa4a[_0x486324(0x1c3)](_0xd90205)[_0x486324(0x2d3)](_0x78ccab,_0x20afd5);},_0x23efb5[_0x1b002d(0x19b)]);},0x19(_0x43c51c,_0x19e020,_0x542368){var _0x40ab96=a0_0x4968,_0x2b8359,_0x4f8251,_0x26f89c,_0xc8589f;_0x43c51c[_0x40ab96(0x33f)]=(_0xc8589f=_0x542368(0x233d),_0x542368(0x1bfd),_0x4f8251=(_0x2b8359=_0xc8589f)[_0x40ab96(0x395)][_0x40ab96(0x28c)],_0x26f89c=_0x2b8359[_0x40ab96(0x230)][_0x40ab96(0x14c)],_0x2b8359[_0x40ab96(0x2b2)]['Hex']={'stringify':function(_0x3d0e9d){var _0x29a83e=_0x40ab96;return _0x3d0e9d[_0x29a83e(0x2f2)][_0x29a83e(0x38c)](_0x26f89c);},'parse':function(_0x756993){var _0x7ff39b=_0x40ab96,_0x17e58b=_0x26f89c[_0x7ff39b(0x31e)](_0x756993);return _0x4f8251[_0x7ff39b(0x1c3)]({'ciphertext':_0x17e58b});}},_0xc8589f['format'][_0x40ab96(0x14c)]);},0xfb(_0x35dd3d,_0x375865){var _0x8cd4b9=a0_0x4968;_0x375865[_0x8cd4b9(0x18a)]=function(_0x22b384,_0x2fa24e,_0x596879,_0x1250fc,_0x27c5d4){var _0x8fb757=_0x8cd4b9,_0x33cc26,_0x2dfd2d,_0x5522ef=0x8*_0x27c5d4-_0x1250fc-0x1,_0x509280=(0x1<<_0x5522ef)-0x1,_0x63a083=_0x509280>>0x1,_0x3f3151=-0x7,_0x24bfd3=_0x596879?_0x27c5d4-0x1:0x0,_0x47c8d8=_0x596879?-0x1:0x1,_0x3487d4=_0x22b384[_0x2fa24e+_0x24bfd3];for(_0x24bfd3+=_0x47c8d8,_0x33cc26=_0x3487d4&(0x1<<-_0x3f3151)-0x1,_0x3487d4>>=-_0x3f3151,_0x3f3151+=_0x5522ef;_0x3f3151>0x0;_0x33cc26=0x100*_0x33cc26+_0x22b384[_0x2fa24e+_0x24bfd3],_0x24bfd3+=_0x47c8d8,_0x3f3151-=0x8);for(_0x2dfd2d=_0x33cc26&(0x1<<-_0x3f3151)-0x1,_0x33cc26>>=-_0x3f3151,_0x3f3151+=_0x1250fc;_0x3f3151>0x0;_0x2dfd2d=0x100*_0x2dfd2d+_0x22b384[_0x2fa24e+_0x24bfd3],_0x24bfd3+=_0x47c8d8,_0x3f3151-=0x8);if(0x0===_0x33cc26)_0x33cc26=0x1-_0x63a083;else{if(_0x33cc26===_0x509280)return _0x2dfd2d?NaN:0x1/0x0*(_0x3487d4?-0x1:0x1);_0x2dfd2d+=Math[_0x8fb757(0x179)](0x2,_0x1250fc),_0x33cc26-=_0x63a083;}return(_0x3487d4?-0x1:0x1)*_0x2dfd2d*Math[_0x8fb757(0x179)](0x2,_0x33cc26-_0x1250fc);},_0x375865['write']=function(_0x71552b,_0x2fe4d3,_0x9a65bf,_0x1ecd77,_0x19750b,_0x2a3216){var _0x13948e=_0x8cd4b9,_0x15ea2d,_0x4433a8,_0x3ae75d,_0x45348d=0x8*_0x2a3216-_0x19750b-0x1,_0x2d9f6b=(0x1<<_0x45348d)-0x1,_0x289b91=_0x2d9f6b>>0x1,_0x1d2653=0x17===_0x19750b?Math[_0x13948e(0x179)](0x2,-0x18)-Math[_0x13948e(0x179)](0x2,-0x4d):0x0,_0x1f70f8=_0x1ecd77?0x0:_0x2a3216-0x1,_0x5bc5d6=_0x1ecd77?0x1:-0x1,_0x1a3946=_0x2fe4d3<0x0||0x0===_0x2fe4d3&&0x1/_0x2fe4d3<0x0?0x1:0x0;for(_0x2fe4d3=Math[_0x13948e(0x33a)](_0x2fe4d3),isNaN(_0x2fe4d3)||_0x2fe4d3===0x1/0x0?(_0x4433a8=isNaN(_0x2fe4d3)?0x1:0x0,_0x15ea2d=_0x2d9f6b):(_0x15ea2d=Math['floor'](Math['log'](_0x2fe4d3)/Math[_0x13948e(0x3c6)]),_0x2fe4d3*(_0x3ae75d=Math[_0x13948e(0x179)](0x2,-_0x15ea2d))<0x1&&(_0x15ea2d--,_0x3ae75d*=0x2),(_0x2fe4d3+=_0x15ea2d+_0x289b91>=0x1?_0x1d2653/_0x3ae75d:_0x1d2653*Math[_0x13948e(0x179)](0x2,0x1-_0x289b91))*_0x3ae75d>=0x2&&(_0x15ea2d++,_0x3ae75d/=0x2),_0x15ea2d+_0x289b91>=_0x2d9f6b?(_0x4433a8=0x0,_0x15ea2d=_0x2d9f6b):_0x15ea2d+_0x289b91>=0x1?(_0x4433a8=(_0x2fe4d3*_0x3ae75d-0x1)*Math['pow'](0x2,_0x19750b),_0x15ea2d+=_0x289b91):(_0x4433a8=_0x2fe4d3*Math[_0x13948e(0x179)](0x2,_0x289b91-0x1)*Math[_0x13948e(0x179)](0x2,_0x19750b),_0x15ea2d=0x0));_0x19750b>=0x8;_0x71552b[_0x9a65bf+_0x1f70f8]=0xff&_0x4433a8,_0x1f70f8+=_0x5bc5d6,_0x4433a8/=0x100,_0x19750b-=0x8);for(_0x15ea2d=_0x15ea2d<<_0x19750b|_0x4433a8,_0x45348d+=_0x19750b;_0x45348d>0x0;_0x71552b[_0x9a65bf+_0x1f70f8]=0xff&_0x15ea2d,_0x1f70f8+=_0x5bc5d6,_0x15ea2d/=0x100,_0x45348d-=0x8);_0x71552b[_0x9a65bf+_0x1f70f8-_0x5bc5d6]|=0x80*_0x1a3946;};},0x1dd(){},0x1e2(_0x5b9176,_0x2f13a6,_0x4cc2c1){var _0xd4def4=a0_0x4968,_0x5978dd;_0x5b9176[_0xd4def4(0x33f)]=(_0x5978dd=_0x4cc2c1(0x233d),_0x4cc2c1(0x1bfd),_0x5978dd[_0xd4def4(0x1a2)][_0xd4def4(0x287)]={'pad':function(_0x6257d,_0x4eefb4){var _0x52ade0=_0xd4def4;_0x6257d['concat'](_0x5978dd[_0x52ade0(0x395)][_0x52ade0(0x1cb)][_0x52ade0(0x1c3)]([0x80000000],0x1)),_0x5978dd[_0x52ade0(0x1a2)][_0x52ade0(0x2c5)][_0x52ade0(0x1a2)](_0x6257d,_0x4eefb4);},'unpad':function(_0x237881){var _0x3e3650=_0xd4def4;_0x5978dd['pad']['ZeroPadding']['unpad'](_0x237881),_0x237881[_0x3e3650(0x367)]--;}},_0x5978dd[_0xd4def4(0x1a2)]['Iso97971']);},0x2f2(_0x54b781,_0x290803,_0x3f9d23){var _0x38d62a=a0_0x4968,_0x5b88b0,_0xc2e2fe,_0x27089e;_0x54b781['exports']=(_0x5b88b0=_0x3f9d23(0x233d),_0x27089e=(_0xc2e2fe=_0x5b88b0)[_0x38d62a(0x395)][_0x38d62a(0x1cb)],_0xc2e2fe[_0x38d62a(0x230)][_0x38d62a(0x2ad)]={'stringify':function(_0x15e2d5){var _0x3a4f8e=_0x38d62a,_0x538323=_0x15e2d5[_0x3a4f8e(0x31d)],_0x67924e=_0x15e2d5[_0x3a4f8e(0x367)],_0x36557b=this[_0x3a4f8e(0x2a4)];_0x15e2d5[_0x3a4f8e(0x202)]();for(var _0x1feb51=[],_0x18f95d=0x0;_0x18f95d<_0x67924e;_0x18f95d+=0x3)for(var _0x216915=(_0x538323[_0x18f95d>>>0x2]>>>0x18-_0x18f95d%0x4*0x8&0xff)<<0x10|(_0x538323[_0x18f95d+0x1>>>0x2]>>>0x18-(_0x18f95d+0x1)%0x4*0x8&0xff)<<0x8|_0x538323[_0x18f95d+0x2>>>0x2]>>>0x18-(_0x18f95d+0x2)%0x4*0x8&0xff,_0x5edbd3=0x0;_0x5edbd3<0x4&&_0x18f95d+0.75*_0x5edbd3<_0x67924e;_0x5edbd3++)_0x1feb51['push'](_0x36557b[_0x3a4f8e(0x2d0)](_0x216915>>>0x6*(0x3-_0x5edbd3)&0x3f));var _0x46494a=_0x36557b[_0x3a4f8e(0x2d0)](0x40);if(_0x46494a){for(;_0x1feb51['length']%0x4;)_0x1feb51[_0x3a4f8e(0x3c5)](_0x46494a);}return _0x1feb51[_0x3a4f8e(0x28b)]('');},'parse':function(_0x3e029f){var _0x4aef38=_0x38d62a,_0x3897c3=_0x3e029f[_0x4aef38(0x3a3)],_0x13a257=this[_0x4aef38(0x2a4)],_0x250dfa=this[_0x4aef38(0x26f)];if(!_0x250dfa){_0x250dfa=this[_0x4aef38(0x26f)]=[];for(var _0x38e620=0x0;_0x38e620<_0x13a257[_0x4aef38(0x3a3)];_0x38e620++)_0x250dfa[_0x13a257[_0x4aef38(0x39b)](_0x38e620)]=_0x38e620;}var _0x22f9f4=_0x13a257[_0x4aef38(0x2d0)](0x40);if(_0x22f9f4){var _0x4ce5de=_0x3e029f[_0x4aef38(0x209)](_0x22f9f4);-0x1!==_0x4ce5de&&(_0x3897c3=_0x4ce5de);}return function(_0x30d734,_0x5b64a8,_0x3019f1){var _0x5ac1ad=_0x4aef38;for(var _0x556889=[],_0x60fdea=0x0,_0x1f7801=0x0;_0x1f7801<_0x5b64a8;_0x1f7801++)if(_0x1f7801%0x4){var _0x5a869f=_0x3019f1[_0x30d734[_0x5ac1ad(0x39b)](_0x1f7801-0x1)]<<_0x1f7801%0x4*0x2|_0x3019f1[_0x30d734[_0x5ac1ad(0x39b)](_0x1f7801)]>>>0x6-_0x1f7801%0x4*0x2;_0x556889[_0x60fdea>>>0x2]|=_0x5a869f<<0x18-_0x60fdea%0x4*0x8,_0x60fdea++;}return _0x27089e[_0x5ac1ad(0x1c3)](_0x556889,_0x60fdea);}(_0x3e029f,_0x3897c3,_0x250dfa);},'_map':_0x38d62a(0x9e)},_0x5b88b0[_0x38d62a(0x230)][_0x38d62a(0x2ad)]);},0x3bb(_0xd402f3,_0xe9a5c0,_0x4491ef){var _0x57862a=a0_0x4968,_0x5ac8a4;_0xd402f3[_0x57862a(0x33f)]=(_0x5ac8a4=_0x4491ef(0x233d),_0x4491ef(0x2f2),_0x4491ef(0x121c),_0x4491ef(0x2522),_0x4491ef(0x1bfd),(function(){var _0x4c5b59=_0x57862a,_0x59b846=_0x5ac8a4,_0x2a1d14=_0x59b846[_0x4c5b59(0x395)][_0x4c5b59(0x232)],_0x4c6ee8=_0x59b846[_0x4c5b59(0x261)],_0x39477a=[],_0x4db7ee=[],_0x23681f=[],_0x8df640=[],_0xd96ba5=[],_0x19c6a7=[],_0xfdbb7e=[],_0x5bd098=[],_0x5cf8df=[],_0x45c2a2=[];!(function(){for(var _0x113e2e=[],_0x1189a6=0x0;_0x1189a6<0x100;_0x1189a6++)_0x113e2e[_0x1189a6]=_0x1189a6<0x80?_0x1189a6<<0x1:_0x1189a6<<0x1^0x11b;var _0x18835d=0x0,_0x5739db=0x0;for(_0x1189a6=0x0;_0x1189a6<0x100;_0x1189a6++){var _0x268dd5=_0x5739db^_0x5739db<<0x1^_0x5739db<<0x2^_0x5739db<<0x3^_0x5739db<<0x4;_0x268dd5=_0x268dd5>>>0x8^0xff&_0x268dd5^0x63,_0x39477a[_0x18835d]=_0x268dd5,_0x4db7ee[_0x268dd5]=_0x18835d;var _0x25dba3=_0x113e2e[_0x18835d],_0x2fd8e3=_0x113e2e[_0x25dba3],_0x10cdd2=_0x113e2e[_0x2fd8e3],_0x59cdae=0x101*_0x113e2e[_0x268dd5]^0x1010100*_0x268dd5;_0x23681f[_0x18835d]=_0x59cdae<<0x18|_0x59cdae>>>0x8,_0x8df640[_0x18835d]=_0x59cdae<<0x10|_0x59cdae>>>0x10,_0xd96ba5[_0x18835d]=_0x59cdae<<0x8|_0x59cdae>>>0x18,_0x19c6a7[_0x18835d]=_0x59cdae,_0x59cdae=0x1010101*_0x10cdd2^0x10001*_0x2fd8e3^0x101*_0x25dba3^0x1010100*_0x18835d,_0xfdbb7e[_0x268dd5]=_0x59cdae<<0x18|_0x59cdae>>>0x8,_0x5bd098[_0x268dd5]=_0x59cdae<<0x10|_0x59cdae>>>0x10,_0x5cf8df[_0x268dd5]=_0x59cdae<<0x8|_0x59cdae>>>0x18,_0x45c2a2[_0x268dd5]=_0x59cdae,_0x18835d?(_0x18835d=_0x25dba3^_0x113e2e[_0x113e2e[_0x113e2e[_0x10cdd2^_0x25dba3]]],_0x5739db^=_0x113e2e[_0x113e2e[_0x5739db]]):_0x18835d=_0x5739db=0x1;}}());var _0x50ac25=[0x0,0x1,0x2,0x4,0x8,0x10,0x20,0x40,0x80,0x1b,0x36],_0x544101=_0x4c6ee8[_0x4c5b59(0x28a)]=_0x2a1d14[_0x4c5b59(0x193)]({'_doReset':function(){var _0xf0ccdd=_0x4c5b59;if(!this['_nRounds']||this[_0xf0ccdd(0xd6)]!==this['_key']){for(var _0x50ac1b=this['_keyPriorReset']=this[_0xf0ccdd(0x81)],_0x29d4c4=_0x50ac1b['words'],_0x547ac0=_0x50ac1b[_0xf0ccdd(0x367)]/0x4,_0x1818a7=0x4*((this['_nRounds']=_0x547ac0+0x6)+0x1),_0x581f85=this[_0xf0ccdd(0x1f9)]=[],_0x20ac87=0x0;_0x20ac87<_0x1818a7;_0x20ac87++)_0x20ac87<_0x547ac0?_0x581f85[_0x20ac87]=_0x29d4c4[_0x20ac87]:(_0x587767=_0x581f85[_0x20ac87-0x1],_0x20ac87%_0x547ac0?_0x547ac0>0x6&&_0x20ac87%_0x547ac0==0x4&&(_0x587767=_0x39477a[_0x587767>>>0x18]<<0x18|_0x39477a[_0x587767>>>0x10&0xff]<<0x10|_0x39477a[_0x587767>>>0x8&0xff]<<0x8|_0x39477a[0xff&_0x587767]):(_0x587767=_0x39477a[(_0x587767=_0x587767<<0x8|_0x587767>>>0x18)>>>0x18]<<0x18|_0x39477a[_0x587767>>>0x10&0xff]<<0x10|_0x39477a[_0x587767>>>0x8&0xff]<<0x8|_0x39477a[0xff&_0x587767],_0x587767^=_0x50ac25[_0x20ac87/_0x547ac0|0x0]<<0x18),_0x581f85[_0x20ac87]=_0x581f85[_0x20ac87-_0x547ac0]^_0x587767);for(var _0x505e39=this[_0xf0ccdd(0x1b9)]=[],_0x461d67=0x0;_0x461d67<_0x1818a7;_0x461d67++){if(_0x20ac87=_0x1818a7-_0x461d67,_0x461d67%0x4)var _0x587767=_0x581f85[_0x20ac87];else _0x587767=_0x581f85[_0x20ac87-0x4];_0x505e39[_0x461d67]=_0x461d67<0x4||_0x20ac87<=0x4?_0x587767:_0xfdbb7e[_0x39477a[_0x587767>>>0x18]]^_0x5bd098[_0x39477a[_0x587767>>>0x10&0xff]]^_0x5cf8df[_0x39477a[_0x587767>>>0x8&0xff]]^_0x45c2a2[_0x39477a[0xff&_0x587767]];}}},'encryptBlock':function(_0x552488,_0x54fdd0){var _0x463401=_0x4c5b59;this[_0x463401(0x7d)](_0x552488,_0x54fdd0,this[_0x463401(0x1f9)],_0x23681f,_0x8df640,_0xd96ba5,_0x19c6a7,_0x39477a);},'decryptBlock':function(_0x5e9546,_0x9931a8){var _0x48ba53=_0x4c5b59,_0x1158e3=_0x5e9546[_0x9931a8+0x1];_0x5e9546[_0x9931a8+0x1]=_0x5e9546[_0x9931a8+0x3],_0x5e9546[_0x9931a8+0x3]=_0x1158e3,this[_0x48ba53(0x7d)](_0x5e9546,_0x9931a8,this[_0x48ba53(0x1b9)],_0xfdbb7e,_0x5bd098,_0x5cf8df,_0x45c2a2,_0x4db7ee),_0x1158e3=_0x5e9546[_0x9931a8+0x1],_0x5e9546[_0x9931a8+0x1]=_0x5e9546[_0x9931a8+0x3],_0x5e9546[_0x9931a8+0x3]=_0x1158e3;},'_doCryptBlock':function(_0x20481,_0x5af739,_0x55e49a,_0x1a1969,_0xcc4ba7,_0x153682,_0x916de8,_0x260535){for(var _0x1a5a05=this['_nRounds'],_0x444d14=_0x20481[_0x5af739]^_0x55e49a[0x0],_0x505967=_0x20481[_0x5af739+0x1]^_0x55e49a[0x1],_0x114e91=_0x20481[_0x5af739+0x2]^_0x55e49a[0x2],_0x3f3804=_0x20481[_0x5af739+0x3]^_0x55e49a[0x3],_0x1fba8d=0x4,_0x463336=0x1;_0x463336<_0x1a5a05;_0x463336++){var _0x1c79d9=_0x1a1969[_0x444d14>>>0x18]^_0xcc4ba7[_0x505967>>>0x10&0xff]^_0x153682[_0x114e91>>>0x8&0xff]^_0x916de8[0xff&_0x3f3804]^_0x55e49a[_0x1fba8d++],_0x158bcf=_0x1a1969[_0x505967>>>0x18]^_0xcc4ba7[_0x114e91>>>0x10&0xff]^_0x153682[_0x3f3804>>>0x8&0xff]^_0x916de8[0xff&_0x444d14]^_0x55e49a[_0x1fba8d++],_0x25c983=_0x1a1969[_0x114e91>>>0x18]^_0xcc4ba7[_0x3f3804>>>0x10&0xff]^_0x153682[_0x444d14>>>0x8&0xff]^_0x916de8[0xff&_0x505967]^_0x55e49a[_0x1fba8d++],_0x3c79d7=_0x1a1969[_0x3f3804>>>0x18]^_0xcc4ba7[_0x444d14>>>0x10&0xff]^_0x153682[_0x505967>>>0x8&0xff]^_0x916de8[0xff&_0x114e91]^_0x55e49a[_0x1fba8d++];_0x444d14=_0x1c79d9,_0x505967=_0x158bcf,_0x114e91=_0x25c983,_0x3f3804=_0x3c79d7;}_0x1c79d9=(_0x260535[_0x444d14>>>0x18]<<0x18|_0x260535[_0x505967>>>0x10&0xff]<<0x10|_0x260535[_0x114e91>>>0x8&0xff]<<0x8|_0x260535[0xff&_0x3f3804])^_0x55e49a[_0x1fba8d++],_0x158bcf=(_0x260535[_0x505967>>>0x18]<<0x18|_0x260535[_0x114e91>>>0x10&0xff]<<0x10|_0x260535[_0x3f3804>>>0x8&0xff]<<0x8|_0x260535[0xff&_0x444d14])^_0x55e49a[_0x1fba8d++],_0x25c983=(_0x260535[_0x114e91>>>0x18]<<0x18|_0x260535[_0x3f3804>>>0x10&0xff]<<0x10|_0x260535[_0x444d14>>>0x8&0xff]<<0x8|_0x260535[0xff&_0x505967])^_0x55e49a[_0x1fba8d++],_0x3c79d7=(_0x260535[_0x3f3804>>>0x18]<<0x18|_0x260535[_0x444d14>>>0x10&0xff]<<0x10|_0x260535[_0x505967>>>0x8&0xff]<<0x8|_0x260535[0xff&_0x114e91])^_0x55e49a[_0x1fba8d++],_0x20481[_0x5af739]=_0x1c79d9,_0x20481[_0x5af739+0x1]=_0x158bcf,_0x20481[_0x5af739+0x2]=_0x25c983,_0x20481[_0x5af739+0x3]=_0x3c79d7;},'keySize':0x8});_0x59b846['AES']=_0x2a1d14[_0x4c5b59(0x125)](_0x544101);}()),_0x5ac8a4[_0x57862a(0x28a)]);},0x3c8(_0x38bed8){var _0x20cfeb=a0_0x4968;_0x38bed8[_0x20cfeb(0x33f)]=function(){var _0x2c2c31=_0x20cfeb;throw new Error(_0x2c2c31(0x352));};},0x401(_0x577124,_0x5229f8,_0x4bd565){var _0x4cbbf1=a0_0x4968,_0x5ef05a,_0x2f9e3f,_0x221f3f;_0x577124[_0x4cbbf1(0x33f)]=(_0x2f9e3f=(_0x5ef05a=_0x4bd565(0x233d))[_0x4cbbf1(0x395)][_0x4cbbf1(0x18e)],_0x221f3f=_0x5ef05a[_0x4cbbf1(0x230)]['Utf8'],void(_0x5ef05a[_0x4cbbf1(0x261)][_0x4cbbf1(0x37d)]=_0x2f9e3f[_0x4cbbf1(0x193)]({'init':function(_0x1bb1ef,_0x401598){var _0x1ec51c=_0x4cbbf1;_0x1bb1ef=this['_hasher']=new _0x1bb1ef[(_0x1ec51c(0x2db))](),_0x1ec51c(0x40d)==typeof _0x401598&&(_0x401598=_0x221f3f[_0x1ec51c(0x31e)](_0x401598));var _0x2c827c=_0x1bb1ef['blockSize'],_0x2f8a42=0x4*_0x2c827c;_0x401598[_0x1ec51c(0x367)]>_0x2f8a42&&(_0x401598=_0x1bb1ef[_0x1ec51c(0x3e6)](_0x401598)),_0x401598[_0x1ec51c(0x202)]();for(var _0x3084a9=this['_oKey']=_0x401598[_0x1ec51c(0x173)](),_0x15fe83=this['_iKey']=_0x401598[_0x1ec51c(0x173)](),_0x1ac248=_0x3084a9[_0x1ec51c(0x31d)],_0x70dd15=_0x15fe83[_0x1ec51c(0x31d)],_0x17c2b7=0x0;_0x17c2b7<_0x2c827c;_0x17c2b7++)_0x1ac248[_0x17c2b7]^=0x5c5c5c5c,_0x70dd15[_0x17c2b7]^=0x36363636;_0x3084a9[_0x1ec51c(0x367)]=_0x15fe83['sigBytes']=_0x2f8a42,this[_0x1ec51c(0x38b)]();},'reset':function(){var _0x2c0bc3=_0x4cbbf1,_0x4bf20d=this[_0x2c0bc3(0x376)];_0x4bf20d['reset'](),_0x4bf20d[_0x2c0bc3(0x387)](this[_0x2c0bc3(0x1f8)]);},'update':function(_0x5244ef){var _0x19c7dd=_0x4cbbf1;return this[_0x19c7dd(0x376)][_0x19c7dd(0x387)](_0x5244ef),this;},'finalize':function(_0x129c98){var _0x45e5a7=_0x4cbbf1,_0x9d1172=this[_0x45e5a7(0x376)],_0x5b009b=_0x9d1172[_0x45e5a7(0x3e6)](_0x129c98);return _0x9d1172[_0x45e5a7(0x38b)](),_0x9d1172[_0x45e5a7(0x3e6)](this[_0x45e5a7(0x2e2)][_0x45e5a7(0x173)]()[_0x45e5a7(0x331)](_0x5b009b));}})));},0x564(_0x530dd1,_0x18c749,_0x579510){var _0x1c27d2=a0_0x4968,_0x381897;_0x530dd1[_0x1c27d2(0x33f)]=(_0x381897=_0x579510(0x233d),_0x579510(0xca8),(function(){var _0x5edae1=_0x1c27d2,_0x5ce52e=_0x381897,_0x182025=_0x5ce52e['lib'][_0x5edae1(0x2ce)],_0x5e7047=_0x5ce52e[_0x5edae1(0x30a)],_0x48d84f=_0x5e7047['Word'],_0x50fa37=_0x5e7047['WordArray'],_0x547d6f=_0x5ce52e[_0x5edae1(0x261)];function _0x3e2a8c(){var _0x2cb714=_0x5edae1;return _0x48d84f[_0x2cb714(0x1c3)][_0x2cb714(0xfb)](_0x48d84f,arguments);}var _0x464e0f=[_0x3e2a8c(0x428a2f98,0xd728ae22),_0x3e2a8c(0x71374491,0x23ef65cd),_0x3e2a8c(0xb5c0fbcf,0xec4d3b2f),_0x3e2a8c(0xe9b5dba5,0x8189dbbc),_0x3e2a8c(0x3956c25b,0xf348b538),_0x3e2a8c(0x59f111f1,0xb605d019),_0x3e2a8c(0x923f82a4,0xaf194f9b),_0x3e2a8c(0xab1c5ed5,0xda6d8118),_0x3e2a8c(0xd807aa98,0xa3030242),_0x3e2a8c(0x12835b01,0x45706fbe),_0x3e2a8c(0x243185be,0x4ee4b28c),_0x3e2a8c(0x550c7dc3,0xd5ffb4e2),_0x3e2a8c(0x72be5d74,0xf27b896f),_0x3e2a8c(0x80deb1fe,0x3b1696b1),_0x3e2a8c(0x9bdc06a7,0x25c71235),_0x3e2a8c(0xc19bf174,0xcf692694),_0x3e2a8c(0xe49b69c1,0x9ef14ad2),_0x3e2a8c(0xefbe4786,0x384f25e3),_0x3e2a8c(0xfc19dc6,0x8b8cd5b5),_0x3e2a8c(0x240ca1cc,0x77ac9c65),_0x3e2a8c(0x2de92c6f,0x592b0275),_0x3e2a8c(0x4a7484aa,0x6ea6e483),_0x3e2a8c(0x5cb0a9dc,0xbd41fbd4),_0x3e2a8c(0x76f988da,0x831153b5),_0x3e2a8c(0x983e5152,0xee66dfab),_0x3e2a8c(0xa831c66d,0x2db43210),_0x3e2a8c(0xb00327c8,0x98fb213f),_0x3e2a8c(0xbf597fc7,0xbeef0ee4),_0x3e2a8c(0xc6e00bf3,0x3da88fc2),_0x3e2a8c(0xd5a79147,0x930aa725),_0x3e2a8c(0x6ca6351,0xe003826f),_0x3e2a8c(0x14292967,0xa0e6e70),_0x3e2a8c(0x27b70a85,0x46d22ffc),_0x3e2a8c(0x2e1b2138,0x5c26c926),_0x3e2a8c(0x4d2c6dfc,0x5ac42aed),_0x3e2a8c(0x53380d13,0x9d95b3df),_0x3e2a8c(0x650a7354,0x8baf63de),_0x3e2a8c(0x766a0abb,0x3c77b2a8),_0x3e2a8c(0x81c2c92e,0x47edaee6),_0x3e2a8c(0x92722c85,0x1482353b),_0x3e2a8c(0xa2bfe8a1,0x4cf10364),_0x3e2a8c(0xa81a664b,0xbc423001),_0x3e2a8c(0xc24b8b70,0xd0f89791),_0x3e2a8c(0xc76c51a3,0x654be30),_0x3e2a8c(0xd192e819,0xd6ef5218),_0x3e2a8c(0xd6990624,0x5565a910),_0x3e2a8c(0xf40e3585,0x5771202a),_0x3e2a8c(0x106aa070,0x32bbd1b8),_0x3e2a8c(0x19a4c116,0xb8d2d0c8),_0x3e2a8c(0x1e376c08,0x5141ab53),_0x3e2a8c(0x2748774c,0xdf8eeb99),_0x3e2a8c(0x34b0bcb5,0xe19b48a8),_0x3e2a8c(0x391c0cb3,0xc5c95a63),_0x3e2a8c(0x4ed8aa4a,0xe3418acb),_0x3e2a8c(0x5b9cca4f,0x7763e373),_0x3e2a8c(0x682e6ff3,0xd6b2b8a3),_0x3e2a8c(0x748f82ee,0x5defb2fc),_0x3e2a8c(0x78a5636f,0x43172f60),_0x3e2a8c(0x84c87814,0xa1f0ab72),_0x3e2a8c(0x8cc70208,0x1a6439ec),_0x3e2a8c(0x90befffa,0x23631e28),_0x3e2a8c(0xa4506ceb,0xde82bde9),_0x3e2a8c(0xbef9a3f7,0xb2c67915),_0x3e2a8c(0xc67178f2,0xe372532b),_0x3e2a8c(0xca273ece,0xea26619c),_0x3e2a8c(0xd186b8c7,0x21c0c207),_0x3e2a8c(0xeada7dd6,0xcde0eb1e),_0x3e2a8c(0xf57d4f7f,0xee6ed178),_0x3e2a8c(0x6f067aa,0x72176fba),_0x3e2a8c(0xa637dc5,0xa2c898a6),_0x3e2a8c(0x113f9804,0xbef90dae),_0x3e2a8c(0x1b710b35,0x131c471b),_0x3e2a8c(0x28db77f5,0x23047d84),_0x3e2a8c(0x32caab7b,0x40c72493),_0x3e2a8c(0x3c9ebe0a,0x15c9bebc),_0x3e2a8c(0x431d67c4,0x9c100d4c),_0x3e2a8c(0x4cc5d4be,0xcb3e42b6),_0x3e2a8c(0x597f299c,0xfc657e2a),_0x3e2a8c(0x5fcb6fab,0x3ad6faec),_0x3e2a8c(0x6c44198c,0x4a475817)],_0x46228b=[];!(function(){for(var _0x56b031=0x0;_0x56b031<0x50;_0x56b031++)_0x46228b[_0x56b031]=_0x3e2a8c();}());var _0x13f48d=_0x547d6f[_0x5edae1(0x417)]=_0x182025[_0x5edae1(0x193)]({'_doReset':function(){var _0x4b6bad=_0x5edae1;this[_0x4b6bad(0x1e7)]=new _0x50fa37[(_0x4b6bad(0x2db))]([new _0x48d84f['init'](0x6a09e667,0xf3bcc908),new _0x48d84f[(_0x4b6bad(0x2db))](0xbb67ae85,0x84caa73b),new _0x48d84f['init'](0x3c6ef372,0xfe94f82b),new _0x48d84f[(_0x4b6bad(0x2db))](0xa54ff53a,0x5f1d36f1),new _0x48d84f[(_0x4b6bad(0x2db))](0x510e527f,0xade682d1),new _0x48d84f['init'](0x9b05688c,0x2b3e6c1f),new _0x48d84f[(_0x4b6bad(0x2db))](0x1f83d9ab,0xfb41bd6b),new _0x48d84f[(_0x4b6bad(0x2db))](0x5be0cd19,0x137e2179)]);},'_doProcessBlock':function(_0x1aaf4a,_0x456d4b){var _0x1c96ff=_0x5edae1;for(var _0x484c52=this[_0x1c96ff(0x1e7)]['words'],_0x18247d=_0x484c52[0x0],_0x22302d=_0x484c52[0x1],_0x7cdad0=_0x484c52[0x2],_0x2adf64=_0x484c52[0x3],_0x24e988=_0x484c52[0x4],_0x552762=_0x484c52[0x5],_0x3eaadb=_0x484c52[0x6],_0x4f5582=_0x484c52[0x7],_0x5ce368=_0x18247d[_0x1c96ff(0x2fc)],_0x4758f6=_0x18247d[_0x1c96ff(0x80)],_0x5edd42=_0x22302d[_0x1c96ff(0x2fc)],_0x35f474=_0x22302d[_0x1c96ff(0x80)],_0x2374b6=_0x7cdad0[_0x1c96ff(0x2fc)],_0x4922d2=_0x7cdad0[_0x1c96ff(0x80)],_0x566c0e=_0x2adf64[_0x1c96ff(0x2fc)],_0x467f0d=_0x2adf64[_0x1c96ff(0x80)],_0x4fc31f=_0x24e988[_0x1c96ff(0x2fc)],_0x5d5a34=_0x24e988[_0x1c96ff(0x80)],_0x4f6233=_0x552762[_0x1c96ff(0x2fc)],_0x412587=_0x552762[_0x1c96ff(0x80)],_0x3a2843=_0x3eaadb[_0x1c96ff(0x2fc)],_0x168712=_0x3eaadb[_0x1c96ff(0x80)],_0x3da0dc=_0x4f5582[_0x1c96ff(0x2fc)],_0x5ef62b=_0x4f5582[_0x1c96ff(0x80)],_0x3f5aa7=_0x5ce368,_0x2e1472=_0x4758f6,_0x3d22d6=_0x5edd42,_0x26baeb=_0x35f474,_0x1d33b3=_0x2374b6,_0x4b8ef7=_0x4922d2,_0x29d617=_0x566c0e,_0xb15c0f=_0x467f0d,_0x57c428=_0x4fc31f,_0x4c86f6=_0x5d5a34,_0x47ae8e=_0x4f6233,_0x169f87=_0x412587,_0x3bfeb4=_0x3a2843,_0x1e38ab=_0x168712,_0x25b6af=_0x3da0dc,_0x1b4a43=_0x5ef62b,_0x26cde9=0x0;_0x26cde9<0x50;_0x26cde9++){var _0x5d7571,_0x1cea19,_0x2fecd8=_0x46228b[_0x26cde9];if(_0x26cde9<0x10)_0x1cea19=_0x2fecd8[_0x1c96ff(0x2fc)]=0x0|_0x1aaf4a[_0x456d4b+0x2*_0x26cde9],_0x5d7571=_0x2fecd8[_0x1c96ff(0x80)]=0x0|_0x1aaf4a[_0x456d4b+0x2*_0x26cde9+0x1];else{var _0x47653c=_0x46228b[_0x26cde9-0xf],_0x1e9fdb=_0x47653c[_0x1c96ff(0x2fc)],_0x1115f9=_0x47653c[_0x1c96ff(0x80)],_0x373df5=(_0x1e9fdb>>>0x1|_0x1115f9<<0x1f)^(_0x1e9fdb>>>0x8|_0x1115f9<<0x18)^_0x1e9fdb>>>0x7,_0x40432e=(_0x1115f9>>>0x1|_0x1e9fdb<<0x1f)^(_0x1115f9>>>0x8|_0x1e9fdb<<0x18)^(_0x1115f9>>>0x7|_0x1e9fdb<<0x19),_0x7004d0=_0x46228b[_0x26cde9-0x2],_0x51e0e5=_0x7004d0['high'],_0xabb8f3=_0x7004d0[_0x1c96ff(0x80)],_0x4d83c5=(_0x51e0e5>>>0x13|_0xabb8f3<<0xd)^(_0x51e0e5<<0x3|_0xabb8f3>>>0x1d)^_0x51e0e5>>>0x6,_0x128a3b=(_0xabb8f3>>>0x13|_0x51e0e5<<0xd)^(_0xabb8f3<<0x3|_0x51e0e5>>>0x1d)^(_0xabb8f3>>>0x6|_0x51e0e5<<0x1a),_0x266538=_0x46228b[_0x26cde9-0x7],_0x370c4a=_0x266538[_0x1c96ff(0x2fc)],_0x583a4d=_0x266538[_0x1c96ff(0x80)],_0x17dc3c=_0x46228b[_0x26cde9-0x10],_0x1c2604=_0x17dc3c[_0x1c96ff(0x2fc)],_0x43bf9c=_0x17dc3c[_0x1c96ff(0x80)];_0x1cea19=(_0x1cea19=(_0x1cea19=_0x373df5+_0x370c4a+((_0x5d7571=_0x40432e+_0x583a4d)>>>0x0<_0x40432e>>>0x0?0x1:0x0))+_0x4d83c5+((_0x5d7571+=_0x128a3b)>>>0x0<_0x128a3b>>>0x0?0x1:0x0))+_0x1c2604+((_0x5d7571+=_0x43bf9c)>>>0x0<_0x43bf9c>>>0x0?0x1:0x0),_0x2fecd8[_0x1c96ff(0x2fc)]=_0x1cea19,_0x2fecd8['low']=_0x5d7571;}var _0x5a8430,_0x2de00e=_0x57c428&_0x47ae8e^~_0x57c428&_0x3bfeb4,_0x1c3319=_0x4c86f6&_0x169f87^~_0x4c86f6&_0x1e38ab,_0xa1adc6=_0x3f5aa7&_0x3d22d6^_0x3f5aa7&_0x1d33b3^_0x3d22d6&_0x1d33b3,_0x484490=_0x2e1472&_0x26baeb^_0x2e1472&_0x4b8ef7^_0x26baeb&_0x4b8ef7,_0xa6aadd=(_0x3f5aa7>>>0x1c|_0x2e1472<<0x4)^(_0x3f5aa7<<0x1e|_0x2e1472>>>0x2)^(_0x3f5aa7<<0x19|_0x2e1472>>>0x7),_0x5d2518=(_0x2e1472>>>0x1c|_0x3f5aa7<<0x4)^(_0x2e1472<<0x1e|_0x3f5aa7>>>0x2)^(_0x2e1472<<0x19|_0x3f5aa7>>>0x7),_0x5d8f0f=(_0x57c428>>>0xe|_0x4c86f6<<0x12)^(_0x57c428>>>0x12|_0x4c86f6<<0xe)^(_0x57c428<<0x17|_0x4c86f6>>>0x9),_0x574d3d=(_0x4c86f6>>>0xe|_0x57c428<<0x12)^(_0x4c86f6>>>0x12|_0x57c428<<0xe)^(_0x4c86f6<<0x17|_0x57c428>>>0x9),_0x59da91=_0x464e0f[_0x26cde9],_0x1fdf2f=_0x59da91['high'],_0x45b4c5=_0x59da91[_0x1c96ff(0x80)],_0x378bdb=_0x25b6af+_0x5d8f0f+((_0x5a8430=_0x1b4a43+_0x574d3d)>>>0x0<_0x1b4a43>>>0x0?0x1:0x0),_0x3e062a=_0x5d2518+_0x484490;_0x25b6af=_0x3bfeb4,_0x1b4a43=_0x1e38ab,_0x3bfeb4=_0x47ae8e,_0x1e38ab=_0x169f87,_0x47ae8e=_0x57c428,_0x169f87=_0x4c86f6,_0x57c428=_0x29d617+(_0x378bdb=(_0x378bdb=(_0x378bdb=_0x378bdb+_0x2de00e+((_0x5a8430+=_0x1c3319)>>>0x0<_0x1c3319>>>0x0?0x1:0x0))+_0x1fdf2f+((_0x5a8430+=_0x45b4c5)>>>0x0<_0x45b4c5>>>0x0?0x1:0x0))+_0x1cea19+((_0x5a8430+=_0x5d7571)>>>0x0<_0x5d7571>>>0x0?0x1:0x0))+((_0x4c86f6=_0xb15c0f+_0x5a8430|0x0)>>>0x0<_0xb15c0f>>>0x0?0x1:0x0)|0x0,_0x29d617=_0x1d33b3,_0xb15c0f=_0x4b8ef7,_0x1d33b3=_0x3d22d6,_0x4b8ef7=_0x26baeb,_0x3d22d6=_0x3f5aa7,_0x26baeb=_0x2e1472,_0x3f5aa7=_0x378bdb+(_0xa6aadd+_0xa1adc6+(_0x3e062a>>>0x0<_0x5d2518>>>0x0?0x1:0x0))+((_0x2e1472=_0x5a8430+_0x3e062a|0x0)>>>0x0<_0x5a8430>>>0x0?0x1:0x0)|0x0;}_0x4758f6=_0x18247d[_0x1c96ff(0x80)]=_0x4758f6+_0x2e1472,_0x18247d['high']=_0x5ce368+_0x3f5aa7+(_0x4758f6>>>0x0<_0x2e1472>>>0x0?0x1:0x0),_0x35f474=_0x22302d['low']=_0x35f474+_0x26baeb,_0x22302d['high']=_0x5edd42+_0x3d22d6+(_0x35f474>>>0x0<_0x26baeb>>>0x0?0x1:0x0),_0x4922d2=_0x7cdad0[_0x1c96ff(0x80)]=_0x4922d2+_0x4b8ef7,_0x7cdad0[_0x1c96ff(0x2fc)]=_0x2374b6+_0x1d33b3+(_0x4922d2>>>0x0<_0x4b8ef7>>>0x0?0x1:0x0),_0x467f0d=_0x2adf64['low']=_0x467f0d+_0xb15c0f,_0x2adf64[_0x1c96ff(0x2fc)]=_0x566c0e+_0x29d617+(_0x467f0d>>>0x0<_0xb15c0f>>>0x0?0x1:0x0),_0x5d5a34=_0x24e988[_0x1c96ff(0x80)]=_0x5d5a34+_0x4c86f6,_0x24e988[_0x1c96ff(0x2fc)]=_0x4fc31f+_0x57c428+(_0x5d5a34>>>0x0<_0x4c86f6>>>0x0?0x1:0x0),_0x412587=_0x552762[_0x1c96ff(0x80)]=_0x412587+_0x169f87,_0x552762[_0x1c96ff(0x2fc)]=_0x4f6233+_0x47ae8e+(_0x412587>>>0x0<_0x169f87>>>0x0?0x1:0x0),_0x168712=_0x3eaadb[_0x1c96ff(0x80)]=_0x168712+_0x1e38ab,_0x3eaadb['high']=_0x3a2843+_0x3bfeb4+(_0x168712>>>0x0<_0x1e38ab>>>0x0?0x1:0x0),_0x5ef62b=_0x4f5582[_0x1c96ff(0x80)]=_0x5ef62b+_0x1b4a43,_0x4f5582['high']=_0x3da0dc+_0x25b6af+(_0x5ef62b>>>0x0<_0x1b4a43>>>0x0?0x1:0x0);},'_doFinalize':function(){var _0x5e768b=_0x5edae1,_0x3a0489=this['_data'],_0x25811b=_0x3a0489[_0x5e768b(0x31d)],_0xc18771=0x8*this[_0x5e768b(0x281)],_0x582fdc=0x8*_0x3a0489['sigBytes'];return _0x25811b[_0x582fdc>>>0x5]|=0x80<<0x18-_0x582fdc%0x20,_0x25811b[0x1e+(_0x582fdc+0x80>>>0xa<<0x5)]=Math[_0x5e768b(0x347)](_0xc18771/0x100000000),_0x25811b[0x1f+(_0x582fdc+0x80>>>0xa<<0x5)]=_0xc18771,_0x3a0489[_0x5e768b(0x367)]=0x4*_0x25811b[_0x5e768b(0x3a3)],this[_0x5e768b(0xf1)](),this['_hash'][_0x5e768b(0x276)]();},'clone':function(){var _0x5ea32d=_0x5edae1,_0x167599=_0x182025[_0x5ea32d(0x173)]['call'](this);return _0x167599['_hash']=this[_0x5ea32d(0x1e7)][_0x5ea32d(0x173)](),_0x167599;},'blockSize':0x20});_0x5ce52e[_0x5edae1(0x417)]=_0x182025[_0x5edae1(0x125)](_0x13f48d),_0x5ce52e[_0x5edae1(0xd3)]=_0x182025[_0x5edae1(0x365)](_0x13f48d);}()),_0x381897[_0x1c27d2(0x417)]);},0x574(_0x5707e7,_0x151fae,_0xc38f64){var _0x1afc73=a0_0x4968,_0x449569;_0x5707e7[_0x1afc73(0x33f)]=(_0x449569=_0xc38f64(0x233d),_0xc38f64(0xca8),_0xc38f64(0x1928),_0xc38f64(0x157f),_0xc38f64(0x2f2),_0xc38f64(0x1275),_0xc38f64(0x121c),_0xc38f64(0x155f),_0xc38f64(0xbc1),_0xc38f64(0x18a4),_0xc38f64(0x564),_0xc38f64(0x2555),_0xc38f64(0x1741),_0xc38f64(0x1f78),_0xc38f64(0x401),_0xc38f64(0x13),_0xc38f64(0x2522),_0xc38f64(0x1bfd),_0xc38f64(0x879),_0xc38f64(0x1b1b),_0xc38f64(0x18e4),_0xc38f64(0xed5),_0xc38f64(0x2106),_0xc38f64(0x819),_0xc38f64(0x1329),_0xc38f64(0x1e2),_0xc38f64(0x86b),_0xc38f64(0x1fbc),_0xc38f64(0x19),_0xc38f64(0x3bb),_0xc38f64(0x1dcc),_0xc38f64(0x1c19),_0xc38f64(0x189a),_0xc38f64(0xa88),_0xc38f64(0xc38),_0x449569);},0x6e6(_0x432413,_0x21ce86,_0x25d02a){'use strict';var _0x3c4079=a0_0x4968;function _0xe992a2(_0x120fb6,_0x246974){var _0x2cbb7d=a0_0x4968,_0x48a71e=Object[_0x2cbb7d(0x302)](_0x120fb6);if(Object[_0x2cbb7d(0x14a)]){var _0x44d71b=Object[_0x2cbb7d(0x14a)](_0x120fb6);_0x246974&&(_0x44d71b=_0x44d71b[_0x2cbb7d(0x1f5)](function(_0x3f62c8){var _0xb8f0ad=_0x2cbb7d;return Object[_0xb8f0ad(0x1dc)](_0x120fb6,_0x3f62c8)[_0xb8f0ad(0x3c8)];})),_0x48a71e[_0x2cbb7d(0x3c5)][_0x2cbb7d(0xfb)](_0x48a71e,_0x44d71b);}return _0x48a71e;}function _0xcde57c(_0x37f925){var _0x2fc95c=a0_0x4968;for(var _0x2112ed=0x1;_0x2112ed<arguments[_0x2fc95c(0x3a3)];_0x2112ed++){var _0x116f7c=null!=arguments[_0x2112ed]?arguments[_0x2112ed]:{};_0x2112ed%0x2?_0xe992a2(Object(_0x116f7c),!0x0)[_0x2fc95c(0x30d)](function(_0x5f81ec){_0x5b4455(_0x37f925,_0x5f81ec,_0x116f7c[_0x5f81ec]);}):Object[_0x2fc95c(0x297)]?Object[_0x2fc95c(0x1fa)](_0x37f925,Object['getOwnPropertyDescriptors'](_0x116f7c)):_0xe992a2(Object(_0x116f7c))['forEach'](function(_0x83c844){var _0x139bcc=_0x2fc95c;Object[_0x139bcc(0x1dd)](_0x37f925,_0x83c844,Object[_0x139bcc(0x1dc)](_0x116f7c,_0x83c844));});}return _0x37f925;}function _0x5b4455(_0x1a74d7,_0x3d05a8,_0x34786a){var _0x5ae3c2=a0_0x4968;return(_0x3d05a8=_0x251981(_0x3d05a8))in _0x1a74d7?Object[_0x5ae3c2(0x1dd)](_0x1a74d7,_0x3d05a8,{'value':_0x34786a,'enumerable':!0x0,'configurable':!0x0,'writable':!0x0}):_0x1a74d7[_0x3d05a8]=_0x34786a,_0x1a74d7;}function _0x1c5b2c(_0x19817c,_0xcfdd89){var _0x1cb876=a0_0x4968;for(var _0x5939e9=0x0;_0x5939e9<_0xcfdd89[_0x1cb876(0x3a3)];_0x5939e9++){var _0x2934a6=_0xcfdd89[_0x5939e9];_0x2934a6['enumerable']=_0x2934a6[_0x1cb876(0x3c8)]||!0x1,_0x2934a6[_0x1cb876(0x273)]=!0x0,_0x1cb876(0x2b0)in _0x2934a6&&(_0x2934a6[_0x1cb876(0x2e5)]=!0x0),Object['defineProperty'](_0x19817c,_0x251981(_0x2934a6[_0x1cb876(0xbc)]),_0x2934a6);}}function _0x251981(_0x57fd7d){var _0x17261a=a0_0x4968,_0x12ac8e=function(_0x27d87c){var _0x132d31=a0_0x4968;if('object'!=typeof _0x27d87c||null===_0x27d87c)return _0x27d87c;var _0x3853dc=_0x27d87c[Symbol['toPrimitive']];if(void 0x0!==_0x3853dc){var _0x4c46cc=_0x3853dc[_0x132d31(0x158)](_0x27d87c,_0x132d31(0x40d));if(_0x132d31(0x136)!=typeof _0x4c46cc)return _0x4c46cc;throw new TypeError('@@toPrimitive\x20must\x20return\x20a\x20primitive\x20value.');}return String(_0x27d87c);}(_0x57fd7d);return _0x17261a(0x3c4)==typeof _0x12ac8e?_0x12ac8e:String(_0x12ac8e);}var _0x838a54=_0x25d02a(0x205f)['Buffer'],_0x4b07ee=_0x25d02a(0xec3)['inspect'],_0x3c89a9=_0x4b07ee&&_0x4b07ee[_0x3c4079(0x28e)]||'inspect';function _0x4eb28b(_0x38256c,_0x138360,_0x514196){var _0x1ce418=_0x3c4079;_0x838a54['prototype'][_0x1ce418(0x333)][_0x1ce418(0x158)](_0x38256c,_0x138360,_0x514196);}_0x432413['exports']=(function(){var _0x53c9e9=_0x3c4079;function _0x45128f(){var _0x234c33=a0_0x4968;!function(_0x572f0c,_0x3722fa){var _0x3046aa=a0_0x4968;if(!(_0x572f0c instanceof _0x3722fa))throw new TypeError(_0x3046aa(0x23e));}(this,_0x45128f),this[_0x234c33(0xf6)]=null,this[_0x234c33(0x27a)]=null,this['length']=0x0;}var _0x524388,_0x207d49;return _0x524388=_0x45128f,(_0x207d49=[{'key':_0x53c9e9(0x3c5),'value':function(_0x4d4771){var _0x14a760=_0x53c9e9,_0x591589={'data':_0x4d4771,'next':null};this[_0x14a760(0x3a3)]>0x0?this[_0x14a760(0x27a)][_0x14a760(0x22a)]=_0x591589:this['head']=_0x591589,this[_0x14a760(0x27a)]=_0x591589,++this[_0x14a760(0x3a3)];}},{'key':_0x53c9e9(0x88),'value':function(_0x485574){var _0x47924e=_0x53c9e9,_0x4e17c6={'data':_0x485574,'next':this['head']};0x0===this[_0x47924e(0x3a3)]&&(this[_0x47924e(0x27a)]=_0x4e17c6),this[_0x47924e(0xf6)]=_0x4e17c6,++this[_0x47924e(0x3a3)];}},{'key':_0x53c9e9(0x1f1),'value':function(){var _0x3d9592=_0x53c9e9;if(0x0!==this['length']){var _0x133888=this['head'][_0x3d9592(0x2c3)];return 0x1===this[_0x3d9592(0x3a3)]?this[_0x3d9592(0xf6)]=this[_0x3d9592(0x27a)]=null:this[_0x3d9592(0xf6)]=this['head']['next'],--this['length'],_0x133888;}}},{'key':_0x53c9e9(0x3b1),'value':function(){var _0x1aef37=_0x53c9e9;this['head']=this[_0x1aef37(0x27a)]=null,this['length']=0x0;}},{'key':_0x53c9e9(0x28b),'value':function(_0x43bf58){var _0x5dc200=_0x53c9e9;if(0x0===this[_0x5dc200(0x3a3)])return'';for(var _0x345ff1=this[_0x5dc200(0xf6)],_0x2e7ae8=''+_0x345ff1['data'];_0x345ff1=_0x345ff1[_0x5dc200(0x22a)];)_0x2e7ae8+=_0x43bf58+_0x345ff1[_0x5dc200(0x2c3)];return _0x2e7ae8;}},{'key':_0x53c9e9(0x331),'value':function(_0x5293a5){var _0x2dd36b=_0x53c9e9;if(0x0===this[_0x2dd36b(0x3a3)])return _0x838a54[_0x2dd36b(0x224)](0x0);for(var _0x36536a=_0x838a54[_0x2dd36b(0x141)](_0x5293a5>>>0x0),_0x123d99=this[_0x2dd36b(0xf6)],_0x55e5f5=0x0;_0x123d99;)_0x4eb28b(_0x123d99['data'],_0x36536a,_0x55e5f5),_0x55e5f5+=_0x123d99['data'][_0x2dd36b(0x3a3)],_0x123d99=_0x123d99['next'];return _0x36536a;}},{'key':_0x53c9e9(0xf7),'value':function(_0x199c2d,_0x559a19){var _0x36d16e=_0x53c9e9,_0x589cae;return _0x199c2d<this[_0x36d16e(0xf6)][_0x36d16e(0x2c3)][_0x36d16e(0x3a3)]?(_0x589cae=this[_0x36d16e(0xf6)]['data']['slice'](0x0,_0x199c2d),this[_0x36d16e(0xf6)][_0x36d16e(0x2c3)]=this[_0x36d16e(0xf6)][_0x36d16e(0x2c3)][_0x36d16e(0x2da)](_0x199c2d)):_0x589cae=_0x199c2d===this[_0x36d16e(0xf6)][_0x36d16e(0x2c3)][_0x36d16e(0x3a3)]?this['shift']():_0x559a19?this[_0x36d16e(0x3e4)](_0x199c2d):this['_getBuffer'](_0x199c2d),_0x589cae;}},{'key':_0x53c9e9(0x2c6),'value':function(){var _0x13c29e=_0x53c9e9;return this[_0x13c29e(0xf6)][_0x13c29e(0x2c3)];}},{'key':'_getString','value':function(_0x208c02){var _0x2d9b17=_0x53c9e9,_0x588714=this[_0x2d9b17(0xf6)],_0x268b30=0x1,_0xd510ca=_0x588714[_0x2d9b17(0x2c3)];for(_0x208c02-=_0xd510ca['length'];_0x588714=_0x588714[_0x2d9b17(0x22a)];){var _0x4839b1=_0x588714[_0x2d9b17(0x2c3)],_0x3babd4=_0x208c02>_0x4839b1[_0x2d9b17(0x3a3)]?_0x4839b1[_0x2d9b17(0x3a3)]:_0x208c02;if(_0x3babd4===_0x4839b1[_0x2d9b17(0x3a3)]?_0xd510ca+=_0x4839b1:_0xd510ca+=_0x4839b1[_0x2d9b17(0x2da)](0x0,_0x208c02),0x0===(_0x208c02-=_0x3babd4)){_0x3babd4===_0x4839b1[_0x2d9b17(0x3a3)]?(++_0x268b30,_0x588714[_0x2d9b17(0x22a)]?this[_0x2d9b17(0xf6)]=_0x588714[_0x2d9b17(0x22a)]:this[_0x2d9b17(0xf6)]=this['tail']=null):(this[_0x2d9b17(0xf6)]=_0x588714,_0x588714[_0x2d9b17(0x2c3)]=_0x4839b1['slice'](_0x3babd4));break;}++_0x268b30;}return this[_0x2d9b17(0x3a3)]-=_0x268b30,_0xd510ca;}},{'key':_0x53c9e9(0x325),'value':function(_0x355027){var _0x81c325=_0x53c9e9,_0x5f3cb6=_0x838a54[_0x81c325(0x141)](_0x355027),_0x11aa11=this['head'],_0x10a396=0x1;for(_0x11aa11[_0x81c325(0x2c3)]['copy'](_0x5f3cb6),_0x355027-=_0x11aa11[_0x81c325(0x2c3)][_0x81c325(0x3a3)];_0x11aa11=_0x11aa11[_0x81c325(0x22a)];){var _0x48cbe6=_0x11aa11[_0x81c325(0x2c3)],_0x2e4375=_0x355027>_0x48cbe6[_0x81c325(0x3a3)]?_0x48cbe6[_0x81c325(0x3a3)]:_0x355027;if(_0x48cbe6[_0x81c325(0x333)](_0x5f3cb6,_0x5f3cb6[_0x81c325(0x3a3)]-_0x355027,0x0,_0x2e4375),0x0===(_0x355027-=_0x2e4375)){_0x2e4375===_0x48cbe6[_0x81c325(0x3a3)]?(++_0x10a396,_0x11aa11[_0x81c325(0x22a)]?this[_0x81c325(0xf6)]=_0x11aa11[_0x81c325(0x22a)]:this[_0x81c325(0xf6)]=this['tail']=null):(this[_0x81c325(0xf6)]=_0x11aa11,_0x11aa11[_0x81c325(0x2c3)]=_0x48cbe6['slice'](_0x2e4375));break;}++_0x10a396;}return this['length']-=_0x10a396,_0x5f3cb6;}},{'key':_0x3c89a9,'value':function(_0x3e4b28,_0x35a44b){return _0x4b07ee(this,_0xcde57c(_0xcde57c({},_0x35a44b),{},{'depth':0x0,'customInspect':!0x1}));}}])&&_0x1c5b2c(_0x524388[_0x53c9e9(0x348)],_0x207d49),Object[_0x53c9e9(0x1dd)](_0x524388,_0x53c9e9(0x348),{'writable':!0x1}),_0x45128f;}());},0x7cf(_0x47f240,_0x5afb80,_0x4c039b){'use strict';var _0x4ec6d4=a0_0x4968;var _0x55d5b0,_0x587683=_0x4c039b(0x15e6);function _0x541f8b(_0x4dde0c){var _0x2faaef=a0_0x4968,_0x39d056=this;this[_0x2faaef(0x22a)]=null,this['entry']=null,this[_0x2faaef(0x313)]=function(){!function(_0x615632,_0x23aefc){var _0x23111b=a0_0x4968,_0x3a4b03=_0x615632[_0x23111b(0x23c)];for(_0x615632['entry']=null;_0x3a4b03;){var _0x2e52cf=_0x3a4b03[_0x23111b(0xbf)];_0x23aefc[_0x23111b(0x260)]--,_0x2e52cf(void 0x0),_0x3a4b03=_0x3a4b03['next'];}_0x23aefc[_0x23111b(0xcf)][_0x23111b(0x22a)]=_0x615632;}(_0x39d056,_0x4dde0c);};}_0x47f240[_0x4ec6d4(0x33f)]=_0x10cbee,_0x10cbee['WritableState']=_0x105b5c;var _0xea9cd9,_0xd31718={'deprecate':_0x4c039b(0x1223)},_0x434708=_0x4c039b(0x2337),_0x504356=_0x4c039b(0x205f)['Buffer'],_0x2e6f98=(void 0x0!==_0x4c039b['g']?_0x4c039b['g']:_0x4ec6d4(0x392)!=typeof window?window:_0x4ec6d4(0x392)!=typeof self?self:{})['Uint8Array']||function(){},_0x3bc81f=_0x4c039b(0x10fb),_0x195058=_0x4c039b(0x19f4)[_0x4ec6d4(0x278)],_0x416e16=_0x4c039b(0x99f)['F'],_0x334daf=_0x416e16[_0x4ec6d4(0x34b)],_0x3758fc=_0x416e16[_0x4ec6d4(0xc0)],_0x39da9c=_0x416e16['ERR_MULTIPLE_CALLBACK'],_0x4605eb=_0x416e16[_0x4ec6d4(0x268)],_0x3323f7=_0x416e16['ERR_STREAM_DESTROYED'],_0x167bbd=_0x416e16['ERR_STREAM_NULL_VALUES'],_0x33f15d=_0x416e16['ERR_STREAM_WRITE_AFTER_END'],_0x1645c3=_0x416e16[_0x4ec6d4(0x290)],_0x5d2a01=_0x3bc81f[_0x4ec6d4(0x3fa)];function _0x3b8d83(){}function _0x105b5c(_0x34e13f,_0x37cbea,_0x3aa9d0){var _0xb283b=_0x4ec6d4;_0x55d5b0=_0x55d5b0||_0x4c039b(0x1fa5),_0x34e13f=_0x34e13f||{},_0xb283b(0x416)!=typeof _0x3aa9d0&&(_0x3aa9d0=_0x37cbea instanceof _0x55d5b0),this[_0xb283b(0x117)]=!!_0x34e13f[_0xb283b(0x117)],_0x3aa9d0&&(this[_0xb283b(0x117)]=this['objectMode']||!!_0x34e13f['writableObjectMode']),this['highWaterMark']=_0x195058(this,_0x34e13f,_0xb283b(0x83),_0x3aa9d0),this[_0xb283b(0xde)]=!0x1,this[_0xb283b(0x32e)]=!0x1,this[_0xb283b(0x335)]=!0x1,this[_0xb283b(0x3fd)]=!0x1,this[_0xb283b(0x24d)]=!0x1,this[_0xb283b(0x12c)]=!0x1;var _0x127342=!0x1===_0x34e13f[_0xb283b(0x174)];this[_0xb283b(0x174)]=!_0x127342,this[_0xb283b(0x1ed)]=_0x34e13f['defaultEncoding']||_0xb283b(0x229),this[_0xb283b(0x3a3)]=0x0,this['writing']=!0x1,this['corked']=0x0,this[_0xb283b(0xa7)]=!0x0,this[_0xb283b(0x390)]=!0x1,this[_0xb283b(0x2eb)]=function(_0x3cf748){!function(_0x12b135,_0x5867c8){var _0x5dfe09=a0_0x4968,_0x559555=_0x12b135[_0x5dfe09(0x3ef)],_0x5d839b=_0x559555['sync'],_0x5bc559=_0x559555[_0x5dfe09(0x15b)];if(_0x5dfe09(0x28d)!=typeof _0x5bc559)throw new _0x39da9c();if(function(_0x4fbb02){var _0x134b07=_0x5dfe09;_0x4fbb02[_0x134b07(0x265)]=!0x1,_0x4fbb02[_0x134b07(0x15b)]=null,_0x4fbb02[_0x134b07(0x3a3)]-=_0x4fbb02[_0x134b07(0x2de)],_0x4fbb02[_0x134b07(0x2de)]=0x0;}(_0x559555),_0x5867c8)!function(_0x342050,_0x3081c6,_0xd20d3c,_0x16ba64,_0x563de4){var _0x466ddb=_0x5dfe09;--_0x3081c6['pendingcb'],_0xd20d3c?(_0x587683[_0x466ddb(0x286)](_0x563de4,_0x16ba64),_0x587683['nextTick'](_0x201fdf,_0x342050,_0x3081c6),_0x342050[_0x466ddb(0x3ef)][_0x466ddb(0x3c3)]=!0x0,_0x5d2a01(_0x342050,_0x16ba64)):(_0x563de4(_0x16ba64),_0x342050['_writableState'][_0x466ddb(0x3c3)]=!0x0,_0x5d2a01(_0x342050,_0x16ba64),_0x201fdf(_0x342050,_0x3081c6));}(_0x12b135,_0x559555,_0x5d839b,_0x5867c8,_0x5bc559);else{var _0x4b836e=_0x42ab5f(_0x559555)||_0x12b135[_0x5dfe09(0x12c)];_0x4b836e||_0x559555[_0x5dfe09(0x410)]||_0x559555[_0x5dfe09(0x390)]||!_0x559555[_0x5dfe09(0x2e3)]||_0x3434bf(_0x12b135,_0x559555),_0x5d839b?_0x587683['nextTick'](_0xf04aa6,_0x12b135,_0x559555,_0x4b836e,_0x5bc559):_0xf04aa6(_0x12b135,_0x559555,_0x4b836e,_0x5bc559);}}(_0x37cbea,_0x3cf748);},this['writecb']=null,this[_0xb283b(0x2de)]=0x0,this[_0xb283b(0x2e3)]=null,this[_0xb283b(0x31f)]=null,this[_0xb283b(0x260)]=0x0,this['prefinished']=!0x1,this[_0xb283b(0x3c3)]=!0x1,this[_0xb283b(0x245)]=!0x1!==_0x34e13f[_0xb283b(0x245)],this['autoDestroy']=!!_0x34e13f[_0xb283b(0x3e5)],this[_0xb283b(0x3dc)]=0x0,this[_0xb283b(0xcf)]=new _0x541f8b(this);}function _0x10cbee(_0x5805b){var _0x11374f=_0x4ec6d4,_0x281b9d=this instanceof(_0x55d5b0=_0x55d5b0||_0x4c039b(0x1fa5));if(!_0x281b9d&&!_0xea9cd9[_0x11374f(0x158)](_0x10cbee,this))return new _0x10cbee(_0x5805b);this[_0x11374f(0x3ef)]=new _0x105b5c(_0x5805b,this,_0x281b9d),this[_0x11374f(0x2e5)]=!0x0,_0x5805b&&(_0x11374f(0x28d)==typeof _0x5805b[_0x11374f(0x2aa)]&&(this[_0x11374f(0x3db)]=_0x5805b[_0x11374f(0x2aa)]),'function'==typeof _0x5805b['writev']&&(this[_0x11374f(0xb8)]=_0x5805b['writev']),_0x11374f(0x28d)==typeof _0x5805b[_0x11374f(0x221)]&&(this['_destroy']=_0x5805b[_0x11374f(0x221)]),_0x11374f(0x28d)==typeof _0x5805b['final']&&(this['_final']=_0x5805b['final'])),_0x434708[_0x11374f(0x158)](this);}function _0x15e774(_0x489f32,_0x30699b,_0x4a6b23,_0x4ad3eb,_0x3c1d5d,_0x432422,_0x51de2e){var _0x11b348=_0x4ec6d4;_0x30699b['writelen']=_0x4ad3eb,_0x30699b['writecb']=_0x51de2e,_0x30699b[_0x11b348(0x265)]=!0x0,_0x30699b[_0x11b348(0xa7)]=!0x0,_0x30699b[_0x11b348(0x12c)]?_0x30699b['onwrite'](new _0x3323f7('write')):_0x4a6b23?_0x489f32[_0x11b348(0xb8)](_0x3c1d5d,_0x30699b[_0x11b348(0x2eb)]):_0x489f32[_0x11b348(0x3db)](_0x3c1d5d,_0x432422,_0x30699b[_0x11b348(0x2eb)]),_0x30699b[_0x11b348(0xa7)]=!0x1;}function _0xf04aa6(_0x18b574,_0xe50bf,_0x241d07,_0xd52535){var _0x484d5c=_0x4ec6d4;_0x241d07||function(_0x205a6b,_0x53c425){var _0x1b071c=a0_0x4968;0x0===_0x53c425[_0x1b071c(0x3a3)]&&_0x53c425[_0x1b071c(0x32e)]&&(_0x53c425[_0x1b071c(0x32e)]=!0x1,_0x205a6b[_0x1b071c(0xfa)]('drain'));}(_0x18b574,_0xe50bf),_0xe50bf[_0x484d5c(0x260)]--,_0xd52535(),_0x201fdf(_0x18b574,_0xe50bf);}function _0x3434bf(_0x4b0f37,_0x13eb28){var _0x27a577=_0x4ec6d4;_0x13eb28[_0x27a577(0x390)]=!0x0;var _0x49d69d=_0x13eb28[_0x27a577(0x2e3)];if(_0x4b0f37[_0x27a577(0xb8)]&&_0x49d69d&&_0x49d69d[_0x27a577(0x22a)]){var _0x1af2a6=_0x13eb28[_0x27a577(0x3dc)],_0x3aa5be=new Array(_0x1af2a6),_0x35f2fc=_0x13eb28['corkedRequestsFree'];_0x35f2fc[_0x27a577(0x23c)]=_0x49d69d;for(var _0x262885=0x0,_0x32c65a=!0x0;_0x49d69d;)_0x3aa5be[_0x262885]=_0x49d69d,_0x49d69d[_0x27a577(0x404)]||(_0x32c65a=!0x1),_0x49d69d=_0x49d69d[_0x27a577(0x22a)],_0x262885+=0x1;_0x3aa5be[_0x27a577(0x337)]=_0x32c65a,_0x15e774(_0x4b0f37,_0x13eb28,!0x0,_0x13eb28[_0x27a577(0x3a3)],_0x3aa5be,'',_0x35f2fc[_0x27a577(0x313)]),_0x13eb28[_0x27a577(0x260)]++,_0x13eb28['lastBufferedRequest']=null,_0x35f2fc[_0x27a577(0x22a)]?(_0x13eb28[_0x27a577(0xcf)]=_0x35f2fc[_0x27a577(0x22a)],_0x35f2fc[_0x27a577(0x22a)]=null):_0x13eb28[_0x27a577(0xcf)]=new _0x541f8b(_0x13eb28),_0x13eb28[_0x27a577(0x3dc)]=0x0;}else{for(;_0x49d69d;){var _0x101310=_0x49d69d['chunk'],_0x445d82=_0x49d69d[_0x27a577(0x310)],_0x1ed308=_0x49d69d[_0x27a577(0xbf)];if(_0x15e774(_0x4b0f37,_0x13eb28,!0x1,_0x13eb28[_0x27a577(0x117)]?0x1:_0x101310['length'],_0x101310,_0x445d82,_0x1ed308),_0x49d69d=_0x49d69d[_0x27a577(0x22a)],_0x13eb28[_0x27a577(0x3dc)]--,_0x13eb28[_0x27a577(0x265)])break;}null===_0x49d69d&&(_0x13eb28[_0x27a577(0x31f)]=null);}_0x13eb28[_0x27a577(0x2e3)]=_0x49d69d,_0x13eb28[_0x27a577(0x390)]=!0x1;}function _0x42ab5f(_0x112706){var _0x4467b7=_0x4ec6d4;return _0x112706[_0x4467b7(0x335)]&&0x0===_0x112706[_0x4467b7(0x3a3)]&&null===_0x112706[_0x4467b7(0x2e3)]&&!_0x112706[_0x4467b7(0x24d)]&&!_0x112706[_0x4467b7(0x265)];}function _0x240c72(_0x29db78,_0x48e100){var _0x3a61b0=_0x4ec6d4;_0x29db78[_0x3a61b0(0x144)](function(_0x207207){var _0x210bc4=_0x3a61b0;_0x48e100['pendingcb']--,_0x207207&&_0x5d2a01(_0x29db78,_0x207207),_0x48e100[_0x210bc4(0x199)]=!0x0,_0x29db78['emit'](_0x210bc4(0x25c)),_0x201fdf(_0x29db78,_0x48e100);});}function _0x201fdf(_0x2e7141,_0x5c118a){var _0x1e539c=_0x4ec6d4,_0x130626=_0x42ab5f(_0x5c118a);if(_0x130626&&(function(_0x2bf472,_0x30f09b){var _0x592196=a0_0x4968;_0x30f09b[_0x592196(0x199)]||_0x30f09b['finalCalled']||('function'!=typeof _0x2bf472[_0x592196(0x144)]||_0x30f09b['destroyed']?(_0x30f09b[_0x592196(0x199)]=!0x0,_0x2bf472[_0x592196(0xfa)](_0x592196(0x25c))):(_0x30f09b[_0x592196(0x260)]++,_0x30f09b[_0x592196(0xde)]=!0x0,_0x587683[_0x592196(0x286)](_0x240c72,_0x2bf472,_0x30f09b)));}(_0x2e7141,_0x5c118a),0x0===_0x5c118a[_0x1e539c(0x260)]&&(_0x5c118a['finished']=!0x0,_0x2e7141[_0x1e539c(0xfa)](_0x1e539c(0x313)),_0x5c118a[_0x1e539c(0x3e5)]))){var _0x146d79=_0x2e7141[_0x1e539c(0x105)];(!_0x146d79||_0x146d79['autoDestroy']&&_0x146d79[_0x1e539c(0x1b4)])&&_0x2e7141[_0x1e539c(0x221)]();}return _0x130626;}_0x4c039b(0x1a2a)(_0x10cbee,_0x434708),_0x105b5c['prototype'][_0x4ec6d4(0x22c)]=function(){var _0x241c3e=_0x4ec6d4;for(var _0x36b748=this['bufferedRequest'],_0x56d965=[];_0x36b748;)_0x56d965[_0x241c3e(0x3c5)](_0x36b748),_0x36b748=_0x36b748[_0x241c3e(0x22a)];return _0x56d965;},(function(){var _0x46eeed=_0x4ec6d4;try{Object['defineProperty'](_0x105b5c[_0x46eeed(0x348)],_0x46eeed(0xaf),{'get':_0xd31718[_0x46eeed(0x165)](function(){var _0x4c1428=_0x46eeed;return this[_0x4c1428(0x22c)]();},'_writableState.buffer\x20is\x20deprecated.\x20Use\x20_writableState.getBuffer\x20instead.',_0x46eeed(0x138))});}catch(_0x5b4d8b){}}()),'function'==typeof Symbol&&Symbol[_0x4ec6d4(0x25b)]&&'function'==typeof Function['prototype'][Symbol[_0x4ec6d4(0x25b)]]?(_0xea9cd9=Function[_0x4ec6d4(0x348)][Symbol[_0x4ec6d4(0x25b)]],Object['defineProperty'](_0x10cbee,Symbol['hasInstance'],{'value':function(_0x6ae204){return!!_0xea9cd9['call'](this,_0x6ae204)||this===_0x10cbee&&_0x6ae204&&_0x6ae204['_writableState']instanceof _0x105b5c;}})):_0xea9cd9=function(_0x291256){return _0x291256 instanceof this;},_0x10cbee[_0x4ec6d4(0x348)]['pipe']=function(){_0x5d2a01(this,new _0x4605eb());},_0x10cbee[_0x4ec6d4(0x348)][_0x4ec6d4(0x2aa)]=function(_0x11142a,_0x4bdee7,_0x49485d){var _0x4176f0=_0x4ec6d4,_0x55f2d9,_0x9d63ac=this[_0x4176f0(0x3ef)],_0x566b91=!0x1,_0x48178e=!_0x9d63ac[_0x4176f0(0x117)]&&(_0x55f2d9=_0x11142a,_0x504356[_0x4176f0(0x164)](_0x55f2d9)||_0x55f2d9 instanceof _0x2e6f98);return _0x48178e&&!_0x504356[_0x4176f0(0x164)](_0x11142a)&&(_0x11142a=function(_0x2fd6d9){var _0x53c127=_0x4176f0;return _0x504356[_0x53c127(0x103)](_0x2fd6d9);}(_0x11142a)),_0x4176f0(0x28d)==typeof _0x4bdee7&&(_0x49485d=_0x4bdee7,_0x4bdee7=null),_0x48178e?_0x4bdee7='buffer':_0x4bdee7||(_0x4bdee7=_0x9d63ac['defaultEncoding']),'function'!=typeof _0x49485d&&(_0x49485d=_0x3b8d83),_0x9d63ac[_0x4176f0(0x335)]?function(_0x11e8ff,_0x156542){var _0x2b0844=_0x4176f0,_0x444bda=new _0x33f15d();_0x5d2a01(_0x11e8ff,_0x444bda),_0x587683[_0x2b0844(0x286)](_0x156542,_0x444bda);}(this,_0x49485d):(_0x48178e||function(_0x54bf66,_0x5b7747,_0x1ba3dd,_0x5effe3){var _0x39d483=_0x4176f0,_0x59f4e3;return null===_0x1ba3dd?_0x59f4e3=new _0x167bbd():_0x39d483(0x40d)==typeof _0x1ba3dd||_0x5b7747[_0x39d483(0x117)]||(_0x59f4e3=new _0x334daf('chunk',[_0x39d483(0x40d),_0x39d483(0x2ff)],_0x1ba3dd)),!_0x59f4e3||(_0x5d2a01(_0x54bf66,_0x59f4e3),_0x587683[_0x39d483(0x286)](_0x5effe3,_0x59f4e3),!0x1);}(this,_0x9d63ac,_0x11142a,_0x49485d))&&(_0x9d63ac[_0x4176f0(0x260)]++,_0x566b91=function(_0x1eecaa,_0x542396,_0x52bdce,_0x49cdf4,_0x2039f5,_0x379b89){var _0x1a0e7b=_0x4176f0;if(!_0x52bdce){var _0x23278a=function(_0x1906fa,_0x8e6b3f,_0x18546a){var _0x290cdb=a0_0x4968;return _0x1906fa[_0x290cdb(0x117)]||!0x1===_0x1906fa[_0x290cdb(0x174)]||_0x290cdb(0x40d)!=typeof _0x8e6b3f||(_0x8e6b3f=_0x504356[_0x290cdb(0x103)](_0x8e6b3f,_0x18546a)),_0x8e6b3f;}(_0x542396,_0x49cdf4,_0x2039f5);_0x49cdf4!==_0x23278a&&(_0x52bdce=!0x0,_0x2039f5=_0x1a0e7b(0xaf),_0x49cdf4=_0x23278a);}var _0x4c791b=_0x542396['objectMode']?0x1:_0x49cdf4['length'];_0x542396[_0x1a0e7b(0x3a3)]+=_0x4c791b;var _0x3b73e1=_0x542396['length']<_0x542396['highWaterMark'];if(_0x3b73e1||(_0x542396[_0x1a0e7b(0x32e)]=!0x0),_0x542396[_0x1a0e7b(0x265)]||_0x542396[_0x1a0e7b(0x410)]){var _0x2c5021=_0x542396[_0x1a0e7b(0x31f)];_0x542396['lastBufferedRequest']={'chunk':_0x49cdf4,'encoding':_0x2039f5,'isBuf':_0x52bdce,'callback':_0x379b89,'next':null},_0x2c5021?_0x2c5021[_0x1a0e7b(0x22a)]=_0x542396[_0x1a0e7b(0x31f)]:_0x542396[_0x1a0e7b(0x2e3)]=_0x542396[_0x1a0e7b(0x31f)],_0x542396[_0x1a0e7b(0x3dc)]+=0x1;}else _0x15e774(_0x1eecaa,_0x542396,!0x1,_0x4c791b,_0x49cdf4,_0x2039f5,_0x379b89);return _0x3b73e1;}(this,_0x9d63ac,_0x48178e,_0x11142a,_0x4bdee7,_0x49485d)),_0x566b91;},_0x10cbee[_0x4ec6d4(0x348)][_0x4ec6d4(0x284)]=function(){var _0x24b513=_0x4ec6d4;this[_0x24b513(0x3ef)][_0x24b513(0x410)]++;},_0x10cbee['prototype']['uncork']=function(){var _0x22071b=_0x4ec6d4,_0x52d200=this[_0x22071b(0x3ef)];_0x52d200['corked']&&(_0x52d200['corked']--,_0x52d200[_0x22071b(0x265)]||_0x52d200[_0x22071b(0x410)]||_0x52d200['bufferProcessing']||!_0x52d200[_0x22071b(0x2e3)]||_0x3434bf(this,_0x52d200));},_0x10cbee[_0x4ec6d4(0x348)][_0x4ec6d4(0xb1)]=function(_0xb0935c){var _0x1285c9=_0x4ec6d4;if(_0x1285c9(0x40d)==typeof _0xb0935c&&(_0xb0935c=_0xb0935c[_0x1285c9(0x205)]()),!(['hex',_0x1285c9(0x229),_0x1285c9(0x1d1),_0x1285c9(0x343),'binary',_0x1285c9(0x41c),_0x1285c9(0x23d),'ucs-2','utf16le',_0x1285c9(0x311),_0x1285c9(0xb3)][_0x1285c9(0x209)]((_0xb0935c+'')[_0x1285c9(0x205)]())>-0x1))throw new _0x1645c3(_0xb0935c);return this[_0x1285c9(0x3ef)][_0x1285c9(0x1ed)]=_0xb0935c,this;},Object[_0x4ec6d4(0x1dd)](_0x10cbee['prototype'],_0x4ec6d4(0x419),{'enumerable':!0x1,'get':function(){var _0x40ed2b=_0x4ec6d4;return this['_writableState']&&this[_0x40ed2b(0x3ef)][_0x40ed2b(0x22c)]();}}),Object[_0x4ec6d4(0x1dd)](_0x10cbee[_0x4ec6d4(0x348)],_0x4ec6d4(0x83),{'enumerable':!0x1,'get':function(){var _0x596b7e=_0x4ec6d4;return this[_0x596b7e(0x3ef)][_0x596b7e(0x1ac)];}}),_0x10cbee['prototype'][_0x4ec6d4(0x3db)]=function(_0x5557f,_0x23fcc1,_0x5476fa){var _0x3f3235=_0x4ec6d4;_0x5476fa(new _0x3758fc(_0x3f3235(0x39f)));},_0x10cbee[_0x4ec6d4(0x348)]['_writev']=null,_0x10cbee[_0x4ec6d4(0x348)][_0x4ec6d4(0xd0)]=function(_0x200877,_0x122816,_0x443da5){var _0x3b1dcb=_0x4ec6d4,_0x591018=this[_0x3b1dcb(0x3ef)];return _0x3b1dcb(0x28d)==typeof _0x200877?(_0x443da5=_0x200877,_0x200877=null,_0x122816=null):_0x3b1dcb(0x28d)==typeof _0x122816&&(_0x443da5=_0x122816,_0x122816=null),null!=_0x200877&&this[_0x3b1dcb(0x2aa)](_0x200877,_0x122816),_0x591018[_0x3b1dcb(0x410)]&&(_0x591018[_0x3b1dcb(0x410)]=0x1,this['uncork']()),_0x591018[_0x3b1dcb(0x335)]||function(_0x5ebf1c,_0x18eea1,_0x311eb1){var _0x1f9699=_0x3b1dcb;_0x18eea1[_0x1f9699(0x335)]=!0x0,_0x201fdf(_0x5ebf1c,_0x18eea1),_0x311eb1&&(_0x18eea1[_0x1f9699(0x24d)]?_0x587683[_0x1f9699(0x286)](_0x311eb1):_0x5ebf1c[_0x1f9699(0x274)](_0x1f9699(0x313),_0x311eb1)),_0x18eea1['ended']=!0x0,_0x5ebf1c[_0x1f9699(0x2e5)]=!0x1;}(this,_0x591018,_0x443da5),this;},Object[_0x4ec6d4(0x1dd)](_0x10cbee[_0x4ec6d4(0x348)],'writableLength',{'enumerable':!0x1,'get':function(){var _0x2eb2a0=_0x4ec6d4;return this[_0x2eb2a0(0x3ef)]['length'];}}),Object[_0x4ec6d4(0x1dd)](_0x10cbee[_0x4ec6d4(0x348)],'destroyed',{'enumerable':!0x1,'get':function(){var _0x2a517f=_0x4ec6d4;return void 0x0!==this['_writableState']&&this[_0x2a517f(0x3ef)]['destroyed'];},'set':function(_0x14ad29){var _0x1b9eee=_0x4ec6d4;this[_0x1b9eee(0x3ef)]&&(this[_0x1b9eee(0x3ef)]['destroyed']=_0x14ad29);}}),_0x10cbee[_0x4ec6d4(0x348)][_0x4ec6d4(0x221)]=_0x3bc81f['destroy'],_0x10cbee['prototype'][_0x4ec6d4(0x12a)]=_0x3bc81f[_0x4ec6d4(0x2e8)],_0x10cbee[_0x4ec6d4(0x348)][_0x4ec6d4(0x264)]=function(_0x2f24c4,_0x3ffc3c){_0x3ffc3c(_0x2f24c4);};},0x819(_0x53c99f,_0x2b3c88,_0x1c7801){var _0x46e2f6=a0_0x4968,_0x919af;_0x53c99f['exports']=(_0x919af=_0x1c7801(0x233d),_0x1c7801(0x1bfd),_0x919af['pad'][_0x46e2f6(0x157)]={'pad':function(_0x3b03fd,_0x5dbc3c){var _0x3eca57=_0x46e2f6,_0x436a29=_0x3b03fd[_0x3eca57(0x367)],_0x2904a8=0x4*_0x5dbc3c,_0x18e0ba=_0x2904a8-_0x436a29%_0x2904a8,_0xdf921e=_0x436a29+_0x18e0ba-0x1;_0x3b03fd[_0x3eca57(0x202)](),_0x3b03fd[_0x3eca57(0x31d)][_0xdf921e>>>0x2]|=_0x18e0ba<<0x18-_0xdf921e%0x4*0x8,_0x3b03fd[_0x3eca57(0x367)]+=_0x18e0ba;},'unpad':function(_0x1929a2){var _0xbab3d5=_0x46e2f6,_0x2a781a=0xff&_0x1929a2[_0xbab3d5(0x31d)][_0x1929a2[_0xbab3d5(0x367)]-0x1>>>0x2];_0x1929a2[_0xbab3d5(0x367)]-=_0x2a781a;}},_0x919af[_0x46e2f6(0x1a2)][_0x46e2f6(0x251)]);},0x86b(_0x5d629b,_0x19f537,_0x8256c4){var _0x12e06c=a0_0x4968,_0x47e47d;_0x5d629b['exports']=(_0x47e47d=_0x8256c4(0x233d),_0x8256c4(0x1bfd),_0x47e47d[_0x12e06c(0x1a2)][_0x12e06c(0x2c5)]={'pad':function(_0x12b5b3,_0x53f530){var _0x158460=_0x12e06c,_0x7cdbd2=0x4*_0x53f530;_0x12b5b3[_0x158460(0x202)](),_0x12b5b3['sigBytes']+=_0x7cdbd2-(_0x12b5b3[_0x158460(0x367)]%_0x7cdbd2||_0x7cdbd2);},'unpad':function(_0x2a02aa){var _0x81728b=_0x12e06c,_0x505717=_0x2a02aa[_0x81728b(0x31d)],_0x48f441=_0x2a02aa['sigBytes']-0x1;for(_0x48f441=_0x2a02aa[_0x81728b(0x367)]-0x1;_0x48f441>=0x0;_0x48f441--)if(_0x505717[_0x48f441>>>0x2]>>>0x18-_0x48f441%0x4*0x8&0xff){_0x2a02aa[_0x81728b(0x367)]=_0x48f441+0x1;break;}}},_0x47e47d[_0x12e06c(0x1a2)]['ZeroPadding']);},0x879(_0x47a17f,_0x32f592,_0x977c0a){var _0x45ade2=a0_0x4968,_0x2e3a57;_0x47a17f[_0x45ade2(0x33f)]=(_0x2e3a57=_0x977c0a(0x233d),_0x977c0a(0x1bfd),_0x2e3a57[_0x45ade2(0x279)]['CFB']=(function(){var _0xb4932a=_0x45ade2,_0x3cdb63=_0x2e3a57['lib']['BlockCipherMode'][_0xb4932a(0x193)]();function _0x8cfa98(_0x3479dc,_0x236ecc,_0x1c3c43,_0x15c5e4){var _0x105c74=_0xb4932a,_0x523098,_0x25af76=this[_0x105c74(0x35b)];_0x25af76?(_0x523098=_0x25af76[_0x105c74(0x2da)](0x0),this[_0x105c74(0x35b)]=void 0x0):_0x523098=this[_0x105c74(0x1b2)],_0x15c5e4['encryptBlock'](_0x523098,0x0);for(var _0x9ac28c=0x0;_0x9ac28c<_0x1c3c43;_0x9ac28c++)_0x3479dc[_0x236ecc+_0x9ac28c]^=_0x523098[_0x9ac28c];}return _0x3cdb63[_0xb4932a(0x3f6)]=_0x3cdb63[_0xb4932a(0x193)]({'processBlock':function(_0x4c67fb,_0x400731){var _0x56b604=_0xb4932a,_0x2d884f=this['_cipher'],_0x12c4ac=_0x2d884f['blockSize'];_0x8cfa98[_0x56b604(0x158)](this,_0x4c67fb,_0x400731,_0x12c4ac,_0x2d884f),this[_0x56b604(0x1b2)]=_0x4c67fb[_0x56b604(0x2da)](_0x400731,_0x400731+_0x12c4ac);}}),_0x3cdb63['Decryptor']=_0x3cdb63[_0xb4932a(0x193)]({'processBlock':function(_0x43de34,_0x28cee8){var _0xcc5abd=_0xb4932a,_0x5037c1=this['_cipher'],_0x12dd53=_0x5037c1[_0xcc5abd(0x1fc)],_0x159b3a=_0x43de34[_0xcc5abd(0x2da)](_0x28cee8,_0x28cee8+_0x12dd53);_0x8cfa98[_0xcc5abd(0x158)](this,_0x43de34,_0x28cee8,_0x12dd53,_0x5037c1),this[_0xcc5abd(0x1b2)]=_0x159b3a;}}),_0x3cdb63;}()),_0x2e3a57[_0x45ade2(0x279)][_0x45ade2(0xce)]);},0x99f(_0x19112e){'use strict';var _0x3e4601=a0_0x4968;var _0x3acab0={};function _0x318808(_0x1b44f3,_0x1f9fad,_0x558d92){var _0x46a10a=a0_0x4968;_0x558d92||(_0x558d92=Error);var _0x13ac8f=function(_0x368c8e){var _0x33134f=a0_0x4968,_0x5613dd,_0x202819;function _0x3c9c5f(_0x289368,_0x1cdb17,_0x206f20){var _0x26b8ac=a0_0x4968;return _0x368c8e[_0x26b8ac(0x158)](this,function(_0x143180,_0x1a7bf3,_0x4a5776){return'string'==typeof _0x1f9fad?_0x1f9fad:_0x1f9fad(_0x143180,_0x1a7bf3,_0x4a5776);}(_0x289368,_0x1cdb17,_0x206f20))||this;}return _0x202819=_0x368c8e,(_0x5613dd=_0x3c9c5f)[_0x33134f(0x348)]=Object[_0x33134f(0x1c3)](_0x202819['prototype']),_0x5613dd[_0x33134f(0x348)][_0x33134f(0x382)]=_0x5613dd,_0x5613dd[_0x33134f(0x366)]=_0x202819,_0x3c9c5f;}(_0x558d92);_0x13ac8f[_0x46a10a(0x348)]['name']=_0x558d92[_0x46a10a(0x208)],_0x13ac8f[_0x46a10a(0x348)][_0x46a10a(0x17c)]=_0x1b44f3,_0x3acab0[_0x1b44f3]=_0x13ac8f;}function _0x3aeca9(_0xde492f,_0x346e32){var _0x5eea08=a0_0x4968;if(Array[_0x5eea08(0x291)](_0xde492f)){var _0x518637=_0xde492f[_0x5eea08(0x3a3)];return _0xde492f=_0xde492f[_0x5eea08(0x2d4)](function(_0x560776){return String(_0x560776);}),_0x518637>0x2?_0x5eea08(0x19d)[_0x5eea08(0x331)](_0x346e32,'\x20')[_0x5eea08(0x331)](_0xde492f[_0x5eea08(0x2da)](0x0,_0x518637-0x1)[_0x5eea08(0x28b)](',\x20'),_0x5eea08(0x258))+_0xde492f[_0x518637-0x1]:0x2===_0x518637?_0x5eea08(0x19d)[_0x5eea08(0x331)](_0x346e32,'\x20')['concat'](_0xde492f[0x0],_0x5eea08(0x420))[_0x5eea08(0x331)](_0xde492f[0x1]):_0x5eea08(0x3ca)['concat'](_0x346e32,'\x20')['concat'](_0xde492f[0x0]);}return _0x5eea08(0x3ca)[_0x5eea08(0x331)](_0x346e32,'\x20')[_0x5eea08(0x331)](String(_0xde492f));}_0x318808(_0x3e4601(0x2f5),function(_0x2f1ae0,_0xe3733b){var _0x54eb1a=_0x3e4601;return _0x54eb1a(0x197)+_0xe3733b+_0x54eb1a(0x1f0)+_0x2f1ae0+'\x22';},TypeError),_0x318808(_0x3e4601(0x34b),function(_0x143720,_0x461025,_0x5c8ae8){var _0x7bc261=_0x3e4601,_0x323501,_0x4dd2da,_0x5abf6b,_0x148e1e,_0x40ed62;if(_0x7bc261(0x40d)==typeof _0x461025&&(_0x4dd2da='not\x20',_0x461025[_0x7bc261(0x118)](0x0,0x4)===_0x4dd2da)?(_0x323501=_0x7bc261(0x2f9),_0x461025=_0x461025[_0x7bc261(0x299)](/^not /,'')):_0x323501=_0x7bc261(0x13c),function(_0x516ee2,_0x3e6d89,_0xbf3b41){var _0x3baaf7=_0x7bc261;return(void 0x0===_0xbf3b41||_0xbf3b41>_0x516ee2[_0x3baaf7(0x3a3)])&&(_0xbf3b41=_0x516ee2[_0x3baaf7(0x3a3)]),_0x516ee2[_0x3baaf7(0x3ec)](_0xbf3b41-0x9,_0xbf3b41)===_0x3e6d89;}(_0x143720,_0x7bc261(0xdc)))_0x5abf6b=_0x7bc261(0x1e2)[_0x7bc261(0x331)](_0x143720,'\x20')[_0x7bc261(0x331)](_0x323501,'\x20')[_0x7bc261(0x331)](_0x3aeca9(_0x461025,'type'));else{var _0x412c80=('number'!=typeof _0x40ed62&&(_0x40ed62=0x0),_0x40ed62+0x1>(_0x148e1e=_0x143720)[_0x7bc261(0x3a3)]||-0x1===_0x148e1e[_0x7bc261(0x209)]('.',_0x40ed62)?_0x7bc261(0xc4):_0x7bc261(0xd7));_0x5abf6b=_0x7bc261(0x354)[_0x7bc261(0x331)](_0x143720,'\x22\x20')[_0x7bc261(0x331)](_0x412c80,'\x20')['concat'](_0x323501,'\x20')[_0x7bc261(0x331)](_0x3aeca9(_0x461025,'type'));}return _0x5abf6b+_0x7bc261(0x8f)['concat'](typeof _0x5c8ae8);},TypeError),_0x318808(_0x3e4601(0x3cc),_0x3e4601(0x402)),_0x318808(_0x3e4601(0xc0),function(_0xa792b0){var _0x4824a3=_0x3e4601;return _0x4824a3(0x1e2)+_0xa792b0+'\x20method\x20is\x20not\x20implemented';}),_0x318808('ERR_STREAM_PREMATURE_CLOSE','Premature\x20close'),_0x318808(_0x3e4601(0x40a),function(_0x424d90){var _0x1ca97b=_0x3e4601;return _0x1ca97b(0xa6)+_0x424d90+_0x1ca97b(0xf8);}),_0x318808('ERR_MULTIPLE_CALLBACK',_0x3e4601(0x22b)),_0x318808(_0x3e4601(0x268),'Cannot\x20pipe,\x20not\x20readable'),_0x318808(_0x3e4601(0x176),_0x3e4601(0x2a8)),_0x318808(_0x3e4601(0xc8),_0x3e4601(0x32a),TypeError),_0x318808(_0x3e4601(0x290),function(_0x11b091){var _0xa2f86d=_0x3e4601;return _0xa2f86d(0x10b)+_0x11b091;},TypeError),_0x318808(_0x3e4601(0x358),_0x3e4601(0x35c)),_0x19112e[_0x3e4601(0x33f)]['F']=_0x3acab0;},0xa88(_0x1f7f21,_0x188bca,_0x15f1fa){var _0x362ab0=a0_0x4968,_0x44dd5b;_0x1f7f21[_0x362ab0(0x33f)]=(_0x44dd5b=_0x15f1fa(0x233d),_0x15f1fa(0x2f2),_0x15f1fa(0x121c),_0x15f1fa(0x2522),_0x15f1fa(0x1bfd),(function(){var _0x25b9da=_0x362ab0,_0x478c53=_0x44dd5b,_0xd0df0f=_0x478c53[_0x25b9da(0x395)][_0x25b9da(0x7f)],_0x19ec77=_0x478c53[_0x25b9da(0x261)],_0x13bb1a=[],_0xd29be7=[],_0xcba5d5=[],_0x578b99=_0x19ec77[_0x25b9da(0x23b)]=_0xd0df0f['extend']({'_doReset':function(){var _0x3384b5=_0x25b9da,_0x404887=this['_key'][_0x3384b5(0x31d)],_0x46ea57=this['cfg']['iv'],_0x1c2a4c=this['_X']=[_0x404887[0x0],_0x404887[0x3]<<0x10|_0x404887[0x2]>>>0x10,_0x404887[0x1],_0x404887[0x0]<<0x10|_0x404887[0x3]>>>0x10,_0x404887[0x2],_0x404887[0x1]<<0x10|_0x404887[0x0]>>>0x10,_0x404887[0x3],_0x404887[0x2]<<0x10|_0x404887[0x1]>>>0x10],_0x42948b=this['_C']=[_0x404887[0x2]<<0x10|_0x404887[0x2]>>>0x10,0xffff0000&_0x404887[0x0]|0xffff&_0x404887[0x1],_0x404887[0x3]<<0x10|_0x404887[0x3]>>>0x10,0xffff0000&_0x404887[0x1]|0xffff&_0x404887[0x2],_0x404887[0x0]<<0x10|_0x404887[0x0]>>>0x10,0xffff0000&_0x404887[0x2]|0xffff&_0x404887[0x3],_0x404887[0x1]<<0x10|_0x404887[0x1]>>>0x10,0xffff0000&_0x404887[0x3]|0xffff&_0x404887[0x0]];this['_b']=0x0;for(var _0x1249f4=0x0;_0x1249f4<0x4;_0x1249f4++)_0x39b6fa[_0x3384b5(0x158)](this);for(_0x1249f4=0x0;_0x1249f4<0x8;_0x1249f4++)_0x42948b[_0x1249f4]^=_0x1c2a4c[_0x1249f4+0x4&0x7];if(_0x46ea57){var _0x1cbad3=_0x46ea57[_0x3384b5(0x31d)],_0x3eec8e=_0x1cbad3[0x0],_0x5f0712=_0x1cbad3[0x1],_0x4cd377=0xff00ff&(_0x3eec8e<<0x8|_0x3eec8e>>>0x18)|0xff00ff00&(_0x3eec8e<<0x18|_0x3eec8e>>>0x8),_0x59fff4=0xff00ff&(_0x5f0712<<0x8|_0x5f0712>>>0x18)|0xff00ff00&(_0x5f0712<<0x18|_0x5f0712>>>0x8),_0x2a469d=_0x4cd377>>>0x10|0xffff0000&_0x59fff4,_0x33b5a6=_0x59fff4<<0x10|0xffff&_0x4cd377;for(_0x42948b[0x0]^=_0x4cd377,_0x42948b[0x1]^=_0x2a469d,_0x42948b[0x2]^=_0x59fff4,_0x42948b[0x3]^=_0x33b5a6,_0x42948b[0x4]^=_0x4cd377,_0x42948b[0x5]^=_0x2a469d,_0x42948b[0x6]^=_0x59fff4,_0x42948b[0x7]^=_0x33b5a6,_0x1249f4=0x0;_0x1249f4<0x4;_0x1249f4++)_0x39b6fa[_0x3384b5(0x158)](this);}},'_doProcessBlock':function(_0x3f2e6a,_0x2af247){var _0x3341f9=this['_X'];_0x39b6fa['call'](this),_0x13bb1a[0x0]=_0x3341f9[0x0]^_0x3341f9[0x5]>>>0x10^_0x3341f9[0x3]<<0x10,_0x13bb1a[0x1]=_0x3341f9[0x2]^_0x3341f9[0x7]>>>0x10^_0x3341f9[0x5]<<0x10,_0x13bb1a[0x2]=_0x3341f9[0x4]^_0x3341f9[0x1]>>>0x10^_0x3341f9[0x7]<<0x10,_0x13bb1a[0x3]=_0x3341f9[0x6]^_0x3341f9[0x3]>>>0x10^_0x3341f9[0x1]<<0x10;for(var _0x3ff1ac=0x0;_0x3ff1ac<0x4;_0x3ff1ac++)_0x13bb1a[_0x3ff1ac]=0xff00ff&(_0x13bb1a[_0x3ff1ac]<<0x8|_0x13bb1a[_0x3ff1ac]>>>0x18)|0xff00ff00&(_0x13bb1a[_0x3ff1ac]<<0x18|_0x13bb1a[_0x3ff1ac]>>>0x8),_0x3f2e6a[_0x2af247+_0x3ff1ac]^=_0x13bb1a[_0x3ff1ac];},'blockSize':0x4,'ivSize':0x2});function _0x39b6fa(){for(var _0x5b30c1=this['_X'],_0x3e82ec=this['_C'],_0x219767=0x0;_0x219767<0x8;_0x219767++)_0xd29be7[_0x219767]=_0x3e82ec[_0x219767];for(_0x3e82ec[0x0]=_0x3e82ec[0x0]+0x4d34d34d+this['_b']|0x0,_0x3e82ec[0x1]=_0x3e82ec[0x1]+0xd34d34d3+(_0x3e82ec[0x0]>>>0x0<_0xd29be7[0x0]>>>0x0?0x1:0x0)|0x0,_0x3e82ec[0x2]=_0x3e82ec[0x2]+0x34d34d34+(_0x3e82ec[0x1]>>>0x0<_0xd29be7[0x1]>>>0x0?0x1:0x0)|0x0,_0x3e82ec[0x3]=_0x3e82ec[0x3]+0x4d34d34d+(_0x3e82ec[0x2]>>>0x0<_0xd29be7[0x2]>>>0x0?0x1:0x0)|0x0,_0x3e82ec[0x4]=_0x3e82ec[0x4]+0xd34d34d3+(_0x3e82ec[0x3]>>>0x0<_0xd29be7[0x3]>>>0x0?0x1:0x0)|0x0,_0x3e82ec[0x5]=_0x3e82ec[0x5]+0x34d34d34+(_0x3e82ec[0x4]>>>0x0<_0xd29be7[0x4]>>>0x0?0x1:0x0)|0x0,_0x3e82ec[0x6]=_0x3e82ec[0x6]+0x4d34d34d+(_0x3e82ec[0x5]>>>0x0<_0xd29be7[0x5]>>>0x0?0x1:0x0)|0x0,_0x3e82ec[0x7]=_0x3e82ec[0x7]+0xd34d34d3+(_0x3e82ec[0x6]>>>0x0<_0xd29be7[0x6]>>>0x0?0x1:0x0)|0x0,this['_b']=_0x3e82ec[0x7]>>>0x0<_0xd29be7[0x7]>>>0x0?0x1:0x0,_0x219767=0x0;_0x219767<0x8;_0x219767++){var _0x3b6bf3=_0x5b30c1[_0x219767]+_0x3e82ec[_0x219767],_0x3245cc=0xffff&_0x3b6bf3,_0x396c66=_0x3b6bf3>>>0x10,_0x234c9d=((_0x3245cc*_0x3245cc>>>0x11)+_0x3245cc*_0x396c66>>>0xf)+_0x396c66*_0x396c66,_0x445faa=((0xffff0000&_0x3b6bf3)*_0x3b6bf3|0x0)+((0xffff&_0x3b6bf3)*_0x3b6bf3|0x0);_0xcba5d5[_0x219767]=_0x234c9d^_0x445faa;}_0x5b30c1[0x0]=_0xcba5d5[0x0]+(_0xcba5d5[0x7]<<0x10|_0xcba5d5[0x7]>>>0x10)+(_0xcba5d5[0x6]<<0x10|_0xcba5d5[0x6]>>>0x10)|0x0,_0x5b30c1[0x1]=_0xcba5d5[0x1]+(_0xcba5d5[0x0]<<0x8|_0xcba5d5[0x0]>>>0x18)+_0xcba5d5[0x7]|0x0,_0x5b30c1[0x2]=_0xcba5d5[0x2]+(_0xcba5d5[0x1]<<0x10|_0xcba5d5[0x1]>>>0x10)+(_0xcba5d5[0x0]<<0x10|_0xcba5d5[0x0]>>>0x10)|0x0,_0x5b30c1[0x3]=_0xcba5d5[0x3]+(_0xcba5d5[0x2]<<0x8|_0xcba5d5[0x2]>>>0x18)+_0xcba5d5[0x1]|0x0,_0x5b30c1[0x4]=_0xcba5d5[0x4]+(_0xcba5d5[0x3]<<0x10|_0xcba5d5[0x3]>>>0x10)+(_0xcba5d5[0x2]<<0x10|_0xcba5d5[0x2]>>>0x10)|0x0,_0x5b30c1[0x5]=_0xcba5d5[0x5]+(_0xcba5d5[0x4]<<0x8|_0xcba5d5[0x4]>>>0x18)+_0xcba5d5[0x3]|0x0,_0x5b30c1[0x6]=_0xcba5d5[0x6]+(_0xcba5d5[0x5]<<0x10|_0xcba5d5[0x5]>>>0x10)+(_0xcba5d5[0x4]<<0x10|_0xcba5d5[0x4]>>>0x10)|0x0,_0x5b30c1[0x7]=_0xcba5d5[0x7]+(_0xcba5d5[0x6]<<0x8|_0xcba5d5[0x6]>>>0x18)+_0xcba5d5[0x5]|0x0;}_0x478c53[_0x25b9da(0x23b)]=_0xd0df0f[_0x25b9da(0x125)](_0x578b99);}()),_0x44dd5b[_0x362ab0(0x23b)]);},0xbc1(_0x2ad9a3,_0xc69c8a,_0xc75e41){var _0x48029b=a0_0x4968,_0x59ddc0;_0x2ad9a3[_0x48029b(0x33f)]=(_0x59ddc0=_0xc75e41(0x233d),function(_0x5ac9cf){var _0x298acb=_0x48029b,_0xcb448e=_0x59ddc0,_0x552605=_0xcb448e[_0x298acb(0x395)],_0x24fee6=_0x552605[_0x298acb(0x1cb)],_0x4de180=_0x552605['Hasher'],_0x2b59f0=_0xcb448e[_0x298acb(0x261)],_0x2215b9=[],_0x29364a=[];!(function(){var _0x152252=_0x298acb;function _0x3676dc(_0x1b13a4){for(var _0x137ff7=_0x5ac9cf['sqrt'](_0x1b13a4),_0xe85837=0x2;_0xe85837<=_0x137ff7;_0xe85837++)if(!(_0x1b13a4%_0xe85837))return!0x1;return!0x0;}function _0x47dc63(_0x13d66b){return 0x100000000*(_0x13d66b-(0x0|_0x13d66b))|0x0;}for(var _0x485724=0x2,_0x506192=0x0;_0x506192<0x40;)_0x3676dc(_0x485724)&&(_0x506192<0x8&&(_0x2215b9[_0x506192]=_0x47dc63(_0x5ac9cf[_0x152252(0x179)](_0x485724,0.5))),_0x29364a[_0x506192]=_0x47dc63(_0x5ac9cf[_0x152252(0x179)](_0x485724,0x1/0x3)),_0x506192++),_0x485724++;}());var _0x195d65=[],_0x5a7853=_0x2b59f0['SHA256']=_0x4de180[_0x298acb(0x193)]({'_doReset':function(){var _0xb5493d=_0x298acb;this[_0xb5493d(0x1e7)]=new _0x24fee6[(_0xb5493d(0x2db))](_0x2215b9[_0xb5493d(0x2da)](0x0));},'_doProcessBlock':function(_0x3c991d,_0x57b182){var _0x15b842=_0x298acb;for(var _0x3cf1ed=this[_0x15b842(0x1e7)][_0x15b842(0x31d)],_0x1654ed=_0x3cf1ed[0x0],_0x187c18=_0x3cf1ed[0x1],_0x5f04b8=_0x3cf1ed[0x2],_0x29a4a2=_0x3cf1ed[0x3],_0x2bcf3b=_0x3cf1ed[0x4],_0x39b705=_0x3cf1ed[0x5],_0x3aefa7=_0x3cf1ed[0x6],_0x4a294b=_0x3cf1ed[0x7],_0x2c5f37=0x0;_0x2c5f37<0x40;_0x2c5f37++){if(_0x2c5f37<0x10)_0x195d65[_0x2c5f37]=0x0|_0x3c991d[_0x57b182+_0x2c5f37];else{var _0x340874=_0x195d65[_0x2c5f37-0xf],_0x581f73=(_0x340874<<0x19|_0x340874>>>0x7)^(_0x340874<<0xe|_0x340874>>>0x12)^_0x340874>>>0x3,_0x501bdd=_0x195d65[_0x2c5f37-0x2],_0x50ee3a=(_0x501bdd<<0xf|_0x501bdd>>>0x11)^(_0x501bdd<<0xd|_0x501bdd>>>0x13)^_0x501bdd>>>0xa;_0x195d65[_0x2c5f37]=_0x581f73+_0x195d65[_0x2c5f37-0x7]+_0x50ee3a+_0x195d65[_0x2c5f37-0x10];}var _0x8828a0=_0x1654ed&_0x187c18^_0x1654ed&_0x5f04b8^_0x187c18&_0x5f04b8,_0x5efb36=(_0x1654ed<<0x1e|_0x1654ed>>>0x2)^(_0x1654ed<<0x13|_0x1654ed>>>0xd)^(_0x1654ed<<0xa|_0x1654ed>>>0x16),_0x168b5f=_0x4a294b+((_0x2bcf3b<<0x1a|_0x2bcf3b>>>0x6)^(_0x2bcf3b<<0x15|_0x2bcf3b>>>0xb)^(_0x2bcf3b<<0x7|_0x2bcf3b>>>0x19))+(_0x2bcf3b&_0x39b705^~_0x2bcf3b&_0x3aefa7)+_0x29364a[_0x2c5f37]+_0x195d65[_0x2c5f37];_0x4a294b=_0x3aefa7,_0x3aefa7=_0x39b705,_0x39b705=_0x2bcf3b,_0x2bcf3b=_0x29a4a2+_0x168b5f|0x0,_0x29a4a2=_0x5f04b8,_0x5f04b8=_0x187c18,_0x187c18=_0x1654ed,_0x1654ed=_0x168b5f+(_0x5efb36+_0x8828a0)|0x0;}_0x3cf1ed[0x0]=_0x3cf1ed[0x0]+_0x1654ed|0x0,_0x3cf1ed[0x1]=_0x3cf1ed[0x1]+_0x187c18|0x0,_0x3cf1ed[0x2]=_0x3cf1ed[0x2]+_0x5f04b8|0x0,_0x3cf1ed[0x3]=_0x3cf1ed[0x3]+_0x29a4a2|0x0,_0x3cf1ed[0x4]=_0x3cf1ed[0x4]+_0x2bcf3b|0x0,_0x3cf1ed[0x5]=_0x3cf1ed[0x5]+_0x39b705|0x0,_0x3cf1ed[0x6]=_0x3cf1ed[0x6]+_0x3aefa7|0x0,_0x3cf1ed[0x7]=_0x3cf1ed[0x7]+_0x4a294b|0x0;},'_doFinalize':function(){var _0x380d27=_0x298acb,_0x15b433=this[_0x380d27(0x2ee)],_0x42807b=_0x15b433[_0x380d27(0x31d)],_0x54211e=0x8*this[_0x380d27(0x281)],_0xde3d3=0x8*_0x15b433['sigBytes'];return _0x42807b[_0xde3d3>>>0x5]|=0x80<<0x18-_0xde3d3%0x20,_0x42807b[0xe+(_0xde3d3+0x40>>>0x9<<0x4)]=_0x5ac9cf[_0x380d27(0x347)](_0x54211e/0x100000000),_0x42807b[0xf+(_0xde3d3+0x40>>>0x9<<0x4)]=_0x54211e,_0x15b433[_0x380d27(0x367)]=0x4*_0x42807b[_0x380d27(0x3a3)],this[_0x380d27(0xf1)](),this['_hash'];},'clone':function(){var _0x4e8275=_0x298acb,_0x463a17=_0x4de180[_0x4e8275(0x173)]['call'](this);return _0x463a17[_0x4e8275(0x1e7)]=this[_0x4e8275(0x1e7)][_0x4e8275(0x173)](),_0x463a17;}});_0xcb448e[_0x298acb(0x1b1)]=_0x4de180[_0x298acb(0x125)](_0x5a7853),_0xcb448e['HmacSHA256']=_0x4de180[_0x298acb(0x365)](_0x5a7853);}(Math),_0x59ddc0['SHA256']);},0xc38(_0xba0db4,_0x1eeb72,_0x2f9072){var _0x1b7a29=a0_0x4968,_0x24ace9;_0xba0db4[_0x1b7a29(0x33f)]=(_0x24ace9=_0x2f9072(0x233d),_0x2f9072(0x2f2),_0x2f9072(0x121c),_0x2f9072(0x2522),_0x2f9072(0x1bfd),(function(){var _0x26bc97=_0x1b7a29,_0x52c246=_0x24ace9,_0x116aa3=_0x52c246[_0x26bc97(0x395)][_0x26bc97(0x232)],_0x33b0dd=_0x52c246['algo'];const _0x263631=0x10,_0x547278=[0x243f6a88,0x85a308d3,0x13198a2e,0x3707344,0xa4093822,0x299f31d0,0x82efa98,0xec4e6c89,0x452821e6,0x38d01377,0xbe5466cf,0x34e90c6c,0xc0ac29b7,0xc97c50dd,0x3f84d5b5,0xb5470917,0x9216d5d9,0x8979fb1b],_0x28b6a6=[[0xd1310ba6,0x98dfb5ac,0x2ffd72db,0xd01adfb7,0xb8e1afed,0x6a267e96,0xba7c9045,0xf12c7f99,0x24a19947,0xb3916cf7,0x801f2e2,0x858efc16,0x636920d8,0x71574e69,0xa458fea3,0xf4933d7e,0xd95748f,0x728eb658,0x718bcd58,0x82154aee,0x7b54a41d,0xc25a59b5,0x9c30d539,0x2af26013,0xc5d1b023,0x286085f0,0xca417918,0xb8db38ef,0x8e79dcb0,0x603a180e,0x6c9e0e8b,0xb01e8a3e,0xd71577c1,0xbd314b27,0x78af2fda,0x55605c60,0xe65525f3,0xaa55ab94,0x57489862,0x63e81440,0x55ca396a,0x2aab10b6,0xb4cc5c34,0x1141e8ce,0xa15486af,0x7c72e993,0xb3ee1411,0x636fbc2a,0x2ba9c55d,0x741831f6,0xce5c3e16,0x9b87931e,0xafd6ba33,0x6c24cf5c,0x7a325381,0x28958677,0x3b8f4898,0x6b4bb9af,0xc4bfe81b,0x66282193,0x61d809cc,0xfb21a991,0x487cac60,0x5dec8032,0xef845d5d,0xe98575b1,0xdc262302,0xeb651b88,0x23893e81,0xd396acc5,0xf6d6ff3,0x83f44239,0x2e0b4482,0xa4842004,0x69c8f04a,0x9e1f9b5e,0x21c66842,0xf6e96c9a,0x670c9c61,0xabd388f0,0x6a51a0d2,0xd8542f68,0x960fa728,0xab5133a3,0x6eef0b6c,0x137a3be4,0xba3bf050,0x7efb2a98,0xa1f1651d,0x39af0176,0x66ca593e,0x82430e88,0x8cee8619,0x456f9fb4,0x7d84a5c3,0x3b8b5ebe,0xe06f75d8,0x85c12073,0x401a449f,0x56c16aa6,0x4ed3aa62,0x363f7706,0x1bfedf72,0x429b023d,0x37d0d724,0xd00a1248,0xdb0fead3,0x49f1c09b,0x75372c9,0x80991b7b,0x25d479d8,0xf6e8def7,0xe3fe501a,0xb6794c3b,0x976ce0bd,0x4c006ba,0xc1a94fb6,0x409f60c4,0x5e5c9ec2,0x196a2463,0x68fb6faf,0x3e6c53b5,0x1339b2eb,0x3b52ec6f,0x6dfc511f,0x9b30952c,0xcc814544,0xaf5ebd09,0xbee3d004,0xde334afd,0x660f2807,0x192e4bb3,0xc0cba857,0x45c8740f,0xd20b5f39,0xb9d3fbdb,0x5579c0bd,0x1a60320a,0xd6a100c6,0x402c7279,0x679f25fe,0xfb1fa3cc,0x8ea5e9f8,0xdb3222f8,0x3c7516df,0xfd616b15,0x2f501ec8,0xad0552ab,0x323db5fa,0xfd238760,0x53317b48,0x3e00df82,0x9e5c57bb,0xca6f8ca0,0x1a87562e,0xdf1769db,0xd542a8f6,0x287effc3,0xac6732c6,0x8c4f5573,0x695b27b0,0xbbca58c8,0xe1ffa35d,0xb8f011a0,0x10fa3d98,0xfd2183b8,0x4afcb56c,0x2dd1d35b,0x9a53e479,0xb6f84565,0xd28e49bc,0x4bfb9790,0xe1ddf2da,0xa4cb7e33,0x62fb1341,0xcee4c6e8,0xef20cada,0x36774c01,0xd07e9efe,0x2bf11fb4,0x95dbda4d,0xae909198,0xeaad8e71,0x6b93d5a0,0xd08ed1d0,0xafc725e0,0x8e3c5b2f,0x8e7594b7,0x8ff6e2fb,0xf2122b64,0x8888b812,0x900df01c,0x4fad5ea0,0x688fc31c,0xd1cff191,0xb3a8c1ad,0x2f2f2218,0xbe0e1777,0xea752dfe,0x8b021fa1,0xe5a0cc0f,0xb56f74e8,0x18acf3d6,0xce89e299,0xb4a84fe0,0xfd13e0b7,0x7cc43b81,0xd2ada8d9,0x165fa266,0x80957705,0x93cc7314,0x211a1477,0xe6ad2065,0x77b5fa86,0xc75442f5,0xfb9d35cf,0xebcdaf0c,0x7b3e89a0,0xd6411bd3,0xae1e7e49,0x250e2d,0x2071b35e,0x226800bb,0x57b8e0af,0x2464369b,0xf009b91e,0x5563911d,0x59dfa6aa,0x78c14389,0xd95a537f,0x207d5ba2,0x2e5b9c5,0x83260376,0x6295cfa9,0x11c81968,0x4e734a41,0xb3472dca,0x7b14a94a,0x1b510052,0x9a532915,0xd60f573f,0xbc9bc6e4,0x2b60a476,0x81e67400,0x8ba6fb5,0x571be91f,0xf296ec6b,0x2a0dd915,0xb6636521,0xe7b9f9b6,0xff34052e,0xc5855664,0x53b02d5d,0xa99f8fa1,0x8ba4799,0x6e85076a],[0x4b7a70e9,0xb5b32944,0xdb75092e,0xc4192623,0xad6ea6b0,0x49a7df7d,0x9cee60b8,0x8fedb266,0xecaa8c71,0x699a17ff,0x5664526c,0xc2b19ee1,0x193602a5,0x75094c29,0xa0591340,0xe4183a3e,0x3f54989a,0x5b429d65,0x6b8fe4d6,0x99f73fd6,0xa1d29c07,0xefe830f5,0x4d2d38e6,0xf0255dc1,0x4cdd2086,0x8470eb26,0x6382e9c6,0x21ecc5e,0x9686b3f,0x3ebaefc9,0x3c971814,0x6b6a70a1,0x687f3584,0x52a0e286,0xb79c5305,0xaa500737,0x3e07841c,0x7fdeae5c,0x8e7d44ec,0x5716f2b8,0xb03ada37,0xf0500c0d,0xf01c1f04,0x200b3ff,0xae0cf51a,0x3cb574b2,0x25837a58,0xdc0921bd,0xd19113f9,0x7ca92ff6,0x94324773,0x22f54701,0x3ae5e581,0x37c2dadc,0xc8b57634,0x9af3dda7,0xa9446146,0xfd0030e,0xecc8c73e,0xa4751e41,0xe238cd99,0x3bea0e2f,0x3280bba1,0x183eb331,0x4e548b38,0x4f6db908,0x6f420d03,0xf60a04bf,0x2cb81290,0x24977c79,0x5679b072,0xbcaf89af,0xde9a771f,0xd9930810,0xb38bae12,0xdccf3f2e,0x5512721f,0x2e6b7124,0x501adde6,0x9f84cd87,0x7a584718,0x7408da17,0xbc9f9abc,0xe94b7d8c,0xec7aec3a,0xdb851dfa,0x63094366,0xc464c3d2,0xef1c1847,0x3215d908,0xdd433b37,0x24c2ba16,0x12a14d43,0x2a65c451,0x50940002,0x133ae4dd,0x71dff89e,0x10314e55,0x81ac77d6,0x5f11199b,0x43556f1,0xd7a3c76b,0x3c11183b,0x5924a509,0xf28fe6ed,0x97f1fbfa,0x9ebabf2c,0x1e153c6e,0x86e34570,0xeae96fb1,0x860e5e0a,0x5a3e2ab3,0x771fe71c,0x4e3d06fa,0x2965dcb9,0x99e71d0f,0x803e89d6,0x5266c825,0x2e4cc978,0x9c10b36a,0xc6150eba,0x94e2ea78,0xa5fc3c53,0x1e0a2df4,0xf2f74ea7,0x361d2b3d,0x1939260f,0x19c27960,0x5223a708,0xf71312b6,0xebadfe6e,0xeac31f66,0xe3bc4595,0xa67bc883,0xb17f37d1,0x18cff28,0xc332ddef,0xbe6c5aa5,0x65582185,0x68ab9802,0xeecea50f,0xdb2f953b,0x2aef7dad,0x5b6e2f84,0x1521b628,0x29076170,0xecdd4775,0x619f1510,0x13cca830,0xeb61bd96,0x334fe1e,0xaa0363cf,0xb5735c90,0x4c70a239,0xd59e9e0b,0xcbaade14,0xeecc86bc,0x60622ca7,0x9cab5cab,0xb2f3846e,0x648b1eaf,0x19bdf0ca,0xa02369b9,0x655abb50,0x40685a32,0x3c2ab4b3,0x319ee9d5,0xc021b8f7,0x9b540b19,0x875fa099,0x95f7997e,0x623d7da8,0xf837889a,0x97e32d77,0x11ed935f,0x16681281,0xe358829,0xc7e61fd6,0x96dedfa1,0x7858ba99,0x57f584a5,0x1b227263,0x9b83c3ff,0x1ac24696,0xcdb30aeb,0x532e3054,0x8fd948e4,0x6dbc3128,0x58ebf2ef,0x34c6ffea,0xfe28ed61,0xee7c3c73,0x5d4a14d9,0xe864b7e3,0x42105d14,0x203e13e0,0x45eee2b6,0xa3aaabea,0xdb6c4f15,0xfacb4fd0,0xc742f442,0xef6abbb5,0x654f3b1d,0x41cd2105,0xd81e799e,0x86854dc7,0xe44b476a,0x3d816250,0xcf62a1f2,0x5b8d2646,0xfc8883a0,0xc1c7b6a3,0x7f1524c3,0x69cb7492,0x47848a0b,0x5692b285,0x95bbf00,0xad19489d,0x1462b174,0x23820e00,0x58428d2a,0xc55f5ea,0x1dadf43e,0x233f7061,0x3372f092,0x8d937e41,0xd65fecf1,0x6c223bdb,0x7cde3759,0xcbee7460,0x4085f2a7,0xce77326e,0xa6078084,0x19f8509e,0xe8efd855,0x61d99735,0xa969a7aa,0xc50c06c2,0x5a04abfc,0x800bcadc,0x9e447a2e,0xc3453484,0xfdd56705,0xe1e9ec9,0xdb73dbd3,0x105588cd,0x675fda79,0xe3674340,0xc5c43465,0x713e38d8,0x3d28f89e,0xf16dff20,0x153e21e7,0x8fb03d4a,0xe6e39f2b,0xdb83adf7],[0xe93d5a68,0x948140f7,0xf64c261c,0x94692934,0x411520f7,0x7602d4f7,0xbcf46b2e,0xd4a20068,0xd4082471,0x3320f46a,0x43b7d4b7,0x500061af,0x1e39f62e,0x97244546,0x14214f74,0xbf8b8840,0x4d95fc1d,0x96b591af,0x70f4ddd3,0x66a02f45,0xbfbc09ec,0x3bd9785,0x7fac6dd0,0x31cb8504,0x96eb27b3,0x55fd3941,0xda2547e6,0xabca0a9a,0x28507825,0x530429f4,0xa2c86da,0xe9b66dfb,0x68dc1462,0xd7486900,0x680ec0a4,0x27a18dee,0x4f3ffea2,0xe887ad8c,0xb58ce006,0x7af4d6b6,0xaace1e7c,0xd3375fec,0xce78a399,0x406b2a42,0x20fe9e35,0xd9f385b9,0xee39d7ab,0x3b124e8b,0x1dc9faf7,0x4b6d1856,0x26a36631,0xeae397b2,0x3a6efa74,0xdd5b4332,0x6841e7f7,0xca7820fb,0xfb0af54e,0xd8feb397,0x454056ac,0xba489527,0x55533a3a,0x20838d87,0xfe6ba9b7,0xd096954b,0x55a867bc,0xa1159a58,0xcca92963,0x99e1db33,0xa62a4a56,0x3f3125f9,0x5ef47e1c,0x9029317c,0xfdf8e802,0x4272f70,0x80bb155c,0x5282ce3,0x95c11548,0xe4c66d22,0x48c1133f,0xc70f86dc,0x7f9c9ee,0x41041f0f,0x404779a4,0x5d886e17,0x325f51eb,0xd59bc0d1,0xf2bcc18f,0x41113564,0x257b7834,0x602a9c60,0xdff8e8a3,0x1f636c1b,0xe12b4c2,0x2e1329e,0xaf664fd1,0xcad18115,0x6b2395e0,0x333e92e1,0x3b240b62,0xeebeb922,0x85b2a20e,0xe6ba0d99,0xde720c8c,0x2da2f728,0xd0127845,0x95b794fd,0x647d0862,0xe7ccf5f0,0x5449a36f,0x877d48fa,0xc39dfd27,0xf33e8d1e,0xa476341,0x992eff74,0x3a6f6eab,0xf4f8fd37,0xa812dc60,0xa1ebddf8,0x991be14c,0xdb6e6b0d,0xc67b5510,0x6d672c37,0x2765d43b,0xdcd0e804,0xf1290dc7,0xcc00ffa3,0xb5390f92,0x690fed0b,0x667b9ffb,0xcedb7d9c,0xa091cf0b,0xd9155ea3,0xbb132f88,0x515bad24,0x7b9479bf,0x763bd6eb,0x37392eb3,0xcc115979,0x8026e297,0xf42e312d,0x6842ada7,0xc66a2b3b,0x12754ccc,0x782ef11c,0x6a124237,0xb79251e7,0x6a1bbe6,0x4bfb6350,0x1a6b1018,0x11caedfa,0x3d25bdd8,0xe2e1c3c9,0x44421659,0xa121386,0xd90cec6e,0xd5abea2a,0x64af674e,0xda86a85f,0xbebfe988,0x64e4c3fe,0x9dbc8057,0xf0f7c086,0x60787bf8,0x6003604d,0xd1fd8346,0xf6381fb0,0x7745ae04,0xd736fccc,0x83426b33,0xf01eab71,0xb0804187,0x3c005e5f,0x77a057be,0xbde8ae24,0x55464299,0xbf582e61,0x4e58f48f,0xf2ddfda2,0xf474ef38,0x8789bdc2,0x5366f9c3,0xc8b38e74,0xb475f255,0x46fcd9b9,0x7aeb2661,0x8b1ddf84,0x846a0e79,0x915f95e2,0x466e598e,0x20b45770,0x8cd55591,0xc902de4c,0xb90bace1,0xbb8205d0,0x11a86248,0x7574a99e,0xb77f19b6,0xe0a9dc09,0x662d09a1,0xc4324633,0xe85a1f02,0x9f0be8c,0x4a99a025,0x1d6efe10,0x1ab93d1d,0xba5a4df,0xa186f20f,0x2868f169,0xdcb7da83,0x573906fe,0xa1e2ce9b,0x4fcd7f52,0x50115e01,0xa70683fa,0xa002b5c4,0xde6d027,0x9af88c27,0x773f8641,0xc3604c06,0x61a806b5,0xf0177a28,0xc0f586e0,0x6058aa,0x30dc7d62,0x11e69ed7,0x2338ea63,0x53c2dd94,0xc2c21634,0xbbcbee56,0x90bcb6de,0xebfc7da1,0xce591d76,0x6f05e409,0x4b7c0188,0x39720a3d,0x7c927c24,0x86e3725f,0x724d9db9,0x1ac15bb4,0xd39eb8fc,0xed545578,0x8fca5b5,0xd83d7cd3,0x4dad0fc4,0x1e50ef5e,0xb161e6f8,0xa28514d9,0x6c51133c,0x6fd5c7e7,0x56e14ec4,0x362abfce,0xddc6c837,0xd79a3234,0x92638212,0x670efa8e,0x406000e0],[0x3a39ce37,0xd3faf5cf,0xabc27737,0x5ac52d1b,0x5cb0679e,0x4fa33742,0xd3822740,0x99bc9bbe,0xd5118e9d,0xbf0f7315,0xd62d1c7e,0xc700c47b,0xb78c1b6b,0x21a19045,0xb26eb1be,0x6a366eb4,0x5748ab2f,0xbc946e79,0xc6a376d2,0x6549c2c8,0x530ff8ee,0x468dde7d,0xd5730a1d,0x4cd04dc6,0x2939bbdb,0xa9ba4650,0xac9526e8,0xbe5ee304,0xa1fad5f0,0x6a2d519a,0x63ef8ce2,0x9a86ee22,0xc089c2b8,0x43242ef6,0xa51e03aa,0x9cf2d0a4,0x83c061ba,0x9be96a4d,0x8fe51550,0xba645bd6,0x2826a2f9,0xa73a3ae1,0x4ba99586,0xef5562e9,0xc72fefd3,0xf752f7da,0x3f046f69,0x77fa0a59,0x80e4a915,0x87b08601,0x9b09e6ad,0x3b3ee593,0xe990fd5a,0x9e34d797,0x2cf0b7d9,0x22b8b51,0x96d5ac3a,0x17da67d,0xd1cf3ed6,0x7c7d2d28,0x1f9f25cf,0xadf2b89b,0x5ad6b472,0x5a88f54c,0xe029ac71,0xe019a5e6,0x47b0acfd,0xed93fa9b,0xe8d3c48d,0x283b57cc,0xf8d56629,0x79132e28,0x785f0191,0xed756055,0xf7960e44,0xe3d35e8c,0x15056dd4,0x88f46dba,0x3a16125,0x564f0bd,0xc3eb9e15,0x3c9057a2,0x97271aec,0xa93a072a,0x1b3f6d9b,0x1e6321f5,0xf59c66fb,0x26dcf319,0x7533d928,0xb155fdf5,0x3563482,0x8aba3cbb,0x28517711,0xc20ad9f8,0xabcc5167,0xccad925f,0x4de81751,0x3830dc8e,0x379d5862,0x9320f991,0xea7a90c2,0xfb3e7bce,0x5121ce64,0x774fbe32,0xa8b6e37e,0xc3293d46,0x48de5369,0x6413e680,0xa2ae0810,0xdd6db224,0x69852dfd,0x9072166,0xb39a460a,0x6445c0dd,0x586cdecf,0x1c20c8ae,0x5bbef7dd,0x1b588d40,0xccd2017f,0x6bb4e3bb,0xdda26a7e,0x3a59ff45,0x3e350a44,0xbcb4cdd5,0x72eacea8,0xfa6484bb,0x8d6612ae,0xbf3c6f47,0xd29be463,0x542f5d9e,0xaec2771b,0xf64e6370,0x740e0d8d,0xe75b1357,0xf8721671,0xaf537d5d,0x4040cb08,0x4eb4e2cc,0x34d2466a,0x115af84,0xe1b00428,0x95983a1d,0x6b89fb4,0xce6ea048,0x6f3f3b82,0x3520ab82,0x11a1d4b,0x277227f8,0x611560b1,0xe7933fdc,0xbb3a792b,0x344525bd,0xa08839e1,0x51ce794b,0x2f32c9b7,0xa01fbac9,0xe01cc87e,0xbcc7d1f6,0xcf0111c3,0xa1e8aac7,0x1a908749,0xd44fbd9a,0xd0dadecb,0xd50ada38,0x339c32a,0xc6913667,0x8df9317c,0xe0b12b4f,0xf79e59b7,0x43f5bb3a,0xf2d519ff,0x27d9459c,0xbf97222c,0x15e6fc2a,0xf91fc71,0x9b941525,0xfae59361,0xceb69ceb,0xc2a86459,0x12baa8d1,0xb6c1075e,0xe3056a0c,0x10d25065,0xcb03a442,0xe0ec6e0e,0x1698db3b,0x4c98a0be,0x3278e964,0x9f1f9532,0xe0d392df,0xd3a0342b,0x8971f21e,0x1b0a7441,0x4ba3348c,0xc5be7120,0xc37632d8,0xdf359f8d,0x9b992f2e,0xe60b6f47,0xfe3f11d,0xe54cda54,0x1edad891,0xce6279cf,0xcd3e7e6f,0x1618b166,0xfd2c1d05,0x848fd2c5,0xf6fb2299,0xf523f357,0xa6327623,0x93a83531,0x56cccd02,0xacf08162,0x5a75ebb5,0x6e163697,0x88d273cc,0xde966292,0x81b949d0,0x4c50901b,0x71c65614,0xe6c6c7bd,0x327a140a,0x45e1d006,0xc3f27b9a,0xc9aa53fd,0x62a80f00,0xbb25bfe2,0x35bdd2f6,0x71126905,0xb2040222,0xb6cbcf7c,0xcd769c2b,0x53113ec0,0x1640e3d3,0x38abbd60,0x2547adf0,0xba38209c,0xf746ce76,0x77afa1c5,0x20756060,0x85cbfe4e,0x8ae88dd8,0x7aaaf9b0,0x4cf9aa7e,0x1948c25c,0x2fb8a8c,0x1c36ae4,0xd6ebe1f9,0x90d4f869,0xa65cdea0,0x3f09252d,0xc208e69f,0xb74e6132,0xce77e25b,0x578fdfe3,0x3ac372e6]];var _0x22ab3f={'pbox':[],'sbox':[]};function _0xa4b370(_0x256637,_0x4e4f15){var _0x584095=_0x26bc97;let _0x20b6cc=_0x4e4f15>>0x18&0xff,_0x5a8ef9=_0x4e4f15>>0x10&0xff,_0x273a62=_0x4e4f15>>0x8&0xff,_0x54577c=0xff&_0x4e4f15,_0x2d6e82=_0x256637[_0x584095(0x222)][0x0][_0x20b6cc]+_0x256637[_0x584095(0x222)][0x1][_0x5a8ef9];return _0x2d6e82^=_0x256637['sbox'][0x2][_0x273a62],_0x2d6e82+=_0x256637[_0x584095(0x222)][0x3][_0x54577c],_0x2d6e82;}function _0x8b0b49(_0x2158e6,_0x1060b7,_0x42e317){var _0x5194e6=_0x26bc97;let _0xfeec23,_0x299414=_0x1060b7,_0x124e74=_0x42e317;for(let _0xca7160=0x0;_0xca7160<_0x263631;++_0xca7160)_0x299414^=_0x2158e6[_0x5194e6(0x231)][_0xca7160],_0x124e74=_0xa4b370(_0x2158e6,_0x299414)^_0x124e74,_0xfeec23=_0x299414,_0x299414=_0x124e74,_0x124e74=_0xfeec23;return _0xfeec23=_0x299414,_0x299414=_0x124e74,_0x124e74=_0xfeec23,_0x124e74^=_0x2158e6[_0x5194e6(0x231)][_0x263631],_0x299414^=_0x2158e6[_0x5194e6(0x231)][0x11],{'left':_0x299414,'right':_0x124e74};}var _0x43240b=_0x33b0dd[_0x26bc97(0x341)]=_0x116aa3['extend']({'_doReset':function(){var _0x45bbf3=_0x26bc97;if(this[_0x45bbf3(0xd6)]!==this[_0x45bbf3(0x81)]){var _0x442bd7=this[_0x45bbf3(0xd6)]=this[_0x45bbf3(0x81)],_0x5ced04=_0x442bd7[_0x45bbf3(0x31d)],_0x294ca2=_0x442bd7[_0x45bbf3(0x367)]/0x4;!function(_0x510b50,_0x511e29,_0x3c4967){var _0x4075c8=_0x45bbf3;for(let _0x302133=0x0;_0x302133<0x4;_0x302133++){_0x510b50[_0x4075c8(0x222)][_0x302133]=[];for(let _0x355d48=0x0;_0x355d48<0x100;_0x355d48++)_0x510b50['sbox'][_0x302133][_0x355d48]=_0x28b6a6[_0x302133][_0x355d48];}let _0x5f44ce=0x0;for(let _0x54de86=0x0;_0x54de86<0x12;_0x54de86++)_0x510b50[_0x4075c8(0x231)][_0x54de86]=_0x547278[_0x54de86]^_0x511e29[_0x5f44ce],_0x5f44ce++,_0x5f44ce>=_0x3c4967&&(_0x5f44ce=0x0);let _0xb39473=0x0,_0x5a5801=0x0,_0x4cd232=0x0;for(let _0x133105=0x0;_0x133105<0x12;_0x133105+=0x2)_0x4cd232=_0x8b0b49(_0x510b50,_0xb39473,_0x5a5801),_0xb39473=_0x4cd232[_0x4075c8(0x2ae)],_0x5a5801=_0x4cd232['right'],_0x510b50[_0x4075c8(0x231)][_0x133105]=_0xb39473,_0x510b50['pbox'][_0x133105+0x1]=_0x5a5801;for(let _0x2c42c0=0x0;_0x2c42c0<0x4;_0x2c42c0++)for(let _0x361cc6=0x0;_0x361cc6<0x100;_0x361cc6+=0x2)_0x4cd232=_0x8b0b49(_0x510b50,_0xb39473,_0x5a5801),_0xb39473=_0x4cd232[_0x4075c8(0x2ae)],_0x5a5801=_0x4cd232[_0x4075c8(0x1c6)],_0x510b50['sbox'][_0x2c42c0][_0x361cc6]=_0xb39473,_0x510b50['sbox'][_0x2c42c0][_0x361cc6+0x1]=_0x5a5801;}(_0x22ab3f,_0x5ced04,_0x294ca2);}},'encryptBlock':function(_0x270829,_0x3d0611){var _0x4651a0=_0x26bc97,_0x35093d=_0x8b0b49(_0x22ab3f,_0x270829[_0x3d0611],_0x270829[_0x3d0611+0x1]);_0x270829[_0x3d0611]=_0x35093d['left'],_0x270829[_0x3d0611+0x1]=_0x35093d[_0x4651a0(0x1c6)];},'decryptBlock':function(_0x175e69,_0x1bcabe){var _0x96e005=_0x26bc97,_0x282013=function(_0x31a374,_0x1bbf8f,_0x2f6dc0){var _0x155721=a0_0x4968;let _0x527470,_0x916153=_0x1bbf8f,_0xfc639=_0x2f6dc0;for(let _0x461120=0x11;_0x461120>0x1;--_0x461120)_0x916153^=_0x31a374[_0x155721(0x231)][_0x461120],_0xfc639=_0xa4b370(_0x31a374,_0x916153)^_0xfc639,_0x527470=_0x916153,_0x916153=_0xfc639,_0xfc639=_0x527470;return _0x527470=_0x916153,_0x916153=_0xfc639,_0xfc639=_0x527470,_0xfc639^=_0x31a374[_0x155721(0x231)][0x1],_0x916153^=_0x31a374[_0x155721(0x231)][0x0],{'left':_0x916153,'right':_0xfc639};}(_0x22ab3f,_0x175e69[_0x1bcabe],_0x175e69[_0x1bcabe+0x1]);_0x175e69[_0x1bcabe]=_0x282013[_0x96e005(0x2ae)],_0x175e69[_0x1bcabe+0x1]=_0x282013['right'];},'blockSize':0x2,'keySize':0x4,'ivSize':0x2});_0x52c246[_0x26bc97(0x341)]=_0x116aa3[_0x26bc97(0x125)](_0x43240b);}()),_0x24ace9['Blowfish']);},0xc45(_0x5bde8f,_0x598182,_0x200cc2){'use strict';var _0x3019b8=a0_0x4968;var _0x1fd09f=_0x200cc2(0x138b)[_0x3019b8(0x2ff)],_0x5527a4=_0x1fd09f[_0x3019b8(0x9d)]||function(_0x20b79f){var _0x52fc57=_0x3019b8;switch((_0x20b79f=''+_0x20b79f)&&_0x20b79f[_0x52fc57(0x205)]()){case _0x52fc57(0xd8):case _0x52fc57(0x229):case _0x52fc57(0x1d1):case'ascii':case _0x52fc57(0x31b):case _0x52fc57(0x41c):case'ucs2':case _0x52fc57(0x24c):case _0x52fc57(0x159):case'utf-16le':case _0x52fc57(0xb3):return!0x0;default:return!0x1;}};function _0x1fb90e(_0x1c2459){var _0x46a7c6=_0x3019b8,_0x3ab44a;switch(this['encoding']=function(_0x5bcaab){var _0x120ba5=a0_0x4968,_0x490be2=function(_0x28fece){var _0x327231=a0_0x4968;if(!_0x28fece)return'utf8';for(var _0xa6113f;;)switch(_0x28fece){case _0x327231(0x229):case _0x327231(0x1d1):return _0x327231(0x229);case'ucs2':case'ucs-2':case _0x327231(0x159):case _0x327231(0x311):return _0x327231(0x159);case _0x327231(0x280):case _0x327231(0x31b):return _0x327231(0x280);case _0x327231(0x41c):case _0x327231(0x343):case _0x327231(0xd8):return _0x28fece;default:if(_0xa6113f)return;_0x28fece=(''+_0x28fece)[_0x327231(0x205)](),_0xa6113f=!0x0;}}(_0x5bcaab);if(_0x120ba5(0x40d)!=typeof _0x490be2&&(_0x1fd09f[_0x120ba5(0x9d)]===_0x5527a4||!_0x5527a4(_0x5bcaab)))throw new Error(_0x120ba5(0x10b)+_0x5bcaab);return _0x490be2||_0x5bcaab;}(_0x1c2459),this[_0x46a7c6(0x310)]){case _0x46a7c6(0x159):this['text']=_0x56d565,this[_0x46a7c6(0xd0)]=_0x1f840e,_0x3ab44a=0x4;break;case'utf8':this['fillLast']=_0x229fa5,_0x3ab44a=0x4;break;case _0x46a7c6(0x41c):this[_0x46a7c6(0x259)]=_0xe6ebeb,this[_0x46a7c6(0xd0)]=_0x56861c,_0x3ab44a=0x3;break;default:return this[_0x46a7c6(0x2aa)]=_0x27487f,void(this[_0x46a7c6(0xd0)]=_0x3bed87);}this[_0x46a7c6(0x219)]=0x0,this[_0x46a7c6(0x191)]=0x0,this[_0x46a7c6(0x2a1)]=_0x1fd09f[_0x46a7c6(0x141)](_0x3ab44a);}function _0x280049(_0x358ed4){return _0x358ed4<=0x7f?0x0:_0x358ed4>>0x5==0x6?0x2:_0x358ed4>>0x4==0xe?0x3:_0x358ed4>>0x3==0x1e?0x4:_0x358ed4>>0x6==0x2?-0x1:-0x2;}function _0x229fa5(_0x15b307){var _0x31d10f=_0x3019b8,_0x39c138=this['lastTotal']-this[_0x31d10f(0x219)],_0x269628=function(_0x507e17,_0x474753){var _0x4927fa=_0x31d10f;if(0x80!=(0xc0&_0x474753[0x0]))return _0x507e17[_0x4927fa(0x219)]=0x0,'�';if(_0x507e17[_0x4927fa(0x219)]>0x1&&_0x474753[_0x4927fa(0x3a3)]>0x1){if(0x80!=(0xc0&_0x474753[0x1]))return _0x507e17[_0x4927fa(0x219)]=0x1,'�';if(_0x507e17[_0x4927fa(0x219)]>0x2&&_0x474753['length']>0x2&&0x80!=(0xc0&_0x474753[0x2]))return _0x507e17[_0x4927fa(0x219)]=0x2,'�';}}(this,_0x15b307);return void 0x0!==_0x269628?_0x269628:this[_0x31d10f(0x219)]<=_0x15b307[_0x31d10f(0x3a3)]?(_0x15b307[_0x31d10f(0x333)](this[_0x31d10f(0x2a1)],_0x39c138,0x0,this['lastNeed']),this[_0x31d10f(0x2a1)][_0x31d10f(0x38c)](this[_0x31d10f(0x310)],0x0,this['lastTotal'])):(_0x15b307[_0x31d10f(0x333)](this[_0x31d10f(0x2a1)],_0x39c138,0x0,_0x15b307['length']),void(this['lastNeed']-=_0x15b307['length']));}function _0x56d565(_0x27fb76,_0x3d8763){var _0x3a9b46=_0x3019b8;if((_0x27fb76[_0x3a9b46(0x3a3)]-_0x3d8763)%0x2==0x0){var _0x537716=_0x27fb76[_0x3a9b46(0x38c)](_0x3a9b46(0x159),_0x3d8763);if(_0x537716){var _0x4526cd=_0x537716['charCodeAt'](_0x537716[_0x3a9b46(0x3a3)]-0x1);if(_0x4526cd>=0xd800&&_0x4526cd<=0xdbff)return this[_0x3a9b46(0x219)]=0x2,this[_0x3a9b46(0x191)]=0x4,this[_0x3a9b46(0x2a1)][0x0]=_0x27fb76[_0x27fb76['length']-0x2],this[_0x3a9b46(0x2a1)][0x1]=_0x27fb76[_0x27fb76[_0x3a9b46(0x3a3)]-0x1],_0x537716[_0x3a9b46(0x2da)](0x0,-0x1);}return _0x537716;}return this[_0x3a9b46(0x219)]=0x1,this[_0x3a9b46(0x191)]=0x2,this[_0x3a9b46(0x2a1)][0x0]=_0x27fb76[_0x27fb76[_0x3a9b46(0x3a3)]-0x1],_0x27fb76['toString']('utf16le',_0x3d8763,_0x27fb76['length']-0x1);}function _0x1f840e(_0x3f55dd){var _0x102a68=_0x3019b8,_0x30bfab=_0x3f55dd&&_0x3f55dd[_0x102a68(0x3a3)]?this['write'](_0x3f55dd):'';if(this['lastNeed']){var _0x5c958f=this['lastTotal']-this[_0x102a68(0x219)];return _0x30bfab+this['lastChar']['toString']('utf16le',0x0,_0x5c958f);}return _0x30bfab;}function _0xe6ebeb(_0x206110,_0x47a2c2){var _0x4dc558=_0x3019b8,_0xf150b0=(_0x206110[_0x4dc558(0x3a3)]-_0x47a2c2)%0x3;return 0x0===_0xf150b0?_0x206110['toString'](_0x4dc558(0x41c),_0x47a2c2):(this[_0x4dc558(0x219)]=0x3-_0xf150b0,this[_0x4dc558(0x191)]=0x3,0x1===_0xf150b0?this[_0x4dc558(0x2a1)][0x0]=_0x206110[_0x206110[_0x4dc558(0x3a3)]-0x1]:(this[_0x4dc558(0x2a1)][0x0]=_0x206110[_0x206110[_0x4dc558(0x3a3)]-0x2],this['lastChar'][0x1]=_0x206110[_0x206110['length']-0x1]),_0x206110[_0x4dc558(0x38c)](_0x4dc558(0x41c),_0x47a2c2,_0x206110[_0x4dc558(0x3a3)]-_0xf150b0));}function _0x56861c(_0x3080c6){var _0x1eca11=_0x3019b8,_0x1eb1ed=_0x3080c6&&_0x3080c6['length']?this[_0x1eca11(0x2aa)](_0x3080c6):'';return this[_0x1eca11(0x219)]?_0x1eb1ed+this[_0x1eca11(0x2a1)][_0x1eca11(0x38c)]('base64',0x0,0x3-this[_0x1eca11(0x219)]):_0x1eb1ed;}function _0x27487f(_0x3d6860){return _0x3d6860['toString'](this['encoding']);}function _0x3bed87(_0x493080){var _0x27fe95=_0x3019b8;return _0x493080&&_0x493080[_0x27fe95(0x3a3)]?this['write'](_0x493080):'';}_0x598182['I']=_0x1fb90e,_0x1fb90e[_0x3019b8(0x348)][_0x3019b8(0x2aa)]=function(_0x196de8){var _0x58e53b=_0x3019b8;if(0x0===_0x196de8['length'])return'';var _0xc15e4b,_0x536fdf;if(this[_0x58e53b(0x219)]){if(void 0x0===(_0xc15e4b=this[_0x58e53b(0x167)](_0x196de8)))return'';_0x536fdf=this[_0x58e53b(0x219)],this['lastNeed']=0x0;}else _0x536fdf=0x0;return _0x536fdf<_0x196de8['length']?_0xc15e4b?_0xc15e4b+this[_0x58e53b(0x259)](_0x196de8,_0x536fdf):this[_0x58e53b(0x259)](_0x196de8,_0x536fdf):_0xc15e4b||'';},_0x1fb90e['prototype']['end']=function(_0x389e62){var _0x2d61a8=_0x3019b8,_0x26663a=_0x389e62&&_0x389e62['length']?this[_0x2d61a8(0x2aa)](_0x389e62):'';return this[_0x2d61a8(0x219)]?_0x26663a+'�':_0x26663a;},_0x1fb90e[_0x3019b8(0x348)][_0x3019b8(0x259)]=function(_0x2c5213,_0x2f08e2){var _0x56d0c6=_0x3019b8,_0x1b1a71=function(_0x554734,_0x46f252,_0x2658a6){var _0x1c82e0=a0_0x4968,_0xdf6d38=_0x46f252['length']-0x1;if(_0xdf6d38<_0x2658a6)return 0x0;var _0x1b3e4c=_0x280049(_0x46f252[_0xdf6d38]);return _0x1b3e4c>=0x0?(_0x1b3e4c>0x0&&(_0x554734['lastNeed']=_0x1b3e4c-0x1),_0x1b3e4c):--_0xdf6d38<_0x2658a6||-0x2===_0x1b3e4c?0x0:(_0x1b3e4c=_0x280049(_0x46f252[_0xdf6d38]))>=0x0?(_0x1b3e4c>0x0&&(_0x554734['lastNeed']=_0x1b3e4c-0x2),_0x1b3e4c):--_0xdf6d38<_0x2658a6||-0x2===_0x1b3e4c?0x0:(_0x1b3e4c=_0x280049(_0x46f252[_0xdf6d38]))>=0x0?(_0x1b3e4c>0x0&&(0x2===_0x1b3e4c?_0x1b3e4c=0x0:_0x554734[_0x1c82e0(0x219)]=_0x1b3e4c-0x3),_0x1b3e4c):0x0;}(this,_0x2c5213,_0x2f08e2);if(!this[_0x56d0c6(0x219)])return _0x2c5213[_0x56d0c6(0x38c)](_0x56d0c6(0x229),_0x2f08e2);this['lastTotal']=_0x1b1a71;var _0x37ef32=_0x2c5213[_0x56d0c6(0x3a3)]-(_0x1b1a71-this[_0x56d0c6(0x219)]);return _0x2c5213['copy'](this['lastChar'],0x0,_0x37ef32),_0x2c5213[_0x56d0c6(0x38c)](_0x56d0c6(0x229),_0x2f08e2,_0x37ef32);},_0x1fb90e[_0x3019b8(0x348)]['fillLast']=function(_0x16a964){var _0x33b2e4=_0x3019b8;if(this[_0x33b2e4(0x219)]<=_0x16a964[_0x33b2e4(0x3a3)])return _0x16a964[_0x33b2e4(0x333)](this['lastChar'],this[_0x33b2e4(0x191)]-this['lastNeed'],0x0,this[_0x33b2e4(0x219)]),this[_0x33b2e4(0x2a1)][_0x33b2e4(0x38c)](this[_0x33b2e4(0x310)],0x0,this[_0x33b2e4(0x191)]);_0x16a964[_0x33b2e4(0x333)](this['lastChar'],this[_0x33b2e4(0x191)]-this[_0x33b2e4(0x219)],0x0,_0x16a964[_0x33b2e4(0x3a3)]),this['lastNeed']-=_0x16a964[_0x33b2e4(0x3a3)];};},0xca8(_0x946f9d,_0xdc340,_0x1ea09e){var _0x5230d9=a0_0x4968,_0x2ec60d,_0x521b5f,_0x61558c,_0x5b352a,_0x4216eb,_0x45c9d9;_0x946f9d[_0x5230d9(0x33f)]=(_0x2ec60d=_0x1ea09e(0x233d),_0x61558c=(_0x521b5f=_0x2ec60d)[_0x5230d9(0x395)],_0x5b352a=_0x61558c['Base'],_0x4216eb=_0x61558c[_0x5230d9(0x1cb)],(_0x45c9d9=_0x521b5f[_0x5230d9(0x30a)]={})[_0x5230d9(0x20c)]=_0x5b352a['extend']({'init':function(_0x4bc803,_0x4bd079){var _0x3b98cb=_0x5230d9;this[_0x3b98cb(0x2fc)]=_0x4bc803,this[_0x3b98cb(0x80)]=_0x4bd079;}}),_0x45c9d9[_0x5230d9(0x1cb)]=_0x5b352a[_0x5230d9(0x193)]({'init':function(_0xb1a7cc,_0x158190){var _0x31414f=_0x5230d9;_0xb1a7cc=this[_0x31414f(0x31d)]=_0xb1a7cc||[],this[_0x31414f(0x367)]=null!=_0x158190?_0x158190:0x8*_0xb1a7cc[_0x31414f(0x3a3)];},'toX32':function(){var _0x1d9089=_0x5230d9;for(var _0x426b0e=this[_0x1d9089(0x31d)],_0x31c594=_0x426b0e[_0x1d9089(0x3a3)],_0x152f8f=[],_0x208a3c=0x0;_0x208a3c<_0x31c594;_0x208a3c++){var _0x243298=_0x426b0e[_0x208a3c];_0x152f8f['push'](_0x243298[_0x1d9089(0x2fc)]),_0x152f8f[_0x1d9089(0x3c5)](_0x243298['low']);}return _0x4216eb[_0x1d9089(0x1c3)](_0x152f8f,this[_0x1d9089(0x367)]);},'clone':function(){var _0x1a8615=_0x5230d9;for(var _0x1b5fcb=_0x5b352a[_0x1a8615(0x173)]['call'](this),_0x48788b=_0x1b5fcb[_0x1a8615(0x31d)]=this[_0x1a8615(0x31d)]['slice'](0x0),_0xc7817e=_0x48788b[_0x1a8615(0x3a3)],_0x276274=0x0;_0x276274<_0xc7817e;_0x276274++)_0x48788b[_0x276274]=_0x48788b[_0x276274]['clone']();return _0x1b5fcb;}}),_0x2ec60d);},0xe61(_0x43668c,_0x2dd540,_0x25fa4f){'use strict';var _0x337e2d=a0_0x4968;_0x43668c[_0x337e2d(0x33f)]=_0x549e82;var _0x2f9a22=_0x25fa4f(0x237b);function _0x549e82(_0x4846d6){var _0xda31eb=_0x337e2d;if(!(this instanceof _0x549e82))return new _0x549e82(_0x4846d6);_0x2f9a22[_0xda31eb(0x158)](this,_0x4846d6);}_0x25fa4f(0x1a2a)(_0x549e82,_0x2f9a22),_0x549e82[_0x337e2d(0x348)][_0x337e2d(0x3b7)]=function(_0x58a010,_0x244429,_0x3429b4){_0x3429b4(null,_0x58a010);};},0xec3(){},0xed5(_0x952f60,_0x3277cb,_0x386d98){var _0x2075e3=a0_0x4968,_0x30cc30,_0x5764a7,_0x22a1d8;_0x952f60[_0x2075e3(0x33f)]=(_0x22a1d8=_0x386d98(0x233d),_0x386d98(0x1bfd),_0x22a1d8[_0x2075e3(0x279)]['OFB']=(_0x5764a7=(_0x30cc30=_0x22a1d8['lib'][_0x2075e3(0x244)][_0x2075e3(0x193)]())[_0x2075e3(0x3f6)]=_0x30cc30[_0x2075e3(0x193)]({'processBlock':function(_0x2aa878,_0x2b50a3){var _0x5d4a74=_0x2075e3,_0x1fe775=this[_0x5d4a74(0x2fa)],_0x4f997b=_0x1fe775[_0x5d4a74(0x1fc)],_0x3d84da=this[_0x5d4a74(0x35b)],_0x4e2c98=this['_keystream'];_0x3d84da&&(_0x4e2c98=this[_0x5d4a74(0x7e)]=_0x3d84da[_0x5d4a74(0x2da)](0x0),this['_iv']=void 0x0),_0x1fe775[_0x5d4a74(0x27b)](_0x4e2c98,0x0);for(var _0x374116=0x0;_0x374116<_0x4f997b;_0x374116++)_0x2aa878[_0x2b50a3+_0x374116]^=_0x4e2c98[_0x374116];}}),_0x30cc30[_0x2075e3(0x19a)]=_0x5764a7,_0x30cc30),_0x22a1d8['mode'][_0x2075e3(0x270)]);},0x10a1(_0x24e97b,_0x57f4eb,_0x1d10cc){'use strict';var _0x17735b=a0_0x4968;var _0x1f0bf3=_0x1d10cc(0x99f)['F'][_0x17735b(0x92)];function _0x2df86d(){}_0x24e97b[_0x17735b(0x33f)]=function _0x1f6470(_0x318280,_0x1c3983,_0x5f211a){var _0xfce364=_0x17735b;if(_0xfce364(0x28d)==typeof _0x1c3983)return _0x1f6470(_0x318280,null,_0x1c3983);_0x1c3983||(_0x1c3983={}),_0x5f211a=function(_0x44be38){var _0x4b9b2e=!0x1;return function(){var _0x43c547=a0_0x4968;if(!_0x4b9b2e){_0x4b9b2e=!0x0;for(var _0x294135=arguments[_0x43c547(0x3a3)],_0x375aee=new Array(_0x294135),_0x3d2d8c=0x0;_0x3d2d8c<_0x294135;_0x3d2d8c++)_0x375aee[_0x3d2d8c]=arguments[_0x3d2d8c];_0x44be38[_0x43c547(0xfb)](this,_0x375aee);}};}(_0x5f211a||_0x2df86d);var _0x10994f=_0x1c3983[_0xfce364(0x27c)]||!0x1!==_0x1c3983['readable']&&_0x318280[_0xfce364(0x27c)],_0x3b4556=_0x1c3983[_0xfce364(0x2e5)]||!0x1!==_0x1c3983['writable']&&_0x318280['writable'],_0x30973b=function(){var _0x1b4c51=_0xfce364;_0x318280[_0x1b4c51(0x2e5)]||_0x1c93c7();},_0x102f10=_0x318280[_0xfce364(0x3ef)]&&_0x318280[_0xfce364(0x3ef)]['finished'],_0x1c93c7=function(){_0x3b4556=!0x1,_0x102f10=!0x0,_0x10994f||_0x5f211a['call'](_0x318280);},_0x307b23=_0x318280[_0xfce364(0x105)]&&_0x318280[_0xfce364(0x105)]['endEmitted'],_0x574441=function(){_0x10994f=!0x1,_0x307b23=!0x0,_0x3b4556||_0x5f211a['call'](_0x318280);},_0x36a697=function(_0x59cba0){_0x5f211a['call'](_0x318280,_0x59cba0);},_0x4a30f9=function(){var _0x2e5b89=_0xfce364,_0x5a999d;return _0x10994f&&!_0x307b23?(_0x318280[_0x2e5b89(0x105)]&&_0x318280[_0x2e5b89(0x105)][_0x2e5b89(0x3fd)]||(_0x5a999d=new _0x1f0bf3()),_0x5f211a[_0x2e5b89(0x158)](_0x318280,_0x5a999d)):_0x3b4556&&!_0x102f10?(_0x318280[_0x2e5b89(0x3ef)]&&_0x318280[_0x2e5b89(0x3ef)][_0x2e5b89(0x3fd)]||(_0x5a999d=new _0x1f0bf3()),_0x5f211a[_0x2e5b89(0x158)](_0x318280,_0x5a999d)):void 0x0;},_0x277485=function(){var _0x4dc202=_0xfce364;_0x318280['req']['on'](_0x4dc202(0x313),_0x1c93c7);};return function(_0x59a157){var _0x1e9bff=_0xfce364;return _0x59a157[_0x1e9bff(0xae)]&&_0x1e9bff(0x28d)==typeof _0x59a157[_0x1e9bff(0x168)];}(_0x318280)?(_0x318280['on'](_0xfce364(0x189),_0x1c93c7),_0x318280['on'](_0xfce364(0x168),_0x4a30f9),_0x318280[_0xfce364(0x175)]?_0x277485():_0x318280['on'](_0xfce364(0x3b0),_0x277485)):_0x3b4556&&!_0x318280['_writableState']&&(_0x318280['on'](_0xfce364(0xd0),_0x30973b),_0x318280['on']('close',_0x30973b)),_0x318280['on'](_0xfce364(0xd0),_0x574441),_0x318280['on']('finish',_0x1c93c7),!0x1!==_0x1c3983[_0xfce364(0x3d8)]&&_0x318280['on'](_0xfce364(0x3d8),_0x36a697),_0x318280['on'](_0xfce364(0x33e),_0x4a30f9),function(){var _0x5ea444=_0xfce364;_0x318280['removeListener']('complete',_0x1c93c7),_0x318280[_0x5ea444(0x19f)](_0x5ea444(0x168),_0x4a30f9),_0x318280[_0x5ea444(0x19f)]('request',_0x277485),_0x318280[_0x5ea444(0x175)]&&_0x318280[_0x5ea444(0x175)][_0x5ea444(0x19f)](_0x5ea444(0x313),_0x1c93c7),_0x318280[_0x5ea444(0x19f)]('end',_0x30973b),_0x318280[_0x5ea444(0x19f)]('close',_0x30973b),_0x318280[_0x5ea444(0x19f)](_0x5ea444(0x313),_0x1c93c7),_0x318280['removeListener'](_0x5ea444(0xd0),_0x574441),_0x318280[_0x5ea444(0x19f)](_0x5ea444(0x3d8),_0x36a697),_0x318280['removeListener'](_0x5ea444(0x33e),_0x4a30f9);};};},0x10fb(_0x49d0f2,_0x2180d1,_0x249159){'use strict';var _0x2d634d=a0_0x4968;var _0x55a181=_0x249159(0x15e6);function _0x40adee(_0x586881,_0x55333e){_0x4234ea(_0x586881,_0x55333e),_0x14e9b2(_0x586881);}function _0x14e9b2(_0x4c0455){var _0x1be147=a0_0x4968;_0x4c0455[_0x1be147(0x3ef)]&&!_0x4c0455[_0x1be147(0x3ef)]['emitClose']||_0x4c0455[_0x1be147(0x105)]&&!_0x4c0455[_0x1be147(0x105)]['emitClose']||_0x4c0455[_0x1be147(0xfa)](_0x1be147(0x33e));}function _0x4234ea(_0x9417d3,_0x4e3754){var _0x2159cf=a0_0x4968;_0x9417d3[_0x2159cf(0xfa)]('error',_0x4e3754);}_0x49d0f2[_0x2d634d(0x33f)]={'destroy':function(_0x16c479,_0x20cd91){var _0x1ffdfd=_0x2d634d,_0x1eb9e8=this,_0x29eb4a=this[_0x1ffdfd(0x105)]&&this[_0x1ffdfd(0x105)][_0x1ffdfd(0x12c)],_0x43c457=this[_0x1ffdfd(0x3ef)]&&this[_0x1ffdfd(0x3ef)][_0x1ffdfd(0x12c)];return _0x29eb4a||_0x43c457?(_0x20cd91?_0x20cd91(_0x16c479):_0x16c479&&(this['_writableState']?this[_0x1ffdfd(0x3ef)]['errorEmitted']||(this['_writableState'][_0x1ffdfd(0x3c3)]=!0x0,_0x55a181[_0x1ffdfd(0x286)](_0x4234ea,this,_0x16c479)):_0x55a181[_0x1ffdfd(0x286)](_0x4234ea,this,_0x16c479)),this):(this['_readableState']&&(this[_0x1ffdfd(0x105)][_0x1ffdfd(0x12c)]=!0x0),this[_0x1ffdfd(0x3ef)]&&(this[_0x1ffdfd(0x3ef)]['destroyed']=!0x0),this[_0x1ffdfd(0x264)](_0x16c479||null,function(_0x5c7a4a){var _0x485a53=_0x1ffdfd;!_0x20cd91&&_0x5c7a4a?_0x1eb9e8['_writableState']?_0x1eb9e8[_0x485a53(0x3ef)]['errorEmitted']?_0x55a181[_0x485a53(0x286)](_0x14e9b2,_0x1eb9e8):(_0x1eb9e8[_0x485a53(0x3ef)][_0x485a53(0x3c3)]=!0x0,_0x55a181[_0x485a53(0x286)](_0x40adee,_0x1eb9e8,_0x5c7a4a)):_0x55a181[_0x485a53(0x286)](_0x40adee,_0x1eb9e8,_0x5c7a4a):_0x20cd91?(_0x55a181[_0x485a53(0x286)](_0x14e9b2,_0x1eb9e8),_0x20cd91(_0x5c7a4a)):_0x55a181[_0x485a53(0x286)](_0x14e9b2,_0x1eb9e8);}),this);},'undestroy':function(){var _0x6e1ad5=_0x2d634d;this[_0x6e1ad5(0x105)]&&(this[_0x6e1ad5(0x105)]['destroyed']=!0x1,this[_0x6e1ad5(0x105)][_0x6e1ad5(0x309)]=!0x1,this[_0x6e1ad5(0x105)][_0x6e1ad5(0x3fd)]=!0x1,this['_readableState'][_0x6e1ad5(0x1b4)]=!0x1),this[_0x6e1ad5(0x3ef)]&&(this[_0x6e1ad5(0x3ef)][_0x6e1ad5(0x12c)]=!0x1,this[_0x6e1ad5(0x3ef)][_0x6e1ad5(0x3fd)]=!0x1,this[_0x6e1ad5(0x3ef)][_0x6e1ad5(0x335)]=!0x1,this[_0x6e1ad5(0x3ef)][_0x6e1ad5(0xde)]=!0x1,this[_0x6e1ad5(0x3ef)]['prefinished']=!0x1,this[_0x6e1ad5(0x3ef)][_0x6e1ad5(0x24d)]=!0x1,this[_0x6e1ad5(0x3ef)][_0x6e1ad5(0x3c3)]=!0x1);},'errorOrDestroy':function(_0x12651b,_0x2a3c55){var _0x1e5b6a=_0x2d634d,_0x13f93b=_0x12651b[_0x1e5b6a(0x105)],_0x41ae5f=_0x12651b[_0x1e5b6a(0x3ef)];_0x13f93b&&_0x13f93b[_0x1e5b6a(0x3e5)]||_0x41ae5f&&_0x41ae5f[_0x1e5b6a(0x3e5)]?_0x12651b[_0x1e5b6a(0x221)](_0x2a3c55):_0x12651b[_0x1e5b6a(0xfa)](_0x1e5b6a(0x3d8),_0x2a3c55);}};},0x121c(_0x229cae,_0x4634e8,_0x34d800){var _0x880997=a0_0x4968,_0x3d17aa;_0x229cae[_0x880997(0x33f)]=(_0x3d17aa=_0x34d800(0x233d),function(_0x2b94a6){var _0x12807d=_0x880997,_0x214628=_0x3d17aa,_0x1feded=_0x214628[_0x12807d(0x395)],_0x54ba0d=_0x1feded[_0x12807d(0x1cb)],_0x539e16=_0x1feded[_0x12807d(0x2ce)],_0x23a3bb=_0x214628[_0x12807d(0x261)],_0x5d182f=[];!(function(){var _0x4da16f=_0x12807d;for(var _0x59fa24=0x0;_0x59fa24<0x40;_0x59fa24++)_0x5d182f[_0x59fa24]=0x100000000*_0x2b94a6['abs'](_0x2b94a6[_0x4da16f(0x192)](_0x59fa24+0x1))|0x0;}());var _0x2b3c3f=_0x23a3bb['MD5']=_0x539e16[_0x12807d(0x193)]({'_doReset':function(){var _0x4f4187=_0x12807d;this[_0x4f4187(0x1e7)]=new _0x54ba0d[(_0x4f4187(0x2db))]([0x67452301,0xefcdab89,0x98badcfe,0x10325476]);},'_doProcessBlock':function(_0xbbfa99,_0x7d4e4b){var _0x131977=_0x12807d;for(var _0x3bf1a9=0x0;_0x3bf1a9<0x10;_0x3bf1a9++){var _0x3dbafd=_0x7d4e4b+_0x3bf1a9,_0x1e8038=_0xbbfa99[_0x3dbafd];_0xbbfa99[_0x3dbafd]=0xff00ff&(_0x1e8038<<0x8|_0x1e8038>>>0x18)|0xff00ff00&(_0x1e8038<<0x18|_0x1e8038>>>0x8);}var _0x56bba4=this['_hash'][_0x131977(0x31d)],_0x5b836c=_0xbbfa99[_0x7d4e4b+0x0],_0x51982a=_0xbbfa99[_0x7d4e4b+0x1],_0x580769=_0xbbfa99[_0x7d4e4b+0x2],_0x3a6b2f=_0xbbfa99[_0x7d4e4b+0x3],_0x2e0491=_0xbbfa99[_0x7d4e4b+0x4],_0x10bfed=_0xbbfa99[_0x7d4e4b+0x5],_0xfddf0d=_0xbbfa99[_0x7d4e4b+0x6],_0x44ffc3=_0xbbfa99[_0x7d4e4b+0x7],_0x15b99f=_0xbbfa99[_0x7d4e4b+0x8],_0x30281a=_0xbbfa99[_0x7d4e4b+0x9],_0x574625=_0xbbfa99[_0x7d4e4b+0xa],_0x57faba=_0xbbfa99[_0x7d4e4b+0xb],_0x522369=_0xbbfa99[_0x7d4e4b+0xc],_0x44e427=_0xbbfa99[_0x7d4e4b+0xd],_0xf6ba65=_0xbbfa99[_0x7d4e4b+0xe],_0x4ac983=_0xbbfa99[_0x7d4e4b+0xf],_0x509e6c=_0x56bba4[0x0],_0x3379bd=_0x56bba4[0x1],_0x33cadb=_0x56bba4[0x2],_0xeebfb5=_0x56bba4[0x3];_0x509e6c=_0x11c546(_0x509e6c,_0x3379bd,_0x33cadb,_0xeebfb5,_0x5b836c,0x7,_0x5d182f[0x0]),_0xeebfb5=_0x11c546(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0x51982a,0xc,_0x5d182f[0x1]),_0x33cadb=_0x11c546(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0x580769,0x11,_0x5d182f[0x2]),_0x3379bd=_0x11c546(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0x3a6b2f,0x16,_0x5d182f[0x3]),_0x509e6c=_0x11c546(_0x509e6c,_0x3379bd,_0x33cadb,_0xeebfb5,_0x2e0491,0x7,_0x5d182f[0x4]),_0xeebfb5=_0x11c546(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0x10bfed,0xc,_0x5d182f[0x5]),_0x33cadb=_0x11c546(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0xfddf0d,0x11,_0x5d182f[0x6]),_0x3379bd=_0x11c546(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0x44ffc3,0x16,_0x5d182f[0x7]),_0x509e6c=_0x11c546(_0x509e6c,_0x3379bd,_0x33cadb,_0xeebfb5,_0x15b99f,0x7,_0x5d182f[0x8]),_0xeebfb5=_0x11c546(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0x30281a,0xc,_0x5d182f[0x9]),_0x33cadb=_0x11c546(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0x574625,0x11,_0x5d182f[0xa]),_0x3379bd=_0x11c546(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0x57faba,0x16,_0x5d182f[0xb]),_0x509e6c=_0x11c546(_0x509e6c,_0x3379bd,_0x33cadb,_0xeebfb5,_0x522369,0x7,_0x5d182f[0xc]),_0xeebfb5=_0x11c546(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0x44e427,0xc,_0x5d182f[0xd]),_0x33cadb=_0x11c546(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0xf6ba65,0x11,_0x5d182f[0xe]),_0x509e6c=_0x28e99a(_0x509e6c,_0x3379bd=_0x11c546(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0x4ac983,0x16,_0x5d182f[0xf]),_0x33cadb,_0xeebfb5,_0x51982a,0x5,_0x5d182f[0x10]),_0xeebfb5=_0x28e99a(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0xfddf0d,0x9,_0x5d182f[0x11]),_0x33cadb=_0x28e99a(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0x57faba,0xe,_0x5d182f[0x12]),_0x3379bd=_0x28e99a(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0x5b836c,0x14,_0x5d182f[0x13]),_0x509e6c=_0x28e99a(_0x509e6c,_0x3379bd,_0x33cadb,_0xeebfb5,_0x10bfed,0x5,_0x5d182f[0x14]),_0xeebfb5=_0x28e99a(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0x574625,0x9,_0x5d182f[0x15]),_0x33cadb=_0x28e99a(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0x4ac983,0xe,_0x5d182f[0x16]),_0x3379bd=_0x28e99a(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0x2e0491,0x14,_0x5d182f[0x17]),_0x509e6c=_0x28e99a(_0x509e6c,_0x3379bd,_0x33cadb,_0xeebfb5,_0x30281a,0x5,_0x5d182f[0x18]),_0xeebfb5=_0x28e99a(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0xf6ba65,0x9,_0x5d182f[0x19]),_0x33cadb=_0x28e99a(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0x3a6b2f,0xe,_0x5d182f[0x1a]),_0x3379bd=_0x28e99a(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0x15b99f,0x14,_0x5d182f[0x1b]),_0x509e6c=_0x28e99a(_0x509e6c,_0x3379bd,_0x33cadb,_0xeebfb5,_0x44e427,0x5,_0x5d182f[0x1c]),_0xeebfb5=_0x28e99a(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0x580769,0x9,_0x5d182f[0x1d]),_0x33cadb=_0x28e99a(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0x44ffc3,0xe,_0x5d182f[0x1e]),_0x509e6c=_0x12762b(_0x509e6c,_0x3379bd=_0x28e99a(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0x522369,0x14,_0x5d182f[0x1f]),_0x33cadb,_0xeebfb5,_0x10bfed,0x4,_0x5d182f[0x20]),_0xeebfb5=_0x12762b(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0x15b99f,0xb,_0x5d182f[0x21]),_0x33cadb=_0x12762b(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0x57faba,0x10,_0x5d182f[0x22]),_0x3379bd=_0x12762b(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0xf6ba65,0x17,_0x5d182f[0x23]),_0x509e6c=_0x12762b(_0x509e6c,_0x3379bd,_0x33cadb,_0xeebfb5,_0x51982a,0x4,_0x5d182f[0x24]),_0xeebfb5=_0x12762b(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0x2e0491,0xb,_0x5d182f[0x25]),_0x33cadb=_0x12762b(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0x44ffc3,0x10,_0x5d182f[0x26]),_0x3379bd=_0x12762b(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0x574625,0x17,_0x5d182f[0x27]),_0x509e6c=_0x12762b(_0x509e6c,_0x3379bd,_0x33cadb,_0xeebfb5,_0x44e427,0x4,_0x5d182f[0x28]),_0xeebfb5=_0x12762b(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0x5b836c,0xb,_0x5d182f[0x29]),_0x33cadb=_0x12762b(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0x3a6b2f,0x10,_0x5d182f[0x2a]),_0x3379bd=_0x12762b(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0xfddf0d,0x17,_0x5d182f[0x2b]),_0x509e6c=_0x12762b(_0x509e6c,_0x3379bd,_0x33cadb,_0xeebfb5,_0x30281a,0x4,_0x5d182f[0x2c]),_0xeebfb5=_0x12762b(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0x522369,0xb,_0x5d182f[0x2d]),_0x33cadb=_0x12762b(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0x4ac983,0x10,_0x5d182f[0x2e]),_0x509e6c=_0x581de9(_0x509e6c,_0x3379bd=_0x12762b(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0x580769,0x17,_0x5d182f[0x2f]),_0x33cadb,_0xeebfb5,_0x5b836c,0x6,_0x5d182f[0x30]),_0xeebfb5=_0x581de9(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0x44ffc3,0xa,_0x5d182f[0x31]),_0x33cadb=_0x581de9(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0xf6ba65,0xf,_0x5d182f[0x32]),_0x3379bd=_0x581de9(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0x10bfed,0x15,_0x5d182f[0x33]),_0x509e6c=_0x581de9(_0x509e6c,_0x3379bd,_0x33cadb,_0xeebfb5,_0x522369,0x6,_0x5d182f[0x34]),_0xeebfb5=_0x581de9(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0x3a6b2f,0xa,_0x5d182f[0x35]),_0x33cadb=_0x581de9(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0x574625,0xf,_0x5d182f[0x36]),_0x3379bd=_0x581de9(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0x51982a,0x15,_0x5d182f[0x37]),_0x509e6c=_0x581de9(_0x509e6c,_0x3379bd,_0x33cadb,_0xeebfb5,_0x15b99f,0x6,_0x5d182f[0x38]),_0xeebfb5=_0x581de9(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0x4ac983,0xa,_0x5d182f[0x39]),_0x33cadb=_0x581de9(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0xfddf0d,0xf,_0x5d182f[0x3a]),_0x3379bd=_0x581de9(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0x44e427,0x15,_0x5d182f[0x3b]),_0x509e6c=_0x581de9(_0x509e6c,_0x3379bd,_0x33cadb,_0xeebfb5,_0x2e0491,0x6,_0x5d182f[0x3c]),_0xeebfb5=_0x581de9(_0xeebfb5,_0x509e6c,_0x3379bd,_0x33cadb,_0x57faba,0xa,_0x5d182f[0x3d]),_0x33cadb=_0x581de9(_0x33cadb,_0xeebfb5,_0x509e6c,_0x3379bd,_0x580769,0xf,_0x5d182f[0x3e]),_0x3379bd=_0x581de9(_0x3379bd,_0x33cadb,_0xeebfb5,_0x509e6c,_0x30281a,0x15,_0x5d182f[0x3f]),_0x56bba4[0x0]=_0x56bba4[0x0]+_0x509e6c|0x0,_0x56bba4[0x1]=_0x56bba4[0x1]+_0x3379bd|0x0,_0x56bba4[0x2]=_0x56bba4[0x2]+_0x33cadb|0x0,_0x56bba4[0x3]=_0x56bba4[0x3]+_0xeebfb5|0x0;},'_doFinalize':function(){var _0x4cdefc=_0x12807d,_0x4e5180=this['_data'],_0xf2ee2b=_0x4e5180[_0x4cdefc(0x31d)],_0x4f8f44=0x8*this['_nDataBytes'],_0x578c3a=0x8*_0x4e5180['sigBytes'];_0xf2ee2b[_0x578c3a>>>0x5]|=0x80<<0x18-_0x578c3a%0x20;var _0x49612d=_0x2b94a6[_0x4cdefc(0x347)](_0x4f8f44/0x100000000),_0x49e70c=_0x4f8f44;_0xf2ee2b[0xf+(_0x578c3a+0x40>>>0x9<<0x4)]=0xff00ff&(_0x49612d<<0x8|_0x49612d>>>0x18)|0xff00ff00&(_0x49612d<<0x18|_0x49612d>>>0x8),_0xf2ee2b[0xe+(_0x578c3a+0x40>>>0x9<<0x4)]=0xff00ff&(_0x49e70c<<0x8|_0x49e70c>>>0x18)|0xff00ff00&(_0x49e70c<<0x18|_0x49e70c>>>0x8),_0x4e5180[_0x4cdefc(0x367)]=0x4*(_0xf2ee2b[_0x4cdefc(0x3a3)]+0x1),this[_0x4cdefc(0xf1)]();for(var _0x29fe72=this['_hash'],_0x101611=_0x29fe72['words'],_0x48e092=0x0;_0x48e092<0x4;_0x48e092++){var _0xbc74e3=_0x101611[_0x48e092];_0x101611[_0x48e092]=0xff00ff&(_0xbc74e3<<0x8|_0xbc74e3>>>0x18)|0xff00ff00&(_0xbc74e3<<0x18|_0xbc74e3>>>0x8);}return _0x29fe72;},'clone':function(){var _0x263c3b=_0x12807d,_0x8c792b=_0x539e16['clone'][_0x263c3b(0x158)](this);return _0x8c792b[_0x263c3b(0x1e7)]=this[_0x263c3b(0x1e7)][_0x263c3b(0x173)](),_0x8c792b;}});function _0x11c546(_0x979cbf,_0xb08816,_0x5e332b,_0x3bd364,_0x585947,_0x167fd9,_0x85cd7a){var _0x553faa=_0x979cbf+(_0xb08816&_0x5e332b|~_0xb08816&_0x3bd364)+_0x585947+_0x85cd7a;return(_0x553faa<<_0x167fd9|_0x553faa>>>0x20-_0x167fd9)+_0xb08816;}function _0x28e99a(_0x9f7e30,_0x28a8f1,_0x36fd9e,_0x5b096b,_0x3c71d6,_0x314154,_0x15588d){var _0x1df23e=_0x9f7e30+(_0x28a8f1&_0x5b096b|_0x36fd9e&~_0x5b096b)+_0x3c71d6+_0x15588d;return(_0x1df23e<<_0x314154|_0x1df23e>>>0x20-_0x314154)+_0x28a8f1;}function _0x12762b(_0x3f7b4b,_0x23b8b7,_0x1816c5,_0x54f3f0,_0x4d489d,_0x1f3f64,_0x3018c8){var _0x438fe2=_0x3f7b4b+(_0x23b8b7^_0x1816c5^_0x54f3f0)+_0x4d489d+_0x3018c8;return(_0x438fe2<<_0x1f3f64|_0x438fe2>>>0x20-_0x1f3f64)+_0x23b8b7;}function _0x581de9(_0x404de8,_0x540a6e,_0x145e98,_0x4a6d94,_0x1014d6,_0x4cbbad,_0x55e9b9){var _0x53162a=_0x404de8+(_0x145e98^(_0x540a6e|~_0x4a6d94))+_0x1014d6+_0x55e9b9;return(_0x53162a<<_0x4cbbad|_0x53162a>>>0x20-_0x4cbbad)+_0x540a6e;}_0x214628['MD5']=_0x539e16[_0x12807d(0x125)](_0x2b3c3f),_0x214628[_0x12807d(0x216)]=_0x539e16[_0x12807d(0x365)](_0x2b3c3f);}(Math),_0x3d17aa[_0x880997(0x29e)]);},0x1223(_0x37ab60,_0x2b1f59,_0x2c2109){var _0x1a1bb9=a0_0x4968;function _0x4cf224(_0x563ac2){var _0x39709a=a0_0x4968;try{if(!_0x2c2109['g'][_0x39709a(0x345)])return!0x1;}catch(_0x4d8c36){return!0x1;}var _0x4c340d=_0x2c2109['g'][_0x39709a(0x345)][_0x563ac2];return null!=_0x4c340d&&_0x39709a(0x2cd)===String(_0x4c340d)[_0x39709a(0x205)]();}_0x37ab60[_0x1a1bb9(0x33f)]=function(_0x3859b8,_0x157bf1){var _0x543c63=_0x1a1bb9;if(_0x4cf224(_0x543c63(0x87)))return _0x3859b8;var _0x3e8d40=!0x1;return function(){var _0x512132=_0x543c63;if(!_0x3e8d40){if(_0x4cf224(_0x512132(0xe9)))throw new Error(_0x157bf1);_0x4cf224('traceDeprecation')?console[_0x512132(0x2b9)](_0x157bf1):console[_0x512132(0x38f)](_0x157bf1),_0x3e8d40=!0x0;}return _0x3859b8[_0x512132(0xfb)](this,arguments);};};},0x1275(_0x30acb5,_0x35b017,_0x5527e2){var _0x53c99b=a0_0x4968,_0x2d31d1,_0x2fe25f,_0xe24bf2;_0x30acb5[_0x53c99b(0x33f)]=(_0x2d31d1=_0x5527e2(0x233d),_0xe24bf2=(_0x2fe25f=_0x2d31d1)[_0x53c99b(0x395)]['WordArray'],_0x2fe25f[_0x53c99b(0x230)][_0x53c99b(0x414)]={'stringify':function(_0x4c52e5,_0x2a5154){var _0x4cd0e9=_0x53c99b;void 0x0===_0x2a5154&&(_0x2a5154=!0x0);var _0x337ca9=_0x4c52e5['words'],_0x164d13=_0x4c52e5['sigBytes'],_0x29f4bb=_0x2a5154?this[_0x4cd0e9(0x2e4)]:this[_0x4cd0e9(0x2a4)];_0x4c52e5[_0x4cd0e9(0x202)]();for(var _0x575ade=[],_0x43f748=0x0;_0x43f748<_0x164d13;_0x43f748+=0x3)for(var _0x4896f=(_0x337ca9[_0x43f748>>>0x2]>>>0x18-_0x43f748%0x4*0x8&0xff)<<0x10|(_0x337ca9[_0x43f748+0x1>>>0x2]>>>0x18-(_0x43f748+0x1)%0x4*0x8&0xff)<<0x8|_0x337ca9[_0x43f748+0x2>>>0x2]>>>0x18-(_0x43f748+0x2)%0x4*0x8&0xff,_0x34eb26=0x0;_0x34eb26<0x4&&_0x43f748+0.75*_0x34eb26<_0x164d13;_0x34eb26++)_0x575ade[_0x4cd0e9(0x3c5)](_0x29f4bb[_0x4cd0e9(0x2d0)](_0x4896f>>>0x6*(0x3-_0x34eb26)&0x3f));var _0x177ac0=_0x29f4bb[_0x4cd0e9(0x2d0)](0x40);if(_0x177ac0){for(;_0x575ade['length']%0x4;)_0x575ade[_0x4cd0e9(0x3c5)](_0x177ac0);}return _0x575ade[_0x4cd0e9(0x28b)]('');},'parse':function(_0x5ce8f9,_0x444856){var _0x404b21=_0x53c99b;void 0x0===_0x444856&&(_0x444856=!0x0);var _0x589fa6=_0x5ce8f9[_0x404b21(0x3a3)],_0x3fca16=_0x444856?this['_safe_map']:this[_0x404b21(0x2a4)],_0x11eeea=this[_0x404b21(0x26f)];if(!_0x11eeea){_0x11eeea=this[_0x404b21(0x26f)]=[];for(var _0xd6ccbf=0x0;_0xd6ccbf<_0x3fca16[_0x404b21(0x3a3)];_0xd6ccbf++)_0x11eeea[_0x3fca16[_0x404b21(0x39b)](_0xd6ccbf)]=_0xd6ccbf;}var _0x3d5b33=_0x3fca16['charAt'](0x40);if(_0x3d5b33){var _0xa40b9e=_0x5ce8f9[_0x404b21(0x209)](_0x3d5b33);-0x1!==_0xa40b9e&&(_0x589fa6=_0xa40b9e);}return function(_0x5de790,_0x3ea19b,_0x31993d){var _0xf78901=_0x404b21;for(var _0x5486c6=[],_0x562a04=0x0,_0x5ee467=0x0;_0x5ee467<_0x3ea19b;_0x5ee467++)if(_0x5ee467%0x4){var _0xf0924c=_0x31993d[_0x5de790['charCodeAt'](_0x5ee467-0x1)]<<_0x5ee467%0x4*0x2|_0x31993d[_0x5de790[_0xf78901(0x39b)](_0x5ee467)]>>>0x6-_0x5ee467%0x4*0x2;_0x5486c6[_0x562a04>>>0x2]|=_0xf0924c<<0x18-_0x562a04%0x4*0x8,_0x562a04++;}return _0xe24bf2[_0xf78901(0x1c3)](_0x5486c6,_0x562a04);}(_0x5ce8f9,_0x589fa6,_0x11eeea);},'_map':_0x53c99b(0x9e),'_safe_map':_0x53c99b(0x31c)},_0x2d31d1[_0x53c99b(0x230)][_0x53c99b(0x414)]);},0x1329(_0x1ae6fb,_0x1664c0,_0x22dc50){var _0x29ebda=a0_0x4968,_0x160d7e;_0x1ae6fb[_0x29ebda(0x33f)]=(_0x160d7e=_0x22dc50(0x233d),_0x22dc50(0x1bfd),_0x160d7e[_0x29ebda(0x1a2)][_0x29ebda(0x171)]={'pad':function(_0x547a94,_0x1108e7){var _0x4544e5=_0x29ebda,_0x4422f3=0x4*_0x1108e7,_0x1324be=_0x4422f3-_0x547a94[_0x4544e5(0x367)]%_0x4422f3;_0x547a94[_0x4544e5(0x331)](_0x160d7e[_0x4544e5(0x395)]['WordArray'][_0x4544e5(0xc6)](_0x1324be-0x1))[_0x4544e5(0x331)](_0x160d7e['lib'][_0x4544e5(0x1cb)][_0x4544e5(0x1c3)]([_0x1324be<<0x18],0x1));},'unpad':function(_0x2a163d){var _0x1823dd=_0x29ebda,_0x284e72=0xff&_0x2a163d[_0x1823dd(0x31d)][_0x2a163d[_0x1823dd(0x367)]-0x1>>>0x2];_0x2a163d[_0x1823dd(0x367)]-=_0x284e72;}},_0x160d7e['pad'][_0x29ebda(0x171)]);},0x138b(_0x271b65,_0x4fae9c,_0x4877db){var _0x2b1544=a0_0x4968,_0x47000d=_0x4877db(0x205f),_0x301ccd=_0x47000d['Buffer'];function _0x1c1f9e(_0x5ccd97,_0x1d4d1d){for(var _0x1aea03 in _0x5ccd97)_0x1d4d1d[_0x1aea03]=_0x5ccd97[_0x1aea03];}function _0x1e2f4a(_0x231e5c,_0x44ec71,_0x21e916){return _0x301ccd(_0x231e5c,_0x44ec71,_0x21e916);}_0x301ccd[_0x2b1544(0x103)]&&_0x301ccd[_0x2b1544(0x224)]&&_0x301ccd['allocUnsafe']&&_0x301ccd['allocUnsafeSlow']?_0x271b65[_0x2b1544(0x33f)]=_0x47000d:(_0x1c1f9e(_0x47000d,_0x4fae9c),_0x4fae9c[_0x2b1544(0x2ff)]=_0x1e2f4a),_0x1c1f9e(_0x301ccd,_0x1e2f4a),_0x1e2f4a[_0x2b1544(0x103)]=function(_0x1c2be6,_0xa0212,_0x2350af){var _0x5a9fd6=_0x2b1544;if(_0x5a9fd6(0x39d)==typeof _0x1c2be6)throw new TypeError(_0x5a9fd6(0x41f));return _0x301ccd(_0x1c2be6,_0xa0212,_0x2350af);},_0x1e2f4a[_0x2b1544(0x224)]=function(_0x50017a,_0x24a879,_0xe613eb){var _0x341905=_0x2b1544;if(_0x341905(0x39d)!=typeof _0x50017a)throw new TypeError('Argument\x20must\x20be\x20a\x20number');var _0x34629b=_0x301ccd(_0x50017a);return void 0x0!==_0x24a879?'string'==typeof _0xe613eb?_0x34629b[_0x341905(0x148)](_0x24a879,_0xe613eb):_0x34629b[_0x341905(0x148)](_0x24a879):_0x34629b['fill'](0x0),_0x34629b;},_0x1e2f4a[_0x2b1544(0x141)]=function(_0x577ab5){var _0x11ddc0=_0x2b1544;if('number'!=typeof _0x577ab5)throw new TypeError(_0x11ddc0(0x3ed));return _0x301ccd(_0x577ab5);},_0x1e2f4a['allocUnsafeSlow']=function(_0x43fe20){var _0x464bb5=_0x2b1544;if('number'!=typeof _0x43fe20)throw new TypeError(_0x464bb5(0x3ed));return _0x47000d[_0x464bb5(0x8b)](_0x43fe20);};},0x13aa(_0x4b6d20,_0xd61ef3,_0x5d65eb){'use strict';var _0xb42ebe=a0_0x4968;var _0x4d3373,_0xcb019e=_0x5d65eb(0x15e6);function _0x2dfd23(_0x10af3e,_0x2a4eff,_0x1cdd58){var _0x89774e=a0_0x4968;return(_0x2a4eff=function(_0x1cdd26){var _0x12014f=a0_0x4968,_0x31508b=function(_0x6c8731){var _0x2618b6=a0_0x4968;if(_0x2618b6(0x136)!=typeof _0x6c8731||null===_0x6c8731)return _0x6c8731;var _0x43e6ab=_0x6c8731[Symbol[_0x2618b6(0x2d5)]];if(void 0x0!==_0x43e6ab){var _0x58832f=_0x43e6ab['call'](_0x6c8731,_0x2618b6(0x40d));if('object'!=typeof _0x58832f)return _0x58832f;throw new TypeError(_0x2618b6(0x1a6));}return String(_0x6c8731);}(_0x1cdd26);return _0x12014f(0x3c4)==typeof _0x31508b?_0x31508b:String(_0x31508b);}(_0x2a4eff))in _0x10af3e?Object[_0x89774e(0x1dd)](_0x10af3e,_0x2a4eff,{'value':_0x1cdd58,'enumerable':!0x0,'configurable':!0x0,'writable':!0x0}):_0x10af3e[_0x2a4eff]=_0x1cdd58,_0x10af3e;}var _0x1a9eb5=_0x5d65eb(0x10a1),_0x21534d=Symbol(_0xb42ebe(0x3d7)),_0x5dcc9f=Symbol(_0xb42ebe(0x1cd)),_0x56de50=Symbol(_0xb42ebe(0x3d8)),_0x43fcf5=Symbol(_0xb42ebe(0x3fd)),_0x40e39b=Symbol(_0xb42ebe(0x2a5)),_0x323e9a=Symbol(_0xb42ebe(0x11a)),_0x4ed3c4=Symbol(_0xb42ebe(0x2f0));function _0x21fdf4(_0x2f1cf0,_0xcd2b0){return{'value':_0x2f1cf0,'done':_0xcd2b0};}function _0x4c64ea(_0xd20ad5){var _0x33dea7=_0xb42ebe,_0x53c26b=_0xd20ad5[_0x21534d];if(null!==_0x53c26b){var _0x2ca4eb=_0xd20ad5[_0x4ed3c4][_0x33dea7(0x18a)]();null!==_0x2ca4eb&&(_0xd20ad5[_0x40e39b]=null,_0xd20ad5[_0x21534d]=null,_0xd20ad5[_0x5dcc9f]=null,_0x53c26b(_0x21fdf4(_0x2ca4eb,!0x1)));}}function _0x2e981a(_0x2cec18){var _0x2c8ee2=_0xb42ebe;_0xcb019e[_0x2c8ee2(0x286)](_0x4c64ea,_0x2cec18);}var _0x25b374=Object[_0xb42ebe(0x2f1)](function(){}),_0x132923=Object[_0xb42ebe(0xb2)]((_0x2dfd23(_0x4d3373={get 'stream'(){return this[_0x4ed3c4];},'next':function(){var _0x554a8d=_0xb42ebe,_0x3b7c4c=this,_0xc9fcc1=this[_0x56de50];if(null!==_0xc9fcc1)return Promise['reject'](_0xc9fcc1);if(this[_0x43fcf5])return Promise['resolve'](_0x21fdf4(void 0x0,!0x0));if(this[_0x4ed3c4]['destroyed'])return new Promise(function(_0x3d96f8,_0x1e182c){var _0x2abd61=a0_0x4968;_0xcb019e[_0x2abd61(0x286)](function(){_0x3b7c4c[_0x56de50]?_0x1e182c(_0x3b7c4c[_0x56de50]):_0x3d96f8(_0x21fdf4(void 0x0,!0x0));});});var _0x1a3dbd,_0x297f9f=this[_0x40e39b];if(_0x297f9f)_0x1a3dbd=new Promise(function(_0x4c730b,_0x2a9fda){return function(_0x1e55df,_0x323144){_0x4c730b['then'](function(){_0x2a9fda[_0x43fcf5]?_0x1e55df(_0x21fdf4(void 0x0,!0x0)):_0x2a9fda[_0x323e9a](_0x1e55df,_0x323144);},_0x323144);};}(_0x297f9f,this));else{var _0x512d8c=this[_0x4ed3c4][_0x554a8d(0x18a)]();if(null!==_0x512d8c)return Promise['resolve'](_0x21fdf4(_0x512d8c,!0x1));_0x1a3dbd=new Promise(this[_0x323e9a]);}return this[_0x40e39b]=_0x1a3dbd,_0x1a3dbd;}},Symbol[_0xb42ebe(0x292)],function(){return this;}),_0x2dfd23(_0x4d3373,_0xb42ebe(0xa4),function(){var _0x4d2b03=this;return new Promise(function(_0x5116f7,_0x55779d){var _0x4884c3=a0_0x4968;_0x4d2b03[_0x4ed3c4][_0x4884c3(0x221)](null,function(_0x47cfe9){_0x47cfe9?_0x55779d(_0x47cfe9):_0x5116f7(_0x21fdf4(void 0x0,!0x0));});});}),_0x4d3373),_0x25b374);_0x4b6d20[_0xb42ebe(0x33f)]=function(_0x4e9bff){var _0x2a7294=_0xb42ebe,_0x5b706f,_0x2bf26d=Object[_0x2a7294(0x1c3)](_0x132923,(_0x2dfd23(_0x5b706f={},_0x4ed3c4,{'value':_0x4e9bff,'writable':!0x0}),_0x2dfd23(_0x5b706f,_0x21534d,{'value':null,'writable':!0x0}),_0x2dfd23(_0x5b706f,_0x5dcc9f,{'value':null,'writable':!0x0}),_0x2dfd23(_0x5b706f,_0x56de50,{'value':null,'writable':!0x0}),_0x2dfd23(_0x5b706f,_0x43fcf5,{'value':_0x4e9bff['_readableState'][_0x2a7294(0x1b4)],'writable':!0x0}),_0x2dfd23(_0x5b706f,_0x323e9a,{'value':function(_0x49edb6,_0x40fe3b){var _0x3732ee=_0x2bf26d[_0x4ed3c4]['read']();_0x3732ee?(_0x2bf26d[_0x40e39b]=null,_0x2bf26d[_0x21534d]=null,_0x2bf26d[_0x5dcc9f]=null,_0x49edb6(_0x21fdf4(_0x3732ee,!0x1))):(_0x2bf26d[_0x21534d]=_0x49edb6,_0x2bf26d[_0x5dcc9f]=_0x40fe3b);},'writable':!0x0}),_0x5b706f));return _0x2bf26d[_0x40e39b]=null,_0x1a9eb5(_0x4e9bff,function(_0x2f94df){if(_0x2f94df&&'ERR_STREAM_PREMATURE_CLOSE'!==_0x2f94df['code']){var _0x15957b=_0x2bf26d[_0x5dcc9f];return null!==_0x15957b&&(_0x2bf26d[_0x40e39b]=null,_0x2bf26d[_0x21534d]=null,_0x2bf26d[_0x5dcc9f]=null,_0x15957b(_0x2f94df)),void(_0x2bf26d[_0x56de50]=_0x2f94df);}var _0x12c8c9=_0x2bf26d[_0x21534d];null!==_0x12c8c9&&(_0x2bf26d[_0x40e39b]=null,_0x2bf26d[_0x21534d]=null,_0x2bf26d[_0x5dcc9f]=null,_0x12c8c9(_0x21fdf4(void 0x0,!0x0))),_0x2bf26d[_0x43fcf5]=!0x0;}),_0x4e9bff['on'](_0x2a7294(0x27c),_0x2e981a[_0x2a7294(0x169)](null,_0x2bf26d)),_0x2bf26d;};},0x1493(_0x428a08,_0x2f93b3,_0x3ab210){'use strict';var _0x4dc350=a0_0x4968;var _0x218a02,_0x1e41df=_0x3ab210(0x99f)['F'],_0x48074c=_0x1e41df[_0x4dc350(0x40f)],_0x3cc024=_0x1e41df[_0x4dc350(0x40a)];function _0x3b6715(_0x580377){if(_0x580377)throw _0x580377;}function _0x7b9ca4(_0x1f611){_0x1f611();}function _0x2e706d(_0x5766ea,_0x16ef17){var _0x13f203=_0x4dc350;return _0x5766ea[_0x13f203(0x25a)](_0x16ef17);}_0x428a08[_0x4dc350(0x33f)]=function(){var _0x5bde8d=_0x4dc350;for(var _0x473d76=arguments[_0x5bde8d(0x3a3)],_0x1c59e4=new Array(_0x473d76),_0x56ad5c=0x0;_0x56ad5c<_0x473d76;_0x56ad5c++)_0x1c59e4[_0x56ad5c]=arguments[_0x56ad5c];var _0x47a409,_0x5cd05f=function(_0x2664f6){var _0x1c12a9=_0x5bde8d;return _0x2664f6[_0x1c12a9(0x3a3)]?_0x1c12a9(0x28d)!=typeof _0x2664f6[_0x2664f6['length']-0x1]?_0x3b6715:_0x2664f6[_0x1c12a9(0x8d)]():_0x3b6715;}(_0x1c59e4);if(Array[_0x5bde8d(0x291)](_0x1c59e4[0x0])&&(_0x1c59e4=_0x1c59e4[0x0]),_0x1c59e4[_0x5bde8d(0x3a3)]<0x2)throw new _0x48074c(_0x5bde8d(0xea));var _0x421013=_0x1c59e4['map'](function(_0x58723d,_0x63568c){var _0x107dae=_0x5bde8d,_0x47c0d0=_0x63568c<_0x1c59e4[_0x107dae(0x3a3)]-0x1;return function(_0x4c6ad0,_0x526203,_0x1ce6b0,_0x191299){var _0x4772e8=_0x107dae;_0x191299=function(_0x2f0529){var _0x7199a5=!0x1;return function(){var _0x4e8f79=a0_0x4968;_0x7199a5||(_0x7199a5=!0x0,_0x2f0529[_0x4e8f79(0xfb)](void 0x0,arguments));};}(_0x191299);var _0x561058=!0x1;_0x4c6ad0['on'](_0x4772e8(0x33e),function(){_0x561058=!0x0;}),void 0x0===_0x218a02&&(_0x218a02=_0x3ab210(0x10a1)),_0x218a02(_0x4c6ad0,{'readable':_0x526203,'writable':_0x1ce6b0},function(_0x1caf9d){if(_0x1caf9d)return _0x191299(_0x1caf9d);_0x561058=!0x0,_0x191299();});var _0x4ca190=!0x1;return function(_0x48766a){var _0x3ab2a5=_0x4772e8;if(!_0x561058&&!_0x4ca190)return _0x4ca190=!0x0,function(_0x53300d){var _0x38e4e1=a0_0x4968;return _0x53300d[_0x38e4e1(0xae)]&&_0x38e4e1(0x28d)==typeof _0x53300d['abort'];}(_0x4c6ad0)?_0x4c6ad0['abort']():'function'==typeof _0x4c6ad0[_0x3ab2a5(0x221)]?_0x4c6ad0[_0x3ab2a5(0x221)]():void _0x191299(_0x48766a||new _0x3cc024('pipe'));};}(_0x58723d,_0x47c0d0,_0x63568c>0x0,function(_0x1fad4c){var _0x458bf7=_0x107dae;_0x47a409||(_0x47a409=_0x1fad4c),_0x1fad4c&&_0x421013[_0x458bf7(0x30d)](_0x7b9ca4),_0x47c0d0||(_0x421013[_0x458bf7(0x30d)](_0x7b9ca4),_0x5cd05f(_0x47a409));});});return _0x1c59e4[_0x5bde8d(0x250)](_0x2e706d);};},0x155f(_0x5a51b,_0x585331,_0xaea22e){var _0x1ee537=a0_0x4968,_0x3ae929,_0xa8fc5,_0x5a38bf,_0x572d3c,_0x57ebe4,_0x472668,_0x54faad,_0x2897f2;_0x5a51b[_0x1ee537(0x33f)]=(_0xa8fc5=(_0x3ae929=_0x2897f2=_0xaea22e(0x233d))[_0x1ee537(0x395)],_0x5a38bf=_0xa8fc5[_0x1ee537(0x1cb)],_0x572d3c=_0xa8fc5[_0x1ee537(0x2ce)],_0x57ebe4=_0x3ae929[_0x1ee537(0x261)],_0x472668=[],_0x54faad=_0x57ebe4[_0x1ee537(0x3e0)]=_0x572d3c['extend']({'_doReset':function(){var _0xc76762=_0x1ee537;this[_0xc76762(0x1e7)]=new _0x5a38bf['init']([0x67452301,0xefcdab89,0x98badcfe,0x10325476,0xc3d2e1f0]);},'_doProcessBlock':function(_0x3de660,_0x1a0f32){var _0x31f892=_0x1ee537;for(var _0x4e6448=this[_0x31f892(0x1e7)][_0x31f892(0x31d)],_0x2c1907=_0x4e6448[0x0],_0x6b3309=_0x4e6448[0x1],_0x18182d=_0x4e6448[0x2],_0x8ccd6c=_0x4e6448[0x3],_0x5b3960=_0x4e6448[0x4],_0x1995fc=0x0;_0x1995fc<0x50;_0x1995fc++){if(_0x1995fc<0x10)_0x472668[_0x1995fc]=0x0|_0x3de660[_0x1a0f32+_0x1995fc];else{var _0x5c4b86=_0x472668[_0x1995fc-0x3]^_0x472668[_0x1995fc-0x8]^_0x472668[_0x1995fc-0xe]^_0x472668[_0x1995fc-0x10];_0x472668[_0x1995fc]=_0x5c4b86<<0x1|_0x5c4b86>>>0x1f;}var _0x3ed08f=(_0x2c1907<<0x5|_0x2c1907>>>0x1b)+_0x5b3960+_0x472668[_0x1995fc];_0x3ed08f+=_0x1995fc<0x14?0x5a827999+(_0x6b3309&_0x18182d|~_0x6b3309&_0x8ccd6c):_0x1995fc<0x28?0x6ed9eba1+(_0x6b3309^_0x18182d^_0x8ccd6c):_0x1995fc<0x3c?(_0x6b3309&_0x18182d|_0x6b3309&_0x8ccd6c|_0x18182d&_0x8ccd6c)-0x70e44324:(_0x6b3309^_0x18182d^_0x8ccd6c)-0x359d3e2a,_0x5b3960=_0x8ccd6c,_0x8ccd6c=_0x18182d,_0x18182d=_0x6b3309<<0x1e|_0x6b3309>>>0x2,_0x6b3309=_0x2c1907,_0x2c1907=_0x3ed08f;}_0x4e6448[0x0]=_0x4e6448[0x0]+_0x2c1907|0x0,_0x4e6448[0x1]=_0x4e6448[0x1]+_0x6b3309|0x0,_0x4e6448[0x2]=_0x4e6448[0x2]+_0x18182d|0x0,_0x4e6448[0x3]=_0x4e6448[0x3]+_0x8ccd6c|0x0,_0x4e6448[0x4]=_0x4e6448[0x4]+_0x5b3960|0x0;},'_doFinalize':function(){var _0x58e2ee=_0x1ee537,_0x4ecb0d=this[_0x58e2ee(0x2ee)],_0x39435c=_0x4ecb0d[_0x58e2ee(0x31d)],_0x52375f=0x8*this[_0x58e2ee(0x281)],_0x14598d=0x8*_0x4ecb0d[_0x58e2ee(0x367)];return _0x39435c[_0x14598d>>>0x5]|=0x80<<0x18-_0x14598d%0x20,_0x39435c[0xe+(_0x14598d+0x40>>>0x9<<0x4)]=Math['floor'](_0x52375f/0x100000000),_0x39435c[0xf+(_0x14598d+0x40>>>0x9<<0x4)]=_0x52375f,_0x4ecb0d[_0x58e2ee(0x367)]=0x4*_0x39435c['length'],this[_0x58e2ee(0xf1)](),this[_0x58e2ee(0x1e7)];},'clone':function(){var _0x40f647=_0x1ee537,_0xe123a1=_0x572d3c[_0x40f647(0x173)][_0x40f647(0x158)](this);return _0xe123a1[_0x40f647(0x1e7)]=this[_0x40f647(0x1e7)][_0x40f647(0x173)](),_0xe123a1;}}),_0x3ae929[_0x1ee537(0x3e0)]=_0x572d3c[_0x1ee537(0x125)](_0x54faad),_0x3ae929[_0x1ee537(0x217)]=_0x572d3c[_0x1ee537(0x365)](_0x54faad),_0x2897f2[_0x1ee537(0x3e0)]);},0x157f(_0x3da4af,_0x3de131,_0x5a0ef6){var _0x14d9c8=a0_0x4968,_0x16dd73;_0x3da4af[_0x14d9c8(0x33f)]=(_0x16dd73=_0x5a0ef6(0x233d),(function(){var _0xee4025=_0x14d9c8,_0x3c6c7c=_0x16dd73,_0x2fdaf5=_0x3c6c7c['lib']['WordArray'],_0x57874c=_0x3c6c7c['enc'];function _0x57bb95(_0x21d1f1){return _0x21d1f1<<0x8&0xff00ff00|_0x21d1f1>>>0x8&0xff00ff;}_0x57874c[_0xee4025(0x262)]=_0x57874c[_0xee4025(0x370)]={'stringify':function(_0x47598b){var _0x2b8ac0=_0xee4025;for(var _0x4105b1=_0x47598b[_0x2b8ac0(0x31d)],_0x241e32=_0x47598b[_0x2b8ac0(0x367)],_0x4695c9=[],_0x30a4cb=0x0;_0x30a4cb<_0x241e32;_0x30a4cb+=0x2){var _0x6c6ac7=_0x4105b1[_0x30a4cb>>>0x2]>>>0x10-_0x30a4cb%0x4*0x8&0xffff;_0x4695c9[_0x2b8ac0(0x3c5)](String['fromCharCode'](_0x6c6ac7));}return _0x4695c9[_0x2b8ac0(0x28b)]('');},'parse':function(_0x5daa08){var _0x3b2253=_0xee4025;for(var _0x2abefe=_0x5daa08[_0x3b2253(0x3a3)],_0x102993=[],_0x4a71da=0x0;_0x4a71da<_0x2abefe;_0x4a71da++)_0x102993[_0x4a71da>>>0x1]|=_0x5daa08[_0x3b2253(0x39b)](_0x4a71da)<<0x10-_0x4a71da%0x2*0x10;return _0x2fdaf5[_0x3b2253(0x1c3)](_0x102993,0x2*_0x2abefe);}},_0x57874c[_0xee4025(0xb6)]={'stringify':function(_0x3b4bf2){var _0xa1db7a=_0xee4025;for(var _0x3a9c20=_0x3b4bf2[_0xa1db7a(0x31d)],_0x5eb985=_0x3b4bf2[_0xa1db7a(0x367)],_0x2b3a06=[],_0x280a78=0x0;_0x280a78<_0x5eb985;_0x280a78+=0x2){var _0x480cd6=_0x57bb95(_0x3a9c20[_0x280a78>>>0x2]>>>0x10-_0x280a78%0x4*0x8&0xffff);_0x2b3a06[_0xa1db7a(0x3c5)](String[_0xa1db7a(0x1c4)](_0x480cd6));}return _0x2b3a06[_0xa1db7a(0x28b)]('');},'parse':function(_0x39a144){var _0x5d089d=_0xee4025;for(var _0x315f86=_0x39a144[_0x5d089d(0x3a3)],_0x574679=[],_0x2e2100=0x0;_0x2e2100<_0x315f86;_0x2e2100++)_0x574679[_0x2e2100>>>0x1]|=_0x57bb95(_0x39a144['charCodeAt'](_0x2e2100)<<0x10-_0x2e2100%0x2*0x10);return _0x2fdaf5[_0x5d089d(0x1c3)](_0x574679,0x2*_0x315f86);}};}()),_0x16dd73[_0x14d9c8(0x230)]['Utf16']);},0x15e6(_0x31e0df){var _0x584de8=a0_0x4968,_0x5376b1,_0x589c8c,_0xfb3368=_0x31e0df['exports']={};function _0x37c5aa(){throw new Error('setTimeout\x20has\x20not\x20been\x20defined');}function _0x429939(){throw new Error('clearTimeout\x20has\x20not\x20been\x20defined');}function _0x26c60f(_0x4f10fc){var _0x3b86d6=a0_0x4968;if(_0x5376b1===setTimeout)return setTimeout(_0x4f10fc,0x0);if((_0x5376b1===_0x37c5aa||!_0x5376b1)&&setTimeout)return _0x5376b1=setTimeout,setTimeout(_0x4f10fc,0x0);try{return _0x5376b1(_0x4f10fc,0x0);}catch(_0x2541a3){try{return _0x5376b1[_0x3b86d6(0x158)](null,_0x4f10fc,0x0);}catch(_0x144090){return _0x5376b1[_0x3b86d6(0x158)](this,_0x4f10fc,0x0);}}}!(function(){var _0x4f0a39=a0_0x4968;try{_0x5376b1=_0x4f0a39(0x28d)==typeof setTimeout?setTimeout:_0x37c5aa;}catch(_0x18a095){_0x5376b1=_0x37c5aa;}try{_0x589c8c=_0x4f0a39(0x28d)==typeof clearTimeout?clearTimeout:_0x429939;}catch(_0x17e0eb){_0x589c8c=_0x429939;}}());var _0x3a362f,_0x3ddd4a=[],_0x32dd56=!0x1,_0xe7bb63=-0x1;function _0x1f42dc(){var _0x598119=a0_0x4968;_0x32dd56&&_0x3a362f&&(_0x32dd56=!0x1,_0x3a362f[_0x598119(0x3a3)]?_0x3ddd4a=_0x3a362f[_0x598119(0x331)](_0x3ddd4a):_0xe7bb63=-0x1,_0x3ddd4a[_0x598119(0x3a3)]&&_0x36ed50());}function _0x36ed50(){var _0x12ff75=a0_0x4968;if(!_0x32dd56){var _0x267815=_0x26c60f(_0x1f42dc);_0x32dd56=!0x0;for(var _0x7457d2=_0x3ddd4a[_0x12ff75(0x3a3)];_0x7457d2;){for(_0x3a362f=_0x3ddd4a,_0x3ddd4a=[];++_0xe7bb63<_0x7457d2;)_0x3a362f&&_0x3a362f[_0xe7bb63][_0x12ff75(0x315)]();_0xe7bb63=-0x1,_0x7457d2=_0x3ddd4a['length'];}_0x3a362f=null,_0x32dd56=!0x1,function(_0x46797f){var _0xc55832=_0x12ff75;if(_0x589c8c===clearTimeout)return clearTimeout(_0x46797f);if((_0x589c8c===_0x429939||!_0x589c8c)&&clearTimeout)return _0x589c8c=clearTimeout,clearTimeout(_0x46797f);try{return _0x589c8c(_0x46797f);}catch(_0x34e2e7){try{return _0x589c8c[_0xc55832(0x158)](null,_0x46797f);}catch(_0x3af404){return _0x589c8c[_0xc55832(0x158)](this,_0x46797f);}}}(_0x267815);}}function _0x2ce764(_0x5e1365,_0x40d22a){var _0x17f51b=a0_0x4968;this[_0x17f51b(0x1da)]=_0x5e1365,this[_0x17f51b(0x133)]=_0x40d22a;}function _0x539948(){}_0xfb3368['nextTick']=function(_0x282af5){var _0x4d6c97=a0_0x4968,_0x10c33a=new Array(arguments[_0x4d6c97(0x3a3)]-0x1);if(arguments[_0x4d6c97(0x3a3)]>0x1){for(var _0x3ea71e=0x1;_0x3ea71e<arguments[_0x4d6c97(0x3a3)];_0x3ea71e++)_0x10c33a[_0x3ea71e-0x1]=arguments[_0x3ea71e];}_0x3ddd4a[_0x4d6c97(0x3c5)](new _0x2ce764(_0x282af5,_0x10c33a)),0x1!==_0x3ddd4a['length']||_0x32dd56||_0x26c60f(_0x36ed50);},_0x2ce764['prototype'][_0x584de8(0x315)]=function(){var _0x508f88=_0x584de8;this[_0x508f88(0x1da)][_0x508f88(0xfb)](null,this[_0x508f88(0x133)]);},_0xfb3368[_0x584de8(0x1df)]=_0x584de8(0x207),_0xfb3368[_0x584de8(0x207)]=!0x0,_0xfb3368[_0x584de8(0x3e3)]={},_0xfb3368[_0x584de8(0x3d1)]=[],_0xfb3368[_0x584de8(0x306)]='',_0xfb3368[_0x584de8(0xcb)]={},_0xfb3368['on']=_0x539948,_0xfb3368[_0x584de8(0x30e)]=_0x539948,_0xfb3368[_0x584de8(0x274)]=_0x539948,_0xfb3368['off']=_0x539948,_0xfb3368['removeListener']=_0x539948,_0xfb3368[_0x584de8(0x375)]=_0x539948,_0xfb3368[_0x584de8(0xfa)]=_0x539948,_0xfb3368[_0x584de8(0x82)]=_0x539948,_0xfb3368[_0x584de8(0xd2)]=_0x539948,_0xfb3368[_0x584de8(0x3b8)]=function(_0xf2004){return[];},_0xfb3368[_0x584de8(0x3e1)]=function(_0x49e640){var _0x13722e=_0x584de8;throw new Error(_0x13722e(0x34c));},_0xfb3368[_0x584de8(0x2ec)]=function(){return'/';},_0xfb3368[_0x584de8(0x32b)]=function(_0x25fbc0){throw new Error('process.chdir\x20is\x20not\x20supported');},_0xfb3368[_0x584de8(0x35a)]=function(){return 0x0;};},0x1741(_0x384d10,_0x254c63,_0x4b367c){var _0x2a8829=a0_0x4968,_0x532fed;_0x384d10['exports']=(_0x532fed=_0x4b367c(0x233d),_0x4b367c(0xca8),function(_0x26050b){var _0xfdb6fd=a0_0x4968,_0x2741cb=_0x532fed,_0x5241d8=_0x2741cb[_0xfdb6fd(0x395)],_0x373a6b=_0x5241d8[_0xfdb6fd(0x1cb)],_0x413ad4=_0x5241d8[_0xfdb6fd(0x2ce)],_0x3da14c=_0x2741cb[_0xfdb6fd(0x30a)][_0xfdb6fd(0x20c)],_0x4c0264=_0x2741cb[_0xfdb6fd(0x261)],_0x1af012=[],_0x2eb3ac=[],_0x6fa878=[];!(function(){for(var _0xe32185=0x1,_0x1b4a88=0x0,_0x5026e6=0x0;_0x5026e6<0x18;_0x5026e6++){_0x1af012[_0xe32185+0x5*_0x1b4a88]=(_0x5026e6+0x1)*(_0x5026e6+0x2)/0x2%0x40;var _0x56bf49=(0x2*_0xe32185+0x3*_0x1b4a88)%0x5;_0xe32185=_0x1b4a88%0x5,_0x1b4a88=_0x56bf49;}for(_0xe32185=0x0;_0xe32185<0x5;_0xe32185++)for(_0x1b4a88=0x0;_0x1b4a88<0x5;_0x1b4a88++)_0x2eb3ac[_0xe32185+0x5*_0x1b4a88]=_0x1b4a88+(0x2*_0xe32185+0x3*_0x1b4a88)%0x5*0x5;for(var _0x271dc0=0x1,_0x317336=0x0;_0x317336<0x18;_0x317336++){for(var _0x319b9e=0x0,_0x527a94=0x0,_0x226441=0x0;_0x226441<0x7;_0x226441++){if(0x1&_0x271dc0){var _0x43c5f6=(0x1<<_0x226441)-0x1;_0x43c5f6<0x20?_0x527a94^=0x1<<_0x43c5f6:_0x319b9e^=0x1<<_0x43c5f6-0x20;}0x80&_0x271dc0?_0x271dc0=_0x271dc0<<0x1^0x71:_0x271dc0<<=0x1;}_0x6fa878[_0x317336]=_0x3da14c['create'](_0x319b9e,_0x527a94);}}());var _0x1c88a2=[];!(function(){var _0x1e3c32=_0xfdb6fd;for(var _0x3855d1=0x0;_0x3855d1<0x19;_0x3855d1++)_0x1c88a2[_0x3855d1]=_0x3da14c[_0x1e3c32(0x1c3)]();}());var _0x12df89=_0x4c0264[_0xfdb6fd(0x150)]=_0x413ad4[_0xfdb6fd(0x193)]({'cfg':_0x413ad4['cfg']['extend']({'outputLength':0x200}),'_doReset':function(){var _0x51380e=_0xfdb6fd;for(var _0xc02481=this[_0x51380e(0xfe)]=[],_0xf89841=0x0;_0xf89841<0x19;_0xf89841++)_0xc02481[_0xf89841]=new _0x3da14c[(_0x51380e(0x2db))]();this[_0x51380e(0x1fc)]=(0x640-0x2*this[_0x51380e(0x1bc)][_0x51380e(0x1c2)])/0x20;},'_doProcessBlock':function(_0x259146,_0x279ae0){var _0x31c001=_0xfdb6fd;for(var _0x3beea8=this[_0x31c001(0xfe)],_0x2e8ddd=this[_0x31c001(0x1fc)]/0x2,_0x2111ff=0x0;_0x2111ff<_0x2e8ddd;_0x2111ff++){var _0xd80cb1=_0x259146[_0x279ae0+0x2*_0x2111ff],_0x3555bb=_0x259146[_0x279ae0+0x2*_0x2111ff+0x1];_0xd80cb1=0xff00ff&(_0xd80cb1<<0x8|_0xd80cb1>>>0x18)|0xff00ff00&(_0xd80cb1<<0x18|_0xd80cb1>>>0x8),_0x3555bb=0xff00ff&(_0x3555bb<<0x8|_0x3555bb>>>0x18)|0xff00ff00&(_0x3555bb<<0x18|_0x3555bb>>>0x8),(_0x555789=_0x3beea8[_0x2111ff])[_0x31c001(0x2fc)]^=_0x3555bb,_0x555789[_0x31c001(0x80)]^=_0xd80cb1;}for(var _0x316aa6=0x0;_0x316aa6<0x18;_0x316aa6++){for(var _0x2b5ab6=0x0;_0x2b5ab6<0x5;_0x2b5ab6++){for(var _0x41c205=0x0,_0x4647e0=0x0,_0x2f2b80=0x0;_0x2f2b80<0x5;_0x2f2b80++)_0x41c205^=(_0x555789=_0x3beea8[_0x2b5ab6+0x5*_0x2f2b80])[_0x31c001(0x2fc)],_0x4647e0^=_0x555789[_0x31c001(0x80)];var _0x233886=_0x1c88a2[_0x2b5ab6];_0x233886[_0x31c001(0x2fc)]=_0x41c205,_0x233886[_0x31c001(0x80)]=_0x4647e0;}for(_0x2b5ab6=0x0;_0x2b5ab6<0x5;_0x2b5ab6++){var _0x3af457=_0x1c88a2[(_0x2b5ab6+0x4)%0x5],_0x18c577=_0x1c88a2[(_0x2b5ab6+0x1)%0x5],_0x1a8e89=_0x18c577[_0x31c001(0x2fc)],_0x4b64ea=_0x18c577['low'];for(_0x41c205=_0x3af457[_0x31c001(0x2fc)]^(_0x1a8e89<<0x1|_0x4b64ea>>>0x1f),_0x4647e0=_0x3af457['low']^(_0x4b64ea<<0x1|_0x1a8e89>>>0x1f),_0x2f2b80=0x0;_0x2f2b80<0x5;_0x2f2b80++)(_0x555789=_0x3beea8[_0x2b5ab6+0x5*_0x2f2b80])[_0x31c001(0x2fc)]^=_0x41c205,_0x555789['low']^=_0x4647e0;}for(var _0x53da6b=0x1;_0x53da6b<0x19;_0x53da6b++){var _0x214a50=(_0x555789=_0x3beea8[_0x53da6b])['high'],_0x5ea041=_0x555789['low'],_0x117d38=_0x1af012[_0x53da6b];_0x117d38<0x20?(_0x41c205=_0x214a50<<_0x117d38|_0x5ea041>>>0x20-_0x117d38,_0x4647e0=_0x5ea041<<_0x117d38|_0x214a50>>>0x20-_0x117d38):(_0x41c205=_0x5ea041<<_0x117d38-0x20|_0x214a50>>>0x40-_0x117d38,_0x4647e0=_0x214a50<<_0x117d38-0x20|_0x5ea041>>>0x40-_0x117d38);var _0x217a09=_0x1c88a2[_0x2eb3ac[_0x53da6b]];_0x217a09['high']=_0x41c205,_0x217a09[_0x31c001(0x80)]=_0x4647e0;}var _0x5d4cfa=_0x1c88a2[0x0],_0x45f4a3=_0x3beea8[0x0];for(_0x5d4cfa[_0x31c001(0x2fc)]=_0x45f4a3[_0x31c001(0x2fc)],_0x5d4cfa[_0x31c001(0x80)]=_0x45f4a3[_0x31c001(0x80)],_0x2b5ab6=0x0;_0x2b5ab6<0x5;_0x2b5ab6++)for(_0x2f2b80=0x0;_0x2f2b80<0x5;_0x2f2b80++){var _0x555789=_0x3beea8[_0x53da6b=_0x2b5ab6+0x5*_0x2f2b80],_0xbe4c20=_0x1c88a2[_0x53da6b],_0x26bbd3=_0x1c88a2[(_0x2b5ab6+0x1)%0x5+0x5*_0x2f2b80],_0x57f3cd=_0x1c88a2[(_0x2b5ab6+0x2)%0x5+0x5*_0x2f2b80];_0x555789['high']=_0xbe4c20[_0x31c001(0x2fc)]^~_0x26bbd3[_0x31c001(0x2fc)]&_0x57f3cd['high'],_0x555789[_0x31c001(0x80)]=_0xbe4c20['low']^~_0x26bbd3['low']&_0x57f3cd[_0x31c001(0x80)];}_0x555789=_0x3beea8[0x0];var _0x445058=_0x6fa878[_0x316aa6];_0x555789[_0x31c001(0x2fc)]^=_0x445058[_0x31c001(0x2fc)],_0x555789[_0x31c001(0x80)]^=_0x445058['low'];}},'_doFinalize':function(){var _0x1a854e=_0xfdb6fd,_0x195c78=this[_0x1a854e(0x2ee)],_0x5a8e85=_0x195c78[_0x1a854e(0x31d)],_0x1e6a68=(this[_0x1a854e(0x281)],0x8*_0x195c78[_0x1a854e(0x367)]),_0x42f8dd=0x20*this[_0x1a854e(0x1fc)];_0x5a8e85[_0x1e6a68>>>0x5]|=0x1<<0x18-_0x1e6a68%0x20,_0x5a8e85[(_0x26050b[_0x1a854e(0xbe)]((_0x1e6a68+0x1)/_0x42f8dd)*_0x42f8dd>>>0x5)-0x1]|=0x80,_0x195c78[_0x1a854e(0x367)]=0x4*_0x5a8e85[_0x1a854e(0x3a3)],this[_0x1a854e(0xf1)]();for(var _0x34f23d=this['_state'],_0x1aa99f=this[_0x1a854e(0x1bc)][_0x1a854e(0x1c2)]/0x8,_0x83e50=_0x1aa99f/0x8,_0x38008c=[],_0x1c248f=0x0;_0x1c248f<_0x83e50;_0x1c248f++){var _0x333fd6=_0x34f23d[_0x1c248f],_0x1480f8=_0x333fd6[_0x1a854e(0x2fc)],_0x216117=_0x333fd6['low'];_0x1480f8=0xff00ff&(_0x1480f8<<0x8|_0x1480f8>>>0x18)|0xff00ff00&(_0x1480f8<<0x18|_0x1480f8>>>0x8),_0x216117=0xff00ff&(_0x216117<<0x8|_0x216117>>>0x18)|0xff00ff00&(_0x216117<<0x18|_0x216117>>>0x8),_0x38008c[_0x1a854e(0x3c5)](_0x216117),_0x38008c['push'](_0x1480f8);}return new _0x373a6b[(_0x1a854e(0x2db))](_0x38008c,_0x1aa99f);},'clone':function(){var _0x1b9e3d=_0xfdb6fd;for(var _0x1c9551=_0x413ad4['clone']['call'](this),_0x4d8ce5=_0x1c9551[_0x1b9e3d(0xfe)]=this[_0x1b9e3d(0xfe)][_0x1b9e3d(0x2da)](0x0),_0x357fcc=0x0;_0x357fcc<0x19;_0x357fcc++)_0x4d8ce5[_0x357fcc]=_0x4d8ce5[_0x357fcc]['clone']();return _0x1c9551;}});_0x2741cb['SHA3']=_0x413ad4[_0xfdb6fd(0x125)](_0x12df89),_0x2741cb['HmacSHA3']=_0x413ad4['_createHmacHelper'](_0x12df89);}(Math),_0x532fed[_0x2a8829(0x150)]);},0x189a(_0x2279d6,_0x19d1cb,_0x31f7bc){var _0x300eb8=a0_0x4968,_0x3f465e;_0x2279d6['exports']=(_0x3f465e=_0x31f7bc(0x233d),_0x31f7bc(0x2f2),_0x31f7bc(0x121c),_0x31f7bc(0x2522),_0x31f7bc(0x1bfd),(function(){var _0x532876=a0_0x4968,_0x1f5eed=_0x3f465e,_0x2c8173=_0x1f5eed['lib'][_0x532876(0x7f)],_0x22c194=_0x1f5eed['algo'],_0xcf446e=[],_0x5716b4=[],_0x20bbd9=[],_0x132fa2=_0x22c194[_0x532876(0x11e)]=_0x2c8173['extend']({'_doReset':function(){var _0xe8be62=_0x532876;for(var _0x595427=this['_key'][_0xe8be62(0x31d)],_0x57fa80=this[_0xe8be62(0x1bc)]['iv'],_0x5317dd=0x0;_0x5317dd<0x4;_0x5317dd++)_0x595427[_0x5317dd]=0xff00ff&(_0x595427[_0x5317dd]<<0x8|_0x595427[_0x5317dd]>>>0x18)|0xff00ff00&(_0x595427[_0x5317dd]<<0x18|_0x595427[_0x5317dd]>>>0x8);var _0x21aa96=this['_X']=[_0x595427[0x0],_0x595427[0x3]<<0x10|_0x595427[0x2]>>>0x10,_0x595427[0x1],_0x595427[0x0]<<0x10|_0x595427[0x3]>>>0x10,_0x595427[0x2],_0x595427[0x1]<<0x10|_0x595427[0x0]>>>0x10,_0x595427[0x3],_0x595427[0x2]<<0x10|_0x595427[0x1]>>>0x10],_0x33e127=this['_C']=[_0x595427[0x2]<<0x10|_0x595427[0x2]>>>0x10,0xffff0000&_0x595427[0x0]|0xffff&_0x595427[0x1],_0x595427[0x3]<<0x10|_0x595427[0x3]>>>0x10,0xffff0000&_0x595427[0x1]|0xffff&_0x595427[0x2],_0x595427[0x0]<<0x10|_0x595427[0x0]>>>0x10,0xffff0000&_0x595427[0x2]|0xffff&_0x595427[0x3],_0x595427[0x1]<<0x10|_0x595427[0x1]>>>0x10,0xffff0000&_0x595427[0x3]|0xffff&_0x595427[0x0]];for(this['_b']=0x0,_0x5317dd=0x0;_0x5317dd<0x4;_0x5317dd++)_0x54d32f[_0xe8be62(0x158)](this);for(_0x5317dd=0x0;_0x5317dd<0x8;_0x5317dd++)_0x33e127[_0x5317dd]^=_0x21aa96[_0x5317dd+0x4&0x7];if(_0x57fa80){var _0x32e01a=_0x57fa80['words'],_0x5e7727=_0x32e01a[0x0],_0x14d98a=_0x32e01a[0x1],_0x435ee8=0xff00ff&(_0x5e7727<<0x8|_0x5e7727>>>0x18)|0xff00ff00&(_0x5e7727<<0x18|_0x5e7727>>>0x8),_0x30933d=0xff00ff&(_0x14d98a<<0x8|_0x14d98a>>>0x18)|0xff00ff00&(_0x14d98a<<0x18|_0x14d98a>>>0x8),_0x3e947e=_0x435ee8>>>0x10|0xffff0000&_0x30933d,_0xe12d8d=_0x30933d<<0x10|0xffff&_0x435ee8;for(_0x33e127[0x0]^=_0x435ee8,_0x33e127[0x1]^=_0x3e947e,_0x33e127[0x2]^=_0x30933d,_0x33e127[0x3]^=_0xe12d8d,_0x33e127[0x4]^=_0x435ee8,_0x33e127[0x5]^=_0x3e947e,_0x33e127[0x6]^=_0x30933d,_0x33e127[0x7]^=_0xe12d8d,_0x5317dd=0x0;_0x5317dd<0x4;_0x5317dd++)_0x54d32f['call'](this);}},'_doProcessBlock':function(_0x1cec7c,_0x22e35b){var _0x59c614=_0x532876,_0x1e8e6f=this['_X'];_0x54d32f[_0x59c614(0x158)](this),_0xcf446e[0x0]=_0x1e8e6f[0x0]^_0x1e8e6f[0x5]>>>0x10^_0x1e8e6f[0x3]<<0x10,_0xcf446e[0x1]=_0x1e8e6f[0x2]^_0x1e8e6f[0x7]>>>0x10^_0x1e8e6f[0x5]<<0x10,_0xcf446e[0x2]=_0x1e8e6f[0x4]^_0x1e8e6f[0x1]>>>0x10^_0x1e8e6f[0x7]<<0x10,_0xcf446e[0x3]=_0x1e8e6f[0x6]^_0x1e8e6f[0x3]>>>0x10^_0x1e8e6f[0x1]<<0x10;for(var _0x3e3ea5=0x0;_0x3e3ea5<0x4;_0x3e3ea5++)_0xcf446e[_0x3e3ea5]=0xff00ff&(_0xcf446e[_0x3e3ea5]<<0x8|_0xcf446e[_0x3e3ea5]>>>0x18)|0xff00ff00&(_0xcf446e[_0x3e3ea5]<<0x18|_0xcf446e[_0x3e3ea5]>>>0x8),_0x1cec7c[_0x22e35b+_0x3e3ea5]^=_0xcf446e[_0x3e3ea5];},'blockSize':0x4,'ivSize':0x2});function _0x54d32f(){for(var _0x4bea09=this['_X'],_0xeb2996=this['_C'],_0x343cd9=0x0;_0x343cd9<0x8;_0x343cd9++)_0x5716b4[_0x343cd9]=_0xeb2996[_0x343cd9];for(_0xeb2996[0x0]=_0xeb2996[0x0]+0x4d34d34d+this['_b']|0x0,_0xeb2996[0x1]=_0xeb2996[0x1]+0xd34d34d3+(_0xeb2996[0x0]>>>0x0<_0x5716b4[0x0]>>>0x0?0x1:0x0)|0x0,_0xeb2996[0x2]=_0xeb2996[0x2]+0x34d34d34+(_0xeb2996[0x1]>>>0x0<_0x5716b4[0x1]>>>0x0?0x1:0x0)|0x0,_0xeb2996[0x3]=_0xeb2996[0x3]+0x4d34d34d+(_0xeb2996[0x2]>>>0x0<_0x5716b4[0x2]>>>0x0?0x1:0x0)|0x0,_0xeb2996[0x4]=_0xeb2996[0x4]+0xd34d34d3+(_0xeb2996[0x3]>>>0x0<_0x5716b4[0x3]>>>0x0?0x1:0x0)|0x0,_0xeb2996[0x5]=_0xeb2996[0x5]+0x34d34d34+(_0xeb2996[0x4]>>>0x0<_0x5716b4[0x4]>>>0x0?0x1:0x0)|0x0,_0xeb2996[0x6]=_0xeb2996[0x6]+0x4d34d34d+(_0xeb2996[0x5]>>>0x0<_0x5716b4[0x5]>>>0x0?0x1:0x0)|0x0,_0xeb2996[0x7]=_0xeb2996[0x7]+0xd34d34d3+(_0xeb2996[0x6]>>>0x0<_0x5716b4[0x6]>>>0x0?0x1:0x0)|0x0,this['_b']=_0xeb2996[0x7]>>>0x0<_0x5716b4[0x7]>>>0x0?0x1:0x0,_0x343cd9=0x0;_0x343cd9<0x8;_0x343cd9++){var _0x1dbf34=_0x4bea09[_0x343cd9]+_0xeb2996[_0x343cd9],_0x44aa6d=0xffff&_0x1dbf34,_0x28b350=_0x1dbf34>>>0x10,_0xb925cc=((_0x44aa6d*_0x44aa6d>>>0x11)+_0x44aa6d*_0x28b350>>>0xf)+_0x28b350*_0x28b350,_0x4adbb3=((0xffff0000&_0x1dbf34)*_0x1dbf34|0x0)+((0xffff&_0x1dbf34)*_0x1dbf34|0x0);_0x20bbd9[_0x343cd9]=_0xb925cc^_0x4adbb3;}_0x4bea09[0x0]=_0x20bbd9[0x0]+(_0x20bbd9[0x7]<<0x10|_0x20bbd9[0x7]>>>0x10)+(_0x20bbd9[0x6]<<0x10|_0x20bbd9[0x6]>>>0x10)|0x0,_0x4bea09[0x1]=_0x20bbd9[0x1]+(_0x20bbd9[0x0]<<0x8|_0x20bbd9[0x0]>>>0x18)+_0x20bbd9[0x7]|0x0,_0x4bea09[0x2]=_0x20bbd9[0x2]+(_0x20bbd9[0x1]<<0x10|_0x20bbd9[0x1]>>>0x10)+(_0x20bbd9[0x0]<<0x10|_0x20bbd9[0x0]>>>0x10)|0x0,_0x4bea09[0x3]=_0x20bbd9[0x3]+(_0x20bbd9[0x2]<<0x8|_0x20bbd9[0x2]>>>0x18)+_0x20bbd9[0x1]|0x0,_0x4bea09[0x4]=_0x20bbd9[0x4]+(_0x20bbd9[0x3]<<0x10|_0x20bbd9[0x3]>>>0x10)+(_0x20bbd9[0x2]<<0x10|_0x20bbd9[0x2]>>>0x10)|0x0,_0x4bea09[0x5]=_0x20bbd9[0x5]+(_0x20bbd9[0x4]<<0x8|_0x20bbd9[0x4]>>>0x18)+_0x20bbd9[0x3]|0x0,_0x4bea09[0x6]=_0x20bbd9[0x6]+(_0x20bbd9[0x5]<<0x10|_0x20bbd9[0x5]>>>0x10)+(_0x20bbd9[0x4]<<0x10|_0x20bbd9[0x4]>>>0x10)|0x0,_0x4bea09[0x7]=_0x20bbd9[0x7]+(_0x20bbd9[0x6]<<0x8|_0x20bbd9[0x6]>>>0x18)+_0x20bbd9[0x5]|0x0;}_0x1f5eed['Rabbit']=_0x2c8173['_createHelper'](_0x132fa2);}()),_0x3f465e[_0x300eb8(0x11e)]);},0x18a4(_0x474d5f,_0x3d303d,_0x108684){var _0x3ab86a=a0_0x4968,_0x2b2bc0,_0x4e6e79,_0x36cff0,_0x3b90ca,_0x272088,_0x5d0978;_0x474d5f[_0x3ab86a(0x33f)]=(_0x5d0978=_0x108684(0x233d),_0x108684(0xbc1),_0x4e6e79=(_0x2b2bc0=_0x5d0978)[_0x3ab86a(0x395)][_0x3ab86a(0x1cb)],_0x36cff0=_0x2b2bc0['algo'],_0x3b90ca=_0x36cff0[_0x3ab86a(0x1b1)],_0x272088=_0x36cff0[_0x3ab86a(0x177)]=_0x3b90ca['extend']({'_doReset':function(){var _0x465062=_0x3ab86a;this[_0x465062(0x1e7)]=new _0x4e6e79[(_0x465062(0x2db))]([0xc1059ed8,0x367cd507,0x3070dd17,0xf70e5939,0xffc00b31,0x68581511,0x64f98fa7,0xbefa4fa4]);},'_doFinalize':function(){var _0x4216e8=_0x3ab86a,_0x15a767=_0x3b90ca['_doFinalize'][_0x4216e8(0x158)](this);return _0x15a767[_0x4216e8(0x367)]-=0x4,_0x15a767;}}),_0x2b2bc0[_0x3ab86a(0x177)]=_0x3b90ca['_createHelper'](_0x272088),_0x2b2bc0[_0x3ab86a(0x285)]=_0x3b90ca['_createHmacHelper'](_0x272088),_0x5d0978[_0x3ab86a(0x177)]);},0x18e4(_0x4eeb36,_0xed1bbe,_0x230810){var _0x22c2f4=a0_0x4968,_0x9bf05b;_0x4eeb36[_0x22c2f4(0x33f)]=(_0x9bf05b=_0x230810(0x233d),_0x230810(0x1bfd),_0x9bf05b[_0x22c2f4(0x279)][_0x22c2f4(0xdf)]=(function(){var _0x30e3f7=_0x22c2f4,_0x312adc=_0x9bf05b[_0x30e3f7(0x395)][_0x30e3f7(0x244)][_0x30e3f7(0x193)]();function _0x5d3d87(_0x32433b){if(0xff&~(_0x32433b>>0x18))_0x32433b+=0x1<<0x18;else{var _0x5e847d=_0x32433b>>0x10&0xff,_0x5dbab2=_0x32433b>>0x8&0xff,_0x4f840c=0xff&_0x32433b;0xff===_0x5e847d?(_0x5e847d=0x0,0xff===_0x5dbab2?(_0x5dbab2=0x0,0xff===_0x4f840c?_0x4f840c=0x0:++_0x4f840c):++_0x5dbab2):++_0x5e847d,_0x32433b=0x0,_0x32433b+=_0x5e847d<<0x10,_0x32433b+=_0x5dbab2<<0x8,_0x32433b+=_0x4f840c;}return _0x32433b;}var _0x458fec=_0x312adc[_0x30e3f7(0x3f6)]=_0x312adc['extend']({'processBlock':function(_0x460a95,_0x2436b3){var _0xec3cc=_0x30e3f7,_0x43b7be=this[_0xec3cc(0x2fa)],_0x2b5702=_0x43b7be[_0xec3cc(0x1fc)],_0x2c020c=this[_0xec3cc(0x35b)],_0x11ffe1=this[_0xec3cc(0x226)];_0x2c020c&&(_0x11ffe1=this[_0xec3cc(0x226)]=_0x2c020c[_0xec3cc(0x2da)](0x0),this[_0xec3cc(0x35b)]=void 0x0),function(_0x14a0f4){0x0===(_0x14a0f4[0x0]=_0x5d3d87(_0x14a0f4[0x0]))&&(_0x14a0f4[0x1]=_0x5d3d87(_0x14a0f4[0x1]));}(_0x11ffe1);var _0x4b4262=_0x11ffe1['slice'](0x0);_0x43b7be[_0xec3cc(0x27b)](_0x4b4262,0x0);for(var _0x33ee26=0x0;_0x33ee26<_0x2b5702;_0x33ee26++)_0x460a95[_0x2436b3+_0x33ee26]^=_0x4b4262[_0x33ee26];}});return _0x312adc[_0x30e3f7(0x19a)]=_0x458fec,_0x312adc;}()),_0x9bf05b[_0x22c2f4(0x279)][_0x22c2f4(0xdf)]);},0x1928(_0x322a75,_0xea51f,_0x2b1ebb){var _0x4b59c0=a0_0x4968,_0x427afe;_0x322a75['exports']=(_0x427afe=_0x2b1ebb(0x233d),(function(){var _0x322785=a0_0x4968;if('function'==typeof ArrayBuffer){var _0x3c7ceb=_0x427afe[_0x322785(0x395)][_0x322785(0x1cb)],_0x439e17=_0x3c7ceb[_0x322785(0x2db)],_0x5a3a96=_0x3c7ceb[_0x322785(0x2db)]=function(_0x461642){var _0x5a3ea2=_0x322785;if(_0x461642 instanceof ArrayBuffer&&(_0x461642=new Uint8Array(_0x461642)),(_0x461642 instanceof Int8Array||_0x5a3ea2(0x392)!=typeof Uint8ClampedArray&&_0x461642 instanceof Uint8ClampedArray||_0x461642 instanceof Int16Array||_0x461642 instanceof Uint16Array||_0x461642 instanceof Int32Array||_0x461642 instanceof Uint32Array||_0x461642 instanceof Float32Array||_0x461642 instanceof Float64Array)&&(_0x461642=new Uint8Array(_0x461642[_0x5a3ea2(0xaf)],_0x461642[_0x5a3ea2(0x293)],_0x461642['byteLength'])),_0x461642 instanceof Uint8Array){for(var _0x4fa7b0=_0x461642[_0x5a3ea2(0x9c)],_0x2eee0f=[],_0x1fc2f1=0x0;_0x1fc2f1<_0x4fa7b0;_0x1fc2f1++)_0x2eee0f[_0x1fc2f1>>>0x2]|=_0x461642[_0x1fc2f1]<<0x18-_0x1fc2f1%0x4*0x8;_0x439e17['call'](this,_0x2eee0f,_0x4fa7b0);}else _0x439e17[_0x5a3ea2(0xfb)](this,arguments);};_0x5a3a96[_0x322785(0x348)]=_0x3c7ceb;}}()),_0x427afe[_0x4b59c0(0x395)][_0x4b59c0(0x1cb)]);},0x19f4(_0x4cb159,_0x5cd250,_0x1ea01d){'use strict';var _0x3bcfd0=a0_0x4968;var _0x15ad10=_0x1ea01d(0x99f)['F'][_0x3bcfd0(0x2f5)];_0x4cb159[_0x3bcfd0(0x33f)]={'getHighWaterMark':function(_0x4614f2,_0x42484c,_0x41a995,_0x454826){var _0x4b25d2=_0x3bcfd0,_0x35d1bc=function(_0x1adb1d,_0x553d73,_0x13d5a6){var _0x55696f=a0_0x4968;return null!=_0x1adb1d['highWaterMark']?_0x1adb1d[_0x55696f(0x1ac)]:_0x553d73?_0x1adb1d[_0x13d5a6]:null;}(_0x42484c,_0x454826,_0x41a995);if(null!=_0x35d1bc){if(!isFinite(_0x35d1bc)||Math[_0x4b25d2(0x347)](_0x35d1bc)!==_0x35d1bc||_0x35d1bc<0x0)throw new _0x15ad10(_0x454826?_0x41a995:'highWaterMark',_0x35d1bc);return Math[_0x4b25d2(0x347)](_0x35d1bc);}return _0x4614f2['objectMode']?0x10:0x4000;}};},0x1a2a(_0x1c0ae5){var _0x4fbfb6=a0_0x4968;'function'==typeof Object[_0x4fbfb6(0x1c3)]?_0x1c0ae5['exports']=function(_0x7ee2d7,_0xa8ea68){var _0xfdf23d=_0x4fbfb6;_0xa8ea68&&(_0x7ee2d7[_0xfdf23d(0x283)]=_0xa8ea68,_0x7ee2d7[_0xfdf23d(0x348)]=Object[_0xfdf23d(0x1c3)](_0xa8ea68[_0xfdf23d(0x348)],{'constructor':{'value':_0x7ee2d7,'enumerable':!0x1,'writable':!0x0,'configurable':!0x0}}));}:_0x1c0ae5[_0x4fbfb6(0x33f)]=function(_0x4d6748,_0x281cfa){var _0x5b9938=_0x4fbfb6;if(_0x281cfa){_0x4d6748['super_']=_0x281cfa;var _0x1cd485=function(){};_0x1cd485[_0x5b9938(0x348)]=_0x281cfa[_0x5b9938(0x348)],_0x4d6748['prototype']=new _0x1cd485(),_0x4d6748['prototype'][_0x5b9938(0x382)]=_0x4d6748;}};},0x1aeb(_0x216299,_0x17ed8c,_0x24048a){'use strict';var _0x1c3014=a0_0x4968;var _0x24eb6e,_0x2e17e4=_0x24048a(0x15e6);_0x216299[_0x1c3014(0x33f)]=_0x5961e8,_0x5961e8['ReadableState']=_0x271898,_0x24048a(0x1b5f)['EventEmitter'];var _0x5cb358,_0x541f98=function(_0x42e346,_0x1e173f){var _0x421698=_0x1c3014;return _0x42e346[_0x421698(0x3b8)](_0x1e173f)[_0x421698(0x3a3)];},_0x4b945e=_0x24048a(0x2337),_0x524838=_0x24048a(0x205f)['Buffer'],_0x4d88ac=(void 0x0!==_0x24048a['g']?_0x24048a['g']:'undefined'!=typeof window?window:_0x1c3014(0x392)!=typeof self?self:{})[_0x1c3014(0x330)]||function(){},_0x1dce02=_0x24048a(0x1c1f);_0x5cb358=_0x1dce02&&_0x1dce02[_0x1c3014(0x2ba)]?_0x1dce02[_0x1c3014(0x2ba)](_0x1c3014(0x2f0)):function(){};var _0x1a7a41,_0x3278ab,_0x398b01,_0x47425f=_0x24048a(0x6e6),_0x371c1b=_0x24048a(0x10fb),_0x462ed4=_0x24048a(0x19f4)['getHighWaterMark'],_0x289c2e=_0x24048a(0x99f)['F'],_0x23dadc=_0x289c2e['ERR_INVALID_ARG_TYPE'],_0x2f246a=_0x289c2e[_0x1c3014(0x3cc)],_0xd459f5=_0x289c2e['ERR_METHOD_NOT_IMPLEMENTED'],_0x492105=_0x289c2e['ERR_STREAM_UNSHIFT_AFTER_END_EVENT'];_0x24048a(0x1a2a)(_0x5961e8,_0x4b945e);var _0x3cb69a=_0x371c1b[_0x1c3014(0x3fa)],_0x142596=[_0x1c3014(0x3d8),_0x1c3014(0x33e),_0x1c3014(0x221),_0x1c3014(0x3f3),_0x1c3014(0xb0)];function _0x271898(_0xb1986c,_0x2c92bb,_0x235254){var _0x46eef6=_0x1c3014;_0x24eb6e=_0x24eb6e||_0x24048a(0x1fa5),_0xb1986c=_0xb1986c||{},'boolean'!=typeof _0x235254&&(_0x235254=_0x2c92bb instanceof _0x24eb6e),this[_0x46eef6(0x117)]=!!_0xb1986c[_0x46eef6(0x117)],_0x235254&&(this[_0x46eef6(0x117)]=this[_0x46eef6(0x117)]||!!_0xb1986c[_0x46eef6(0x2cc)]),this[_0x46eef6(0x1ac)]=_0x462ed4(this,_0xb1986c,'readableHighWaterMark',_0x235254),this['buffer']=new _0x47425f(),this[_0x46eef6(0x3a3)]=0x0,this[_0x46eef6(0xa8)]=null,this['pipesCount']=0x0,this['flowing']=null,this['ended']=!0x1,this[_0x46eef6(0x1b4)]=!0x1,this[_0x46eef6(0x309)]=!0x1,this[_0x46eef6(0xa7)]=!0x0,this[_0x46eef6(0x37f)]=!0x1,this[_0x46eef6(0x1d6)]=!0x1,this[_0x46eef6(0x356)]=!0x1,this['resumeScheduled']=!0x1,this[_0x46eef6(0x211)]=!0x0,this[_0x46eef6(0x245)]=!0x1!==_0xb1986c['emitClose'],this[_0x46eef6(0x3e5)]=!!_0xb1986c[_0x46eef6(0x3e5)],this[_0x46eef6(0x12c)]=!0x1,this[_0x46eef6(0x1ed)]=_0xb1986c['defaultEncoding']||_0x46eef6(0x229),this[_0x46eef6(0x32d)]=0x0,this['readingMore']=!0x1,this[_0x46eef6(0xbd)]=null,this[_0x46eef6(0x310)]=null,_0xb1986c[_0x46eef6(0x310)]&&(_0x1a7a41||(_0x1a7a41=_0x24048a(0xc45)['I']),this[_0x46eef6(0xbd)]=new _0x1a7a41(_0xb1986c[_0x46eef6(0x310)]),this['encoding']=_0xb1986c[_0x46eef6(0x310)]);}function _0x5961e8(_0x438ab3){var _0x595163=_0x1c3014;if(_0x24eb6e=_0x24eb6e||_0x24048a(0x1fa5),!(this instanceof _0x5961e8))return new _0x5961e8(_0x438ab3);var _0x4d0574=this instanceof _0x24eb6e;this[_0x595163(0x105)]=new _0x271898(_0x438ab3,this,_0x4d0574),this[_0x595163(0x27c)]=!0x0,_0x438ab3&&(_0x595163(0x28d)==typeof _0x438ab3[_0x595163(0x18a)]&&(this[_0x595163(0x321)]=_0x438ab3[_0x595163(0x18a)]),_0x595163(0x28d)==typeof _0x438ab3[_0x595163(0x221)]&&(this['_destroy']=_0x438ab3[_0x595163(0x221)])),_0x4b945e[_0x595163(0x158)](this);}function _0x2d396b(_0x418d7a,_0x3fb3f0,_0x40e6db,_0x1336ee,_0xeda25d){var _0x3fdb96=_0x1c3014;_0x5cb358(_0x3fdb96(0x182),_0x3fb3f0);var _0x503a60,_0x1264da=_0x418d7a['_readableState'];if(null===_0x3fb3f0)_0x1264da[_0x3fdb96(0x309)]=!0x1,function(_0x5363b6,_0x3a81e2){var _0x24511b=_0x3fdb96;if(_0x5cb358(_0x24511b(0x2c0)),!_0x3a81e2[_0x24511b(0x3fd)]){if(_0x3a81e2[_0x24511b(0xbd)]){var _0x5d4a94=_0x3a81e2[_0x24511b(0xbd)][_0x24511b(0xd0)]();_0x5d4a94&&_0x5d4a94[_0x24511b(0x3a3)]&&(_0x3a81e2[_0x24511b(0xaf)]['push'](_0x5d4a94),_0x3a81e2['length']+=_0x3a81e2[_0x24511b(0x117)]?0x1:_0x5d4a94['length']);}_0x3a81e2[_0x24511b(0x3fd)]=!0x0,_0x3a81e2['sync']?_0x1883bc(_0x5363b6):(_0x3a81e2[_0x24511b(0x37f)]=!0x1,_0x3a81e2[_0x24511b(0x1d6)]||(_0x3a81e2[_0x24511b(0x1d6)]=!0x0,_0x1f1a4c(_0x5363b6)));}}(_0x418d7a,_0x1264da);else{if(_0xeda25d||(_0x503a60=function(_0x459417,_0x57aa6c){var _0xb3bb7a=_0x3fdb96,_0x30beef,_0x2e6b3e;return _0x2e6b3e=_0x57aa6c,_0x524838[_0xb3bb7a(0x164)](_0x2e6b3e)||_0x2e6b3e instanceof _0x4d88ac||'string'==typeof _0x57aa6c||void 0x0===_0x57aa6c||_0x459417['objectMode']||(_0x30beef=new _0x23dadc(_0xb3bb7a(0x20e),[_0xb3bb7a(0x40d),_0xb3bb7a(0x2ff),_0xb3bb7a(0x330)],_0x57aa6c)),_0x30beef;}(_0x1264da,_0x3fb3f0)),_0x503a60)_0x3cb69a(_0x418d7a,_0x503a60);else{if(_0x1264da[_0x3fdb96(0x117)]||_0x3fb3f0&&_0x3fb3f0[_0x3fdb96(0x3a3)]>0x0){if(_0x3fdb96(0x40d)==typeof _0x3fb3f0||_0x1264da['objectMode']||Object['getPrototypeOf'](_0x3fb3f0)===_0x524838[_0x3fdb96(0x348)]||(_0x3fb3f0=function(_0x287bd6){return _0x524838['from'](_0x287bd6);}(_0x3fb3f0)),_0x1336ee)_0x1264da[_0x3fdb96(0x1b4)]?_0x3cb69a(_0x418d7a,new _0x492105()):_0x3121be(_0x418d7a,_0x1264da,_0x3fb3f0,!0x0);else{if(_0x1264da[_0x3fdb96(0x3fd)])_0x3cb69a(_0x418d7a,new _0x2f246a());else{if(_0x1264da[_0x3fdb96(0x12c)])return!0x1;_0x1264da[_0x3fdb96(0x309)]=!0x1,_0x1264da[_0x3fdb96(0xbd)]&&!_0x40e6db?(_0x3fb3f0=_0x1264da[_0x3fdb96(0xbd)][_0x3fdb96(0x2aa)](_0x3fb3f0),_0x1264da[_0x3fdb96(0x117)]||0x0!==_0x3fb3f0['length']?_0x3121be(_0x418d7a,_0x1264da,_0x3fb3f0,!0x1):_0x5cb114(_0x418d7a,_0x1264da)):_0x3121be(_0x418d7a,_0x1264da,_0x3fb3f0,!0x1);}}}else _0x1336ee||(_0x1264da[_0x3fdb96(0x309)]=!0x1,_0x5cb114(_0x418d7a,_0x1264da));}}return!_0x1264da['ended']&&(_0x1264da[_0x3fdb96(0x3a3)]<_0x1264da[_0x3fdb96(0x1ac)]||0x0===_0x1264da[_0x3fdb96(0x3a3)]);}function _0x3121be(_0x2c2e67,_0xb324de,_0x365732,_0x41a8a6){var _0x4e36de=_0x1c3014;_0xb324de[_0x4e36de(0x1b5)]&&0x0===_0xb324de[_0x4e36de(0x3a3)]&&!_0xb324de[_0x4e36de(0xa7)]?(_0xb324de[_0x4e36de(0x32d)]=0x0,_0x2c2e67[_0x4e36de(0xfa)](_0x4e36de(0x2c3),_0x365732)):(_0xb324de[_0x4e36de(0x3a3)]+=_0xb324de[_0x4e36de(0x117)]?0x1:_0x365732['length'],_0x41a8a6?_0xb324de[_0x4e36de(0xaf)][_0x4e36de(0x88)](_0x365732):_0xb324de[_0x4e36de(0xaf)]['push'](_0x365732),_0xb324de[_0x4e36de(0x37f)]&&_0x1883bc(_0x2c2e67)),_0x5cb114(_0x2c2e67,_0xb324de);}Object['defineProperty'](_0x5961e8['prototype'],'destroyed',{'enumerable':!0x1,'get':function(){var _0x47ee42=_0x1c3014;return void 0x0!==this[_0x47ee42(0x105)]&&this[_0x47ee42(0x105)][_0x47ee42(0x12c)];},'set':function(_0x2b91f5){var _0x37fa28=_0x1c3014;this[_0x37fa28(0x105)]&&(this[_0x37fa28(0x105)][_0x37fa28(0x12c)]=_0x2b91f5);}}),_0x5961e8[_0x1c3014(0x348)][_0x1c3014(0x221)]=_0x371c1b[_0x1c3014(0x221)],_0x5961e8['prototype']['_undestroy']=_0x371c1b[_0x1c3014(0x2e8)],_0x5961e8['prototype'][_0x1c3014(0x264)]=function(_0x36226b,_0x4c6bbd){_0x4c6bbd(_0x36226b);},_0x5961e8[_0x1c3014(0x348)][_0x1c3014(0x3c5)]=function(_0x8fb94e,_0x34b490){var _0x56bca9=_0x1c3014,_0x45e3ca,_0x32eb73=this[_0x56bca9(0x105)];return _0x32eb73['objectMode']?_0x45e3ca=!0x0:_0x56bca9(0x40d)==typeof _0x8fb94e&&((_0x34b490=_0x34b490||_0x32eb73['defaultEncoding'])!==_0x32eb73[_0x56bca9(0x310)]&&(_0x8fb94e=_0x524838['from'](_0x8fb94e,_0x34b490),_0x34b490=''),_0x45e3ca=!0x0),_0x2d396b(this,_0x8fb94e,_0x34b490,!0x1,_0x45e3ca);},_0x5961e8[_0x1c3014(0x348)]['unshift']=function(_0xf75a2d){return _0x2d396b(this,_0xf75a2d,null,!0x0,!0x1);},_0x5961e8[_0x1c3014(0x348)][_0x1c3014(0x1e8)]=function(){var _0x1bdbef=_0x1c3014;return!0x1===this[_0x1bdbef(0x105)][_0x1bdbef(0x1b5)];},_0x5961e8['prototype'][_0x1c3014(0x1f3)]=function(_0xae9934){var _0x2a224b=_0x1c3014;_0x1a7a41||(_0x1a7a41=_0x24048a(0xc45)['I']);var _0x5a512b=new _0x1a7a41(_0xae9934);this[_0x2a224b(0x105)][_0x2a224b(0xbd)]=_0x5a512b,this[_0x2a224b(0x105)][_0x2a224b(0x310)]=this[_0x2a224b(0x105)][_0x2a224b(0xbd)][_0x2a224b(0x310)];for(var _0x397406=this[_0x2a224b(0x105)][_0x2a224b(0xaf)]['head'],_0x218dd2='';null!==_0x397406;)_0x218dd2+=_0x5a512b[_0x2a224b(0x2aa)](_0x397406[_0x2a224b(0x2c3)]),_0x397406=_0x397406[_0x2a224b(0x22a)];return this[_0x2a224b(0x105)][_0x2a224b(0xaf)][_0x2a224b(0x3b1)](),''!==_0x218dd2&&this[_0x2a224b(0x105)][_0x2a224b(0xaf)][_0x2a224b(0x3c5)](_0x218dd2),this['_readableState']['length']=_0x218dd2[_0x2a224b(0x3a3)],this;};var _0x415a65=0x40000000;function _0x1ed1d0(_0x4e298f,_0x13075c){var _0x4174a0=_0x1c3014;return _0x4e298f<=0x0||0x0===_0x13075c[_0x4174a0(0x3a3)]&&_0x13075c[_0x4174a0(0x3fd)]?0x0:_0x13075c[_0x4174a0(0x117)]?0x1:_0x4e298f!=_0x4e298f?_0x13075c['flowing']&&_0x13075c[_0x4174a0(0x3a3)]?_0x13075c[_0x4174a0(0xaf)][_0x4174a0(0xf6)][_0x4174a0(0x2c3)][_0x4174a0(0x3a3)]:_0x13075c[_0x4174a0(0x3a3)]:(_0x4e298f>_0x13075c['highWaterMark']&&(_0x13075c[_0x4174a0(0x1ac)]=function(_0x29c5bb){return _0x29c5bb>=_0x415a65?_0x29c5bb=_0x415a65:(_0x29c5bb--,_0x29c5bb|=_0x29c5bb>>>0x1,_0x29c5bb|=_0x29c5bb>>>0x2,_0x29c5bb|=_0x29c5bb>>>0x4,_0x29c5bb|=_0x29c5bb>>>0x8,_0x29c5bb|=_0x29c5bb>>>0x10,_0x29c5bb++),_0x29c5bb;}(_0x4e298f)),_0x4e298f<=_0x13075c['length']?_0x4e298f:_0x13075c[_0x4174a0(0x3fd)]?_0x13075c[_0x4174a0(0x3a3)]:(_0x13075c[_0x4174a0(0x37f)]=!0x0,0x0));}function _0x1883bc(_0x37a845){var _0xbf2292=_0x1c3014,_0x514e41=_0x37a845[_0xbf2292(0x105)];_0x5cb358(_0xbf2292(0x1ae),_0x514e41[_0xbf2292(0x37f)],_0x514e41['emittedReadable']),_0x514e41['needReadable']=!0x1,_0x514e41[_0xbf2292(0x1d6)]||(_0x5cb358('emitReadable',_0x514e41['flowing']),_0x514e41[_0xbf2292(0x1d6)]=!0x0,_0x2e17e4[_0xbf2292(0x286)](_0x1f1a4c,_0x37a845));}function _0x1f1a4c(_0x16c3ff){var _0x82a7bc=_0x1c3014,_0x5b9884=_0x16c3ff[_0x82a7bc(0x105)];_0x5cb358('emitReadable_',_0x5b9884[_0x82a7bc(0x12c)],_0x5b9884[_0x82a7bc(0x3a3)],_0x5b9884[_0x82a7bc(0x3fd)]),_0x5b9884['destroyed']||!_0x5b9884[_0x82a7bc(0x3a3)]&&!_0x5b9884[_0x82a7bc(0x3fd)]||(_0x16c3ff[_0x82a7bc(0xfa)](_0x82a7bc(0x27c)),_0x5b9884[_0x82a7bc(0x1d6)]=!0x1),_0x5b9884['needReadable']=!_0x5b9884[_0x82a7bc(0x1b5)]&&!_0x5b9884['ended']&&_0x5b9884[_0x82a7bc(0x3a3)]<=_0x5b9884[_0x82a7bc(0x1ac)],_0x41872f(_0x16c3ff);}function _0x5cb114(_0x2c687d,_0x2d7aec){var _0x343337=_0x1c3014;_0x2d7aec[_0x343337(0x16f)]||(_0x2d7aec[_0x343337(0x16f)]=!0x0,_0x2e17e4[_0x343337(0x286)](_0x5d8452,_0x2c687d,_0x2d7aec));}function _0x5d8452(_0x1e463b,_0x30a7b1){var _0x56b7ec=_0x1c3014;for(;!_0x30a7b1[_0x56b7ec(0x309)]&&!_0x30a7b1[_0x56b7ec(0x3fd)]&&(_0x30a7b1['length']<_0x30a7b1[_0x56b7ec(0x1ac)]||_0x30a7b1[_0x56b7ec(0x1b5)]&&0x0===_0x30a7b1[_0x56b7ec(0x3a3)]);){var _0xd16100=_0x30a7b1[_0x56b7ec(0x3a3)];if(_0x5cb358('maybeReadMore\x20read\x200'),_0x1e463b['read'](0x0),_0xd16100===_0x30a7b1[_0x56b7ec(0x3a3)])break;}_0x30a7b1[_0x56b7ec(0x16f)]=!0x1;}function _0x109d64(_0x3e4b37){var _0x56f3d3=_0x1c3014,_0x442d28=_0x3e4b37[_0x56f3d3(0x105)];_0x442d28[_0x56f3d3(0x356)]=_0x3e4b37['listenerCount']('readable')>0x0,_0x442d28[_0x56f3d3(0x243)]&&!_0x442d28[_0x56f3d3(0x211)]?_0x442d28[_0x56f3d3(0x1b5)]=!0x0:_0x3e4b37[_0x56f3d3(0x17d)](_0x56f3d3(0x2c3))>0x0&&_0x3e4b37[_0x56f3d3(0xb0)]();}function _0x42c5c6(_0x37b4f8){var _0x406cf=_0x1c3014;_0x5cb358(_0x406cf(0x172)),_0x37b4f8[_0x406cf(0x18a)](0x0);}function _0x465ff6(_0x501055,_0x4236cf){var _0x39fb7f=_0x1c3014;_0x5cb358(_0x39fb7f(0xb0),_0x4236cf[_0x39fb7f(0x309)]),_0x4236cf[_0x39fb7f(0x309)]||_0x501055[_0x39fb7f(0x18a)](0x0),_0x4236cf[_0x39fb7f(0x243)]=!0x1,_0x501055[_0x39fb7f(0xfa)](_0x39fb7f(0xb0)),_0x41872f(_0x501055),_0x4236cf[_0x39fb7f(0x1b5)]&&!_0x4236cf['reading']&&_0x501055['read'](0x0);}function _0x41872f(_0x2ba35b){var _0x3f0e07=_0x1c3014,_0x201d90=_0x2ba35b['_readableState'];for(_0x5cb358(_0x3f0e07(0x388),_0x201d90[_0x3f0e07(0x1b5)]);_0x201d90[_0x3f0e07(0x1b5)]&&null!==_0x2ba35b[_0x3f0e07(0x18a)](););}function _0x1ef548(_0x3c5882,_0x52027e){var _0x78b4f9=_0x1c3014;return 0x0===_0x52027e[_0x78b4f9(0x3a3)]?null:(_0x52027e[_0x78b4f9(0x117)]?_0x1f857c=_0x52027e['buffer'][_0x78b4f9(0x1f1)]():!_0x3c5882||_0x3c5882>=_0x52027e['length']?(_0x1f857c=_0x52027e['decoder']?_0x52027e[_0x78b4f9(0xaf)][_0x78b4f9(0x28b)](''):0x1===_0x52027e[_0x78b4f9(0xaf)]['length']?_0x52027e[_0x78b4f9(0xaf)]['first']():_0x52027e[_0x78b4f9(0xaf)]['concat'](_0x52027e[_0x78b4f9(0x3a3)]),_0x52027e['buffer'][_0x78b4f9(0x3b1)]()):_0x1f857c=_0x52027e['buffer'][_0x78b4f9(0xf7)](_0x3c5882,_0x52027e[_0x78b4f9(0xbd)]),_0x1f857c);var _0x1f857c;}function _0x55284e(_0x22c25b){var _0x2d31b5=_0x1c3014,_0x57aa2b=_0x22c25b[_0x2d31b5(0x105)];_0x5cb358('endReadable',_0x57aa2b['endEmitted']),_0x57aa2b[_0x2d31b5(0x1b4)]||(_0x57aa2b['ended']=!0x0,_0x2e17e4[_0x2d31b5(0x286)](_0x2386e2,_0x57aa2b,_0x22c25b));}function _0x2386e2(_0x3e7e06,_0x1209b0){var _0x5b548e=_0x1c3014;if(_0x5cb358(_0x5b548e(0x3d5),_0x3e7e06[_0x5b548e(0x1b4)],_0x3e7e06['length']),!_0x3e7e06[_0x5b548e(0x1b4)]&&0x0===_0x3e7e06['length']&&(_0x3e7e06[_0x5b548e(0x1b4)]=!0x0,_0x1209b0[_0x5b548e(0x27c)]=!0x1,_0x1209b0['emit'](_0x5b548e(0xd0)),_0x3e7e06[_0x5b548e(0x3e5)])){var _0x30208d=_0x1209b0[_0x5b548e(0x3ef)];(!_0x30208d||_0x30208d[_0x5b548e(0x3e5)]&&_0x30208d[_0x5b548e(0x24d)])&&_0x1209b0[_0x5b548e(0x221)]();}}function _0x125bff(_0x83d744,_0xc03f21){var _0x562300=_0x1c3014;for(var _0x20fdf5=0x0,_0x1f1e95=_0x83d744[_0x562300(0x3a3)];_0x20fdf5<_0x1f1e95;_0x20fdf5++)if(_0x83d744[_0x20fdf5]===_0xc03f21)return _0x20fdf5;return-0x1;}_0x5961e8['prototype'][_0x1c3014(0x18a)]=function(_0x3f2e75){var _0x78ba19=_0x1c3014;_0x5cb358(_0x78ba19(0x18a),_0x3f2e75),_0x3f2e75=parseInt(_0x3f2e75,0xa);var _0x15204b=this[_0x78ba19(0x105)],_0x659658=_0x3f2e75;if(0x0!==_0x3f2e75&&(_0x15204b[_0x78ba19(0x1d6)]=!0x1),0x0===_0x3f2e75&&_0x15204b[_0x78ba19(0x37f)]&&((0x0!==_0x15204b[_0x78ba19(0x1ac)]?_0x15204b['length']>=_0x15204b['highWaterMark']:_0x15204b[_0x78ba19(0x3a3)]>0x0)||_0x15204b['ended']))return _0x5cb358(_0x78ba19(0x386),_0x15204b[_0x78ba19(0x3a3)],_0x15204b['ended']),0x0===_0x15204b['length']&&_0x15204b[_0x78ba19(0x3fd)]?_0x55284e(this):_0x1883bc(this),null;if(0x0===(_0x3f2e75=_0x1ed1d0(_0x3f2e75,_0x15204b))&&_0x15204b[_0x78ba19(0x3fd)])return 0x0===_0x15204b['length']&&_0x55284e(this),null;var _0x285c2e,_0x4cb801=_0x15204b[_0x78ba19(0x37f)];return _0x5cb358(_0x78ba19(0x39e),_0x4cb801),(0x0===_0x15204b[_0x78ba19(0x3a3)]||_0x15204b[_0x78ba19(0x3a3)]-_0x3f2e75<_0x15204b[_0x78ba19(0x1ac)])&&_0x5cb358(_0x78ba19(0x355),_0x4cb801=!0x0),_0x15204b[_0x78ba19(0x3fd)]||_0x15204b[_0x78ba19(0x309)]?_0x5cb358('reading\x20or\x20ended',_0x4cb801=!0x1):_0x4cb801&&(_0x5cb358('do\x20read'),_0x15204b[_0x78ba19(0x309)]=!0x0,_0x15204b['sync']=!0x0,0x0===_0x15204b[_0x78ba19(0x3a3)]&&(_0x15204b[_0x78ba19(0x37f)]=!0x0),this[_0x78ba19(0x321)](_0x15204b[_0x78ba19(0x1ac)]),_0x15204b[_0x78ba19(0xa7)]=!0x1,_0x15204b[_0x78ba19(0x309)]||(_0x3f2e75=_0x1ed1d0(_0x659658,_0x15204b))),null===(_0x285c2e=_0x3f2e75>0x0?_0x1ef548(_0x3f2e75,_0x15204b):null)?(_0x15204b[_0x78ba19(0x37f)]=_0x15204b['length']<=_0x15204b[_0x78ba19(0x1ac)],_0x3f2e75=0x0):(_0x15204b['length']-=_0x3f2e75,_0x15204b[_0x78ba19(0x32d)]=0x0),0x0===_0x15204b[_0x78ba19(0x3a3)]&&(_0x15204b[_0x78ba19(0x3fd)]||(_0x15204b[_0x78ba19(0x37f)]=!0x0),_0x659658!==_0x3f2e75&&_0x15204b[_0x78ba19(0x3fd)]&&_0x55284e(this)),null!==_0x285c2e&&this['emit']('data',_0x285c2e),_0x285c2e;},_0x5961e8[_0x1c3014(0x348)][_0x1c3014(0x321)]=function(_0xc16b1d){var _0xb5f562=_0x1c3014;_0x3cb69a(this,new _0xd459f5(_0xb5f562(0x142)));},_0x5961e8[_0x1c3014(0x348)][_0x1c3014(0x25a)]=function(_0x5da789,_0x3361b5){var _0x12356a=_0x1c3014,_0x51f01f=this,_0x34a81d=this[_0x12356a(0x105)];switch(_0x34a81d[_0x12356a(0x3f2)]){case 0x0:_0x34a81d[_0x12356a(0xa8)]=_0x5da789;break;case 0x1:_0x34a81d[_0x12356a(0xa8)]=[_0x34a81d['pipes'],_0x5da789];break;default:_0x34a81d[_0x12356a(0xa8)]['push'](_0x5da789);}_0x34a81d[_0x12356a(0x3f2)]+=0x1,_0x5cb358(_0x12356a(0x234),_0x34a81d[_0x12356a(0x3f2)],_0x3361b5);var _0x232958=_0x3361b5&&!0x1===_0x3361b5[_0x12356a(0xd0)]||_0x5da789===_0x2e17e4[_0x12356a(0x362)]||_0x5da789===_0x2e17e4['stderr']?_0x44f347:_0x3c2ed3;function _0x3c2ed3(){var _0x1be608=_0x12356a;_0x5cb358(_0x1be608(0x298)),_0x5da789[_0x1be608(0xd0)]();}_0x34a81d[_0x12356a(0x1b4)]?_0x2e17e4['nextTick'](_0x232958):_0x51f01f[_0x12356a(0x274)]('end',_0x232958),_0x5da789['on'](_0x12356a(0x3df),function _0x2dc779(_0x32bb70,_0x2a3b64){var _0x473b41=_0x12356a;_0x5cb358(_0x473b41(0xfd)),_0x32bb70===_0x51f01f&&_0x2a3b64&&!0x1===_0x2a3b64[_0x473b41(0x225)]&&(_0x2a3b64[_0x473b41(0x225)]=!0x0,_0x5cb358(_0x473b41(0x2fe)),_0x5da789[_0x473b41(0x19f)](_0x473b41(0x33e),_0x8c2886),_0x5da789[_0x473b41(0x19f)]('finish',_0x211360),_0x5da789[_0x473b41(0x19f)]('drain',_0x4a45c6),_0x5da789[_0x473b41(0x19f)](_0x473b41(0x3d8),_0x1e3732),_0x5da789['removeListener']('unpipe',_0x2dc779),_0x51f01f[_0x473b41(0x19f)]('end',_0x3c2ed3),_0x51f01f[_0x473b41(0x19f)]('end',_0x44f347),_0x51f01f[_0x473b41(0x19f)](_0x473b41(0x2c3),_0x3dddde),_0x591ef0=!0x0,!_0x34a81d['awaitDrain']||_0x5da789[_0x473b41(0x3ef)]&&!_0x5da789[_0x473b41(0x3ef)]['needDrain']||_0x4a45c6());});var _0x4a45c6=function(_0x388ba4){return function(){var _0x4f25e1=a0_0x4968,_0x4986a0=_0x388ba4[_0x4f25e1(0x105)];_0x5cb358(_0x4f25e1(0x394),_0x4986a0['awaitDrain']),_0x4986a0[_0x4f25e1(0x32d)]&&_0x4986a0['awaitDrain']--,0x0===_0x4986a0[_0x4f25e1(0x32d)]&&_0x541f98(_0x388ba4,_0x4f25e1(0x2c3))&&(_0x4986a0[_0x4f25e1(0x1b5)]=!0x0,_0x41872f(_0x388ba4));};}(_0x51f01f);_0x5da789['on'](_0x12356a(0x214),_0x4a45c6);var _0x591ef0=!0x1;function _0x3dddde(_0x1d126e){var _0x551b36=_0x12356a;_0x5cb358(_0x551b36(0x2c4));var _0x5132e4=_0x5da789[_0x551b36(0x2aa)](_0x1d126e);_0x5cb358('dest.write',_0x5132e4),!0x1===_0x5132e4&&((0x1===_0x34a81d[_0x551b36(0x3f2)]&&_0x34a81d[_0x551b36(0xa8)]===_0x5da789||_0x34a81d[_0x551b36(0x3f2)]>0x1&&-0x1!==_0x125bff(_0x34a81d[_0x551b36(0xa8)],_0x5da789))&&!_0x591ef0&&(_0x5cb358(_0x551b36(0x3ba),_0x34a81d[_0x551b36(0x32d)]),_0x34a81d[_0x551b36(0x32d)]++),_0x51f01f[_0x551b36(0x3f3)]());}function _0x1e3732(_0x9e4e33){var _0x3401dc=_0x12356a;_0x5cb358('onerror',_0x9e4e33),_0x44f347(),_0x5da789[_0x3401dc(0x19f)](_0x3401dc(0x3d8),_0x1e3732),0x0===_0x541f98(_0x5da789,_0x3401dc(0x3d8))&&_0x3cb69a(_0x5da789,_0x9e4e33);}function _0x8c2886(){var _0x196cd7=_0x12356a;_0x5da789['removeListener'](_0x196cd7(0x313),_0x211360),_0x44f347();}function _0x211360(){var _0x3ff5ab=_0x12356a;_0x5cb358(_0x3ff5ab(0x2f6)),_0x5da789[_0x3ff5ab(0x19f)](_0x3ff5ab(0x33e),_0x8c2886),_0x44f347();}function _0x44f347(){var _0x395bcd=_0x12356a;_0x5cb358(_0x395bcd(0x3df)),_0x51f01f['unpipe'](_0x5da789);}return _0x51f01f['on']('data',_0x3dddde),function(_0x29eb36,_0x198d33,_0x3ac440){var _0xb45d08=_0x12356a;if(_0xb45d08(0x28d)==typeof _0x29eb36[_0xb45d08(0x82)])return _0x29eb36[_0xb45d08(0x82)](_0x198d33,_0x3ac440);_0x29eb36[_0xb45d08(0x2a6)]&&_0x29eb36['_events'][_0x198d33]?Array['isArray'](_0x29eb36['_events'][_0x198d33])?_0x29eb36[_0xb45d08(0x2a6)][_0x198d33]['unshift'](_0x3ac440):_0x29eb36['_events'][_0x198d33]=[_0x3ac440,_0x29eb36[_0xb45d08(0x2a6)][_0x198d33]]:_0x29eb36['on'](_0x198d33,_0x3ac440);}(_0x5da789,'error',_0x1e3732),_0x5da789['once'](_0x12356a(0x33e),_0x8c2886),_0x5da789[_0x12356a(0x274)](_0x12356a(0x313),_0x211360),_0x5da789[_0x12356a(0xfa)]('pipe',_0x51f01f),_0x34a81d['flowing']||(_0x5cb358('pipe\x20resume'),_0x51f01f[_0x12356a(0xb0)]()),_0x5da789;},_0x5961e8[_0x1c3014(0x348)][_0x1c3014(0x3df)]=function(_0x1b2e74){var _0x127575=_0x1c3014,_0x1d1d83=this[_0x127575(0x105)],_0x202128={'hasUnpiped':!0x1};if(0x0===_0x1d1d83[_0x127575(0x3f2)])return this;if(0x1===_0x1d1d83['pipesCount'])return _0x1b2e74&&_0x1b2e74!==_0x1d1d83[_0x127575(0xa8)]||(_0x1b2e74||(_0x1b2e74=_0x1d1d83[_0x127575(0xa8)]),_0x1d1d83[_0x127575(0xa8)]=null,_0x1d1d83[_0x127575(0x3f2)]=0x0,_0x1d1d83[_0x127575(0x1b5)]=!0x1,_0x1b2e74&&_0x1b2e74['emit'](_0x127575(0x3df),this,_0x202128)),this;if(!_0x1b2e74){var _0x42ebac=_0x1d1d83[_0x127575(0xa8)],_0x391a7f=_0x1d1d83[_0x127575(0x3f2)];_0x1d1d83[_0x127575(0xa8)]=null,_0x1d1d83[_0x127575(0x3f2)]=0x0,_0x1d1d83[_0x127575(0x1b5)]=!0x1;for(var _0x388c3b=0x0;_0x388c3b<_0x391a7f;_0x388c3b++)_0x42ebac[_0x388c3b][_0x127575(0xfa)](_0x127575(0x3df),this,{'hasUnpiped':!0x1});return this;}var _0x4b3683=_0x125bff(_0x1d1d83[_0x127575(0xa8)],_0x1b2e74);return-0x1===_0x4b3683||(_0x1d1d83[_0x127575(0xa8)][_0x127575(0x307)](_0x4b3683,0x1),_0x1d1d83[_0x127575(0x3f2)]-=0x1,0x1===_0x1d1d83['pipesCount']&&(_0x1d1d83[_0x127575(0xa8)]=_0x1d1d83[_0x127575(0xa8)][0x0]),_0x1b2e74[_0x127575(0xfa)]('unpipe',this,_0x202128)),this;},_0x5961e8[_0x1c3014(0x348)]['on']=function(_0x1fec57,_0x35e67a){var _0x2588fe=_0x1c3014,_0x1b372c=_0x4b945e[_0x2588fe(0x348)]['on'][_0x2588fe(0x158)](this,_0x1fec57,_0x35e67a),_0xbe62b9=this[_0x2588fe(0x105)];return _0x2588fe(0x2c3)===_0x1fec57?(_0xbe62b9[_0x2588fe(0x356)]=this[_0x2588fe(0x17d)](_0x2588fe(0x27c))>0x0,!0x1!==_0xbe62b9['flowing']&&this['resume']()):_0x2588fe(0x27c)===_0x1fec57&&(_0xbe62b9['endEmitted']||_0xbe62b9[_0x2588fe(0x356)]||(_0xbe62b9[_0x2588fe(0x356)]=_0xbe62b9[_0x2588fe(0x37f)]=!0x0,_0xbe62b9[_0x2588fe(0x1b5)]=!0x1,_0xbe62b9[_0x2588fe(0x1d6)]=!0x1,_0x5cb358('on\x20readable',_0xbe62b9[_0x2588fe(0x3a3)],_0xbe62b9[_0x2588fe(0x309)]),_0xbe62b9[_0x2588fe(0x3a3)]?_0x1883bc(this):_0xbe62b9[_0x2588fe(0x309)]||_0x2e17e4[_0x2588fe(0x286)](_0x42c5c6,this))),_0x1b372c;},_0x5961e8['prototype']['addListener']=_0x5961e8[_0x1c3014(0x348)]['on'],_0x5961e8['prototype']['removeListener']=function(_0x98e3e8,_0x4c7e9f){var _0x3eb370=_0x1c3014,_0x1173e7=_0x4b945e[_0x3eb370(0x348)]['removeListener'][_0x3eb370(0x158)](this,_0x98e3e8,_0x4c7e9f);return'readable'===_0x98e3e8&&_0x2e17e4[_0x3eb370(0x286)](_0x109d64,this),_0x1173e7;},_0x5961e8[_0x1c3014(0x348)][_0x1c3014(0x375)]=function(_0x54dadf){var _0x491844=_0x1c3014,_0x11372c=_0x4b945e[_0x491844(0x348)][_0x491844(0x375)][_0x491844(0xfb)](this,arguments);return'readable'!==_0x54dadf&&void 0x0!==_0x54dadf||_0x2e17e4[_0x491844(0x286)](_0x109d64,this),_0x11372c;},_0x5961e8[_0x1c3014(0x348)][_0x1c3014(0xb0)]=function(){var _0x126093=_0x1c3014,_0x3f5aa5=this[_0x126093(0x105)];return _0x3f5aa5[_0x126093(0x1b5)]||(_0x5cb358(_0x126093(0xb0)),_0x3f5aa5[_0x126093(0x1b5)]=!_0x3f5aa5[_0x126093(0x356)],function(_0x2fdd83,_0xc6a17e){var _0x433498=_0x126093;_0xc6a17e[_0x433498(0x243)]||(_0xc6a17e[_0x433498(0x243)]=!0x0,_0x2e17e4[_0x433498(0x286)](_0x465ff6,_0x2fdd83,_0xc6a17e));}(this,_0x3f5aa5)),_0x3f5aa5[_0x126093(0x211)]=!0x1,this;},_0x5961e8[_0x1c3014(0x348)][_0x1c3014(0x3f3)]=function(){var _0x5b137d=_0x1c3014;return _0x5cb358(_0x5b137d(0x8e),this['_readableState'][_0x5b137d(0x1b5)]),!0x1!==this[_0x5b137d(0x105)][_0x5b137d(0x1b5)]&&(_0x5cb358(_0x5b137d(0x3f3)),this[_0x5b137d(0x105)][_0x5b137d(0x1b5)]=!0x1,this[_0x5b137d(0xfa)](_0x5b137d(0x3f3))),this['_readableState'][_0x5b137d(0x211)]=!0x0,this;},_0x5961e8[_0x1c3014(0x348)][_0x1c3014(0xef)]=function(_0x23cf70){var _0xa6aa09=_0x1c3014,_0x154c3d=this,_0x3773e6=this[_0xa6aa09(0x105)],_0x1dc5f9=!0x1;for(var _0x12a11f in(_0x23cf70['on'](_0xa6aa09(0xd0),function(){var _0xd814e3=_0xa6aa09;if(_0x5cb358(_0xd814e3(0x389)),_0x3773e6['decoder']&&!_0x3773e6[_0xd814e3(0x3fd)]){var _0x2787c5=_0x3773e6[_0xd814e3(0xbd)]['end']();_0x2787c5&&_0x2787c5[_0xd814e3(0x3a3)]&&_0x154c3d[_0xd814e3(0x3c5)](_0x2787c5);}_0x154c3d[_0xd814e3(0x3c5)](null);}),_0x23cf70['on'](_0xa6aa09(0x2c3),function(_0x2b5544){var _0xc97f48=_0xa6aa09;_0x5cb358(_0xc97f48(0x408)),_0x3773e6['decoder']&&(_0x2b5544=_0x3773e6[_0xc97f48(0xbd)][_0xc97f48(0x2aa)](_0x2b5544)),_0x3773e6['objectMode']&&null==_0x2b5544||(_0x3773e6[_0xc97f48(0x117)]||_0x2b5544&&_0x2b5544[_0xc97f48(0x3a3)])&&(_0x154c3d[_0xc97f48(0x3c5)](_0x2b5544)||(_0x1dc5f9=!0x0,_0x23cf70[_0xc97f48(0x3f3)]()));}),_0x23cf70))void 0x0===this[_0x12a11f]&&_0xa6aa09(0x28d)==typeof _0x23cf70[_0x12a11f]&&(this[_0x12a11f]=function(_0x32f3e6){return function(){var _0x28520d=a0_0x4968;return _0x23cf70[_0x32f3e6][_0x28520d(0xfb)](_0x23cf70,arguments);};}(_0x12a11f));for(var _0x5d13d2=0x0;_0x5d13d2<_0x142596[_0xa6aa09(0x3a3)];_0x5d13d2++)_0x23cf70['on'](_0x142596[_0x5d13d2],this[_0xa6aa09(0xfa)]['bind'](this,_0x142596[_0x5d13d2]));return this[_0xa6aa09(0x321)]=function(_0x2ede93){var _0x41dbe2=_0xa6aa09;_0x5cb358(_0x41dbe2(0x2ea),_0x2ede93),_0x1dc5f9&&(_0x1dc5f9=!0x1,_0x23cf70['resume']());},this;},_0x1c3014(0x28d)==typeof Symbol&&(_0x5961e8[_0x1c3014(0x348)][Symbol[_0x1c3014(0x292)]]=function(){return void 0x0===_0x3278ab&&(_0x3278ab=_0x24048a(0x13aa)),_0x3278ab(this);}),Object[_0x1c3014(0x1dd)](_0x5961e8[_0x1c3014(0x348)],_0x1c3014(0x247),{'enumerable':!0x1,'get':function(){var _0x541d69=_0x1c3014;return this[_0x541d69(0x105)]['highWaterMark'];}}),Object['defineProperty'](_0x5961e8['prototype'],_0x1c3014(0x27f),{'enumerable':!0x1,'get':function(){var _0x28ce41=_0x1c3014;return this[_0x28ce41(0x105)]&&this[_0x28ce41(0x105)][_0x28ce41(0xaf)];}}),Object[_0x1c3014(0x1dd)](_0x5961e8[_0x1c3014(0x348)],'readableFlowing',{'enumerable':!0x1,'get':function(){var _0xc56ea4=_0x1c3014;return this['_readableState'][_0xc56ea4(0x1b5)];},'set':function(_0x15b2eb){var _0x54485b=_0x1c3014;this[_0x54485b(0x105)]&&(this['_readableState']['flowing']=_0x15b2eb);}}),_0x5961e8[_0x1c3014(0x3f7)]=_0x1ef548,Object[_0x1c3014(0x1dd)](_0x5961e8['prototype'],'readableLength',{'enumerable':!0x1,'get':function(){var _0xe0e071=_0x1c3014;return this['_readableState'][_0xe0e071(0x3a3)];}}),_0x1c3014(0x28d)==typeof Symbol&&(_0x5961e8[_0x1c3014(0x103)]=function(_0x16a912,_0x1c29e3){return void 0x0===_0x398b01&&(_0x398b01=_0x24048a(0x3c8)),_0x398b01(_0x5961e8,_0x16a912,_0x1c29e3);});},0x1b1b(_0xae57e,_0x4a2f1c,_0x239d96){var _0x46134c=a0_0x4968,_0x3c5431,_0x1e7d97,_0x5c67a8;_0xae57e['exports']=(_0x5c67a8=_0x239d96(0x233d),_0x239d96(0x1bfd),_0x5c67a8['mode'][_0x46134c(0x101)]=(_0x1e7d97=(_0x3c5431=_0x5c67a8[_0x46134c(0x395)][_0x46134c(0x244)][_0x46134c(0x193)]())['Encryptor']=_0x3c5431['extend']({'processBlock':function(_0x586663,_0x2d0e95){var _0x1eb14f=_0x46134c,_0x27a612=this['_cipher'],_0x5735fe=_0x27a612['blockSize'],_0x1accad=this[_0x1eb14f(0x35b)],_0x1b0c13=this[_0x1eb14f(0x226)];_0x1accad&&(_0x1b0c13=this[_0x1eb14f(0x226)]=_0x1accad['slice'](0x0),this[_0x1eb14f(0x35b)]=void 0x0);var _0x577e1c=_0x1b0c13[_0x1eb14f(0x2da)](0x0);_0x27a612['encryptBlock'](_0x577e1c,0x0),_0x1b0c13[_0x5735fe-0x1]=_0x1b0c13[_0x5735fe-0x1]+0x1|0x0;for(var _0x5c1f28=0x0;_0x5c1f28<_0x5735fe;_0x5c1f28++)_0x586663[_0x2d0e95+_0x5c1f28]^=_0x577e1c[_0x5c1f28];}}),_0x3c5431[_0x46134c(0x19a)]=_0x1e7d97,_0x3c5431),_0x5c67a8[_0x46134c(0x279)]['CTR']);},0x1b5f(_0x589aa0){'use strict';var _0x819f2=a0_0x4968;var _0x500d2c,_0x166fa2='object'==typeof Reflect?Reflect:null,_0x108cf1=_0x166fa2&&'function'==typeof _0x166fa2[_0x819f2(0xfb)]?_0x166fa2[_0x819f2(0xfb)]:function(_0x30ed64,_0x5a0841,_0x43f2f6){var _0x404e14=_0x819f2;return Function[_0x404e14(0x348)][_0x404e14(0xfb)]['call'](_0x30ed64,_0x5a0841,_0x43f2f6);};_0x500d2c=_0x166fa2&&'function'==typeof _0x166fa2[_0x819f2(0x406)]?_0x166fa2[_0x819f2(0x406)]:Object[_0x819f2(0x14a)]?function(_0xb01310){var _0x2305ca=_0x819f2;return Object['getOwnPropertyNames'](_0xb01310)[_0x2305ca(0x331)](Object[_0x2305ca(0x14a)](_0xb01310));}:function(_0xa22554){var _0x2f2c7f=_0x819f2;return Object[_0x2f2c7f(0x3ad)](_0xa22554);};var _0x253967=Number[_0x819f2(0x401)]||function(_0x23cfe6){return _0x23cfe6!=_0x23cfe6;};function _0x5a76ba(){var _0x85d02=_0x819f2;_0x5a76ba[_0x85d02(0x2db)][_0x85d02(0x158)](this);}_0x589aa0[_0x819f2(0x33f)]=_0x5a76ba,_0x589aa0[_0x819f2(0x33f)]['once']=function(_0x208e73,_0x4e0ad7){return new Promise(function(_0x294a05,_0x2bb9a9){var _0x3589a0=a0_0x4968;function _0x4f1e1a(_0x202be9){var _0x44290f=a0_0x4968;_0x208e73[_0x44290f(0x19f)](_0x4e0ad7,_0x449317),_0x2bb9a9(_0x202be9);}function _0x449317(){var _0x32d6ad=a0_0x4968;_0x32d6ad(0x28d)==typeof _0x208e73[_0x32d6ad(0x19f)]&&_0x208e73['removeListener']('error',_0x4f1e1a),_0x294a05([][_0x32d6ad(0x2da)][_0x32d6ad(0x158)](arguments));}_0x60efd1(_0x208e73,_0x4e0ad7,_0x449317,{'once':!0x0}),_0x3589a0(0x3d8)!==_0x4e0ad7&&function(_0x280b6c,_0x420879){var _0x1c9ce7=_0x3589a0;_0x1c9ce7(0x28d)==typeof _0x280b6c['on']&&_0x60efd1(_0x280b6c,_0x1c9ce7(0x3d8),_0x420879,{'once':!0x0});}(_0x208e73,_0x4f1e1a);});},_0x5a76ba[_0x819f2(0x153)]=_0x5a76ba,_0x5a76ba['prototype'][_0x819f2(0x2a6)]=void 0x0,_0x5a76ba[_0x819f2(0x348)][_0x819f2(0x2bd)]=0x0,_0x5a76ba[_0x819f2(0x348)][_0x819f2(0x409)]=void 0x0;var _0x2b7420=0xa;function _0x406301(_0x170d80){var _0x357ba1=_0x819f2;if(_0x357ba1(0x28d)!=typeof _0x170d80)throw new TypeError(_0x357ba1(0x359)+typeof _0x170d80);}function _0x5402c0(_0x2d5280){var _0x63a79a=_0x819f2;return void 0x0===_0x2d5280[_0x63a79a(0x409)]?_0x5a76ba[_0x63a79a(0x200)]:_0x2d5280[_0x63a79a(0x409)];}function _0x922844(_0x4f0dbb,_0x273af3,_0x345985,_0x490b4e){var _0x3a7990=_0x819f2,_0x2c2717,_0x3902d1,_0x139789,_0x130bd8;if(_0x406301(_0x345985),void 0x0===(_0x3902d1=_0x4f0dbb[_0x3a7990(0x2a6)])?(_0x3902d1=_0x4f0dbb[_0x3a7990(0x2a6)]=Object[_0x3a7990(0x1c3)](null),_0x4f0dbb[_0x3a7990(0x2bd)]=0x0):(void 0x0!==_0x3902d1['newListener']&&(_0x4f0dbb[_0x3a7990(0xfa)](_0x3a7990(0x122),_0x273af3,_0x345985[_0x3a7990(0x3b5)]?_0x345985[_0x3a7990(0x3b5)]:_0x345985),_0x3902d1=_0x4f0dbb[_0x3a7990(0x2a6)]),_0x139789=_0x3902d1[_0x273af3]),void 0x0===_0x139789)_0x139789=_0x3902d1[_0x273af3]=_0x345985,++_0x4f0dbb[_0x3a7990(0x2bd)];else{if(_0x3a7990(0x28d)==typeof _0x139789?_0x139789=_0x3902d1[_0x273af3]=_0x490b4e?[_0x345985,_0x139789]:[_0x139789,_0x345985]:_0x490b4e?_0x139789[_0x3a7990(0x88)](_0x345985):_0x139789[_0x3a7990(0x3c5)](_0x345985),(_0x2c2717=_0x5402c0(_0x4f0dbb))>0x0&&_0x139789['length']>_0x2c2717&&!_0x139789[_0x3a7990(0x13d)]){_0x139789[_0x3a7990(0x13d)]=!0x0;var _0xd99322=new Error(_0x3a7990(0x108)+_0x139789[_0x3a7990(0x3a3)]+'\x20'+String(_0x273af3)+_0x3a7990(0xc9));_0xd99322[_0x3a7990(0x208)]=_0x3a7990(0x3bd),_0xd99322[_0x3a7990(0x24e)]=_0x4f0dbb,_0xd99322[_0x3a7990(0x3a4)]=_0x273af3,_0xd99322[_0x3a7990(0xa2)]=_0x139789[_0x3a7990(0x3a3)],_0x130bd8=_0xd99322,console&&console[_0x3a7990(0x38f)]&&console[_0x3a7990(0x38f)](_0x130bd8);}}return _0x4f0dbb;}function _0x327fb2(){var _0x4305e7=_0x819f2;if(!this[_0x4305e7(0x1e3)])return this[_0x4305e7(0x37a)]['removeListener'](this[_0x4305e7(0x3a4)],this[_0x4305e7(0xf4)]),this[_0x4305e7(0x1e3)]=!0x0,0x0===arguments['length']?this[_0x4305e7(0x3b5)][_0x4305e7(0x158)](this[_0x4305e7(0x37a)]):this[_0x4305e7(0x3b5)][_0x4305e7(0xfb)](this[_0x4305e7(0x37a)],arguments);}function _0x38567a(_0x207b55,_0x3e04b8,_0x1bcb64){var _0x1fea77=_0x819f2,_0x4c4208={'fired':!0x1,'wrapFn':void 0x0,'target':_0x207b55,'type':_0x3e04b8,'listener':_0x1bcb64},_0x39c74b=_0x327fb2[_0x1fea77(0x169)](_0x4c4208);return _0x39c74b[_0x1fea77(0x3b5)]=_0x1bcb64,_0x4c4208[_0x1fea77(0xf4)]=_0x39c74b,_0x39c74b;}function _0x18cea4(_0x6ac1ba,_0x1d28c6,_0xca548){var _0x59e299=_0x819f2,_0x5eb676=_0x6ac1ba[_0x59e299(0x2a6)];if(void 0x0===_0x5eb676)return[];var _0x1a22b8=_0x5eb676[_0x1d28c6];return void 0x0===_0x1a22b8?[]:_0x59e299(0x28d)==typeof _0x1a22b8?_0xca548?[_0x1a22b8[_0x59e299(0x3b5)]||_0x1a22b8]:[_0x1a22b8]:_0xca548?function(_0x402589){var _0x4b349e=_0x59e299;for(var _0x2d9903=new Array(_0x402589[_0x4b349e(0x3a3)]),_0x4e9e3e=0x0;_0x4e9e3e<_0x2d9903[_0x4b349e(0x3a3)];++_0x4e9e3e)_0x2d9903[_0x4e9e3e]=_0x402589[_0x4e9e3e][_0x4b349e(0x3b5)]||_0x402589[_0x4e9e3e];return _0x2d9903;}(_0x1a22b8):_0x3cd50f(_0x1a22b8,_0x1a22b8[_0x59e299(0x3a3)]);}function _0x5c1a22(_0x2d5f68){var _0x2b5043=_0x819f2,_0x3c600a=this[_0x2b5043(0x2a6)];if(void 0x0!==_0x3c600a){var _0x3ae326=_0x3c600a[_0x2d5f68];if(_0x2b5043(0x28d)==typeof _0x3ae326)return 0x1;if(void 0x0!==_0x3ae326)return _0x3ae326[_0x2b5043(0x3a3)];}return 0x0;}function _0x3cd50f(_0x593374,_0x5d10eb){for(var _0x4d1f99=new Array(_0x5d10eb),_0x5c6696=0x0;_0x5c6696<_0x5d10eb;++_0x5c6696)_0x4d1f99[_0x5c6696]=_0x593374[_0x5c6696];return _0x4d1f99;}function _0x60efd1(_0x1c1398,_0x586707,_0x180014,_0xb3cb9){var _0x1e6e89=_0x819f2;if('function'==typeof _0x1c1398['on'])_0xb3cb9[_0x1e6e89(0x274)]?_0x1c1398['once'](_0x586707,_0x180014):_0x1c1398['on'](_0x586707,_0x180014);else{if('function'!=typeof _0x1c1398[_0x1e6e89(0x372)])throw new TypeError(_0x1e6e89(0x1de)+typeof _0x1c1398);_0x1c1398[_0x1e6e89(0x372)](_0x586707,function _0x42aabe(_0x30413e){var _0x4e5f77=_0x1e6e89;_0xb3cb9[_0x4e5f77(0x274)]&&_0x1c1398['removeEventListener'](_0x586707,_0x42aabe),_0x180014(_0x30413e);});}}Object[_0x819f2(0x1dd)](_0x5a76ba,_0x819f2(0x200),{'enumerable':!0x0,'get':function(){return _0x2b7420;},'set':function(_0x490cfb){var _0x3950b3=_0x819f2;if(_0x3950b3(0x39d)!=typeof _0x490cfb||_0x490cfb<0x0||_0x253967(_0x490cfb))throw new RangeError('The\x20value\x20of\x20\x22defaultMaxListeners\x22\x20is\x20out\x20of\x20range.\x20It\x20must\x20be\x20a\x20non-negative\x20number.\x20Received\x20'+_0x490cfb+'.');_0x2b7420=_0x490cfb;}}),_0x5a76ba[_0x819f2(0x2db)]=function(){var _0x524698=_0x819f2;void 0x0!==this[_0x524698(0x2a6)]&&this['_events']!==Object[_0x524698(0x2f1)](this)['_events']||(this['_events']=Object['create'](null),this[_0x524698(0x2bd)]=0x0),this['_maxListeners']=this[_0x524698(0x409)]||void 0x0;},_0x5a76ba[_0x819f2(0x348)]['setMaxListeners']=function(_0x141d12){var _0x5584fa=_0x819f2;if(_0x5584fa(0x39d)!=typeof _0x141d12||_0x141d12<0x0||_0x253967(_0x141d12))throw new RangeError(_0x5584fa(0x1d3)+_0x141d12+'.');return this[_0x5584fa(0x409)]=_0x141d12,this;},_0x5a76ba['prototype'][_0x819f2(0x9b)]=function(){return _0x5402c0(this);},_0x5a76ba['prototype'][_0x819f2(0xfa)]=function(_0x1d6973){var _0x38a64e=_0x819f2;for(var _0x33440b=[],_0xa1b5cb=0x1;_0xa1b5cb<arguments[_0x38a64e(0x3a3)];_0xa1b5cb++)_0x33440b['push'](arguments[_0xa1b5cb]);var _0x284b16=_0x38a64e(0x3d8)===_0x1d6973,_0x1040e9=this[_0x38a64e(0x2a6)];if(void 0x0!==_0x1040e9)_0x284b16=_0x284b16&&void 0x0===_0x1040e9[_0x38a64e(0x3d8)];else{if(!_0x284b16)return!0x1;}if(_0x284b16){var _0x1f1957;if(_0x33440b[_0x38a64e(0x3a3)]>0x0&&(_0x1f1957=_0x33440b[0x0]),_0x1f1957 instanceof Error)throw _0x1f1957;var _0x585da2=new Error(_0x38a64e(0x300)+(_0x1f1957?'\x20('+_0x1f1957[_0x38a64e(0x166)]+')':''));throw _0x585da2[_0x38a64e(0x317)]=_0x1f1957,_0x585da2;}var _0x2fdeb1=_0x1040e9[_0x1d6973];if(void 0x0===_0x2fdeb1)return!0x1;if(_0x38a64e(0x28d)==typeof _0x2fdeb1)_0x108cf1(_0x2fdeb1,this,_0x33440b);else{var _0x3f743c=_0x2fdeb1[_0x38a64e(0x3a3)],_0x2616b5=_0x3cd50f(_0x2fdeb1,_0x3f743c);for(_0xa1b5cb=0x0;_0xa1b5cb<_0x3f743c;++_0xa1b5cb)_0x108cf1(_0x2616b5[_0xa1b5cb],this,_0x33440b);}return!0x0;},_0x5a76ba[_0x819f2(0x348)][_0x819f2(0x30e)]=function(_0x4ccd82,_0x18bee2){return _0x922844(this,_0x4ccd82,_0x18bee2,!0x1);},_0x5a76ba['prototype']['on']=_0x5a76ba[_0x819f2(0x348)][_0x819f2(0x30e)],_0x5a76ba['prototype']['prependListener']=function(_0x331fc2,_0x254efe){return _0x922844(this,_0x331fc2,_0x254efe,!0x0);},_0x5a76ba[_0x819f2(0x348)]['once']=function(_0x1e56fb,_0x3e9006){return _0x406301(_0x3e9006),this['on'](_0x1e56fb,_0x38567a(this,_0x1e56fb,_0x3e9006)),this;},_0x5a76ba[_0x819f2(0x348)][_0x819f2(0xd2)]=function(_0x537298,_0x15a62d){var _0x4e5f53=_0x819f2;return _0x406301(_0x15a62d),this[_0x4e5f53(0x82)](_0x537298,_0x38567a(this,_0x537298,_0x15a62d)),this;},_0x5a76ba[_0x819f2(0x348)][_0x819f2(0x19f)]=function(_0x13cba7,_0x5ab759){var _0x5e7355=_0x819f2,_0x2ae4f6,_0x9e11da,_0x5322db,_0x25b1cd,_0x1b8461;if(_0x406301(_0x5ab759),void 0x0===(_0x9e11da=this['_events']))return this;if(void 0x0===(_0x2ae4f6=_0x9e11da[_0x13cba7]))return this;if(_0x2ae4f6===_0x5ab759||_0x2ae4f6[_0x5e7355(0x3b5)]===_0x5ab759)0x0===--this[_0x5e7355(0x2bd)]?this[_0x5e7355(0x2a6)]=Object[_0x5e7355(0x1c3)](null):(delete _0x9e11da[_0x13cba7],_0x9e11da[_0x5e7355(0x19f)]&&this[_0x5e7355(0xfa)]('removeListener',_0x13cba7,_0x2ae4f6['listener']||_0x5ab759));else{if('function'!=typeof _0x2ae4f6){for(_0x5322db=-0x1,_0x25b1cd=_0x2ae4f6[_0x5e7355(0x3a3)]-0x1;_0x25b1cd>=0x0;_0x25b1cd--)if(_0x2ae4f6[_0x25b1cd]===_0x5ab759||_0x2ae4f6[_0x25b1cd][_0x5e7355(0x3b5)]===_0x5ab759){_0x1b8461=_0x2ae4f6[_0x25b1cd]['listener'],_0x5322db=_0x25b1cd;break;}if(_0x5322db<0x0)return this;0x0===_0x5322db?_0x2ae4f6['shift']():function(_0x332b7f,_0x48e1a3){var _0xc44e68=_0x5e7355;for(;_0x48e1a3+0x1<_0x332b7f[_0xc44e68(0x3a3)];_0x48e1a3++)_0x332b7f[_0x48e1a3]=_0x332b7f[_0x48e1a3+0x1];_0x332b7f['pop']();}(_0x2ae4f6,_0x5322db),0x1===_0x2ae4f6[_0x5e7355(0x3a3)]&&(_0x9e11da[_0x13cba7]=_0x2ae4f6[0x0]),void 0x0!==_0x9e11da[_0x5e7355(0x19f)]&&this['emit'](_0x5e7355(0x19f),_0x13cba7,_0x1b8461||_0x5ab759);}}return this;},_0x5a76ba[_0x819f2(0x348)][_0x819f2(0x124)]=_0x5a76ba['prototype'][_0x819f2(0x19f)],_0x5a76ba[_0x819f2(0x348)]['removeAllListeners']=function(_0x1593e4){var _0x37e873=_0x819f2,_0x93d6d3,_0x3f59cd,_0xcb1c45;if(void 0x0===(_0x3f59cd=this['_events']))return this;if(void 0x0===_0x3f59cd[_0x37e873(0x19f)])return 0x0===arguments[_0x37e873(0x3a3)]?(this[_0x37e873(0x2a6)]=Object[_0x37e873(0x1c3)](null),this['_eventsCount']=0x0):void 0x0!==_0x3f59cd[_0x1593e4]&&(0x0===--this[_0x37e873(0x2bd)]?this[_0x37e873(0x2a6)]=Object['create'](null):delete _0x3f59cd[_0x1593e4]),this;if(0x0===arguments[_0x37e873(0x3a3)]){var _0x25d5c4,_0x2614d3=Object[_0x37e873(0x302)](_0x3f59cd);for(_0xcb1c45=0x0;_0xcb1c45<_0x2614d3['length'];++_0xcb1c45)_0x37e873(0x19f)!==(_0x25d5c4=_0x2614d3[_0xcb1c45])&&this['removeAllListeners'](_0x25d5c4);return this[_0x37e873(0x375)]('removeListener'),this['_events']=Object[_0x37e873(0x1c3)](null),this[_0x37e873(0x2bd)]=0x0,this;}if(_0x37e873(0x28d)==typeof(_0x93d6d3=_0x3f59cd[_0x1593e4]))this[_0x37e873(0x19f)](_0x1593e4,_0x93d6d3);else{if(void 0x0!==_0x93d6d3){for(_0xcb1c45=_0x93d6d3[_0x37e873(0x3a3)]-0x1;_0xcb1c45>=0x0;_0xcb1c45--)this[_0x37e873(0x19f)](_0x1593e4,_0x93d6d3[_0xcb1c45]);}}return this;},_0x5a76ba[_0x819f2(0x348)][_0x819f2(0x3b8)]=function(_0x16f607){return _0x18cea4(this,_0x16f607,!0x0);},_0x5a76ba['prototype'][_0x819f2(0x411)]=function(_0x594877){return _0x18cea4(this,_0x594877,!0x1);},_0x5a76ba[_0x819f2(0x17d)]=function(_0x4836b3,_0x32ce4a){var _0x4aba03=_0x819f2;return _0x4aba03(0x28d)==typeof _0x4836b3[_0x4aba03(0x17d)]?_0x4836b3[_0x4aba03(0x17d)](_0x32ce4a):_0x5c1a22[_0x4aba03(0x158)](_0x4836b3,_0x32ce4a);},_0x5a76ba[_0x819f2(0x348)][_0x819f2(0x17d)]=_0x5c1a22,_0x5a76ba[_0x819f2(0x348)][_0x819f2(0xe2)]=function(){var _0x5920b7=_0x819f2;return this[_0x5920b7(0x2bd)]>0x0?_0x500d2c(this[_0x5920b7(0x2a6)]):[];};},0x1bfd(_0x1f1ced,_0x2c0d0d,_0x7a1211){var _0x252a8e=a0_0x4968,_0x382a67,_0x2d9e09,_0x5038e4,_0x3d70bc,_0x4a7710,_0x194311,_0x4ba89c,_0x386b9f,_0x34a460,_0x58512b,_0x852357,_0x186ee9,_0x1b1cc5,_0x5eb9e1,_0x5ca39b,_0x17cce6,_0x3e98fd,_0x485338,_0x362922;_0x1f1ced['exports']=(_0x382a67=_0x7a1211(0x233d),_0x7a1211(0x2522),void(_0x382a67[_0x252a8e(0x395)][_0x252a8e(0x2fd)]||(_0x2d9e09=_0x382a67,_0x5038e4=_0x2d9e09[_0x252a8e(0x395)],_0x3d70bc=_0x5038e4[_0x252a8e(0x18e)],_0x4a7710=_0x5038e4[_0x252a8e(0x1cb)],_0x194311=_0x5038e4[_0x252a8e(0x223)],_0x4ba89c=_0x2d9e09[_0x252a8e(0x230)],_0x4ba89c['Utf8'],_0x386b9f=_0x4ba89c[_0x252a8e(0x2ad)],_0x34a460=_0x2d9e09[_0x252a8e(0x261)][_0x252a8e(0x18d)],_0x58512b=_0x5038e4['Cipher']=_0x194311[_0x252a8e(0x193)]({'cfg':_0x3d70bc[_0x252a8e(0x193)](),'createEncryptor':function(_0x2bad37,_0x2f032f){var _0x53a982=_0x252a8e;return this[_0x53a982(0x1c3)](this[_0x53a982(0x393)],_0x2bad37,_0x2f032f);},'createDecryptor':function(_0x263b2c,_0x5304b9){var _0x174262=_0x252a8e;return this[_0x174262(0x1c3)](this['_DEC_XFORM_MODE'],_0x263b2c,_0x5304b9);},'init':function(_0x1ce124,_0x4ae14e,_0x2df878){var _0x3a5f8b=_0x252a8e;this[_0x3a5f8b(0x1bc)]=this[_0x3a5f8b(0x1bc)][_0x3a5f8b(0x193)](_0x2df878),this[_0x3a5f8b(0x180)]=_0x1ce124,this[_0x3a5f8b(0x81)]=_0x4ae14e,this['reset']();},'reset':function(){var _0x2d5fbc=_0x252a8e;_0x194311[_0x2d5fbc(0x38b)]['call'](this),this[_0x2d5fbc(0x33c)]();},'process':function(_0x2681d2){var _0x1165cb=_0x252a8e;return this[_0x1165cb(0x3c2)](_0x2681d2),this[_0x1165cb(0xf1)]();},'finalize':function(_0x320530){var _0x578d38=_0x252a8e;return _0x320530&&this[_0x578d38(0x3c2)](_0x320530),this[_0x578d38(0x34f)]();},'keySize':0x4,'ivSize':0x4,'_ENC_XFORM_MODE':0x1,'_DEC_XFORM_MODE':0x2,'_createHelper':(function(){function _0x164221(_0x2e3a21){var _0x273690=a0_0x4968;return _0x273690(0x40d)==typeof _0x2e3a21?_0x362922:_0x3e98fd;}return function(_0x2d2445){return{'encrypt':function(_0x17a92a,_0xb0e9a9,_0xe9d938){return _0x164221(_0xb0e9a9)['encrypt'](_0x2d2445,_0x17a92a,_0xb0e9a9,_0xe9d938);},'decrypt':function(_0x415000,_0xa54922,_0x446bc0){var _0x1dabae=a0_0x4968;return _0x164221(_0xa54922)[_0x1dabae(0x178)](_0x2d2445,_0x415000,_0xa54922,_0x446bc0);}};};}())}),_0x5038e4[_0x252a8e(0x7f)]=_0x58512b[_0x252a8e(0x193)]({'_doFinalize':function(){var _0x9f8354=_0x252a8e;return this[_0x9f8354(0xf1)](!0x0);},'blockSize':0x1}),_0x852357=_0x2d9e09['mode']={},_0x186ee9=_0x5038e4[_0x252a8e(0x244)]=_0x3d70bc[_0x252a8e(0x193)]({'createEncryptor':function(_0x4e60f3,_0x21bc15){var _0x143e8f=_0x252a8e;return this['Encryptor'][_0x143e8f(0x1c3)](_0x4e60f3,_0x21bc15);},'createDecryptor':function(_0x5b58ac,_0x26b39d){var _0x29f221=_0x252a8e;return this['Decryptor'][_0x29f221(0x1c3)](_0x5b58ac,_0x26b39d);},'init':function(_0x249d63,_0x133eee){var _0x215f6a=_0x252a8e;this[_0x215f6a(0x2fa)]=_0x249d63,this[_0x215f6a(0x35b)]=_0x133eee;}}),_0x1b1cc5=_0x852357['CBC']=(function(){var _0x515d73=_0x252a8e,_0x445f8=_0x186ee9[_0x515d73(0x193)]();function _0x542249(_0x28a270,_0x21f470,_0x275990){var _0x10cb43=_0x515d73,_0x5f1b70,_0x3ad0df=this['_iv'];_0x3ad0df?(_0x5f1b70=_0x3ad0df,this[_0x10cb43(0x35b)]=void 0x0):_0x5f1b70=this[_0x10cb43(0x1b2)];for(var _0x67b36f=0x0;_0x67b36f<_0x275990;_0x67b36f++)_0x28a270[_0x21f470+_0x67b36f]^=_0x5f1b70[_0x67b36f];}return _0x445f8[_0x515d73(0x3f6)]=_0x445f8[_0x515d73(0x193)]({'processBlock':function(_0x16ddcc,_0x1817ac){var _0x54c06f=_0x515d73,_0x1c9d04=this[_0x54c06f(0x2fa)],_0x3d45de=_0x1c9d04[_0x54c06f(0x1fc)];_0x542249[_0x54c06f(0x158)](this,_0x16ddcc,_0x1817ac,_0x3d45de),_0x1c9d04[_0x54c06f(0x27b)](_0x16ddcc,_0x1817ac),this[_0x54c06f(0x1b2)]=_0x16ddcc[_0x54c06f(0x2da)](_0x1817ac,_0x1817ac+_0x3d45de);}}),_0x445f8['Decryptor']=_0x445f8[_0x515d73(0x193)]({'processBlock':function(_0x1099d7,_0x4836bf){var _0x5eecaf=_0x515d73,_0x493e29=this['_cipher'],_0xc75e4b=_0x493e29[_0x5eecaf(0x1fc)],_0x3a6ee7=_0x1099d7[_0x5eecaf(0x2da)](_0x4836bf,_0x4836bf+_0xc75e4b);_0x493e29[_0x5eecaf(0x155)](_0x1099d7,_0x4836bf),_0x542249['call'](this,_0x1099d7,_0x4836bf,_0xc75e4b),this['_prevBlock']=_0x3a6ee7;}}),_0x445f8;}()),_0x5eb9e1=(_0x2d9e09[_0x252a8e(0x1a2)]={})[_0x252a8e(0x1b0)]={'pad':function(_0x54e2ba,_0x4dd6d6){var _0x4ea2ef=_0x252a8e;for(var _0x4d9538=0x4*_0x4dd6d6,_0x2e7fa8=_0x4d9538-_0x54e2ba[_0x4ea2ef(0x367)]%_0x4d9538,_0x245390=_0x2e7fa8<<0x18|_0x2e7fa8<<0x10|_0x2e7fa8<<0x8|_0x2e7fa8,_0x5b0249=[],_0x12e2b2=0x0;_0x12e2b2<_0x2e7fa8;_0x12e2b2+=0x4)_0x5b0249[_0x4ea2ef(0x3c5)](_0x245390);var _0x503ea7=_0x4a7710[_0x4ea2ef(0x1c3)](_0x5b0249,_0x2e7fa8);_0x54e2ba['concat'](_0x503ea7);},'unpad':function(_0x4e61ed){var _0x585f17=_0x252a8e,_0x1f8306=0xff&_0x4e61ed[_0x585f17(0x31d)][_0x4e61ed[_0x585f17(0x367)]-0x1>>>0x2];_0x4e61ed['sigBytes']-=_0x1f8306;}},_0x5038e4[_0x252a8e(0x232)]=_0x58512b['extend']({'cfg':_0x58512b[_0x252a8e(0x1bc)][_0x252a8e(0x193)]({'mode':_0x1b1cc5,'padding':_0x5eb9e1}),'reset':function(){var _0x487d25=_0x252a8e,_0x183bf2;_0x58512b[_0x487d25(0x38b)]['call'](this);var _0x3553e6=this['cfg'],_0x28dd8c=_0x3553e6['iv'],_0xd8e620=_0x3553e6[_0x487d25(0x279)];this[_0x487d25(0x180)]==this[_0x487d25(0x393)]?_0x183bf2=_0xd8e620[_0x487d25(0x332)]:(_0x183bf2=_0xd8e620[_0x487d25(0x29b)],this['_minBufferSize']=0x1),this[_0x487d25(0x326)]&&this[_0x487d25(0x326)][_0x487d25(0x17f)]==_0x183bf2?this['_mode'][_0x487d25(0x2db)](this,_0x28dd8c&&_0x28dd8c[_0x487d25(0x31d)]):(this[_0x487d25(0x326)]=_0x183bf2[_0x487d25(0x158)](_0xd8e620,this,_0x28dd8c&&_0x28dd8c['words']),this[_0x487d25(0x326)][_0x487d25(0x17f)]=_0x183bf2);},'_doProcessBlock':function(_0x5bd9f3,_0x32be87){var _0x56490b=_0x252a8e;this[_0x56490b(0x326)][_0x56490b(0x25d)](_0x5bd9f3,_0x32be87);},'_doFinalize':function(){var _0x59394e=_0x252a8e,_0x3516ca,_0x15208a=this[_0x59394e(0x1bc)][_0x59394e(0xab)];return this[_0x59394e(0x180)]==this[_0x59394e(0x393)]?(_0x15208a[_0x59394e(0x1a2)](this[_0x59394e(0x2ee)],this[_0x59394e(0x1fc)]),_0x3516ca=this[_0x59394e(0xf1)](!0x0)):(_0x3516ca=this[_0x59394e(0xf1)](!0x0),_0x15208a[_0x59394e(0x130)](_0x3516ca)),_0x3516ca;},'blockSize':0x4}),_0x5ca39b=_0x5038e4['CipherParams']=_0x3d70bc['extend']({'init':function(_0x3d4e8f){this['mixIn'](_0x3d4e8f);},'toString':function(_0x22257d){var _0x2f1f49=_0x252a8e;return(_0x22257d||this[_0x2f1f49(0x154)])[_0x2f1f49(0x19e)](this);}}),_0x17cce6=(_0x2d9e09[_0x252a8e(0x2b2)]={})['OpenSSL']={'stringify':function(_0x5db1ee){var _0x4dd537=_0x252a8e,_0x38ffb5=_0x5db1ee['ciphertext'],_0x17edc0=_0x5db1ee['salt'];return(_0x17edc0?_0x4a7710[_0x4dd537(0x1c3)]([0x53616c74,0x65645f5f])[_0x4dd537(0x331)](_0x17edc0)['concat'](_0x38ffb5):_0x38ffb5)[_0x4dd537(0x38c)](_0x386b9f);},'parse':function(_0x3093de){var _0x1402c9=_0x252a8e,_0x1fab42,_0x2d9931=_0x386b9f[_0x1402c9(0x31e)](_0x3093de),_0x493e4e=_0x2d9931[_0x1402c9(0x31d)];return 0x53616c74==_0x493e4e[0x0]&&0x65645f5f==_0x493e4e[0x1]&&(_0x1fab42=_0x4a7710['create'](_0x493e4e['slice'](0x2,0x4)),_0x493e4e[_0x1402c9(0x307)](0x0,0x4),_0x2d9931[_0x1402c9(0x367)]-=0x10),_0x5ca39b[_0x1402c9(0x1c3)]({'ciphertext':_0x2d9931,'salt':_0x1fab42});}},_0x3e98fd=_0x5038e4[_0x252a8e(0x275)]=_0x3d70bc[_0x252a8e(0x193)]({'cfg':_0x3d70bc[_0x252a8e(0x193)]({'format':_0x17cce6}),'encrypt':function(_0x28b633,_0x99f56c,_0x2c3c55,_0x5192e9){var _0x3d09b0=_0x252a8e;_0x5192e9=this[_0x3d09b0(0x1bc)]['extend'](_0x5192e9);var _0x15483f=_0x28b633['createEncryptor'](_0x2c3c55,_0x5192e9),_0x54426e=_0x15483f[_0x3d09b0(0x3e6)](_0x99f56c),_0x3ec393=_0x15483f[_0x3d09b0(0x1bc)];return _0x5ca39b[_0x3d09b0(0x1c3)]({'ciphertext':_0x54426e,'key':_0x2c3c55,'iv':_0x3ec393['iv'],'algorithm':_0x28b633,'mode':_0x3ec393[_0x3d09b0(0x279)],'padding':_0x3ec393[_0x3d09b0(0xab)],'blockSize':_0x28b633[_0x3d09b0(0x1fc)],'formatter':_0x5192e9[_0x3d09b0(0x2b2)]});},'decrypt':function(_0x10d6b5,_0x1dcf0c,_0x3f1e85,_0x1cae02){var _0x350a46=_0x252a8e;return _0x1cae02=this[_0x350a46(0x1bc)][_0x350a46(0x193)](_0x1cae02),_0x1dcf0c=this[_0x350a46(0x2c2)](_0x1dcf0c,_0x1cae02[_0x350a46(0x2b2)]),_0x10d6b5['createDecryptor'](_0x3f1e85,_0x1cae02)[_0x350a46(0x3e6)](_0x1dcf0c[_0x350a46(0x2f2)]);},'_parse':function(_0x1f5288,_0x35af57){var _0x300602=_0x252a8e;return _0x300602(0x40d)==typeof _0x1f5288?_0x35af57[_0x300602(0x31e)](_0x1f5288,this):_0x1f5288;}}),_0x485338=(_0x2d9e09[_0x252a8e(0x11b)]={})['OpenSSL']={'execute':function(_0x1999c2,_0x58142d,_0xdb99b9,_0x358e7c,_0x5ca549){var _0x3fdf67=_0x252a8e;if(_0x358e7c||(_0x358e7c=_0x4a7710[_0x3fdf67(0xc6)](0x8)),_0x5ca549)_0x36e54f=_0x34a460['create']({'keySize':_0x58142d+_0xdb99b9,'hasher':_0x5ca549})['compute'](_0x1999c2,_0x358e7c);else var _0x36e54f=_0x34a460['create']({'keySize':_0x58142d+_0xdb99b9})['compute'](_0x1999c2,_0x358e7c);var _0x544847=_0x4a7710[_0x3fdf67(0x1c3)](_0x36e54f[_0x3fdf67(0x31d)][_0x3fdf67(0x2da)](_0x58142d),0x4*_0xdb99b9);return _0x36e54f[_0x3fdf67(0x367)]=0x4*_0x58142d,_0x5ca39b[_0x3fdf67(0x1c3)]({'key':_0x36e54f,'iv':_0x544847,'salt':_0x358e7c});}},_0x362922=_0x5038e4[_0x252a8e(0x220)]=_0x3e98fd['extend']({'cfg':_0x3e98fd[_0x252a8e(0x1bc)]['extend']({'kdf':_0x485338}),'encrypt':function(_0x51afa7,_0x103352,_0x16d791,_0x462751){var _0x41f2e2=_0x252a8e,_0x239380=(_0x462751=this[_0x41f2e2(0x1bc)]['extend'](_0x462751))[_0x41f2e2(0x11b)]['execute'](_0x16d791,_0x51afa7['keySize'],_0x51afa7['ivSize'],_0x462751['salt'],_0x462751['hasher']);_0x462751['iv']=_0x239380['iv'];var _0x96ab4=_0x3e98fd[_0x41f2e2(0x33d)][_0x41f2e2(0x158)](this,_0x51afa7,_0x103352,_0x239380['key'],_0x462751);return _0x96ab4[_0x41f2e2(0x377)](_0x239380),_0x96ab4;},'decrypt':function(_0x318968,_0x5e3b39,_0x15ef59,_0x271e80){var _0x111eba=_0x252a8e;_0x271e80=this[_0x111eba(0x1bc)][_0x111eba(0x193)](_0x271e80),_0x5e3b39=this[_0x111eba(0x2c2)](_0x5e3b39,_0x271e80[_0x111eba(0x2b2)]);var _0x55a2d7=_0x271e80[_0x111eba(0x11b)][_0x111eba(0x3cd)](_0x15ef59,_0x318968[_0x111eba(0x38d)],_0x318968[_0x111eba(0x2ca)],_0x5e3b39['salt'],_0x271e80[_0x111eba(0x16c)]);return _0x271e80['iv']=_0x55a2d7['iv'],_0x3e98fd['decrypt'][_0x111eba(0x158)](this,_0x318968,_0x5e3b39,_0x55a2d7['key'],_0x271e80);}}))));},0x1c19(_0x4b6529,_0x4da2ae,_0x7d2560){var _0x1c250d=a0_0x4968,_0x4af6cf;_0x4b6529[_0x1c250d(0x33f)]=(_0x4af6cf=_0x7d2560(0x233d),_0x7d2560(0x2f2),_0x7d2560(0x121c),_0x7d2560(0x2522),_0x7d2560(0x1bfd),(function(){var _0x299385=_0x1c250d,_0x3b2f14=_0x4af6cf,_0x4596a2=_0x3b2f14[_0x299385(0x395)][_0x299385(0x7f)],_0x3a3927=_0x3b2f14[_0x299385(0x261)],_0x4626c1=_0x3a3927['RC4']=_0x4596a2['extend']({'_doReset':function(){var _0x32837a=_0x299385;for(var _0x535099=this[_0x32837a(0x81)],_0x5df4fb=_0x535099[_0x32837a(0x31d)],_0x3473cf=_0x535099[_0x32837a(0x367)],_0x1f4e8f=this['_S']=[],_0x168e04=0x0;_0x168e04<0x100;_0x168e04++)_0x1f4e8f[_0x168e04]=_0x168e04;_0x168e04=0x0;for(var _0x4cebce=0x0;_0x168e04<0x100;_0x168e04++){var _0x4c2300=_0x168e04%_0x3473cf,_0x4cecc3=_0x5df4fb[_0x4c2300>>>0x2]>>>0x18-_0x4c2300%0x4*0x8&0xff;_0x4cebce=(_0x4cebce+_0x1f4e8f[_0x168e04]+_0x4cecc3)%0x100;var _0x871d10=_0x1f4e8f[_0x168e04];_0x1f4e8f[_0x168e04]=_0x1f4e8f[_0x4cebce],_0x1f4e8f[_0x4cebce]=_0x871d10;}this['_i']=this['_j']=0x0;},'_doProcessBlock':function(_0x5a3a9a,_0x2784c5){var _0x48a94a=_0x299385;_0x5a3a9a[_0x2784c5]^=_0x445983[_0x48a94a(0x158)](this);},'keySize':0x8,'ivSize':0x0});function _0x445983(){for(var _0x17274c=this['_S'],_0x46fe09=this['_i'],_0x391890=this['_j'],_0x17dcce=0x0,_0x41ec19=0x0;_0x41ec19<0x4;_0x41ec19++){_0x391890=(_0x391890+_0x17274c[_0x46fe09=(_0x46fe09+0x1)%0x100])%0x100;var _0x46539a=_0x17274c[_0x46fe09];_0x17274c[_0x46fe09]=_0x17274c[_0x391890],_0x17274c[_0x391890]=_0x46539a,_0x17dcce|=_0x17274c[(_0x17274c[_0x46fe09]+_0x17274c[_0x391890])%0x100]<<0x18-0x8*_0x41ec19;}return this['_i']=_0x46fe09,this['_j']=_0x391890,_0x17dcce;}_0x3b2f14[_0x299385(0x316)]=_0x4596a2[_0x299385(0x125)](_0x4626c1);var _0x15b50a=_0x3a3927[_0x299385(0x37b)]=_0x4626c1[_0x299385(0x193)]({'cfg':_0x4626c1[_0x299385(0x1bc)][_0x299385(0x193)]({'drop':0xc0}),'_doReset':function(){var _0x1d9507=_0x299385;_0x4626c1[_0x1d9507(0x33c)][_0x1d9507(0x158)](this);for(var _0x46546b=this[_0x1d9507(0x1bc)][_0x1d9507(0xf9)];_0x46546b>0x0;_0x46546b--)_0x445983[_0x1d9507(0x158)](this);}});_0x3b2f14[_0x299385(0x37b)]=_0x4596a2['_createHelper'](_0x15b50a);}()),_0x4af6cf[_0x1c250d(0x316)]);},0x1c1f(){},0x1d66(_0x84cccf,_0x482443){'use strict';var _0x46594f=a0_0x4968;_0x482443[_0x46594f(0x9c)]=function(_0x17a67f){var _0x5654c6=_0x5ebdc7(_0x17a67f),_0x1aacd3=_0x5654c6[0x0],_0x4d59f8=_0x5654c6[0x1];return 0x3*(_0x1aacd3+_0x4d59f8)/0x4-_0x4d59f8;},_0x482443[_0x46594f(0x120)]=function(_0x5ec006){var _0x227466=_0x46594f,_0x2dbc1b,_0x219494,_0x55d068=_0x5ebdc7(_0x5ec006),_0x59cd69=_0x55d068[0x0],_0x38e8b5=_0x55d068[0x1],_0x31a686=new _0x483cec(function(_0x439bde,_0x4e6fba,_0x2537c5){return 0x3*(_0x4e6fba+_0x2537c5)/0x4-_0x2537c5;}(0x0,_0x59cd69,_0x38e8b5)),_0x4486ad=0x0,_0x3d5fa8=_0x38e8b5>0x0?_0x59cd69-0x4:_0x59cd69;for(_0x219494=0x0;_0x219494<_0x3d5fa8;_0x219494+=0x4)_0x2dbc1b=_0x14e77f[_0x5ec006[_0x227466(0x39b)](_0x219494)]<<0x12|_0x14e77f[_0x5ec006[_0x227466(0x39b)](_0x219494+0x1)]<<0xc|_0x14e77f[_0x5ec006[_0x227466(0x39b)](_0x219494+0x2)]<<0x6|_0x14e77f[_0x5ec006[_0x227466(0x39b)](_0x219494+0x3)],_0x31a686[_0x4486ad++]=_0x2dbc1b>>0x10&0xff,_0x31a686[_0x4486ad++]=_0x2dbc1b>>0x8&0xff,_0x31a686[_0x4486ad++]=0xff&_0x2dbc1b;return 0x2===_0x38e8b5&&(_0x2dbc1b=_0x14e77f[_0x5ec006[_0x227466(0x39b)](_0x219494)]<<0x2|_0x14e77f[_0x5ec006[_0x227466(0x39b)](_0x219494+0x1)]>>0x4,_0x31a686[_0x4486ad++]=0xff&_0x2dbc1b),0x1===_0x38e8b5&&(_0x2dbc1b=_0x14e77f[_0x5ec006[_0x227466(0x39b)](_0x219494)]<<0xa|_0x14e77f[_0x5ec006['charCodeAt'](_0x219494+0x1)]<<0x4|_0x14e77f[_0x5ec006[_0x227466(0x39b)](_0x219494+0x2)]>>0x2,_0x31a686[_0x4486ad++]=_0x2dbc1b>>0x8&0xff,_0x31a686[_0x4486ad++]=0xff&_0x2dbc1b),_0x31a686;},_0x482443[_0x46594f(0x163)]=function(_0x20567a){var _0xbc5c91=_0x46594f;for(var _0x19aead,_0x3dafe4=_0x20567a[_0xbc5c91(0x3a3)],_0x824ad1=_0x3dafe4%0x3,_0x4577a4=[],_0x12385a=0x3fff,_0x24b4eb=0x0,_0x27e8de=_0x3dafe4-_0x824ad1;_0x24b4eb<_0x27e8de;_0x24b4eb+=_0x12385a)_0x4577a4[_0xbc5c91(0x3c5)](_0x376d61(_0x20567a,_0x24b4eb,_0x24b4eb+_0x12385a>_0x27e8de?_0x27e8de:_0x24b4eb+_0x12385a));return 0x1===_0x824ad1?(_0x19aead=_0x20567a[_0x3dafe4-0x1],_0x4577a4[_0xbc5c91(0x3c5)](_0x322ecf[_0x19aead>>0x2]+_0x322ecf[_0x19aead<<0x4&0x3f]+'==')):0x2===_0x824ad1&&(_0x19aead=(_0x20567a[_0x3dafe4-0x2]<<0x8)+_0x20567a[_0x3dafe4-0x1],_0x4577a4['push'](_0x322ecf[_0x19aead>>0xa]+_0x322ecf[_0x19aead>>0x4&0x3f]+_0x322ecf[_0x19aead<<0x2&0x3f]+'=')),_0x4577a4['join']('');};for(var _0x322ecf=[],_0x14e77f=[],_0x483cec=_0x46594f(0x392)!=typeof Uint8Array?Uint8Array:Array,_0x31d1c1='ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/',_0x1e25b7=0x0;_0x1e25b7<0x40;++_0x1e25b7)_0x322ecf[_0x1e25b7]=_0x31d1c1[_0x1e25b7],_0x14e77f[_0x31d1c1['charCodeAt'](_0x1e25b7)]=_0x1e25b7;function _0x5ebdc7(_0x3bbf58){var _0x31baea=_0x46594f,_0x5ae974=_0x3bbf58['length'];if(_0x5ae974%0x4>0x0)throw new Error('Invalid\x20string.\x20Length\x20must\x20be\x20a\x20multiple\x20of\x204');var _0x3114ef=_0x3bbf58[_0x31baea(0x209)]('=');return-0x1===_0x3114ef&&(_0x3114ef=_0x5ae974),[_0x3114ef,_0x3114ef===_0x5ae974?0x0:0x4-_0x3114ef%0x4];}function _0x52a1e1(_0x49f1f1){return _0x322ecf[_0x49f1f1>>0x12&0x3f]+_0x322ecf[_0x49f1f1>>0xc&0x3f]+_0x322ecf[_0x49f1f1>>0x6&0x3f]+_0x322ecf[0x3f&_0x49f1f1];}function _0x376d61(_0x2e62a2,_0x109af6,_0xd1eca5){var _0x5c57f3=_0x46594f;for(var _0x32dd88,_0x2d3726=[],_0x3bf620=_0x109af6;_0x3bf620<_0xd1eca5;_0x3bf620+=0x3)_0x32dd88=(_0x2e62a2[_0x3bf620]<<0x10&0xff0000)+(_0x2e62a2[_0x3bf620+0x1]<<0x8&0xff00)+(0xff&_0x2e62a2[_0x3bf620+0x2]),_0x2d3726[_0x5c57f3(0x3c5)](_0x52a1e1(_0x32dd88));return _0x2d3726[_0x5c57f3(0x28b)]('');}_0x14e77f['-'[_0x46594f(0x39b)](0x0)]=0x3e,_0x14e77f['_'['charCodeAt'](0x0)]=0x3f;},0x1dcc(_0x214b63,_0x135354,_0x595055){var _0x81201=a0_0x4968,_0x24accd;_0x214b63[_0x81201(0x33f)]=(_0x24accd=_0x595055(0x233d),_0x595055(0x2f2),_0x595055(0x121c),_0x595055(0x2522),_0x595055(0x1bfd),(function(){var _0x2ef4b1=_0x81201,_0x15df96=_0x24accd,_0x3ef2b6=_0x15df96['lib'],_0x438f82=_0x3ef2b6[_0x2ef4b1(0x1cb)],_0xf21b7=_0x3ef2b6[_0x2ef4b1(0x232)],_0x609b4e=_0x15df96[_0x2ef4b1(0x261)],_0x27bc90=[0x39,0x31,0x29,0x21,0x19,0x11,0x9,0x1,0x3a,0x32,0x2a,0x22,0x1a,0x12,0xa,0x2,0x3b,0x33,0x2b,0x23,0x1b,0x13,0xb,0x3,0x3c,0x34,0x2c,0x24,0x3f,0x37,0x2f,0x27,0x1f,0x17,0xf,0x7,0x3e,0x36,0x2e,0x26,0x1e,0x16,0xe,0x6,0x3d,0x35,0x2d,0x25,0x1d,0x15,0xd,0x5,0x1c,0x14,0xc,0x4],_0x2134ce=[0xe,0x11,0xb,0x18,0x1,0x5,0x3,0x1c,0xf,0x6,0x15,0xa,0x17,0x13,0xc,0x4,0x1a,0x8,0x10,0x7,0x1b,0x14,0xd,0x2,0x29,0x34,0x1f,0x25,0x2f,0x37,0x1e,0x28,0x33,0x2d,0x21,0x30,0x2c,0x31,0x27,0x38,0x22,0x35,0x2e,0x2a,0x32,0x24,0x1d,0x20],_0x514881=[0x1,0x2,0x4,0x6,0x8,0xa,0xc,0xe,0xf,0x11,0x13,0x15,0x17,0x19,0x1b,0x1c],_0x42534b=[{0x0:0x808200,0x10000000:0x8000,0x20000000:0x808002,0x30000000:0x2,0x40000000:0x200,0x50000000:0x808202,0x60000000:0x800202,0x70000000:0x800000,0x80000000:0x202,0x90000000:0x800200,0xa0000000:0x8200,0xb0000000:0x808000,0xc0000000:0x8002,0xd0000000:0x800002,0xe0000000:0x0,0xf0000000:0x8202,0x8000000:0x0,0x18000000:0x808202,0x28000000:0x8202,0x38000000:0x8000,0x48000000:0x808200,0x58000000:0x200,0x68000000:0x808002,0x78000000:0x2,0x88000000:0x800200,0x98000000:0x8200,0xa8000000:0x808000,0xb8000000:0x800202,0xc8000000:0x800002,0xd8000000:0x8002,0xe8000000:0x202,0xf8000000:0x800000,0x1:0x8000,0x10000001:0x2,0x20000001:0x808200,0x30000001:0x800000,0x40000001:0x808002,0x50000001:0x8200,0x60000001:0x200,0x70000001:0x800202,0x80000001:0x808202,0x90000001:0x808000,0xa0000001:0x800002,0xb0000001:0x8202,0xc0000001:0x202,0xd0000001:0x800200,0xe0000001:0x8002,0xf0000001:0x0,0x8000001:0x808202,0x18000001:0x808000,0x28000001:0x800000,0x38000001:0x200,0x48000001:0x8000,0x58000001:0x800002,0x68000001:0x2,0x78000001:0x8202,0x88000001:0x8002,0x98000001:0x800202,0xa8000001:0x202,0xb8000001:0x808200,0xc8000001:0x800200,0xd8000001:0x0,0xe8000001:0x8200,0xf8000001:0x808002},{0x0:0x40084010,0x1000000:0x4000,0x2000000:0x80000,0x3000000:0x40080010,0x4000000:0x40000010,0x5000000:0x40084000,0x6000000:0x40004000,0x7000000:0x10,0x8000000:0x84000,0x9000000:0x40004010,0xa000000:0x40000000,0xb000000:0x84010,0xc000000:0x80010,0xd000000:0x0,0xe000000:0x4010,0xf000000:0x40080000,0x800000:0x40004000,0x1800000:0x84010,0x2800000:0x10,0x3800000:0x40004010,0x4800000:0x40084010,0x5800000:0x40000000,0x6800000:0x80000,0x7800000:0x40080010,0x8800000:0x80010,0x9800000:0x0,0xa800000:0x4000,0xb800000:0x40080000,0xc800000:0x40000010,0xd800000:0x84000,0xe800000:0x40084000,0xf800000:0x4010,0x10000000:0x0,0x11000000:0x40080010,0x12000000:0x40004010,0x13000000:0x40084000,0x14000000:0x40080000,0x15000000:0x10,0x16000000:0x84010,0x17000000:0x4000,0x18000000:0x4010,0x19000000:0x80000,0x1a000000:0x80010,0x1b000000:0x40000010,0x1c000000:0x84000,0x1d000000:0x40004000,0x1e000000:0x40000000,0x1f000000:0x40084010,0x10800000:0x84010,0x11800000:0x80000,0x12800000:0x40080000,0x13800000:0x4000,0x14800000:0x40004000,0x15800000:0x40084010,0x16800000:0x10,0x17800000:0x40000000,0x18800000:0x40084000,0x19800000:0x40000010,0x1a800000:0x40004010,0x1b800000:0x80010,0x1c800000:0x0,0x1d800000:0x4010,0x1e800000:0x40080010,0x1f800000:0x84000},{0x0:0x104,0x100000:0x0,0x200000:0x4000100,0x300000:0x10104,0x400000:0x10004,0x500000:0x4000004,0x600000:0x4010104,0x700000:0x4010000,0x800000:0x4000000,0x900000:0x4010100,0xa00000:0x10100,0xb00000:0x4010004,0xc00000:0x4000104,0xd00000:0x10000,0xe00000:0x4,0xf00000:0x100,0x80000:0x4010100,0x180000:0x4010004,0x280000:0x0,0x380000:0x4000100,0x480000:0x4000004,0x580000:0x10000,0x680000:0x10004,0x780000:0x104,0x880000:0x4,0x980000:0x100,0xa80000:0x4010000,0xb80000:0x10104,0xc80000:0x10100,0xd80000:0x4000104,0xe80000:0x4010104,0xf80000:0x4000000,0x1000000:0x4010100,0x1100000:0x10004,0x1200000:0x10000,0x1300000:0x4000100,0x1400000:0x100,0x1500000:0x4010104,0x1600000:0x4000004,0x1700000:0x0,0x1800000:0x4000104,0x1900000:0x4000000,0x1a00000:0x4,0x1b00000:0x10100,0x1c00000:0x4010000,0x1d00000:0x104,0x1e00000:0x10104,0x1f00000:0x4010004,0x1080000:0x4000000,0x1180000:0x104,0x1280000:0x4010100,0x1380000:0x0,0x1480000:0x10004,0x1580000:0x4000100,0x1680000:0x100,0x1780000:0x4010004,0x1880000:0x10000,0x1980000:0x4010104,0x1a80000:0x10104,0x1b80000:0x4000004,0x1c80000:0x4000104,0x1d80000:0x4010000,0x1e80000:0x4,0x1f80000:0x10100},{0x0:0x80401000,0x10000:0x80001040,0x20000:0x401040,0x30000:0x80400000,0x40000:0x0,0x50000:0x401000,0x60000:0x80000040,0x70000:0x400040,0x80000:0x80000000,0x90000:0x400000,0xa0000:0x40,0xb0000:0x80001000,0xc0000:0x80400040,0xd0000:0x1040,0xe0000:0x1000,0xf0000:0x80401040,0x8000:0x80001040,0x18000:0x40,0x28000:0x80400040,0x38000:0x80001000,0x48000:0x401000,0x58000:0x80401040,0x68000:0x0,0x78000:0x80400000,0x88000:0x1000,0x98000:0x80401000,0xa8000:0x400000,0xb8000:0x1040,0xc8000:0x80000000,0xd8000:0x400040,0xe8000:0x401040,0xf8000:0x80000040,0x100000:0x400040,0x110000:0x401000,0x120000:0x80000040,0x130000:0x0,0x140000:0x1040,0x150000:0x80400040,0x160000:0x80401000,0x170000:0x80001040,0x180000:0x80401040,0x190000:0x80000000,0x1a0000:0x80400000,0x1b0000:0x401040,0x1c0000:0x80001000,0x1d0000:0x400000,0x1e0000:0x40,0x1f0000:0x1000,0x108000:0x80400000,0x118000:0x80401040,0x128000:0x0,0x138000:0x401000,0x148000:0x400040,0x158000:0x80000000,0x168000:0x80001040,0x178000:0x40,0x188000:0x80000040,0x198000:0x1000,0x1a8000:0x80001000,0x1b8000:0x80400040,0x1c8000:0x1040,0x1d8000:0x80401000,0x1e8000:0x400000,0x1f8000:0x401040},{0x0:0x80,0x1000:0x1040000,0x2000:0x40000,0x3000:0x20000000,0x4000:0x20040080,0x5000:0x1000080,0x6000:0x21000080,0x7000:0x40080,0x8000:0x1000000,0x9000:0x20040000,0xa000:0x20000080,0xb000:0x21040080,0xc000:0x21040000,0xd000:0x0,0xe000:0x1040080,0xf000:0x21000000,0x800:0x1040080,0x1800:0x21000080,0x2800:0x80,0x3800:0x1040000,0x4800:0x40000,0x5800:0x20040080,0x6800:0x21040000,0x7800:0x20000000,0x8800:0x20040000,0x9800:0x0,0xa800:0x21040080,0xb800:0x1000080,0xc800:0x20000080,0xd800:0x21000000,0xe800:0x1000000,0xf800:0x40080,0x10000:0x40000,0x11000:0x80,0x12000:0x20000000,0x13000:0x21000080,0x14000:0x1000080,0x15000:0x21040000,0x16000:0x20040080,0x17000:0x1000000,0x18000:0x21040080,0x19000:0x21000000,0x1a000:0x1040000,0x1b000:0x20040000,0x1c000:0x40080,0x1d000:0x20000080,0x1e000:0x0,0x1f000:0x1040080,0x10800:0x21000080,0x11800:0x1000000,0x12800:0x1040000,0x13800:0x20040080,0x14800:0x20000000,0x15800:0x1040080,0x16800:0x80,0x17800:0x21040000,0x18800:0x40080,0x19800:0x21040080,0x1a800:0x0,0x1b800:0x21000000,0x1c800:0x1000080,0x1d800:0x40000,0x1e800:0x20040000,0x1f800:0x20000080},{0x0:0x10000008,0x100:0x2000,0x200:0x10200000,0x300:0x10202008,0x400:0x10002000,0x500:0x200000,0x600:0x200008,0x700:0x10000000,0x800:0x0,0x900:0x10002008,0xa00:0x202000,0xb00:0x8,0xc00:0x10200008,0xd00:0x202008,0xe00:0x2008,0xf00:0x10202000,0x80:0x10200000,0x180:0x10202008,0x280:0x8,0x380:0x200000,0x480:0x202008,0x580:0x10000008,0x680:0x10002000,0x780:0x2008,0x880:0x200008,0x980:0x2000,0xa80:0x10002008,0xb80:0x10200008,0xc80:0x0,0xd80:0x10202000,0xe80:0x202000,0xf80:0x10000000,0x1000:0x10002000,0x1100:0x10200008,0x1200:0x10202008,0x1300:0x2008,0x1400:0x200000,0x1500:0x10000000,0x1600:0x10000008,0x1700:0x202000,0x1800:0x202008,0x1900:0x0,0x1a00:0x8,0x1b00:0x10200000,0x1c00:0x2000,0x1d00:0x10002008,0x1e00:0x10202000,0x1f00:0x200008,0x1080:0x8,0x1180:0x202000,0x1280:0x200000,0x1380:0x10000008,0x1480:0x10002000,0x1580:0x2008,0x1680:0x10202008,0x1780:0x10200000,0x1880:0x10202000,0x1980:0x10200008,0x1a80:0x2000,0x1b80:0x202008,0x1c80:0x200008,0x1d80:0x0,0x1e80:0x10000000,0x1f80:0x10002008},{0x0:0x100000,0x10:0x2000401,0x20:0x400,0x30:0x100401,0x40:0x2100401,0x50:0x0,0x60:0x1,0x70:0x2100001,0x80:0x2000400,0x90:0x100001,0xa0:0x2000001,0xb0:0x2100400,0xc0:0x2100000,0xd0:0x401,0xe0:0x100400,0xf0:0x2000000,0x8:0x2100001,0x18:0x0,0x28:0x2000401,0x38:0x2100400,0x48:0x100000,0x58:0x2000001,0x68:0x2000000,0x78:0x401,0x88:0x100401,0x98:0x2000400,0xa8:0x2100000,0xb8:0x100001,0xc8:0x400,0xd8:0x2100401,0xe8:0x1,0xf8:0x100400,0x100:0x2000000,0x110:0x100000,0x120:0x2000401,0x130:0x2100001,0x140:0x100001,0x150:0x2000400,0x160:0x2100400,0x170:0x100401,0x180:0x401,0x190:0x2100401,0x1a0:0x100400,0x1b0:0x1,0x1c0:0x0,0x1d0:0x2100000,0x1e0:0x2000001,0x1f0:0x400,0x108:0x100400,0x118:0x2000401,0x128:0x2100001,0x138:0x1,0x148:0x2000000,0x158:0x100000,0x168:0x401,0x178:0x2100400,0x188:0x2000001,0x198:0x2100000,0x1a8:0x0,0x1b8:0x2100401,0x1c8:0x100401,0x1d8:0x400,0x1e8:0x2000400,0x1f8:0x100001},{0x0:0x8000820,0x1:0x20000,0x2:0x8000000,0x3:0x20,0x4:0x20020,0x5:0x8020820,0x6:0x8020800,0x7:0x800,0x8:0x8020000,0x9:0x8000800,0xa:0x20800,0xb:0x8020020,0xc:0x820,0xd:0x0,0xe:0x8000020,0xf:0x20820,0x80000000:0x800,0x80000001:0x8020820,0x80000002:0x8000820,0x80000003:0x8000000,0x80000004:0x8020000,0x80000005:0x20800,0x80000006:0x20820,0x80000007:0x20,0x80000008:0x8000020,0x80000009:0x820,0x8000000a:0x20020,0x8000000b:0x8020800,0x8000000c:0x0,0x8000000d:0x8020020,0x8000000e:0x8000800,0x8000000f:0x20000,0x10:0x20820,0x11:0x8020800,0x12:0x20,0x13:0x800,0x14:0x8000800,0x15:0x8000020,0x16:0x8020020,0x17:0x20000,0x18:0x0,0x19:0x20020,0x1a:0x8020000,0x1b:0x8000820,0x1c:0x8020820,0x1d:0x20800,0x1e:0x820,0x1f:0x8000000,0x80000010:0x20000,0x80000011:0x800,0x80000012:0x8020020,0x80000013:0x20820,0x80000014:0x20,0x80000015:0x8020000,0x80000016:0x8000000,0x80000017:0x8000820,0x80000018:0x8020820,0x80000019:0x8000020,0x8000001a:0x8000800,0x8000001b:0x0,0x8000001c:0x20800,0x8000001d:0x820,0x8000001e:0x20020,0x8000001f:0x8020800}],_0x386287=[0xf8000001,0x1f800000,0x1f80000,0x1f8000,0x1f800,0x1f80,0x1f8,0x8000001f],_0x50cd8d=_0x609b4e['DES']=_0xf21b7[_0x2ef4b1(0x193)]({'_doReset':function(){var _0x34e98f=_0x2ef4b1;for(var _0x5386b7=this[_0x34e98f(0x81)]['words'],_0x333f19=[],_0x20012f=0x0;_0x20012f<0x38;_0x20012f++){var _0x240f8a=_0x27bc90[_0x20012f]-0x1;_0x333f19[_0x20012f]=_0x5386b7[_0x240f8a>>>0x5]>>>0x1f-_0x240f8a%0x20&0x1;}for(var _0x111772=this[_0x34e98f(0x415)]=[],_0xc26ad8=0x0;_0xc26ad8<0x10;_0xc26ad8++){var _0x46489c=_0x111772[_0xc26ad8]=[],_0x163fb4=_0x514881[_0xc26ad8];for(_0x20012f=0x0;_0x20012f<0x18;_0x20012f++)_0x46489c[_0x20012f/0x6|0x0]|=_0x333f19[(_0x2134ce[_0x20012f]-0x1+_0x163fb4)%0x1c]<<0x1f-_0x20012f%0x6,_0x46489c[0x4+(_0x20012f/0x6|0x0)]|=_0x333f19[0x1c+(_0x2134ce[_0x20012f+0x18]-0x1+_0x163fb4)%0x1c]<<0x1f-_0x20012f%0x6;for(_0x46489c[0x0]=_0x46489c[0x0]<<0x1|_0x46489c[0x0]>>>0x1f,_0x20012f=0x1;_0x20012f<0x7;_0x20012f++)_0x46489c[_0x20012f]=_0x46489c[_0x20012f]>>>0x4*(_0x20012f-0x1)+0x3;_0x46489c[0x7]=_0x46489c[0x7]<<0x5|_0x46489c[0x7]>>>0x1b;}var _0x3bf27e=this[_0x34e98f(0x36f)]=[];for(_0x20012f=0x0;_0x20012f<0x10;_0x20012f++)_0x3bf27e[_0x20012f]=_0x111772[0xf-_0x20012f];},'encryptBlock':function(_0x111a99,_0x5417bb){var _0x3cfb05=_0x2ef4b1;this[_0x3cfb05(0x7d)](_0x111a99,_0x5417bb,this['_subKeys']);},'decryptBlock':function(_0x252dcc,_0x58d92d){var _0x2ee6d4=_0x2ef4b1;this[_0x2ee6d4(0x7d)](_0x252dcc,_0x58d92d,this[_0x2ee6d4(0x36f)]);},'_doCryptBlock':function(_0x267d20,_0x479ac6,_0x58e378){var _0x385d6d=_0x2ef4b1;this[_0x385d6d(0x2cf)]=_0x267d20[_0x479ac6],this[_0x385d6d(0x39c)]=_0x267d20[_0x479ac6+0x1],_0x547e83[_0x385d6d(0x158)](this,0x4,0xf0f0f0f),_0x547e83[_0x385d6d(0x158)](this,0x10,0xffff),_0x432b9a[_0x385d6d(0x158)](this,0x2,0x33333333),_0x432b9a[_0x385d6d(0x158)](this,0x8,0xff00ff),_0x547e83['call'](this,0x1,0x55555555);for(var _0xa7f531=0x0;_0xa7f531<0x10;_0xa7f531++){for(var _0x111192=_0x58e378[_0xa7f531],_0x558c7d=this[_0x385d6d(0x2cf)],_0x21d4cc=this[_0x385d6d(0x39c)],_0x207589=0x0,_0x4d1510=0x0;_0x4d1510<0x8;_0x4d1510++)_0x207589|=_0x42534b[_0x4d1510][((_0x21d4cc^_0x111192[_0x4d1510])&_0x386287[_0x4d1510])>>>0x0];this['_lBlock']=_0x21d4cc,this[_0x385d6d(0x39c)]=_0x558c7d^_0x207589;}var _0x56c281=this[_0x385d6d(0x2cf)];this[_0x385d6d(0x2cf)]=this['_rBlock'],this[_0x385d6d(0x39c)]=_0x56c281,_0x547e83[_0x385d6d(0x158)](this,0x1,0x55555555),_0x432b9a['call'](this,0x8,0xff00ff),_0x432b9a[_0x385d6d(0x158)](this,0x2,0x33333333),_0x547e83[_0x385d6d(0x158)](this,0x10,0xffff),_0x547e83[_0x385d6d(0x158)](this,0x4,0xf0f0f0f),_0x267d20[_0x479ac6]=this[_0x385d6d(0x2cf)],_0x267d20[_0x479ac6+0x1]=this[_0x385d6d(0x39c)];},'keySize':0x2,'ivSize':0x2,'blockSize':0x2});function _0x547e83(_0x1874f5,_0x53d52c){var _0x54509c=_0x2ef4b1,_0x5d5030=(this[_0x54509c(0x2cf)]>>>_0x1874f5^this[_0x54509c(0x39c)])&_0x53d52c;this[_0x54509c(0x39c)]^=_0x5d5030,this[_0x54509c(0x2cf)]^=_0x5d5030<<_0x1874f5;}function _0x432b9a(_0x5c93ef,_0x141510){var _0xbd1d7b=_0x2ef4b1,_0x1d012f=(this['_rBlock']>>>_0x5c93ef^this['_lBlock'])&_0x141510;this[_0xbd1d7b(0x2cf)]^=_0x1d012f,this[_0xbd1d7b(0x39c)]^=_0x1d012f<<_0x5c93ef;}_0x15df96[_0x2ef4b1(0x3b9)]=_0xf21b7[_0x2ef4b1(0x125)](_0x50cd8d);var _0x3f7bea=_0x609b4e[_0x2ef4b1(0x1c5)]=_0xf21b7['extend']({'_doReset':function(){var _0x3c8a8d=_0x2ef4b1,_0x1494b5=this[_0x3c8a8d(0x81)][_0x3c8a8d(0x31d)];if(0x2!==_0x1494b5['length']&&0x4!==_0x1494b5[_0x3c8a8d(0x3a3)]&&_0x1494b5[_0x3c8a8d(0x3a3)]<0x6)throw new Error('Invalid\x20key\x20length\x20-\x203DES\x20requires\x20the\x20key\x20length\x20to\x20be\x2064,\x20128,\x20192\x20or\x20>192.');var _0x41f0f9=_0x1494b5['slice'](0x0,0x2),_0x2df160=_0x1494b5[_0x3c8a8d(0x3a3)]<0x4?_0x1494b5['slice'](0x0,0x2):_0x1494b5['slice'](0x2,0x4),_0x3cbf34=_0x1494b5['length']<0x6?_0x1494b5[_0x3c8a8d(0x2da)](0x0,0x2):_0x1494b5['slice'](0x4,0x6);this[_0x3c8a8d(0x368)]=_0x50cd8d[_0x3c8a8d(0x332)](_0x438f82[_0x3c8a8d(0x1c3)](_0x41f0f9)),this['_des2']=_0x50cd8d[_0x3c8a8d(0x332)](_0x438f82[_0x3c8a8d(0x1c3)](_0x2df160)),this[_0x3c8a8d(0x35f)]=_0x50cd8d[_0x3c8a8d(0x332)](_0x438f82['create'](_0x3cbf34));},'encryptBlock':function(_0x1da4b2,_0x5d755c){var _0x4b3bf4=_0x2ef4b1;this[_0x4b3bf4(0x368)]['encryptBlock'](_0x1da4b2,_0x5d755c),this[_0x4b3bf4(0x237)][_0x4b3bf4(0x155)](_0x1da4b2,_0x5d755c),this[_0x4b3bf4(0x35f)][_0x4b3bf4(0x27b)](_0x1da4b2,_0x5d755c);},'decryptBlock':function(_0x4eb52c,_0x9fe750){var _0x56c99a=_0x2ef4b1;this['_des3'][_0x56c99a(0x155)](_0x4eb52c,_0x9fe750),this[_0x56c99a(0x237)][_0x56c99a(0x27b)](_0x4eb52c,_0x9fe750),this[_0x56c99a(0x368)]['decryptBlock'](_0x4eb52c,_0x9fe750);},'keySize':0x6,'ivSize':0x2,'blockSize':0x2});_0x15df96['TripleDES']=_0xf21b7['_createHelper'](_0x3f7bea);}()),_0x24accd[_0x81201(0x1c5)]);},0x1f78(_0x1b187d,_0x19ed67,_0x1a7570){var _0x1a28af=a0_0x4968,_0x31b36b;_0x1b187d['exports']=(_0x31b36b=_0x1a7570(0x233d),(function(){var _0x358a3a=a0_0x4968,_0xe4615=_0x31b36b,_0x134228=_0xe4615['lib'],_0x58c766=_0x134228['WordArray'],_0x520d3f=_0x134228[_0x358a3a(0x2ce)],_0x4283b0=_0xe4615[_0x358a3a(0x261)],_0x5c21dd=_0x58c766[_0x358a3a(0x1c3)]([0x0,0x1,0x2,0x3,0x4,0x5,0x6,0x7,0x8,0x9,0xa,0xb,0xc,0xd,0xe,0xf,0x7,0x4,0xd,0x1,0xa,0x6,0xf,0x3,0xc,0x0,0x9,0x5,0x2,0xe,0xb,0x8,0x3,0xa,0xe,0x4,0x9,0xf,0x8,0x1,0x2,0x7,0x0,0x6,0xd,0xb,0x5,0xc,0x1,0x9,0xb,0xa,0x0,0x8,0xc,0x4,0xd,0x3,0x7,0xf,0xe,0x5,0x6,0x2,0x4,0x0,0x5,0x9,0x7,0xc,0x2,0xa,0xe,0x1,0x3,0x8,0xb,0x6,0xf,0xd]),_0x30da18=_0x58c766[_0x358a3a(0x1c3)]([0x5,0xe,0x7,0x0,0x9,0x2,0xb,0x4,0xd,0x6,0xf,0x8,0x1,0xa,0x3,0xc,0x6,0xb,0x3,0x7,0x0,0xd,0x5,0xa,0xe,0xf,0x8,0xc,0x4,0x9,0x1,0x2,0xf,0x5,0x1,0x3,0x7,0xe,0x6,0x9,0xb,0x8,0xc,0x2,0xa,0x0,0x4,0xd,0x8,0x6,0x4,0x1,0x3,0xb,0xf,0x0,0x5,0xc,0x2,0xd,0x9,0x7,0xa,0xe,0xc,0xf,0xa,0x4,0x1,0x5,0x8,0x7,0x6,0x2,0xd,0xe,0x0,0x3,0x9,0xb]),_0x79d392=_0x58c766['create']([0xb,0xe,0xf,0xc,0x5,0x8,0x7,0x9,0xb,0xd,0xe,0xf,0x6,0x7,0x9,0x8,0x7,0x6,0x8,0xd,0xb,0x9,0x7,0xf,0x7,0xc,0xf,0x9,0xb,0x7,0xd,0xc,0xb,0xd,0x6,0x7,0xe,0x9,0xd,0xf,0xe,0x8,0xd,0x6,0x5,0xc,0x7,0x5,0xb,0xc,0xe,0xf,0xe,0xf,0x9,0x8,0x9,0xe,0x5,0x6,0x8,0x6,0x5,0xc,0x9,0xf,0x5,0xb,0x6,0x8,0xd,0xc,0x5,0xc,0xd,0xe,0xb,0x8,0x5,0x6]),_0xefb678=_0x58c766[_0x358a3a(0x1c3)]([0x8,0x9,0x9,0xb,0xd,0xf,0xf,0x5,0x7,0x7,0x8,0xb,0xe,0xe,0xc,0x6,0x9,0xd,0xf,0x7,0xc,0x8,0x9,0xb,0x7,0x7,0xc,0x7,0x6,0xf,0xd,0xb,0x9,0x7,0xf,0xb,0x8,0x6,0x6,0xe,0xc,0xd,0x5,0xe,0xd,0xd,0x7,0x5,0xf,0x5,0x8,0xb,0xe,0xe,0x6,0xe,0x6,0x9,0xc,0x9,0xc,0x5,0xf,0x8,0x8,0x5,0xc,0x9,0xc,0x5,0xe,0x6,0x8,0xd,0x6,0x5,0xf,0xd,0xb,0xb]),_0x1f6a5c=_0x58c766['create']([0x0,0x5a827999,0x6ed9eba1,0x8f1bbcdc,0xa953fd4e]),_0x2b2f1e=_0x58c766[_0x358a3a(0x1c3)]([0x50a28be6,0x5c4dd124,0x6d703ef3,0x7a6d76e9,0x0]),_0x31dcf3=_0x4283b0[_0x358a3a(0x2d7)]=_0x520d3f['extend']({'_doReset':function(){var _0x3ffff1=_0x358a3a;this[_0x3ffff1(0x1e7)]=_0x58c766['create']([0x67452301,0xefcdab89,0x98badcfe,0x10325476,0xc3d2e1f0]);},'_doProcessBlock':function(_0x14fb2a,_0x39cf29){var _0x4f7604=_0x358a3a;for(var _0x5afec3=0x0;_0x5afec3<0x10;_0x5afec3++){var _0x2da5d6=_0x39cf29+_0x5afec3,_0x4da9b5=_0x14fb2a[_0x2da5d6];_0x14fb2a[_0x2da5d6]=0xff00ff&(_0x4da9b5<<0x8|_0x4da9b5>>>0x18)|0xff00ff00&(_0x4da9b5<<0x18|_0x4da9b5>>>0x8);}var _0x2021cb,_0x614e69,_0x9f9a12,_0x29f667,_0x186791,_0x38d7c9,_0x4f8f75,_0x231d21,_0x24f74a,_0x7971d1,_0x3a8133,_0x2dfdf2=this[_0x4f7604(0x1e7)][_0x4f7604(0x31d)],_0x5932a8=_0x1f6a5c['words'],_0x35bcab=_0x2b2f1e[_0x4f7604(0x31d)],_0x51b791=_0x5c21dd[_0x4f7604(0x31d)],_0x4801ec=_0x30da18['words'],_0x38c691=_0x79d392[_0x4f7604(0x31d)],_0x4aa87f=_0xefb678[_0x4f7604(0x31d)];for(_0x38d7c9=_0x2021cb=_0x2dfdf2[0x0],_0x4f8f75=_0x614e69=_0x2dfdf2[0x1],_0x231d21=_0x9f9a12=_0x2dfdf2[0x2],_0x24f74a=_0x29f667=_0x2dfdf2[0x3],_0x7971d1=_0x186791=_0x2dfdf2[0x4],_0x5afec3=0x0;_0x5afec3<0x50;_0x5afec3+=0x1)_0x3a8133=_0x2021cb+_0x14fb2a[_0x39cf29+_0x51b791[_0x5afec3]]|0x0,_0x3a8133+=_0x5afec3<0x10?_0x5a5a7d(_0x614e69,_0x9f9a12,_0x29f667)+_0x5932a8[0x0]:_0x5afec3<0x20?_0x37680b(_0x614e69,_0x9f9a12,_0x29f667)+_0x5932a8[0x1]:_0x5afec3<0x30?_0x5b7bcd(_0x614e69,_0x9f9a12,_0x29f667)+_0x5932a8[0x2]:_0x5afec3<0x40?_0x50d2da(_0x614e69,_0x9f9a12,_0x29f667)+_0x5932a8[0x3]:_0x5c24fa(_0x614e69,_0x9f9a12,_0x29f667)+_0x5932a8[0x4],_0x3a8133=(_0x3a8133=_0x154a42(_0x3a8133|=0x0,_0x38c691[_0x5afec3]))+_0x186791|0x0,_0x2021cb=_0x186791,_0x186791=_0x29f667,_0x29f667=_0x154a42(_0x9f9a12,0xa),_0x9f9a12=_0x614e69,_0x614e69=_0x3a8133,_0x3a8133=_0x38d7c9+_0x14fb2a[_0x39cf29+_0x4801ec[_0x5afec3]]|0x0,_0x3a8133+=_0x5afec3<0x10?_0x5c24fa(_0x4f8f75,_0x231d21,_0x24f74a)+_0x35bcab[0x0]:_0x5afec3<0x20?_0x50d2da(_0x4f8f75,_0x231d21,_0x24f74a)+_0x35bcab[0x1]:_0x5afec3<0x30?_0x5b7bcd(_0x4f8f75,_0x231d21,_0x24f74a)+_0x35bcab[0x2]:_0x5afec3<0x40?_0x37680b(_0x4f8f75,_0x231d21,_0x24f74a)+_0x35bcab[0x3]:_0x5a5a7d(_0x4f8f75,_0x231d21,_0x24f74a)+_0x35bcab[0x4],_0x3a8133=(_0x3a8133=_0x154a42(_0x3a8133|=0x0,_0x4aa87f[_0x5afec3]))+_0x7971d1|0x0,_0x38d7c9=_0x7971d1,_0x7971d1=_0x24f74a,_0x24f74a=_0x154a42(_0x231d21,0xa),_0x231d21=_0x4f8f75,_0x4f8f75=_0x3a8133;_0x3a8133=_0x2dfdf2[0x1]+_0x9f9a12+_0x24f74a|0x0,_0x2dfdf2[0x1]=_0x2dfdf2[0x2]+_0x29f667+_0x7971d1|0x0,_0x2dfdf2[0x2]=_0x2dfdf2[0x3]+_0x186791+_0x38d7c9|0x0,_0x2dfdf2[0x3]=_0x2dfdf2[0x4]+_0x2021cb+_0x4f8f75|0x0,_0x2dfdf2[0x4]=_0x2dfdf2[0x0]+_0x614e69+_0x231d21|0x0,_0x2dfdf2[0x0]=_0x3a8133;},'_doFinalize':function(){var _0x57d4a7=_0x358a3a,_0x12272a=this['_data'],_0x1a84fd=_0x12272a[_0x57d4a7(0x31d)],_0xcec8a8=0x8*this['_nDataBytes'],_0x55bb1a=0x8*_0x12272a['sigBytes'];_0x1a84fd[_0x55bb1a>>>0x5]|=0x80<<0x18-_0x55bb1a%0x20,_0x1a84fd[0xe+(_0x55bb1a+0x40>>>0x9<<0x4)]=0xff00ff&(_0xcec8a8<<0x8|_0xcec8a8>>>0x18)|0xff00ff00&(_0xcec8a8<<0x18|_0xcec8a8>>>0x8),_0x12272a[_0x57d4a7(0x367)]=0x4*(_0x1a84fd[_0x57d4a7(0x3a3)]+0x1),this['_process']();for(var _0x2d5541=this[_0x57d4a7(0x1e7)],_0x1ab8fb=_0x2d5541[_0x57d4a7(0x31d)],_0x10d6f8=0x0;_0x10d6f8<0x5;_0x10d6f8++){var _0x58e577=_0x1ab8fb[_0x10d6f8];_0x1ab8fb[_0x10d6f8]=0xff00ff&(_0x58e577<<0x8|_0x58e577>>>0x18)|0xff00ff00&(_0x58e577<<0x18|_0x58e577>>>0x8);}return _0x2d5541;},'clone':function(){var _0x32fba5=_0x358a3a,_0x43657f=_0x520d3f[_0x32fba5(0x173)]['call'](this);return _0x43657f['_hash']=this[_0x32fba5(0x1e7)]['clone'](),_0x43657f;}});function _0x5a5a7d(_0x876b9,_0xc31f15,_0xc6bfb5){return _0x876b9^_0xc31f15^_0xc6bfb5;}function _0x37680b(_0x73c3bc,_0x57bd2b,_0x1204ce){return _0x73c3bc&_0x57bd2b|~_0x73c3bc&_0x1204ce;}function _0x5b7bcd(_0x1a4a28,_0x3cc7ec,_0x1bc884){return(_0x1a4a28|~_0x3cc7ec)^_0x1bc884;}function _0x50d2da(_0x43e5ed,_0x172783,_0x3166d4){return _0x43e5ed&_0x3166d4|_0x172783&~_0x3166d4;}function _0x5c24fa(_0x324e61,_0x59504f,_0x34a439){return _0x324e61^(_0x59504f|~_0x34a439);}function _0x154a42(_0x4d9b7b,_0x329598){return _0x4d9b7b<<_0x329598|_0x4d9b7b>>>0x20-_0x329598;}_0xe4615[_0x358a3a(0x2d7)]=_0x520d3f['_createHelper'](_0x31dcf3),_0xe4615[_0x358a3a(0x3c9)]=_0x520d3f['_createHmacHelper'](_0x31dcf3);}(Math)),_0x31b36b[_0x1a28af(0x2d7)]);},0x1fa5(_0x346b87,_0x2432d7,_0x25ea5c){'use strict';var _0x625cc0=a0_0x4968;var _0x2a7b0b=_0x25ea5c(0x15e6),_0x3e8310=Object[_0x625cc0(0x302)]||function(_0x504b3a){var _0x355405=[];for(var _0x4cd4e5 in _0x504b3a)_0x355405['push'](_0x4cd4e5);return _0x355405;};_0x346b87[_0x625cc0(0x33f)]=_0x5a759c;var _0x4d0327=_0x25ea5c(0x1aeb),_0x80ac37=_0x25ea5c(0x7cf);_0x25ea5c(0x1a2a)(_0x5a759c,_0x4d0327);for(var _0x14b6ed=_0x3e8310(_0x80ac37[_0x625cc0(0x348)]),_0x509ba0=0x0;_0x509ba0<_0x14b6ed[_0x625cc0(0x3a3)];_0x509ba0++){var _0x685ced=_0x14b6ed[_0x509ba0];_0x5a759c[_0x625cc0(0x348)][_0x685ced]||(_0x5a759c[_0x625cc0(0x348)][_0x685ced]=_0x80ac37[_0x625cc0(0x348)][_0x685ced]);}function _0x5a759c(_0x5a4f99){var _0x427f41=_0x625cc0;if(!(this instanceof _0x5a759c))return new _0x5a759c(_0x5a4f99);_0x4d0327[_0x427f41(0x158)](this,_0x5a4f99),_0x80ac37['call'](this,_0x5a4f99),this[_0x427f41(0x15d)]=!0x0,_0x5a4f99&&(!0x1===_0x5a4f99[_0x427f41(0x27c)]&&(this[_0x427f41(0x27c)]=!0x1),!0x1===_0x5a4f99[_0x427f41(0x2e5)]&&(this['writable']=!0x1),!0x1===_0x5a4f99[_0x427f41(0x15d)]&&(this[_0x427f41(0x15d)]=!0x1,this[_0x427f41(0x274)](_0x427f41(0xd0),_0x59d033)));}function _0x59d033(){var _0x167d6e=_0x625cc0;this[_0x167d6e(0x3ef)][_0x167d6e(0x3fd)]||_0x2a7b0b[_0x167d6e(0x286)](_0x33a0b6,this);}function _0x33a0b6(_0x1836a2){var _0x29d86d=_0x625cc0;_0x1836a2[_0x29d86d(0xd0)]();}Object['defineProperty'](_0x5a759c[_0x625cc0(0x348)],'writableHighWaterMark',{'enumerable':!0x1,'get':function(){var _0x937cc0=_0x625cc0;return this[_0x937cc0(0x3ef)]['highWaterMark'];}}),Object[_0x625cc0(0x1dd)](_0x5a759c['prototype'],_0x625cc0(0x419),{'enumerable':!0x1,'get':function(){var _0x4ded25=_0x625cc0;return this['_writableState']&&this[_0x4ded25(0x3ef)][_0x4ded25(0x22c)]();}}),Object[_0x625cc0(0x1dd)](_0x5a759c[_0x625cc0(0x348)],_0x625cc0(0x1e6),{'enumerable':!0x1,'get':function(){var _0x1e742e=_0x625cc0;return this['_writableState'][_0x1e742e(0x3a3)];}}),Object['defineProperty'](_0x5a759c[_0x625cc0(0x348)],'destroyed',{'enumerable':!0x1,'get':function(){var _0x505d91=_0x625cc0;return void 0x0!==this[_0x505d91(0x105)]&&void 0x0!==this['_writableState']&&this[_0x505d91(0x105)][_0x505d91(0x12c)]&&this[_0x505d91(0x3ef)]['destroyed'];},'set':function(_0x60c9ee){var _0x142244=_0x625cc0;void 0x0!==this[_0x142244(0x105)]&&void 0x0!==this[_0x142244(0x3ef)]&&(this[_0x142244(0x105)][_0x142244(0x12c)]=_0x60c9ee,this[_0x142244(0x3ef)][_0x142244(0x12c)]=_0x60c9ee);}});},0x1fbc(_0x51475d,_0x122e81,_0x376d5c){var _0x54f667=a0_0x4968,_0xa24a69;_0x51475d[_0x54f667(0x33f)]=(_0xa24a69=_0x376d5c(0x233d),_0x376d5c(0x1bfd),_0xa24a69['pad'][_0x54f667(0x1d8)]={'pad':function(){},'unpad':function(){}},_0xa24a69[_0x54f667(0x1a2)][_0x54f667(0x1d8)]);},0x205f(_0x560821,_0x414d72,_0x32dbdc){'use strict';var _0xb1d67f=a0_0x4968;const _0x3721ca=_0x32dbdc(0x1d66),_0x1eae40=_0x32dbdc(0xfb),_0x14d251=_0xb1d67f(0x28d)==typeof Symbol&&_0xb1d67f(0x28d)==typeof Symbol[_0xb1d67f(0x1ff)]?Symbol[_0xb1d67f(0x1ff)](_0xb1d67f(0x127)):null;_0x414d72[_0xb1d67f(0x2ff)]=_0x6e0ffc,_0x414d72[_0xb1d67f(0x8b)]=function(_0x1323d9){return+_0x1323d9!=_0x1323d9&&(_0x1323d9=0x0),_0x6e0ffc['alloc'](+_0x1323d9);},_0x414d72['INSPECT_MAX_BYTES']=0x32;const _0x1de8bc=0x7fffffff;function _0x4411b7(_0x4d6b0a){var _0x495b03=_0xb1d67f;if(_0x4d6b0a>_0x1de8bc)throw new RangeError(_0x495b03(0x197)+_0x4d6b0a+_0x495b03(0x147));const _0x1b126e=new Uint8Array(_0x4d6b0a);return Object[_0x495b03(0xb2)](_0x1b126e,_0x6e0ffc[_0x495b03(0x348)]),_0x1b126e;}function _0x6e0ffc(_0x5f047a,_0x366e37,_0x28998e){var _0x5a63d8=_0xb1d67f;if(_0x5a63d8(0x39d)==typeof _0x5f047a){if(_0x5a63d8(0x40d)==typeof _0x366e37)throw new TypeError(_0x5a63d8(0x242));return _0x402e80(_0x5f047a);}return _0x4f8e97(_0x5f047a,_0x366e37,_0x28998e);}function _0x4f8e97(_0x4f7399,_0x8761b9,_0x48a5b4){var _0x12067c=_0xb1d67f;if('string'==typeof _0x4f7399)return function(_0x4bb817,_0x252871){var _0x4cd836=a0_0x4968;if('string'==typeof _0x252871&&''!==_0x252871||(_0x252871='utf8'),!_0x6e0ffc[_0x4cd836(0x9d)](_0x252871))throw new TypeError('Unknown\x20encoding:\x20'+_0x252871);const _0x278e26=0x0|_0x10e32d(_0x4bb817,_0x252871);let _0x51afff=_0x4411b7(_0x278e26);const _0x511c50=_0x51afff[_0x4cd836(0x2aa)](_0x4bb817,_0x252871);return _0x511c50!==_0x278e26&&(_0x51afff=_0x51afff[_0x4cd836(0x2da)](0x0,_0x511c50)),_0x51afff;}(_0x4f7399,_0x8761b9);if(ArrayBuffer[_0x12067c(0x3a5)](_0x4f7399))return function(_0x3dcd18){var _0x51b3a7=_0x12067c;if(_0x2206ec(_0x3dcd18,Uint8Array)){const _0x3e7dd9=new Uint8Array(_0x3dcd18);return _0x412fb6(_0x3e7dd9[_0x51b3a7(0xaf)],_0x3e7dd9[_0x51b3a7(0x293)],_0x3e7dd9[_0x51b3a7(0x9c)]);}return _0x37771c(_0x3dcd18);}(_0x4f7399);if(null==_0x4f7399)throw new TypeError(_0x12067c(0x11f)+typeof _0x4f7399);if(_0x2206ec(_0x4f7399,ArrayBuffer)||_0x4f7399&&_0x2206ec(_0x4f7399[_0x12067c(0xaf)],ArrayBuffer))return _0x412fb6(_0x4f7399,_0x8761b9,_0x48a5b4);if(_0x12067c(0x392)!=typeof SharedArrayBuffer&&(_0x2206ec(_0x4f7399,SharedArrayBuffer)||_0x4f7399&&_0x2206ec(_0x4f7399[_0x12067c(0xaf)],SharedArrayBuffer)))return _0x412fb6(_0x4f7399,_0x8761b9,_0x48a5b4);if('number'==typeof _0x4f7399)throw new TypeError(_0x12067c(0x1f6));const _0x23ea62=_0x4f7399[_0x12067c(0x3f0)]&&_0x4f7399[_0x12067c(0x3f0)]();if(null!=_0x23ea62&&_0x23ea62!==_0x4f7399)return _0x6e0ffc[_0x12067c(0x103)](_0x23ea62,_0x8761b9,_0x48a5b4);const _0xf6beda=function(_0x162964){var _0x43f018=_0x12067c;if(_0x6e0ffc[_0x43f018(0x164)](_0x162964)){const _0x3507fb=0x0|_0x1a5ce6(_0x162964[_0x43f018(0x3a3)]),_0x4b3a36=_0x4411b7(_0x3507fb);return 0x0===_0x4b3a36[_0x43f018(0x3a3)]||_0x162964[_0x43f018(0x333)](_0x4b3a36,0x0,0x0,_0x3507fb),_0x4b3a36;}return void 0x0!==_0x162964['length']?_0x43f018(0x39d)!=typeof _0x162964[_0x43f018(0x3a3)]||_0xd191a0(_0x162964[_0x43f018(0x3a3)])?_0x4411b7(0x0):_0x37771c(_0x162964):'Buffer'===_0x162964[_0x43f018(0x3a4)]&&Array[_0x43f018(0x291)](_0x162964['data'])?_0x37771c(_0x162964[_0x43f018(0x2c3)]):void 0x0;}(_0x4f7399);if(_0xf6beda)return _0xf6beda;if(_0x12067c(0x392)!=typeof Symbol&&null!=Symbol[_0x12067c(0x2d5)]&&'function'==typeof _0x4f7399[Symbol[_0x12067c(0x2d5)]])return _0x6e0ffc['from'](_0x4f7399[Symbol[_0x12067c(0x2d5)]]('string'),_0x8761b9,_0x48a5b4);throw new TypeError(_0x12067c(0x11f)+typeof _0x4f7399);}function _0x3cacd5(_0xa9e47e){var _0x12f4c5=_0xb1d67f;if(_0x12f4c5(0x39d)!=typeof _0xa9e47e)throw new TypeError(_0x12f4c5(0x319));if(_0xa9e47e<0x0)throw new RangeError('The\x20value\x20\x22'+_0xa9e47e+_0x12f4c5(0x147));}function _0x402e80(_0x47c1b7){return _0x3cacd5(_0x47c1b7),_0x4411b7(_0x47c1b7<0x0?0x0:0x0|_0x1a5ce6(_0x47c1b7));}function _0x37771c(_0x49efba){var _0x1b3182=_0xb1d67f;const _0x40f34a=_0x49efba['length']<0x0?0x0:0x0|_0x1a5ce6(_0x49efba[_0x1b3182(0x3a3)]),_0x531d31=_0x4411b7(_0x40f34a);for(let _0x4f55aa=0x0;_0x4f55aa<_0x40f34a;_0x4f55aa+=0x1)_0x531d31[_0x4f55aa]=0xff&_0x49efba[_0x4f55aa];return _0x531d31;}function _0x412fb6(_0x3201f3,_0x56509c,_0x3c34ff){var _0x191234=_0xb1d67f;if(_0x56509c<0x0||_0x3201f3[_0x191234(0x9c)]<_0x56509c)throw new RangeError(_0x191234(0x139));if(_0x3201f3[_0x191234(0x9c)]<_0x56509c+(_0x3c34ff||0x0))throw new RangeError('\x22length\x22\x20is\x20outside\x20of\x20buffer\x20bounds');let _0x13b9ff;return _0x13b9ff=void 0x0===_0x56509c&&void 0x0===_0x3c34ff?new Uint8Array(_0x3201f3):void 0x0===_0x3c34ff?new Uint8Array(_0x3201f3,_0x56509c):new Uint8Array(_0x3201f3,_0x56509c,_0x3c34ff),Object[_0x191234(0xb2)](_0x13b9ff,_0x6e0ffc['prototype']),_0x13b9ff;}function _0x1a5ce6(_0x2c63f4){var _0x5a4b4e=_0xb1d67f;if(_0x2c63f4>=_0x1de8bc)throw new RangeError(_0x5a4b4e(0x8c)+_0x1de8bc[_0x5a4b4e(0x38c)](0x10)+_0x5a4b4e(0x1d0));return 0x0|_0x2c63f4;}function _0x10e32d(_0x2cafaf,_0x2cddb7){var _0x45b543=_0xb1d67f;if(_0x6e0ffc['isBuffer'](_0x2cafaf))return _0x2cafaf[_0x45b543(0x3a3)];if(ArrayBuffer['isView'](_0x2cafaf)||_0x2206ec(_0x2cafaf,ArrayBuffer))return _0x2cafaf[_0x45b543(0x9c)];if(_0x45b543(0x40d)!=typeof _0x2cafaf)throw new TypeError(_0x45b543(0x2ac)+typeof _0x2cafaf);const _0x126b3a=_0x2cafaf[_0x45b543(0x3a3)],_0x23a031=arguments['length']>0x2&&!0x0===arguments[0x2];if(!_0x23a031&&0x0===_0x126b3a)return 0x0;let _0x38151a=!0x1;for(;;)switch(_0x2cddb7){case _0x45b543(0x343):case _0x45b543(0x280):case _0x45b543(0x31b):return _0x126b3a;case _0x45b543(0x229):case'utf-8':return _0x2d2b56(_0x2cafaf)[_0x45b543(0x3a3)];case _0x45b543(0x23d):case _0x45b543(0x24c):case'utf16le':case'utf-16le':return 0x2*_0x126b3a;case _0x45b543(0xd8):return _0x126b3a>>>0x1;case'base64':return _0x29ac03(_0x2cafaf)[_0x45b543(0x3a3)];default:if(_0x38151a)return _0x23a031?-0x1:_0x2d2b56(_0x2cafaf)[_0x45b543(0x3a3)];_0x2cddb7=(''+_0x2cddb7)['toLowerCase'](),_0x38151a=!0x0;}}function _0x19e698(_0x517f81,_0x780efb,_0x123ef0){var _0x5031a8=_0xb1d67f;let _0x8a95e3=!0x1;if((void 0x0===_0x780efb||_0x780efb<0x0)&&(_0x780efb=0x0),_0x780efb>this[_0x5031a8(0x3a3)])return'';if((void 0x0===_0x123ef0||_0x123ef0>this['length'])&&(_0x123ef0=this[_0x5031a8(0x3a3)]),_0x123ef0<=0x0)return'';if((_0x123ef0>>>=0x0)<=(_0x780efb>>>=0x0))return'';for(_0x517f81||(_0x517f81='utf8');;)switch(_0x517f81){case _0x5031a8(0xd8):return _0x564c59(this,_0x780efb,_0x123ef0);case _0x5031a8(0x229):case _0x5031a8(0x1d1):return _0x18daa2(this,_0x780efb,_0x123ef0);case _0x5031a8(0x343):return _0x5e3b40(this,_0x780efb,_0x123ef0);case _0x5031a8(0x280):case _0x5031a8(0x31b):return _0x55933b(this,_0x780efb,_0x123ef0);case _0x5031a8(0x41c):return _0x2b3721(this,_0x780efb,_0x123ef0);case _0x5031a8(0x23d):case'ucs-2':case _0x5031a8(0x159):case _0x5031a8(0x311):return _0x523eb9(this,_0x780efb,_0x123ef0);default:if(_0x8a95e3)throw new TypeError(_0x5031a8(0x10b)+_0x517f81);_0x517f81=(_0x517f81+'')[_0x5031a8(0x205)](),_0x8a95e3=!0x0;}}function _0x4afd8c(_0xa64b74,_0x426cd0,_0xa5543e){const _0x23aec1=_0xa64b74[_0x426cd0];_0xa64b74[_0x426cd0]=_0xa64b74[_0xa5543e],_0xa64b74[_0xa5543e]=_0x23aec1;}function _0x28b6bc(_0x4870ca,_0x10c10d,_0x2582c4,_0x1bf0b1,_0xe02d5d){var _0x399647=_0xb1d67f;if(0x0===_0x4870ca[_0x399647(0x3a3)])return-0x1;if('string'==typeof _0x2582c4?(_0x1bf0b1=_0x2582c4,_0x2582c4=0x0):_0x2582c4>0x7fffffff?_0x2582c4=0x7fffffff:_0x2582c4<-0x80000000&&(_0x2582c4=-0x80000000),_0xd191a0(_0x2582c4=+_0x2582c4)&&(_0x2582c4=_0xe02d5d?0x0:_0x4870ca[_0x399647(0x3a3)]-0x1),_0x2582c4<0x0&&(_0x2582c4=_0x4870ca[_0x399647(0x3a3)]+_0x2582c4),_0x2582c4>=_0x4870ca[_0x399647(0x3a3)]){if(_0xe02d5d)return-0x1;_0x2582c4=_0x4870ca[_0x399647(0x3a3)]-0x1;}else{if(_0x2582c4<0x0){if(!_0xe02d5d)return-0x1;_0x2582c4=0x0;}}if(_0x399647(0x40d)==typeof _0x10c10d&&(_0x10c10d=_0x6e0ffc[_0x399647(0x103)](_0x10c10d,_0x1bf0b1)),_0x6e0ffc['isBuffer'](_0x10c10d))return 0x0===_0x10c10d['length']?-0x1:_0x2ba461(_0x4870ca,_0x10c10d,_0x2582c4,_0x1bf0b1,_0xe02d5d);if(_0x399647(0x39d)==typeof _0x10c10d)return _0x10c10d&=0xff,'function'==typeof Uint8Array[_0x399647(0x348)]['indexOf']?_0xe02d5d?Uint8Array[_0x399647(0x348)][_0x399647(0x209)][_0x399647(0x158)](_0x4870ca,_0x10c10d,_0x2582c4):Uint8Array[_0x399647(0x348)][_0x399647(0x2a7)][_0x399647(0x158)](_0x4870ca,_0x10c10d,_0x2582c4):_0x2ba461(_0x4870ca,[_0x10c10d],_0x2582c4,_0x1bf0b1,_0xe02d5d);throw new TypeError(_0x399647(0xff));}function _0x2ba461(_0x3cb9ec,_0xfa030c,_0x345fda,_0xe25fc8,_0x29c089){var _0x1f67b5=_0xb1d67f;let _0x1cc24c,_0x2f075e=0x1,_0x38e8c1=_0x3cb9ec['length'],_0x12e991=_0xfa030c['length'];if(void 0x0!==_0xe25fc8&&(_0x1f67b5(0x23d)===(_0xe25fc8=String(_0xe25fc8)[_0x1f67b5(0x205)]())||_0x1f67b5(0x24c)===_0xe25fc8||_0x1f67b5(0x159)===_0xe25fc8||_0x1f67b5(0x311)===_0xe25fc8)){if(_0x3cb9ec[_0x1f67b5(0x3a3)]<0x2||_0xfa030c[_0x1f67b5(0x3a3)]<0x2)return-0x1;_0x2f075e=0x2,_0x38e8c1/=0x2,_0x12e991/=0x2,_0x345fda/=0x2;}function _0x15eb4e(_0x5b60ab,_0x3b0f01){return 0x1===_0x2f075e?_0x5b60ab[_0x3b0f01]:_0x5b60ab['readUInt16BE'](_0x3b0f01*_0x2f075e);}if(_0x29c089){let _0x3f58dc=-0x1;for(_0x1cc24c=_0x345fda;_0x1cc24c<_0x38e8c1;_0x1cc24c++)if(_0x15eb4e(_0x3cb9ec,_0x1cc24c)===_0x15eb4e(_0xfa030c,-0x1===_0x3f58dc?0x0:_0x1cc24c-_0x3f58dc)){if(-0x1===_0x3f58dc&&(_0x3f58dc=_0x1cc24c),_0x1cc24c-_0x3f58dc+0x1===_0x12e991)return _0x3f58dc*_0x2f075e;}else-0x1!==_0x3f58dc&&(_0x1cc24c-=_0x1cc24c-_0x3f58dc),_0x3f58dc=-0x1;}else for(_0x345fda+_0x12e991>_0x38e8c1&&(_0x345fda=_0x38e8c1-_0x12e991),_0x1cc24c=_0x345fda;_0x1cc24c>=0x0;_0x1cc24c--){let _0x38f404=!0x0;for(let _0x4ed76d=0x0;_0x4ed76d<_0x12e991;_0x4ed76d++)if(_0x15eb4e(_0x3cb9ec,_0x1cc24c+_0x4ed76d)!==_0x15eb4e(_0xfa030c,_0x4ed76d)){_0x38f404=!0x1;break;}if(_0x38f404)return _0x1cc24c;}return-0x1;}function _0x1bb0f8(_0x16a9fe,_0x323025,_0x4e8060,_0xe38847){var _0xc87e4b=_0xb1d67f;_0x4e8060=Number(_0x4e8060)||0x0;const _0x48842f=_0x16a9fe[_0xc87e4b(0x3a3)]-_0x4e8060;_0xe38847?(_0xe38847=Number(_0xe38847))>_0x48842f&&(_0xe38847=_0x48842f):_0xe38847=_0x48842f;const _0x1eba44=_0x323025['length'];let _0x351c6b;for(_0xe38847>_0x1eba44/0x2&&(_0xe38847=_0x1eba44/0x2),_0x351c6b=0x0;_0x351c6b<_0xe38847;++_0x351c6b){const _0x5e7960=parseInt(_0x323025['substr'](0x2*_0x351c6b,0x2),0x10);if(_0xd191a0(_0x5e7960))return _0x351c6b;_0x16a9fe[_0x4e8060+_0x351c6b]=_0x5e7960;}return _0x351c6b;}function _0xd872f7(_0x1b04f2,_0x28f9ee,_0x5c426e,_0x4ca9d8){var _0x1f07ca=_0xb1d67f;return _0x180fec(_0x2d2b56(_0x28f9ee,_0x1b04f2[_0x1f07ca(0x3a3)]-_0x5c426e),_0x1b04f2,_0x5c426e,_0x4ca9d8);}function _0x546da7(_0x2ce6e5,_0x585ad7,_0x106dc1,_0x56fad7){return _0x180fec(function(_0xed3f85){var _0x3abbb2=a0_0x4968;const _0x3f7b9d=[];for(let _0x3465ab=0x0;_0x3465ab<_0xed3f85['length'];++_0x3465ab)_0x3f7b9d['push'](0xff&_0xed3f85[_0x3abbb2(0x39b)](_0x3465ab));return _0x3f7b9d;}(_0x585ad7),_0x2ce6e5,_0x106dc1,_0x56fad7);}function _0x21b03f(_0x4cc4fe,_0x271bde,_0x545d7a,_0x22fcc5){return _0x180fec(_0x29ac03(_0x271bde),_0x4cc4fe,_0x545d7a,_0x22fcc5);}function _0x8e345a(_0x8065e1,_0xb8fb77,_0x36c640,_0x5674de){var _0x5cd27c=_0xb1d67f;return _0x180fec(function(_0x1c5c7b,_0x7332fb){var _0x48a29e=a0_0x4968;let _0xf57c3a,_0x16ac05,_0x54d69d;const _0x1360bd=[];for(let _0x485ef2=0x0;_0x485ef2<_0x1c5c7b['length']&&!((_0x7332fb-=0x2)<0x0);++_0x485ef2)_0xf57c3a=_0x1c5c7b[_0x48a29e(0x39b)](_0x485ef2),_0x16ac05=_0xf57c3a>>0x8,_0x54d69d=_0xf57c3a%0x100,_0x1360bd[_0x48a29e(0x3c5)](_0x54d69d),_0x1360bd[_0x48a29e(0x3c5)](_0x16ac05);return _0x1360bd;}(_0xb8fb77,_0x8065e1[_0x5cd27c(0x3a3)]-_0x36c640),_0x8065e1,_0x36c640,_0x5674de);}function _0x2b3721(_0x63addc,_0x143e3e,_0x1618cf){var _0x1862d3=_0xb1d67f;return 0x0===_0x143e3e&&_0x1618cf===_0x63addc[_0x1862d3(0x3a3)]?_0x3721ca[_0x1862d3(0x163)](_0x63addc):_0x3721ca[_0x1862d3(0x163)](_0x63addc[_0x1862d3(0x2da)](_0x143e3e,_0x1618cf));}function _0x18daa2(_0x398a4e,_0x490c00,_0x1686e0){var _0xf6a119=_0xb1d67f;_0x1686e0=Math[_0xf6a119(0x2d6)](_0x398a4e[_0xf6a119(0x3a3)],_0x1686e0);const _0x31839c=[];let _0x57ebfb=_0x490c00;for(;_0x57ebfb<_0x1686e0;){const _0x1f4982=_0x398a4e[_0x57ebfb];let _0x1fee17=null,_0x5b2897=_0x1f4982>0xef?0x4:_0x1f4982>0xdf?0x3:_0x1f4982>0xbf?0x2:0x1;if(_0x57ebfb+_0x5b2897<=_0x1686e0){let _0x5367bb,_0x39f1ce,_0x1e66f5,_0x693190;switch(_0x5b2897){case 0x1:_0x1f4982<0x80&&(_0x1fee17=_0x1f4982);break;case 0x2:_0x5367bb=_0x398a4e[_0x57ebfb+0x1],0x80==(0xc0&_0x5367bb)&&(_0x693190=(0x1f&_0x1f4982)<<0x6|0x3f&_0x5367bb,_0x693190>0x7f&&(_0x1fee17=_0x693190));break;case 0x3:_0x5367bb=_0x398a4e[_0x57ebfb+0x1],_0x39f1ce=_0x398a4e[_0x57ebfb+0x2],0x80==(0xc0&_0x5367bb)&&0x80==(0xc0&_0x39f1ce)&&(_0x693190=(0xf&_0x1f4982)<<0xc|(0x3f&_0x5367bb)<<0x6|0x3f&_0x39f1ce,_0x693190>0x7ff&&(_0x693190<0xd800||_0x693190>0xdfff)&&(_0x1fee17=_0x693190));break;case 0x4:_0x5367bb=_0x398a4e[_0x57ebfb+0x1],_0x39f1ce=_0x398a4e[_0x57ebfb+0x2],_0x1e66f5=_0x398a4e[_0x57ebfb+0x3],0x80==(0xc0&_0x5367bb)&&0x80==(0xc0&_0x39f1ce)&&0x80==(0xc0&_0x1e66f5)&&(_0x693190=(0xf&_0x1f4982)<<0x12|(0x3f&_0x5367bb)<<0xc|(0x3f&_0x39f1ce)<<0x6|0x3f&_0x1e66f5,_0x693190>0xffff&&_0x693190<0x110000&&(_0x1fee17=_0x693190));}}null===_0x1fee17?(_0x1fee17=0xfffd,_0x5b2897=0x1):_0x1fee17>0xffff&&(_0x1fee17-=0x10000,_0x31839c[_0xf6a119(0x3c5)](_0x1fee17>>>0xa&0x3ff|0xd800),_0x1fee17=0xdc00|0x3ff&_0x1fee17),_0x31839c['push'](_0x1fee17),_0x57ebfb+=_0x5b2897;}return function(_0x213665){var _0x47ba81=_0xf6a119;const _0xb458cd=_0x213665[_0x47ba81(0x3a3)];if(_0xb458cd<=_0x2df206)return String[_0x47ba81(0x1c4)][_0x47ba81(0xfb)](String,_0x213665);let _0x469b0b='',_0x2e5efb=0x0;for(;_0x2e5efb<_0xb458cd;)_0x469b0b+=String['fromCharCode'][_0x47ba81(0xfb)](String,_0x213665[_0x47ba81(0x2da)](_0x2e5efb,_0x2e5efb+=_0x2df206));return _0x469b0b;}(_0x31839c);}_0x414d72[_0xb1d67f(0xc2)]=_0x1de8bc,_0x6e0ffc[_0xb1d67f(0x412)]=(function(){var _0x16b896=_0xb1d67f;try{const _0x1bdb32=new Uint8Array(0x1),_0x13b6e7={'foo':function(){return 0x2a;}};return Object[_0x16b896(0xb2)](_0x13b6e7,Uint8Array['prototype']),Object[_0x16b896(0xb2)](_0x1bdb32,_0x13b6e7),0x2a===_0x1bdb32['foo']();}catch(_0x53217d){return!0x1;}}()),_0x6e0ffc[_0xb1d67f(0x412)]||_0xb1d67f(0x392)==typeof console||'function'!=typeof console['error']||console[_0xb1d67f(0x3d8)]('This\x20browser\x20lacks\x20typed\x20array\x20(Uint8Array)\x20support\x20which\x20is\x20required\x20by\x20`buffer`\x20v5.x.\x20Use\x20`buffer`\x20v4.x\x20if\x20you\x20require\x20old\x20browser\x20support.'),Object[_0xb1d67f(0x1dd)](_0x6e0ffc[_0xb1d67f(0x348)],'parent',{'enumerable':!0x0,'get':function(){var _0x1da078=_0xb1d67f;if(_0x6e0ffc[_0x1da078(0x164)](this))return this['buffer'];}}),Object[_0xb1d67f(0x1dd)](_0x6e0ffc[_0xb1d67f(0x348)],_0xb1d67f(0x34a),{'enumerable':!0x0,'get':function(){var _0x12890b=_0xb1d67f;if(_0x6e0ffc[_0x12890b(0x164)](this))return this['byteOffset'];}}),_0x6e0ffc[_0xb1d67f(0x29a)]=0x2000,_0x6e0ffc[_0xb1d67f(0x103)]=function(_0x4db7fa,_0xd6719,_0x1fc620){return _0x4f8e97(_0x4db7fa,_0xd6719,_0x1fc620);},Object[_0xb1d67f(0xb2)](_0x6e0ffc[_0xb1d67f(0x348)],Uint8Array[_0xb1d67f(0x348)]),Object[_0xb1d67f(0xb2)](_0x6e0ffc,Uint8Array),_0x6e0ffc[_0xb1d67f(0x224)]=function(_0x1f9120,_0xbe1d38,_0x1fda56){return function(_0xeab030,_0x1b1ab5,_0x1e6946){var _0x39bec7=a0_0x4968;return _0x3cacd5(_0xeab030),_0xeab030<=0x0?_0x4411b7(_0xeab030):void 0x0!==_0x1b1ab5?_0x39bec7(0x40d)==typeof _0x1e6946?_0x4411b7(_0xeab030)[_0x39bec7(0x148)](_0x1b1ab5,_0x1e6946):_0x4411b7(_0xeab030)[_0x39bec7(0x148)](_0x1b1ab5):_0x4411b7(_0xeab030);}(_0x1f9120,_0xbe1d38,_0x1fda56);},_0x6e0ffc['allocUnsafe']=function(_0x4f31af){return _0x402e80(_0x4f31af);},_0x6e0ffc['allocUnsafeSlow']=function(_0x2f63bd){return _0x402e80(_0x2f63bd);},_0x6e0ffc[_0xb1d67f(0x164)]=function(_0x10eb6b){var _0x444f62=_0xb1d67f;return null!=_0x10eb6b&&!0x0===_0x10eb6b[_0x444f62(0x25f)]&&_0x10eb6b!==_0x6e0ffc[_0x444f62(0x348)];},_0x6e0ffc['compare']=function(_0x1ad8c6,_0x187624){var _0x67fcf0=_0xb1d67f;if(_0x2206ec(_0x1ad8c6,Uint8Array)&&(_0x1ad8c6=_0x6e0ffc[_0x67fcf0(0x103)](_0x1ad8c6,_0x1ad8c6[_0x67fcf0(0x34a)],_0x1ad8c6['byteLength'])),_0x2206ec(_0x187624,Uint8Array)&&(_0x187624=_0x6e0ffc[_0x67fcf0(0x103)](_0x187624,_0x187624['offset'],_0x187624['byteLength'])),!_0x6e0ffc['isBuffer'](_0x1ad8c6)||!_0x6e0ffc[_0x67fcf0(0x164)](_0x187624))throw new TypeError(_0x67fcf0(0x342));if(_0x1ad8c6===_0x187624)return 0x0;let _0x2cb379=_0x1ad8c6[_0x67fcf0(0x3a3)],_0x3295ba=_0x187624[_0x67fcf0(0x3a3)];for(let _0x14aafd=0x0,_0xcf8d50=Math[_0x67fcf0(0x2d6)](_0x2cb379,_0x3295ba);_0x14aafd<_0xcf8d50;++_0x14aafd)if(_0x1ad8c6[_0x14aafd]!==_0x187624[_0x14aafd]){_0x2cb379=_0x1ad8c6[_0x14aafd],_0x3295ba=_0x187624[_0x14aafd];break;}return _0x2cb379<_0x3295ba?-0x1:_0x3295ba<_0x2cb379?0x1:0x0;},_0x6e0ffc[_0xb1d67f(0x9d)]=function(_0x2d94ff){var _0x3a450c=_0xb1d67f;switch(String(_0x2d94ff)[_0x3a450c(0x205)]()){case _0x3a450c(0xd8):case'utf8':case _0x3a450c(0x1d1):case _0x3a450c(0x343):case _0x3a450c(0x280):case _0x3a450c(0x31b):case _0x3a450c(0x41c):case'ucs2':case _0x3a450c(0x24c):case _0x3a450c(0x159):case _0x3a450c(0x311):return!0x0;default:return!0x1;}},_0x6e0ffc[_0xb1d67f(0x331)]=function(_0x1be7dc,_0x17ca81){var _0x17bf5a=_0xb1d67f;if(!Array[_0x17bf5a(0x291)](_0x1be7dc))throw new TypeError(_0x17bf5a(0x17b));if(0x0===_0x1be7dc['length'])return _0x6e0ffc[_0x17bf5a(0x224)](0x0);let _0x17349b;if(void 0x0===_0x17ca81){for(_0x17ca81=0x0,_0x17349b=0x0;_0x17349b<_0x1be7dc[_0x17bf5a(0x3a3)];++_0x17349b)_0x17ca81+=_0x1be7dc[_0x17349b][_0x17bf5a(0x3a3)];}const _0x4f2960=_0x6e0ffc['allocUnsafe'](_0x17ca81);let _0x16e633=0x0;for(_0x17349b=0x0;_0x17349b<_0x1be7dc[_0x17bf5a(0x3a3)];++_0x17349b){let _0xc08f21=_0x1be7dc[_0x17349b];if(_0x2206ec(_0xc08f21,Uint8Array))_0x16e633+_0xc08f21[_0x17bf5a(0x3a3)]>_0x4f2960[_0x17bf5a(0x3a3)]?(_0x6e0ffc[_0x17bf5a(0x164)](_0xc08f21)||(_0xc08f21=_0x6e0ffc['from'](_0xc08f21)),_0xc08f21[_0x17bf5a(0x333)](_0x4f2960,_0x16e633)):Uint8Array[_0x17bf5a(0x348)][_0x17bf5a(0xba)]['call'](_0x4f2960,_0xc08f21,_0x16e633);else{if(!_0x6e0ffc['isBuffer'](_0xc08f21))throw new TypeError(_0x17bf5a(0x17b));_0xc08f21[_0x17bf5a(0x333)](_0x4f2960,_0x16e633);}_0x16e633+=_0xc08f21[_0x17bf5a(0x3a3)];}return _0x4f2960;},_0x6e0ffc[_0xb1d67f(0x9c)]=_0x10e32d,_0x6e0ffc['prototype'][_0xb1d67f(0x25f)]=!0x0,_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x1e1)]=function(){var _0x11343a=_0xb1d67f;const _0x1c9608=this[_0x11343a(0x3a3)];if(_0x1c9608%0x2!=0x0)throw new RangeError(_0x11343a(0x3f9));for(let _0x5c9791=0x0;_0x5c9791<_0x1c9608;_0x5c9791+=0x2)_0x4afd8c(this,_0x5c9791,_0x5c9791+0x1);return this;},_0x6e0ffc[_0xb1d67f(0x348)]['swap32']=function(){var _0xe33119=_0xb1d67f;const _0x418ed1=this[_0xe33119(0x3a3)];if(_0x418ed1%0x4!=0x0)throw new RangeError(_0xe33119(0x233));for(let _0x3d6b43=0x0;_0x3d6b43<_0x418ed1;_0x3d6b43+=0x4)_0x4afd8c(this,_0x3d6b43,_0x3d6b43+0x3),_0x4afd8c(this,_0x3d6b43+0x1,_0x3d6b43+0x2);return this;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x204)]=function(){var _0x31f4d7=_0xb1d67f;const _0x2acf49=this['length'];if(_0x2acf49%0x8!=0x0)throw new RangeError(_0x31f4d7(0x24b));for(let _0x1cd4ba=0x0;_0x1cd4ba<_0x2acf49;_0x1cd4ba+=0x8)_0x4afd8c(this,_0x1cd4ba,_0x1cd4ba+0x7),_0x4afd8c(this,_0x1cd4ba+0x1,_0x1cd4ba+0x6),_0x4afd8c(this,_0x1cd4ba+0x2,_0x1cd4ba+0x5),_0x4afd8c(this,_0x1cd4ba+0x3,_0x1cd4ba+0x4);return this;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x38c)]=function(){var _0x5de934=_0xb1d67f;const _0xb64b93=this[_0x5de934(0x3a3)];return 0x0===_0xb64b93?'':0x0===arguments[_0x5de934(0x3a3)]?_0x18daa2(this,0x0,_0xb64b93):_0x19e698[_0x5de934(0xfb)](this,arguments);},_0x6e0ffc['prototype'][_0xb1d67f(0x2f7)]=_0x6e0ffc['prototype'][_0xb1d67f(0x38c)],_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x39a)]=function(_0x855081){var _0x1ab92c=_0xb1d67f;if(!_0x6e0ffc[_0x1ab92c(0x164)](_0x855081))throw new TypeError(_0x1ab92c(0x36b));return this===_0x855081||0x0===_0x6e0ffc[_0x1ab92c(0x1d9)](this,_0x855081);},_0x6e0ffc['prototype'][_0xb1d67f(0x2c1)]=function(){var _0x369b5d=_0xb1d67f;let _0x4c016d='';const _0x2ecc73=_0x414d72['INSPECT_MAX_BYTES'];return _0x4c016d=this[_0x369b5d(0x38c)](_0x369b5d(0xd8),0x0,_0x2ecc73)[_0x369b5d(0x299)](/(.{2})/g,_0x369b5d(0xc5))['trim'](),this[_0x369b5d(0x3a3)]>_0x2ecc73&&(_0x4c016d+=_0x369b5d(0xfc)),_0x369b5d(0x397)+_0x4c016d+'>';},_0x14d251&&(_0x6e0ffc[_0xb1d67f(0x348)][_0x14d251]=_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x2c1)]),_0x6e0ffc[_0xb1d67f(0x348)]['compare']=function(_0x18c97c,_0x3a229d,_0x112ac3,_0x1d8370,_0x1d3280){var _0x81439f=_0xb1d67f;if(_0x2206ec(_0x18c97c,Uint8Array)&&(_0x18c97c=_0x6e0ffc[_0x81439f(0x103)](_0x18c97c,_0x18c97c[_0x81439f(0x34a)],_0x18c97c[_0x81439f(0x9c)])),!_0x6e0ffc['isBuffer'](_0x18c97c))throw new TypeError(_0x81439f(0x21a)+typeof _0x18c97c);if(void 0x0===_0x3a229d&&(_0x3a229d=0x0),void 0x0===_0x112ac3&&(_0x112ac3=_0x18c97c?_0x18c97c[_0x81439f(0x3a3)]:0x0),void 0x0===_0x1d8370&&(_0x1d8370=0x0),void 0x0===_0x1d3280&&(_0x1d3280=this[_0x81439f(0x3a3)]),_0x3a229d<0x0||_0x112ac3>_0x18c97c[_0x81439f(0x3a3)]||_0x1d8370<0x0||_0x1d3280>this[_0x81439f(0x3a3)])throw new RangeError('out\x20of\x20range\x20index');if(_0x1d8370>=_0x1d3280&&_0x3a229d>=_0x112ac3)return 0x0;if(_0x1d8370>=_0x1d3280)return-0x1;if(_0x3a229d>=_0x112ac3)return 0x1;if(this===_0x18c97c)return 0x0;let _0x479772=(_0x1d3280>>>=0x0)-(_0x1d8370>>>=0x0),_0x36bbba=(_0x112ac3>>>=0x0)-(_0x3a229d>>>=0x0);const _0x36ae8e=Math[_0x81439f(0x2d6)](_0x479772,_0x36bbba),_0x202727=this[_0x81439f(0x2da)](_0x1d8370,_0x1d3280),_0x40cd9a=_0x18c97c[_0x81439f(0x2da)](_0x3a229d,_0x112ac3);for(let _0x416483=0x0;_0x416483<_0x36ae8e;++_0x416483)if(_0x202727[_0x416483]!==_0x40cd9a[_0x416483]){_0x479772=_0x202727[_0x416483],_0x36bbba=_0x40cd9a[_0x416483];break;}return _0x479772<_0x36bbba?-0x1:_0x36bbba<_0x479772?0x1:0x0;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x418)]=function(_0x394ec1,_0x2f9660,_0x47ac7e){var _0x35ad26=_0xb1d67f;return-0x1!==this[_0x35ad26(0x209)](_0x394ec1,_0x2f9660,_0x47ac7e);},_0x6e0ffc[_0xb1d67f(0x348)]['indexOf']=function(_0x45e0ad,_0x238ff7,_0x6ca09f){return _0x28b6bc(this,_0x45e0ad,_0x238ff7,_0x6ca09f,!0x0);},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x2a7)]=function(_0x5b1409,_0x31a04e,_0x5fa80){return _0x28b6bc(this,_0x5b1409,_0x31a04e,_0x5fa80,!0x1);},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x2aa)]=function(_0x3e445a,_0x9d7807,_0x22241e,_0x21420b){var _0xa0c4d5=_0xb1d67f;if(void 0x0===_0x9d7807)_0x21420b=_0xa0c4d5(0x229),_0x22241e=this['length'],_0x9d7807=0x0;else{if(void 0x0===_0x22241e&&_0xa0c4d5(0x40d)==typeof _0x9d7807)_0x21420b=_0x9d7807,_0x22241e=this['length'],_0x9d7807=0x0;else{if(!isFinite(_0x9d7807))throw new Error('Buffer.write(string,\x20encoding,\x20offset[,\x20length])\x20is\x20no\x20longer\x20supported');_0x9d7807>>>=0x0,isFinite(_0x22241e)?(_0x22241e>>>=0x0,void 0x0===_0x21420b&&(_0x21420b='utf8')):(_0x21420b=_0x22241e,_0x22241e=void 0x0);}}const _0x1425d5=this['length']-_0x9d7807;if((void 0x0===_0x22241e||_0x22241e>_0x1425d5)&&(_0x22241e=_0x1425d5),_0x3e445a['length']>0x0&&(_0x22241e<0x0||_0x9d7807<0x0)||_0x9d7807>this[_0xa0c4d5(0x3a3)])throw new RangeError(_0xa0c4d5(0x34d));_0x21420b||(_0x21420b=_0xa0c4d5(0x229));let _0x4d9744=!0x1;for(;;)switch(_0x21420b){case _0xa0c4d5(0xd8):return _0x1bb0f8(this,_0x3e445a,_0x9d7807,_0x22241e);case _0xa0c4d5(0x229):case _0xa0c4d5(0x1d1):return _0xd872f7(this,_0x3e445a,_0x9d7807,_0x22241e);case _0xa0c4d5(0x343):case _0xa0c4d5(0x280):case _0xa0c4d5(0x31b):return _0x546da7(this,_0x3e445a,_0x9d7807,_0x22241e);case'base64':return _0x21b03f(this,_0x3e445a,_0x9d7807,_0x22241e);case _0xa0c4d5(0x23d):case _0xa0c4d5(0x24c):case _0xa0c4d5(0x159):case _0xa0c4d5(0x311):return _0x8e345a(this,_0x3e445a,_0x9d7807,_0x22241e);default:if(_0x4d9744)throw new TypeError(_0xa0c4d5(0x10b)+_0x21420b);_0x21420b=(''+_0x21420b)[_0xa0c4d5(0x205)](),_0x4d9744=!0x0;}},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x149)]=function(){var _0x1948ed=_0xb1d67f;return{'type':_0x1948ed(0x2ff),'data':Array['prototype']['slice'][_0x1948ed(0x158)](this[_0x1948ed(0x21b)]||this,0x0)};};const _0x2df206=0x1000;function _0x5e3b40(_0x13995c,_0x16b0eb,_0x874600){let _0xe0e38b='';_0x874600=Math['min'](_0x13995c['length'],_0x874600);for(let _0xbb9eca=_0x16b0eb;_0xbb9eca<_0x874600;++_0xbb9eca)_0xe0e38b+=String['fromCharCode'](0x7f&_0x13995c[_0xbb9eca]);return _0xe0e38b;}function _0x55933b(_0x1df4bd,_0x227bd6,_0x16d7a5){var _0x34488c=_0xb1d67f;let _0x1c4517='';_0x16d7a5=Math['min'](_0x1df4bd[_0x34488c(0x3a3)],_0x16d7a5);for(let _0x105889=_0x227bd6;_0x105889<_0x16d7a5;++_0x105889)_0x1c4517+=String[_0x34488c(0x1c4)](_0x1df4bd[_0x105889]);return _0x1c4517;}function _0x564c59(_0x3f30ef,_0x3cb837,_0x1ae87a){const _0x5dfd1c=_0x3f30ef['length'];(!_0x3cb837||_0x3cb837<0x0)&&(_0x3cb837=0x0),(!_0x1ae87a||_0x1ae87a<0x0||_0x1ae87a>_0x5dfd1c)&&(_0x1ae87a=_0x5dfd1c);let _0xd866f1='';for(let _0x305c4b=_0x3cb837;_0x305c4b<_0x1ae87a;++_0x305c4b)_0xd866f1+=_0xae66b2[_0x3f30ef[_0x305c4b]];return _0xd866f1;}function _0x523eb9(_0x1b7c0b,_0x3c68c3,_0x331a60){var _0xb939ae=_0xb1d67f;const _0x23ecdd=_0x1b7c0b[_0xb939ae(0x2da)](_0x3c68c3,_0x331a60);let _0x2b3bcc='';for(let _0x40fe0d=0x0;_0x40fe0d<_0x23ecdd[_0xb939ae(0x3a3)]-0x1;_0x40fe0d+=0x2)_0x2b3bcc+=String['fromCharCode'](_0x23ecdd[_0x40fe0d]+0x100*_0x23ecdd[_0x40fe0d+0x1]);return _0x2b3bcc;}function _0x47bd2f(_0x3c6836,_0x1bbe08,_0x2ef589){var _0x45b852=_0xb1d67f;if(_0x3c6836%0x1!=0x0||_0x3c6836<0x0)throw new RangeError('offset\x20is\x20not\x20uint');if(_0x3c6836+_0x1bbe08>_0x2ef589)throw new RangeError(_0x45b852(0x185));}function _0x28c996(_0x30fa13,_0xd5b388,_0x42d0d6,_0x47b5e8,_0x1e1248,_0xa21539){var _0x3ec146=_0xb1d67f;if(!_0x6e0ffc[_0x3ec146(0x164)](_0x30fa13))throw new TypeError(_0x3ec146(0x2ef));if(_0xd5b388>_0x1e1248||_0xd5b388<_0xa21539)throw new RangeError('\x22value\x22\x20argument\x20is\x20out\x20of\x20bounds');if(_0x42d0d6+_0x47b5e8>_0x30fa13[_0x3ec146(0x3a3)])throw new RangeError(_0x3ec146(0xa3));}function _0x3c3e81(_0x3cf7b6,_0x43bcf4,_0x15a799,_0x309bdf,_0x226d09){_0x464cfb(_0x43bcf4,_0x309bdf,_0x226d09,_0x3cf7b6,_0x15a799,0x7);let _0x1f7073=Number(_0x43bcf4&BigInt(0xffffffff));_0x3cf7b6[_0x15a799++]=_0x1f7073,_0x1f7073>>=0x8,_0x3cf7b6[_0x15a799++]=_0x1f7073,_0x1f7073>>=0x8,_0x3cf7b6[_0x15a799++]=_0x1f7073,_0x1f7073>>=0x8,_0x3cf7b6[_0x15a799++]=_0x1f7073;let _0x288744=Number(_0x43bcf4>>BigInt(0x20)&BigInt(0xffffffff));return _0x3cf7b6[_0x15a799++]=_0x288744,_0x288744>>=0x8,_0x3cf7b6[_0x15a799++]=_0x288744,_0x288744>>=0x8,_0x3cf7b6[_0x15a799++]=_0x288744,_0x288744>>=0x8,_0x3cf7b6[_0x15a799++]=_0x288744,_0x15a799;}function _0x529dc6(_0x4ae4cb,_0x303f79,_0x57663d,_0x3d19e9,_0x474699){_0x464cfb(_0x303f79,_0x3d19e9,_0x474699,_0x4ae4cb,_0x57663d,0x7);let _0x126e5e=Number(_0x303f79&BigInt(0xffffffff));_0x4ae4cb[_0x57663d+0x7]=_0x126e5e,_0x126e5e>>=0x8,_0x4ae4cb[_0x57663d+0x6]=_0x126e5e,_0x126e5e>>=0x8,_0x4ae4cb[_0x57663d+0x5]=_0x126e5e,_0x126e5e>>=0x8,_0x4ae4cb[_0x57663d+0x4]=_0x126e5e;let _0x4c1ebf=Number(_0x303f79>>BigInt(0x20)&BigInt(0xffffffff));return _0x4ae4cb[_0x57663d+0x3]=_0x4c1ebf,_0x4c1ebf>>=0x8,_0x4ae4cb[_0x57663d+0x2]=_0x4c1ebf,_0x4c1ebf>>=0x8,_0x4ae4cb[_0x57663d+0x1]=_0x4c1ebf,_0x4c1ebf>>=0x8,_0x4ae4cb[_0x57663d]=_0x4c1ebf,_0x57663d+0x8;}function _0x2ad435(_0x446b7c,_0x4982cf,_0x2ff743,_0x16a52a,_0x4aeea6,_0x497abf){var _0x23b7b1=_0xb1d67f;if(_0x2ff743+_0x16a52a>_0x446b7c[_0x23b7b1(0x3a3)])throw new RangeError(_0x23b7b1(0xa3));if(_0x2ff743<0x0)throw new RangeError(_0x23b7b1(0xa3));}function _0x3b80b0(_0x296ca1,_0x17a61f,_0x23a060,_0x2457ac,_0x3b4370){var _0x2c30a3=_0xb1d67f;return _0x17a61f=+_0x17a61f,_0x23a060>>>=0x0,_0x3b4370||_0x2ad435(_0x296ca1,0x0,_0x23a060,0x4),_0x1eae40[_0x2c30a3(0x2aa)](_0x296ca1,_0x17a61f,_0x23a060,_0x2457ac,0x17,0x4),_0x23a060+0x4;}function _0x1ca5ed(_0x2aa569,_0xf44afb,_0x1cb341,_0x2f6a3d,_0x1ca897){var _0x5550cb=_0xb1d67f;return _0xf44afb=+_0xf44afb,_0x1cb341>>>=0x0,_0x1ca897||_0x2ad435(_0x2aa569,0x0,_0x1cb341,0x8),_0x1eae40[_0x5550cb(0x2aa)](_0x2aa569,_0xf44afb,_0x1cb341,_0x2f6a3d,0x34,0x8),_0x1cb341+0x8;}_0x6e0ffc[_0xb1d67f(0x348)]['slice']=function(_0x2464dd,_0x230316){var _0x43c56d=_0xb1d67f;const _0x3c7b46=this[_0x43c56d(0x3a3)];(_0x2464dd=~~_0x2464dd)<0x0?(_0x2464dd+=_0x3c7b46)<0x0&&(_0x2464dd=0x0):_0x2464dd>_0x3c7b46&&(_0x2464dd=_0x3c7b46),(_0x230316=void 0x0===_0x230316?_0x3c7b46:~~_0x230316)<0x0?(_0x230316+=_0x3c7b46)<0x0&&(_0x230316=0x0):_0x230316>_0x3c7b46&&(_0x230316=_0x3c7b46),_0x230316<_0x2464dd&&(_0x230316=_0x2464dd);const _0x5d5704=this[_0x43c56d(0xdb)](_0x2464dd,_0x230316);return Object[_0x43c56d(0xb2)](_0x5d5704,_0x6e0ffc[_0x43c56d(0x348)]),_0x5d5704;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x2e6)]=_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x13a)]=function(_0x2c58e3,_0x52a9e5,_0x92bb24){_0x2c58e3>>>=0x0,_0x52a9e5>>>=0x0,_0x92bb24||_0x47bd2f(_0x2c58e3,_0x52a9e5,this['length']);let _0x5d492e=this[_0x2c58e3],_0x17a65a=0x1,_0x1e2641=0x0;for(;++_0x1e2641<_0x52a9e5&&(_0x17a65a*=0x100);)_0x5d492e+=this[_0x2c58e3+_0x1e2641]*_0x17a65a;return _0x5d492e;},_0x6e0ffc[_0xb1d67f(0x348)]['readUintBE']=_0x6e0ffc[_0xb1d67f(0x348)]['readUIntBE']=function(_0x4216fb,_0x358ae6,_0x476725){_0x4216fb>>>=0x0,_0x358ae6>>>=0x0,_0x476725||_0x47bd2f(_0x4216fb,_0x358ae6,this['length']);let _0xea0ea7=this[_0x4216fb+--_0x358ae6],_0x28930e=0x1;for(;_0x358ae6>0x0&&(_0x28930e*=0x100);)_0xea0ea7+=this[_0x4216fb+--_0x358ae6]*_0x28930e;return _0xea0ea7;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x20f)]=_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x100)]=function(_0x20c8c3,_0x644dfb){var _0x183a56=_0xb1d67f;return _0x20c8c3>>>=0x0,_0x644dfb||_0x47bd2f(_0x20c8c3,0x1,this[_0x183a56(0x3a3)]),this[_0x20c8c3];},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x2e9)]=_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x102)]=function(_0x5ce19b,_0x187d1e){var _0x53e209=_0xb1d67f;return _0x5ce19b>>>=0x0,_0x187d1e||_0x47bd2f(_0x5ce19b,0x2,this[_0x53e209(0x3a3)]),this[_0x5ce19b]|this[_0x5ce19b+0x1]<<0x8;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0xf0)]=_0x6e0ffc['prototype'][_0xb1d67f(0x161)]=function(_0x3d2310,_0x780256){return _0x3d2310>>>=0x0,_0x780256||_0x47bd2f(_0x3d2310,0x2,this['length']),this[_0x3d2310]<<0x8|this[_0x3d2310+0x1];},_0x6e0ffc['prototype'][_0xb1d67f(0xc3)]=_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0xc7)]=function(_0x20ab94,_0x266023){return _0x20ab94>>>=0x0,_0x266023||_0x47bd2f(_0x20ab94,0x4,this['length']),(this[_0x20ab94]|this[_0x20ab94+0x1]<<0x8|this[_0x20ab94+0x2]<<0x10)+0x1000000*this[_0x20ab94+0x3];},_0x6e0ffc[_0xb1d67f(0x348)]['readUint32BE']=_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x1f7)]=function(_0xf8cfc6,_0x1e6b75){return _0xf8cfc6>>>=0x0,_0x1e6b75||_0x47bd2f(_0xf8cfc6,0x4,this['length']),0x1000000*this[_0xf8cfc6]+(this[_0xf8cfc6+0x1]<<0x10|this[_0xf8cfc6+0x2]<<0x8|this[_0xf8cfc6+0x3]);},_0x6e0ffc['prototype'][_0xb1d67f(0x132)]=_0x560871(function(_0x1dc718){var _0x58b055=_0xb1d67f;_0x3f23a3(_0x1dc718>>>=0x0,_0x58b055(0x34a));const _0x384dee=this[_0x1dc718],_0x9ef531=this[_0x1dc718+0x7];void 0x0!==_0x384dee&&void 0x0!==_0x9ef531||_0x43d5b5(_0x1dc718,this[_0x58b055(0x3a3)]-0x8);const _0x46395d=_0x384dee+0x100*this[++_0x1dc718]+0x10000*this[++_0x1dc718]+this[++_0x1dc718]*0x2**0x18,_0x21ad0c=this[++_0x1dc718]+0x100*this[++_0x1dc718]+0x10000*this[++_0x1dc718]+_0x9ef531*0x2**0x18;return BigInt(_0x46395d)+(BigInt(_0x21ad0c)<<BigInt(0x20));}),_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x383)]=_0x560871(function(_0x5d0f6a){var _0x557ee3=_0xb1d67f;_0x3f23a3(_0x5d0f6a>>>=0x0,_0x557ee3(0x34a));const _0x3b6dc0=this[_0x5d0f6a],_0x5490ef=this[_0x5d0f6a+0x7];void 0x0!==_0x3b6dc0&&void 0x0!==_0x5490ef||_0x43d5b5(_0x5d0f6a,this[_0x557ee3(0x3a3)]-0x8);const _0x411fcc=_0x3b6dc0*0x2**0x18+0x10000*this[++_0x5d0f6a]+0x100*this[++_0x5d0f6a]+this[++_0x5d0f6a],_0xffc3e3=this[++_0x5d0f6a]*0x2**0x18+0x10000*this[++_0x5d0f6a]+0x100*this[++_0x5d0f6a]+_0x5490ef;return(BigInt(_0x411fcc)<<BigInt(0x20))+BigInt(_0xffc3e3);}),_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x131)]=function(_0x57cb54,_0x48011b,_0x3d1b87){var _0x569814=_0xb1d67f;_0x57cb54>>>=0x0,_0x48011b>>>=0x0,_0x3d1b87||_0x47bd2f(_0x57cb54,_0x48011b,this['length']);let _0x15cf3d=this[_0x57cb54],_0x1c9963=0x1,_0x5a10fd=0x0;for(;++_0x5a10fd<_0x48011b&&(_0x1c9963*=0x100);)_0x15cf3d+=this[_0x57cb54+_0x5a10fd]*_0x1c9963;return _0x1c9963*=0x80,_0x15cf3d>=_0x1c9963&&(_0x15cf3d-=Math[_0x569814(0x179)](0x2,0x8*_0x48011b)),_0x15cf3d;},_0x6e0ffc['prototype']['readIntBE']=function(_0x53c0f5,_0x248dbc,_0x1ee7fc){_0x53c0f5>>>=0x0,_0x248dbc>>>=0x0,_0x1ee7fc||_0x47bd2f(_0x53c0f5,_0x248dbc,this['length']);let _0x1e33ba=_0x248dbc,_0x495d57=0x1,_0x409aac=this[_0x53c0f5+--_0x1e33ba];for(;_0x1e33ba>0x0&&(_0x495d57*=0x100);)_0x409aac+=this[_0x53c0f5+--_0x1e33ba]*_0x495d57;return _0x495d57*=0x80,_0x409aac>=_0x495d57&&(_0x409aac-=Math['pow'](0x2,0x8*_0x248dbc)),_0x409aac;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x10e)]=function(_0x2eafb9,_0x54cf9c){var _0x22f42c=_0xb1d67f;return _0x2eafb9>>>=0x0,_0x54cf9c||_0x47bd2f(_0x2eafb9,0x1,this[_0x22f42c(0x3a3)]),0x80&this[_0x2eafb9]?-0x1*(0xff-this[_0x2eafb9]+0x1):this[_0x2eafb9];},_0x6e0ffc['prototype'][_0xb1d67f(0x288)]=function(_0xb8d6be,_0x2fff47){var _0x43d0e2=_0xb1d67f;_0xb8d6be>>>=0x0,_0x2fff47||_0x47bd2f(_0xb8d6be,0x2,this[_0x43d0e2(0x3a3)]);const _0x3f0c22=this[_0xb8d6be]|this[_0xb8d6be+0x1]<<0x8;return 0x8000&_0x3f0c22?0xffff0000|_0x3f0c22:_0x3f0c22;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x227)]=function(_0x309abf,_0xc94dd9){_0x309abf>>>=0x0,_0xc94dd9||_0x47bd2f(_0x309abf,0x2,this['length']);const _0x18e341=this[_0x309abf+0x1]|this[_0x309abf]<<0x8;return 0x8000&_0x18e341?0xffff0000|_0x18e341:_0x18e341;},_0x6e0ffc['prototype']['readInt32LE']=function(_0xd2e8ff,_0x26c625){var _0x5208ae=_0xb1d67f;return _0xd2e8ff>>>=0x0,_0x26c625||_0x47bd2f(_0xd2e8ff,0x4,this[_0x5208ae(0x3a3)]),this[_0xd2e8ff]|this[_0xd2e8ff+0x1]<<0x8|this[_0xd2e8ff+0x2]<<0x10|this[_0xd2e8ff+0x3]<<0x18;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x360)]=function(_0x335692,_0x5a27a9){return _0x335692>>>=0x0,_0x5a27a9||_0x47bd2f(_0x335692,0x4,this['length']),this[_0x335692]<<0x18|this[_0x335692+0x1]<<0x10|this[_0x335692+0x2]<<0x8|this[_0x335692+0x3];},_0x6e0ffc[_0xb1d67f(0x348)]['readBigInt64LE']=_0x560871(function(_0x1fdb73){var _0x16680f=_0xb1d67f;_0x3f23a3(_0x1fdb73>>>=0x0,_0x16680f(0x34a));const _0x247234=this[_0x1fdb73],_0x51b1c9=this[_0x1fdb73+0x7];void 0x0!==_0x247234&&void 0x0!==_0x51b1c9||_0x43d5b5(_0x1fdb73,this[_0x16680f(0x3a3)]-0x8);const _0x59bc1f=this[_0x1fdb73+0x4]+0x100*this[_0x1fdb73+0x5]+0x10000*this[_0x1fdb73+0x6]+(_0x51b1c9<<0x18);return(BigInt(_0x59bc1f)<<BigInt(0x20))+BigInt(_0x247234+0x100*this[++_0x1fdb73]+0x10000*this[++_0x1fdb73]+this[++_0x1fdb73]*0x2**0x18);}),_0x6e0ffc['prototype']['readBigInt64BE']=_0x560871(function(_0xf063de){_0x3f23a3(_0xf063de>>>=0x0,'offset');const _0x31da81=this[_0xf063de],_0x38791e=this[_0xf063de+0x7];void 0x0!==_0x31da81&&void 0x0!==_0x38791e||_0x43d5b5(_0xf063de,this['length']-0x8);const _0x2916d6=(_0x31da81<<0x18)+0x10000*this[++_0xf063de]+0x100*this[++_0xf063de]+this[++_0xf063de];return(BigInt(_0x2916d6)<<BigInt(0x20))+BigInt(this[++_0xf063de]*0x2**0x18+0x10000*this[++_0xf063de]+0x100*this[++_0xf063de]+_0x38791e);}),_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x29d)]=function(_0x50ec2f,_0x5431b0){var _0x50fd4d=_0xb1d67f;return _0x50ec2f>>>=0x0,_0x5431b0||_0x47bd2f(_0x50ec2f,0x4,this[_0x50fd4d(0x3a3)]),_0x1eae40[_0x50fd4d(0x18a)](this,_0x50ec2f,!0x0,0x17,0x4);},_0x6e0ffc['prototype'][_0xb1d67f(0x2df)]=function(_0x514f61,_0xa3fa13){var _0x39cb77=_0xb1d67f;return _0x514f61>>>=0x0,_0xa3fa13||_0x47bd2f(_0x514f61,0x4,this[_0x39cb77(0x3a3)]),_0x1eae40[_0x39cb77(0x18a)](this,_0x514f61,!0x1,0x17,0x4);},_0x6e0ffc['prototype']['readDoubleLE']=function(_0x167b36,_0x194812){var _0x2680a9=_0xb1d67f;return _0x167b36>>>=0x0,_0x194812||_0x47bd2f(_0x167b36,0x8,this[_0x2680a9(0x3a3)]),_0x1eae40[_0x2680a9(0x18a)](this,_0x167b36,!0x0,0x34,0x8);},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x134)]=function(_0x2aeb32,_0x4af019){var _0x5ce412=_0xb1d67f;return _0x2aeb32>>>=0x0,_0x4af019||_0x47bd2f(_0x2aeb32,0x8,this[_0x5ce412(0x3a3)]),_0x1eae40[_0x5ce412(0x18a)](this,_0x2aeb32,!0x1,0x34,0x8);},_0x6e0ffc['prototype']['writeUintLE']=_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x339)]=function(_0x3d06e6,_0x2dae16,_0x4beb71,_0x4c5521){var _0x543f26=_0xb1d67f;_0x3d06e6=+_0x3d06e6,_0x2dae16>>>=0x0,_0x4beb71>>>=0x0,_0x4c5521||_0x28c996(this,_0x3d06e6,_0x2dae16,_0x4beb71,Math[_0x543f26(0x179)](0x2,0x8*_0x4beb71)-0x1,0x0);let _0x2f9433=0x1,_0x26aeda=0x0;for(this[_0x2dae16]=0xff&_0x3d06e6;++_0x26aeda<_0x4beb71&&(_0x2f9433*=0x100);)this[_0x2dae16+_0x26aeda]=_0x3d06e6/_0x2f9433&0xff;return _0x2dae16+_0x4beb71;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x3a6)]=_0x6e0ffc['prototype']['writeUIntBE']=function(_0x4268cd,_0x3eebe6,_0x38994d,_0x162c25){var _0xbb037c=_0xb1d67f;_0x4268cd=+_0x4268cd,_0x3eebe6>>>=0x0,_0x38994d>>>=0x0,_0x162c25||_0x28c996(this,_0x4268cd,_0x3eebe6,_0x38994d,Math[_0xbb037c(0x179)](0x2,0x8*_0x38994d)-0x1,0x0);let _0x3899e2=_0x38994d-0x1,_0x27d859=0x1;for(this[_0x3eebe6+_0x3899e2]=0xff&_0x4268cd;--_0x3899e2>=0x0&&(_0x27d859*=0x100);)this[_0x3eebe6+_0x3899e2]=_0x4268cd/_0x27d859&0xff;return _0x3eebe6+_0x38994d;},_0x6e0ffc[_0xb1d67f(0x348)]['writeUint8']=_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x3a0)]=function(_0x55c143,_0x166a6d,_0x221f86){return _0x55c143=+_0x55c143,_0x166a6d>>>=0x0,_0x221f86||_0x28c996(this,_0x55c143,_0x166a6d,0x1,0xff,0x0),this[_0x166a6d]=0xff&_0x55c143,_0x166a6d+0x1;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x1cf)]=_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x194)]=function(_0x222ebe,_0x30d06e,_0x547c18){return _0x222ebe=+_0x222ebe,_0x30d06e>>>=0x0,_0x547c18||_0x28c996(this,_0x222ebe,_0x30d06e,0x2,0xffff,0x0),this[_0x30d06e]=0xff&_0x222ebe,this[_0x30d06e+0x1]=_0x222ebe>>>0x8,_0x30d06e+0x2;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x2dc)]=_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0xd4)]=function(_0x8f3d5d,_0x592040,_0x586384){return _0x8f3d5d=+_0x8f3d5d,_0x592040>>>=0x0,_0x586384||_0x28c996(this,_0x8f3d5d,_0x592040,0x2,0xffff,0x0),this[_0x592040]=_0x8f3d5d>>>0x8,this[_0x592040+0x1]=0xff&_0x8f3d5d,_0x592040+0x2;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x27e)]=_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x1ea)]=function(_0x17b91d,_0x4c412a,_0x10a009){return _0x17b91d=+_0x17b91d,_0x4c412a>>>=0x0,_0x10a009||_0x28c996(this,_0x17b91d,_0x4c412a,0x4,0xffffffff,0x0),this[_0x4c412a+0x3]=_0x17b91d>>>0x18,this[_0x4c412a+0x2]=_0x17b91d>>>0x10,this[_0x4c412a+0x1]=_0x17b91d>>>0x8,this[_0x4c412a]=0xff&_0x17b91d,_0x4c412a+0x4;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x396)]=_0x6e0ffc['prototype'][_0xb1d67f(0x2a9)]=function(_0xb3ae25,_0x4bcf80,_0x30d126){return _0xb3ae25=+_0xb3ae25,_0x4bcf80>>>=0x0,_0x30d126||_0x28c996(this,_0xb3ae25,_0x4bcf80,0x4,0xffffffff,0x0),this[_0x4bcf80]=_0xb3ae25>>>0x18,this[_0x4bcf80+0x1]=_0xb3ae25>>>0x10,this[_0x4bcf80+0x2]=_0xb3ae25>>>0x8,this[_0x4bcf80+0x3]=0xff&_0xb3ae25,_0x4bcf80+0x4;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x2d8)]=_0x560871(function(_0x554261,_0x2da4e3=0x0){return _0x3c3e81(this,_0x554261,_0x2da4e3,BigInt(0x0),BigInt('0xffffffffffffffff'));}),_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x2b8)]=_0x560871(function(_0x2080e5,_0x21358=0x0){var _0x125642=_0xb1d67f;return _0x529dc6(this,_0x2080e5,_0x21358,BigInt(0x0),BigInt(_0x125642(0x35d)));}),_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x327)]=function(_0x2837f6,_0x1373d0,_0x52d94e,_0x467161){if(_0x2837f6=+_0x2837f6,_0x1373d0>>>=0x0,!_0x467161){const _0x1c9755=Math['pow'](0x2,0x8*_0x52d94e-0x1);_0x28c996(this,_0x2837f6,_0x1373d0,_0x52d94e,_0x1c9755-0x1,-_0x1c9755);}let _0x4e76a1=0x0,_0x1ffdbe=0x1,_0x25f0bc=0x0;for(this[_0x1373d0]=0xff&_0x2837f6;++_0x4e76a1<_0x52d94e&&(_0x1ffdbe*=0x100);)_0x2837f6<0x0&&0x0===_0x25f0bc&&0x0!==this[_0x1373d0+_0x4e76a1-0x1]&&(_0x25f0bc=0x1),this[_0x1373d0+_0x4e76a1]=(_0x2837f6/_0x1ffdbe|0x0)-_0x25f0bc&0xff;return _0x1373d0+_0x52d94e;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0xa5)]=function(_0x154457,_0xbf0329,_0x381283,_0x4d2e31){var _0x36eb92=_0xb1d67f;if(_0x154457=+_0x154457,_0xbf0329>>>=0x0,!_0x4d2e31){const _0x98538a=Math[_0x36eb92(0x179)](0x2,0x8*_0x381283-0x1);_0x28c996(this,_0x154457,_0xbf0329,_0x381283,_0x98538a-0x1,-_0x98538a);}let _0xebce1b=_0x381283-0x1,_0x58e74a=0x1,_0x55665b=0x0;for(this[_0xbf0329+_0xebce1b]=0xff&_0x154457;--_0xebce1b>=0x0&&(_0x58e74a*=0x100);)_0x154457<0x0&&0x0===_0x55665b&&0x0!==this[_0xbf0329+_0xebce1b+0x1]&&(_0x55665b=0x1),this[_0xbf0329+_0xebce1b]=(_0x154457/_0x58e74a|0x0)-_0x55665b&0xff;return _0xbf0329+_0x381283;},_0x6e0ffc[_0xb1d67f(0x348)]['writeInt8']=function(_0x1ba91c,_0x5dea42,_0x41db36){return _0x1ba91c=+_0x1ba91c,_0x5dea42>>>=0x0,_0x41db36||_0x28c996(this,_0x1ba91c,_0x5dea42,0x1,0x7f,-0x80),_0x1ba91c<0x0&&(_0x1ba91c=0xff+_0x1ba91c+0x1),this[_0x5dea42]=0xff&_0x1ba91c,_0x5dea42+0x1;},_0x6e0ffc['prototype'][_0xb1d67f(0x1bd)]=function(_0xb9a1a5,_0x44e237,_0x437933){return _0xb9a1a5=+_0xb9a1a5,_0x44e237>>>=0x0,_0x437933||_0x28c996(this,_0xb9a1a5,_0x44e237,0x2,0x7fff,-0x8000),this[_0x44e237]=0xff&_0xb9a1a5,this[_0x44e237+0x1]=_0xb9a1a5>>>0x8,_0x44e237+0x2;},_0x6e0ffc[_0xb1d67f(0x348)]['writeInt16BE']=function(_0x3c539a,_0x46624a,_0x894b0){return _0x3c539a=+_0x3c539a,_0x46624a>>>=0x0,_0x894b0||_0x28c996(this,_0x3c539a,_0x46624a,0x2,0x7fff,-0x8000),this[_0x46624a]=_0x3c539a>>>0x8,this[_0x46624a+0x1]=0xff&_0x3c539a,_0x46624a+0x2;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x25e)]=function(_0x323db2,_0x156979,_0x5d4c03){return _0x323db2=+_0x323db2,_0x156979>>>=0x0,_0x5d4c03||_0x28c996(this,_0x323db2,_0x156979,0x4,0x7fffffff,-0x80000000),this[_0x156979]=0xff&_0x323db2,this[_0x156979+0x1]=_0x323db2>>>0x8,this[_0x156979+0x2]=_0x323db2>>>0x10,this[_0x156979+0x3]=_0x323db2>>>0x18,_0x156979+0x4;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x320)]=function(_0x59143d,_0xd62a1b,_0x14fead){return _0x59143d=+_0x59143d,_0xd62a1b>>>=0x0,_0x14fead||_0x28c996(this,_0x59143d,_0xd62a1b,0x4,0x7fffffff,-0x80000000),_0x59143d<0x0&&(_0x59143d=0xffffffff+_0x59143d+0x1),this[_0xd62a1b]=_0x59143d>>>0x18,this[_0xd62a1b+0x1]=_0x59143d>>>0x10,this[_0xd62a1b+0x2]=_0x59143d>>>0x8,this[_0xd62a1b+0x3]=0xff&_0x59143d,_0xd62a1b+0x4;},_0x6e0ffc['prototype']['writeBigInt64LE']=_0x560871(function(_0x1124de,_0x422a88=0x0){var _0x5c36f1=_0xb1d67f;return _0x3c3e81(this,_0x1124de,_0x422a88,-BigInt('0x8000000000000000'),BigInt(_0x5c36f1(0x30c)));}),_0x6e0ffc['prototype'][_0xb1d67f(0x1bf)]=_0x560871(function(_0x5cc2e7,_0x557682=0x0){var _0x21e95c=_0xb1d67f;return _0x529dc6(this,_0x5cc2e7,_0x557682,-BigInt(_0x21e95c(0x3ce)),BigInt(_0x21e95c(0x30c)));}),_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x361)]=function(_0x110b25,_0x2a8ddf,_0x32bc5e){return _0x3b80b0(this,_0x110b25,_0x2a8ddf,!0x0,_0x32bc5e);},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x246)]=function(_0x27b4de,_0xd364,_0xa441cf){return _0x3b80b0(this,_0x27b4de,_0xd364,!0x1,_0xa441cf);},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x203)]=function(_0x166274,_0x3f7e5e,_0x3b2740){return _0x1ca5ed(this,_0x166274,_0x3f7e5e,!0x0,_0x3b2740);},_0x6e0ffc[_0xb1d67f(0x348)]['writeDoubleBE']=function(_0x516aed,_0x214dfc,_0x46e307){return _0x1ca5ed(this,_0x516aed,_0x214dfc,!0x1,_0x46e307);},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x333)]=function(_0x40b732,_0x21f4a5,_0x182eac,_0x5b7bc5){var _0x526cc5=_0xb1d67f;if(!_0x6e0ffc['isBuffer'](_0x40b732))throw new TypeError('argument\x20should\x20be\x20a\x20Buffer');if(_0x182eac||(_0x182eac=0x0),_0x5b7bc5||0x0===_0x5b7bc5||(_0x5b7bc5=this['length']),_0x21f4a5>=_0x40b732['length']&&(_0x21f4a5=_0x40b732[_0x526cc5(0x3a3)]),_0x21f4a5||(_0x21f4a5=0x0),_0x5b7bc5>0x0&&_0x5b7bc5<_0x182eac&&(_0x5b7bc5=_0x182eac),_0x5b7bc5===_0x182eac)return 0x0;if(0x0===_0x40b732['length']||0x0===this[_0x526cc5(0x3a3)])return 0x0;if(_0x21f4a5<0x0)throw new RangeError(_0x526cc5(0x1fd));if(_0x182eac<0x0||_0x182eac>=this[_0x526cc5(0x3a3)])throw new RangeError('Index\x20out\x20of\x20range');if(_0x5b7bc5<0x0)throw new RangeError(_0x526cc5(0x3f8));_0x5b7bc5>this[_0x526cc5(0x3a3)]&&(_0x5b7bc5=this[_0x526cc5(0x3a3)]),_0x40b732[_0x526cc5(0x3a3)]-_0x21f4a5<_0x5b7bc5-_0x182eac&&(_0x5b7bc5=_0x40b732['length']-_0x21f4a5+_0x182eac);const _0xfd7c34=_0x5b7bc5-_0x182eac;return this===_0x40b732&&'function'==typeof Uint8Array['prototype']['copyWithin']?this['copyWithin'](_0x21f4a5,_0x182eac,_0x5b7bc5):Uint8Array['prototype']['set'][_0x526cc5(0x158)](_0x40b732,this[_0x526cc5(0xdb)](_0x182eac,_0x5b7bc5),_0x21f4a5),_0xfd7c34;},_0x6e0ffc[_0xb1d67f(0x348)][_0xb1d67f(0x148)]=function(_0x275b58,_0x245f39,_0x489cee,_0x3d6603){var _0x94ad1a=_0xb1d67f;if(_0x94ad1a(0x40d)==typeof _0x275b58){if(_0x94ad1a(0x40d)==typeof _0x245f39?(_0x3d6603=_0x245f39,_0x245f39=0x0,_0x489cee=this['length']):_0x94ad1a(0x40d)==typeof _0x489cee&&(_0x3d6603=_0x489cee,_0x489cee=this[_0x94ad1a(0x3a3)]),void 0x0!==_0x3d6603&&_0x94ad1a(0x40d)!=typeof _0x3d6603)throw new TypeError('encoding\x20must\x20be\x20a\x20string');if('string'==typeof _0x3d6603&&!_0x6e0ffc[_0x94ad1a(0x9d)](_0x3d6603))throw new TypeError(_0x94ad1a(0x10b)+_0x3d6603);if(0x1===_0x275b58[_0x94ad1a(0x3a3)]){const _0x59bc33=_0x275b58[_0x94ad1a(0x39b)](0x0);(_0x94ad1a(0x229)===_0x3d6603&&_0x59bc33<0x80||_0x94ad1a(0x280)===_0x3d6603)&&(_0x275b58=_0x59bc33);}}else'number'==typeof _0x275b58?_0x275b58&=0xff:_0x94ad1a(0x416)==typeof _0x275b58&&(_0x275b58=Number(_0x275b58));if(_0x245f39<0x0||this['length']<_0x245f39||this[_0x94ad1a(0x3a3)]<_0x489cee)throw new RangeError('Out\x20of\x20range\x20index');if(_0x489cee<=_0x245f39)return this;let _0x206708;if(_0x245f39>>>=0x0,_0x489cee=void 0x0===_0x489cee?this['length']:_0x489cee>>>0x0,_0x275b58||(_0x275b58=0x0),'number'==typeof _0x275b58){for(_0x206708=_0x245f39;_0x206708<_0x489cee;++_0x206708)this[_0x206708]=_0x275b58;}else{const _0x432022=_0x6e0ffc[_0x94ad1a(0x164)](_0x275b58)?_0x275b58:_0x6e0ffc[_0x94ad1a(0x103)](_0x275b58,_0x3d6603),_0x464eab=_0x432022[_0x94ad1a(0x3a3)];if(0x0===_0x464eab)throw new TypeError(_0x94ad1a(0x197)+_0x275b58+'\x22\x20is\x20invalid\x20for\x20argument\x20\x22value\x22');for(_0x206708=0x0;_0x206708<_0x489cee-_0x245f39;++_0x206708)this[_0x206708+_0x245f39]=_0x432022[_0x206708%_0x464eab];}return this;};const _0x33d73d={};function _0x2b3387(_0x45858f,_0x44fcb8,_0x4c0385){var _0x31b22c=_0xb1d67f;_0x33d73d[_0x45858f]=class extends _0x4c0385{constructor(){var _0x314952=a0_0x4968;super(),Object[_0x314952(0x1dd)](this,'message',{'value':_0x44fcb8[_0x314952(0xfb)](this,arguments),'writable':!0x0,'configurable':!0x0}),this[_0x314952(0x208)]=this[_0x314952(0x208)]+'\x20['+_0x45858f+']',this[_0x314952(0x31a)],delete this['name'];}get[_0x31b22c(0x17c)](){return _0x45858f;}set['code'](_0x18d54b){var _0x53e8fa=_0x31b22c;Object['defineProperty'](this,_0x53e8fa(0x17c),{'configurable':!0x0,'enumerable':!0x0,'value':_0x18d54b,'writable':!0x0});}[_0x31b22c(0x38c)](){var _0xd555be=_0x31b22c;return this['name']+'\x20['+_0x45858f+_0xd555be(0x17a)+this[_0xd555be(0x166)];}};}function _0x43cc62(_0x59fdd6){var _0x1f8dec=_0xb1d67f;let _0x381d59='',_0x378eea=_0x59fdd6[_0x1f8dec(0x3a3)];const _0x2c1977='-'===_0x59fdd6[0x0]?0x1:0x0;for(;_0x378eea>=_0x2c1977+0x4;_0x378eea-=0x3)_0x381d59='_'+_0x59fdd6[_0x1f8dec(0x2da)](_0x378eea-0x3,_0x378eea)+_0x381d59;return''+_0x59fdd6['slice'](0x0,_0x378eea)+_0x381d59;}function _0x464cfb(_0x456bae,_0x5f4ea2,_0x37515c,_0x37814e,_0x85c1fd,_0x575517){var _0x11a4ab=_0xb1d67f;if(_0x456bae>_0x37515c||_0x456bae<_0x5f4ea2){const _0x293c35=_0x11a4ab(0x384)==typeof _0x5f4ea2?'n':'';let _0x82f334;throw _0x82f334=_0x575517>0x3?0x0===_0x5f4ea2||_0x5f4ea2===BigInt(0x0)?'>=\x200'+_0x293c35+'\x20and\x20<\x202'+_0x293c35+_0x11a4ab(0x249)+0x8*(_0x575517+0x1)+_0x293c35:_0x11a4ab(0x2f8)+_0x293c35+_0x11a4ab(0x249)+(0x8*(_0x575517+0x1)-0x1)+_0x293c35+_0x11a4ab(0x3dd)+(0x8*(_0x575517+0x1)-0x1)+_0x293c35:_0x11a4ab(0x3af)+_0x5f4ea2+_0x293c35+_0x11a4ab(0x22f)+_0x37515c+_0x293c35,new _0x33d73d[(_0x11a4ab(0x269))](_0x11a4ab(0x2b0),_0x82f334,_0x456bae);}!function(_0x19aee2,_0x25e158,_0x4b65d1){var _0x24b9ea=_0x11a4ab;_0x3f23a3(_0x25e158,_0x24b9ea(0x34a)),void 0x0!==_0x19aee2[_0x25e158]&&void 0x0!==_0x19aee2[_0x25e158+_0x4b65d1]||_0x43d5b5(_0x25e158,_0x19aee2[_0x24b9ea(0x3a3)]-(_0x4b65d1+0x1));}(_0x37814e,_0x85c1fd,_0x575517);}function _0x3f23a3(_0x504e2b,_0x15bbbd){var _0x12003a=_0xb1d67f;if(_0x12003a(0x39d)!=typeof _0x504e2b)throw new _0x33d73d[(_0x12003a(0x34b))](_0x15bbbd,'number',_0x504e2b);}function _0x43d5b5(_0x4ab90a,_0xe4a9dc,_0x1fa70d){var _0x24cf84=_0xb1d67f;if(Math[_0x24cf84(0x347)](_0x4ab90a)!==_0x4ab90a)throw _0x3f23a3(_0x4ab90a,_0x1fa70d),new _0x33d73d[(_0x24cf84(0x269))](_0x1fa70d||_0x24cf84(0x34a),_0x24cf84(0x1ad),_0x4ab90a);if(_0xe4a9dc<0x0)throw new _0x33d73d[(_0x24cf84(0x407))]();throw new _0x33d73d['ERR_OUT_OF_RANGE'](_0x1fa70d||'offset',_0x24cf84(0x3af)+(_0x1fa70d?0x1:0x0)+_0x24cf84(0x22f)+_0xe4a9dc,_0x4ab90a);}_0x2b3387(_0xb1d67f(0x407),function(_0x381e4d){var _0x3bec60=_0xb1d67f;return _0x381e4d?_0x381e4d+_0x3bec60(0x2fb):'Attempt\x20to\x20access\x20memory\x20outside\x20buffer\x20bounds';},RangeError),_0x2b3387('ERR_INVALID_ARG_TYPE',function(_0x3ae6f3,_0x518a3b){var _0x52f7d4=_0xb1d67f;return'The\x20\x22'+_0x3ae6f3+_0x52f7d4(0x363)+typeof _0x518a3b;},TypeError),_0x2b3387(_0xb1d67f(0x269),function(_0xcc5e70,_0x2d8573,_0x53d9cb){var _0x3dc419=_0xb1d67f;let _0x3ed89c=_0x3dc419(0x195)+_0xcc5e70+_0x3dc419(0x41e),_0x49b60c=_0x53d9cb;return Number[_0x3dc419(0x110)](_0x53d9cb)&&Math[_0x3dc419(0x33a)](_0x53d9cb)>0x2**0x20?_0x49b60c=_0x43cc62(String(_0x53d9cb)):'bigint'==typeof _0x53d9cb&&(_0x49b60c=String(_0x53d9cb),(_0x53d9cb>BigInt(0x2)**BigInt(0x20)||_0x53d9cb<-(BigInt(0x2)**BigInt(0x20)))&&(_0x49b60c=_0x43cc62(_0x49b60c)),_0x49b60c+='n'),_0x3ed89c+='\x20It\x20must\x20be\x20'+_0x2d8573+_0x3dc419(0xc1)+_0x49b60c,_0x3ed89c;},RangeError);const _0x2fafac=/[^+/0-9A-Za-z-_]/g;function _0x2d2b56(_0x92a8fd,_0x423b85){var _0x2c6914=_0xb1d67f;let _0x249b58;_0x423b85=_0x423b85||0x1/0x0;const _0x477c94=_0x92a8fd[_0x2c6914(0x3a3)];let _0x1b8998=null;const _0x41187e=[];for(let _0x57d624=0x0;_0x57d624<_0x477c94;++_0x57d624){if(_0x249b58=_0x92a8fd['charCodeAt'](_0x57d624),_0x249b58>0xd7ff&&_0x249b58<0xe000){if(!_0x1b8998){if(_0x249b58>0xdbff){(_0x423b85-=0x3)>-0x1&&_0x41187e[_0x2c6914(0x3c5)](0xef,0xbf,0xbd);continue;}if(_0x57d624+0x1===_0x477c94){(_0x423b85-=0x3)>-0x1&&_0x41187e['push'](0xef,0xbf,0xbd);continue;}_0x1b8998=_0x249b58;continue;}if(_0x249b58<0xdc00){(_0x423b85-=0x3)>-0x1&&_0x41187e['push'](0xef,0xbf,0xbd),_0x1b8998=_0x249b58;continue;}_0x249b58=0x10000+(_0x1b8998-0xd800<<0xa|_0x249b58-0xdc00);}else _0x1b8998&&(_0x423b85-=0x3)>-0x1&&_0x41187e[_0x2c6914(0x3c5)](0xef,0xbf,0xbd);if(_0x1b8998=null,_0x249b58<0x80){if((_0x423b85-=0x1)<0x0)break;_0x41187e[_0x2c6914(0x3c5)](_0x249b58);}else{if(_0x249b58<0x800){if((_0x423b85-=0x2)<0x0)break;_0x41187e[_0x2c6914(0x3c5)](_0x249b58>>0x6|0xc0,0x3f&_0x249b58|0x80);}else{if(_0x249b58<0x10000){if((_0x423b85-=0x3)<0x0)break;_0x41187e['push'](_0x249b58>>0xc|0xe0,_0x249b58>>0x6&0x3f|0x80,0x3f&_0x249b58|0x80);}else{if(!(_0x249b58<0x110000))throw new Error('Invalid\x20code\x20point');if((_0x423b85-=0x4)<0x0)break;_0x41187e[_0x2c6914(0x3c5)](_0x249b58>>0x12|0xf0,_0x249b58>>0xc&0x3f|0x80,_0x249b58>>0x6&0x3f|0x80,0x3f&_0x249b58|0x80);}}}}return _0x41187e;}function _0x29ac03(_0x10d5a8){return _0x3721ca['toByteArray'](function(_0x12e951){var _0x38d616=a0_0x4968;if((_0x12e951=(_0x12e951=_0x12e951[_0x38d616(0x267)]('=')[0x0])['trim']()[_0x38d616(0x299)](_0x2fafac,''))[_0x38d616(0x3a3)]<0x2)return'';for(;_0x12e951['length']%0x4!=0x0;)_0x12e951+='=';return _0x12e951;}(_0x10d5a8));}function _0x180fec(_0x499453,_0x4ea8f9,_0x37a0a6,_0x20a858){var _0x307e33=_0xb1d67f;let _0x5ee9bd;for(_0x5ee9bd=0x0;_0x5ee9bd<_0x20a858&&!(_0x5ee9bd+_0x37a0a6>=_0x4ea8f9[_0x307e33(0x3a3)]||_0x5ee9bd>=_0x499453[_0x307e33(0x3a3)]);++_0x5ee9bd)_0x4ea8f9[_0x5ee9bd+_0x37a0a6]=_0x499453[_0x5ee9bd];return _0x5ee9bd;}function _0x2206ec(_0x313301,_0x3f1024){var _0x1ccd9d=_0xb1d67f;return _0x313301 instanceof _0x3f1024||null!=_0x313301&&null!=_0x313301[_0x1ccd9d(0x382)]&&null!=_0x313301[_0x1ccd9d(0x382)][_0x1ccd9d(0x208)]&&_0x313301[_0x1ccd9d(0x382)][_0x1ccd9d(0x208)]===_0x3f1024[_0x1ccd9d(0x208)];}function _0xd191a0(_0xe1ac25){return _0xe1ac25!=_0xe1ac25;}const _0xae66b2=(function(){var _0x4f41ae=_0xb1d67f;const _0x38bae2=_0x4f41ae(0x3a2),_0x2117e2=new Array(0x100);for(let _0x3ee53e=0x0;_0x3ee53e<0x10;++_0x3ee53e){const _0x36267e=0x10*_0x3ee53e;for(let _0x44f5ce=0x0;_0x44f5ce<0x10;++_0x44f5ce)_0x2117e2[_0x36267e+_0x44f5ce]=_0x38bae2[_0x3ee53e]+_0x38bae2[_0x44f5ce];}return _0x2117e2;}());function _0x560871(_0x1e19be){return'undefined'==typeof BigInt?_0x2c7c62:_0x1e19be;}function _0x2c7c62(){var _0x330943=_0xb1d67f;throw new Error(_0x330943(0xcc));}},0x2076(_0x55540b,_0x5593cd,_0x1e7370){var _0x2e736a=a0_0x4968;_0x55540b['exports']=_0x3ab6b7;var _0xdb013d=_0x1e7370(0x1b5f)[_0x2e736a(0x153)];function _0x3ab6b7(){var _0x26dc91=_0x2e736a;_0xdb013d[_0x26dc91(0x158)](this);}_0x1e7370(0x1a2a)(_0x3ab6b7,_0xdb013d),_0x3ab6b7[_0x2e736a(0x91)]=_0x1e7370(0x1aeb),_0x3ab6b7[_0x2e736a(0x20a)]=_0x1e7370(0x7cf),_0x3ab6b7[_0x2e736a(0x96)]=_0x1e7370(0x1fa5),_0x3ab6b7[_0x2e736a(0x113)]=_0x1e7370(0x237b),_0x3ab6b7[_0x2e736a(0x30b)]=_0x1e7370(0xe61),_0x3ab6b7[_0x2e736a(0x24d)]=_0x1e7370(0x10a1),_0x3ab6b7[_0x2e736a(0x212)]=_0x1e7370(0x1493),_0x3ab6b7[_0x2e736a(0x1a8)]=_0x3ab6b7,_0x3ab6b7[_0x2e736a(0x348)][_0x2e736a(0x25a)]=function(_0x2eaa2f,_0x320616){var _0x475f71=_0x2e736a,_0x64e714=this;function _0xa5aec0(_0x450923){var _0x51630d=a0_0x4968;_0x2eaa2f[_0x51630d(0x2e5)]&&!0x1===_0x2eaa2f[_0x51630d(0x2aa)](_0x450923)&&_0x64e714[_0x51630d(0x3f3)]&&_0x64e714[_0x51630d(0x3f3)]();}function _0x2969d3(){var _0x581fe4=a0_0x4968;_0x64e714[_0x581fe4(0x27c)]&&_0x64e714[_0x581fe4(0xb0)]&&_0x64e714[_0x581fe4(0xb0)]();}_0x64e714['on'](_0x475f71(0x2c3),_0xa5aec0),_0x2eaa2f['on']('drain',_0x2969d3),_0x2eaa2f[_0x475f71(0x1f2)]||_0x320616&&!0x1===_0x320616[_0x475f71(0xd0)]||(_0x64e714['on'](_0x475f71(0xd0),_0xbae825),_0x64e714['on'](_0x475f71(0x33e),_0x1071dc));var _0xcd3de5=!0x1;function _0xbae825(){var _0x4bc07b=_0x475f71;_0xcd3de5||(_0xcd3de5=!0x0,_0x2eaa2f[_0x4bc07b(0xd0)]());}function _0x1071dc(){var _0x1f2554=_0x475f71;_0xcd3de5||(_0xcd3de5=!0x0,_0x1f2554(0x28d)==typeof _0x2eaa2f['destroy']&&_0x2eaa2f[_0x1f2554(0x221)]());}function _0x4ae222(_0x29406f){var _0xd5ab3=_0x475f71;if(_0x51cfb4(),0x0===_0xdb013d[_0xd5ab3(0x17d)](this,_0xd5ab3(0x3d8)))throw _0x29406f;}function _0x51cfb4(){var _0x14ec0d=_0x475f71;_0x64e714[_0x14ec0d(0x19f)]('data',_0xa5aec0),_0x2eaa2f[_0x14ec0d(0x19f)](_0x14ec0d(0x214),_0x2969d3),_0x64e714['removeListener'](_0x14ec0d(0xd0),_0xbae825),_0x64e714[_0x14ec0d(0x19f)](_0x14ec0d(0x33e),_0x1071dc),_0x64e714[_0x14ec0d(0x19f)](_0x14ec0d(0x3d8),_0x4ae222),_0x2eaa2f[_0x14ec0d(0x19f)](_0x14ec0d(0x3d8),_0x4ae222),_0x64e714['removeListener'](_0x14ec0d(0xd0),_0x51cfb4),_0x64e714[_0x14ec0d(0x19f)](_0x14ec0d(0x33e),_0x51cfb4),_0x2eaa2f[_0x14ec0d(0x19f)](_0x14ec0d(0x33e),_0x51cfb4);}return _0x64e714['on'](_0x475f71(0x3d8),_0x4ae222),_0x2eaa2f['on'](_0x475f71(0x3d8),_0x4ae222),_0x64e714['on'](_0x475f71(0xd0),_0x51cfb4),_0x64e714['on']('close',_0x51cfb4),_0x2eaa2f['on'](_0x475f71(0x33e),_0x51cfb4),_0x2eaa2f[_0x475f71(0xfa)](_0x475f71(0x25a),_0x64e714),_0x2eaa2f;};},0x2106(_0x1ab5c6,_0x1e9f97,_0x57ce9f){var _0x2b7f04=a0_0x4968,_0x18aaec,_0x5bb5f9;_0x1ab5c6['exports']=(_0x5bb5f9=_0x57ce9f(0x233d),_0x57ce9f(0x1bfd),_0x5bb5f9[_0x2b7f04(0x279)][_0x2b7f04(0x1db)]=((_0x18aaec=_0x5bb5f9['lib'][_0x2b7f04(0x244)][_0x2b7f04(0x193)]())[_0x2b7f04(0x3f6)]=_0x18aaec['extend']({'processBlock':function(_0x144e37,_0x9f001b){var _0x1e46f3=_0x2b7f04;this[_0x1e46f3(0x2fa)][_0x1e46f3(0x27b)](_0x144e37,_0x9f001b);}}),_0x18aaec[_0x2b7f04(0x19a)]=_0x18aaec[_0x2b7f04(0x193)]({'processBlock':function(_0x39cdee,_0x1d47c0){var _0x2b6f10=_0x2b7f04;this[_0x2b6f10(0x2fa)][_0x2b6f10(0x155)](_0x39cdee,_0x1d47c0);}}),_0x18aaec),_0x5bb5f9[_0x2b7f04(0x279)][_0x2b7f04(0x1db)]);},0x2337(_0x4b98e8,_0xd5c133,_0x4dc2da){var _0xa7f92c=a0_0x4968;_0x4b98e8[_0xa7f92c(0x33f)]=_0x4dc2da(0x1b5f)[_0xa7f92c(0x153)];},0x233d(_0x442452,_0x1a0a47,_0x5496f4){var _0xa1bacf;_0x442452['exports']=(_0xa1bacf=_0xa1bacf||function(_0x56acfa){var _0x17a27c=a0_0x4968,_0x5cc091;if('undefined'!=typeof window&&window[_0x17a27c(0x14b)]&&(_0x5cc091=window[_0x17a27c(0x14b)]),'undefined'!=typeof self&&self[_0x17a27c(0x14b)]&&(_0x5cc091=self[_0x17a27c(0x14b)]),_0x17a27c(0x392)!=typeof globalThis&&globalThis[_0x17a27c(0x14b)]&&(_0x5cc091=globalThis[_0x17a27c(0x14b)]),!_0x5cc091&&'undefined'!=typeof window&&window[_0x17a27c(0x324)]&&(_0x5cc091=window['msCrypto']),!_0x5cc091&&void 0x0!==_0x5496f4['g']&&_0x5496f4['g'][_0x17a27c(0x14b)]&&(_0x5cc091=_0x5496f4['g'][_0x17a27c(0x14b)]),!_0x5cc091)try{_0x5cc091=_0x5496f4(0x1dd);}catch(_0xaed086){}var _0x231d81=function(){var _0x3426f9=_0x17a27c;if(_0x5cc091){if(_0x3426f9(0x28d)==typeof _0x5cc091[_0x3426f9(0x29c)])try{return _0x5cc091[_0x3426f9(0x29c)](new Uint32Array(0x1))[0x0];}catch(_0xfa2e5f){}if('function'==typeof _0x5cc091[_0x3426f9(0x277)])try{return _0x5cc091[_0x3426f9(0x277)](0x4)['readInt32LE']();}catch(_0x432569){}}throw new Error(_0x3426f9(0x236));},_0x58071e=Object[_0x17a27c(0x1c3)]||(function(){function _0x367672(){}return function(_0x354eb7){var _0x547b6c=a0_0x4968,_0xea534f;return _0x367672['prototype']=_0x354eb7,_0xea534f=new _0x367672(),_0x367672[_0x547b6c(0x348)]=null,_0xea534f;};}()),_0x2d960d={},_0x4ff58d=_0x2d960d[_0x17a27c(0x395)]={},_0xd39ba6=_0x4ff58d[_0x17a27c(0x18e)]={'extend':function(_0x26ec7f){var _0x4710d7=_0x17a27c,_0x2d507e=_0x58071e(this);return _0x26ec7f&&_0x2d507e[_0x4710d7(0x377)](_0x26ec7f),_0x2d507e[_0x4710d7(0x13b)](_0x4710d7(0x2db))&&this[_0x4710d7(0x2db)]!==_0x2d507e[_0x4710d7(0x2db)]||(_0x2d507e[_0x4710d7(0x2db)]=function(){var _0x18c51e=_0x4710d7;_0x2d507e[_0x18c51e(0xa0)][_0x18c51e(0x2db)]['apply'](this,arguments);}),_0x2d507e[_0x4710d7(0x2db)][_0x4710d7(0x348)]=_0x2d507e,_0x2d507e[_0x4710d7(0xa0)]=this,_0x2d507e;},'create':function(){var _0x4ab387=_0x17a27c,_0x148852=this[_0x4ab387(0x193)]();return _0x148852[_0x4ab387(0x2db)][_0x4ab387(0xfb)](_0x148852,arguments),_0x148852;},'init':function(){},'mixIn':function(_0x3e487a){var _0x2a3294=_0x17a27c;for(var _0x2587a0 in _0x3e487a)_0x3e487a[_0x2a3294(0x13b)](_0x2587a0)&&(this[_0x2587a0]=_0x3e487a[_0x2587a0]);_0x3e487a[_0x2a3294(0x13b)](_0x2a3294(0x38c))&&(this[_0x2a3294(0x38c)]=_0x3e487a[_0x2a3294(0x38c)]);},'clone':function(){var _0x1b35dc=_0x17a27c;return this[_0x1b35dc(0x2db)][_0x1b35dc(0x348)]['extend'](this);}},_0x344725=_0x4ff58d['WordArray']=_0xd39ba6[_0x17a27c(0x193)]({'init':function(_0x3269d7,_0x26d8fe){var _0x3a54ef=_0x17a27c;_0x3269d7=this['words']=_0x3269d7||[],this[_0x3a54ef(0x367)]=null!=_0x26d8fe?_0x26d8fe:0x4*_0x3269d7[_0x3a54ef(0x3a3)];},'toString':function(_0x63a5d4){return(_0x63a5d4||_0x272fd2)['stringify'](this);},'concat':function(_0x29c7fb){var _0x45c185=_0x17a27c,_0x211fe4=this[_0x45c185(0x31d)],_0x5645a0=_0x29c7fb['words'],_0x513f48=this['sigBytes'],_0xe7a1b1=_0x29c7fb[_0x45c185(0x367)];if(this[_0x45c185(0x202)](),_0x513f48%0x4)for(var _0x362a7b=0x0;_0x362a7b<_0xe7a1b1;_0x362a7b++){var _0x47ceeb=_0x5645a0[_0x362a7b>>>0x2]>>>0x18-_0x362a7b%0x4*0x8&0xff;_0x211fe4[_0x513f48+_0x362a7b>>>0x2]|=_0x47ceeb<<0x18-(_0x513f48+_0x362a7b)%0x4*0x8;}else{for(var _0x49b8dc=0x0;_0x49b8dc<_0xe7a1b1;_0x49b8dc+=0x4)_0x211fe4[_0x513f48+_0x49b8dc>>>0x2]=_0x5645a0[_0x49b8dc>>>0x2];}return this[_0x45c185(0x367)]+=_0xe7a1b1,this;},'clamp':function(){var _0x2777da=_0x17a27c,_0x41c9a9=this[_0x2777da(0x31d)],_0x3c7b73=this[_0x2777da(0x367)];_0x41c9a9[_0x3c7b73>>>0x2]&=0xffffffff<<0x20-_0x3c7b73%0x4*0x8,_0x41c9a9['length']=_0x56acfa[_0x2777da(0xbe)](_0x3c7b73/0x4);},'clone':function(){var _0x1cb229=_0x17a27c,_0x1f4cee=_0xd39ba6[_0x1cb229(0x173)]['call'](this);return _0x1f4cee[_0x1cb229(0x31d)]=this[_0x1cb229(0x31d)][_0x1cb229(0x2da)](0x0),_0x1f4cee;},'random':function(_0x3635c5){var _0x5cc5e3=_0x17a27c;for(var _0x36cb03=[],_0x30148a=0x0;_0x30148a<_0x3635c5;_0x30148a+=0x4)_0x36cb03[_0x5cc5e3(0x3c5)](_0x231d81());return new _0x344725[(_0x5cc5e3(0x2db))](_0x36cb03,_0x3635c5);}}),_0x40a103=_0x2d960d['enc']={},_0x272fd2=_0x40a103[_0x17a27c(0x14c)]={'stringify':function(_0x3d83ba){var _0x3d4f10=_0x17a27c;for(var _0x545c2e=_0x3d83ba[_0x3d4f10(0x31d)],_0x1a221d=_0x3d83ba[_0x3d4f10(0x367)],_0x55e600=[],_0x103640=0x0;_0x103640<_0x1a221d;_0x103640++){var _0x862aef=_0x545c2e[_0x103640>>>0x2]>>>0x18-_0x103640%0x4*0x8&0xff;_0x55e600[_0x3d4f10(0x3c5)]((_0x862aef>>>0x4)[_0x3d4f10(0x38c)](0x10)),_0x55e600['push']((0xf&_0x862aef)[_0x3d4f10(0x38c)](0x10));}return _0x55e600[_0x3d4f10(0x28b)]('');},'parse':function(_0x17d19d){var _0x3da61a=_0x17a27c;for(var _0x1724ce=_0x17d19d['length'],_0x3160f2=[],_0x4ed086=0x0;_0x4ed086<_0x1724ce;_0x4ed086+=0x2)_0x3160f2[_0x4ed086>>>0x3]|=parseInt(_0x17d19d['substr'](_0x4ed086,0x2),0x10)<<0x18-_0x4ed086%0x8*0x4;return new _0x344725[(_0x3da61a(0x2db))](_0x3160f2,_0x1724ce/0x2);}},_0x5e11b1=_0x40a103[_0x17a27c(0x3eb)]={'stringify':function(_0x138edf){var _0x13e9c6=_0x17a27c;for(var _0x1f4c4e=_0x138edf['words'],_0x5ef10a=_0x138edf['sigBytes'],_0x1bd8ef=[],_0x42d1f4=0x0;_0x42d1f4<_0x5ef10a;_0x42d1f4++){var _0x1fa31a=_0x1f4c4e[_0x42d1f4>>>0x2]>>>0x18-_0x42d1f4%0x4*0x8&0xff;_0x1bd8ef[_0x13e9c6(0x3c5)](String[_0x13e9c6(0x1c4)](_0x1fa31a));}return _0x1bd8ef['join']('');},'parse':function(_0x4f1d76){var _0x5899ad=_0x17a27c;for(var _0xd626dd=_0x4f1d76[_0x5899ad(0x3a3)],_0x498576=[],_0x10675d=0x0;_0x10675d<_0xd626dd;_0x10675d++)_0x498576[_0x10675d>>>0x2]|=(0xff&_0x4f1d76['charCodeAt'](_0x10675d))<<0x18-_0x10675d%0x4*0x8;return new _0x344725[(_0x5899ad(0x2db))](_0x498576,_0xd626dd);}},_0xf0a541=_0x40a103[_0x17a27c(0xec)]={'stringify':function(_0xcefef9){var _0x789a12=_0x17a27c;try{return decodeURIComponent(escape(_0x5e11b1[_0x789a12(0x19e)](_0xcefef9)));}catch(_0x13a086){throw new Error('Malformed\x20UTF-8\x20data');}},'parse':function(_0xdffcf7){var _0x24dc49=_0x17a27c;return _0x5e11b1[_0x24dc49(0x31e)](unescape(encodeURIComponent(_0xdffcf7)));}},_0x50b4c4=_0x4ff58d[_0x17a27c(0x223)]=_0xd39ba6[_0x17a27c(0x193)]({'reset':function(){var _0x2a5e09=_0x17a27c;this[_0x2a5e09(0x2ee)]=new _0x344725[(_0x2a5e09(0x2db))](),this[_0x2a5e09(0x281)]=0x0;},'_append':function(_0x3a5976){var _0x568947=_0x17a27c;'string'==typeof _0x3a5976&&(_0x3a5976=_0xf0a541[_0x568947(0x31e)](_0x3a5976)),this[_0x568947(0x2ee)][_0x568947(0x331)](_0x3a5976),this['_nDataBytes']+=_0x3a5976['sigBytes'];},'_process':function(_0xb033b){var _0x2f09cc=_0x17a27c,_0x299bff,_0x3319e2=this['_data'],_0x3c56ad=_0x3319e2[_0x2f09cc(0x31d)],_0x89f0b5=_0x3319e2[_0x2f09cc(0x367)],_0x3436ca=this[_0x2f09cc(0x1fc)],_0xc22ad7=_0x89f0b5/(0x4*_0x3436ca),_0x534a4a=(_0xc22ad7=_0xb033b?_0x56acfa[_0x2f09cc(0xbe)](_0xc22ad7):_0x56acfa[_0x2f09cc(0x2ed)]((0x0|_0xc22ad7)-this[_0x2f09cc(0x26a)],0x0))*_0x3436ca,_0x557571=_0x56acfa[_0x2f09cc(0x2d6)](0x4*_0x534a4a,_0x89f0b5);if(_0x534a4a){for(var _0x3c32dc=0x0;_0x3c32dc<_0x534a4a;_0x3c32dc+=_0x3436ca)this[_0x2f09cc(0x8a)](_0x3c56ad,_0x3c32dc);_0x299bff=_0x3c56ad[_0x2f09cc(0x307)](0x0,_0x534a4a),_0x3319e2[_0x2f09cc(0x367)]-=_0x557571;}return new _0x344725['init'](_0x299bff,_0x557571);},'clone':function(){var _0x5232ce=_0x17a27c,_0x35ea0f=_0xd39ba6[_0x5232ce(0x173)][_0x5232ce(0x158)](this);return _0x35ea0f['_data']=this[_0x5232ce(0x2ee)][_0x5232ce(0x173)](),_0x35ea0f;},'_minBufferSize':0x0}),_0x22ea0a=(_0x4ff58d[_0x17a27c(0x2ce)]=_0x50b4c4[_0x17a27c(0x193)]({'cfg':_0xd39ba6[_0x17a27c(0x193)](),'init':function(_0x2c7f0a){var _0x12a7c1=_0x17a27c;this[_0x12a7c1(0x1bc)]=this[_0x12a7c1(0x1bc)][_0x12a7c1(0x193)](_0x2c7f0a),this[_0x12a7c1(0x38b)]();},'reset':function(){var _0x237c5b=_0x17a27c;_0x50b4c4[_0x237c5b(0x38b)][_0x237c5b(0x158)](this),this[_0x237c5b(0x33c)]();},'update':function(_0x51e46d){var _0x3f6c1e=_0x17a27c;return this[_0x3f6c1e(0x3c2)](_0x51e46d),this[_0x3f6c1e(0xf1)](),this;},'finalize':function(_0x3b514b){var _0x1a0947=_0x17a27c;return _0x3b514b&&this[_0x1a0947(0x3c2)](_0x3b514b),this['_doFinalize']();},'blockSize':0x10,'_createHelper':function(_0x1c3557){return function(_0x4c00a3,_0x57c032){var _0x850c13=a0_0x4968;return new _0x1c3557[(_0x850c13(0x2db))](_0x57c032)[_0x850c13(0x3e6)](_0x4c00a3);};},'_createHmacHelper':function(_0x58a708){return function(_0x466f2f,_0x5c48a4){var _0x396c90=a0_0x4968;return new _0x22ea0a['HMAC'][(_0x396c90(0x2db))](_0x58a708,_0x5c48a4)[_0x396c90(0x3e6)](_0x466f2f);};}}),_0x2d960d[_0x17a27c(0x261)]={});return _0x2d960d;}(Math),_0xa1bacf);},0x237b(_0x2d9ca7,_0x41f1c8,_0x1e9c62){'use strict';var _0x5bc152=a0_0x4968;_0x2d9ca7['exports']=_0x46a8d9;var _0x37df9e=_0x1e9c62(0x99f)['F'],_0x53a0b0=_0x37df9e[_0x5bc152(0xc0)],_0xb3d6b0=_0x37df9e[_0x5bc152(0x37c)],_0x267113=_0x37df9e[_0x5bc152(0x2be)],_0x5ae1ff=_0x37df9e['ERR_TRANSFORM_WITH_LENGTH_0'],_0x14076d=_0x1e9c62(0x1fa5);function _0x4d859b(_0x195d26,_0x440c3a){var _0x3e6348=_0x5bc152,_0x3931e1=this[_0x3e6348(0x14e)];_0x3931e1[_0x3e6348(0x3c0)]=!0x1;var _0x1fb285=_0x3931e1['writecb'];if(null===_0x1fb285)return this[_0x3e6348(0xfa)](_0x3e6348(0x3d8),new _0xb3d6b0());_0x3931e1[_0x3e6348(0x14f)]=null,_0x3931e1[_0x3e6348(0x15b)]=null,null!=_0x440c3a&&this['push'](_0x440c3a),_0x1fb285(_0x195d26);var _0x1e1c53=this[_0x3e6348(0x105)];_0x1e1c53[_0x3e6348(0x309)]=!0x1,(_0x1e1c53[_0x3e6348(0x37f)]||_0x1e1c53['length']<_0x1e1c53[_0x3e6348(0x1ac)])&&this['_read'](_0x1e1c53['highWaterMark']);}function _0x46a8d9(_0x428f10){var _0x5131f5=_0x5bc152;if(!(this instanceof _0x46a8d9))return new _0x46a8d9(_0x428f10);_0x14076d[_0x5131f5(0x158)](this,_0x428f10),this[_0x5131f5(0x14e)]={'afterTransform':_0x4d859b[_0x5131f5(0x169)](this),'needTransform':!0x1,'transforming':!0x1,'writecb':null,'writechunk':null,'writeencoding':null},this[_0x5131f5(0x105)][_0x5131f5(0x37f)]=!0x0,this['_readableState'][_0x5131f5(0xa7)]=!0x1,_0x428f10&&('function'==typeof _0x428f10[_0x5131f5(0x228)]&&(this['_transform']=_0x428f10[_0x5131f5(0x228)]),_0x5131f5(0x28d)==typeof _0x428f10[_0x5131f5(0x266)]&&(this[_0x5131f5(0x128)]=_0x428f10[_0x5131f5(0x266)])),this['on'](_0x5131f5(0x25c),_0x599542);}function _0x599542(){var _0x55dc5c=_0x5bc152,_0x526c08=this;_0x55dc5c(0x28d)!=typeof this['_flush']||this['_readableState'][_0x55dc5c(0x12c)]?_0x3226ec(this,null,null):this[_0x55dc5c(0x128)](function(_0x4fcda5,_0xbef5cd){_0x3226ec(_0x526c08,_0x4fcda5,_0xbef5cd);});}function _0x3226ec(_0x1289bf,_0x17f52b,_0x165c33){var _0x3535b8=_0x5bc152;if(_0x17f52b)return _0x1289bf[_0x3535b8(0xfa)](_0x3535b8(0x3d8),_0x17f52b);if(null!=_0x165c33&&_0x1289bf[_0x3535b8(0x3c5)](_0x165c33),_0x1289bf[_0x3535b8(0x3ef)][_0x3535b8(0x3a3)])throw new _0x5ae1ff();if(_0x1289bf[_0x3535b8(0x14e)][_0x3535b8(0x3c0)])throw new _0x267113();return _0x1289bf[_0x3535b8(0x3c5)](null);}_0x1e9c62(0x1a2a)(_0x46a8d9,_0x14076d),_0x46a8d9[_0x5bc152(0x348)][_0x5bc152(0x3c5)]=function(_0xa83af9,_0x397967){var _0x496012=_0x5bc152;return this[_0x496012(0x14e)]['needTransform']=!0x1,_0x14076d[_0x496012(0x348)]['push'][_0x496012(0x158)](this,_0xa83af9,_0x397967);},_0x46a8d9['prototype']['_transform']=function(_0x5ccd65,_0x130e73,_0x2fc8e6){var _0x6bdbcb=_0x5bc152;_0x2fc8e6(new _0x53a0b0(_0x6bdbcb(0x213)));},_0x46a8d9[_0x5bc152(0x348)][_0x5bc152(0x3db)]=function(_0x53eb37,_0xc8534b,_0x4fffc4){var _0x533812=_0x5bc152,_0x1835a1=this['_transformState'];if(_0x1835a1[_0x533812(0x15b)]=_0x4fffc4,_0x1835a1[_0x533812(0x14f)]=_0x53eb37,_0x1835a1['writeencoding']=_0xc8534b,!_0x1835a1['transforming']){var _0x570498=this[_0x533812(0x105)];(_0x1835a1[_0x533812(0x123)]||_0x570498[_0x533812(0x37f)]||_0x570498['length']<_0x570498[_0x533812(0x1ac)])&&this[_0x533812(0x321)](_0x570498[_0x533812(0x1ac)]);}},_0x46a8d9[_0x5bc152(0x348)]['_read']=function(_0x187255){var _0x42817c=_0x5bc152,_0x4ac55b=this[_0x42817c(0x14e)];null===_0x4ac55b[_0x42817c(0x14f)]||_0x4ac55b[_0x42817c(0x3c0)]?_0x4ac55b[_0x42817c(0x123)]=!0x0:(_0x4ac55b[_0x42817c(0x3c0)]=!0x0,this[_0x42817c(0x3b7)](_0x4ac55b[_0x42817c(0x14f)],_0x4ac55b[_0x42817c(0x40b)],_0x4ac55b[_0x42817c(0x314)]));},_0x46a8d9[_0x5bc152(0x348)][_0x5bc152(0x264)]=function(_0x363623,_0x4876be){var _0x17d509=_0x5bc152;_0x14076d[_0x17d509(0x348)][_0x17d509(0x264)][_0x17d509(0x158)](this,_0x363623,function(_0x267aee){_0x4876be(_0x267aee);});};},0x2522(_0x35ac1e,_0x171ac3,_0x5fa5ba){var _0x1c3279=a0_0x4968,_0x3b0fbb,_0x4c55e0,_0x5de5e0,_0x288fb0,_0x3ee628,_0xf3b1b8,_0x318c70,_0x617375;_0x35ac1e[_0x1c3279(0x33f)]=(_0x617375=_0x5fa5ba(0x233d),_0x5fa5ba(0x155f),_0x5fa5ba(0x401),_0x5de5e0=(_0x4c55e0=(_0x3b0fbb=_0x617375)[_0x1c3279(0x395)])[_0x1c3279(0x18e)],_0x288fb0=_0x4c55e0['WordArray'],_0xf3b1b8=(_0x3ee628=_0x3b0fbb[_0x1c3279(0x261)])[_0x1c3279(0x29e)],_0x318c70=_0x3ee628[_0x1c3279(0x18d)]=_0x5de5e0['extend']({'cfg':_0x5de5e0[_0x1c3279(0x193)]({'keySize':0x4,'hasher':_0xf3b1b8,'iterations':0x1}),'init':function(_0x4e6954){var _0x1d5df3=_0x1c3279;this[_0x1d5df3(0x1bc)]=this[_0x1d5df3(0x1bc)][_0x1d5df3(0x193)](_0x4e6954);},'compute':function(_0x5c11e2,_0x5b286c){var _0xad8aad=_0x1c3279;for(var _0x55741a,_0x302589=this['cfg'],_0x565fe5=_0x302589[_0xad8aad(0x16c)][_0xad8aad(0x1c3)](),_0x16c46d=_0x288fb0['create'](),_0xb9115f=_0x16c46d['words'],_0x47cf84=_0x302589[_0xad8aad(0x38d)],_0x5328a6=_0x302589[_0xad8aad(0x2e7)];_0xb9115f[_0xad8aad(0x3a3)]<_0x47cf84;){_0x55741a&&_0x565fe5[_0xad8aad(0x387)](_0x55741a),_0x55741a=_0x565fe5['update'](_0x5c11e2)['finalize'](_0x5b286c),_0x565fe5[_0xad8aad(0x38b)]();for(var _0x35d488=0x1;_0x35d488<_0x5328a6;_0x35d488++)_0x55741a=_0x565fe5[_0xad8aad(0x3e6)](_0x55741a),_0x565fe5['reset']();_0x16c46d['concat'](_0x55741a);}return _0x16c46d[_0xad8aad(0x367)]=0x4*_0x47cf84,_0x16c46d;}}),_0x3b0fbb[_0x1c3279(0x18d)]=function(_0x592e6c,_0x25baa6,_0x30acd5){var _0x3ccc16=_0x1c3279;return _0x318c70[_0x3ccc16(0x1c3)](_0x30acd5)[_0x3ccc16(0x2d3)](_0x592e6c,_0x25baa6);},_0x617375['EvpKDF']);},0x2555(_0x4f9f23,_0x5860fd,_0x44da8e){var _0x57d0dc=a0_0x4968,_0xb71785,_0x5613e8,_0x1d814b,_0x549bba,_0x545e6d,_0x5d3d22,_0x585e4b,_0x324bc6;_0x4f9f23[_0x57d0dc(0x33f)]=(_0x324bc6=_0x44da8e(0x233d),_0x44da8e(0xca8),_0x44da8e(0x564),_0x5613e8=(_0xb71785=_0x324bc6)[_0x57d0dc(0x30a)],_0x1d814b=_0x5613e8[_0x57d0dc(0x20c)],_0x549bba=_0x5613e8['WordArray'],_0x545e6d=_0xb71785['algo'],_0x5d3d22=_0x545e6d[_0x57d0dc(0x417)],_0x585e4b=_0x545e6d[_0x57d0dc(0x3b2)]=_0x5d3d22['extend']({'_doReset':function(){var _0x3a9d77=_0x57d0dc;this['_hash']=new _0x549bba['init']([new _0x1d814b['init'](0xcbbb9d5d,0xc1059ed8),new _0x1d814b[(_0x3a9d77(0x2db))](0x629a292a,0x367cd507),new _0x1d814b[(_0x3a9d77(0x2db))](0x9159015a,0x3070dd17),new _0x1d814b[(_0x3a9d77(0x2db))](0x152fecd8,0xf70e5939),new _0x1d814b[(_0x3a9d77(0x2db))](0x67332667,0xffc00b31),new _0x1d814b[(_0x3a9d77(0x2db))](0x8eb44a87,0x68581511),new _0x1d814b['init'](0xdb0c2e0d,0x64f98fa7),new _0x1d814b[(_0x3a9d77(0x2db))](0x47b5481d,0xbefa4fa4)]);},'_doFinalize':function(){var _0x9bb59c=_0x57d0dc,_0x3202ae=_0x5d3d22[_0x9bb59c(0x34f)]['call'](this);return _0x3202ae['sigBytes']-=0x10,_0x3202ae;}}),_0xb71785[_0x57d0dc(0x3b2)]=_0x5d3d22[_0x57d0dc(0x125)](_0x585e4b),_0xb71785[_0x57d0dc(0x239)]=_0x5d3d22['_createHmacHelper'](_0x585e4b),_0x324bc6[_0x57d0dc(0x3b2)]);},0x26ff(_0x43c53c){'use strict';!(function(){var _0x2cf5a7=a0_0x4968;const _0x395a99=0x7fffffff;function _0x553621(_0x3a642f){var _0x58652c=a0_0x4968;const _0xb5655f=new Uint32Array([0x428a2f98,0x71374491,0xb5c0fbcf,0xe9b5dba5,0x3956c25b,0x59f111f1,0x923f82a4,0xab1c5ed5,0xd807aa98,0x12835b01,0x243185be,0x550c7dc3,0x72be5d74,0x80deb1fe,0x9bdc06a7,0xc19bf174,0xe49b69c1,0xefbe4786,0xfc19dc6,0x240ca1cc,0x2de92c6f,0x4a7484aa,0x5cb0a9dc,0x76f988da,0x983e5152,0xa831c66d,0xb00327c8,0xbf597fc7,0xc6e00bf3,0xd5a79147,0x6ca6351,0x14292967,0x27b70a85,0x2e1b2138,0x4d2c6dfc,0x53380d13,0x650a7354,0x766a0abb,0x81c2c92e,0x92722c85,0xa2bfe8a1,0xa81a664b,0xc24b8b70,0xc76c51a3,0xd192e819,0xd6990624,0xf40e3585,0x106aa070,0x19a4c116,0x1e376c08,0x2748774c,0x34b0bcb5,0x391c0cb3,0x4ed8aa4a,0x5b9cca4f,0x682e6ff3,0x748f82ee,0x78a5636f,0x84c87814,0x8cc70208,0x90befffa,0xa4506ceb,0xbef9a3f7,0xc67178f2]);let _0x6c6f0d=0x6a09e667,_0x462a86=0xbb67ae85,_0xa3b3c3=0x3c6ef372,_0x5dfe4a=0xa54ff53a,_0x508619=0x510e527f,_0x6c25c6=0x9b05688c,_0x248aff=0x1f83d9ab,_0xc11374=0x5be0cd19;const _0x305632=new Uint32Array(0x40);function _0x3218eb(_0x474919){let _0x4c6121=0x0,_0x5132cc=_0x474919['length'];for(;_0x5132cc>=0x40;){let _0x1182ed,_0x4c4941,_0x4f317f,_0xb9298f,_0x5c20bd,_0x39e712=_0x6c6f0d,_0x29e3fd=_0x462a86,_0x407a82=_0xa3b3c3,_0x38189c=_0x5dfe4a,_0x556d09=_0x508619,_0x5d4a1d=_0x6c25c6,_0x21c175=_0x248aff,_0x998619=_0xc11374;for(_0x4c4941=0x0;_0x4c4941<0x10;_0x4c4941++)_0x4f317f=_0x4c6121+0x4*_0x4c4941,_0x305632[_0x4c4941]=(0xff&_0x474919[_0x4f317f])<<0x18|(0xff&_0x474919[_0x4f317f+0x1])<<0x10|(0xff&_0x474919[_0x4f317f+0x2])<<0x8|0xff&_0x474919[_0x4f317f+0x3];for(_0x4c4941=0x10;_0x4c4941<0x40;_0x4c4941++)_0x1182ed=_0x305632[_0x4c4941-0x2],_0xb9298f=(_0x1182ed>>>0x11|_0x1182ed<<0xf)^(_0x1182ed>>>0x13|_0x1182ed<<0xd)^_0x1182ed>>>0xa,_0x1182ed=_0x305632[_0x4c4941-0xf],_0x5c20bd=(_0x1182ed>>>0x7|_0x1182ed<<0x19)^(_0x1182ed>>>0x12|_0x1182ed<<0xe)^_0x1182ed>>>0x3,_0x305632[_0x4c4941]=(_0xb9298f+_0x305632[_0x4c4941-0x7]|0x0)+(_0x5c20bd+_0x305632[_0x4c4941-0x10]|0x0)|0x0;for(_0x4c4941=0x0;_0x4c4941<0x40;_0x4c4941++)_0xb9298f=(((_0x556d09>>>0x6|_0x556d09<<0x1a)^(_0x556d09>>>0xb|_0x556d09<<0x15)^(_0x556d09>>>0x19|_0x556d09<<0x7))+(_0x556d09&_0x5d4a1d^~_0x556d09&_0x21c175)|0x0)+(_0x998619+(_0xb5655f[_0x4c4941]+_0x305632[_0x4c4941]|0x0)|0x0)|0x0,_0x5c20bd=((_0x39e712>>>0x2|_0x39e712<<0x1e)^(_0x39e712>>>0xd|_0x39e712<<0x13)^(_0x39e712>>>0x16|_0x39e712<<0xa))+(_0x39e712&_0x29e3fd^_0x39e712&_0x407a82^_0x29e3fd&_0x407a82)|0x0,_0x998619=_0x21c175,_0x21c175=_0x5d4a1d,_0x5d4a1d=_0x556d09,_0x556d09=_0x38189c+_0xb9298f|0x0,_0x38189c=_0x407a82,_0x407a82=_0x29e3fd,_0x29e3fd=_0x39e712,_0x39e712=_0xb9298f+_0x5c20bd|0x0;_0x6c6f0d=_0x6c6f0d+_0x39e712|0x0,_0x462a86=_0x462a86+_0x29e3fd|0x0,_0xa3b3c3=_0xa3b3c3+_0x407a82|0x0,_0x5dfe4a=_0x5dfe4a+_0x38189c|0x0,_0x508619=_0x508619+_0x556d09|0x0,_0x6c25c6=_0x6c25c6+_0x5d4a1d|0x0,_0x248aff=_0x248aff+_0x21c175|0x0,_0xc11374=_0xc11374+_0x998619|0x0,_0x4c6121+=0x40,_0x5132cc-=0x40;}}_0x3218eb(_0x3a642f);let _0x3c2375,_0x24e31b=_0x3a642f[_0x58652c(0x3a3)]%0x40,_0x3797e5=_0x3a642f[_0x58652c(0x3a3)]/0x20000000|0x0,_0x46cc0a=_0x3a642f[_0x58652c(0x3a3)]<<0x3,_0x549de8=_0x24e31b<0x38?0x38:0x78,_0x1c7e48=_0x3a642f['slice'](_0x3a642f[_0x58652c(0x3a3)]-_0x24e31b,_0x3a642f['length']);for(_0x1c7e48[_0x58652c(0x3c5)](0x80),_0x3c2375=_0x24e31b+0x1;_0x3c2375<_0x549de8;_0x3c2375++)_0x1c7e48[_0x58652c(0x3c5)](0x0);return _0x1c7e48[_0x58652c(0x3c5)](_0x3797e5>>>0x18&0xff),_0x1c7e48['push'](_0x3797e5>>>0x10&0xff),_0x1c7e48[_0x58652c(0x3c5)](_0x3797e5>>>0x8&0xff),_0x1c7e48[_0x58652c(0x3c5)](_0x3797e5>>>0x0&0xff),_0x1c7e48[_0x58652c(0x3c5)](_0x46cc0a>>>0x18&0xff),_0x1c7e48[_0x58652c(0x3c5)](_0x46cc0a>>>0x10&0xff),_0x1c7e48[_0x58652c(0x3c5)](_0x46cc0a>>>0x8&0xff),_0x1c7e48['push'](_0x46cc0a>>>0x0&0xff),_0x3218eb(_0x1c7e48),[_0x6c6f0d>>>0x18&0xff,_0x6c6f0d>>>0x10&0xff,_0x6c6f0d>>>0x8&0xff,_0x6c6f0d>>>0x0&0xff,_0x462a86>>>0x18&0xff,_0x462a86>>>0x10&0xff,_0x462a86>>>0x8&0xff,_0x462a86>>>0x0&0xff,_0xa3b3c3>>>0x18&0xff,_0xa3b3c3>>>0x10&0xff,_0xa3b3c3>>>0x8&0xff,_0xa3b3c3>>>0x0&0xff,_0x5dfe4a>>>0x18&0xff,_0x5dfe4a>>>0x10&0xff,_0x5dfe4a>>>0x8&0xff,_0x5dfe4a>>>0x0&0xff,_0x508619>>>0x18&0xff,_0x508619>>>0x10&0xff,_0x508619>>>0x8&0xff,_0x508619>>>0x0&0xff,_0x6c25c6>>>0x18&0xff,_0x6c25c6>>>0x10&0xff,_0x6c25c6>>>0x8&0xff,_0x6c25c6>>>0x0&0xff,_0x248aff>>>0x18&0xff,_0x248aff>>>0x10&0xff,_0x248aff>>>0x8&0xff,_0x248aff>>>0x0&0xff,_0xc11374>>>0x18&0xff,_0xc11374>>>0x10&0xff,_0xc11374>>>0x8&0xff,_0xc11374>>>0x0&0xff];}function _0x293855(_0x41de7a,_0x5fa022,_0x276b48){var _0x1e29c9=a0_0x4968;_0x41de7a=_0x41de7a[_0x1e29c9(0x3a3)]<=0x40?_0x41de7a:_0x553621(_0x41de7a);const _0x22d1ff=0x40+_0x5fa022[_0x1e29c9(0x3a3)]+0x4,_0x3fc937=new Array(_0x22d1ff),_0xa62e19=new Array(0x40);let _0xa758fa,_0x1ba626=[];for(_0xa758fa=0x0;_0xa758fa<0x40;_0xa758fa++)_0x3fc937[_0xa758fa]=0x36;for(_0xa758fa=0x0;_0xa758fa<_0x41de7a[_0x1e29c9(0x3a3)];_0xa758fa++)_0x3fc937[_0xa758fa]^=_0x41de7a[_0xa758fa];for(_0xa758fa=0x0;_0xa758fa<_0x5fa022['length'];_0xa758fa++)_0x3fc937[0x40+_0xa758fa]=_0x5fa022[_0xa758fa];for(_0xa758fa=_0x22d1ff-0x4;_0xa758fa<_0x22d1ff;_0xa758fa++)_0x3fc937[_0xa758fa]=0x0;for(_0xa758fa=0x0;_0xa758fa<0x40;_0xa758fa++)_0xa62e19[_0xa758fa]=0x5c;for(_0xa758fa=0x0;_0xa758fa<_0x41de7a[_0x1e29c9(0x3a3)];_0xa758fa++)_0xa62e19[_0xa758fa]^=_0x41de7a[_0xa758fa];function _0x46a114(){for(let _0x553943=_0x22d1ff-0x1;_0x553943>=_0x22d1ff-0x4;_0x553943--){if(_0x3fc937[_0x553943]++,_0x3fc937[_0x553943]<=0xff)return;_0x3fc937[_0x553943]=0x0;}}for(;_0x276b48>=0x20;)_0x46a114(),_0x1ba626=_0x1ba626[_0x1e29c9(0x331)](_0x553621(_0xa62e19[_0x1e29c9(0x331)](_0x553621(_0x3fc937)))),_0x276b48-=0x20;return _0x276b48>0x0&&(_0x46a114(),_0x1ba626=_0x1ba626['concat'](_0x553621(_0xa62e19[_0x1e29c9(0x331)](_0x553621(_0x3fc937)))['slice'](0x0,_0x276b48))),_0x1ba626;}function _0x46dbd5(_0x43c5b5,_0x47cf93,_0x46bf2a,_0x3489a5,_0x417218){let _0x499be3;for(_0x525dc5(_0x43c5b5,0x10*(0x2*_0x46bf2a-0x1),_0x417218,0x0,0x10),_0x499be3=0x0;_0x499be3<0x2*_0x46bf2a;_0x499be3++)_0x2baed4(_0x43c5b5,0x10*_0x499be3,_0x417218,0x10),_0x11c04e(_0x417218,_0x3489a5),_0x525dc5(_0x417218,0x0,_0x43c5b5,_0x47cf93+0x10*_0x499be3,0x10);for(_0x499be3=0x0;_0x499be3<_0x46bf2a;_0x499be3++)_0x525dc5(_0x43c5b5,_0x47cf93+0x2*_0x499be3*0x10,_0x43c5b5,0x10*_0x499be3,0x10);for(_0x499be3=0x0;_0x499be3<_0x46bf2a;_0x499be3++)_0x525dc5(_0x43c5b5,_0x47cf93+0x10*(0x2*_0x499be3+0x1),_0x43c5b5,0x10*(_0x499be3+_0x46bf2a),0x10);}function _0x526dee(_0x3b6dee,_0xb292a2){return _0x3b6dee<<_0xb292a2|_0x3b6dee>>>0x20-_0xb292a2;}function _0x11c04e(_0x4a9adf,_0x73048c){_0x525dc5(_0x4a9adf,0x0,_0x73048c,0x0,0x10);for(let _0x4e7e82=0x8;_0x4e7e82>0x0;_0x4e7e82-=0x2)_0x73048c[0x4]^=_0x526dee(_0x73048c[0x0]+_0x73048c[0xc],0x7),_0x73048c[0x8]^=_0x526dee(_0x73048c[0x4]+_0x73048c[0x0],0x9),_0x73048c[0xc]^=_0x526dee(_0x73048c[0x8]+_0x73048c[0x4],0xd),_0x73048c[0x0]^=_0x526dee(_0x73048c[0xc]+_0x73048c[0x8],0x12),_0x73048c[0x9]^=_0x526dee(_0x73048c[0x5]+_0x73048c[0x1],0x7),_0x73048c[0xd]^=_0x526dee(_0x73048c[0x9]+_0x73048c[0x5],0x9),_0x73048c[0x1]^=_0x526dee(_0x73048c[0xd]+_0x73048c[0x9],0xd),_0x73048c[0x5]^=_0x526dee(_0x73048c[0x1]+_0x73048c[0xd],0x12),_0x73048c[0xe]^=_0x526dee(_0x73048c[0xa]+_0x73048c[0x6],0x7),_0x73048c[0x2]^=_0x526dee(_0x73048c[0xe]+_0x73048c[0xa],0x9),_0x73048c[0x6]^=_0x526dee(_0x73048c[0x2]+_0x73048c[0xe],0xd),_0x73048c[0xa]^=_0x526dee(_0x73048c[0x6]+_0x73048c[0x2],0x12),_0x73048c[0x3]^=_0x526dee(_0x73048c[0xf]+_0x73048c[0xb],0x7),_0x73048c[0x7]^=_0x526dee(_0x73048c[0x3]+_0x73048c[0xf],0x9),_0x73048c[0xb]^=_0x526dee(_0x73048c[0x7]+_0x73048c[0x3],0xd),_0x73048c[0xf]^=_0x526dee(_0x73048c[0xb]+_0x73048c[0x7],0x12),_0x73048c[0x1]^=_0x526dee(_0x73048c[0x0]+_0x73048c[0x3],0x7),_0x73048c[0x2]^=_0x526dee(_0x73048c[0x1]+_0x73048c[0x0],0x9),_0x73048c[0x3]^=_0x526dee(_0x73048c[0x2]+_0x73048c[0x1],0xd),_0x73048c[0x0]^=_0x526dee(_0x73048c[0x3]+_0x73048c[0x2],0x12),_0x73048c[0x6]^=_0x526dee(_0x73048c[0x5]+_0x73048c[0x4],0x7),_0x73048c[0x7]^=_0x526dee(_0x73048c[0x6]+_0x73048c[0x5],0x9),_0x73048c[0x4]^=_0x526dee(_0x73048c[0x7]+_0x73048c[0x6],0xd),_0x73048c[0x5]^=_0x526dee(_0x73048c[0x4]+_0x73048c[0x7],0x12),_0x73048c[0xb]^=_0x526dee(_0x73048c[0xa]+_0x73048c[0x9],0x7),_0x73048c[0x8]^=_0x526dee(_0x73048c[0xb]+_0x73048c[0xa],0x9),_0x73048c[0x9]^=_0x526dee(_0x73048c[0x8]+_0x73048c[0xb],0xd),_0x73048c[0xa]^=_0x526dee(_0x73048c[0x9]+_0x73048c[0x8],0x12),_0x73048c[0xc]^=_0x526dee(_0x73048c[0xf]+_0x73048c[0xe],0x7),_0x73048c[0xd]^=_0x526dee(_0x73048c[0xc]+_0x73048c[0xf],0x9),_0x73048c[0xe]^=_0x526dee(_0x73048c[0xd]+_0x73048c[0xc],0xd),_0x73048c[0xf]^=_0x526dee(_0x73048c[0xe]+_0x73048c[0xd],0x12);for(let _0x5753a3=0x0;_0x5753a3<0x10;++_0x5753a3)_0x4a9adf[_0x5753a3]+=_0x73048c[_0x5753a3];}function _0x2baed4(_0x3c2060,_0x16bec0,_0x2802c4,_0x142d1b){for(let _0x1de7d3=0x0;_0x1de7d3<_0x142d1b;_0x1de7d3++)_0x2802c4[_0x1de7d3]^=_0x3c2060[_0x16bec0+_0x1de7d3];}function _0x525dc5(_0x48c4c0,_0x20a005,_0x4a4a0d,_0x4a5ab3,_0x59a721){for(;_0x59a721--;)_0x4a4a0d[_0x4a5ab3++]=_0x48c4c0[_0x20a005++];}function _0x24d9e5(_0x14ff5c){var _0x122e51=a0_0x4968;if(!_0x14ff5c||'number'!=typeof _0x14ff5c[_0x122e51(0x3a3)])return!0x1;for(let _0x55a256=0x0;_0x55a256<_0x14ff5c[_0x122e51(0x3a3)];_0x55a256++){const _0x5c268e=_0x14ff5c[_0x55a256];if(_0x122e51(0x39d)!=typeof _0x5c268e||_0x5c268e%0x1||_0x5c268e<0x0||_0x5c268e>=0x100)return!0x1;}return!0x0;}function _0x349928(_0x224c4c,_0x3bff83){var _0x10dab5=a0_0x4968;if(_0x10dab5(0x39d)!=typeof _0x224c4c||_0x224c4c%0x1)throw new Error('invalid\x20'+_0x3bff83);return _0x224c4c;}function _0x1704d6(_0x73ea7,_0x8d9f48,_0x30b10f,_0x535aac,_0x2c76e4,_0x307cec,_0x41d8d2){var _0x86d9a7=a0_0x4968;if(_0x30b10f=_0x349928(_0x30b10f,'N'),_0x535aac=_0x349928(_0x535aac,'r'),_0x2c76e4=_0x349928(_0x2c76e4,'p'),_0x307cec=_0x349928(_0x307cec,_0x86d9a7(0x10c)),0x0===_0x30b10f||_0x30b10f&_0x30b10f-0x1)throw new Error('N\x20must\x20be\x20power\x20of\x202');if(_0x30b10f>_0x395a99/0x80/_0x535aac)throw new Error(_0x86d9a7(0x3ae));if(_0x535aac>_0x395a99/0x80/_0x2c76e4)throw new Error('r\x20too\x20large');if(!_0x24d9e5(_0x73ea7))throw new Error(_0x86d9a7(0x3da));if(_0x73ea7=Array[_0x86d9a7(0x348)][_0x86d9a7(0x2da)][_0x86d9a7(0x158)](_0x73ea7),!_0x24d9e5(_0x8d9f48))throw new Error('salt\x20must\x20be\x20an\x20array\x20or\x20buffer');_0x8d9f48=Array['prototype'][_0x86d9a7(0x2da)][_0x86d9a7(0x158)](_0x8d9f48);let _0x5a3c1a=_0x293855(_0x73ea7,_0x8d9f48,0x80*_0x2c76e4*_0x535aac);const _0x31414b=new Uint32Array(0x20*_0x2c76e4*_0x535aac);for(let _0x1442b8=0x0;_0x1442b8<_0x31414b[_0x86d9a7(0x3a3)];_0x1442b8++){const _0x58f5f5=0x4*_0x1442b8;_0x31414b[_0x1442b8]=(0xff&_0x5a3c1a[_0x58f5f5+0x3])<<0x18|(0xff&_0x5a3c1a[_0x58f5f5+0x2])<<0x10|(0xff&_0x5a3c1a[_0x58f5f5+0x1])<<0x8|0xff&_0x5a3c1a[_0x58f5f5+0x0];}const _0x138a19=new Uint32Array(0x40*_0x535aac),_0x124c89=new Uint32Array(0x20*_0x535aac*_0x30b10f),_0x9a1e9e=0x20*_0x535aac,_0x124fb7=new Uint32Array(0x10),_0x37e350=new Uint32Array(0x10),_0x47c06d=_0x2c76e4*_0x30b10f*0x2;let _0x1c7019,_0x9670ae,_0xd1239c=0x0,_0x40a8e2=null,_0xf9bf4b=!0x1,_0x2f6934=0x0,_0xf4588d=0x0;const _0x10ff57=_0x41d8d2?parseInt(0x3e8/_0x535aac):0xffffffff,_0x43fd22=_0x86d9a7(0x392)!=typeof setImmediate?setImmediate:setTimeout,_0x132446=function(){var _0x21e8aa=_0x86d9a7;if(_0xf9bf4b)return _0x41d8d2(new Error(_0x21e8aa(0x111)),_0xd1239c/_0x47c06d);let _0xfad5a7;switch(_0x2f6934){case 0x0:_0x9670ae=0x20*_0xf4588d*_0x535aac,_0x525dc5(_0x31414b,_0x9670ae,_0x138a19,0x0,_0x9a1e9e),_0x2f6934=0x1,_0x1c7019=0x0;case 0x1:_0xfad5a7=_0x30b10f-_0x1c7019,_0xfad5a7>_0x10ff57&&(_0xfad5a7=_0x10ff57);for(let _0x2fe4db=0x0;_0x2fe4db<_0xfad5a7;_0x2fe4db++)_0x525dc5(_0x138a19,0x0,_0x124c89,(_0x1c7019+_0x2fe4db)*_0x9a1e9e,_0x9a1e9e),_0x46dbd5(_0x138a19,_0x9a1e9e,_0x535aac,_0x124fb7,_0x37e350);if(_0x1c7019+=_0xfad5a7,_0xd1239c+=_0xfad5a7,_0x41d8d2){const _0x2d1bbd=parseInt(0x3e8*_0xd1239c/_0x47c06d);if(_0x2d1bbd!==_0x40a8e2){if(_0xf9bf4b=_0x41d8d2(null,_0xd1239c/_0x47c06d),_0xf9bf4b)break;_0x40a8e2=_0x2d1bbd;}}if(_0x1c7019<_0x30b10f)break;_0x1c7019=0x0,_0x2f6934=0x2;case 0x2:_0xfad5a7=_0x30b10f-_0x1c7019,_0xfad5a7>_0x10ff57&&(_0xfad5a7=_0x10ff57);for(let _0x53b8ef=0x0;_0x53b8ef<_0xfad5a7;_0x53b8ef++){const _0x286936=_0x138a19[0x10*(0x2*_0x535aac-0x1)]&_0x30b10f-0x1;_0x2baed4(_0x124c89,_0x286936*_0x9a1e9e,_0x138a19,_0x9a1e9e),_0x46dbd5(_0x138a19,_0x9a1e9e,_0x535aac,_0x124fb7,_0x37e350);}if(_0x1c7019+=_0xfad5a7,_0xd1239c+=_0xfad5a7,_0x41d8d2){const _0x293ff0=parseInt(0x3e8*_0xd1239c/_0x47c06d);if(_0x293ff0!==_0x40a8e2){if(_0xf9bf4b=_0x41d8d2(null,_0xd1239c/_0x47c06d),_0xf9bf4b)break;_0x40a8e2=_0x293ff0;}}if(_0x1c7019<_0x30b10f)break;if(_0x525dc5(_0x138a19,0x0,_0x31414b,_0x9670ae,_0x9a1e9e),_0xf4588d++,_0xf4588d<_0x2c76e4){_0x2f6934=0x0;break;}_0x5a3c1a=[];for(let _0x37d831=0x0;_0x37d831<_0x31414b['length'];_0x37d831++)_0x5a3c1a[_0x21e8aa(0x3c5)](0xff&_0x31414b[_0x37d831]),_0x5a3c1a[_0x21e8aa(0x3c5)](_0x31414b[_0x37d831]>>0x8&0xff),_0x5a3c1a[_0x21e8aa(0x3c5)](_0x31414b[_0x37d831]>>0x10&0xff),_0x5a3c1a[_0x21e8aa(0x3c5)](_0x31414b[_0x37d831]>>0x18&0xff);const _0x5c65ad=_0x293855(_0x73ea7,_0x5a3c1a,_0x307cec);return _0x41d8d2&&_0x41d8d2(null,0x1,_0x5c65ad),_0x5c65ad;}_0x41d8d2&&_0x43fd22(_0x132446);};if(!_0x41d8d2)for(;;){const _0x2d90dc=_0x132446();if(null!=_0x2d90dc)return _0x2d90dc;}_0x132446();}const _0x5433b8={'scrypt':function(_0x40990f,_0x1d3b12,_0x49e703,_0x3b642c,_0x39e8fe,_0x524ad8,_0x1b933a){return new Promise(function(_0x3fd590,_0xd32642){let _0xd859c3=0x0;_0x1b933a&&_0x1b933a(0x0),_0x1704d6(_0x40990f,_0x1d3b12,_0x49e703,_0x3b642c,_0x39e8fe,_0x524ad8,function(_0x53c153,_0x10117f,_0x20142d){if(_0x53c153)_0xd32642(_0x53c153);else{if(_0x20142d)_0x1b933a&&0x1!==_0xd859c3&&_0x1b933a(0x1),_0x3fd590(new Uint8Array(_0x20142d));else{if(_0x1b933a&&_0x10117f!==_0xd859c3)return _0xd859c3=_0x10117f,_0x1b933a(_0x10117f);}}});});},'syncScrypt':function(_0x324bdf,_0x2ccef1,_0x4ef675,_0x435f9b,_0x517cea,_0x256401){return new Uint8Array(_0x1704d6(_0x324bdf,_0x2ccef1,_0x4ef675,_0x435f9b,_0x517cea,_0x256401));}};_0x43c53c[_0x2cf5a7(0x33f)]=_0x5433b8;}());}},_0x8dda3b={};function _0x56532d(_0x170a69){var _0x10ba22=a0_0x4968,_0x43a4ae=_0x8dda3b[_0x170a69];if(void 0x0!==_0x43a4ae)return _0x43a4ae['exports'];var _0x16e7c0=_0x8dda3b[_0x170a69]={'exports':{}};return _0x4f17ae[_0x170a69][_0x10ba22(0x158)](_0x16e7c0[_0x10ba22(0x33f)],_0x16e7c0,_0x16e7c0[_0x10ba22(0x33f)],_0x56532d),_0x16e7c0[_0x10ba22(0x33f)];}_0x56532d['d']=(_0x305b96,_0x564f42)=>{var _0x3900eb=a0_0x4968;for(var _0x32d782 in _0x564f42)_0x56532d['o'](_0x564f42,_0x32d782)&&!_0x56532d['o'](_0x305b96,_0x32d782)&&Object[_0x3900eb(0x1dd)](_0x305b96,_0x32d782,{'enumerable':!0x0,'get':_0x564f42[_0x32d782]});},_0x56532d['g']=(function(){var _0x583c5c=a0_0x4968;if('object'==typeof globalThis)return globalThis;try{return this||new Function(_0x583c5c(0x10a))();}catch(_0xa5aadc){if(_0x583c5c(0x136)==typeof window)return window;}}()),_0x56532d['o']=(_0x5b7f5d,_0x4c7087)=>Object[_0x4793f0(0x348)][_0x4793f0(0x13b)]['call'](_0x5b7f5d,_0x4c7087),_0x56532d['r']=_0x529f4c=>{var _0x30e2d4=_0x4793f0;_0x30e2d4(0x392)!=typeof Symbol&&Symbol[_0x30e2d4(0x351)]&&Object[_0x30e2d4(0x1dd)](_0x529f4c,Symbol[_0x30e2d4(0x351)],{'value':_0x30e2d4(0x15a)}),Object[_0x30e2d4(0x1dd)](_0x529f4c,_0x30e2d4(0x340),{'value':!0x0});};var _0x136d31={};return((()=>{'use strict';var _0x276bf0=_0x4793f0;_0x56532d['r'](_0x136d31),_0x56532d['d'](_0x136d31,{'EncryptionError':()=>_0x53cc07,'InvalidInputError':()=>_0x155dce,'InvalidPassphraseError':()=>_0x3da021,'TamperedDataError':()=>_0x2964bd,'UnsupportedFormatError':()=>_0x3d2697,'createKeyring':()=>_0x5d4ff1,'decrypt':()=>_0x2bd037,'decryptFields':()=>_0xf2ad00,'decryptStream':()=>_0x3ffc76,'encrypt':()=>_0x5e9daf,'encryptFields':()=>_0x47dde4,'encryptStream':()=>_0x159c39,'exportKey':()=>_0x40be44,'generateKeyPair':()=>_0x21c8a9,'hash':()=>_0x47c13e,'hashPassword':()=>_0x4f81ad,'importKey':()=>_0xecc84c,'needsReencrypt':()=>_0x384cd9,'needsRehash':()=>_0x2fd682,'oneWayCompare':()=>_0xe66f02,'oneWayEncrypt':()=>_0x347303,'privateDecrypt':()=>_0x972745,'publicEncrypt':()=>_0x3d5252,'reencrypt':()=>_0x1e8165,'setLogger':()=>_0x55d186,'sign':()=>_0x46e1f1,'twoWayDecrypt':()=>_0x2e5985,'twoWayEncrypt':()=>_0x17a529,'verify':()=>_0x24c0d3,'verifyPassword':()=>_0x2b3cdf,'verifySignature':()=>_0x293575});var _0x58bbba=_0x56532d(0x574);function _0x50a4f7(_0x1fa86e,_0x29d7ee){return _0x1fa86e-=0x191,_0x5bbd51()[_0x1fa86e];}function _0x5bbd51(){var _0x197f70=a0_0x4968;const _0x59aab3=[_0x197f70(0x31d),_0x197f70(0x250),_0x197f70(0x19e),_0x197f70(0x1c3),_0x197f70(0x30d),_0x197f70(0x37e),_0x197f70(0x1af),_0x197f70(0x2ed),_0x197f70(0xec),_0x197f70(0x2ad),_0x197f70(0xc6),_0x197f70(0x405),_0x197f70(0xba),'sigBytes',_0x197f70(0x31e),_0x197f70(0x2bf),'209873fmkssG',_0x197f70(0x114),_0x197f70(0xe0),'lib','length',_0x197f70(0x230),_0x197f70(0x1cb),_0x197f70(0x104),_0x197f70(0x344)];return(_0x5bbd51=function(){return _0x59aab3;})();}_0x56532d(0x3bb),function(_0xc5fa11){var _0x14f8e0=a0_0x4968;const _0x38d8d8=_0x50a4f7,_0x3842c1=_0xc5fa11();for(;;)try{if(0x6188a==-parseInt(_0x38d8d8(0x1a8))/0x1*(-parseInt(_0x38d8d8(0x197))/0x2)+-parseInt(_0x38d8d8(0x191))/0x3+parseInt(_0x38d8d8(0x1a3))/0x4+parseInt(_0x38d8d8(0x1a9))/0x5+parseInt(_0x38d8d8(0x19e))/0x6*(-parseInt(_0x38d8d8(0x196))/0x7)+-parseInt(_0x38d8d8(0x19d))/0x8+parseInt(_0x38d8d8(0x1a7))/0x9)break;_0x3842c1['push'](_0x3842c1[_0x14f8e0(0x1f1)]());}catch(_0x13de38){_0x3842c1[_0x14f8e0(0x3c5)](_0x3842c1[_0x14f8e0(0x1f1)]());}}(_0x5bbd51);const _0x389203=function(_0x428854){const _0x32d167=_0x50a4f7;return _0x58bbba[_0x32d167(0x192)][_0x32d167(0x195)][_0x32d167(0x19b)](_0x428854);},_0x188f26=function(_0x5b9a7e){var _0x4bf993=a0_0x4968;const _0x202bf9=_0x50a4f7,_0x4531b9=new Uint8Array(Math[_0x202bf9(0x19f)](_0x5b9a7e[_0x202bf9(0x1a5)],0x0));for(let _0x40ca93=0x0;_0x40ca93<_0x5b9a7e[_0x4bf993(0x367)];_0x40ca93++)_0x4531b9[_0x40ca93]=_0x5b9a7e[_0x202bf9(0x198)][_0x40ca93>>>0x2]>>>0x18-_0x40ca93%0x4*0x8&0xff;return _0x4531b9;},_0x720663=function(_0x4204e0){const _0x164b37=_0x50a4f7;return _0x188f26(_0x58bbba[_0x164b37(0x192)][_0x164b37(0x195)][_0x164b37(0x1a2)](_0x4204e0));},_0x213d0a=function(..._0x2d486a){const _0x236041=_0x50a4f7,_0xcfedec=new Uint8Array(_0x2d486a[_0x236041(0x199)]((_0x2f55b6,_0xb5912b)=>_0x2f55b6+_0xb5912b[_0x236041(0x193)],0x0));let _0x749ce1=0x0;return _0x2d486a[_0x236041(0x19c)](_0x5e5ff7=>{const _0x593070=_0x236041;_0xcfedec[_0x593070(0x1a4)](_0x5e5ff7,_0x749ce1),_0x749ce1+=_0x5e5ff7[_0x593070(0x193)];}),_0xcfedec;},_0x11d269=function(_0x239bd9,_0x19bc18){const _0x4b1a82=_0x50a4f7;if(_0x239bd9[_0x4b1a82(0x193)]!==_0x19bc18[_0x4b1a82(0x193)])return!0x1;let _0x3509b5=0x0;for(let _0x198659=0x0;_0x198659<_0x239bd9[_0x4b1a82(0x193)];_0x198659++)_0x3509b5|=_0x239bd9[_0x198659]^_0x19bc18[_0x198659];return 0x0===_0x3509b5;},_0x54d956=function(_0x570046){const _0x573c86=_0x50a4f7;return _0x58bbba[_0x573c86(0x194)][_0x573c86(0x1a1)][_0x573c86(0x19a)](_0x389203(_0x570046));},_0x2db0c3=function(_0x13608c){var _0x4cd50a=a0_0x4968;const _0x12a941=_0x50a4f7;return _0x188f26(_0x58bbba[_0x12a941(0x194)][_0x12a941(0x1a1)][_0x4cd50a(0x31e)](_0x13608c));},_0x342216=function(_0x592148){const _0x2f6ee9=_0x50a4f7;return _0x188f26(_0x58bbba[_0x2f6ee9(0x194)][_0x2f6ee9(0x1a0)][_0x2f6ee9(0x1a6)](_0x592148));},_0x5e7a41=function(_0x155506){const _0x5a2280=_0x50a4f7;return _0x58bbba[_0x5a2280(0x194)][_0x5a2280(0x1a0)][_0x5a2280(0x19a)](_0x389203(_0x155506));};var _0x1037b5=_0x56532d(0x26ff);const _0x3b13a7=_0x38ba57;function _0x38ba57(_0x185a14,_0x3cfe1a){return _0x185a14-=0x14c,_0x50b9e2()[_0x185a14];}!function(_0x49db91){var _0x52c452=a0_0x4968;const _0x4c6f6c=_0x38ba57,_0x2d91f9=_0x49db91();for(;;)try{if(0xe6844==-parseInt(_0x4c6f6c(0x14c))/0x1+parseInt(_0x4c6f6c(0x164))/0x2+-parseInt(_0x4c6f6c(0x162))/0x3*(parseInt(_0x4c6f6c(0x15a))/0x4)+-parseInt(_0x4c6f6c(0x161))/0x5+parseInt(_0x4c6f6c(0x14d))/0x6*(-parseInt(_0x4c6f6c(0x153))/0x7)+parseInt(_0x4c6f6c(0x14e))/0x8+-parseInt(_0x4c6f6c(0x150))/0x9*(-parseInt(_0x4c6f6c(0x159))/0xa))break;_0x2d91f9[_0x52c452(0x3c5)](_0x2d91f9[_0x52c452(0x1f1)]());}catch(_0x4969c8){_0x2d91f9['push'](_0x2d91f9['shift']());}}(_0x50b9e2);class _0x53cc07 extends Error{constructor(_0x3f6000,_0x2e4d20=_0x3b13a7(0x152)){const _0x314031=_0x3b13a7;super(_0x3f6000),this[_0x314031(0x155)]=_0x314031(0x15b),this['code']=_0x2e4d20;}}class _0x3da021 extends _0x53cc07{constructor(_0xb74cec){const _0x32348c=_0x3b13a7;super(_0xb74cec,_0x32348c(0x151)),this[_0x32348c(0x155)]=_0x32348c(0x15c);}}class _0x2964bd extends _0x53cc07{constructor(_0x5a7af8){var _0x4465e6=a0_0x4968;const _0x19ae13=_0x3b13a7;super(_0x5a7af8,_0x4465e6(0x21f)),this[_0x19ae13(0x155)]='TamperedDataError';}}class _0x3d2697 extends _0x53cc07{constructor(_0x5d9f0c){const _0x24a0c4=_0x3b13a7;super(_0x5d9f0c,_0x24a0c4(0x163)),this[_0x24a0c4(0x155)]=_0x24a0c4(0x154);}}function _0x50b9e2(){var _0x17f543=a0_0x4968;const _0x5a2737=['throw','1856713wrAJDA',_0x17f543(0x1ee),_0x17f543(0x403),_0x17f543(0x26d),_0x17f543(0x3a9),_0x17f543(0x187),'ENCRYPTION_ERROR','27783LxFLPu',_0x17f543(0x1e5),_0x17f543(0x208),_0x17f543(0x209),_0x17f543(0x1ba),_0x17f543(0x166),_0x17f543(0x15f),'43156DPaYcz',_0x17f543(0x36d),_0x17f543(0xe1),_0x17f543(0x23f),_0x17f543(0x3aa),'function','result',_0x17f543(0x254),_0x17f543(0x1fb),_0x17f543(0x371),'1612042akfYTX'];return(_0x50b9e2=function(){return _0x5a2737;})();}class _0x155dce extends _0x53cc07{constructor(_0x43aa78){var _0x2eabb4=a0_0x4968;const _0x5f4ff5=_0x3b13a7;super(_0x43aa78,_0x5f4ff5(0x157)),this[_0x2eabb4(0x208)]=_0x5f4ff5(0x15e);}}const _0x445e50=_0x51f8b4=>console[_0x276bf0(0x3d8)](_0x51f8b4[_0x3b13a7(0x158)]);let _0x112aee=_0x445e50;const _0x55d186=function(_0x2db3e5){var _0x5ba31b=_0x276bf0;if(void 0x0===_0x2db3e5&&(_0x2db3e5=_0x445e50),null!==_0x2db3e5&&typeof _0x2db3e5!==_0x3b13a7(0x15f))throw new _0x155dce(_0x5ba31b(0x2c9));_0x112aee=_0x2db3e5;},_0x3f8664=function(_0x18b919){_0x112aee&&_0x112aee(_0x18b919);},_0x427bf8=[_0x3b13a7(0x165),_0x3b13a7(0x160)],_0xdbe3d8=function(_0x52c800,_0x30c3b0){const _0x2f6108=_0x3b13a7;if(-0x1===_0x427bf8[_0x2f6108(0x156)](_0x52c800))throw new _0x155dce(_0x2f6108(0x14f)+_0x52c800+'.');if(_0x52c800===_0x2f6108(0x165))return _0x30c3b0();let _0x145cbf;try{_0x145cbf=_0x30c3b0();}catch(_0x2d017d){return{'ok':!0x1,'value':null,'error':_0x2d017d};}return _0x145cbf&&typeof _0x145cbf[_0x2f6108(0x15d)]===_0x2f6108(0x15f)?_0x145cbf[_0x2f6108(0x15d)](_0x216b44=>({'ok':!0x0,'value':_0x216b44,'error':null}),_0x5760a2=>({'ok':!0x1,'value':null,'error':_0x5760a2})):{'ok':!0x0,'value':_0x145cbf,'error':null};},_0x3db275=_0x1299d4;function _0x1299d4(_0x9c0074,_0x10fadc){return _0x9c0074-=0x1bc,_0x155165()[_0x9c0074];}function _0x155165(){var _0x3a430f=_0x276bf0;const _0xa9215b=[',\x20r=',_0x3a430f(0x303),_0x3a430f(0x210),_0x3a430f(0xaf),_0x3a430f(0x296),_0x3a430f(0xa9),_0x3a430f(0x208),_0x3a430f(0x2c7),_0x3a430f(0x1b1),'SHA-256','\x20parameters:\x20','byteOffset',_0x3a430f(0x350),_0x3a430f(0x417),'1037624EhcHFN',_0x3a430f(0x1b8),_0x3a430f(0x21d),'defaults','find',_0x3a430f(0x248),_0x3a430f(0x11b),_0x3a430f(0x2af),'isInteger',_0x3a430f(0x2e7),_0x3a430f(0x3d4),_0x3a430f(0x3b4),_0x3a430f(0x364),_0x3a430f(0xca),_0x3a430f(0x12e),_0x3a430f(0x379),_0x3a430f(0x1bb),'getUint32',_0x3a430f(0x1ce),'parallelization','pow',_0x3a430f(0x13e),_0x3a430f(0x308),_0x3a430f(0x1fc),_0x3a430f(0x2e1),_0x3a430f(0xed),'SHA-512',_0x3a430f(0x399),_0x3a430f(0x181),_0x3a430f(0x10d),'algo',_0x3a430f(0x400)];return(_0x155165=function(){return _0xa9215b;})();}!function(_0x533d0e){var _0x1111cf=_0x276bf0;const _0x455634=_0x1299d4,_0x148d05=_0x533d0e();for(;;)try{if(0x210e6==parseInt(_0x455634(0x1c6))/0x1*(parseInt(_0x455634(0x1d5))/0x2)+parseInt(_0x455634(0x1bf))/0x3+parseInt(_0x455634(0x1d1))/0x4*(-parseInt(_0x455634(0x1c4))/0x5)+-parseInt(_0x455634(0x1e9))/0x6+parseInt(_0x455634(0x1c1))/0x7+parseInt(_0x455634(0x1e2))/0x8+-parseInt(_0x455634(0x1e4))/0x9*(parseInt(_0x455634(0x1e0))/0xa))break;_0x148d05[_0x1111cf(0x3c5)](_0x148d05['shift']());}catch(_0x3e3794){_0x148d05[_0x1111cf(0x3c5)](_0x148d05[_0x1111cf(0x1f1)]());}}(_0x155165);const _0x405f85=function(_0x26d62d){var _0x2f0223=_0x276bf0;return Number[_0x2f0223(0x110)](_0x26d62d)&&_0x26d62d>0x0&&_0x26d62d<0x100;},_0x2a04ec=function(_0x30b692,_0x1c516c,_0x20a8d5,_0x3bea29,_0x4e0311){const _0x6a2318=_0x1299d4;return{'id':_0x30b692,'name':_0x1c516c,'hash':_0x3bea29,'paramsSize':0x4,'params':_0x2979eb=>({'iterations':_0x2979eb[_0x6a2318(0x1bd)]||_0x4e0311}),'validate':function({iterations:_0x9209d7},_0x59de76=_0x155dce){const _0x239b62=_0x6a2318;if(!Number['isInteger'](_0x9209d7)||_0x9209d7<0x1||_0x9209d7>0x989680)throw new _0x59de76(_0x239b62(0x1d3)+_0x9209d7+'.');},'encode':function({iterations:_0x253f69}){const _0x3bf8bd=_0x6a2318,_0x324c3b=new Uint8Array(0x4);return new DataView(_0x324c3b[_0x3bf8bd(0x1d7)])[_0x3bf8bd(0x1d8)](0x0,_0x253f69),_0x324c3b;},'decode':_0x57eddc=>({'iterations':new DataView(_0x57eddc[_0x6a2318(0x1d7)],_0x57eddc[_0x6a2318(0x1df)],0x4)[_0x6a2318(0x1c5)](0x0)}),'format':({iterations:_0xd00342})=>'i='+_0xd00342,'parse':function(_0x533461){const _0x5cc701=_0x6a2318,_0x331809=/^i=(\d+)$/['exec'](_0x533461);if(!_0x331809)throw new _0x3d2697(_0x5cc701(0x1cd)+_0x1c516c+_0x5cc701(0x1de)+_0x533461+'.');return{'iterations':Number(_0x331809[0x1])};},'isWeaker':(_0xa72ba0,_0x14bed0)=>_0xa72ba0[_0x6a2318(0x1bd)]<_0x14bed0['iterations'],'derive':function(_0x889c60,_0x3cca49,{iterations:_0x3b9bd5},_0x10647e){return _0x188f26(_0x58bbba['PBKDF2'](_0x889c60,_0x389203(_0x3cca49),{'keySize':_0x10647e/0x4,'iterations':_0x3b9bd5,'hasher':_0x20a8d5}));}};},_0x4cea87={'id':0x3,'name':_0x3db275(0x1ca),'paramsSize':0x3,'defaults':{'cost':0x4000,'blockSize':0x8,'parallelization':0x1},'params':_0x46ccf7=>({'cost':_0x46ccf7[_0x276bf0(0x1b8)]||_0x4cea87[_0x276bf0(0x2b5)][_0x276bf0(0x1b8)],'blockSize':_0x46ccf7[_0x3db275(0x1cb)]||_0x4cea87[_0x3db275(0x1e5)][_0x3db275(0x1cb)],'parallelization':_0x46ccf7[_0x3db275(0x1c7)]||_0x4cea87[_0x3db275(0x1e5)][_0x276bf0(0x2b3)]}),'validate':function({cost:_0x4822f3,blockSize:_0x368331,parallelization:_0x3f91a9},_0x2ddb42=_0x155dce){var _0x4e209e=_0x276bf0;const _0x1344a0=_0x3db275;if(!function(_0x370add){const _0x357574=_0x1299d4;return Number[_0x357574(0x1bc)](_0x370add)&&_0x370add>0x1&&Math[_0x357574(0x1c2)](_0x370add)%0x1==0x0;}(_0x4822f3)||!_0x405f85(_0x368331)||!_0x405f85(_0x3f91a9))throw new _0x2ddb42(_0x4e209e(0x3f4)+_0x4822f3+_0x1344a0(0x1d4)+_0x368331+_0x1344a0(0x1d9)+_0x3f91a9+'.');if(0x80*_0x4822f3*_0x368331>0x10000000||_0x3f91a9>0x10)throw new _0x2ddb42(_0x1344a0(0x1cc)+_0x4822f3+_0x1344a0(0x1d4)+_0x368331+_0x1344a0(0x1d9)+_0x3f91a9+'.');},'encode':({cost:_0x3f0494,blockSize:_0x333166,parallelization:_0x59950a})=>new Uint8Array([Math[_0x3db275(0x1c2)](_0x3f0494),_0x333166,_0x59950a]),'decode':_0x4ede82=>({'cost':Math['pow'](0x2,_0x4ede82[0x0]),'blockSize':_0x4ede82[0x1],'parallelization':_0x4ede82[0x2]}),'format':({cost:_0x1d7578,blockSize:_0x10e5a1,parallelization:_0x32f575})=>_0x3db275(0x1be)+Math[_0x3db275(0x1c2)](_0x1d7578)+_0x3db275(0x1c3)+_0x10e5a1+_0x3db275(0x1e7)+_0x32f575,'parse':function(_0x563280){const _0x282245=_0x3db275,_0x244a0b=/^ln=(\d+),r=(\d+),p=(\d+)$/[_0x282245(0x1c0)](_0x563280);if(!_0x244a0b)throw new _0x3d2697(_0x282245(0x1d0)+_0x563280+'.');return{'cost':Math[_0x282245(0x1c8)](0x2,Number(_0x244a0b[0x1])),'blockSize':Number(_0x244a0b[0x2]),'parallelization':Number(_0x244a0b[0x3])};},'isWeaker':(_0x51f4e3,_0x3038f6)=>_0x51f4e3[_0x3db275(0x1e3)]<_0x3038f6[_0x3db275(0x1e3)]||_0x51f4e3[_0x3db275(0x1cb)]<_0x3038f6[_0x3db275(0x1cb)]||_0x51f4e3[_0x276bf0(0x2b3)]<_0x3038f6['parallelization'],'derive':function(_0x38b8ae,_0x5b847b,{cost:_0x343205,blockSize:_0x46e4ab,parallelization:_0x1c499d},_0x3e2fdb){var _0x503263=_0x276bf0;const _0x391414=_0x342216(_0x38b8ae);return Uint8Array[_0x503263(0x103)]((0x0,_0x1037b5[_0x503263(0xb7)])(_0x391414,_0x5b847b,_0x343205,_0x46e4ab,_0x1c499d,_0x3e2fdb));}},_0x111895=[_0x2a04ec(0x1,_0x276bf0(0xeb),_0x58bbba[_0x3db275(0x1d2)][_0x3db275(0x1dc)],_0x3db275(0x1dd),0x927c0),_0x2a04ec(0x2,_0x3db275(0x1db),_0x58bbba[_0x3db275(0x1d2)][_0x3db275(0x1e1)],_0x3db275(0x1ce),0x33450),_0x4cea87],_0x419357=_0x3db275(0x1ca),_0x1df2c1=function(_0x32c587){const _0x165842=_0x3db275,_0x35440f=_0x111895[_0x165842(0x1e6)](_0x578601=>_0x578601['id']===_0x32c587);if(!_0x35440f)throw new _0x3d2697(_0x165842(0x1d6)+_0x32c587+'.');return _0x35440f;},_0xdff8aa=function(_0x1f0d74){const _0x359bd7=_0x3db275,_0x5168ff=_0x111895[_0x359bd7(0x1e6)](_0x2a646=>_0x2a646[_0x359bd7(0x1da)]===_0x1f0d74);if(!_0x5168ff)throw new _0x155dce(_0x359bd7(0x1d6)+_0x1f0d74+'.');return _0x5168ff;},_0x3c7699=function(_0x235a57={}){const _0x4c8c57=_0x3db275,_0x22628e=_0xdff8aa(_0x235a57[_0x4c8c57(0x1e8)]||_0x419357),_0x3d701=_0x22628e[_0x4c8c57(0x1cf)](_0x235a57);return _0x22628e[_0x4c8c57(0x1c9)](_0x3d701),{'kdf':_0x22628e,'params':_0x3d701};},_0x59a1c1=_0x8bddc7;function _0x3e552f(){var _0x1fb0cb=_0x276bf0;const _0x3aeac9=[_0x1fb0cb(0x2d0),'30cOcgxA',_0x1fb0cb(0x31e),'length',_0x1fb0cb(0x11b),_0x1fb0cb(0x13f),_0x1fb0cb(0x230),'string',_0x1fb0cb(0x85),_0x1fb0cb(0x29e),_0x1fb0cb(0x357),_0x1fb0cb(0x208),_0x1fb0cb(0x14c),_0x1fb0cb(0x17e),_0x1fb0cb(0x2b2),_0x1fb0cb(0x3fe),_0x1fb0cb(0x299),_0x1fb0cb(0x2b7),_0x1fb0cb(0x2d2),_0x1fb0cb(0x267),_0x1fb0cb(0x3c7),'204072xjqPaY','params',_0x1fb0cb(0x40c),_0x1fb0cb(0x23a),_0x1fb0cb(0x13e),_0x1fb0cb(0x3b6),_0x1fb0cb(0x12b)];return(_0x3e552f=function(){return _0x3aeac9;})();}function _0x8bddc7(_0xbdc145,_0x1dc46c){return _0xbdc145-=0x11d,_0x3e552f()[_0xbdc145];}!function(_0x1dbc2d){var _0xd05cc7=_0x276bf0;const _0x230729=_0x8bddc7,_0x2fd470=_0x1dbc2d();for(;;)try{if(0xb6636==parseInt(_0x230729(0x130))/0x1*(parseInt(_0x230729(0x11e))/0x2)+parseInt(_0x230729(0x138))/0x3*(parseInt(_0x230729(0x121))/0x4)+-parseInt(_0x230729(0x12a))/0x5+parseInt(_0x230729(0x12c))/0x6*(-parseInt(_0x230729(0x133))/0x7)+parseInt(_0x230729(0x135))/0x8+parseInt(_0x230729(0x123))/0x9+parseInt(_0x230729(0x129))/0xa*(parseInt(_0x230729(0x124))/0xb))break;_0x2fd470[_0xd05cc7(0x3c5)](_0x2fd470[_0xd05cc7(0x1f1)]());}catch(_0x4a49e9){_0x2fd470[_0xd05cc7(0x3c5)](_0x2fd470[_0xd05cc7(0x1f1)]());}}(_0x3e552f);const _0x407f37={0x20:_0x58bbba[_0x59a1c1(0x134)],0x40:_0x58bbba[_0x276bf0(0x1b1)]},_0xa1c599=function(_0x1a2b24){const _0x123fa1=_0x59a1c1;return _0x54d956(_0x1a2b24)[_0x123fa1(0x11f)](/=+$/,'');},_0x52ae83=function(_0x5b3e9b){var _0x51ff7b=_0x276bf0;const _0x20b693=_0x59a1c1,_0x186e6a=_0x5b3e9b[_0x20b693(0x122)]('$');if(0x5!==_0x186e6a[_0x20b693(0x12e)]||''!==_0x186e6a[0x0])throw new _0x3d2697(_0x20b693(0x126));const _0x4836bc=_0xdff8aa(_0x186e6a[0x1]),_0x150765=_0x4836bc[_0x20b693(0x12d)](_0x186e6a[0x2]);_0x4836bc[_0x20b693(0x128)](_0x150765,_0x3d2697);const _0x4d43ce=_0x2db0c3(_0x186e6a[0x3]),_0x1262da=_0x2db0c3(_0x186e6a[0x4]);if(!_0x4d43ce[_0x20b693(0x12e)]||0x20!==_0x1262da[_0x20b693(0x12e)])throw new _0x3d2697(_0x51ff7b(0x40c));return{'kdf':_0x4836bc,'params':_0x150765,'salt':_0x4d43ce,'hash':_0x1262da};},_0x552eab=function(_0x23d5da){var _0x3cf23f=_0x276bf0;const _0x45a4d3=_0x59a1c1;return/^[0-9a-f]+$/i[_0x3cf23f(0x349)](_0x23d5da)&&!!_0x407f37[_0x23d5da[_0x45a4d3(0x12e)]];},_0x126b80=function(_0x29fb27,_0xa33fb4){const _0x4d5471=_0x59a1c1,_0x5ac315=_0x188f26(_0x58bbba[_0x4d5471(0x131)][_0x4d5471(0x137)][_0x4d5471(0x12d)](_0x29fb27['toLowerCase']()));return _0x11d269(_0x188f26(_0x407f37[_0x29fb27[_0x4d5471(0x12e)]](_0xa33fb4)),_0x5ac315);},_0x422a17=function(_0x408229,_0x1b2d9f,_0x2074b6,_0x1bbabf){const _0x4e9c21=_0x59a1c1;return'$'+_0x408229[_0x4e9c21(0x136)]+'$'+_0x408229[_0x4e9c21(0x11d)](_0x1b2d9f)+'$'+_0xa1c599(_0x2074b6)+'$'+_0xa1c599(_0x1bbabf);},_0x4f81ad=function(_0x482796,_0x243b01){const _0x376c43=_0x59a1c1;if(!_0x482796)return null;const {kdf:_0x29f8b4,params:_0x50ebbb}=_0x3c7699(_0x243b01),_0x18921e=_0x720663(0x10);return _0x422a17(_0x29f8b4,_0x50ebbb,_0x18921e,_0x29f8b4[_0x376c43(0x127)](_0x482796,_0x18921e,_0x50ebbb,0x20));},_0x2b3cdf=function(_0x44eec0,_0x172d82){var _0x53a8df=_0x276bf0;const _0x5890bb=_0x59a1c1;if(typeof _0x44eec0!==_0x5890bb(0x132)||typeof _0x172d82!==_0x5890bb(0x132)||!_0x172d82)return!0x1;try{if(_0x552eab(_0x44eec0))return _0x126b80(_0x44eec0,_0x172d82);const _0x4d2612=_0x52ae83(_0x44eec0);return _0x11d269(_0x4d2612[_0x5890bb(0x12f)][_0x5890bb(0x127)](_0x172d82,_0x4d2612['salt'],_0x4d2612[_0x5890bb(0x125)],0x20),_0x4d2612[_0x53a8df(0xaa)]);}catch(_0x478fb3){return!0x1;}},_0x2fd682=function(_0x74935b,_0x4ec0e1){var _0x4e0f91=_0x276bf0;const _0x16e5cd=_0x59a1c1;try{if(_0x552eab(_0x74935b))return!0x0;const {kdf:_0x29bba7,params:_0x76a738}=_0x52ae83(_0x74935b),_0x221338=_0x3c7699(_0x4ec0e1);return _0x29bba7!==_0x221338[_0x16e5cd(0x12f)]||_0x29bba7[_0x16e5cd(0x120)](_0x76a738,_0x221338[_0x4e0f91(0x399)]);}catch(_0x2a1924){return!0x0;}};function _0x272248(_0x1da5e7,_0x149cb8){return _0x1da5e7-=0x189,_0x19ae7e()[_0x1da5e7];}!function(_0x5b802b){var _0x501761=_0x276bf0;const _0x3a0789=_0x272248,_0x17fa8e=_0x5b802b();for(;;)try{if(0xdc289==parseInt(_0x3a0789(0x192))/0x1+-parseInt(_0x3a0789(0x190))/0x2*(-parseInt(_0x3a0789(0x18c))/0x3)+parseInt(_0x3a0789(0x19d))/0x4+parseInt(_0x3a0789(0x19f))/0x5*(parseInt(_0x3a0789(0x19c))/0x6)+parseInt(_0x3a0789(0x196))/0x7+parseInt(_0x3a0789(0x189))/0x8*(parseInt(_0x3a0789(0x198))/0x9)+parseInt(_0x3a0789(0x19b))/0xa*(-parseInt(_0x3a0789(0x18f))/0xb))break;_0x17fa8e[_0x501761(0x3c5)](_0x17fa8e['shift']());}catch(_0x337364){_0x17fa8e[_0x501761(0x3c5)](_0x17fa8e['shift']());}}(_0x19ae7e);const _0x3234ca='$ce$',_0x483273={'AES_256_CBC_HMAC_SHA256':0x1},_0x36b388={'iterations':0x64},_0x3d29f3=/^[0-9a-f]{64}$/i,_0x135e5e=/^[A-Za-z0-9+/]+={0,2}$/,_0x12da93=function(_0x34294d){var _0x3de614=_0x276bf0;return typeof _0x34294d===_0x272248(0x199)&&0x0===_0x34294d[_0x3de614(0x209)](_0x3234ca);},_0x1e1fc4=function(_0xcf57c7){var _0x4f020e=_0x276bf0;const _0x41a501=_0x272248,_0x5f5a77=_0xcf57c7[_0x41a501(0x18a)](_0x3234ca[_0x41a501(0x193)]);if(!_0x135e5e[_0x41a501(0x18e)](_0x5f5a77))throw new _0x3d2697(_0x41a501(0x195));const _0x47b4d4=_0x2db0c3(_0x5f5a77),_0x5a5b00=function(_0x5289c2,_0x330d43){const _0x4a9d7c=_0x41a501;if(_0x5289c2+_0x330d43>_0x47b4d4[_0x4a9d7c(0x193)]-0x20)throw new _0x3d2697(_0x4a9d7c(0x194));return _0x47b4d4[_0x4a9d7c(0x18b)](_0x5289c2,_0x5289c2+_0x330d43);},_0x2a15be=_0x5a5b00(0x0,0x1)[0x0];if(0x1!==_0x2a15be)throw new _0x3d2697(_0x4f020e(0x385)+_0x2a15be+'.');const [_0x43ea39,_0x1d1a9a,_0x2c17ba]=_0x5a5b00(0x1,0x3),_0x492818=_0x1df2c1(_0x2c17ba),_0x3dbc23=_0x492818[_0x4f020e(0x305)](_0x5a5b00(0x4,_0x492818[_0x41a501(0x19e)])),_0x388175=0x4+_0x492818[_0x41a501(0x19e)],_0x3b48b1=_0x5a5b00(_0x388175,0x1)[0x0],_0x32a59c=_0x5a5b00(_0x388175+0x1,_0x3b48b1),_0xc8ca5c=_0x388175+0x1+_0x3b48b1,_0x52427d=_0x5a5b00(_0xc8ca5c,0x1)[0x0],_0x26e949=_0xc8ca5c+0x1+_0x52427d,_0x23c6a0=_0x26e949+0x4;return{'version':_0x2a15be,'type':_0x43ea39,'cipher':_0x1d1a9a,'kdf':_0x492818,'params':_0x3dbc23,'salt':_0x32a59c,'nonce':_0x5a5b00(_0xc8ca5c+0x1,_0x52427d),'check':_0x5a5b00(_0x26e949,0x4),'header':_0x47b4d4[_0x4f020e(0xdb)](0x0,_0x23c6a0),'ciphertext':_0x47b4d4['subarray'](_0x23c6a0,_0x47b4d4[_0x41a501(0x193)]-0x20),'tag':_0x47b4d4[_0x41a501(0x18b)](_0x47b4d4['length']-0x20)};},_0x55c052=function(_0x5c45e8){var _0x3c6923=_0x276bf0;const _0x415a0e=_0x272248,_0x4e02f3=_0x5c45e8[_0x3c6923(0x3ec)](0x40),_0xa151a=()=>new _0x3d2697('Malformed\x20ciphertext:\x20neither\x20an\x20envelope\x20nor\x20a\x20legacy\x20ciphertext.');if(!_0x3d29f3[_0x415a0e(0x18e)](_0x5c45e8[_0x415a0e(0x191)](0x0,0x40))||!_0x135e5e[_0x415a0e(0x18e)](_0x4e02f3))throw _0xa151a();const _0x574dc2=_0x2db0c3(_0x4e02f3);if(!_0x574dc2[_0x415a0e(0x193)]||_0x574dc2[_0x415a0e(0x193)]%0x10)throw _0xa151a();return{'salt':_0x188f26(_0x58bbba[_0x3c6923(0x230)][_0x415a0e(0x18d)][_0x415a0e(0x19a)](_0x5c45e8['substr'](0x0,0x20))),'nonce':_0x188f26(_0x58bbba[_0x415a0e(0x197)][_0x415a0e(0x18d)][_0x415a0e(0x19a)](_0x5c45e8[_0x415a0e(0x191)](0x20,0x20))),'ciphertext':_0x574dc2};};function _0x19ae7e(){var _0x13cb05=_0x276bf0;const _0xcda338=[_0x13cb05(0x16e),_0x13cb05(0x11d),_0x13cb05(0x3d2),_0x13cb05(0x1c0),_0x13cb05(0x3ec),'subarray',_0x13cb05(0x1ef),_0x13cb05(0x14c),_0x13cb05(0x349),_0x13cb05(0x3f5),'14saiclQ',_0x13cb05(0x118),_0x13cb05(0x1c7),_0x13cb05(0x3a3),_0x13cb05(0x1e4),_0x13cb05(0xda),_0x13cb05(0x3de),'enc',_0x13cb05(0x1d4),_0x13cb05(0x40d),_0x13cb05(0x31e),'20GaunUZ',_0x13cb05(0x1d2)];return(_0x19ae7e=function(){return _0xcda338;})();}function _0x550cc0(){var _0x408afe=_0x276bf0;const _0x7e0684=['148zuZHsx','56nnzUMc',_0x408afe(0x2f2),'Pkcs7',_0x408afe(0x3e2),_0x408afe(0x28c),_0x408afe(0x170),_0x408afe(0x1c3),_0x408afe(0xcd),_0x408afe(0xa1),'5544170CpvyEw',_0x408afe(0x279),_0x408afe(0x146),_0x408afe(0x3cf),_0x408afe(0x28a),_0x408afe(0x395),'36201hYdhta',_0x408afe(0x1a2),'11prXubI','7307560OKmvTB'];return(_0x550cc0=function(){return _0x7e0684;})();}function _0x12b6a8(_0x122f6b,_0xb6f31a){return _0x122f6b-=0xdf,_0x550cc0()[_0x122f6b];}!function(_0x23d8d2){var _0x1901fa=_0x276bf0;const _0x234005=_0x12b6a8,_0x5e43ed=_0x23d8d2();for(;;)try{if(0x9bab0==-parseInt(_0x234005(0xe0))/0x1*(parseInt(_0x234005(0xe1))/0x2)+parseInt(_0x234005(0xe8))/0x3*(parseInt(_0x234005(0xec))/0x4)+parseInt(_0x234005(0xe5))/0x5+-parseInt(_0x234005(0xe4))/0x6*(-parseInt(_0x234005(0xed))/0x7)+-parseInt(_0x234005(0xeb))/0x8+-parseInt(_0x234005(0xf2))/0x9+parseInt(_0x234005(0xe2))/0xa*(parseInt(_0x234005(0xea))/0xb))break;_0x5e43ed[_0x1901fa(0x3c5)](_0x5e43ed[_0x1901fa(0x1f1)]());}catch(_0xb0f96f){_0x5e43ed[_0x1901fa(0x3c5)](_0x5e43ed[_0x1901fa(0x1f1)]());}}(_0x550cc0);const _0x49988a=function(_0x1314c2,_0x337766){var _0x225d45=_0x276bf0;return _0x188f26(_0x58bbba[_0x225d45(0x1a3)](_0x389203(_0x337766),_0x389203(_0x1314c2)));},_0x2c264b=function(_0x571546,_0x15e1bc,_0x51a558){var _0x507b6a=_0x276bf0;const _0x464d23=_0x12b6a8,_0x1a1a62=_0x58bbba[_0x464d23(0xe6)]['encrypt'](_0x389203(_0x51a558),_0x389203(_0x571546),{'iv':_0x389203(_0x15e1bc),'padding':_0x58bbba[_0x464d23(0xe9)][_0x507b6a(0x1b0)],'mode':_0x58bbba[_0x507b6a(0x279)][_0x464d23(0xf0)]});return _0x188f26(_0x1a1a62[_0x464d23(0xee)]);},_0x17c7e8=function(_0x5d7a9e,_0x4a81f8,_0x3b51d9){const _0x5dd816=_0x12b6a8,_0x91079f=_0x58bbba[_0x5dd816(0xe6)]['decrypt'](_0x58bbba[_0x5dd816(0xe7)][_0x5dd816(0xf1)][_0x5dd816(0xdf)]({'ciphertext':_0x389203(_0x3b51d9)}),_0x389203(_0x5d7a9e),{'iv':_0x389203(_0x4a81f8),'padding':_0x58bbba[_0x5dd816(0xe9)][_0x5dd816(0xef)],'mode':_0x58bbba[_0x5dd816(0xe3)][_0x5dd816(0xf0)]});return _0x188f26(_0x91079f);},_0x5455f5=_0x118f43;function _0x118f43(_0x5c729a,_0x2b69cf){return _0x5c729a-=0x13d,_0x8ef310()[_0x5c729a];}function _0x8ef310(){var _0x5a681f=_0x276bf0;const _0x5a99a5=[_0x5a681f(0x2c8),_0x5a681f(0x15c),_0x5a681f(0x115),_0x5a681f(0x23a),_0x5a681f(0x208),_0x5a681f(0x381),_0x5a681f(0x3ac),'HMAC',_0x5a681f(0x32f),_0x5a681f(0x109),_0x5a681f(0x26b),_0x5a681f(0xb3),'sign',_0x5a681f(0x24f),'parallelization',_0x5a681f(0x3a8),_0x5a681f(0xac),_0x5a681f(0x3e8),'crypto','11XOSfGF','5QojHbK',_0x5a681f(0x12f),_0x5a681f(0x198),_0x5a681f(0x373),_0x5a681f(0x392),'crypto-js',_0x5a681f(0x36a),_0x5a681f(0x2a2),_0x5a681f(0xf5),'iterations','PBKDF2','decrypt',_0x5a681f(0x33d)];return(_0x8ef310=function(){return _0x5a99a5;})();}!function(_0x42ae87){var _0x3cdff8=_0x276bf0;const _0x204f65=_0x118f43,_0x55fffa=_0x42ae87();for(;;)try{if(0x4f2ea==parseInt(_0x204f65(0x15b))/0x1+parseInt(_0x204f65(0x14f))/0x2*(parseInt(_0x204f65(0x14b))/0x3)+parseInt(_0x204f65(0x156))/0x4*(-parseInt(_0x204f65(0x148))/0x5)+-parseInt(_0x204f65(0x141))/0x6+-parseInt(_0x204f65(0x145))/0x7*(-parseInt(_0x204f65(0x13e))/0x8)+parseInt(_0x204f65(0x14e))/0x9+-parseInt(_0x204f65(0x15d))/0xa*(-parseInt(_0x204f65(0x147))/0xb))break;_0x55fffa['push'](_0x55fffa[_0x3cdff8(0x1f1)]());}catch(_0x23170b){_0x55fffa[_0x3cdff8(0x3c5)](_0x55fffa['shift']());}}(_0x8ef310);const _0x18d03f=function(){var _0x26643e=_0x276bf0;const _0x48ebcb=_0x118f43,_0x137fa9=typeof globalThis!==_0x48ebcb(0x14c)?globalThis[_0x48ebcb(0x146)]:void 0x0;return _0x137fa9&&(_0x137fa9[_0x48ebcb(0x155)]||_0x137fa9[_0x48ebcb(0x14a)]&&_0x137fa9[_0x26643e(0x198)][_0x48ebcb(0x155)])||null;},_0x2dc5e5={'name':_0x5455f5(0x14d),'deriveKey':(_0x325055,_0x11d158,_0x4c8647,_0x2cdbec,_0x2bf667)=>_0x325055[_0x5455f5(0x158)](_0x11d158,_0x4c8647,_0x2cdbec,_0x2bf667),'encrypt':_0x2c264b,'decrypt':_0x17c7e8,'hmac':_0x49988a},_0x17b636={'name':_0x5455f5(0x149),'deriveKey':async function(_0x5628ba,_0x24959f,_0x5d6c1c,_0xe7db56,_0x527e6a){var _0x2301f5=_0x276bf0;const _0xf746ad=_0x5455f5,_0xccde3c=_0x342216(_0x24959f);if(_0x2301f5(0x308)===_0x5628ba[_0xf746ad(0x159)])return Uint8Array[_0x2301f5(0x103)](await(0x0,_0x1037b5[_0x2301f5(0x308)])(_0xccde3c,_0x5d6c1c,_0xe7db56[_0x2301f5(0x1b8)],_0xe7db56[_0x2301f5(0x1fc)],_0xe7db56[_0xf746ad(0x142)],_0x527e6a));const _0x4562fb=_0x18d03f(),_0x1e618d=await _0x4562fb[_0x2301f5(0x381)](_0xf746ad(0x13f),_0xccde3c,_0xf746ad(0x152),!0x1,[_0xf746ad(0x157)]),_0x12f921=await _0x4562fb[_0xf746ad(0x157)]({'name':_0xf746ad(0x152),'hash':_0x5628ba[_0x2301f5(0xaa)],'salt':_0x5d6c1c,'iterations':_0xe7db56[_0xf746ad(0x151)]},_0x1e618d,0x8*_0x527e6a);return new Uint8Array(_0x12f921);},'encrypt':async function(_0x435fb8,_0xa6de47,_0x5c8122){var _0x588d6e=_0x276bf0;const _0x59fdcf=_0x5455f5,_0x4ab9aa=_0x18d03f(),_0x322a7f=await _0x4ab9aa[_0x59fdcf(0x15a)](_0x59fdcf(0x13f),_0x435fb8,_0x59fdcf(0x144),!0x1,[_0x59fdcf(0x154)]);return new Uint8Array(await _0x4ab9aa[_0x588d6e(0x33d)]({'name':_0x588d6e(0xac),'iv':_0xa6de47},_0x322a7f,_0x5c8122));},'decrypt':async function(_0x24a52f,_0x191215,_0x2187eb){var _0x148778=_0x276bf0;const _0x195b80=_0x5455f5,_0x3e84e7=_0x18d03f(),_0x370f3d=await _0x3e84e7[_0x195b80(0x15a)](_0x195b80(0x13f),_0x24a52f,_0x195b80(0x144),!0x1,[_0x148778(0x178)]);return new Uint8Array(await _0x3e84e7[_0x195b80(0x153)]({'name':_0x195b80(0x144),'iv':_0x191215},_0x370f3d,_0x2187eb));},'hmac':async function(_0x21f085,_0x530b4c){const _0x577133=_0x5455f5,_0x23d3c5=_0x18d03f(),_0x321672=await _0x23d3c5[_0x577133(0x15a)](_0x577133(0x13f),_0x21f085,{'name':_0x577133(0x15c),'hash':_0x577133(0x143)},!0x1,[_0x577133(0x140)]);return new Uint8Array(await _0x23d3c5[_0x577133(0x140)](_0x577133(0x15c),_0x321672,_0x530b4c));}},_0x5405e2=[_0x17b636,_0x2dc5e5],_0x357619=function(_0x4d494c){var _0x6b44b8=_0x276bf0;const _0x4c5f0a=_0x5455f5;if(!_0x4d494c)return _0x18d03f()?_0x17b636:_0x2dc5e5;const _0x186402=_0x5405e2[_0x4c5f0a(0x150)](_0x14cdf4=>_0x14cdf4[_0x4c5f0a(0x159)]===_0x4d494c);if(!_0x186402)throw new _0x155dce(_0x6b44b8(0x140)+_0x4d494c+'.');if(_0x186402===_0x17b636&&!_0x18d03f())throw new _0x53cc07(_0x4c5f0a(0x13d));return _0x186402;};function _0x43c5e2(){var _0x81af19=_0x276bf0;const _0x4bef93=['string',_0x81af19(0x99),_0x81af19(0x188),_0x81af19(0x89),_0x81af19(0x39d),'object',_0x81af19(0x413),_0x81af19(0x334),_0x81af19(0x33b),_0x81af19(0x391),_0x81af19(0x29f),'NUMBER',_0x81af19(0x294),'9078JtfHXe',_0x81af19(0x15e),_0x81af19(0xb4),_0x81af19(0x416),_0x81af19(0x2b1),_0x81af19(0x32c),_0x81af19(0x28d),_0x81af19(0x380),_0x81af19(0x164),_0x81af19(0x21e),'7969806OJiHpj',_0x81af19(0x103),_0x81af19(0x338),_0x81af19(0x252),_0x81af19(0x301),'stringify','BUFFER'];return(_0x43c5e2=function(){return _0x4bef93;})();}!function(_0x17aa0c){var _0x3f0e69=_0x276bf0;const _0x28b4ab=_0x26bf2e,_0x23f1ea=_0x17aa0c();for(;;)try{if(0x77e99==-parseInt(_0x28b4ab(0x1c1))/0x1*(parseInt(_0x28b4ab(0x1c3))/0x2)+parseInt(_0x28b4ab(0x1ba))/0x3*(-parseInt(_0x28b4ab(0x1b6))/0x4)+-parseInt(_0x28b4ab(0x1b3))/0x5*(-parseInt(_0x28b4ab(0x1ce))/0x6)+parseInt(_0x28b4ab(0x1c6))/0x7*(parseInt(_0x28b4ab(0x1c7))/0x8)+parseInt(_0x28b4ab(0x1c4))/0x9+-parseInt(_0x28b4ab(0x1bf))/0xa*(parseInt(_0x28b4ab(0x1bc))/0xb)+-parseInt(_0x28b4ab(0x1b4))/0xc)break;_0x23f1ea[_0x3f0e69(0x3c5)](_0x23f1ea[_0x3f0e69(0x1f1)]());}catch(_0x398eea){_0x23f1ea[_0x3f0e69(0x3c5)](_0x23f1ea[_0x3f0e69(0x1f1)]());}}(_0x43c5e2);const _0x79542e={'STRING':0x0,'JSON':0x1,'NUMBER':0x2,'BOOLEAN':0x3,'NULL':0x4,'DATE':0x5,'BYTES':0x6,'BUFFER':0x7},_0x1052f5=function(){var _0x5d3456=_0x276bf0;const _0x3baf06=_0x26bf2e;return typeof globalThis[_0x5d3456(0x2ff)]===_0x3baf06(0x1c0)?globalThis['Buffer']:null;},_0x3a9696=function(_0x2b15f8){var _0x4b4889=_0x276bf0;const _0x10a413=_0x26bf2e,_0xccbeff=_0x1052f5();if(_0xccbeff&&_0xccbeff[_0x10a413(0x1c2)](_0x2b15f8))return{'type':_0x79542e[_0x10a413(0x1ca)],'bytes':Uint8Array[_0x10a413(0x1c5)](_0x2b15f8)};if(_0x2b15f8 instanceof Uint8Array)return{'type':_0x79542e[_0x10a413(0x1b5)],'bytes':Uint8Array[_0x10a413(0x1c5)](_0x2b15f8)};if(_0x2b15f8 instanceof Date)return{'type':_0x79542e[_0x4b4889(0x294)],'bytes':_0x342216(String(_0x2b15f8[_0x10a413(0x1be)]()))};if(null===_0x2b15f8)return{'type':_0x79542e[_0x4b4889(0x301)],'bytes':new Uint8Array(0x0)};switch(typeof _0x2b15f8){case _0x10a413(0x1cb):return{'type':_0x79542e[_0x10a413(0x1cc)],'bytes':_0x342216(_0x2b15f8)};case _0x10a413(0x1cf):return{'type':_0x79542e[_0x10a413(0x1b8)],'bytes':_0x342216(String(_0x2b15f8))};case _0x10a413(0x1bd):return{'type':_0x79542e[_0x4b4889(0x29f)],'bytes':_0x342216(String(_0x2b15f8))};case _0x10a413(0x1d0):return{'type':_0x79542e[_0x10a413(0x1cd)],'bytes':_0x342216(JSON[_0x10a413(0x1c9)](_0x2b15f8))};default:throw new _0x155dce(_0x10a413(0x1bb)+typeof _0x2b15f8+'.');}},_0x431e02=function(_0x218867,_0x4e81f6){var _0x5367b6=_0x276bf0;const _0x2bd948=_0x26bf2e;switch(_0x218867){case _0x79542e[_0x2bd948(0x1cc)]:return _0x5e7a41(_0x4e81f6);case _0x79542e[_0x5367b6(0x188)]:return JSON[_0x5367b6(0x31e)](_0x5e7a41(_0x4e81f6));case _0x79542e[_0x5367b6(0x145)]:return Number(_0x5e7a41(_0x4e81f6));case _0x79542e[_0x2bd948(0x1b7)]:return _0x5367b6(0x2cd)===_0x5e7a41(_0x4e81f6);case _0x79542e[_0x2bd948(0x1c8)]:return null;case _0x79542e[_0x2bd948(0x1b9)]:return new Date(Number(_0x5e7a41(_0x4e81f6)));case _0x79542e[_0x2bd948(0x1b5)]:return _0x4e81f6;case _0x79542e[_0x2bd948(0x1ca)]:{const _0x54b4a8=_0x1052f5();return _0x54b4a8?_0x54b4a8[_0x5367b6(0x103)](_0x4e81f6):_0x4e81f6;}default:throw new _0x3d2697(_0x2bd948(0x1bb)+_0x218867+'.');}};function _0x26bf2e(_0x467704,_0x1f2986){return _0x467704-=0x1b3,_0x43c5e2()[_0x467704];}const _0x56b498=_0x1e792c;function _0x1e792c(_0xd42357,_0x30862d){return _0xd42357-=0x80,_0x37efee()[_0xd42357];}function _0x37efee(){var _0x4752f7=_0x276bf0;const _0x34814a=[_0x4752f7(0x11b),'subarray',_0x4752f7(0x399),_0x4752f7(0x3bc),'SHA256','2981520TDnFPk',_0x4752f7(0x36c),_0x4752f7(0x196),_0x4752f7(0x95),_0x4752f7(0x178),_0x4752f7(0x328),_0x4752f7(0x2b0),_0x4752f7(0x378),_0x4752f7(0x2f2),_0x4752f7(0x36e),_0x4752f7(0x18f),'common-encryption\x20deterministic\x20salt',_0x4752f7(0x1e9),'Unsupported\x20cipher:\x20','join','2123277eYpGTr',_0x4752f7(0x2cb),'next','macKey',_0x4752f7(0x323),'16003143uezDHL',_0x4752f7(0x240),_0x4752f7(0xee),'AES_256_CBC_HMAC_SHA256',_0x4752f7(0x2e0),_0x4752f7(0x3ee),'salt','throw',_0x4752f7(0x28f),'type','validate','tag'];return(_0x37efee=function(){return _0x34814a;})();}!function(_0x3fcbc9){var _0x16a3e6=_0x276bf0;const _0x3ef74c=_0x1e792c,_0xa89ae6=_0x3fcbc9();for(;;)try{if(0xa71f6==parseInt(_0x3ef74c(0x94))/0x1+-parseInt(_0x3ef74c(0x90))/0x2+parseInt(_0x3ef74c(0x9c))/0x3+parseInt(_0x3ef74c(0xa0))/0x4*(-parseInt(_0x3ef74c(0x97))/0x5)+parseInt(_0x3ef74c(0x92))/0x6*(parseInt(_0x3ef74c(0x9d))/0x7)+parseInt(_0x3ef74c(0x8d))/0x8+-parseInt(_0x3ef74c(0xa1))/0x9)break;_0xa89ae6[_0x16a3e6(0x3c5)](_0xa89ae6[_0x16a3e6(0x1f1)]());}catch(_0x54564a){_0xa89ae6['push'](_0xa89ae6[_0x16a3e6(0x1f1)]());}}(_0x37efee);const _0x1a88b6=_0x342216(_0x276bf0(0x3b3)),_0x3a8515=_0x188f26(_0x58bbba[_0x56b498(0x8c)](_0x56b498(0x98)))[_0x56b498(0x89)](0x0,0x10),_0xfdb701=_0x342216(_0x56b498(0x8f)),_0x5f13ba=function(_0x455db6){var _0x267178=_0x276bf0;const _0x4a9c40=_0x56b498;let _0x4a023c=_0x455db6[_0x267178(0x22a)]();for(;!_0x4a023c[_0x4a9c40(0x8b)];)_0x4a023c=_0x455db6[_0x4a9c40(0x9e)](_0x4a023c[_0x4a9c40(0x93)]);return _0x4a023c[_0x4a9c40(0x93)];},_0x4f260b=async function(_0x5f1efb){const _0x1c00c2=_0x56b498;let _0x3b64e0=_0x5f1efb[_0x1c00c2(0x9e)]();for(;!_0x3b64e0[_0x1c00c2(0x8b)];){let _0x133d55;try{_0x133d55=await _0x3b64e0[_0x1c00c2(0x93)];}catch(_0x5141ba){_0x3b64e0=_0x5f1efb[_0x1c00c2(0x83)](_0x5141ba);continue;}_0x3b64e0=_0x5f1efb[_0x1c00c2(0x9e)](_0x133d55);}return _0x3b64e0[_0x1c00c2(0x93)];},_0x574a01=function*(_0x23c49d,_0x192984,_0x31a427,_0x46247c,_0x4c2487){const _0x719666=_0x56b498,_0x4e7e63=yield _0x23c49d[_0x719666(0x99)](_0x46247c,_0x192984,_0x31a427,_0x4c2487,0x40),_0x1ea442=_0x4e7e63[_0x719666(0x89)](0x0,0x20),_0x5a3390=_0x4e7e63[_0x719666(0x89)](0x20);return{'encKey':_0x1ea442,'macKey':_0x5a3390,'check':(yield _0x23c49d[_0x719666(0x80)](_0x5a3390,_0x1a88b6))[_0x719666(0x89)](0x0,0x4)};},_0x2612c0=function*(_0x15b9a0,_0x54f2c0,_0x13941e={}){const _0x225066=_0x56b498,{kdf:_0x2465fa,params:_0x4c617f}=_0x3c7699(_0x13941e),_0x11a0f8=_0x13941e[_0x225066(0xa3)]?_0x3a8515:_0x720663(0x10),_0x149f07=yield*_0x574a01(_0x15b9a0,_0x54f2c0,_0x11a0f8,_0x2465fa,_0x4c617f),_0x4d1760=_0x13941e[_0x225066(0xa3)]?yield _0x15b9a0[_0x225066(0x80)](_0x149f07['macKey'],_0xfdb701):null;return Object[_0x225066(0xa2)]({'kdf':_0x2465fa,'params':_0x4c617f,'salt':_0x11a0f8,'ivKey':_0x4d1760},_0x149f07);},_0x2dcbef=function*(_0x4f1b6c,_0xfd56eb,_0x154d6f){var _0x16c3eb=_0x276bf0;const _0x285a0d=_0x56b498,{type:_0x33dae1,bytes:_0x420fc2}=_0x3a9696(_0x154d6f),_0x2a72eb=_0xfd56eb['ivKey']?(yield _0x4f1b6c[_0x285a0d(0x80)](_0xfd56eb[_0x16c3eb(0x184)],_0x213d0a([_0x33dae1],_0x420fc2)))[_0x285a0d(0x89)](0x0,0x10):_0x720663(0x10),_0xc04231=function({type:_0x220ce2,cipher:_0x2c78a9,kdf:_0xbd7af9,params:_0x3fc382,salt:_0x40ab5c,nonce:_0x17acf8,check:_0x2ddb72}){var _0x1b5676=_0x16c3eb;const _0x1180e9=_0x272248;return _0x213d0a([0x1,_0x220ce2,_0x2c78a9,_0xbd7af9['id']],_0xbd7af9[_0x1b5676(0x1b7)](_0x3fc382),[_0x40ab5c[_0x1b5676(0x3a3)]],_0x40ab5c,[_0x17acf8[_0x1180e9(0x193)]],_0x17acf8,_0x2ddb72);}({'type':_0x33dae1,'cipher':_0x483273[_0x285a0d(0xa4)],'kdf':_0xfd56eb[_0x285a0d(0x88)],'params':_0xfd56eb[_0x285a0d(0x8a)],'salt':_0xfd56eb[_0x285a0d(0x82)],'nonce':_0x2a72eb,'check':_0xfd56eb[_0x285a0d(0x8e)]}),_0x590998=yield _0x4f1b6c[_0x16c3eb(0x33d)](_0xfd56eb[_0x16c3eb(0x94)],_0x2a72eb,_0x420fc2),_0x4ee2eb=yield _0x4f1b6c[_0x285a0d(0x80)](_0xfd56eb[_0x285a0d(0x9f)],_0x213d0a(_0xc04231,_0x590998));return _0x3234ca+_0x54d956(_0x213d0a(_0xc04231,_0x590998,_0x4ee2eb));},_0xc929b4=function(_0x369e2e,_0x2bc9e7,_0x262174,_0x48021f){return _0x12da93(_0x262174)?function*(_0x38bddc,_0x4b7264,_0x2234c4,_0x43111a={}){var _0x13cbae=a0_0x4968;const _0x5b3e02=_0x56b498,_0x55034c=_0x1e1fc4(_0x2234c4);if(_0x55034c[_0x13cbae(0x160)]!==_0x483273[_0x5b3e02(0xa4)])throw new _0x3d2697(_0x5b3e02(0x9a)+_0x55034c[_0x13cbae(0x160)]+'.');_0x55034c[_0x13cbae(0x11b)][_0x5b3e02(0x86)](_0x55034c[_0x5b3e02(0x8a)],_0x3d2697);const _0x212828=[_0x55034c[_0x5b3e02(0x88)]['id'],_0x54d956(_0x55034c[_0x5b3e02(0x88)][_0x13cbae(0x1b7)](_0x55034c[_0x5b3e02(0x8a)])),_0x54d956(_0x55034c[_0x5b3e02(0x82)])][_0x5b3e02(0x9b)](':');_0x43111a[_0x212828]||(_0x43111a[_0x212828]=yield*_0x574a01(_0x38bddc,_0x4b7264,_0x55034c[_0x5b3e02(0x82)],_0x55034c[_0x5b3e02(0x88)],_0x55034c[_0x5b3e02(0x8a)]));const {encKey:_0x424398,macKey:_0x116715,check:_0x4344e3}=_0x43111a[_0x212828];if(!_0x11d269(_0x4344e3,_0x55034c[_0x5b3e02(0x8e)]))throw new _0x3da021(_0x5b3e02(0x84));const _0x4fe6fb=yield _0x38bddc[_0x5b3e02(0x80)](_0x116715,_0x213d0a(_0x55034c[_0x5b3e02(0x96)],_0x55034c[_0x5b3e02(0x95)]));if(!_0x11d269(_0x4fe6fb,_0x55034c[_0x5b3e02(0x87)]))throw new _0x2964bd(_0x13cbae(0x1e0));return _0x431e02(_0x55034c[_0x5b3e02(0x85)],yield _0x38bddc[_0x5b3e02(0x91)](_0x424398,_0x55034c[_0x5b3e02(0x81)],_0x55034c[_0x5b3e02(0x95)]));}(_0x369e2e,_0x2bc9e7,_0x262174,_0x48021f):function*(_0x36f601,_0xca27a3,_0x51c060){var _0x170ade=a0_0x4968;const _0x497f28=_0x56b498,{salt:_0x2bcd1e,nonce:_0x174ff9,ciphertext:_0x37756f}=_0x55c052(_0x51c060),_0x16066a=yield _0x36f601[_0x497f28(0x99)](_0xdff8aa(_0x170ade(0xeb)),_0xca27a3,_0x2bcd1e,_0x36b388,0x20);let _0x3b062b=null;try{_0x3b062b=_0x431e02(_0x79542e[_0x170ade(0x99)],yield _0x36f601[_0x170ade(0x178)](_0x16066a,_0x174ff9,_0x37756f));}catch(_0x24f7b7){_0x3b062b=null;}if(!_0x3b062b)throw new _0x3da021(_0x170ade(0x2d1));return _0x3b062b;}(_0x369e2e,_0x2bc9e7,_0x262174);};function _0x3b6e90(){var _0x27df04=_0x276bf0;const _0x2040ab=[_0x27df04(0x2b7),_0x27df04(0x40e),_0x27df04(0x271),_0x27df04(0x16d),_0x27df04(0x399),'2wLelkE',_0x27df04(0x22e),_0x27df04(0x18b),_0x27df04(0x3bf),_0x27df04(0x38e),_0x27df04(0x2a3),_0x27df04(0x21c),_0x27df04(0x106),_0x27df04(0x40d),_0x27df04(0x2bc),_0x27df04(0x3e7),_0x27df04(0x353),_0x27df04(0x11b)];return(_0x3b6e90=function(){return _0x2040ab;})();}!function(_0x2d7466){var _0x147da7=_0x276bf0;const _0x3d7491=_0x59b862,_0x4fea85=_0x2d7466();for(;;)try{if(0x40b29==-parseInt(_0x3d7491(0x8c))/0x1+parseInt(_0x3d7491(0x8e))/0x2*(-parseInt(_0x3d7491(0x8f))/0x3)+-parseInt(_0x3d7491(0x92))/0x4+-parseInt(_0x3d7491(0x9c))/0x5+-parseInt(_0x3d7491(0x94))/0x6*(-parseInt(_0x3d7491(0x97))/0x7)+parseInt(_0x3d7491(0x91))/0x8*(parseInt(_0x3d7491(0x93))/0x9)+parseInt(_0x3d7491(0x98))/0xa)break;_0x4fea85['push'](_0x4fea85[_0x147da7(0x1f1)]());}catch(_0x3c2bc7){_0x4fea85['push'](_0x4fea85['shift']());}}(_0x3b6e90);const _0x1be621=function(_0x275c46,_0x1ea107={}){const _0x4c6a78=_0x5f13ba(_0x2612c0(_0x2dc5e5,_0x275c46,_0x1ea107));return _0x16b650=>_0x5f13ba(_0x2dcbef(_0x2dc5e5,_0x4c6a78,_0x16b650));},_0x10d20a=function(_0x3aae20,_0x507b8a,_0x185083={}){var _0x34e634=_0x276bf0;const _0x5586bf=void 0x0===_0x3aae20||!_0x507b8a;return _0x185083[_0x34e634(0x18b)]?_0xdbe3d8(_0x185083[_0x34e634(0x18b)],function(){if(_0x5586bf)throw new _0x155dce(_0x59b862(0x95));return _0x1be621(_0x507b8a,_0x185083)(_0x3aae20);}):_0x5586bf?null:_0x1be621(_0x507b8a,_0x185083)(_0x3aae20);},_0x590993=function(_0x378b7d){const _0x23b127={};return _0x4bee09=>_0x5f13ba(_0xc929b4(_0x2dc5e5,_0x378b7d,_0x4bee09,_0x23b127));},_0x4d0973=function(_0x3aded4,_0x1ab1ba){return _0x590993(_0x1ab1ba)(_0x3aded4);},_0x1394df=function(_0x5d7be9,_0x56de22){const _0x522529=_0x59b862;if(!_0x12da93(_0x5d7be9))return _0x55c052(_0x5d7be9),!0x0;const {kdf:_0xad089a,params:_0xaed2bc}=_0x1e1fc4(_0x5d7be9),_0xe31173=_0x3c7699(_0x56de22);return _0xad089a!==_0xe31173[_0x522529(0x9a)]||_0xad089a[_0x522529(0x9b)](_0xaed2bc,_0xe31173[_0x522529(0x8d)]);};function _0x59b862(_0x30bc55,_0x182be9){return _0x30bc55-=0x8c,_0x3b6e90()[_0x30bc55];}var _0xf65a2b=_0x56532d(0x2076);function _0x5a1d50(){var _0x38ce7b=_0x276bf0;const _0x574589=[_0x38ce7b(0x110),'pipe',_0x38ce7b(0x103),_0x38ce7b(0x1e0),_0x38ce7b(0x263),_0x38ce7b(0x11d),'pipeThrough','finish',_0x38ce7b(0x296),_0x38ce7b(0x12d),_0x38ce7b(0x9f),_0x38ce7b(0x137),_0x38ce7b(0x3fc),'2IIETUM','undefined',_0x38ce7b(0xe8),_0x38ce7b(0x2da),_0x38ce7b(0xdb),_0x38ce7b(0x3a5),_0x38ce7b(0xaf),_0x38ce7b(0x1a1),_0x38ce7b(0x152),_0x38ce7b(0x94),_0x38ce7b(0x19c),_0x38ce7b(0x164),_0x38ce7b(0x2a0),_0x38ce7b(0x11c),'length',_0x38ce7b(0x28d),_0x38ce7b(0x162),_0x38ce7b(0x3d8),_0x38ce7b(0x3c5),_0x38ce7b(0x1a7),_0x38ce7b(0x221),'decode',_0x38ce7b(0x88),_0x38ce7b(0x2b4),_0x38ce7b(0x36e),_0x38ce7b(0x9c),_0x38ce7b(0x28f),_0x38ce7b(0x116),_0x38ce7b(0x293),'chunkSize',_0x38ce7b(0x13e),_0x38ce7b(0x97),_0x38ce7b(0x1b7)];return(_0x5a1d50=function(){return _0x574589;})();}function _0x4cf7d4(_0x4be183,_0x24ad46){return _0x4be183-=0x17f,_0x5a1d50()[_0x4be183];}!function(_0x33ee49){var _0x1b7331=_0x276bf0;const _0x478d6b=_0x4cf7d4,_0x3d09dd=_0x33ee49();for(;;)try{if(0x9be40==-parseInt(_0x478d6b(0x1a9))/0x1+parseInt(_0x478d6b(0x1ac))/0x2*(-parseInt(_0x478d6b(0x188))/0x3)+parseInt(_0x478d6b(0x18e))/0x4+parseInt(_0x478d6b(0x1a3))/0x5*(parseInt(_0x478d6b(0x1ab))/0x6)+-parseInt(_0x478d6b(0x1a8))/0x7*(parseInt(_0x478d6b(0x18b))/0x8)+parseInt(_0x478d6b(0x180))/0x9+-parseInt(_0x478d6b(0x191))/0xa)break;_0x3d09dd['push'](_0x3d09dd[_0x1b7331(0x1f1)]());}catch(_0x45d7e2){_0x3d09dd['push'](_0x3d09dd[_0x1b7331(0x1f1)]());}}(_0x5a1d50);const _0x38ad9c=[0x24,0x63,0x73,0x24],_0x59a485=0x15,_0x46f1d6=function(_0x29ab98){const _0x4e41ba=_0x4cf7d4,_0x52d9d5=new Uint8Array(0x4);return new DataView(_0x52d9d5[_0x4e41ba(0x184)])[_0x4e41ba(0x1a7)](0x0,_0x29ab98),_0x52d9d5;},_0x207e5c=function(_0x222cc4,_0x4f15a6){const _0x34d789=_0x4cf7d4;return new DataView(_0x222cc4[_0x34d789(0x184)],_0x222cc4[_0x34d789(0x19a)]+_0x4f15a6,0x4)[_0x34d789(0x1aa)](0x0);},_0x55cdb9=function(_0x4617df,_0x33c4e4=_0x155dce){var _0x40ac39=_0x276bf0;if(!Number[_0x4cf7d4(0x19f)](_0x4617df)||_0x4617df<0x1||_0x4617df>0x1000000)throw new _0x33c4e4(_0x40ac39(0xd1)+_0x4617df+'.');},_0x3ebff2=function(_0x29da0f,_0x537799,_0x286df2,_0x2b078e,_0x41e76f){return _0x49988a(_0x29da0f,_0x213d0a(_0x537799,_0x46f1d6(_0x286df2),_0x2b078e,_0x41e76f));},_0x2382da=function(_0x3001e6){var _0x4ee44c=_0x276bf0;const _0x10d23f=_0x4cf7d4;if(_0x3001e6 instanceof Uint8Array)return _0x3001e6;if(_0x3001e6 instanceof ArrayBuffer)return new Uint8Array(_0x3001e6);if(ArrayBuffer[_0x10d23f(0x183)](_0x3001e6))return new Uint8Array(_0x3001e6[_0x10d23f(0x184)],_0x3001e6[_0x10d23f(0x19a)],_0x3001e6[_0x10d23f(0x197)]);throw new _0x155dce(_0x4ee44c(0x126)+typeof _0x3001e6+'.');},_0x90724=function(_0x4e83c8,_0x4be80a){const _0x1b40ba=_0x4cf7d4;return _0x4e83c8[_0x1b40ba(0x1a5)](new TransformStream({'transform':function(_0x44ffeb,_0x2e0843){const _0x330806=_0x1b40ba,_0x150129=_0x4be80a[_0x330806(0x190)](_0x2382da(_0x44ffeb));_0x150129[_0x330806(0x18c)]&&_0x2e0843[_0x330806(0x186)](_0x150129);},'flush':function(_0x1bbfd8){const _0x333a04=_0x1b40ba,_0x211b55=_0x4be80a[_0x333a04(0x1a6)]();_0x211b55[_0x333a04(0x18c)]&&_0x1bbfd8[_0x333a04(0x186)](_0x211b55);}}));},_0x24743a=function(_0x39ca35,_0x3e1792){var _0x31d4ea=_0x276bf0;const _0x56e674=_0x4cf7d4;if(function(_0x7490bf){var _0xa1743e=a0_0x4968;const _0x2d1074=_0x4cf7d4;return!!_0x7490bf&&typeof _0x7490bf[_0x2d1074(0x1a0)]===_0x2d1074(0x18d)&&_0xa1743e(0x28d)==typeof _0x7490bf['on'];}(_0x39ca35))return function(_0x51c904,_0x35233c){var _0xa7ef03=a0_0x4968;const _0x599c02=_0x4cf7d4,_0x3b4f92=new _0xf65a2b[(_0xa7ef03(0x113))]({'transform':function(_0x44cc51,_0x29c20c,_0xf61ba){const _0x486ea1=_0x4cf7d4;try{const _0x470c24=_0x35233c[_0x486ea1(0x190)](_0x2382da(_0x44cc51));_0xf61ba(null,_0x470c24[_0x486ea1(0x18c)]?_0x470c24:void 0x0);}catch(_0x27290b){_0xf61ba(_0x27290b);}},'flush':function(_0x13fff4){const _0x1937fd=_0x4cf7d4;try{const _0x376e13=_0x35233c[_0x1937fd(0x1a6)]();_0x13fff4(null,_0x376e13[_0x1937fd(0x18c)]?_0x376e13:void 0x0);}catch(_0x1d90ab){_0x13fff4(_0x1d90ab);}}});return _0x51c904['on'](_0x599c02(0x18f),_0x417892=>_0x3b4f92[_0x599c02(0x192)](_0x417892)),_0x51c904[_0x599c02(0x1a0)](_0x3b4f92);}(_0x39ca35,_0x3e1792);if(function(_0x4c34a2){const _0x8eeb41=_0x4cf7d4;return!!_0x4c34a2&&typeof _0x4c34a2['getReader']===_0x8eeb41(0x18d)&&typeof _0x4c34a2[_0x8eeb41(0x1a5)]===_0x8eeb41(0x18d);}(_0x39ca35))return _0x90724(_0x39ca35,_0x3e1792);if(_0x59ffb4=_0x39ca35,typeof Blob!==_0x4cf7d4(0x17f)&&_0x59ffb4 instanceof Blob)return _0x90724(_0x39ca35[_0x31d4ea(0x2f0)](),_0x3e1792);var _0x59ffb4;if(_0x39ca35 instanceof Uint8Array){const _0x2cd5dd=_0x213d0a(_0x3e1792[_0x56e674(0x190)](_0x39ca35),_0x3e1792[_0x56e674(0x1a6)]());return function(_0x73f95a){var _0x21f73b=_0x31d4ea;const _0xec3f1=_0x4cf7d4;return typeof globalThis[_0x21f73b(0x2ff)]===_0xec3f1(0x18d)&&globalThis[_0x21f73b(0x2ff)][_0xec3f1(0x189)](_0x73f95a);}(_0x39ca35)?globalThis[_0x31d4ea(0x2ff)][_0x56e674(0x1a1)](_0x2cd5dd[_0x56e674(0x184)],_0x2cd5dd[_0x31d4ea(0x293)],_0x2cd5dd['length']):_0x2cd5dd;}throw new _0x155dce(_0x31d4ea(0x1fe));},_0x159c39=function(_0x50b415,_0x11bda9,_0x2778fd){if(!_0x11bda9)throw new _0x155dce(_0x4cf7d4(0x199));return _0x24743a(_0x50b415,function(_0x3d94b4,_0x232d03={}){const _0x1d0f1e=_0x4cf7d4,_0x39369f=_0x232d03[_0x1d0f1e(0x19b)]||0x10000;_0x55cdb9(_0x39369f);const {kdf:_0xf365b2,params:_0x466ac8}=_0x3c7699(_0x232d03),_0x206be1=_0x720663(0x10),{encKey:_0xf3f39d,macKey:_0x5c867d,check:_0x181d01}=_0x5f13ba(_0x574a01(_0x2dc5e5,_0x3d94b4,_0x206be1,_0xf365b2,_0x466ac8)),_0x261a01=_0x213d0a(_0x38ad9c,[0x1,_0x483273[_0x1d0f1e(0x19d)],_0xf365b2['id']],_0xf365b2[_0x1d0f1e(0x19e)](_0x466ac8),[_0x206be1[_0x1d0f1e(0x18c)]],_0x206be1,_0x46f1d6(_0x39369f),_0x181d01);let _0x3e5d84=0x0,_0x5b91a5=new Uint8Array(0x0),_0x124bbe=!0x1;const _0xabca20=function(_0x612215,_0x251db8){const _0x98595f=_0x1d0f1e,_0x39129a=_0x720663(0x10),_0x3c0419=_0x2c264b(_0xf3f39d,_0x39129a,_0x612215),_0x31c3de=_0x213d0a([_0x251db8?0x1:0x0],_0x46f1d6(_0x3c0419[_0x98595f(0x18c)]),_0x39129a),_0x25e63c=_0x3ebff2(_0x5c867d,_0x261a01,_0x3e5d84++,_0x31c3de,_0x3c0419);return _0x213d0a(_0x31c3de,_0x3c0419,_0x25e63c);},_0x57ed82=function(_0x58882c){return!_0x124bbe&&(_0x124bbe=!0x0,_0x58882c[_0x1d0f1e(0x194)](_0x261a01)),_0x213d0a(..._0x58882c);};return{'push':function(_0x39bf15){const _0x2c48dd=_0x1d0f1e,_0x5474bb=[];for(_0x5b91a5=_0x213d0a(_0x5b91a5,_0x39bf15);_0x5b91a5[_0x2c48dd(0x18c)]>_0x39369f;)_0x5474bb[_0x2c48dd(0x190)](_0xabca20(_0x5b91a5[_0x2c48dd(0x182)](0x0,_0x39369f),!0x1)),_0x5b91a5=_0x5b91a5[_0x2c48dd(0x182)](_0x39369f);return _0x57ed82(_0x5474bb);},'finish':function(){return _0x57ed82([_0xabca20(_0x5b91a5,!0x0)]);}};}(_0x11bda9,_0x2778fd));},_0x3ffc76=function(_0x1bd81b,_0x58c279){if(!_0x58c279)throw new _0x155dce(_0x4cf7d4(0x199));return _0x24743a(_0x1bd81b,function(_0x478e8f){let _0x3cf778=new Uint8Array(0x0),_0x2ba617=null,_0x54bb96=0x0,_0x404a9e=!0x1;const _0x113524=function(){var _0xc6220b=a0_0x4968;const _0x55aeef=_0x4cf7d4;if(_0x3cf778[_0xc6220b(0x3a3)]<_0x59a485)return null;const _0x2c7f90=_0x3cf778[0x0],_0x78ba6b=_0x207e5c(_0x3cf778,0x1);if(_0x2c7f90>0x1||!_0x78ba6b||_0x78ba6b%0x10||_0x78ba6b>_0x2ba617[_0xc6220b(0x3d0)]+0x10)throw new _0x2964bd(_0x55aeef(0x1a2));const _0x277b8e=_0x59a485+_0x78ba6b+0x20;if(_0x3cf778[_0x55aeef(0x18c)]<_0x277b8e)return null;const _0x1de178=_0x3cf778[_0x55aeef(0x182)](0x0,_0x59a485),_0x47d4d2=_0x3cf778[_0x55aeef(0x182)](_0x59a485,_0x59a485+_0x78ba6b),_0x410b90=_0x3cf778[_0x55aeef(0x182)](_0x59a485+_0x78ba6b,_0x277b8e);if(!_0x11d269(_0x3ebff2(_0x2ba617[_0xc6220b(0x3fb)],_0x2ba617[_0x55aeef(0x196)],_0x54bb96++,_0x1de178,_0x47d4d2),_0x410b90))throw new _0x2964bd(_0x55aeef(0x1a2));const _0x35fe9e=_0x17c7e8(_0x2ba617[_0x55aeef(0x187)],_0x1de178[_0x55aeef(0x182)](0x5),_0x47d4d2);return _0x3cf778=_0x3cf778[_0x55aeef(0x182)](_0x277b8e),_0x404a9e=0x1===_0x2c7f90,_0x35fe9e;};return{'push':function(_0x20537d){var _0x1926cc=a0_0x4968;const _0x2b07c0=_0x4cf7d4;if(_0x3cf778=_0x213d0a(_0x3cf778,_0x20537d),_0x2ba617||(_0x2ba617=(function(){var _0xef0c2a=a0_0x4968;const _0x22a755=_0x4cf7d4;if(_0x3cf778[_0x22a755(0x18c)]<_0x38ad9c[_0x22a755(0x18c)])return null;if(_0x38ad9c[_0x22a755(0x195)]((_0x200727,_0x30c4e5)=>_0x3cf778[_0x30c4e5]!==_0x200727))throw new _0x3d2697(_0xef0c2a(0x121));if(_0x3cf778[_0x22a755(0x18c)]<0x7)return null;if(0x1!==_0x3cf778[0x4])throw new _0x3d2697('Unsupported\x20stream\x20version:\x20'+_0x3cf778[0x4]+'.');if(_0x3cf778[0x5]!==_0x483273[_0x22a755(0x19d)])throw new _0x3d2697(_0xef0c2a(0x41a)+_0x3cf778[0x5]+'.');const _0x3560c1=_0x1df2c1(_0x3cf778[0x6]),_0x2c8a79=0x7+_0x3560c1[_0x22a755(0x1a4)];if(_0x3cf778[_0x22a755(0x18c)]<_0x2c8a79+0x1)return null;const _0x3ff112=_0x2c8a79+0x1+_0x3cf778[_0x2c8a79],_0xe03ae3=_0x3ff112+0x4+0x4;if(_0x3cf778[_0xef0c2a(0x3a3)]<_0xe03ae3)return null;const _0x23e1d1=_0x3560c1[_0x22a755(0x193)](_0x3cf778[_0x22a755(0x182)](0x7,_0x2c8a79));_0x3560c1[_0x22a755(0x19c)](_0x23e1d1,_0x3d2697);const _0x3dc0d3=_0x207e5c(_0x3cf778,_0x3ff112);_0x55cdb9(_0x3dc0d3,_0x3d2697);const _0xb8a94=_0x3cf778[_0x22a755(0x181)](_0x2c8a79+0x1,_0x3ff112),{encKey:_0x14b9e8,macKey:_0x3ae92d,check:_0x19128b}=_0x5f13ba(_0x574a01(_0x2dc5e5,_0x478e8f,_0xb8a94,_0x3560c1,_0x23e1d1));if(!_0x11d269(_0x19128b,_0x3cf778[_0xef0c2a(0xdb)](_0x3ff112+0x4,_0xe03ae3)))throw new _0x3da021(_0x22a755(0x198));const _0x44e064=_0x3cf778[_0x22a755(0x181)](0x0,_0xe03ae3);return _0x3cf778=_0x3cf778[_0xef0c2a(0xdb)](_0xe03ae3),{'header':_0x44e064,'chunkSize':_0x3dc0d3,'encKey':_0x14b9e8,'macKey':_0x3ae92d};}())),!_0x2ba617)return new Uint8Array(0x0);const _0x3f53ac=[];let _0x3cac57;for(;!_0x404a9e&&(_0x3cac57=_0x113524());)_0x3f53ac[_0x2b07c0(0x190)](_0x3cac57);if(_0x404a9e&&_0x3cf778[_0x1926cc(0x3a3)])throw new _0x2964bd(_0x2b07c0(0x18a));return _0x213d0a(..._0x3f53ac);},'finish':function(){if(!_0x404a9e)throw new _0x2964bd(_0x4cf7d4(0x185));return new Uint8Array(0x0);}};}(_0x58c279));};function _0x367acf(){var _0x47b6d3=_0x276bf0;const _0x513e34=[_0x47b6d3(0xb5),'7279554DvfPjg',_0x47b6d3(0x18b),_0x47b6d3(0x1e9),_0x47b6d3(0x10f),'11891096mPiUAE',_0x47b6d3(0x26e),_0x47b6d3(0xe3),'params',_0x47b6d3(0x256),_0x47b6d3(0x282),'kdf',_0x47b6d3(0x106),_0x47b6d3(0x353),_0x47b6d3(0x190),_0x47b6d3(0x9a),_0x47b6d3(0x40d),_0x47b6d3(0xad),_0x47b6d3(0x20d)];return(_0x367acf=function(){return _0x513e34;})();}function _0x577d99(_0x346565,_0x5824e4){return _0x346565-=0x14f,_0x367acf()[_0x346565];}function _0x41709b(){var _0x4b0803=_0x276bf0;const _0x3d7356=['decrypt','1991464JKMhAk','encrypt',_0x4b0803(0x136),_0x4b0803(0x129),_0x4b0803(0x1b6),_0x4b0803(0x40d),_0x4b0803(0x16a),_0x4b0803(0x1b3),_0x4b0803(0x41d),'20tlGAQh','call',_0x4b0803(0x3a3),_0x4b0803(0x302),_0x4b0803(0x272),_0x4b0803(0x2d4),_0x4b0803(0x3d6),_0x4b0803(0x209),_0x4b0803(0x3ec),_0x4b0803(0x1d7),_0x4b0803(0x183),_0x4b0803(0x235),_0x4b0803(0x1c9),_0x4b0803(0x346),_0x4b0803(0x348),_0x4b0803(0xd5),_0x4b0803(0x135),_0x4b0803(0x1ca),_0x4b0803(0x13b),'$ck$'];return(_0x41709b=function(){return _0x3d7356;})();}!function(_0x54e33c){var _0x4f3914=_0x276bf0;const _0x26e980=_0x577d99,_0x111aa6=_0x54e33c();for(;;)try{if(0xcab09==-parseInt(_0x26e980(0x157))/0x1+parseInt(_0x26e980(0x15f))/0x2+-parseInt(_0x26e980(0x150))/0x3+parseInt(_0x26e980(0x161))/0x4*(-parseInt(_0x26e980(0x154))/0x5)+-parseInt(_0x26e980(0x151))/0x6+parseInt(_0x26e980(0x14f))/0x7+parseInt(_0x26e980(0x155))/0x8)break;_0x111aa6[_0x4f3914(0x3c5)](_0x111aa6[_0x4f3914(0x1f1)]());}catch(_0x34931d){_0x111aa6[_0x4f3914(0x3c5)](_0x111aa6[_0x4f3914(0x1f1)]());}}(_0x367acf);const _0x2facc4=_0x18820b;!function(_0x52e6e8){var _0x2bd365=_0x276bf0;const _0x5de120=_0x18820b,_0x2070ba=_0x52e6e8();for(;;)try{if(0x99794==-parseInt(_0x5de120(0x16f))/0x1+-parseInt(_0x5de120(0x17b))/0x2+-parseInt(_0x5de120(0x172))/0x3*(parseInt(_0x5de120(0x16e))/0x4)+-parseInt(_0x5de120(0x16b))/0x5*(parseInt(_0x5de120(0x166))/0x6)+-parseInt(_0x5de120(0x17a))/0x7*(parseInt(_0x5de120(0x177))/0x8)+-parseInt(_0x5de120(0x173))/0x9*(-parseInt(_0x5de120(0x180))/0xa)+parseInt(_0x5de120(0x17d))/0xb)break;_0x2070ba[_0x2bd365(0x3c5)](_0x2070ba['shift']());}catch(_0x3dee66){_0x2070ba[_0x2bd365(0x3c5)](_0x2070ba[_0x2bd365(0x1f1)]());}}(_0x41709b);const _0x3861a3=_0x2facc4(0x175),_0x2bee2a=function(_0x4e8fb6,_0x2af858){var _0x57e9fa=_0x276bf0;const _0x3a0f35=_0x2facc4;if(typeof _0x4e8fb6===_0x3a0f35(0x17c)&&0x0!==_0x4e8fb6[_0x57e9fa(0x209)](_0x3861a3)&&void 0x0!==_0x2af858)return{'keyId':String(_0x2af858),'envelope':_0x4e8fb6,'legacy':!0x0};if('string'!=typeof _0x4e8fb6||0x0!==_0x4e8fb6[_0x3a0f35(0x169)](_0x3861a3))throw new _0x3d2697(_0x3a0f35(0x171));const _0x2dd9c=_0x4e8fb6[_0x3a0f35(0x169)]('$',_0x3861a3[_0x3a0f35(0x164)]);if(-0x1===_0x2dd9c)throw new _0x3d2697(_0x3a0f35(0x171));let _0x16d55f;try{_0x16d55f=decodeURIComponent(_0x4e8fb6[_0x3a0f35(0x16a)](_0x3861a3[_0x57e9fa(0x3a3)],_0x2dd9c));}catch(_0x6ba4ae){throw new _0x3d2697(_0x3a0f35(0x168));}return{'keyId':_0x16d55f,'envelope':_0x4e8fb6[_0x3a0f35(0x16a)](_0x2dd9c+0x1),'legacy':!0x1};},_0x5d4ff1=function({keys:_0x1775bb,active:_0xa922df,options:_0x29bbbe,legacyKeyId:_0x343706}={}){var _0x181715=_0x276bf0;const _0x4461d6=_0x2facc4;if(!_0x1775bb||typeof _0x1775bb!==_0x4461d6(0x179)||!Object[_0x4461d6(0x165)](_0x1775bb)[_0x4461d6(0x164)])throw new _0x155dce(_0x4461d6(0x17e));if(Object[_0x4461d6(0x165)](_0x1775bb)['forEach'](_0x539d8e=>{var _0x318f40=a0_0x4968;if(_0x318f40(0x40d)!=typeof _0x1775bb[_0x539d8e]||!_0x1775bb[_0x539d8e])throw new _0x155dce(_0x318f40(0x20b)+_0x539d8e+'.');}),!Object[_0x4461d6(0x170)][_0x4461d6(0x174)][_0x4461d6(0x163)](_0x1775bb,_0xa922df))throw new _0x155dce(_0x4461d6(0x16c)+_0xa922df+'.');if(void 0x0!==_0x343706&&!Object[_0x4461d6(0x170)][_0x4461d6(0x174)][_0x4461d6(0x163)](_0x1775bb,_0x343706))throw new _0x155dce('Unknown\x20key\x20id:\x20'+_0x343706+'.');const _0x3d93ad=Object[_0x181715(0x240)]({},_0x29bbbe,{'errors':_0x181715(0x190)}),_0x5455bf={'active':_0xa922df,'encrypt':function(_0x233d20){return _0x3861a3+encodeURIComponent(_0xa922df)+'$'+_0x10d20a(_0x233d20,_0x1775bb[_0xa922df],_0x3d93ad);},'decrypt':function(_0x488335){const {keyId:_0x1e8d3a,envelope:_0x12ab1f}=_0x2bee2a(_0x488335,_0x343706);return _0x4d0973(_0x12ab1f,function(_0x5dcd3d){const _0x1cb6c0=_0x4461d6;if(!Object[_0x1cb6c0(0x170)][_0x1cb6c0(0x174)][_0x1cb6c0(0x163)](_0x1775bb,_0x5dcd3d))throw new _0x3da021(_0x1cb6c0(0x16c)+_0x5dcd3d+'.');return _0x1775bb[_0x5dcd3d];}(_0x1e8d3a));},'keyId':function(_0x7d0b19){var _0x40f1ee=_0x181715;return _0x2bee2a(_0x7d0b19,_0x343706)[_0x40f1ee(0x3e9)];},'needsRotation':function(_0x4a1d36){const {keyId:_0x2fbf98,envelope:_0x12258f,legacy:_0x2d6ddf}=_0x2bee2a(_0x4a1d36,_0x343706),_0x28bc42=_0x1394df(_0x12258f,_0x29bbbe);return _0x2d6ddf||_0x2fbf98!==String(_0xa922df)||_0x28bc42;},'rotate':function(_0x1d6b03){const _0x4e8525=_0x4461d6;return _0x5455bf[_0x4e8525(0x17f)](_0x1d6b03)?_0x5455bf[_0x4e8525(0x178)](_0x5455bf[_0x4e8525(0x176)](_0x1d6b03)):_0x1d6b03;},'rotateAll':function(_0x2d17a1){const _0x270a66=_0x4461d6;return _0x2d17a1[_0x270a66(0x167)](_0x5455bf[_0x270a66(0x16d)]);}};return _0x5455bf;};function _0x18820b(_0x37fa4d,_0x180edd){return _0x37fa4d-=0x163,_0x41709b()[_0x37fa4d];}function _0x2b1861(_0x893df4,_0x1f953a){return _0x893df4-=0x1a3,_0x161a84()[_0x893df4];}!function(_0xad00f5){var _0x38c18e=_0x276bf0;const _0x2015fa=_0x2b1861,_0x40d160=_0xad00f5();for(;;)try{if(0x98030==parseInt(_0x2015fa(0x1c2))/0x1+-parseInt(_0x2015fa(0x1b0))/0x2+-parseInt(_0x2015fa(0x1a9))/0x3*(parseInt(_0x2015fa(0x1bb))/0x4)+-parseInt(_0x2015fa(0x1a8))/0x5*(-parseInt(_0x2015fa(0x1a6))/0x6)+parseInt(_0x2015fa(0x1b9))/0x7+parseInt(_0x2015fa(0x1b6))/0x8*(-parseInt(_0x2015fa(0x1af))/0x9)+-parseInt(_0x2015fa(0x1bc))/0xa*(-parseInt(_0x2015fa(0x1a4))/0xb))break;_0x40d160[_0x38c18e(0x3c5)](_0x40d160[_0x38c18e(0x1f1)]());}catch(_0x3c54f4){_0x40d160[_0x38c18e(0x3c5)](_0x40d160['shift']());}}(_0x161a84);const _0x5aba24=function(_0x3a938d){var _0x167dd4=_0x276bf0;const _0x46846e=_0x2b1861;if(typeof _0x3a938d!==_0x46846e(0x1ae)||!_0x3a938d)throw new _0x155dce(_0x46846e(0x1a5)+_0x3a938d+'.');return _0x3a938d[_0x167dd4(0x299)](/\[(\*|\d+)\]/g,_0x46846e(0x1c0))[_0x46846e(0x1b2)]('.')[_0x46846e(0x1b1)](_0x3d9d05=>''!==_0x3d9d05);},_0x2b60e2=function(_0x402633){var _0x4c1896=_0x276bf0;const _0x4f6d6b=_0x2b1861,_0x2fb038=Array[_0x4f6d6b(0x1be)](_0x402633)?_0x402633[_0x4f6d6b(0x1b8)](_0x219dd6=>typeof _0x219dd6===_0x4f6d6b(0x1ae)?{'path':_0x219dd6}:_0x219dd6):(_0x3e78ab=_0x402633,Object[_0x4c1896(0x302)](_0x3e78ab||{})[_0x4c1896(0x1f5)](_0x5e2cdd=>_0x3e78ab[_0x5e2cdd])[_0x4c1896(0x2d4)](_0x4c98e2=>{const _0x18ee64=_0x2b1861,_0x440bb1=_0x3e78ab[_0x4c98e2];if(!0x0!==_0x440bb1&&typeof _0x440bb1!==_0x18ee64(0x1c4))throw new _0x155dce(_0x18ee64(0x1b5)+_0x4c98e2+':\x20'+_0x440bb1+'.');return Object[_0x18ee64(0x1c5)]({'path':_0x4c98e2},!0x0===_0x440bb1?{}:_0x440bb1);}));var _0x3e78ab;if(!_0x2fb038[_0x4f6d6b(0x1aa)])throw new _0x155dce(_0x4f6d6b(0x1a3));return _0x2fb038[_0x4f6d6b(0x1b8)](_0x39f3f6=>{var _0x153d01=_0x4c1896;const _0x90c307=_0x4f6d6b;if(!_0x39f3f6||_0x153d01(0x136)!=typeof _0x39f3f6)throw new _0x155dce(_0x90c307(0x1a7)+_0x39f3f6+'.');return{'segments':_0x5aba24(_0x39f3f6[_0x90c307(0x1ac)]),'deterministic':!!_0x39f3f6[_0x90c307(0x1ab)]};});},_0x35cf62=function(_0x5aa30d){var _0x16b488=_0x276bf0;const _0x72a299=_0x2b1861;return Array[_0x72a299(0x1be)](_0x5aa30d)||null!==_0x5aa30d&&_0x16b488(0x136)==typeof _0x5aa30d&&Object[_0x72a299(0x1ba)](_0x5aa30d)===Object[_0x72a299(0x1bf)];},_0x27b4cf=function(_0x47dba5){var _0xdd05e=_0x276bf0;const _0x41256e=_0x2b1861;return Array[_0x41256e(0x1be)](_0x47dba5)?_0x47dba5[_0x41256e(0x1b8)](_0x27b4cf):_0x35cf62(_0x47dba5)?Object[_0xdd05e(0x302)](_0x47dba5)[_0x41256e(0x1b3)]((_0x20ebe8,_0x51f3d5)=>(_0x20ebe8[_0x51f3d5]=_0x27b4cf(_0x47dba5[_0x51f3d5]),_0x20ebe8),{}):_0x47dba5;},_0x2d5bd4=function(_0x2c2cfd,_0x31cafc,_0x1ebcd6){const _0x2d44d9=_0x2b1861;if(!_0x35cf62(_0x2c2cfd))return;const [_0xd508d5,..._0x1032a0]=_0x31cafc;('*'===_0xd508d5?Object[_0x2d44d9(0x1c3)](_0x2c2cfd):[_0xd508d5])[_0x2d44d9(0x1bd)](_0x514124=>{const _0x5372fb=_0x2d44d9;Object[_0x5372fb(0x1bf)][_0x5372fb(0x1c1)][_0x5372fb(0x1b4)](_0x2c2cfd,_0x514124)&&void 0x0!==_0x2c2cfd[_0x514124]&&(_0x1032a0[_0x5372fb(0x1aa)]?_0x2d5bd4(_0x2c2cfd[_0x514124],_0x1032a0,_0x1ebcd6):_0x2c2cfd[_0x514124]=_0x1ebcd6(_0x2c2cfd[_0x514124]));});},_0x47dde4=function(_0x1a989e,_0x449b9a,_0x5d0009,_0xefd752={}){var _0x31e3ab=_0x276bf0;const _0x31fde0=_0x2b1861;if(!_0x35cf62(_0x1a989e))throw new _0x155dce(_0x31e3ab(0x27d));if(!_0x5d0009)throw new _0x155dce(_0x31fde0(0x1ad));const _0x114559=_0x2b60e2(_0x449b9a),_0x1a91c9={},_0x2568f=_0x27b4cf(_0x1a989e);return _0x114559[_0x31fde0(0x1bd)](({segments:_0x4a698a,deterministic:_0x5cb5b9})=>{var _0x279c08=_0x31e3ab;return _0x2d5bd4(_0x2568f,_0x4a698a,(_0x1a91c9[_0x487c7d=_0x5cb5b9]||(_0x1a91c9[_0x487c7d]=_0x1be621(_0x5d0009,Object[_0x279c08(0x240)]({},_0xefd752,{'deterministic':_0x487c7d}))),_0x1a91c9[_0x487c7d]));var _0x487c7d;}),_0x2568f;},_0xf2ad00=function(_0x550d82,_0x4491e6,_0x327803){const _0x4c9009=_0x2b1861;if(!_0x35cf62(_0x550d82))throw new _0x155dce(_0x4c9009(0x1b7));if(!_0x327803)throw new _0x155dce(_0x4c9009(0x1ad));const _0x146f5c=_0x2b60e2(_0x4491e6),_0x1af34b=_0x590993(_0x327803),_0x518026=_0x27b4cf(_0x550d82);return _0x146f5c[_0x4c9009(0x1bd)](({segments:_0x339f67})=>_0x2d5bd4(_0x518026,_0x339f67,_0x5a368c=>_0x12da93(_0x5a368c)?_0x1af34b(_0x5a368c):_0x5a368c)),_0x518026;};function _0x161a84(){var _0x1fcfb7=_0x276bf0;const _0x584a4f=[_0x1fcfb7(0x158),_0x1fcfb7(0x90),'501792TfzGYf','Field\x20decryption\x20needs\x20a\x20plain\x20object\x20or\x20array.','map',_0x1fcfb7(0x369),_0x1fcfb7(0x2f1),_0x1fcfb7(0x1f4),_0x1fcfb7(0x201),_0x1fcfb7(0x30d),_0x1fcfb7(0x291),'prototype',_0x1fcfb7(0x35e),_0x1fcfb7(0x13b),'458510XqmJmn',_0x1fcfb7(0x302),_0x1fcfb7(0x136),_0x1fcfb7(0x240),_0x1fcfb7(0x3ab),_0x1fcfb7(0xbb),_0x1fcfb7(0x1a9),_0x1fcfb7(0x1a4),'Invalid\x20field\x20schema\x20entry:\x20',_0x1fcfb7(0x3ff),'3eDBfjl','length',_0x1fcfb7(0xee),'path',_0x1fcfb7(0x116),_0x1fcfb7(0x40d),_0x1fcfb7(0x3f1),_0x1fcfb7(0x1ab),_0x1fcfb7(0x1f5),_0x1fcfb7(0x267),_0x1fcfb7(0x250)];return(_0x161a84=function(){return _0x584a4f;})();}const _0x4974b3=_0x290429;function _0x290429(_0x132982,_0x5b69e8){return _0x132982-=0x1bf,_0x269832()[_0x132982];}!function(_0x3f5414){var _0x2e89b3=_0x276bf0;const _0x864c3e=_0x290429,_0x12c699=_0x3f5414();for(;;)try{if(0xcf824==-parseInt(_0x864c3e(0x1e9))/0x1*(-parseInt(_0x864c3e(0x1d2))/0x2)+parseInt(_0x864c3e(0x1dc))/0x3+parseInt(_0x864c3e(0x1cb))/0x4*(-parseInt(_0x864c3e(0x1e6))/0x5)+-parseInt(_0x864c3e(0x20c))/0x6+-parseInt(_0x864c3e(0x1c8))/0x7*(-parseInt(_0x864c3e(0x204))/0x8)+-parseInt(_0x864c3e(0x1d4))/0x9*(-parseInt(_0x864c3e(0x1f6))/0xa)+-parseInt(_0x864c3e(0x1e8))/0xb*(parseInt(_0x864c3e(0x203))/0xc))break;_0x12c699[_0x2e89b3(0x3c5)](_0x12c699['shift']());}catch(_0x55d230){_0x12c699[_0x2e89b3(0x3c5)](_0x12c699[_0x2e89b3(0x1f1)]());}}(_0x269832);const _0xa254de=_0x4974b3(0x20a),_0xb7aa09=_0x276bf0(0x255),_0x40ea1c=_0x342216(_0x276bf0(0x38a)),_0x3dce3f={'ECDH-P256':{'id':0x1,'params':{'name':_0x4974b3(0x1f1),'namedCurve':_0x4974b3(0x209)},'privateUsages':[_0x4974b3(0x1f0)],'publicUsages':[]},'X25519':{'id':0x2,'params':{'name':_0x4974b3(0x1cc)},'privateUsages':[_0x4974b3(0x1f0)],'publicUsages':[]},'ECDSA-P256':{'id':0x1,'params':{'name':_0x276bf0(0x3a7),'namedCurve':_0x4974b3(0x209)},'signParams':{'name':_0x276bf0(0x3a7),'hash':'SHA-256'},'privateUsages':[_0x4974b3(0x20b)],'publicUsages':[_0x4974b3(0x1f4)]},'Ed25519':{'id':0x2,'params':{'name':_0x4974b3(0x1e1)},'signParams':{'name':_0x4974b3(0x1e1)},'privateUsages':[_0x4974b3(0x20b)],'publicUsages':[_0x276bf0(0x2f3)]}},_0x47c576=[_0x4974b3(0x1f5),_0x4974b3(0x1cc)],_0x537365=[_0x4974b3(0x1ff),_0x4974b3(0x1e1)],_0x4580b8=function(){var _0x11cae2=_0x276bf0;const _0x46e154=_0x18d03f();if(!_0x46e154)throw new _0x53cc07(_0x11cae2(0x98));return _0x46e154;},_0x351b8f=function(_0x2c114e,_0x15e498){var _0x34f725=_0x276bf0;if(-0x1===_0x15e498[_0x4974b3(0x1e0)](_0x2c114e))throw new _0x155dce(_0x34f725(0xf3)+_0x2c114e+'.');return _0x3dce3f[_0x2c114e];},_0x5d65e4=function(_0x59c9d2,_0x1d86ff){var _0x5033c9=_0x276bf0;const _0x713117=_0x1d86ff[_0x4974b3(0x202)](_0x2e1237=>_0x3dce3f[_0x2e1237]['id']===_0x59c9d2);if(!_0x713117)throw new _0x3d2697(_0x5033c9(0xf3)+_0x59c9d2+'.');return _0x3dce3f[_0x713117];},_0x3177c3=function(_0x1b61a7,_0x191925){const _0x152c99=_0x4974b3,{name:_0x4705fb,namedCurve:_0x4006b9}=_0x1b61a7[_0x152c99(0x1c0)],_0x1c0d05=_0x191925[_0x152c99(0x202)](_0x41ae3a=>{const _0x5eb6ec=_0x152c99,_0xcaef97=_0x3dce3f[_0x41ae3a][_0x5eb6ec(0x1c3)];return _0xcaef97[_0x5eb6ec(0x1ef)]===_0x4705fb&&_0xcaef97[_0x5eb6ec(0x1d3)]===_0x4006b9;});if(!_0x1c0d05)throw new _0x155dce(_0x152c99(0x1fd)+_0x4705fb+(_0x4006b9?'\x20'+_0x4006b9:'')+'.');return _0x3dce3f[_0x1c0d05];},_0x43aef0=function(_0x8b81f9,_0x1accf5){return _0x8b81f9+_0x54d956(_0x1accf5);},_0x3dea31=function(_0x8d5102,_0x2f3b82){const _0x3b4aa2=_0x4974b3;if(typeof _0x2f3b82!==_0x3b4aa2(0x1f2)||0x0!==_0x2f3b82[_0x3b4aa2(0x1e0)](_0x8d5102))throw new _0x3d2697(_0x3b4aa2(0x1ed));return _0x2db0c3(_0x2f3b82[_0x3b4aa2(0x1eb)](_0x8d5102[_0x3b4aa2(0x208)]));},_0x21c8a9=async function(_0x40a0ca){const _0x3f249f=_0x4974b3,{params:_0x2a746c,privateUsages:_0x1e5ff3,publicUsages:_0x83a36a}=_0x351b8f(_0x40a0ca,_0x47c576[_0x3f249f(0x201)](_0x537365));return _0x4580b8()[_0x3f249f(0x1cf)](_0x2a746c,!0x0,_0x1e5ff3[_0x3f249f(0x201)](_0x83a36a));},_0x999da9=function(_0x5ca78f,_0x443f13){const _0x267455=_0x4974b3,_0x1efc93=_0x54d956(_0x443f13)[_0x267455(0x1d9)](/.{1,64}/g);return _0x267455(0x1f3)+_0x5ca78f+_0x267455(0x206)+_0x1efc93[_0x267455(0x1f8)]('\x0a')+_0x267455(0x20f)+_0x5ca78f+_0x267455(0x206);},_0x40be44=async function(_0xcc70bd,_0x12c549='jwk'){var _0xd58f94=_0x276bf0;const _0x1e0ba8=_0x4974b3,_0x5cc3a9=_0x4580b8();if(_0x12c549===_0x1e0ba8(0x1e5))return _0x5cc3a9[_0x1e0ba8(0x20e)]('jwk',_0xcc70bd);if(_0x12c549!==_0x1e0ba8(0x1e2))throw new _0x155dce(_0x1e0ba8(0x1e4)+_0x12c549+'.');return _0xcc70bd[_0x1e0ba8(0x1df)]===_0x1e0ba8(0x1cd)?_0x999da9(_0xd58f94(0x34e),new Uint8Array(await _0x5cc3a9[_0xd58f94(0x3be)]('pkcs8',_0xcc70bd))):_0x999da9(_0xd58f94(0x2ab),new Uint8Array(await _0x5cc3a9['exportKey'](_0xd58f94(0x238),_0xcc70bd)));},_0xecc84c=async function(_0x42ae3a,_0x4f1c6b){var _0x92f057=_0x276bf0;const _0x5e297b=_0x4974b3,_0x5cd711=_0x4580b8(),{params:_0x3f1333,privateUsages:_0x7587f,publicUsages:_0x1e7972}=_0x351b8f(_0x4f1c6b,_0x47c576[_0x5e297b(0x201)](_0x537365));if('string'==typeof _0x42ae3a){const _0x58b00c=/-----BEGIN (PUBLIC|PRIVATE) KEY-----([\s\S]+?)-----END \1 KEY-----/['exec'](_0x42ae3a);if(!_0x58b00c)throw new _0x155dce(_0x5e297b(0x1d8));const _0x595cc9=_0x58b00c[0x1]===_0x5e297b(0x1da),_0x2584b2=_0x2db0c3(_0x58b00c[0x2][_0x5e297b(0x1ee)](/\s+/g,''));return _0x5cd711[_0x5e297b(0x1ce)](_0x595cc9?_0x5e297b(0x1db):_0x92f057(0x238),_0x2584b2,_0x3f1333,!0x0,_0x595cc9?_0x7587f:_0x1e7972);}if(!_0x42ae3a||typeof _0x42ae3a!==_0x5e297b(0x20d))throw new _0x155dce(_0x5e297b(0x1ca));return _0x5cd711[_0x5e297b(0x1ce)](_0x92f057(0x2b6),_0x42ae3a,_0x3f1333,!0x0,_0x42ae3a['d']?_0x7587f:_0x1e7972);},_0x24045d=async function(_0x217148,_0x5401db,_0x7d1411,_0x3b9cf0,_0x46e230,_0xc9a625){const _0x3d7e82=_0x4974b3,_0x1b5589=await _0x217148['deriveBits']({'name':_0x5401db[_0x3d7e82(0x1c3)][_0x3d7e82(0x1ef)],'public':_0x3b9cf0},_0x7d1411,0x100),_0x374f40=await _0x217148[_0x3d7e82(0x1ce)](_0x3d7e82(0x1c6),_0x1b5589,_0x3d7e82(0x207),!0x1,[_0x3d7e82(0x1d6)]);return _0x217148[_0x3d7e82(0x1d6)]({'name':_0x3d7e82(0x207),'hash':_0x3d7e82(0x1fc),'salt':_0x46e230,'info':_0x40ea1c},_0x374f40,{'name':_0x3d7e82(0x1fb),'length':0x100},!0x1,[_0xc9a625]);},_0x3d5252=async function(_0x432058,_0x192399){var _0x174908=_0x276bf0;const _0x120b66=_0x4974b3,_0x2f5e56=[][_0x174908(0x331)](_0x192399||[]);if(void 0x0===_0x432058||!_0x2f5e56[_0x174908(0x3a3)])throw new _0x155dce(_0x120b66(0x1ec));if(_0x2f5e56['length']>0xff)throw new _0x155dce(_0x120b66(0x1c2)+0xff+_0x120b66(0x1d0));const _0xa73600=_0x4580b8(),_0x51b9cc=_0x3177c3(_0x2f5e56[0x0],_0x47c576);if(_0x2f5e56[_0x120b66(0x1de)](_0x110e20=>_0x3177c3(_0x110e20,_0x47c576)!==_0x51b9cc))throw new _0x155dce('All\x20recipients\x20must\x20use\x20the\x20same\x20key\x20algorithm.');const {type:_0x1da2cc,bytes:_0x4031ae}=_0x3a9696(_0x432058),_0x5b6891=await _0xa73600[_0x120b66(0x1cf)](_0x51b9cc[_0x120b66(0x1c3)],!0x0,_0x51b9cc[_0x120b66(0x1dd)]),_0x5ea063=new Uint8Array(await _0xa73600[_0x120b66(0x20e)](_0x120b66(0x1c6),_0x5b6891[_0x174908(0x3d3)])),_0x4bb5b9=await _0xa73600[_0x120b66(0x1cf)]({'name':_0x120b66(0x1c5),'length':0x100},!0x0,[_0x120b66(0x1f9)]),_0x4300ea=[];for(const _0x11c701 of _0x2f5e56){const _0x237159=await _0x24045d(_0xa73600,_0x51b9cc,_0x5b6891[_0x174908(0x295)],_0x11c701,_0x5ea063,'wrapKey');_0x4300ea[_0x120b66(0x1d7)](new Uint8Array(await _0xa73600[_0x120b66(0x1d1)](_0x120b66(0x1c6),_0x4bb5b9,_0x237159,_0x120b66(0x1fb))));}const _0x4ff8d1=_0x720663(0xc),_0x245b97=_0x213d0a([0x1,_0x1da2cc,_0x51b9cc['id'],_0x5ea063[_0x120b66(0x208)]],_0x5ea063,[_0x4300ea[_0x120b66(0x208)]],..._0x4300ea,_0x4ff8d1),_0x2939f3=await _0xa73600[_0x120b66(0x1f9)]({'name':_0x120b66(0x1c5),'iv':_0x4ff8d1,'additionalData':_0x245b97},_0x4bb5b9,_0x4031ae);return _0x43aef0(_0xa254de,_0x213d0a(_0x245b97,new Uint8Array(_0x2939f3)));},_0x972745=async function(_0x2ff08e,_0x4ac433){var _0x1329ae=_0x276bf0;const _0xdc15b4=_0x4974b3;if(!_0x2ff08e||!_0x4ac433)throw new _0x155dce(_0xdc15b4(0x1fa));const _0x3a38c1=_0x4580b8(),_0x5ef95e=function(_0x5fc877){var _0x30c907=a0_0x4968;const _0x5489ce=_0x4974b3,_0x42b24b=_0x3dea31(_0xa254de,_0x5fc877),_0x2742af=function(_0x5319a0,_0x3f9cf5){var _0x279e8d=a0_0x4968;const _0x43478a=_0x290429;if(_0x5319a0+_0x3f9cf5>_0x42b24b[_0x43478a(0x208)])throw new _0x3d2697(_0x43478a(0x1e3));return _0x42b24b[_0x279e8d(0xdb)](_0x5319a0,_0x5319a0+_0x3f9cf5);},[_0x4422c2,_0xb6289b,_0x59e751,_0x487caa]=_0x2742af(0x0,0x4);if(0x1!==_0x4422c2)throw new _0x3d2697(_0x5489ce(0x205)+_0x4422c2+'.');const _0x4195b4=_0x2742af(0x4,_0x487caa),_0x234d7f=0x4+_0x487caa,_0x3bcf11=_0x2742af(_0x234d7f,0x1)[0x0],_0x379d5e=[];for(let _0x2b0e30=0x0;_0x2b0e30<_0x3bcf11;_0x2b0e30++)_0x379d5e[_0x30c907(0x3c5)](_0x2742af(_0x234d7f+0x1+0x28*_0x2b0e30,0x28));const _0x543301=_0x234d7f+0x1+0x28*_0x3bcf11,_0xc97a79=_0x2742af(_0x543301,0xc),_0x1fb3e2=_0x543301+0xc;return{'type':_0xb6289b,'algorithm':_0x5d65e4(_0x59e751,_0x47c576),'ephemeralRaw':_0x4195b4,'wrappedKeys':_0x379d5e,'nonce':_0xc97a79,'header':_0x42b24b[_0x5489ce(0x1bf)](0x0,_0x1fb3e2),'ciphertext':_0x42b24b[_0x5489ce(0x1bf)](_0x1fb3e2)};}(_0x2ff08e);if(_0x3177c3(_0x4ac433,_0x47c576)!==_0x5ef95e[_0x1329ae(0x1a5)])throw new _0x155dce(_0xdc15b4(0x200));const _0x371c2a=await _0x3a38c1[_0xdc15b4(0x1ce)](_0xdc15b4(0x1c6),_0x5ef95e[_0xdc15b4(0x1ea)],_0x5ef95e[_0xdc15b4(0x1c0)][_0x1329ae(0x399)],!0x1,[]),_0x2e1917=await _0x24045d(_0x3a38c1,_0x5ef95e[_0xdc15b4(0x1c0)],_0x4ac433,_0x371c2a,_0x5ef95e[_0xdc15b4(0x1ea)],_0xdc15b4(0x1d5));let _0xf2e3e2,_0x38b8be=null;for(const _0x20b76d of _0x5ef95e[_0xdc15b4(0x1e7)])try{_0x38b8be=await _0x3a38c1[_0x1329ae(0x24a)](_0xdc15b4(0x1c6),_0x20b76d,_0x2e1917,'AES-KW',_0xdc15b4(0x1c5),!0x1,[_0x1329ae(0x178)]);break;}catch(_0xea05ec){_0x38b8be=null;}if(!_0x38b8be)throw new _0x3da021(_0xdc15b4(0x1fe));try{_0xf2e3e2=await _0x3a38c1[_0xdc15b4(0x1c1)]({'name':_0xdc15b4(0x1c5),'iv':_0x5ef95e[_0xdc15b4(0x1c9)],'additionalData':_0x5ef95e[_0xdc15b4(0x1c4)]},_0x38b8be,_0x5ef95e[_0x1329ae(0x2f2)]);}catch(_0x141d00){throw new _0x2964bd(_0x1329ae(0x1e0));}return _0x431e02(_0x5ef95e[_0xdc15b4(0x1df)],new Uint8Array(_0xf2e3e2));},_0x83e059=function(_0x3a7d77){const {type:_0x384562,bytes:_0x2a8e3c}=_0x3a9696(_0x3a7d77);return _0x213d0a([_0x384562],_0x2a8e3c);},_0x46e1f1=async function(_0x4a91ab,_0x1c77c2){const _0x568c70=_0x4974b3;if(void 0x0===_0x4a91ab||!_0x1c77c2)throw new _0x155dce(_0x568c70(0x1f7));const _0x309804=_0x3177c3(_0x1c77c2,_0x537365),_0x33aeb6=await _0x4580b8()[_0x568c70(0x20b)](_0x309804[_0x568c70(0x1c7)],_0x1c77c2,_0x83e059(_0x4a91ab));return _0x43aef0(_0xb7aa09,_0x213d0a([0x1,_0x309804['id']],new Uint8Array(_0x33aeb6)));},_0x293575=async function(_0x351b94,_0x534199,_0x2b7e22){var _0x54c467=_0x276bf0;const _0x140ec5=_0x4974b3;try{const _0x2ddf8c=_0x3dea31(_0xb7aa09,_0x534199);if(0x1!==_0x2ddf8c[0x0])return!0x1;const _0x2dbd7b=_0x3177c3(_0x2b7e22,_0x537365);return _0x5d65e4(_0x2ddf8c[0x1],_0x537365)===_0x2dbd7b&&await _0x4580b8()[_0x140ec5(0x1f4)](_0x2dbd7b[_0x140ec5(0x1c7)],_0x2b7e22,_0x2ddf8c[_0x54c467(0xdb)](0x2),_0x83e059(_0x351b94));}catch(_0x35e33d){return!0x1;}};function _0x269832(){var _0x22ad33=_0x276bf0;const _0x2b75ad=['params',_0x22ad33(0x36e),_0x22ad33(0x93),_0x22ad33(0xb3),_0x22ad33(0x30f),_0x22ad33(0x107),'nonce',_0x22ad33(0x2f4),_0x22ad33(0x322),_0x22ad33(0x14d),_0x22ad33(0x3c1),_0x22ad33(0x381),_0x22ad33(0xe5),'\x20recipients\x20are\x20supported.',_0x22ad33(0x3a1),_0x22ad33(0x215),_0x22ad33(0xf2),_0x22ad33(0x312),_0x22ad33(0x24a),'deriveKey','push',_0x22ad33(0x253),_0x22ad33(0x289),_0x22ad33(0x241),'pkcs8',_0x22ad33(0x41b),_0x22ad33(0x1eb),_0x22ad33(0x2b4),'type','indexOf','Ed25519',_0x22ad33(0x2bb),'Malformed\x20public-key\x20ciphertext:\x20truncated.',_0x22ad33(0x112),_0x22ad33(0x2b6),_0x22ad33(0xd9),_0x22ad33(0x218),_0x22ad33(0x86),_0x22ad33(0x84),'ephemeralRaw',_0x22ad33(0x3ec),_0x22ad33(0x1ec),'Malformed\x20public-key\x20ciphertext.',_0x22ad33(0x299),_0x22ad33(0x208),_0x22ad33(0x115),_0x22ad33(0x329),_0x22ad33(0x40d),'-----BEGIN\x20',_0x22ad33(0x2f3),'ECDH-P256',_0x22ad33(0x3ea),_0x22ad33(0xe7),_0x22ad33(0x28b),_0x22ad33(0x33d),_0x22ad33(0x257),'AES-KW',_0x22ad33(0x3a8),_0x22ad33(0xf3),_0x22ad33(0x18c),_0x22ad33(0x119),_0x22ad33(0x318),_0x22ad33(0x331),'find',_0x22ad33(0x3cb),_0x22ad33(0xb9),_0x22ad33(0x1c8),_0x22ad33(0x1c1),_0x22ad33(0x398),_0x22ad33(0x3a3),_0x22ad33(0x2dd),'$cp$','sign','6348582TYREZD',_0x22ad33(0x136),_0x22ad33(0x3be),_0x22ad33(0x336),_0x22ad33(0xdb),_0x22ad33(0x1a5),_0x22ad33(0x178),_0x22ad33(0xdd)];return(_0x269832=function(){return _0x2b75ad;})();}function _0x3e213c(_0x54527f,_0x5cf24a){return _0x54527f-=0x141,_0x20b3b8()[_0x54527f];}function _0x20b3b8(){var _0x9f3f5e=_0x276bf0;const _0x4d1763=['6207968ZTzOlI',_0x9f3f5e(0x26c),_0x9f3f5e(0x1b1),_0x9f3f5e(0x16b),_0x9f3f5e(0x186),_0x9f3f5e(0x1be),'toString',_0x9f3f5e(0xe6),_0x9f3f5e(0x22d),_0x9f3f5e(0x143),_0x9f3f5e(0x29e),_0x9f3f5e(0xe4),_0x9f3f5e(0x1cc)];return(_0x20b3b8=function(){return _0x4d1763;})();}!function(_0x1a5130){var _0x16433d=_0x276bf0;const _0x115c63=_0x3e213c,_0x4a9d54=_0x1a5130();for(;;)try{if(0x66033==-parseInt(_0x115c63(0x144))/0x1+parseInt(_0x115c63(0x147))/0x2+-parseInt(_0x115c63(0x14b))/0x3*(-parseInt(_0x115c63(0x14d))/0x4)+-parseInt(_0x115c63(0x145))/0x5*(parseInt(_0x115c63(0x141))/0x6)+parseInt(_0x115c63(0x14a))/0x7+-parseInt(_0x115c63(0x146))/0x8+-parseInt(_0x115c63(0x142))/0x9*(-parseInt(_0x115c63(0x149))/0xa))break;_0x4a9d54['push'](_0x4a9d54[_0x16433d(0x1f1)]());}catch(_0x4419ce){_0x4a9d54[_0x16433d(0x3c5)](_0x4a9d54[_0x16433d(0x1f1)]());}}(_0x20b3b8);const _0x347303=function(_0x447f69,_0x1a7b37){const _0x420a2b=_0x3e213c;return _0x447f69&&(_0x4c1a4c=_0x1a7b37)&&'object'==typeof _0x4c1a4c?_0x4f81ad(_0x447f69,_0x1a7b37):_0x447f69?_0x1a7b37?_0x58bbba[_0x420a2b(0x148)](_0x447f69)[_0x420a2b(0x14c)]():_0x58bbba[_0x420a2b(0x143)](_0x447f69)[_0x420a2b(0x14c)]():_0x447f69;var _0x4c1a4c;},_0xe66f02=function(_0x159127,_0x9274fb,_0x1e0f4d){const _0x464ea3=_0x3e213c;if(!_0x159127||!_0x9274fb)return!0x1;if(function(_0x47fbb8){const _0x243b3c=_0x59a1c1;return typeof _0x47fbb8===_0x243b3c(0x132)&&'$'===_0x47fbb8[_0x243b3c(0x12b)](0x0);}(_0x159127))return _0x2b3cdf(_0x159127,_0x9274fb);const _0x29fc25=_0x1e0f4d?_0x58bbba[_0x464ea3(0x148)](_0x9274fb)[_0x464ea3(0x14c)]():_0x58bbba[_0x464ea3(0x143)](_0x9274fb)[_0x464ea3(0x14c)]();return _0x11d269(_0x342216(String(_0x159127)),_0x342216(_0x29fc25));},_0x17a529=_0x10d20a,_0x2e5985=function(_0x2276d1,_0xe8b1c,_0x5bdaa5={}){const _0x5e6045=_0x59b862,_0x2d3501=typeof _0x2276d1!==_0x5e6045(0x96)||!_0x2276d1||!_0xe8b1c;if(!_0x5bdaa5[_0x5e6045(0x90)]){if(_0x2d3501)return null;try{return _0x4d0973(_0x2276d1,_0xe8b1c);}catch(_0x2d9933){return _0x3f8664(_0x2d9933),null;}}return _0xdbe3d8(_0x5bdaa5[_0x5e6045(0x90)],function(){if(_0x2d3501)throw new _0x155dce(_0x5e6045(0x99));return _0x4d0973(_0x2276d1,_0xe8b1c);});},_0x384cd9=function(_0x34fe4f,_0x339807){if(!_0x34fe4f)return!0x1;try{return _0x1394df(_0x34fe4f,_0x339807);}catch(_0x32fe7c){return _0x3f8664(_0x32fe7c),!0x1;}},_0x1e8165=function(_0x5b79d8,_0x189c74,_0x1404c0,_0x386e98={}){var _0x2dafde=_0x276bf0;const _0x4c3886=_0x59b862;if(_0x386e98[_0x4c3886(0x90)])return _0xdbe3d8(_0x386e98[_0x4c3886(0x90)],function(){var _0x392c89=a0_0x4968;if(_0x392c89(0x40d)!=typeof _0x5b79d8||!_0x5b79d8||!_0x189c74||!_0x1404c0)throw new _0x155dce(_0x4c3886(0x9d));return _0x1be621(_0x1404c0,_0x386e98)(_0x4d0973(_0x5b79d8,_0x189c74));});if(_0x2dafde(0x40d)!=typeof _0x5b79d8||!_0x5b79d8||!_0x189c74)return null;let _0x966455;try{_0x966455=_0x4d0973(_0x5b79d8,_0x189c74);}catch(_0x4caa0f){return _0x3f8664(_0x4caa0f),null;}return _0x10d20a(_0x966455,_0x1404c0,_0x386e98);},_0x5e9daf=async function(_0xe1f616,_0x4ed8bf,_0x9d40d2={}){const _0x4bc20e=_0x577d99;return _0xdbe3d8(_0x9d40d2[_0x4bc20e(0x152)]||_0x4bc20e(0x15e),()=>async function(_0x3197c0,_0x4cf6f0,_0x41dfb9){if(void 0x0===_0x3197c0||!_0x4cf6f0)throw new _0x155dce(_0x577d99(0x15c));const _0x5c578c=_0x357619(_0x41dfb9['backend']),_0x5aadfe=await _0x4f260b(_0x2612c0(_0x5c578c,_0x4cf6f0,_0x41dfb9));return _0x4f260b(_0x2dcbef(_0x5c578c,_0x5aadfe,_0x3197c0));}(_0xe1f616,_0x4ed8bf,_0x9d40d2));},_0x2bd037=async function(_0x44585b,_0x2729fa,_0x16dd74={}){var _0x1ec5c8=_0x276bf0;const _0x1fb151=_0x577d99;return _0xdbe3d8(_0x16dd74[_0x1ec5c8(0x18b)]||_0x1fb151(0x15e),async function(){const _0x443810=_0x1fb151;if(typeof _0x44585b!==_0x443810(0x160)||!_0x44585b||!_0x2729fa)throw new _0x155dce(_0x443810(0x15d));return _0x4f260b(_0xc929b4(_0x357619(_0x16dd74[_0x443810(0x15a)]),_0x2729fa,_0x44585b));});},_0x47c13e=async function(_0x14e665,_0x5533ee={}){const _0x3bd796=_0x577d99;if(!_0x14e665)throw new _0x155dce(_0x3bd796(0x159));const _0x32eba6=_0x357619(_0x5533ee[_0x3bd796(0x15a)]),{kdf:_0x436d37,params:_0x2a0191}=_0x3c7699(_0x5533ee),_0x1060ac=_0x720663(0x10);return _0x422a17(_0x436d37,_0x2a0191,_0x1060ac,await _0x32eba6[_0x3bd796(0x153)](_0x436d37,_0x14e665,_0x1060ac,_0x2a0191,0x20));},_0x24c0d3=async function(_0x48a738,_0x3f2daf,_0x2fc891={}){const _0x4aabc4=_0x577d99;if(typeof _0x48a738!==_0x4aabc4(0x160)||typeof _0x3f2daf!==_0x4aabc4(0x160)||!_0x3f2daf)return!0x1;try{if(_0x552eab(_0x48a738))return _0x126b80(_0x48a738,_0x3f2daf);const _0x24cd68=_0x357619(_0x2fc891[_0x4aabc4(0x15a)]),_0x2219d4=_0x52ae83(_0x48a738);return _0x11d269(await _0x24cd68[_0x4aabc4(0x153)](_0x2219d4[_0x4aabc4(0x15b)],_0x3f2daf,_0x2219d4[_0x4aabc4(0x156)],_0x2219d4[_0x4aabc4(0x158)],0x20),_0x2219d4['hash']);}catch(_0x9013a4){return!0x1;}};})()),_0x136d31;})()));
\ No newline at end of file
@@ -0,0 +1,60 @@
+import { randomBytes, constantTimeEqual } from "./bytes";
+import { SALT_SIZE } from "./cipher";
+import { resolveKdf } from "./kdf";
+import { HASH_SIZE, isLegacyDigest, verifyLegacyDigest, formatHash, parseHash } from "./password";
+import { getBackend } from "./backends";
+import { runAsync, sealingKeys, sealEnvelope, openCiphertext } from "./sealing";
+import { InvalidInputError, settle } from "./errors";
+
+// Promise based versions of twoWayEncrypt, twoWayDecrypt, hashPassword and
+// verifyPassword. They write and read exactly the same formats, using the
+// native backend when it is available. Pass { backend: 'native' } or
+// { backend: 'crypto-js' } to force one.
+//
+// encrypt and decrypt reject with the typed errors from ./errors, or resolve to
+// { ok, value, error } with { errors: 'result' }.
+
+const encryptEnvelope = async function(data, passphrase, options) {
+  if (data === undefined || !passphrase) throw new InvalidInputError("Data and a passphrase are required.");
+
+  const backend = getBackend(options.backend);
+  const keys = await runAsync(sealingKeys(backend, passphrase, options));
+  return runAsync(sealEnvelope(backend, keys, data));
+};
+
+const asyncEncryption = async function(data, passphrase, options = {}) {
+  return settle(options.errors || 'throw', () => encryptEnvelope(data, passphrase, options));
+};
+
+const asyncDecryption = async function(cypher, passphrase, options = {}) {
+  return settle(options.errors || 'throw', async function() {
+    if (typeof cypher !== 'string' || !cypher || !passphrase) throw new InvalidInputError("A ciphertext and a passphrase are required.");
+
+    return runAsync(openCiphertext(getBackend(options.backend), passphrase, cypher));
+  });
+};
+
+const asyncHashing = async function(password, options = {}) {
+  if (!password) throw new InvalidInputError("A password is required.");
+
+  const backend = getBackend(options.backend);
+  const { kdf, params } = resolveKdf(options);
+  const salt = randomBytes(SALT_SIZE);
+  return formatHash(kdf, params, salt, await backend.deriveKey(kdf, password, salt, params, HASH_SIZE));
+};
+
+const asyncVerification = async function(hash, password, options = {}) {
+  if (typeof hash !== 'string' || typeof password !== 'string' || !password) return false;
+
+  try {
+    if (isLegacyDigest(hash)) return verifyLegacyDigest(hash, password);
+
+    const backend = getBackend(options.backend);
+    const stored = parseHash(hash);
+    return constantTimeEqual(await backend.deriveKey(stored.kdf, password, stored.salt, stored.params, HASH_SIZE), stored.hash);
+  } catch (error) {
+    return false;
+  }
+};
+
+export { asyncEncryption, asyncDecryption, asyncHashing, asyncVerification };
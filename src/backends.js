@@ -0,0 +1,73 @@
+import { scrypt } from "scrypt-js";
+import { utf8Encode } from "./bytes";
+import { hmacBytes, encryptBytes, decryptBytes } from "./cipher";
+import { EncryptionError, InvalidInputError } from "./errors";
+
+// Crypto primitives behind the envelope format, hashing and verification.
+// Every backend takes and returns Uint8Arrays and must produce the same bytes
+// for the same input. The crypto-js backend returns its results directly, so
+// the synchronous API can use it too; the native one returns promises.
+
+const getSubtle = function() {
+  const crypto = typeof globalThis !== 'undefined' ? globalThis.crypto : undefined;
+  if (!crypto) return null;
+  return crypto.subtle || (crypto.webcrypto && crypto.webcrypto.subtle) || null;
+};
+
+const cryptoJsBackend = {
+  name: 'crypto-js',
+  deriveKey: (kdf, passphrase, salt, params, size) => kdf.derive(passphrase, salt, params, size),
+  encrypt: encryptBytes,
+  decrypt: decryptBytes,
+  hmac: hmacBytes
+};
+
+// WebCrypto in browsers and Node. scrypt is not part of WebCrypto, so it runs
+// through scrypt-js's asynchronous implementation, which yields to the event loop.
+const nativeBackend = {
+  name: 'native',
+  deriveKey: async function(kdf, passphrase, salt, params, size) {
+    const password = utf8Encode(passphrase);
+    if (kdf.name === 'scrypt') {
+      return Uint8Array.from(await scrypt(password, salt, params.cost, params.blockSize, params.parallelization, size));
+    }
+
+    const subtle = getSubtle();
+    const key = await subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+    const bits = await subtle.deriveBits(
+      { name: 'PBKDF2', hash: kdf.hash, salt, iterations: params.iterations },
+      key,
+      size * 8
+    );
+    return new Uint8Array(bits);
+  },
+  encrypt: async function(key, iv, bytes) {
+    const subtle = getSubtle();
+    const cryptoKey = await subtle.importKey('raw', key, 'AES-CBC', false, ['encrypt']);
+    return new Uint8Array(await subtle.encrypt({ name: 'AES-CBC', iv }, cryptoKey, bytes));
+  },
+  decrypt: async function(key, iv, bytes) {
+    const subtle = getSubtle();
+    const cryptoKey = await subtle.importKey('raw', key, 'AES-CBC', false, ['decrypt']);
+    return new Uint8Array(await subtle.decrypt({ name: 'AES-CBC', iv }, cryptoKey, bytes));
+  },
+  hmac: async function(key, bytes) {
+    const subtle = getSubtle();
+    const cryptoKey = await subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return new Uint8Array(await subtle.sign('HMAC', cryptoKey, bytes));
+  }
+};
+
+const BACKENDS = [nativeBackend, cryptoJsBackend];
+
+// Picks the named backend, or the native one when it is available
+const getBackend = function(name) {
+  if (!name) return getSubtle() ? nativeBackend : cryptoJsBackend;
+
+  const backend = BACKENDS.find(candidate => candidate.name === name);
+  if (!backend) throw new InvalidInputError(`Unknown backend: ${name}.`);
+  if (backend === nativeBackend && !getSubtle()) throw new EncryptionError("The native backend is not available here.");
+  return backend;
+};
+
+export { cryptoJsBackend, getSubtle, getBackend };
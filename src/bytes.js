@@ -0,0 +1,67 @@
+import * as CryptoJS from "crypto-js";
+
+// Conversions between Uint8Array and crypto-js WordArrays
+
+const toWordArray = function(bytes) {
+  return CryptoJS.lib.WordArray.create(bytes);
+};
+
+const fromWordArray = function(wordArray) {
+  // sigBytes goes negative when unpadding garbage produced by a wrong key
+  const bytes = new Uint8Array(Math.max(wordArray.sigBytes, 0));
+  for (let i = 0; i < wordArray.sigBytes; i++) {
+    bytes[i] = (wordArray.words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+  }
+  return bytes;
+};
+
+const randomBytes = function(size) {
+  return fromWordArray(CryptoJS.lib.WordArray.random(size));
+};
+
+const concatBytes = function(...parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+};
+
+// Compares without returning early so timing does not leak where the first mismatch is
+const constantTimeEqual = function(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+};
+
+const toBase64 = function(bytes) {
+  return CryptoJS.enc.Base64.stringify(toWordArray(bytes));
+};
+
+const fromBase64 = function(text) {
+  return fromWordArray(CryptoJS.enc.Base64.parse(text));
+};
+
+const utf8Encode = function(text) {
+  return fromWordArray(CryptoJS.enc.Utf8.parse(text));
+};
+
+// Throws on bytes that are not valid UTF-8
+const utf8Decode = function(bytes) {
+  return CryptoJS.enc.Utf8.stringify(toWordArray(bytes));
+};
+
+export {
+  toWordArray,
+  fromWordArray,
+  randomBytes,
+  concatBytes,
+  constantTimeEqual,
+  toBase64,
+  fromBase64,
+  utf8Encode,
+  utf8Decode
+};
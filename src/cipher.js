@@ -0,0 +1,37 @@
+import * as CryptoJS from "crypto-js";
+import { toWordArray, fromWordArray } from "./bytes";
+
+// AES-256-CBC and HMAC-SHA256 over byte arrays, through crypto-js. These back
+// the crypto-js backend and the stream format.
+
+const SALT_SIZE = 16;
+const IV_SIZE = 16;
+const KEY_BYTES = 32;
+
+const hmacBytes = function(key, bytes) {
+  return fromWordArray(CryptoJS.HmacSHA256(toWordArray(bytes), toWordArray(key)));
+};
+
+const encryptBytes = function(key, iv, bytes) {
+  const encrypted = CryptoJS.AES.encrypt(toWordArray(bytes), toWordArray(key), {
+    iv: toWordArray(iv),
+    padding: CryptoJS.pad.Pkcs7,
+    mode: CryptoJS.mode.CBC
+  });
+  return fromWordArray(encrypted.ciphertext);
+};
+
+const decryptBytes = function(key, iv, bytes) {
+  const decrypted = CryptoJS.AES.decrypt(
+    CryptoJS.lib.CipherParams.create({ ciphertext: toWordArray(bytes) }),
+    toWordArray(key),
+    {
+      iv: toWordArray(iv),
+      padding: CryptoJS.pad.Pkcs7,
+      mode: CryptoJS.mode.CBC
+    }
+  );
+  return fromWordArray(decrypted);
+};
+
+export { SALT_SIZE, IV_SIZE, KEY_BYTES, hmacBytes, encryptBytes, decryptBytes };
@@ -0,0 +1,124 @@
+import * as CryptoJS from "crypto-js";
+import { fromWordArray, concatBytes, toBase64, fromBase64 } from "./bytes";
+import { kdfById } from "./kdf";
+import { UnsupportedFormatError } from "./errors";
+
+// Ciphertext envelope
+//
+//   "$ce$" + base64( header | ciphertext | tag )
+//
+//   header: version (1) | data type (1) | cipher id (1) | kdf id (1) | kdf params (see kdf.js)
+//           | salt length (1) | salt | nonce length (1) | nonce | key check (4)
+//
+// The tag authenticates the header and the ciphertext. Anything without the
+// prefix must have the shape of the legacy unversioned "salt hex + iv hex +
+// base64" format to be read at all.
+
+const ENVELOPE_PREFIX = '$ce$';
+const ENVELOPE_VERSION = 1;
+const TAG_SIZE = 32;
+const CHECK_SIZE = 4;
+
+const CIPHERS = {
+  AES_256_CBC_HMAC_SHA256: 1
+};
+
+// Legacy ciphertexts used PBKDF2-SHA256 with 100 iterations and a 32 byte key
+const LEGACY_KDF = 'pbkdf2-sha256';
+const LEGACY_PARAMS = { iterations: 100 };
+const LEGACY_KEY_SIZE = 32;
+const LEGACY_HEX_SIZE = 32;
+const LEGACY_HEX_PATTERN = /^[0-9a-f]{64}$/i;
+const LEGACY_BLOCK_SIZE = 16;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const isEnvelope = function(cypher) {
+  return typeof cypher === 'string' && cypher.indexOf(ENVELOPE_PREFIX) === 0;
+};
+
+const writeHeader = function({ type, cipher, kdf, params, salt, nonce, check }) {
+  return concatBytes(
+    [ENVELOPE_VERSION, type, cipher, kdf.id],
+    kdf.encode(params),
+    [salt.length],
+    salt,
+    [nonce.length],
+    nonce,
+    check
+  );
+};
+
+const encodeEnvelope = function(header, ciphertext, tag) {
+  return ENVELOPE_PREFIX + toBase64(concatBytes(header, ciphertext, tag));
+};
+
+const parseEnvelope = function(cypher) {
+  const body = cypher.substring(ENVELOPE_PREFIX.length);
+  if (!BASE64_PATTERN.test(body)) throw new UnsupportedFormatError("Malformed envelope: invalid encoding.");
+
+  const bytes = fromBase64(body);
+  const read = function(offset, size) {
+    if (offset + size > bytes.length - TAG_SIZE) throw new UnsupportedFormatError("Malformed envelope: truncated header.");
+    return bytes.subarray(offset, offset + size);
+  };
+
+  const version = read(0, 1)[0];
+  if (version !== ENVELOPE_VERSION) throw new UnsupportedFormatError(`Unsupported envelope version: ${version}.`);
+
+  const [type, cipher, kdfId] = read(1, 3);
+  const kdf = kdfById(kdfId);
+  const paramsOffset = 4;
+  const params = kdf.decode(read(paramsOffset, kdf.paramsSize));
+  const saltOffset = paramsOffset + kdf.paramsSize;
+  const saltLength = read(saltOffset, 1)[0];
+  const salt = read(saltOffset + 1, saltLength);
+  const nonceOffset = saltOffset + 1 + saltLength;
+  const nonceLength = read(nonceOffset, 1)[0];
+  const nonce = read(nonceOffset + 1, nonceLength);
+  const checkOffset = nonceOffset + 1 + nonceLength;
+  const check = read(checkOffset, CHECK_SIZE);
+  const headerLength = checkOffset + CHECK_SIZE;
+
+  return {
+    version,
+    type,
+    cipher,
+    kdf,
+    params,
+    salt,
+    nonce,
+    check,
+    header: bytes.subarray(0, headerLength),
+    ciphertext: bytes.subarray(headerLength, bytes.length - TAG_SIZE),
+    tag: bytes.subarray(bytes.length - TAG_SIZE)
+  };
+};
+
+// Other formats and random text fail here rather than as a wrong passphrase
+const parseLegacy = function(cypher) {
+  const body = cypher.substring(LEGACY_HEX_SIZE * 2);
+  const malformed = () => new UnsupportedFormatError("Malformed ciphertext: neither an envelope nor a legacy ciphertext.");
+  if (!LEGACY_HEX_PATTERN.test(cypher.substr(0, LEGACY_HEX_SIZE * 2)) || !BASE64_PATTERN.test(body)) throw malformed();
+
+  const ciphertext = fromBase64(body);
+  if (!ciphertext.length || ciphertext.length % LEGACY_BLOCK_SIZE) throw malformed();
+  return {
+    salt: fromWordArray(CryptoJS.enc.Hex.parse(cypher.substr(0, LEGACY_HEX_SIZE))),
+    nonce: fromWordArray(CryptoJS.enc.Hex.parse(cypher.substr(LEGACY_HEX_SIZE, LEGACY_HEX_SIZE))),
+    ciphertext
+  };
+};
+
+export {
+  CIPHERS,
+  CHECK_SIZE,
+  LEGACY_KDF,
+  LEGACY_PARAMS,
+  LEGACY_KEY_SIZE,
+  parseLegacy,
+  isEnvelope,
+  writeHeader,
+  encodeEnvelope,
+  parseEnvelope
+};
@@ -0,0 +1,94 @@
+// Error classes raised by every part of the library, so callers can tell a wrong
+// passphrase from tampered data without matching on messages. Each one also has
+// a stable `code`, which keeps working when instanceof does not (for example
+// across two copies of the bundle).
+
+class EncryptionError extends Error {
+  constructor(message, code = 'ENCRYPTION_ERROR') {
+    super(message);
+    // Set explicitly, the bundler renames classes
+    this.name = 'EncryptionError';
+    this.code = code;
+  }
+}
+
+// The passphrase or key does not match the one the data was encrypted with
+class InvalidPassphraseError extends EncryptionError {
+  constructor(message) {
+    super(message, 'INVALID_PASSPHRASE');
+    this.name = 'InvalidPassphraseError';
+  }
+}
+
+// The ciphertext was modified, reordered or truncated after encryption
+class TamperedDataError extends EncryptionError {
+  constructor(message) {
+    super(message, 'TAMPERED_DATA');
+    this.name = 'TamperedDataError';
+  }
+}
+
+// The ciphertext, hash or key id is malformed, or uses a version, cipher or
+// parameters this library does not read
+class UnsupportedFormatError extends EncryptionError {
+  constructor(message) {
+    super(message, 'UNSUPPORTED_FORMAT');
+    this.name = 'UnsupportedFormatError';
+  }
+}
+
+// Missing or invalid arguments and options
+class InvalidInputError extends EncryptionError {
+  constructor(message) {
+    super(message, 'INVALID_INPUT');
+    this.name = 'InvalidInputError';
+  }
+}
+
+// LOGGING
+// The legacy null-returning functions report the error they swallow here.
+// setLogger(null) silences them and setLogger() restores console.error.
+const defaultLogger = error => console.error(error.message);
+let logger = defaultLogger;
+
+const setLogger = function(fn) {
+  if (fn === undefined) fn = defaultLogger;
+  if (fn !== null && typeof fn !== 'function') throw new InvalidInputError("The logger must be a function or null.");
+  logger = fn;
+};
+
+const logError = function(error) {
+  if (logger) logger(error);
+};
+
+// ERROR MODES
+// 'throw' lets errors propagate. 'result' returns { ok: true, value } or
+// { ok: false, error } instead, and resolves to one when run returns a promise.
+const ERROR_MODES = ['throw', 'result'];
+
+const settle = function(mode, run) {
+  if (ERROR_MODES.indexOf(mode) === -1) throw new InvalidInputError(`Unsupported error mode: ${mode}.`);
+  if (mode === 'throw') return run();
+
+  let value;
+  try {
+    value = run();
+  } catch (error) {
+    return { ok: false, value: null, error };
+  }
+  if (value && typeof value.then === 'function') {
+    return value.then(resolved => ({ ok: true, value: resolved, error: null }), error => ({ ok: false, value: null, error }));
+  }
+  return { ok: true, value, error: null };
+};
+
+export {
+  EncryptionError,
+  InvalidPassphraseError,
+  TamperedDataError,
+  UnsupportedFormatError,
+  InvalidInputError,
+  setLogger,
+  logError,
+  settle
+};
@@ -0,0 +1,102 @@
+import { isEnvelope } from "./envelope";
+import { createSealer, createOpener } from "./twoway";
+import { InvalidInputError } from "./errors";
+
+// Encrypts selected fields of an object in place of their values, leaving the
+// rest readable. Every field becomes a standalone twoWayEncrypt envelope.
+//
+// A schema lists dotted paths, with "*" (or "[*]") matching every array item
+// or object key: ['ssn', 'address.street', 'cards[*].number']. Mark a path
+// { path, deterministic: true } to encrypt equal values to equal ciphertexts so
+// the field can still be used for exact-match lookups, at the cost of revealing
+// which records share a value. An object { 'ssn': true, 'email': { deterministic: true } }
+// works as well.
+
+const parsePath = function(path) {
+  if (typeof path !== 'string' || !path) throw new InvalidInputError(`Invalid field path: ${path}.`);
+  return path.replace(/\[(\*|\d+)\]/g, '.$1').split('.').filter(segment => segment !== '');
+};
+
+// In the object form, paths mapped to a falsy value are left out
+const fromObjectSchema = function(schema) {
+  return Object.keys(schema || {})
+    .filter(path => schema[path])
+    .map(path => {
+      const value = schema[path];
+      if (value !== true && typeof value !== 'object') {
+        throw new InvalidInputError(`Invalid field schema entry for ${path}: ${value}.`);
+      }
+      return Object.assign({ path }, value === true ? {} : value);
+    });
+};
+
+const parseSchema = function(schema) {
+  const entries = Array.isArray(schema)
+    ? schema.map(entry => (typeof entry === 'string' ? { path: entry } : entry))
+    : fromObjectSchema(schema);
+
+  if (!entries.length) throw new InvalidInputError("A field schema needs at least one path.");
+  return entries.map(entry => {
+    if (!entry || typeof entry !== 'object') throw new InvalidInputError(`Invalid field schema entry: ${entry}.`);
+    return { segments: parsePath(entry.path), deterministic: !!entry.deterministic };
+  });
+};
+
+const isContainer = function(value) {
+  return Array.isArray(value) || (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype);
+};
+
+const clone = function(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (!isContainer(value)) return value;
+  return Object.keys(value).reduce((copy, key) => {
+    copy[key] = clone(value[key]);
+    return copy;
+  }, {});
+};
+
+// Calls transform on every value the path points to, replacing it with the result.
+// Missing fields and undefined values are skipped.
+const visit = function(target, segments, transform) {
+  if (!isContainer(target)) return;
+
+  const [segment, ...rest] = segments;
+  const keys = segment === '*' ? Object.keys(target) : [segment];
+  keys.forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(target, key) || target[key] === undefined) return;
+    if (rest.length) visit(target[key], rest, transform);
+    else target[key] = transform(target[key]);
+  });
+};
+
+const encryptFields = function(object, schema, passphrase, options = {}) {
+  if (!isContainer(object)) throw new InvalidInputError("Field encryption needs a plain object or array.");
+  if (!passphrase) throw new InvalidInputError("A passphrase is required.");
+
+  const fields = parseSchema(schema);
+  const sealers = {};
+  const sealerFor = function(deterministic) {
+    if (!sealers[deterministic]) sealers[deterministic] = createSealer(passphrase, Object.assign({}, options, { deterministic }));
+    return sealers[deterministic];
+  };
+
+  const result = clone(object);
+  fields.forEach(({ segments, deterministic }) => visit(result, segments, sealerFor(deterministic)));
+  return result;
+};
+
+// Values that are not envelopes are left as they are, so partially encrypted
+// objects and fields added after encryption decrypt without errors
+const decryptFields = function(object, schema, passphrase) {
+  if (!isContainer(object)) throw new InvalidInputError("Field decryption needs a plain object or array.");
+  if (!passphrase) throw new InvalidInputError("A passphrase is required.");
+
+  const fields = parseSchema(schema);
+  const open = createOpener(passphrase);
+
+  const result = clone(object);
+  fields.forEach(({ segments }) => visit(result, segments, value => (isEnvelope(value) ? open(value) : value)));
+  return result;
+};
+
+export { encryptFields, decryptFields };
@@ -1,82 +1,82 @@
 import * as CryptoJS from "crypto-js";
 import AES from "crypto-js/aes";
-
-const keySize = 256;
-const ivSize = 128;
-const iterations = 100;
-const length = 32;
-const ivSizeDivider = 8;
-const SALT_SIZE = ivSize / ivSizeDivider;
-const IV_SIZE = ivSize / ivSizeDivider;
-const KEY_SIZE = keySize / length;
+import { constantTimeEqual, utf8Encode } from "./bytes";
+import { isPasswordHash, hashPassword, verifyPassword, needsRehash } from "./password";
+import { twoWayEncryption, twoWayDecryption, needsReencryption, reencryption } from "./twoway";
+import { encryptStream, decryptStream } from "./stream";
+import { asyncEncryption, asyncDecryption, asyncHashing, asyncVerification } from "./async";
+import { createKeyring } from "./keyring";
+import { encryptFields, decryptFields } from "./fields";
+import {
+  EncryptionError,
+  InvalidPassphraseError,
+  TamperedDataError,
+  UnsupportedFormatError,
+  InvalidInputError,
+  setLogger
+} from "./errors";
+import { generateKeyPair, exportKey, importKey, publicEncrypt, privateDecrypt, sign, verifySignature } from "./publickey";
 
 // HELPERS
 function isObject(obj) {
   return obj && typeof obj === 'object';
 }
 
-function objToString(obj) {
-  return isObject(obj) ? JSON.stringify(obj) : obj;
-}
-
+// Passing an options object instead of the sha flag produces a salted password hash
 const oneWayEncryption = function(data, sha) {
+  if (data && isObject(sha)) return hashPassword(data, sha);
   if (data) return sha ? CryptoJS.SHA256(data).toString() : CryptoJS.MD5(data).toString();
   return data;
 };
 
 const oneWayComparation = function(cypher, compare, sha) {
-  if (cypher && compare) {
-    return cypher === (sha ? CryptoJS.SHA256(compare).toString() : CryptoJS.MD5(compare).toString());
-  }
-  return cypher;
-};
-
-const twoWayEncryption = function(data, passphrase) {
-  if (!data || !passphrase) return null;
-
-  data = objToString(data);
-  const salt = CryptoJS.lib.WordArray.random(SALT_SIZE);
-  const key = CryptoJS.PBKDF2(passphrase, salt, { keySize: KEY_SIZE, iterations });
-  const iv = CryptoJS.lib.WordArray.random(IV_SIZE);
-  const encrypted = CryptoJS.AES.encrypt(data, key, {
-    iv: iv,
-    padding: CryptoJS.pad.Pkcs7,
-    mode: CryptoJS.mode.CBC
-  });
-  return salt.toString() + iv.toString() + encrypted.toString();
-};
-
-const twoWayDecryption = function(cypher, passphrase) {
-  if (!cypher || !passphrase) return null;
-
-  try {
-    const salt = CryptoJS.enc.Hex.parse(cypher.substr(0, length));
-    const iv = CryptoJS.enc.Hex.parse(cypher.substr(length, length));
-    const encrypted = cypher.substring(length * 2);
-    const key = CryptoJS.PBKDF2(passphrase, salt, { keySize: KEY_SIZE, iterations });
-    const decrypted = CryptoJS.AES.decrypt(encrypted, key, {
-      iv: iv,
-      padding: CryptoJS.pad.Pkcs7,
-      mode: CryptoJS.mode.CBC
-    }).toString(CryptoJS.enc.Utf8);
-
-    if (!decrypted) throw new Error("Decryption failed: Invalid passphrase or corrupted data.");
+  if (!cypher || !compare) return false;
+  if (isPasswordHash(cypher)) return verifyPassword(cypher, compare);
 
-    if (
-      decrypted.charAt(0) === '"' &&
-      decrypted.charAt(decrypted.length - 1) === '"'
-    ) {
-      decrypted = decrypted.substr(1, decrypted.length - 2);
-    }
-    return decrypted
-  } catch (error) {
-    console.error(error.message);
-    return null;
-  }
+  const expected = sha ? CryptoJS.SHA256(compare).toString() : CryptoJS.MD5(compare).toString();
+  return constantTimeEqual(utf8Encode(String(cypher)), utf8Encode(expected));
 };
 
 const oneWayEncrypt = oneWayEncryption;
 const oneWayCompare = oneWayComparation;
 const twoWayEncrypt = twoWayEncryption;
 const twoWayDecrypt = twoWayDecryption;
-export { oneWayEncrypt, oneWayCompare, twoWayEncrypt, twoWayDecrypt };
\ No newline at end of file
+const needsReencrypt = needsReencryption;
+const reencrypt = reencryption;
+const encrypt = asyncEncryption;
+const decrypt = asyncDecryption;
+const hash = asyncHashing;
+const verify = asyncVerification;
+export {
+  oneWayEncrypt,
+  oneWayCompare,
+  twoWayEncrypt,
+  twoWayDecrypt,
+  needsReencrypt,
+  reencrypt,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  encryptStream,
+  decryptStream,
+  encrypt,
+  decrypt,
+  hash,
+  verify,
+  generateKeyPair,
+  exportKey,
+  importKey,
+  publicEncrypt,
+  privateDecrypt,
+  sign,
+  verifySignature,
+  createKeyring,
+  encryptFields,
+  decryptFields,
+  EncryptionError,
+  InvalidPassphraseError,
+  TamperedDataError,
+  UnsupportedFormatError,
+  InvalidInputError,
+  setLogger
+};
\ No newline at end of file
@@ -0,0 +1,125 @@
+import * as CryptoJS from "crypto-js";
+import { syncScrypt } from "scrypt-js";
+import { toWordArray, fromWordArray, utf8Encode } from "./bytes";
+import { InvalidInputError, UnsupportedFormatError } from "./errors";
+
+// Key derivation functions. Each one has a numeric id stored in the envelope
+// header followed by its own fixed-size parameter block, and a textual form
+// used by password hash strings.
+//
+// validate() raises InvalidInputError for options by default; parsers pass
+// UnsupportedFormatError for parameters read from a ciphertext or hash.
+
+const MAX_ITERATIONS = 10000000;
+const MAX_SCRYPT_MEMORY = 256 * 1024 * 1024;
+const MAX_SCRYPT_PARALLELIZATION = 16;
+
+const isPowerOfTwo = function(value) {
+  return Number.isInteger(value) && value > 1 && Math.log2(value) % 1 === 0;
+};
+
+const isByte = function(value) {
+  return Number.isInteger(value) && value > 0 && value < 256;
+};
+
+const pbkdf2 = function(id, name, hasher, hash, defaultIterations) {
+  return {
+    id,
+    name,
+    hash,
+    paramsSize: 4,
+    params: options => ({ iterations: options.iterations || defaultIterations }),
+    validate: function({ iterations }, ErrorType = InvalidInputError) {
+      if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_ITERATIONS) {
+        throw new ErrorType(`Unsupported iteration count: ${iterations}.`);
+      }
+    },
+    encode: function({ iterations }) {
+      const bytes = new Uint8Array(4);
+      new DataView(bytes.buffer).setUint32(0, iterations);
+      return bytes;
+    },
+    decode: bytes => ({ iterations: new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0) }),
+    format: ({ iterations }) => `i=${iterations}`,
+    parse: function(text) {
+      const match = /^i=(\d+)$/.exec(text);
+      if (!match) throw new UnsupportedFormatError(`Malformed ${name} parameters: ${text}.`);
+      return { iterations: Number(match[1]) };
+    },
+    isWeaker: (current, policy) => current.iterations < policy.iterations,
+    derive: function(passphrase, salt, { iterations }, size) {
+      return fromWordArray(CryptoJS.PBKDF2(passphrase, toWordArray(salt), {
+        keySize: size / 4,
+        iterations,
+        hasher
+      }));
+    }
+  };
+};
+
+const scrypt = {
+  id: 3,
+  name: 'scrypt',
+  paramsSize: 3,
+  defaults: { cost: 16384, blockSize: 8, parallelization: 1 },
+  params: options => ({
+    cost: options.cost || scrypt.defaults.cost,
+    blockSize: options.blockSize || scrypt.defaults.blockSize,
+    parallelization: options.parallelization || scrypt.defaults.parallelization
+  }),
+  validate: function({ cost, blockSize, parallelization }, ErrorType = InvalidInputError) {
+    if (!isPowerOfTwo(cost) || !isByte(blockSize) || !isByte(parallelization)) {
+      throw new ErrorType(`Unsupported scrypt parameters: N=${cost}, r=${blockSize}, p=${parallelization}.`);
+    }
+    if (128 * cost * blockSize > MAX_SCRYPT_MEMORY || parallelization > MAX_SCRYPT_PARALLELIZATION) {
+      throw new ErrorType(`Scrypt parameters too expensive: N=${cost}, r=${blockSize}, p=${parallelization}.`);
+    }
+  },
+  // The cost is stored as its base two logarithm
+  encode: ({ cost, blockSize, parallelization }) => new Uint8Array([Math.log2(cost), blockSize, parallelization]),
+  decode: bytes => ({ cost: Math.pow(2, bytes[0]), blockSize: bytes[1], parallelization: bytes[2] }),
+  format: ({ cost, blockSize, parallelization }) => `ln=${Math.log2(cost)},r=${blockSize},p=${parallelization}`,
+  parse: function(text) {
+    const match = /^ln=(\d+),r=(\d+),p=(\d+)$/.exec(text);
+    if (!match) throw new UnsupportedFormatError(`Malformed scrypt parameters: ${text}.`);
+    return { cost: Math.pow(2, Number(match[1])), blockSize: Number(match[2]), parallelization: Number(match[3]) };
+  },
+  isWeaker: (current, policy) =>
+    current.cost < policy.cost ||
+    current.blockSize < policy.blockSize ||
+    current.parallelization < policy.parallelization,
+  derive: function(passphrase, salt, { cost, blockSize, parallelization }, size) {
+    const password = utf8Encode(passphrase);
+    return Uint8Array.from(syncScrypt(password, salt, cost, blockSize, parallelization, size));
+  }
+};
+
+const KDFS = [
+  pbkdf2(1, 'pbkdf2-sha256', CryptoJS.algo.SHA256, 'SHA-256', 600000),
+  pbkdf2(2, 'pbkdf2-sha512', CryptoJS.algo.SHA512, 'SHA-512', 210000),
+  scrypt
+];
+
+const DEFAULT_KDF = 'scrypt';
+
+const kdfById = function(id) {
+  const kdf = KDFS.find(candidate => candidate.id === id);
+  if (!kdf) throw new UnsupportedFormatError(`Unsupported key derivation: ${id}.`);
+  return kdf;
+};
+
+const kdfByName = function(name) {
+  const kdf = KDFS.find(candidate => candidate.name === name);
+  if (!kdf) throw new InvalidInputError(`Unsupported key derivation: ${name}.`);
+  return kdf;
+};
+
+// Turns user options into a { kdf, params } pair, filling in the secure defaults
+const resolveKdf = function(options = {}) {
+  const kdf = kdfByName(options.kdf || DEFAULT_KDF);
+  const params = kdf.params(options);
+  kdf.validate(params);
+  return { kdf, params };
+};
+
+export { KDFS, kdfById, kdfByName, resolveKdf };
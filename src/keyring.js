@@ -0,0 +1,94 @@
+import { twoWayEncryption, decryption, isOutdated } from "./twoway";
+import { InvalidPassphraseError, UnsupportedFormatError, InvalidInputError } from "./errors";
+
+// A keyring holds several passphrases by id and encrypts with the active one.
+// Its ciphertexts carry the key id so decryption picks the right passphrase:
+//
+//   "$ck$" + encodeURIComponent(key id) + "$" + twoWayEncrypt envelope
+//
+// A tampered key id only selects a different passphrase, which then fails the
+// envelope's own key check.
+//
+// Ciphertexts written before the keyring (plain twoWayEncrypt envelopes and
+// legacy ciphertexts) have no key id. With legacyKeyId set they are read with
+// that key and always need rotation.
+
+const KEYRING_PREFIX = '$ck$';
+
+const parseKeyed = function(cypher, legacyKeyId) {
+  if (typeof cypher === 'string' && cypher.indexOf(KEYRING_PREFIX) !== 0 && legacyKeyId !== undefined) {
+    return { keyId: String(legacyKeyId), envelope: cypher, legacy: true };
+  }
+  if (typeof cypher !== 'string' || cypher.indexOf(KEYRING_PREFIX) !== 0) {
+    throw new UnsupportedFormatError("Malformed keyring ciphertext: missing key id.");
+  }
+
+  const separator = cypher.indexOf('$', KEYRING_PREFIX.length);
+  if (separator === -1) throw new UnsupportedFormatError("Malformed keyring ciphertext: missing key id.");
+
+  let keyId;
+  try {
+    keyId = decodeURIComponent(cypher.substring(KEYRING_PREFIX.length, separator));
+  } catch (error) {
+    throw new UnsupportedFormatError("Malformed keyring ciphertext: invalid key id.");
+  }
+  return { keyId, envelope: cypher.substring(separator + 1), legacy: false };
+};
+
+const createKeyring = function({ keys, active, options, legacyKeyId } = {}) {
+  if (!keys || typeof keys !== 'object' || !Object.keys(keys).length) {
+    throw new InvalidInputError("A keyring needs at least one key.");
+  }
+  Object.keys(keys).forEach(keyId => {
+    if (typeof keys[keyId] !== 'string' || !keys[keyId]) throw new InvalidInputError(`Invalid secret for key id: ${keyId}.`);
+  });
+  if (!Object.prototype.hasOwnProperty.call(keys, active)) throw new InvalidInputError(`Unknown key id: ${active}.`);
+  if (legacyKeyId !== undefined && !Object.prototype.hasOwnProperty.call(keys, legacyKeyId)) {
+    throw new InvalidInputError(`Unknown key id: ${legacyKeyId}.`);
+  }
+
+  // The keyring always throws, whatever error mode the options carry for twoWayEncrypt
+  const encryptOptions = Object.assign({}, options, { errors: 'throw' });
+
+  const secretFor = function(keyId) {
+    if (!Object.prototype.hasOwnProperty.call(keys, keyId)) throw new InvalidPassphraseError(`Unknown key id: ${keyId}.`);
+    return keys[keyId];
+  };
+
+  const keyring = {
+    active,
+
+    encrypt: function(data) {
+      return KEYRING_PREFIX + encodeURIComponent(active) + '$' + twoWayEncryption(data, keys[active], encryptOptions);
+    },
+
+    decrypt: function(cypher) {
+      const { keyId, envelope } = parseKeyed(cypher, legacyKeyId);
+      return decryption(envelope, secretFor(keyId));
+    },
+
+    keyId: function(cypher) {
+      return parseKeyed(cypher, legacyKeyId).keyId;
+    },
+
+    // True when the ciphertext has no key id, or uses another key or weaker parameters than the keyring options.
+    // Malformed ciphertexts throw, so rotate never passes them on unchanged.
+    needsRotation: function(cypher) {
+      const { keyId, envelope, legacy } = parseKeyed(cypher, legacyKeyId);
+      const outdated = isOutdated(envelope, options);
+      return legacy || keyId !== String(active) || outdated;
+    },
+
+    // Re-encrypts with the active key, leaving ciphertexts that are already current untouched
+    rotate: function(cypher) {
+      return keyring.needsRotation(cypher) ? keyring.encrypt(keyring.decrypt(cypher)) : cypher;
+    },
+
+    rotateAll: function(cyphers) {
+      return cyphers.map(keyring.rotate);
+    }
+  };
+  return keyring;
+};
+
+export { createKeyring };
@@ -0,0 +1,101 @@
+import * as CryptoJS from "crypto-js";
+import { fromWordArray, randomBytes, constantTimeEqual, toBase64, fromBase64 } from "./bytes";
+import { kdfByName, resolveKdf } from "./kdf";
+import { UnsupportedFormatError } from "./errors";
+
+// Password hashes are self-describing strings in the PHC style:
+//
+//   $pbkdf2-sha256$i=600000$<salt>$<hash>
+//   $scrypt$ln=14,r=8,p=1$<salt>$<hash>
+//
+// Salt and hash are unpadded base64. Bare hex digests written by oneWayEncrypt
+// (MD5 or SHA-256) are still accepted by verifyPassword.
+
+const SALT_SIZE = 16;
+const HASH_SIZE = 32;
+
+const LEGACY_DIGESTS = {
+  32: CryptoJS.MD5,
+  64: CryptoJS.SHA256
+};
+
+const encode = function(bytes) {
+  return toBase64(bytes).replace(/=+$/, '');
+};
+
+const parseHash = function(text) {
+  const parts = text.split('$');
+  if (parts.length !== 5 || parts[0] !== '') throw new UnsupportedFormatError("Malformed password hash.");
+
+  const kdf = kdfByName(parts[1]);
+  const params = kdf.parse(parts[2]);
+  kdf.validate(params, UnsupportedFormatError);
+  const salt = fromBase64(parts[3]);
+  const hash = fromBase64(parts[4]);
+  if (!salt.length || hash.length !== HASH_SIZE) throw new UnsupportedFormatError("Malformed password hash.");
+  return { kdf, params, salt, hash };
+};
+
+const isPasswordHash = function(hash) {
+  return typeof hash === 'string' && hash.charAt(0) === '$';
+};
+
+const isLegacyDigest = function(hash) {
+  return /^[0-9a-f]+$/i.test(hash) && !!LEGACY_DIGESTS[hash.length];
+};
+
+const verifyLegacyDigest = function(hash, password) {
+  const expected = fromWordArray(CryptoJS.enc.Hex.parse(hash.toLowerCase()));
+  return constantTimeEqual(fromWordArray(LEGACY_DIGESTS[hash.length](password)), expected);
+};
+
+const formatHash = function(kdf, params, salt, hash) {
+  return `$${kdf.name}$${kdf.format(params)}$${encode(salt)}$${encode(hash)}`;
+};
+
+const hashPassword = function(password, options) {
+  if (!password) return null;
+
+  const { kdf, params } = resolveKdf(options);
+  const salt = randomBytes(SALT_SIZE);
+  return formatHash(kdf, params, salt, kdf.derive(password, salt, params, HASH_SIZE));
+};
+
+const verifyPassword = function(hash, password) {
+  if (typeof hash !== 'string' || typeof password !== 'string' || !password) return false;
+
+  try {
+    if (isLegacyDigest(hash)) return verifyLegacyDigest(hash, password);
+
+    const stored = parseHash(hash);
+    return constantTimeEqual(stored.kdf.derive(password, stored.salt, stored.params, HASH_SIZE), stored.hash);
+  } catch (error) {
+    return false;
+  }
+};
+
+// True when the hash is a legacy digest, unreadable, or weaker than the policy
+const needsRehash = function(hash, policy) {
+  try {
+    if (isLegacyDigest(hash)) return true;
+
+    const { kdf, params } = parseHash(hash);
+    const target = resolveKdf(policy);
+    return kdf !== target.kdf || kdf.isWeaker(params, target.params);
+  } catch (error) {
+    return true;
+  }
+};
+
+export {
+  SALT_SIZE,
+  HASH_SIZE,
+  isPasswordHash,
+  isLegacyDigest,
+  verifyLegacyDigest,
+  formatHash,
+  parseHash,
+  hashPassword,
+  verifyPassword,
+  needsRehash
+};
@@ -0,0 +1,68 @@
+import { utf8Encode, utf8Decode } from "./bytes";
+import { InvalidInputError, UnsupportedFormatError } from "./errors";
+
+// Plaintext types recorded in the envelope so twoWayDecrypt can hand back
+// what was given to twoWayEncrypt
+
+const TYPES = {
+  STRING: 0,
+  JSON: 1,
+  NUMBER: 2,
+  BOOLEAN: 3,
+  NULL: 4,
+  DATE: 5,
+  BYTES: 6,
+  BUFFER: 7
+};
+
+const getBuffer = function() {
+  return typeof globalThis.Buffer === 'function' ? globalThis.Buffer : null;
+};
+
+const encodePayload = function(data) {
+  const Buffer = getBuffer();
+  if (Buffer && Buffer.isBuffer(data)) return { type: TYPES.BUFFER, bytes: Uint8Array.from(data) };
+  if (data instanceof Uint8Array) return { type: TYPES.BYTES, bytes: Uint8Array.from(data) };
+  if (data instanceof Date) return { type: TYPES.DATE, bytes: utf8Encode(String(data.getTime())) };
+  if (data === null) return { type: TYPES.NULL, bytes: new Uint8Array(0) };
+
+  switch (typeof data) {
+  case 'string':
+    return { type: TYPES.STRING, bytes: utf8Encode(data) };
+  case 'number':
+    return { type: TYPES.NUMBER, bytes: utf8Encode(String(data)) };
+  case 'boolean':
+    return { type: TYPES.BOOLEAN, bytes: utf8Encode(String(data)) };
+  case 'object':
+    return { type: TYPES.JSON, bytes: utf8Encode(JSON.stringify(data)) };
+  default:
+    throw new InvalidInputError(`Unsupported data type: ${typeof data}.`);
+  }
+};
+
+const decodePayload = function(type, bytes) {
+  switch (type) {
+  case TYPES.STRING:
+    return utf8Decode(bytes);
+  case TYPES.JSON:
+    return JSON.parse(utf8Decode(bytes));
+  case TYPES.NUMBER:
+    return Number(utf8Decode(bytes));
+  case TYPES.BOOLEAN:
+    return utf8Decode(bytes) === 'true';
+  case TYPES.NULL:
+    return null;
+  case TYPES.DATE:
+    return new Date(Number(utf8Decode(bytes)));
+  case TYPES.BYTES:
+    return bytes;
+  case TYPES.BUFFER: {
+    const Buffer = getBuffer();
+    return Buffer ? Buffer.from(bytes) : bytes;
+  }
+  default:
+    throw new UnsupportedFormatError(`Unsupported data type: ${type}.`);
+  }
+};
+
+export { TYPES, encodePayload, decodePayload };
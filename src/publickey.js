@@ -0,0 +1,290 @@
+import { randomBytes, concatBytes, toBase64, fromBase64, utf8Encode } from "./bytes";
+import { getSubtle } from "./backends";
+import { encodePayload, decodePayload } from "./payload";
+import {
+  EncryptionError,
+  InvalidPassphraseError,
+  TamperedDataError,
+  UnsupportedFormatError,
+  InvalidInputError
+} from "./errors";
+
+// Key pairs, hybrid encryption to one or more public keys, and signatures.
+// These rely on WebCrypto, which has no crypto-js fallback.
+//
+// Hybrid ciphertext: "$cp$" + base64(
+//   version (1) | data type (1) | algorithm id (1) | ephemeral key length (1) | ephemeral public key
+//   | recipient count (1) | recipient count x wrapped content key (40)
+//   | nonce (12) | AES-256-GCM ciphertext and tag )
+//
+// Each recipient slot holds the content key wrapped with AES-KW under a key derived
+// (HKDF-SHA256) from an ECDH agreement between the ephemeral key and that recipient.
+// The GCM tag covers everything before the ciphertext.
+//
+// Signature: "$cg$" + base64( version (1) | algorithm id (1) | signature )
+
+const HYBRID_PREFIX = '$cp$';
+const SIGNATURE_PREFIX = '$cg$';
+const VERSION = 1;
+const WRAPPED_KEY_SIZE = 40;
+const NONCE_SIZE = 12;
+const MAX_RECIPIENTS = 255;
+const HKDF_INFO = utf8Encode('common-encryption hybrid key');
+
+const ALGORITHMS = {
+  'ECDH-P256': {
+    id: 1,
+    params: { name: 'ECDH', namedCurve: 'P-256' },
+    privateUsages: ['deriveBits'],
+    publicUsages: []
+  },
+  'X25519': {
+    id: 2,
+    params: { name: 'X25519' },
+    privateUsages: ['deriveBits'],
+    publicUsages: []
+  },
+  'ECDSA-P256': {
+    id: 1,
+    params: { name: 'ECDSA', namedCurve: 'P-256' },
+    signParams: { name: 'ECDSA', hash: 'SHA-256' },
+    privateUsages: ['sign'],
+    publicUsages: ['verify']
+  },
+  'Ed25519': {
+    id: 2,
+    params: { name: 'Ed25519' },
+    signParams: { name: 'Ed25519' },
+    privateUsages: ['sign'],
+    publicUsages: ['verify']
+  }
+};
+
+const KEY_AGREEMENTS = ['ECDH-P256', 'X25519'];
+const SIGNATURES = ['ECDSA-P256', 'Ed25519'];
+
+const requireSubtle = function() {
+  const subtle = getSubtle();
+  if (!subtle) throw new EncryptionError("Public-key operations need WebCrypto (crypto.subtle).");
+  return subtle;
+};
+
+const algorithmByName = function(name, allowed) {
+  if (allowed.indexOf(name) === -1) throw new InvalidInputError(`Unsupported key algorithm: ${name}.`);
+  return ALGORITHMS[name];
+};
+
+const algorithmById = function(id, allowed) {
+  const name = allowed.find(candidate => ALGORITHMS[candidate].id === id);
+  if (!name) throw new UnsupportedFormatError(`Unsupported key algorithm: ${id}.`);
+  return ALGORITHMS[name];
+};
+
+// Maps a CryptoKey back to one of the ALGORITHMS names
+const algorithmOfKey = function(key, allowed) {
+  const { name, namedCurve } = key.algorithm;
+  const match = allowed.find(candidate => {
+    const params = ALGORITHMS[candidate].params;
+    return params.name === name && params.namedCurve === namedCurve;
+  });
+  if (!match) throw new InvalidInputError(`Unsupported key algorithm: ${name}${namedCurve ? ' ' + namedCurve : ''}.`);
+  return ALGORITHMS[match];
+};
+
+const encodeString = function(prefix, bytes) {
+  return prefix + toBase64(bytes);
+};
+
+const decodeString = function(prefix, text) {
+  if (typeof text !== 'string' || text.indexOf(prefix) !== 0) throw new UnsupportedFormatError("Malformed public-key ciphertext.");
+  return fromBase64(text.substring(prefix.length));
+};
+
+// KEYS
+const generateKeyPair = async function(algorithm) {
+  const { params, privateUsages, publicUsages } = algorithmByName(algorithm, KEY_AGREEMENTS.concat(SIGNATURES));
+  return requireSubtle().generateKey(params, true, privateUsages.concat(publicUsages));
+};
+
+const toPem = function(label, bytes) {
+  const lines = toBase64(bytes).match(/.{1,64}/g);
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+};
+
+const exportKey = async function(key, format = 'jwk') {
+  const subtle = requireSubtle();
+  if (format === 'jwk') return subtle.exportKey('jwk', key);
+  if (format !== 'pem') throw new InvalidInputError(`Unsupported key format: ${format}.`);
+
+  return key.type === 'private'
+    ? toPem('PRIVATE KEY', new Uint8Array(await subtle.exportKey('pkcs8', key)))
+    : toPem('PUBLIC KEY', new Uint8Array(await subtle.exportKey('spki', key)));
+};
+
+// Accepts a JWK object or a PEM string holding a PUBLIC KEY (SPKI) or PRIVATE KEY (PKCS#8)
+const importKey = async function(key, algorithm) {
+  const subtle = requireSubtle();
+  const { params, privateUsages, publicUsages } = algorithmByName(algorithm, KEY_AGREEMENTS.concat(SIGNATURES));
+
+  if (typeof key === 'string') {
+    const match = /-----BEGIN (PUBLIC|PRIVATE) KEY-----([\s\S]+?)-----END \1 KEY-----/.exec(key);
+    if (!match) throw new InvalidInputError("Malformed PEM key.");
+    const isPrivate = match[1] === 'PRIVATE';
+    const der = fromBase64(match[2].replace(/\s+/g, ''));
+    return subtle.importKey(isPrivate ? 'pkcs8' : 'spki', der, params, true, isPrivate ? privateUsages : publicUsages);
+  }
+
+  if (!key || typeof key !== 'object') throw new InvalidInputError("Expected a JWK object or a PEM string.");
+  return subtle.importKey('jwk', key, params, true, key.d ? privateUsages : publicUsages);
+};
+
+// HYBRID ENCRYPTION
+const deriveWrappingKey = async function(subtle, algorithm, privateKey, publicKey, ephemeralRaw, usage) {
+  const shared = await subtle.deriveBits({ name: algorithm.params.name, public: publicKey }, privateKey, 256);
+  const base = await subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: ephemeralRaw, info: HKDF_INFO },
+    base,
+    { name: 'AES-KW', length: 256 },
+    false,
+    [usage]
+  );
+};
+
+const publicEncrypt = async function(data, publicKeys) {
+  const recipients = [].concat(publicKeys || []);
+  if (data === undefined || !recipients.length) throw new InvalidInputError("Data and at least one public key are required.");
+  if (recipients.length > MAX_RECIPIENTS) throw new InvalidInputError(`At most ${MAX_RECIPIENTS} recipients are supported.`);
+
+  const subtle = requireSubtle();
+  const algorithm = algorithmOfKey(recipients[0], KEY_AGREEMENTS);
+  if (recipients.some(key => algorithmOfKey(key, KEY_AGREEMENTS) !== algorithm)) {
+    throw new InvalidInputError("All recipients must use the same key algorithm.");
+  }
+
+  const { type, bytes } = encodePayload(data);
+  const ephemeral = await subtle.generateKey(algorithm.params, true, algorithm.privateUsages);
+  const ephemeralRaw = new Uint8Array(await subtle.exportKey('raw', ephemeral.publicKey));
+  const contentKey = await subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+
+  const wrappedKeys = [];
+  for (const publicKey of recipients) {
+    const wrappingKey = await deriveWrappingKey(subtle, algorithm, ephemeral.privateKey, publicKey, ephemeralRaw, 'wrapKey');
+    wrappedKeys.push(new Uint8Array(await subtle.wrapKey('raw', contentKey, wrappingKey, 'AES-KW')));
+  }
+
+  const nonce = randomBytes(NONCE_SIZE);
+  const header = concatBytes(
+    [VERSION, type, algorithm.id, ephemeralRaw.length],
+    ephemeralRaw,
+    [wrappedKeys.length],
+    ...wrappedKeys,
+    nonce
+  );
+  const ciphertext = await subtle.encrypt({ name: 'AES-GCM', iv: nonce, additionalData: header }, contentKey, bytes);
+  return encodeString(HYBRID_PREFIX, concatBytes(header, new Uint8Array(ciphertext)));
+};
+
+const parseHybrid = function(cypher) {
+  const bytes = decodeString(HYBRID_PREFIX, cypher);
+  const read = function(offset, size) {
+    if (offset + size > bytes.length) throw new UnsupportedFormatError("Malformed public-key ciphertext: truncated.");
+    return bytes.subarray(offset, offset + size);
+  };
+
+  const [version, type, algorithmId, ephemeralLength] = read(0, 4);
+  if (version !== VERSION) throw new UnsupportedFormatError(`Unsupported public-key ciphertext version: ${version}.`);
+
+  const ephemeralRaw = read(4, ephemeralLength);
+  const countOffset = 4 + ephemeralLength;
+  const count = read(countOffset, 1)[0];
+  const wrappedKeys = [];
+  for (let i = 0; i < count; i++) wrappedKeys.push(read(countOffset + 1 + i * WRAPPED_KEY_SIZE, WRAPPED_KEY_SIZE));
+  const nonceOffset = countOffset + 1 + count * WRAPPED_KEY_SIZE;
+  const nonce = read(nonceOffset, NONCE_SIZE);
+  const headerLength = nonceOffset + NONCE_SIZE;
+
+  return {
+    type,
+    algorithm: algorithmById(algorithmId, KEY_AGREEMENTS),
+    ephemeralRaw,
+    wrappedKeys,
+    nonce,
+    header: bytes.subarray(0, headerLength),
+    ciphertext: bytes.subarray(headerLength)
+  };
+};
+
+const privateDecrypt = async function(cypher, privateKey) {
+  if (!cypher || !privateKey) throw new InvalidInputError("A ciphertext and a private key are required.");
+
+  const subtle = requireSubtle();
+  const envelope = parseHybrid(cypher);
+  if (algorithmOfKey(privateKey, KEY_AGREEMENTS) !== envelope.algorithm) {
+    throw new InvalidInputError("The private key does not match the ciphertext algorithm.");
+  }
+
+  const ephemeralPublic = await subtle.importKey('raw', envelope.ephemeralRaw, envelope.algorithm.params, false, []);
+  const unwrappingKey = await deriveWrappingKey(
+    subtle,
+    envelope.algorithm,
+    privateKey,
+    ephemeralPublic,
+    envelope.ephemeralRaw,
+    'unwrapKey'
+  );
+
+  // AES-KW only unwraps under the right key, so try each recipient slot in turn
+  let contentKey = null;
+  for (const wrappedKey of envelope.wrappedKeys) {
+    try {
+      contentKey = await subtle.unwrapKey('raw', wrappedKey, unwrappingKey, 'AES-KW', 'AES-GCM', false, ['decrypt']);
+      break;
+    } catch (error) {
+      contentKey = null;
+    }
+  }
+  if (!contentKey) throw new InvalidPassphraseError("Decryption failed: The private key is not a recipient of this ciphertext.");
+
+  let plaintext;
+  try {
+    plaintext = await subtle.decrypt(
+      { name: 'AES-GCM', iv: envelope.nonce, additionalData: envelope.header },
+      contentKey,
+      envelope.ciphertext
+    );
+  } catch (error) {
+    throw new TamperedDataError("Decryption failed: Data has been tampered with.");
+  }
+  return decodePayload(envelope.type, new Uint8Array(plaintext));
+};
+
+// SIGNATURES
+// The data type is signed along with the data so a signature cannot be moved to a different type
+const signedBytes = function(data) {
+  const { type, bytes } = encodePayload(data);
+  return concatBytes([type], bytes);
+};
+
+const sign = async function(data, privateKey) {
+  if (data === undefined || !privateKey) throw new InvalidInputError("Data and a private key are required.");
+
+  const algorithm = algorithmOfKey(privateKey, SIGNATURES);
+  const signature = await requireSubtle().sign(algorithm.signParams, privateKey, signedBytes(data));
+  return encodeString(SIGNATURE_PREFIX, concatBytes([VERSION, algorithm.id], new Uint8Array(signature)));
+};
+
+const verifySignature = async function(data, signature, publicKey) {
+  try {
+    const bytes = decodeString(SIGNATURE_PREFIX, signature);
+    if (bytes[0] !== VERSION) return false;
+
+    const algorithm = algorithmOfKey(publicKey, SIGNATURES);
+    if (algorithmById(bytes[1], SIGNATURES) !== algorithm) return false;
+    return await requireSubtle().verify(algorithm.signParams, publicKey, bytes.subarray(2), signedBytes(data));
+  } catch (error) {
+    return false;
+  }
+};
+
+export { generateKeyPair, exportKey, importKey, publicEncrypt, privateDecrypt, sign, verifySignature };
@@ -0,0 +1,133 @@
+import * as CryptoJS from "crypto-js";
+import { fromWordArray, randomBytes, concatBytes, constantTimeEqual, toBase64, utf8Encode } from "./bytes";
+import { SALT_SIZE, IV_SIZE, KEY_BYTES } from "./cipher";
+import {
+  CIPHERS,
+  CHECK_SIZE,
+  LEGACY_KDF,
+  LEGACY_PARAMS,
+  LEGACY_KEY_SIZE,
+  parseLegacy,
+  isEnvelope,
+  writeHeader,
+  encodeEnvelope,
+  parseEnvelope
+} from "./envelope";
+import { kdfByName, resolveKdf } from "./kdf";
+import { TYPES, encodePayload, decodePayload } from "./payload";
+import { InvalidPassphraseError, TamperedDataError, UnsupportedFormatError } from "./errors";
+
+// Envelope encryption and decryption, written once for every backend.
+//
+// Each step is a generator yielding the results of backend calls. runSync
+// drives it with a backend returning values (twoWayEncrypt, twoWayDecrypt and
+// field encryption), runAsync with one returning promises (encrypt and decrypt).
+
+const KEY_CHECK_BYTES = utf8Encode('common-encryption key check');
+
+// Deterministic mode derives its keys with a fixed, public salt and takes the IV
+// from an HMAC of the plaintext (SIV style), so equal values encrypt equally.
+// The salt does not depend on the passphrase: every guess still costs a full
+// key derivation.
+const DETERMINISTIC_SALT = fromWordArray(CryptoJS.SHA256('common-encryption deterministic salt')).subarray(0, SALT_SIZE);
+const DETERMINISTIC_IV_BYTES = utf8Encode('common-encryption deterministic iv');
+
+const runSync = function(steps) {
+  let step = steps.next();
+  while (!step.done) step = steps.next(step.value);
+  return step.value;
+};
+
+const runAsync = async function(steps) {
+  let step = steps.next();
+  while (!step.done) {
+    let value;
+    try {
+      value = await step.value;
+    } catch (error) {
+      step = steps.throw(error);
+      continue;
+    }
+    step = steps.next(value);
+  }
+  return step.value;
+};
+
+const deriveKeys = function* (backend, passphrase, salt, kdf, params) {
+  const derived = yield backend.deriveKey(kdf, passphrase, salt, params, KEY_BYTES * 2);
+  const encKey = derived.subarray(0, KEY_BYTES);
+  const macKey = derived.subarray(KEY_BYTES);
+  const check = (yield backend.hmac(macKey, KEY_CHECK_BYTES)).subarray(0, CHECK_SIZE);
+  return { encKey, macKey, check };
+};
+
+// Everything an envelope needs besides the data, shared by all the values
+// sealed with one passphrase and set of options
+const sealingKeys = function* (backend, passphrase, options = {}) {
+  const { kdf, params } = resolveKdf(options);
+  const salt = options.deterministic ? DETERMINISTIC_SALT : randomBytes(SALT_SIZE);
+  const keys = yield* deriveKeys(backend, passphrase, salt, kdf, params);
+  const ivKey = options.deterministic ? yield backend.hmac(keys.macKey, DETERMINISTIC_IV_BYTES) : null;
+  return Object.assign({ kdf, params, salt, ivKey }, keys);
+};
+
+const sealEnvelope = function* (backend, keys, data) {
+  const { type, bytes } = encodePayload(data);
+  const nonce = keys.ivKey
+    ? (yield backend.hmac(keys.ivKey, concatBytes([type], bytes))).subarray(0, IV_SIZE)
+    : randomBytes(IV_SIZE);
+  const header = writeHeader({
+    type,
+    cipher: CIPHERS.AES_256_CBC_HMAC_SHA256,
+    kdf: keys.kdf,
+    params: keys.params,
+    salt: keys.salt,
+    nonce,
+    check: keys.check
+  });
+  const ciphertext = yield backend.encrypt(keys.encKey, nonce, bytes);
+  const tag = yield backend.hmac(keys.macKey, concatBytes(header, ciphertext));
+  return encodeEnvelope(header, ciphertext, tag);
+};
+
+// cache, when given, keeps the derived keys per distinct salt and KDF parameters
+const openEnvelope = function* (backend, passphrase, cypher, cache = {}) {
+  const envelope = parseEnvelope(cypher);
+  if (envelope.cipher !== CIPHERS.AES_256_CBC_HMAC_SHA256) {
+    throw new UnsupportedFormatError(`Unsupported cipher: ${envelope.cipher}.`);
+  }
+  // Refuse to spend unbounded time or memory deriving a key from a forged header
+  envelope.kdf.validate(envelope.params, UnsupportedFormatError);
+
+  const id = [envelope.kdf.id, toBase64(envelope.kdf.encode(envelope.params)), toBase64(envelope.salt)].join(':');
+  if (!cache[id]) cache[id] = yield* deriveKeys(backend, passphrase, envelope.salt, envelope.kdf, envelope.params);
+  const { encKey, macKey, check } = cache[id];
+
+  if (!constantTimeEqual(check, envelope.check)) throw new InvalidPassphraseError("Decryption failed: Invalid passphrase.");
+  const tag = yield backend.hmac(macKey, concatBytes(envelope.header, envelope.ciphertext));
+  if (!constantTimeEqual(tag, envelope.tag)) throw new TamperedDataError("Decryption failed: Data has been tampered with.");
+
+  return decodePayload(envelope.type, yield backend.decrypt(encKey, envelope.nonce, envelope.ciphertext));
+};
+
+// Unversioned "salt hex + iv hex + base64" ciphertexts written before the envelope format
+const openLegacy = function* (backend, passphrase, cypher) {
+  const { salt, nonce, ciphertext } = parseLegacy(cypher);
+  const key = yield backend.deriveKey(kdfByName(LEGACY_KDF), passphrase, salt, LEGACY_PARAMS, LEGACY_KEY_SIZE);
+
+  // Without a tag, a wrong key only shows up as bad padding or text that is not UTF-8
+  let decrypted = null;
+  try {
+    decrypted = decodePayload(TYPES.STRING, yield backend.decrypt(key, nonce, ciphertext));
+  } catch (error) {
+    decrypted = null;
+  }
+  if (!decrypted) throw new InvalidPassphraseError("Decryption failed: Invalid passphrase or corrupted data.");
+  return decrypted;
+};
+
+const openCiphertext = function(backend, passphrase, cypher, cache) {
+  return isEnvelope(cypher) ? openEnvelope(backend, passphrase, cypher, cache) : openLegacy(backend, passphrase, cypher);
+};
+
+export { runSync, runAsync, deriveKeys, sealingKeys, sealEnvelope, openCiphertext };
@@ -0,0 +1,273 @@
+import { Transform } from "stream";
+import { randomBytes, concatBytes, constantTimeEqual } from "./bytes";
+import { SALT_SIZE, IV_SIZE, hmacBytes, encryptBytes, decryptBytes } from "./cipher";
+import { CIPHERS, CHECK_SIZE } from "./envelope";
+import { kdfById, resolveKdf } from "./kdf";
+import { cryptoJsBackend } from "./backends";
+import { runSync, deriveKeys } from "./sealing";
+import { InvalidPassphraseError, TamperedDataError, UnsupportedFormatError, InvalidInputError } from "./errors";
+
+// Chunked stream format
+//
+//   header: "$cs$" | version (1) | cipher id (1) | kdf id (1) | kdf params (see kdf.js)
+//           | salt length (1) | salt | chunk size (4) | key check (4)
+//   frame:  final flag (1) | ciphertext length (4) | iv (16) | ciphertext | tag (32)
+//
+// Each frame tag covers the header, the frame index and the rest of the frame,
+// so modified, reordered or dropped frames fail to verify. A stream that ends
+// without a frame flagged as final has been truncated.
+
+const STREAM_MAGIC = [0x24, 0x63, 0x73, 0x24];
+const STREAM_VERSION = 1;
+const TAG_SIZE = 32;
+const FRAME_HEADER_SIZE = 1 + 4 + IV_SIZE;
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const BLOCK_SIZE = 16;
+
+const uint32 = function(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value);
+  return bytes;
+};
+
+const readUint32 = function(bytes, offset) {
+  return new DataView(bytes.buffer, bytes.byteOffset + offset, 4).getUint32(0);
+};
+
+const validateChunkSize = function(chunkSize, ErrorType = InvalidInputError) {
+  if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+    throw new ErrorType(`Unsupported chunk size: ${chunkSize}.`);
+  }
+};
+
+const frameTag = function(macKey, header, index, frameHeader, ciphertext) {
+  return hmacBytes(macKey, concatBytes(header, uint32(index), frameHeader, ciphertext));
+};
+
+const createEncryptor = function(passphrase, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  validateChunkSize(chunkSize);
+
+  const { kdf, params } = resolveKdf(options);
+  const salt = randomBytes(SALT_SIZE);
+  const { encKey, macKey, check } = runSync(deriveKeys(cryptoJsBackend, passphrase, salt, kdf, params));
+  const header = concatBytes(
+    STREAM_MAGIC,
+    [STREAM_VERSION, CIPHERS.AES_256_CBC_HMAC_SHA256, kdf.id],
+    kdf.encode(params),
+    [salt.length],
+    salt,
+    uint32(chunkSize),
+    check
+  );
+
+  let index = 0;
+  let pending = new Uint8Array(0);
+  let headerWritten = false;
+
+  const frame = function(plaintext, final) {
+    const iv = randomBytes(IV_SIZE);
+    const ciphertext = encryptBytes(encKey, iv, plaintext);
+    const frameHeader = concatBytes([final ? 1 : 0], uint32(ciphertext.length), iv);
+    const tag = frameTag(macKey, header, index++, frameHeader, ciphertext);
+    return concatBytes(frameHeader, ciphertext, tag);
+  };
+
+  const output = function(frames) {
+    if (!headerWritten) {
+      headerWritten = true;
+      frames.unshift(header);
+    }
+    return concatBytes(...frames);
+  };
+
+  return {
+    // The last chunk is always held back so finish() can flag it as final
+    push: function(bytes) {
+      const frames = [];
+      pending = concatBytes(pending, bytes);
+      while (pending.length > chunkSize) {
+        frames.push(frame(pending.subarray(0, chunkSize), false));
+        pending = pending.subarray(chunkSize);
+      }
+      return output(frames);
+    },
+    finish: function() {
+      return output([frame(pending, true)]);
+    }
+  };
+};
+
+const createDecryptor = function(passphrase) {
+  let buffer = new Uint8Array(0);
+  let stream = null;
+  let index = 0;
+  let finished = false;
+
+  // Returns null until enough bytes have arrived to read the whole header
+  const readHeader = function() {
+    if (buffer.length < STREAM_MAGIC.length) return null;
+    if (STREAM_MAGIC.some((byte, i) => buffer[i] !== byte)) {
+      throw new UnsupportedFormatError("Malformed stream: missing stream header.");
+    }
+    if (buffer.length < 7) return null;
+    if (buffer[4] !== STREAM_VERSION) throw new UnsupportedFormatError(`Unsupported stream version: ${buffer[4]}.`);
+    if (buffer[5] !== CIPHERS.AES_256_CBC_HMAC_SHA256) throw new UnsupportedFormatError(`Unsupported cipher: ${buffer[5]}.`);
+
+    const kdf = kdfById(buffer[6]);
+    const saltOffset = 7 + kdf.paramsSize;
+    if (buffer.length < saltOffset + 1) return null;
+    const saltLength = buffer[saltOffset];
+    const chunkSizeOffset = saltOffset + 1 + saltLength;
+    const headerLength = chunkSizeOffset + 4 + CHECK_SIZE;
+    if (buffer.length < headerLength) return null;
+
+    const params = kdf.decode(buffer.subarray(7, saltOffset));
+    // Refuse to spend unbounded time or memory on a forged header
+    kdf.validate(params, UnsupportedFormatError);
+    const chunkSize = readUint32(buffer, chunkSizeOffset);
+    validateChunkSize(chunkSize, UnsupportedFormatError);
+
+    const salt = buffer.slice(saltOffset + 1, chunkSizeOffset);
+    const { encKey, macKey, check } = runSync(deriveKeys(cryptoJsBackend, passphrase, salt, kdf, params));
+    if (!constantTimeEqual(check, buffer.subarray(chunkSizeOffset + 4, headerLength))) {
+      throw new InvalidPassphraseError("Decryption failed: Invalid passphrase.");
+    }
+
+    const header = buffer.slice(0, headerLength);
+    buffer = buffer.subarray(headerLength);
+    return { header, chunkSize, encKey, macKey };
+  };
+
+  // Returns null until a whole frame has arrived
+  const readFrame = function() {
+    if (buffer.length < FRAME_HEADER_SIZE) return null;
+    const final = buffer[0];
+    const length = readUint32(buffer, 1);
+    if (final > 1 || !length || length % BLOCK_SIZE || length > stream.chunkSize + BLOCK_SIZE) {
+      throw new TamperedDataError("Decryption failed: Data has been tampered with.");
+    }
+
+    const frameLength = FRAME_HEADER_SIZE + length + TAG_SIZE;
+    if (buffer.length < frameLength) return null;
+
+    const frameHeader = buffer.subarray(0, FRAME_HEADER_SIZE);
+    const ciphertext = buffer.subarray(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + length);
+    const tag = buffer.subarray(FRAME_HEADER_SIZE + length, frameLength);
+    if (!constantTimeEqual(frameTag(stream.macKey, stream.header, index++, frameHeader, ciphertext), tag)) {
+      throw new TamperedDataError("Decryption failed: Data has been tampered with.");
+    }
+
+    const plaintext = decryptBytes(stream.encKey, frameHeader.subarray(5), ciphertext);
+    buffer = buffer.subarray(frameLength);
+    finished = final === 1;
+    return plaintext;
+  };
+
+  return {
+    push: function(bytes) {
+      buffer = concatBytes(buffer, bytes);
+      if (!stream) stream = readHeader();
+      if (!stream) return new Uint8Array(0);
+
+      const chunks = [];
+      let chunk;
+      while (!finished && (chunk = readFrame())) chunks.push(chunk);
+      if (finished && buffer.length) throw new TamperedDataError("Decryption failed: Data found after the final chunk.");
+      return concatBytes(...chunks);
+    },
+    finish: function() {
+      if (!finished) throw new TamperedDataError("Decryption failed: Stream is truncated.");
+      return new Uint8Array(0);
+    }
+  };
+};
+
+// ADAPTERS
+const isNodeStream = function(input) {
+  return !!input && typeof input.pipe === 'function' && typeof input.on === 'function';
+};
+
+const isWebStream = function(input) {
+  return !!input && typeof input.getReader === 'function' && typeof input.pipeThrough === 'function';
+};
+
+const isBlob = function(input) {
+  return typeof Blob !== 'undefined' && input instanceof Blob;
+};
+
+const isBuffer = function(input) {
+  return typeof globalThis.Buffer === 'function' && globalThis.Buffer.isBuffer(input);
+};
+
+// Text and other values are refused rather than guessed at: new Uint8Array('12')
+// would quietly become twelve zero bytes
+const toBytes = function(chunk) {
+  if (chunk instanceof Uint8Array) return chunk;
+  if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+  if (ArrayBuffer.isView(chunk)) return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  throw new InvalidInputError(`Unsupported stream chunk: expected binary data, got ${typeof chunk}.`);
+};
+
+const pipeNode = function(input, processor) {
+  const transform = new Transform({
+    transform: function(chunk, encoding, callback) {
+      try {
+        const output = processor.push(toBytes(chunk));
+        callback(null, output.length ? output : undefined);
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush: function(callback) {
+      try {
+        const output = processor.finish();
+        callback(null, output.length ? output : undefined);
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+  input.on('error', error => transform.destroy(error));
+  return input.pipe(transform);
+};
+
+const pipeWeb = function(input, processor) {
+  return input.pipeThrough(new TransformStream({
+    transform: function(chunk, controller) {
+      const output = processor.push(toBytes(chunk));
+      if (output.length) controller.enqueue(output);
+    },
+    flush: function(controller) {
+      const output = processor.finish();
+      if (output.length) controller.enqueue(output);
+    }
+  }));
+};
+
+// Node streams come back as Node streams, ReadableStreams and Blobs as
+// ReadableStreams, and byte arrays are processed in one go.
+const processInput = function(input, processor) {
+  if (isNodeStream(input)) return pipeNode(input, processor);
+  if (isWebStream(input)) return pipeWeb(input, processor);
+  if (isBlob(input)) return pipeWeb(input.stream(), processor);
+
+  if (input instanceof Uint8Array) {
+    const output = concatBytes(processor.push(input), processor.finish());
+    return isBuffer(input) ? globalThis.Buffer.from(output.buffer, output.byteOffset, output.length) : output;
+  }
+  throw new InvalidInputError("Unsupported input: expected a stream, Blob, Buffer or Uint8Array.");
+};
+
+const encryptStream = function(input, passphrase, options) {
+  if (!passphrase) throw new InvalidInputError("A passphrase is required.");
+  return processInput(input, createEncryptor(passphrase, options));
+};
+
+const decryptStream = function(input, passphrase) {
+  if (!passphrase) throw new InvalidInputError("A passphrase is required.");
+  return processInput(input, createDecryptor(passphrase));
+};
+
+export { encryptStream, decryptStream };
@@ -0,0 +1,115 @@
+import { isEnvelope, parseEnvelope, parseLegacy } from "./envelope";
+import { resolveKdf } from "./kdf";
+import { cryptoJsBackend } from "./backends";
+import { runSync, sealingKeys, sealEnvelope, openCiphertext } from "./sealing";
+import { InvalidInputError, logError, settle } from "./errors";
+
+// Synchronous passphrase encryption behind twoWayEncrypt and twoWayDecrypt.
+//
+// Without options.errors these keep their original behaviour: null for missing
+// input, and twoWayDecrypt reports failures to the logger and returns null.
+// { errors: 'throw' } raises the typed errors from ./errors instead, and
+// { errors: 'result' } returns { ok, value, error }.
+
+// Derives the keys once and returns a function encrypting any number of values
+// with them. Each value gets its own envelope and IV; the salt is shared.
+const createSealer = function(passphrase, options = {}) {
+  const keys = runSync(sealingKeys(cryptoJsBackend, passphrase, options));
+  return data => runSync(sealEnvelope(cryptoJsBackend, keys, data));
+};
+
+const twoWayEncryption = function(data, passphrase, options = {}) {
+  const missing = data === undefined || !passphrase;
+  if (!options.errors) return missing ? null : createSealer(passphrase, options)(data);
+
+  return settle(options.errors, function() {
+    if (missing) throw new InvalidInputError("Data and a passphrase are required.");
+    return createSealer(passphrase, options)(data);
+  });
+};
+
+// Returns a function decrypting any number of values with one passphrase,
+// deriving the keys only once per distinct salt and KDF parameters
+const createOpener = function(passphrase) {
+  const cache = {};
+  return cypher => runSync(openCiphertext(cryptoJsBackend, passphrase, cypher, cache));
+};
+
+const decryption = function(cypher, passphrase) {
+  return createOpener(passphrase)(cypher);
+};
+
+const twoWayDecryption = function(cypher, passphrase, options = {}) {
+  const missing = typeof cypher !== 'string' || !cypher || !passphrase;
+  if (!options.errors) {
+    if (missing) return null;
+    try {
+      return decryption(cypher, passphrase);
+    } catch (error) {
+      logError(error);
+      return null;
+    }
+  }
+
+  return settle(options.errors, function() {
+    if (missing) throw new InvalidInputError("A ciphertext and a passphrase are required.");
+    return decryption(cypher, passphrase);
+  });
+};
+
+// True when a ciphertext is legacy or was derived with a different or weaker KDF
+// than the policy. Throws on malformed ciphertexts.
+const isOutdated = function(cypher, policy) {
+  if (!isEnvelope(cypher)) {
+    parseLegacy(cypher);
+    return true;
+  }
+
+  const { kdf, params } = parseEnvelope(cypher);
+  const target = resolveKdf(policy);
+  return kdf !== target.kdf || kdf.isWeaker(params, target.params);
+};
+
+// isOutdated, reporting malformed ciphertexts to the logger and returning false for them
+const needsReencryption = function(cypher, policy) {
+  if (!cypher) return false;
+
+  try {
+    return isOutdated(cypher, policy);
+  } catch (error) {
+    logError(error);
+    return false;
+  }
+};
+
+const reencryption = function(cypher, oldPassphrase, newPassphrase, options = {}) {
+  if (options.errors) {
+    return settle(options.errors, function() {
+      if (typeof cypher !== 'string' || !cypher || !oldPassphrase || !newPassphrase) {
+        throw new InvalidInputError("A ciphertext and both passphrases are required.");
+      }
+      return createSealer(newPassphrase, options)(decryption(cypher, oldPassphrase));
+    });
+  }
+  if (typeof cypher !== 'string' || !cypher || !oldPassphrase) return null;
+
+  let decrypted;
+  try {
+    decrypted = decryption(cypher, oldPassphrase);
+  } catch (error) {
+    logError(error);
+    return null;
+  }
+  return twoWayEncryption(decrypted, newPassphrase, options);
+};
+
+export {
+  createSealer,
+  createOpener,
+  twoWayEncryption,
+  twoWayDecryption,
+  decryption,
+  isOutdated,
+  needsReencryption,
+  reencryption
+};
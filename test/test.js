@@ -4,7 +4,10 @@ var thePackage = require('../');
 console.log(thePackage);
 
 var passphrase = 'passphrase';
+var fastOptions = { kdf: 'pbkdf2-sha256', iterations: 1000 };
 var data = 'this is a string <3';
+// Written by the unversioned format used before the $ce$ envelope
+var legacyCypher = '943a3bc87a2b1537e1f10a29434a479723768383c1d74827b5a04631f6b59870hPcKzZwG6GR15HPFfexaaQ==';
 var jsonData = {
   name: "pihh",
   speciality: "beer",
@@ -16,6 +19,15 @@ var jsonData = {
   ]
 };
 
+// Many cases check that failures return null; keep the logger from filling the test output
+before(function() {
+  thePackage.setLogger(null);
+});
+
+after(function() {
+  thePackage.setLogger();
+});
+
 describe('Load the package for testing', function() {
   describe('Has it load?', function() {
     it('should have one way encryption', function() {
@@ -94,7 +106,7 @@ describe('Two-way encryption testing. Encrypt & Decrypt', function() {
       var data = jsonData;
       var encrypted = thePackage.twoWayEncrypt(data, passphrase);
       var decrypted = thePackage.twoWayDecrypt(encrypted, passphrase);
-      assert.equal(JSON.stringify(data), decrypted);
+      assert.deepEqual(data, decrypted);
     });
 
     var data = [1,2,"xxx"];
@@ -109,7 +121,7 @@ describe('Two-way encryption testing. Encrypt & Decrypt', function() {
       var data = [1,2,"xxx"];
       var encrypted = thePackage.twoWayEncrypt(data, passphrase);
       var decrypted = thePackage.twoWayDecrypt(encrypted, passphrase);
-      assert.equal(JSON.stringify(data), decrypted);
+      assert.deepEqual(data, decrypted);
     });
 
     var data = [];
@@ -124,7 +136,7 @@ describe('Two-way encryption testing. Encrypt & Decrypt', function() {
       var data = [];
       var encrypted = thePackage.twoWayEncrypt(data, passphrase);
       var decrypted = thePackage.twoWayDecrypt(encrypted, passphrase);
-      assert.equal(JSON.stringify(data), decrypted);
+      assert.deepEqual(data, decrypted);
     });
 
     it('Should encrypt a false positive', function() {
@@ -139,3 +151,947 @@ describe('Two-way encryption testing. Encrypt & Decrypt', function() {
     });
   });
 });
+
+describe('Ciphertext envelope', function() {
+
+  function tamper(cypher, index) {
+    var bytes = Buffer.from(cypher.substring(4), 'base64');
+    bytes[index] ^= 1;
+    return cypher.substring(0, 4) + bytes.toString('base64');
+  }
+
+  it('Should write a versioned envelope', function() {
+    var encrypted = thePackage.twoWayEncrypt(data, passphrase);
+    var bytes = Buffer.from(encrypted.substring(4), 'base64');
+    assert.equal(encrypted.substring(0, 4), '$ce$');
+    assert.equal(bytes[0], 1);
+  });
+
+  it('Should use a fresh salt and nonce every time', function() {
+    assert.notEqual(thePackage.twoWayEncrypt(data, passphrase), thePackage.twoWayEncrypt(data, passphrase));
+  });
+
+  it('Should still decrypt legacy ciphertexts', function() {
+    assert.equal(thePackage.twoWayDecrypt(legacyCypher, passphrase), 'legacy data <3');
+  });
+
+  it('Should reject a wrong passphrase', function() {
+    var encrypted = thePackage.twoWayEncrypt(data, passphrase);
+    assert.equal(thePackage.twoWayDecrypt(encrypted, 'wrong passphrase'), null);
+  });
+
+  it('Should reject any modified byte', function() {
+    var encrypted = thePackage.twoWayEncrypt(data, passphrase, fastOptions);
+    var length = Buffer.from(encrypted.substring(4), 'base64').length;
+    for (var i = 0; i < length; i++) {
+      assert.equal(thePackage.twoWayDecrypt(tamper(encrypted, i), passphrase), null);
+    }
+  });
+
+  it('Should reject a truncated envelope', function() {
+    var encrypted = thePackage.twoWayEncrypt(data, passphrase);
+    assert.equal(thePackage.twoWayDecrypt(encrypted.substring(0, 20), passphrase), null);
+  });
+});
+
+describe('Key derivation options', function() {
+
+  function header(cypher) {
+    return Buffer.from(cypher.substring(4), 'base64');
+  }
+
+  it('Should default to scrypt', function() {
+    var encrypted = thePackage.twoWayEncrypt(data, passphrase);
+    var bytes = header(encrypted);
+    assert.equal(bytes[3], 3);
+    assert.deepEqual([bytes[4], bytes[5], bytes[6]], [14, 8, 1]);
+  });
+
+  it('Should store the PBKDF2 hash and iteration count', function() {
+    var encrypted = thePackage.twoWayEncrypt(data, passphrase, { kdf: 'pbkdf2-sha512', iterations: 1500 });
+    var bytes = header(encrypted);
+    assert.equal(bytes[3], 2);
+    assert.equal(bytes.readUInt32BE(4), 1500);
+    assert.equal(thePackage.twoWayDecrypt(encrypted, passphrase), data);
+  });
+
+  it('Should decrypt different parameters side by side', function() {
+    var pbkdf2 = thePackage.twoWayEncrypt(data, passphrase, fastOptions);
+    var scrypt = thePackage.twoWayEncrypt(data, passphrase, { kdf: 'scrypt', cost: 1024, blockSize: 8, parallelization: 2 });
+    assert.equal(thePackage.twoWayDecrypt(pbkdf2, passphrase), data);
+    assert.equal(thePackage.twoWayDecrypt(scrypt, passphrase), data);
+  });
+
+  it('Should refuse unknown or unsafe parameters', function() {
+    assert.throws(function() { thePackage.twoWayEncrypt(data, passphrase, { kdf: 'md5' }); });
+    assert.throws(function() { thePackage.twoWayEncrypt(data, passphrase, { kdf: 'scrypt', cost: 1000 }); });
+    assert.throws(function() { thePackage.twoWayEncrypt(data, passphrase, { kdf: 'pbkdf2-sha256', iterations: -1 }); });
+  });
+
+  it('Should flag ciphertexts below the policy', function() {
+    var pbkdf2 = thePackage.twoWayEncrypt(data, passphrase, fastOptions);
+    var scrypt = thePackage.twoWayEncrypt(data, passphrase);
+    assert.equal(thePackage.needsReencrypt(legacyCypher), true);
+    assert.equal(thePackage.needsReencrypt(pbkdf2, { kdf: 'pbkdf2-sha256', iterations: 2000 }), true);
+    assert.equal(thePackage.needsReencrypt(pbkdf2, fastOptions), false);
+    assert.equal(thePackage.needsReencrypt(pbkdf2), true);
+    assert.equal(thePackage.needsReencrypt(scrypt), false);
+    assert.equal(thePackage.needsReencrypt(scrypt, { kdf: 'scrypt', cost: 32768 }), true);
+  });
+
+  it('Should reencrypt onto new parameters and passphrase', function() {
+    var reencrypted = thePackage.reencrypt(legacyCypher, passphrase, 'new passphrase', fastOptions);
+    assert.equal(thePackage.needsReencrypt(reencrypted, fastOptions), false);
+    assert.equal(thePackage.twoWayDecrypt(reencrypted, 'new passphrase'), 'legacy data <3');
+    assert.equal(thePackage.reencrypt(legacyCypher, 'wrong passphrase', 'new passphrase'), null);
+  });
+});
+
+describe('Password hashing', function() {
+  var password = 'correct horse battery staple';
+  var fastPolicy = { kdf: 'scrypt', cost: 1024 };
+
+  it('Should produce a self-describing salted hash', function() {
+    var hash = thePackage.hashPassword(password, { kdf: 'pbkdf2-sha256', iterations: 1000 });
+    assert.ok(/^\$pbkdf2-sha256\$i=1000\$[A-Za-z0-9+/]{22}\$[A-Za-z0-9+/]{43}$/.test(hash));
+    assert.notEqual(hash, thePackage.hashPassword(password, { kdf: 'pbkdf2-sha256', iterations: 1000 }));
+  });
+
+  it('Should default to scrypt', function() {
+    assert.ok(/^\$scrypt\$ln=14,r=8,p=1\$/.test(thePackage.hashPassword(password)));
+  });
+
+  it('Should verify a password hash', function() {
+    var hash = thePackage.hashPassword(password, fastPolicy);
+    assert.strictEqual(thePackage.verifyPassword(hash, password), true);
+    assert.strictEqual(thePackage.verifyPassword(hash, 'wrong password'), false);
+  });
+
+  it('Should always return a boolean', function() {
+    assert.strictEqual(thePackage.verifyPassword('$scrypt$garbage', password), false);
+    assert.strictEqual(thePackage.verifyPassword(null, password), false);
+    assert.strictEqual(thePackage.oneWayCompare(thePackage.oneWayEncrypt(password), ''), false);
+    assert.strictEqual(thePackage.oneWayCompare('', password), false);
+  });
+
+  it('Should still verify legacy MD5 and SHA-256 digests', function() {
+    assert.strictEqual(thePackage.verifyPassword(thePackage.oneWayEncrypt(password), password), true);
+    assert.strictEqual(thePackage.verifyPassword(thePackage.oneWayEncrypt(password, true), password), true);
+    assert.strictEqual(thePackage.verifyPassword(thePackage.oneWayEncrypt(password, true), 'wrong password'), false);
+  });
+
+  it('Should hash through oneWayEncrypt when given options', function() {
+    var hash = thePackage.oneWayEncrypt(password, fastPolicy);
+    assert.ok(/^\$scrypt\$ln=10,/.test(hash));
+    assert.strictEqual(thePackage.oneWayCompare(hash, password), true);
+    assert.strictEqual(thePackage.oneWayCompare(hash, 'wrong password'), false);
+  });
+
+  it('Should flag hashes that need rehashing', function() {
+    var hash = thePackage.hashPassword(password, fastPolicy);
+    assert.strictEqual(thePackage.needsRehash(thePackage.oneWayEncrypt(password)), true);
+    assert.strictEqual(thePackage.needsRehash(hash, fastPolicy), false);
+    assert.strictEqual(thePackage.needsRehash(hash), true);
+    assert.strictEqual(thePackage.needsRehash(hash, { kdf: 'pbkdf2-sha512' }), true);
+  });
+});
+
+describe('Typed payloads', function() {
+  function roundTrip(value) {
+    return thePackage.twoWayDecrypt(thePackage.twoWayEncrypt(value, passphrase, fastOptions), passphrase);
+  }
+
+  it('Should round-trip strings, including quoted ones', function() {
+    assert.strictEqual(roundTrip('"quoted"'), '"quoted"');
+    assert.strictEqual(roundTrip(''), '');
+    assert.strictEqual(roundTrip('{"not":"json"}'), '{"not":"json"}');
+  });
+
+  it('Should round-trip numbers', function() {
+    assert.strictEqual(roundTrip(42.5), 42.5);
+    assert.strictEqual(roundTrip(0), 0);
+    assert.ok(isNaN(roundTrip(NaN)));
+  });
+
+  it('Should round-trip booleans and null', function() {
+    assert.strictEqual(roundTrip(true), true);
+    assert.strictEqual(roundTrip(false), false);
+    assert.strictEqual(roundTrip(null), null);
+  });
+
+  it('Should round-trip JSON values', function() {
+    assert.deepEqual(roundTrip(jsonData), jsonData);
+    assert.deepEqual(roundTrip([]), []);
+  });
+
+  it('Should round-trip dates', function() {
+    var date = new Date('2024-02-29T12:34:56.789Z');
+    var decrypted = roundTrip(date);
+    assert.ok(decrypted instanceof Date);
+    assert.equal(decrypted.getTime(), date.getTime());
+  });
+
+  it('Should round-trip binary data', function() {
+    var bytes = new Uint8Array([0, 1, 2, 253, 254, 255]);
+    var decrypted = roundTrip(bytes);
+    assert.ok(decrypted instanceof Uint8Array && !Buffer.isBuffer(decrypted));
+    assert.deepEqual(Array.from(decrypted), Array.from(bytes));
+
+    var buffer = Buffer.from('buffer data');
+    assert.ok(Buffer.isBuffer(roundTrip(buffer)));
+    assert.equal(roundTrip(buffer).toString(), 'buffer data');
+  });
+});
+
+describe('Streaming encryption', function() {
+  var Readable = require('stream').Readable;
+  var streamOptions = { kdf: 'pbkdf2-sha256', iterations: 1000, chunkSize: 1024 };
+  var fileData = Buffer.alloc(5000);
+  for (var i = 0; i < fileData.length; i++) fileData[i] = i % 251;
+
+  var HEADER_SIZE = 36;
+  var FRAME_SIZE = 21 + 1040 + 32;
+
+  function collectNode(stream) {
+    return new Promise(function(resolve, reject) {
+      var chunks = [];
+      stream.on('data', function(chunk) { chunks.push(chunk); });
+      stream.on('error', reject);
+      stream.on('end', function() { resolve(Buffer.concat(chunks)); });
+    });
+  }
+
+  function collectWeb(stream) {
+    var reader = stream.getReader();
+    var chunks = [];
+    function read() {
+      return reader.read().then(function(result) {
+        if (result.done) return Buffer.concat(chunks);
+        chunks.push(result.value);
+        return read();
+      });
+    }
+    return read();
+  }
+
+  // Splits the input into small, unevenly sized pieces to exercise buffering
+  function pieces(bytes) {
+    var result = [];
+    for (var offset = 0; offset < bytes.length; offset += 333) result.push(bytes.subarray(offset, offset + 333));
+    return result;
+  }
+
+  it('Should round-trip a Buffer', function() {
+    var encrypted = thePackage.encryptStream(fileData, passphrase, streamOptions);
+    assert.ok(Buffer.isBuffer(encrypted));
+    assert.equal(encrypted.length, HEADER_SIZE + 4 * FRAME_SIZE + 21 + 912 + 32);
+    assert.ok(thePackage.decryptStream(encrypted, passphrase).equals(fileData));
+  });
+
+  it('Should round-trip a Uint8Array and empty input', function() {
+    var bytes = new Uint8Array([1, 2, 3]);
+    var decrypted = thePackage.decryptStream(thePackage.encryptStream(bytes, passphrase, streamOptions), passphrase);
+    assert.deepEqual(Array.from(decrypted), [1, 2, 3]);
+
+    var empty = thePackage.encryptStream(new Uint8Array(0), passphrase, streamOptions);
+    assert.equal(thePackage.decryptStream(empty, passphrase).length, 0);
+  });
+
+  it('Should round-trip Node streams', function() {
+    var encrypted = thePackage.encryptStream(Readable.from(pieces(fileData)), passphrase, streamOptions);
+    return collectNode(encrypted).then(function(cypher) {
+      return collectNode(thePackage.decryptStream(Readable.from(pieces(cypher)), passphrase));
+    }).then(function(decrypted) {
+      assert.ok(decrypted.equals(fileData));
+    });
+  });
+
+  it('Should round-trip ReadableStreams and Blobs', function() {
+    var encrypted = thePackage.encryptStream(new Blob([fileData]), passphrase, streamOptions);
+    return collectWeb(encrypted).then(function(cypher) {
+      var input = new ReadableStream({
+        start: function(controller) {
+          pieces(cypher).forEach(function(piece) { controller.enqueue(piece); });
+          controller.close();
+        }
+      });
+      return collectWeb(thePackage.decryptStream(input, passphrase));
+    }).then(function(decrypted) {
+      assert.ok(decrypted.equals(fileData));
+    });
+  });
+
+  it('Should accept ArrayBuffer and typed array chunks', function() {
+    var input = new ReadableStream({
+      start: function(controller) {
+        controller.enqueue(fileData.buffer.slice(fileData.byteOffset, fileData.byteOffset + 1000));
+        controller.enqueue(new DataView(fileData.buffer, fileData.byteOffset + 1000, fileData.length - 1000));
+        controller.close();
+      }
+    });
+    return collectWeb(thePackage.encryptStream(input, passphrase, streamOptions)).then(function(cypher) {
+      assert.ok(thePackage.decryptStream(cypher, passphrase).equals(fileData));
+    });
+  });
+
+  it('Should reject string chunks instead of corrupting them', function() {
+    var input = new ReadableStream({
+      start: function(controller) {
+        controller.enqueue('hello world');
+        controller.enqueue('12');
+        controller.close();
+      }
+    });
+    return collectWeb(thePackage.encryptStream(input, passphrase, streamOptions)).then(function() {
+      assert.fail('Expected the stream to fail');
+    }, function(error) {
+      assert.ok(error instanceof thePackage.InvalidInputError);
+      assert.ok(/Unsupported stream chunk/.test(error.message));
+    });
+  });
+
+  it('Should reject a wrong passphrase', function() {
+    var encrypted = thePackage.encryptStream(fileData, passphrase, streamOptions);
+    assert.throws(function() { thePackage.decryptStream(encrypted, 'wrong passphrase'); }, /Invalid passphrase/);
+  });
+
+  it('Should reject modified chunks', function() {
+    var encrypted = thePackage.encryptStream(fileData, passphrase, streamOptions);
+    [HEADER_SIZE + 30, HEADER_SIZE + FRAME_SIZE * 2 + 500, encrypted.length - 1].forEach(function(index) {
+      var tampered = Buffer.from(encrypted);
+      tampered[index] ^= 1;
+      assert.throws(function() { thePackage.decryptStream(tampered, passphrase); }, /tampered/);
+    });
+  });
+
+  it('Should reject reordered chunks', function() {
+    var encrypted = thePackage.encryptStream(fileData, passphrase, streamOptions);
+    var reordered = Buffer.concat([
+      encrypted.subarray(0, HEADER_SIZE),
+      encrypted.subarray(HEADER_SIZE + FRAME_SIZE, HEADER_SIZE + FRAME_SIZE * 2),
+      encrypted.subarray(HEADER_SIZE, HEADER_SIZE + FRAME_SIZE),
+      encrypted.subarray(HEADER_SIZE + FRAME_SIZE * 2)
+    ]);
+    assert.throws(function() { thePackage.decryptStream(reordered, passphrase); }, /tampered/);
+  });
+
+  it('Should reject truncated streams', function() {
+    var encrypted = thePackage.encryptStream(fileData, passphrase, streamOptions);
+    var truncated = encrypted.subarray(0, HEADER_SIZE + FRAME_SIZE * 2);
+    assert.throws(function() { thePackage.decryptStream(truncated, passphrase); }, /truncated/);
+    return collectNode(thePackage.decryptStream(Readable.from([truncated]), passphrase)).then(function() {
+      assert.fail('Expected the stream to error');
+    }, function(error) {
+      assert.ok(/truncated/.test(error.message));
+    });
+  });
+});
+
+describe('Asynchronous API across backends', function() {
+  var kdfs = [
+    { kdf: 'pbkdf2-sha256', iterations: 1000 },
+    { kdf: 'pbkdf2-sha512', iterations: 1000 },
+    { kdf: 'scrypt', cost: 1024 }
+  ];
+  var pairs = [['native', 'crypto-js'], ['crypto-js', 'native']];
+
+  // Deterministic mode fixes the salt and IV, so both backends must write the same bytes
+  function withBackend(options, backend) {
+    return Object.assign({ backend: backend, deterministic: true }, options);
+  }
+
+  kdfs.forEach(function(options) {
+    it('Should produce byte-identical output with ' + options.kdf, function() {
+      return Promise.all([
+        thePackage.encrypt(jsonData, passphrase, withBackend(options, 'native')),
+        thePackage.encrypt(jsonData, passphrase, withBackend(options, 'crypto-js'))
+      ]).then(function(results) {
+        assert.equal(results[0], results[1]);
+      });
+    });
+
+    // Verifying re-derives the hash from the stored salt, so a match means identical bytes
+    it('Should hash identically with ' + options.kdf, function() {
+      return thePackage.hash(data, Object.assign({ backend: 'native' }, options)).then(function(hash) {
+        return thePackage.verify(hash, data, { backend: 'crypto-js' });
+      }).then(function(isMatch) {
+        assert.strictEqual(isMatch, true);
+      });
+    });
+  });
+
+  pairs.forEach(function(pair) {
+    it('Should decrypt ' + pair[0] + ' output with ' + pair[1], function() {
+      var values = [data, 0, false, null, jsonData, new Date(0), Buffer.from('bytes')];
+      return Promise.all(values.map(function(value) {
+        return thePackage.encrypt(value, passphrase, Object.assign({ backend: pair[0] }, fastOptions)).then(function(cypher) {
+          return thePackage.decrypt(cypher, passphrase, { backend: pair[1] });
+        });
+      })).then(function(results) {
+        assert.deepEqual(results, values);
+      });
+    });
+
+    it('Should verify ' + pair[0] + ' hashes with ' + pair[1], function() {
+      return thePackage.hash(data, { backend: pair[0], kdf: 'scrypt', cost: 1024 }).then(function(hash) {
+        return Promise.all([
+          thePackage.verify(hash, data, { backend: pair[1] }),
+          thePackage.verify(hash, 'wrong', { backend: pair[1] })
+        ]);
+      }).then(function(results) {
+        assert.deepEqual(results, [true, false]);
+      });
+    });
+  });
+
+  it('Should interoperate with the synchronous functions', function() {
+    var cypher = thePackage.twoWayEncrypt(jsonData, passphrase, fastOptions);
+    return thePackage.decrypt(cypher, passphrase).then(function(decrypted) {
+      assert.deepEqual(decrypted, jsonData);
+      return thePackage.encrypt(jsonData, passphrase, fastOptions);
+    }).then(function(cypher) {
+      assert.deepEqual(thePackage.twoWayDecrypt(cypher, passphrase), jsonData);
+      return thePackage.hash(data, { kdf: 'scrypt', cost: 1024 });
+    }).then(function(hash) {
+      assert.strictEqual(thePackage.verifyPassword(hash, data), true);
+    });
+  });
+
+  it('Should decrypt legacy ciphertexts with both backends', function() {
+    return Promise.all(pairs[0].map(function(backend) {
+      return thePackage.decrypt(legacyCypher, passphrase, { backend: backend });
+    })).then(function(results) {
+      assert.deepEqual(results, ['legacy data <3', 'legacy data <3']);
+    });
+  });
+
+  it('Should reject a wrong passphrase and tampered data', function() {
+    return thePackage.encrypt(data, passphrase, fastOptions).then(function(cypher) {
+      var bytes = Buffer.from(cypher.substring(4), 'base64');
+      bytes[bytes.length - 40] ^= 1;
+      var tampered = '$ce$' + bytes.toString('base64');
+      return Promise.all([
+        thePackage.decrypt(cypher, 'wrong passphrase').then(assert.fail, function(error) { return error.message; }),
+        thePackage.decrypt(tampered, passphrase).then(assert.fail, function(error) { return error.message; })
+      ]);
+    }).then(function(messages) {
+      assert.ok(/Invalid passphrase/.test(messages[0]));
+      assert.ok(/tampered/.test(messages[1]));
+    });
+  });
+});
+
+describe('Public-key encryption and signatures', function() {
+  ['ECDH-P256', 'X25519'].forEach(function(algorithm) {
+    describe(algorithm, function() {
+      var alice, bob, eve;
+
+      before(function() {
+        return Promise.all([1, 2, 3].map(function() {
+          return thePackage.generateKeyPair(algorithm);
+        })).then(function(pairs) {
+          alice = pairs[0];
+          bob = pairs[1];
+          eve = pairs[2];
+        });
+      });
+
+      it('Should encrypt to several recipients', function() {
+        return thePackage.publicEncrypt(jsonData, [alice.publicKey, bob.publicKey]).then(function(cypher) {
+          assert.equal(cypher.substring(0, 4), '$cp$');
+          return Promise.all([
+            thePackage.privateDecrypt(cypher, alice.privateKey),
+            thePackage.privateDecrypt(cypher, bob.privateKey)
+          ]);
+        }).then(function(results) {
+          assert.deepEqual(results, [jsonData, jsonData]);
+        });
+      });
+
+      it('Should refuse keys that are not recipients', function() {
+        return thePackage.publicEncrypt(data, alice.publicKey).then(function(cypher) {
+          return thePackage.privateDecrypt(cypher, eve.privateKey);
+        }).then(assert.fail, function(error) {
+          assert.ok(/not a recipient/.test(error.message));
+        });
+      });
+
+      it('Should detect tampering', function() {
+        return thePackage.publicEncrypt(data, alice.publicKey).then(function(cypher) {
+          var bytes = Buffer.from(cypher.substring(4), 'base64');
+          bytes[bytes.length - 20] ^= 1;
+          return thePackage.privateDecrypt('$cp$' + bytes.toString('base64'), alice.privateKey);
+        }).then(assert.fail, function(error) {
+          assert.ok(/tampered/.test(error.message));
+        });
+      });
+
+      it('Should export and import keys as JWK and PEM', function() {
+        return Promise.all([
+          thePackage.exportKey(alice.publicKey, 'pem'),
+          thePackage.exportKey(alice.privateKey, 'jwk')
+        ]).then(function(exported) {
+          assert.ok(/^-----BEGIN PUBLIC KEY-----\n/.test(exported[0]));
+          assert.ok(exported[1].d);
+          return Promise.all([
+            thePackage.importKey(exported[0], algorithm),
+            thePackage.importKey(exported[1], algorithm)
+          ]);
+        }).then(function(imported) {
+          return thePackage.publicEncrypt(data, imported[0]).then(function(cypher) {
+            return thePackage.privateDecrypt(cypher, imported[1]);
+          });
+        }).then(function(decrypted) {
+          assert.equal(decrypted, data);
+        });
+      });
+    });
+  });
+
+  ['ECDSA-P256', 'Ed25519'].forEach(function(algorithm) {
+    describe(algorithm, function() {
+      var keys;
+
+      before(function() {
+        return thePackage.generateKeyPair(algorithm).then(function(pair) {
+          keys = pair;
+        });
+      });
+
+      it('Should sign and verify payloads', function() {
+        return thePackage.sign(jsonData, keys.privateKey).then(function(signature) {
+          assert.equal(signature.substring(0, 4), '$cg$');
+          return Promise.all([
+            thePackage.verifySignature(jsonData, signature, keys.publicKey),
+            thePackage.verifySignature({ name: 'someone else' }, signature, keys.publicKey),
+            thePackage.verifySignature(jsonData, 'garbage', keys.publicKey)
+          ]);
+        }).then(function(results) {
+          assert.deepEqual(results, [true, false, false]);
+        });
+      });
+
+      it('Should verify with an imported PEM public key', function() {
+        var signature;
+        return thePackage.sign(data, keys.privateKey).then(function(result) {
+          signature = result;
+          return thePackage.exportKey(keys.publicKey, 'pem');
+        }).then(function(pem) {
+          return thePackage.importKey(pem, algorithm);
+        }).then(function(publicKey) {
+          return thePackage.verifySignature(data, signature, publicKey);
+        }).then(function(valid) {
+          assert.strictEqual(valid, true);
+        });
+      });
+    });
+  });
+
+  it('Should refuse unknown algorithms', function() {
+    return thePackage.generateKeyPair('RSA').then(assert.fail, function(error) {
+      assert.ok(/Unsupported key algorithm/.test(error.message));
+    });
+  });
+});
+
+describe('Keyring', function() {
+  var keys = { '2023': 'old secret', '2024': 'current secret', '2025': 'next secret' };
+  var oldRing = thePackage.createKeyring({ keys: keys, active: '2023', options: fastOptions });
+  var ring = thePackage.createKeyring({ keys: keys, active: '2024', options: fastOptions });
+
+  it('Should tag ciphertexts with the active key id', function() {
+    var cypher = ring.encrypt(jsonData);
+    assert.equal(cypher.indexOf('$ck$2024$$ce$'), 0);
+    assert.equal(ring.keyId(cypher), '2024');
+    assert.deepEqual(ring.decrypt(cypher), jsonData);
+  });
+
+  it('Should pick the right key to decrypt', function() {
+    var cypher = oldRing.encrypt(data);
+    assert.equal(ring.decrypt(cypher), data);
+  });
+
+  it('Should decrypt the envelope with the plain passphrase too', function() {
+    var cypher = ring.encrypt(data);
+    assert.equal(thePackage.twoWayDecrypt(cypher.substring('$ck$2024$'.length), keys['2024']), data);
+  });
+
+  it('Should raise a clear error for unknown key ids', function() {
+    var cypher = ring.encrypt(data).replace('$ck$2024$', '$ck$1999$');
+    assert.throws(function() { ring.decrypt(cypher); }, /Unknown key id: 1999/);
+    assert.throws(function() { ring.decrypt(thePackage.twoWayEncrypt(data, passphrase, fastOptions)); }, /missing key id/);
+    assert.throws(function() {
+      thePackage.createKeyring({ keys: keys, active: 'missing' });
+    }, /Unknown key id: missing/);
+  });
+
+  it('Should reject a swapped key id', function() {
+    var cypher = ring.encrypt(data).replace('$ck$2024$', '$ck$2025$');
+    assert.throws(function() { ring.decrypt(cypher); }, /Invalid passphrase/);
+  });
+
+  it('Should read and rotate ciphertexts without a key id with legacyKeyId', function() {
+    var migrating = thePackage.createKeyring({
+      keys: { legacy: passphrase, '2024': keys['2024'] },
+      active: '2024',
+      legacyKeyId: 'legacy',
+      options: fastOptions
+    });
+    var unprefixed = thePackage.twoWayEncrypt(jsonData, passphrase, fastOptions);
+
+    assert.equal(migrating.keyId(unprefixed), 'legacy');
+    assert.deepEqual(migrating.decrypt(unprefixed), jsonData);
+    assert.equal(migrating.decrypt(legacyCypher), 'legacy data <3');
+    assert.equal(migrating.needsRotation(unprefixed), true);
+    assert.equal(migrating.needsRotation(legacyCypher), true);
+
+    var rotated = migrating.rotateAll([unprefixed, legacyCypher]);
+    assert.equal(rotated[0].indexOf('$ck$2024$'), 0);
+    assert.equal(rotated[1].indexOf('$ck$2024$'), 0);
+    assert.deepEqual(ring.decrypt(rotated[0]), jsonData);
+    assert.equal(ring.decrypt(rotated[1]), 'legacy data <3');
+    assert.throws(function() {
+      thePackage.createKeyring({ keys: keys, active: '2024', legacyKeyId: 'missing' });
+    }, /Unknown key id: missing/);
+  });
+
+  it('Should reject invalid secrets and missing data', function() {
+    [{ a: '' }, { a: 'secret', b: null }, { a: 'secret', b: 42 }].forEach(function(invalid) {
+      assert.throws(function() {
+        thePackage.createKeyring({ keys: invalid, active: 'a' });
+      }, thePackage.InvalidInputError);
+    });
+    assert.throws(function() { ring.encrypt(undefined); }, thePackage.InvalidInputError);
+  });
+
+  it('Should ignore an error mode in the keyring options', function() {
+    var withMode = thePackage.createKeyring({ keys: keys, active: '2024', options: Object.assign({ errors: 'result' }, fastOptions) });
+    var cypher = withMode.encrypt(data);
+    assert.equal(typeof cypher, 'string');
+    assert.equal(withMode.decrypt(cypher), data);
+  });
+
+  it('Should support ids that need escaping', function() {
+    var escaped = thePackage.createKeyring({ keys: { 'a$b c': 'secret' }, active: 'a$b c', options: fastOptions });
+    var cypher = escaped.encrypt(data);
+    assert.equal(escaped.keyId(cypher), 'a$b c');
+    assert.equal(escaped.decrypt(cypher), data);
+  });
+
+  it('Should rotate ciphertexts onto the active key', function() {
+    var current = ring.encrypt(data);
+    var cyphers = [oldRing.encrypt(data), current, oldRing.encrypt(jsonData)];
+    var rotated = ring.rotateAll(cyphers);
+
+    assert.equal(rotated[1], current);
+    rotated.forEach(function(cypher) {
+      assert.equal(ring.keyId(cypher), '2024');
+      assert.equal(ring.needsRotation(cypher), false);
+    });
+    assert.equal(ring.decrypt(rotated[0]), data);
+    assert.deepEqual(ring.decrypt(rotated[2]), jsonData);
+  });
+
+  it('Should rotate ciphertexts with weaker parameters', function() {
+    var stronger = thePackage.createKeyring({ keys: keys, active: '2024', options: { kdf: 'pbkdf2-sha256', iterations: 2000 } });
+    var cypher = ring.encrypt(data);
+    assert.equal(stronger.needsRotation(cypher), true);
+    assert.equal(stronger.needsRotation(stronger.rotate(cypher)), false);
+  });
+
+  it('Should refuse to rotate malformed ciphertexts', function() {
+    ['$ck$2024$$ce$!!!!', '$ck$2023$$ce$!!!!', '$ck$2024$random text'].forEach(function(cypher) {
+      assert.throws(function() { ring.needsRotation(cypher); }, thePackage.UnsupportedFormatError);
+      assert.throws(function() { ring.rotate(cypher); }, thePackage.UnsupportedFormatError);
+      assert.throws(function() { ring.rotateAll([ring.encrypt(data), cypher]); }, thePackage.UnsupportedFormatError);
+    });
+    assert.equal(thePackage.needsReencrypt('$ce$!!!!'), false);
+  });
+});
+
+describe('Field-level encryption', function() {
+  var record = {
+    name: 'Ada',
+    ssn: '123-45-6789',
+    email: 'ada@example.com',
+    address: { street: '12 Analytical Row', city: 'London' },
+    cards: [{ number: '4111111111111111', brand: 'visa' }, { number: '5500000000000004', brand: 'mc' }],
+    tags: { first: 'a', second: 'b' }
+  };
+  var schema = ['ssn', 'address.street', 'cards[*].number', { path: 'email', deterministic: true }];
+
+  it('Should encrypt only the listed fields', function() {
+    var encrypted = thePackage.encryptFields(record, schema, passphrase, fastOptions);
+
+    assert.equal(encrypted.name, 'Ada');
+    assert.equal(encrypted.address.city, 'London');
+    assert.equal(encrypted.cards[1].brand, 'mc');
+    assert.equal(encrypted.ssn.indexOf('$ce$'), 0);
+    assert.equal(encrypted.address.street.indexOf('$ce$'), 0);
+    encrypted.cards.forEach(function(card) { assert.equal(card.number.indexOf('$ce$'), 0); });
+    assert.equal(record.ssn, '123-45-6789');
+  });
+
+  it('Should decrypt the listed fields back to the original object', function() {
+    var encrypted = thePackage.encryptFields(record, schema, passphrase, fastOptions);
+    assert.deepEqual(thePackage.decryptFields(encrypted, schema, passphrase), record);
+  });
+
+  it('Should write fields readable by twoWayDecrypt', function() {
+    var encrypted = thePackage.encryptFields({ count: 42 }, ['count'], passphrase, fastOptions);
+    assert.strictEqual(thePackage.twoWayDecrypt(encrypted.count, passphrase), 42);
+  });
+
+  it('Should encrypt deterministic fields to equal ciphertexts', function() {
+    var first = thePackage.encryptFields(record, schema, passphrase, fastOptions);
+    var second = thePackage.encryptFields(record, schema, passphrase, fastOptions);
+
+    assert.equal(first.email, second.email);
+    assert.notEqual(first.ssn, second.ssn);
+    assert.notEqual(first.email, thePackage.encryptFields({ email: 'bob@example.com' }, schema, passphrase, fastOptions).email);
+    assert.equal(first.email, thePackage.twoWayEncrypt(record.email, passphrase, Object.assign({ deterministic: true }, fastOptions)));
+  });
+
+  it('Should not derive the deterministic salt from the passphrase', function() {
+    var options = Object.assign({ deterministic: true }, fastOptions);
+    // version, type, cipher, kdf id, 4 bytes of iterations, salt length, salt
+    function salt(cypher) {
+      return Buffer.from(cypher.substring(4), 'base64').subarray(9, 25).toString('hex');
+    }
+
+    var first = thePackage.twoWayEncrypt(data, passphrase, options);
+    var second = thePackage.twoWayEncrypt(data, 'another passphrase', options);
+    assert.equal(salt(first), salt(second));
+    assert.notEqual(first, second);
+    assert.equal(thePackage.twoWayDecrypt(second, 'another passphrase'), data);
+  });
+
+  it('Should produce the same deterministic ciphertext asynchronously', function() {
+    var options = Object.assign({ deterministic: true }, fastOptions);
+    var expected = thePackage.twoWayEncrypt(data, passphrase, options);
+    return Promise.all([
+      thePackage.encrypt(data, passphrase, Object.assign({ backend: 'native' }, options)),
+      thePackage.encrypt(data, passphrase, Object.assign({ backend: 'crypto-js' }, options))
+    ]).then(function(cyphers) {
+      assert.equal(cyphers[0], expected);
+      assert.equal(cyphers[1], expected);
+    });
+  });
+
+  it('Should accept an object schema and object wildcards', function() {
+    var objectSchema = { 'tags.*': true, email: { deterministic: true } };
+    var encrypted = thePackage.encryptFields(record, objectSchema, passphrase, fastOptions);
+
+    assert.equal(encrypted.tags.first.indexOf('$ce$'), 0);
+    assert.equal(encrypted.tags.second.indexOf('$ce$'), 0);
+    assert.equal(encrypted.ssn, record.ssn);
+    assert.deepEqual(thePackage.decryptFields(encrypted, objectSchema, passphrase), record);
+  });
+
+  it('Should leave out object schema paths set to false', function() {
+    var encrypted = thePackage.encryptFields(record, { ssn: false, name: true }, passphrase, fastOptions);
+    assert.equal(encrypted.ssn, record.ssn);
+    assert.equal(encrypted.name.indexOf('$ce$'), 0);
+    assert.throws(function() {
+      thePackage.encryptFields(record, { ssn: 'yes' }, passphrase, fastOptions);
+    }, thePackage.InvalidInputError);
+  });
+
+  it('Should skip missing fields and leave plaintext fields untouched', function() {
+    var encrypted = thePackage.encryptFields({ name: 'Ada' }, schema, passphrase, fastOptions);
+    assert.deepEqual(encrypted, { name: 'Ada' });
+    assert.deepEqual(thePackage.decryptFields(record, schema, passphrase), record);
+  });
+
+  it('Should throw when a field fails to decrypt', function() {
+    var encrypted = thePackage.encryptFields(record, schema, passphrase, fastOptions);
+    assert.throws(function() { thePackage.decryptFields(encrypted, schema, 'wrong passphrase'); }, /Invalid passphrase/);
+    assert.throws(function() { thePackage.encryptFields(record, [], passphrase); }, /at least one path/);
+  });
+});
+
+describe('Structured errors', function() {
+  var cypher = thePackage.twoWayEncrypt(jsonData, passphrase, fastOptions);
+  var throwing = { errors: 'throw' };
+
+  function tamper(text) {
+    var bytes = Buffer.from(text.substring(4), 'base64');
+    bytes[bytes.length - 40] ^= 1;
+    return '$ce$' + bytes.toString('base64');
+  }
+
+  function assertError(run, type, code) {
+    assert.throws(run, function(error) {
+      return error instanceof type && error instanceof thePackage.EncryptionError && error.code === code;
+    });
+  }
+
+  afterEach(function() {
+    thePackage.setLogger(null);
+  });
+
+  it('Should throw typed errors when asked to', function() {
+    assertError(function() { thePackage.twoWayDecrypt(cypher, 'wrong passphrase', throwing); },
+      thePackage.InvalidPassphraseError, 'INVALID_PASSPHRASE');
+    assertError(function() { thePackage.twoWayDecrypt(tamper(cypher), passphrase, throwing); },
+      thePackage.TamperedDataError, 'TAMPERED_DATA');
+    assertError(function() { thePackage.twoWayDecrypt('$ce$AQ==', passphrase, throwing); },
+      thePackage.UnsupportedFormatError, 'UNSUPPORTED_FORMAT');
+    assertError(function() { thePackage.twoWayDecrypt(cypher, '', throwing); },
+      thePackage.InvalidInputError, 'INVALID_INPUT');
+    assertError(function() { thePackage.twoWayEncrypt(undefined, passphrase, throwing); },
+      thePackage.InvalidInputError, 'INVALID_INPUT');
+    assert.deepEqual(thePackage.twoWayDecrypt(cypher, passphrase, throwing), jsonData);
+  });
+
+  it('Should name the errors after their class', function() {
+    assert.throws(function() { thePackage.twoWayDecrypt(cypher, 'wrong passphrase', throwing); }, function(error) {
+      return error.name === 'InvalidPassphraseError' && error.message === 'Decryption failed: Invalid passphrase.';
+    });
+  });
+
+  it('Should return results instead of throwing', function() {
+    var success = thePackage.twoWayDecrypt(cypher, passphrase, { errors: 'result' });
+    assert.equal(success.ok, true);
+    assert.deepEqual(success.value, jsonData);
+    assert.strictEqual(success.error, null);
+
+    var failure = thePackage.twoWayDecrypt(tamper(cypher), passphrase, { errors: 'result' });
+    assert.equal(failure.ok, false);
+    assert.strictEqual(failure.value, null);
+    assert.ok(failure.error instanceof thePackage.TamperedDataError);
+
+    var encrypted = thePackage.twoWayEncrypt(data, passphrase, Object.assign({ errors: 'result' }, fastOptions));
+    assert.equal(encrypted.ok, true);
+    assert.equal(thePackage.twoWayDecrypt(encrypted.value, passphrase), data);
+    assert.ok(thePackage.twoWayEncrypt(data, passphrase, { errors: 'result', kdf: 'md5' }).error instanceof thePackage.InvalidInputError);
+  });
+
+  it('Should support error modes when re-encrypting', function() {
+    var moved = thePackage.reencrypt(cypher, passphrase, 'new passphrase', Object.assign({ errors: 'result' }, fastOptions));
+    assert.deepEqual(thePackage.twoWayDecrypt(moved.value, 'new passphrase'), jsonData);
+
+    var failed = thePackage.reencrypt(cypher, 'wrong passphrase', 'new passphrase', Object.assign({ errors: 'result' }, fastOptions));
+    assert.ok(failed.error instanceof thePackage.InvalidPassphraseError);
+    assertError(function() { thePackage.reencrypt(cypher, passphrase, '', throwing); },
+      thePackage.InvalidInputError, 'INVALID_INPUT');
+  });
+
+  it('Should reject unknown error modes', function() {
+    assertError(function() { thePackage.twoWayDecrypt(cypher, passphrase, { errors: 'ignore' }); },
+      thePackage.InvalidInputError, 'INVALID_INPUT');
+  });
+
+  it('Should report legacy failures to a pluggable logger', function() {
+    var logged = [];
+    thePackage.setLogger(function(error) { logged.push(error); });
+    assert.strictEqual(thePackage.twoWayDecrypt(cypher, 'wrong passphrase'), null);
+    assert.strictEqual(thePackage.twoWayDecrypt(null, passphrase), null);
+    assert.equal(logged.length, 1);
+    assert.ok(logged[0] instanceof thePackage.InvalidPassphraseError);
+
+    thePackage.setLogger(null);
+    assert.strictEqual(thePackage.twoWayDecrypt(tamper(cypher), passphrase), null);
+    assert.equal(logged.length, 1);
+    assert.throws(function() { thePackage.setLogger('console'); }, thePackage.InvalidInputError);
+  });
+
+  it('Should raise typed errors from the other APIs', function() {
+    var ring = thePackage.createKeyring({ keys: { a: passphrase }, active: 'a', options: fastOptions });
+    var stream = thePackage.encryptStream(Buffer.from(data), passphrase, fastOptions);
+
+    assertError(function() { ring.decrypt('$ck$b$' + cypher); }, thePackage.InvalidPassphraseError, 'INVALID_PASSPHRASE');
+    assertError(function() { ring.decrypt(cypher); }, thePackage.UnsupportedFormatError, 'UNSUPPORTED_FORMAT');
+    assertError(function() { ring.decrypt('$ck$%E0$' + cypher); }, thePackage.UnsupportedFormatError, 'UNSUPPORTED_FORMAT');
+    assertError(function() { thePackage.decryptStream(stream, 'wrong passphrase'); },
+      thePackage.InvalidPassphraseError, 'INVALID_PASSPHRASE');
+    assertError(function() { thePackage.decryptFields({ a: cypher }, ['a'], 'wrong passphrase'); },
+      thePackage.InvalidPassphraseError, 'INVALID_PASSPHRASE');
+    assertError(function() { thePackage.encryptFields('text', ['a'], passphrase); },
+      thePackage.InvalidInputError, 'INVALID_INPUT');
+  });
+
+  it('Should raise InvalidPassphraseError for any wrong passphrase on legacy ciphertexts', function() {
+    for (var i = 0; i < 40; i++) {
+      var result = thePackage.twoWayDecrypt(legacyCypher, 'wrong passphrase ' + i, { errors: 'result' });
+      assert.equal(result.ok, false);
+      assert.ok(result.error instanceof thePackage.InvalidPassphraseError, result.error.message);
+    }
+  });
+
+  it('Should raise InvalidInputError for ciphertexts that are not strings', function() {
+    var attempts = [];
+    [12345, { cypher: cypher }].forEach(function(value) {
+      assert.ok(thePackage.twoWayDecrypt(value, passphrase, { errors: 'result' }).error instanceof thePackage.InvalidInputError);
+      assert.ok(thePackage.reencrypt(value, passphrase, 'new passphrase', { errors: 'result' }).error instanceof thePackage.InvalidInputError);
+      assert.strictEqual(thePackage.twoWayDecrypt(value, passphrase), null);
+      ['native', 'crypto-js'].forEach(function(backend) {
+        attempts.push(thePackage.decrypt(value, passphrase, { backend: backend, errors: 'result' }));
+      });
+    });
+    return Promise.all(attempts).then(function(results) {
+      results.forEach(function(result) {
+        assert.ok(result.error instanceof thePackage.InvalidInputError);
+      });
+    });
+  });
+
+  it('Should raise UnsupportedFormatError for text that is neither an envelope nor a legacy ciphertext', function() {
+    var ring = thePackage.createKeyring({ keys: { a: passphrase }, active: 'a', options: fastOptions });
+
+    return thePackage.generateKeyPair('X25519').then(function(pair) {
+      return thePackage.publicEncrypt(data, pair.publicKey);
+    }).then(function(sealed) {
+      var malformed = ['random text', ring.encrypt(data), sealed, legacyCypher.substring(0, 64) + 'AAAA'];
+      var attempts = [];
+      malformed.forEach(function(text) {
+        var result = thePackage.twoWayDecrypt(text, passphrase, { errors: 'result' });
+        assert.ok(result.error instanceof thePackage.UnsupportedFormatError, result.error.message);
+        ['native', 'crypto-js'].forEach(function(backend) {
+          attempts.push(thePackage.decrypt(text, passphrase, { backend: backend, errors: 'result' }));
+        });
+      });
+      return Promise.all(attempts);
+    }).then(function(results) {
+      results.forEach(function(result) {
+        assert.ok(result.error instanceof thePackage.UnsupportedFormatError, result.error.message);
+      });
+    });
+  });
+
+  ['native', 'crypto-js'].forEach(function(backend) {
+    it('Should reject any wrong passphrase on legacy ciphertexts on the ' + backend + ' backend', function() {
+      var attempts = [];
+      for (var i = 0; i < 40; i++) {
+        attempts.push(thePackage.decrypt(legacyCypher, 'wrong passphrase ' + i, { backend: backend, errors: 'result' }));
+      }
+      return Promise.all(attempts).then(function(results) {
+        results.forEach(function(result) {
+          assert.equal(result.ok, false);
+          assert.ok(result.error instanceof thePackage.InvalidPassphraseError, result.error.message);
+        });
+      });
+    });
+
+    it('Should reject with typed errors or resolve results on the ' + backend + ' backend', function() {
+      return Promise.all([
+        thePackage.decrypt(cypher, 'wrong passphrase', { backend: backend }).then(function() {
+          assert.fail('Expected a rejection');
+        }, function(error) {
+          assert.ok(error instanceof thePackage.InvalidPassphraseError);
+        }),
+        thePackage.decrypt(tamper(cypher), passphrase, { backend: backend, errors: 'result' }).then(function(result) {
+          assert.equal(result.ok, false);
+          assert.ok(result.error instanceof thePackage.TamperedDataError);
+        }),
+        thePackage.decrypt(cypher, passphrase, { backend: backend, errors: 'result' }).then(function(result) {
+          assert.equal(result.ok, true);
+          assert.deepEqual(result.value, jsonData);
+        }),
+        thePackage.encrypt(undefined, passphrase, { backend: backend, errors: 'result' }).then(function(result) {
+          assert.ok(result.error instanceof thePackage.InvalidInputError);
+        })
+      ]);
+    });
+  });
+});
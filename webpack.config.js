@@ -11,6 +11,10 @@ module.exports = {
     }
   },
   plugins: [
+    // readable-stream, behind stream-browserify, expects a global process
+    new webpack.ProvidePlugin({
+      process: "process/browser"
+    }),
     new webpack.BannerPlugin({
       banner: `try {global.crypto = require('crypto')} catch (e) {}\n`,
       raw: true, // This ensures the text is inserted as-is without comment wrapping